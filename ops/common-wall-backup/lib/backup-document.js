@@ -2,11 +2,38 @@ const crypto = require('crypto');
 const zlib = require('zlib');
 
 const BACKUP_FORMAT = 'inference-arcade/common-wall';
-const FORMAT_VERSION = 3;
+const FORMAT_VERSION = 4;
 const LEGACY_FORMAT_VERSION = 2;
+const VOTES_FORMAT_VERSION = 3;
+const INCREMENTAL_FORMAT_VERSION = 5;
+const SUPPORTED_FORMAT_VERSIONS = Object.freeze([
+  LEGACY_FORMAT_VERSION, VOTES_FORMAT_VERSION, FORMAT_VERSION, INCREMENTAL_FORMAT_VERSION
+]);
+const INCREMENTAL_SUFFIX = '.incremental.json.gz';
 const DEFAULT_PREFIX = 'common-wall/daily';
 const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 const SHA256_RE = /^[0-9a-f]{64}$/;
+const ARCHIVE_KEY_TIME_RE = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-[0-9a-f]{12}(?:\.incremental)?\.json\.gz$/;
+const ROW_ID_RE = /^\d{1,19}$/;
+const POST_FIELDS = [
+  'id', 'createdAt', 'authorName', 'poem', 'analysis', 'deleteTokenHash',
+  'moderationStatus', 'moderatedAt', 'ownerUserId', 'sourcePoemId'
+];
+const VOTE_FIELDS = ['postId', 'voterTokenHash', 'vote', 'createdAt', 'updatedAt'];
+const REPORT_FIELDS = ['postId', 'reporterTokenHash', 'reason', 'details', 'createdAt', 'resolvedAt'];
+const MODERATION_LOG_FIELDS = [
+  'id', 'postId', 'action', 'actor', 'reason', 'note', 'fromStatus', 'toStatus', 'createdAt'
+];
+const MODERATION_STATUSES = Object.freeze(['visible', 'hidden', 'approved']);
+const REPORT_REASONS = Object.freeze(['spam', 'abuse', 'hate', 'sexual', 'personal-info', 'other']);
+const MODERATION_ACTIONS = Object.freeze(['report', 'auto_hide', 'approve', 'hide', 'restore']);
+const BACKUP_SOURCE = Object.freeze({
+  schema: 'public',
+  table: 'wall_posts',
+  voteTable: 'wall_post_votes',
+  reportTable: 'wall_post_reports',
+  moderationLogTable: 'wall_moderation_log'
+});
 
 function isoTimestamp(value, field) {
   const date = value instanceof Date ? value : new Date(value);
@@ -14,6 +41,18 @@ function isoTimestamp(value, field) {
   return date.toISOString();
 }
 
+function optionalTimestamp(value, field) {
+  return value === undefined || value === null ? null : isoTimestamp(value, field);
+}
+
+function optionalText(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function isIncrementalVersion(version) {
+  return version === INCREMENTAL_FORMAT_VERSION;
+}
+
 function cleanPrefix(value = DEFAULT_PREFIX) {
   const prefix = String(value || DEFAULT_PREFIX).replace(/^\/+|\/+$/g, '');
   if (!prefix || !/^[a-z0-9/_-]+$/i.test(prefix) || prefix.includes('..')) {
@@ -27,7 +66,7 @@ function buildBackupDocument(snapshot, createdAt = new Date()) {
     format: BACKUP_FORMAT,
     version: FORMAT_VERSION,
     createdAt: isoTimestamp(createdAt, 'createdAt'),
-    source: { schema: 'public', table: 'wall_posts', voteTable: 'wall_post_votes' },
+    source: { ...BACKUP_SOURCE },
     schemaMigrations: (snapshot.schemaMigrations || []).map(row => ({
       name: String(row.name),
       checksum: String(row.checksum).trim(),
@@ -39,7 +78,11 @@ function buildBackupDocument(snapshot, createdAt = new Date()) {
       authorName: String(row.author_name ?? row.authorName),
       poem: String(row.poem),
       analysis: row.analysis === undefined || row.analysis === null ? null : String(row.analysis),
-      deleteTokenHash: String(row.delete_token_hash ?? row.deleteTokenHash).trim()
+      deleteTokenHash: String(row.delete_token_hash ?? row.deleteTokenHash).trim(),
+      moderationStatus: String(row.moderation_status ?? row.moderationStatus),
+      moderatedAt: optionalTimestamp(row.moderated_at ?? row.moderatedAt, 'wall post moderatedAt'),
+      ownerUserId: optionalText(row.owner_user_id ?? row.ownerUserId),
+      sourcePoemId: optionalText(row.source_poem_id ?? row.sourcePoemId)
     })),
     votes: (snapshot.votes || []).map(row => ({
       postId: String(row.post_id ?? row.postId),
@@ -47,37 +90,52 @@ function buildBackupDocument(snapshot, createdAt = new Date()) {
       vote: Number(row.vote),
       createdAt: isoTimestamp(row.created_at ?? row.createdAt, 'wall vote createdAt'),
       updatedAt: isoTimestamp(row.updated_at ?? row.updatedAt, 'wall vote updatedAt')
+    })),
+    reports: (snapshot.reports || []).map(row => ({
+      postId: String(row.post_id ?? row.postId),
+      reporterTokenHash: String(row.reporter_token_hash ?? row.reporterTokenHash).trim(),
+      reason: String(row.reason),
+      details: optionalText(row.details),
+      createdAt: isoTimestamp(row.created_at ?? row.createdAt, 'wall report createdAt'),
+      resolvedAt: optionalTimestamp(row.resolved_at ?? row.resolvedAt, 'wall report resolvedAt')
+    })),
+    moderationLog: (snapshot.moderationLog || []).map(row => ({
+      id: String(row.id),
+      postId: String(row.post_id ?? row.postId),
+      action: String(row.action),
+      actor: String(row.actor),
+      reason: optionalText(row.reason),
+      note: optionalText(row.note),
+      fromStatus: optionalText(row.from_status ?? row.fromStatus),
+      toStatus: optionalText(row.to_status ?? row.toStatus),
+      createdAt: isoTimestamp(row.created_at ?? row.createdAt, 'wall moderation log createdAt')
     }))
   };
 }
 
-function normalizedBackupDocument(document) {
-  if (document?.version !== LEGACY_FORMAT_VERSION || Array.isArray(document.votes)) return document;
-  return { ...document, votes: [] };
+// Archives written before version 4 predate moderation and account links.
+// Their posts read back with the column defaults (visible, unowned), and
+// they carry no reports or moderation log.
+function withPostDefaults(post) {
+  return { moderationStatus: 'visible', moderatedAt: null, ownerUserId: null, sourcePoemId: null, ...post };
 }
 
-function validateBackupDocument(document) {
-  if (!document || typeof document !== 'object') throw new Error('Backup must be a JSON object.');
-  if (document.format !== BACKUP_FORMAT ||
-      ![LEGACY_FORMAT_VERSION, FORMAT_VERSION].includes(document.version)) {
-    throw new Error('Backup format or version is unsupported.');
-  }
-  isoTimestamp(document.createdAt, 'createdAt');
-  if (document.source?.schema !== 'public' || document.source?.table !== 'wall_posts') {
-    throw new Error('Backup source must be public.wall_posts.');
-  }
-  if (document.version === FORMAT_VERSION && document.source?.voteTable !== 'wall_post_votes') {
-    throw new Error('Backup vote source must be public.wall_post_votes.');
-  }
-  if (!Array.isArray(document.schemaMigrations) || !Array.isArray(document.posts) ||
-      !Array.isArray(document.votes)) {
-    throw new Error('Backup migrations, posts, and votes must be arrays.');
-  }
-  if (document.version === LEGACY_FORMAT_VERSION && document.votes.length !== 0) {
-    throw new Error('Version 2 backups cannot contain votes.');
-  }
+function normalizedBackupDocument(document) {
+  if (![LEGACY_FORMAT_VERSION, VOTES_FORMAT_VERSION].includes(document?.version)) return document;
+  const votes = document.version === LEGACY_FORMAT_VERSION && !Array.isArray(document.votes)
+    ? []
+    : document.votes;
+  return {
+    ...document,
+    posts: Array.isArray(document.posts) ? document.posts.map(withPostDefaults) : document.posts,
+    votes,
+    reports: [],
+    moderationLog: []
+  };
+}
 
-  for (const migration of document.schemaMigrations) {
+function validateMigrations(migrations) {
+  for (const migration of migrations) {
     if (!/^\d+_[a-z0-9_-]+\.sql$/i.test(migration?.name || '')) {
       throw new Error('Backup contains an invalid migration name.');
     }
@@ -86,55 +144,391 @@ function validateBackupDocument(document) {
     }
     isoTimestamp(migration.appliedAt, 'schema migration appliedAt');
   }
+}
+
+function optionalRowId(value) {
+  return value === null || (typeof value === 'string' && ROW_ID_RE.test(value));
+}
+
+function validatePost(post, ids) {
+  if (!UUID_RE.test(post?.id || '') || ids.has(post.id)) {
+    throw new Error('Backup contains an invalid or duplicate wall post id.');
+  }
+  ids.add(post.id);
+  isoTimestamp(post.createdAt, 'wall post createdAt');
+  if (typeof post.authorName !== 'string' || post.authorName.length < 1 || post.authorName.length > 80) {
+    throw new Error('Backup contains an invalid author name.');
+  }
+  if (typeof post.poem !== 'string' || post.poem.length < 1 || post.poem.length > 12000) {
+    throw new Error('Backup contains an invalid poem.');
+  }
+  if (post.analysis !== null && (typeof post.analysis !== 'string' || post.analysis.length > 16000)) {
+    throw new Error('Backup contains an invalid analysis.');
+  }
+  if (!SHA256_RE.test(post.deleteTokenHash || '')) {
+    throw new Error('Backup contains an invalid deletion hash.');
+  }
+  if (!MODERATION_STATUSES.includes(post.moderationStatus)) {
+    throw new Error('Backup contains an invalid moderation status.');
+  }
+  if (post.moderatedAt !== null) isoTimestamp(post.moderatedAt, 'wall post moderatedAt');
+  if (!optionalRowId(post.ownerUserId) || !optionalRowId(post.sourcePoemId) ||
+      (post.sourcePoemId !== null && post.ownerUserId === null)) {
+    throw new Error('Backup contains an invalid account link.');
+  }
+}
+
+function voteKey(vote) {
+  return `${vote?.postId || ''}:${vote?.voterTokenHash || ''}`;
+}
+
+function validateVoteKey(vote, voteKeys) {
+  if (!SHA256_RE.test(vote?.voterTokenHash || '')) {
+    throw new Error('Backup contains an invalid voter token hash.');
+  }
+  if (voteKeys.has(voteKey(vote))) {
+    throw new Error('Backup contains a duplicate wall vote.');
+  }
+  voteKeys.add(voteKey(vote));
+}
+
+function validateVoteValue(vote) {
+  if (!Number.isInteger(vote.vote) || ![-1, 1].includes(vote.vote)) {
+    throw new Error('Backup contains an invalid wall vote value.');
+  }
+  isoTimestamp(vote.createdAt, 'wall vote createdAt');
+  isoTimestamp(vote.updatedAt, 'wall vote updatedAt');
+}
+
+function reportKey(report) {
+  return `${report?.postId || ''}:${report?.reporterTokenHash || ''}`;
+}
+
+function validateReportKey(report, reportKeys) {
+  if (!UUID_RE.test(report?.postId || '')) {
+    throw new Error('Backup contains a report for an unknown wall post.');
+  }
+  if (!SHA256_RE.test(report.reporterTokenHash || '')) {
+    throw new Error('Backup contains an invalid reporter hash.');
+  }
+  if (reportKeys.has(reportKey(report))) {
+    throw new Error('Backup contains a duplicate wall report.');
+  }
+  reportKeys.add(reportKey(report));
+}
+
+function validateReportValue(report) {
+  if (!REPORT_REASONS.includes(report.reason)) {
+    throw new Error('Backup contains an invalid report reason.');
+  }
+  if (report.details !== null && (typeof report.details !== 'string' || report.details.length > 500)) {
+    throw new Error('Backup contains invalid report details.');
+  }
+  isoTimestamp(report.createdAt, 'wall report createdAt');
+  if (report.resolvedAt !== null) isoTimestamp(report.resolvedAt, 'wall report resolvedAt');
+}
+
+function validateModerationLogId(id, logIds) {
+  if (typeof id !== 'string' || !ROW_ID_RE.test(id) || logIds.has(id)) {
+    throw new Error('Backup contains an invalid or duplicate moderation log id.');
+  }
+  logIds.add(id);
+}
+
+function optionalShortText(value, maxLength) {
+  return value === null || (typeof value === 'string' && value.length <= maxLength);
+}
+
+// Log entries outlive the posts they describe, so their post ids are not
+// checked against the posts in the archive.
+function validateModerationLogEntry(entry, logIds) {
+  validateModerationLogId(entry?.id, logIds);
+  if (!UUID_RE.test(entry.postId || '') || !MODERATION_ACTIONS.includes(entry.action) ||
+      typeof entry.actor !== 'string' || entry.actor.length < 1 || entry.actor.length > 80 ||
+      !optionalShortText(entry.reason, 24) || !optionalShortText(entry.note, 500) ||
+      !optionalShortText(entry.fromStatus, 16) || !optionalShortText(entry.toStatus, 16)) {
+    throw new Error('Backup contains an invalid moderation log entry.');
+  }
+  isoTimestamp(entry.createdAt, 'wall moderation log createdAt');
+}
+
+function validateSource(document) {
+  const source = document.source;
+  if (source?.schema !== 'public' || source?.table !== 'wall_posts') {
+    throw new Error('Backup source must be public.wall_posts.');
+  }
+  if (document.version !== LEGACY_FORMAT_VERSION && source.voteTable !== 'wall_post_votes') {
+    throw new Error('Backup vote source must be public.wall_post_votes.');
+  }
+  if ([FORMAT_VERSION, INCREMENTAL_FORMAT_VERSION].includes(document.version) &&
+      (source.reportTable !== 'wall_post_reports' || source.moderationLogTable !== 'wall_moderation_log')) {
+    throw new Error('Backup moderation sources must be public.wall_post_reports and public.wall_moderation_log.');
+  }
+}
+
+// Incremental documents carry full row images for inserted or changed rows
+// and only the keys of deleted rows. Vote references are checked once the
+// document is replayed onto its base.
+function validateIncrementalDocument(document) {
+  const createdAt = isoTimestamp(document.createdAt, 'createdAt');
+  validateSource(document);
+  if (!Number.isInteger(document.sequence) || document.sequence < 1) {
+    throw new Error('Incremental backup sequence must be a positive integer.');
+  }
+  const base = document.base;
+  if (typeof base?.key !== 'string' || !base.key.endsWith('.json.gz') || base.key.includes('..') ||
+      !SHA256_RE.test(base.sha256 || '')) {
+    throw new Error('Incremental backup must name its base archive and checksum.');
+  }
+  if (isoTimestamp(base.createdAt, 'base createdAt') >= createdAt) {
+    throw new Error('Incremental backup must be newer than its base.');
+  }
+  const posts = document.changes?.posts;
+  const votes = document.changes?.votes;
+  const reports = document.changes?.reports;
+  const moderationLog = document.changes?.moderationLog;
+  if (!Array.isArray(document.schemaMigrations) ||
+      !Array.isArray(posts?.upserted) || !Array.isArray(posts?.deleted) ||
+      !Array.isArray(votes?.upserted) || !Array.isArray(votes?.deleted) ||
+      !Array.isArray(reports?.upserted) || !Array.isArray(reports?.deleted) ||
+      !Array.isArray(moderationLog?.upserted) || !Array.isArray(moderationLog?.deleted)) {
+    throw new Error('Incremental backup migrations and row changes must be arrays.');
+  }
+  validateMigrations(document.schemaMigrations);
 
   const ids = new Set();
-  for (const post of document.posts) {
-    if (!UUID_RE.test(post?.id || '') || ids.has(post.id)) {
-      throw new Error('Backup contains an invalid or duplicate wall post id.');
+  for (const post of posts.upserted) validatePost(post, ids);
+  for (const id of posts.deleted) {
+    if (!UUID_RE.test(id || '') || ids.has(id)) {
+      throw new Error('Incremental backup contains an invalid or repeated deleted post id.');
     }
-    ids.add(post.id);
-    isoTimestamp(post.createdAt, 'wall post createdAt');
-    if (typeof post.authorName !== 'string' || post.authorName.length < 1 || post.authorName.length > 80) {
-      throw new Error('Backup contains an invalid author name.');
-    }
-    if (typeof post.poem !== 'string' || post.poem.length < 1 || post.poem.length > 12000) {
-      throw new Error('Backup contains an invalid poem.');
-    }
-    if (post.analysis !== null && (typeof post.analysis !== 'string' || post.analysis.length > 16000)) {
-      throw new Error('Backup contains an invalid analysis.');
-    }
-    if (!SHA256_RE.test(post.deleteTokenHash || '')) {
-      throw new Error('Backup contains an invalid deletion hash.');
+    ids.add(id);
+  }
+
+  const voteKeys = new Set();
+  for (const vote of [...votes.upserted, ...votes.deleted]) {
+    if (!UUID_RE.test(vote?.postId || '')) {
+      throw new Error('Backup contains a vote for an unknown wall post.');
     }
+    validateVoteKey(vote, voteKeys);
   }
+  for (const vote of votes.upserted) validateVoteValue(vote);
+
+  const reportKeys = new Set();
+  for (const report of [...reports.upserted, ...reports.deleted]) validateReportKey(report, reportKeys);
+  for (const report of reports.upserted) validateReportValue(report);
+
+  const logIds = new Set();
+  for (const entry of moderationLog.upserted) validateModerationLogEntry(entry, logIds);
+  for (const id of moderationLog.deleted) validateModerationLogId(id, logIds);
+
+  return {
+    posts: posts.upserted.length + posts.deleted.length,
+    votes: votes.upserted.length + votes.deleted.length,
+    reports: reports.upserted.length + reports.deleted.length,
+    moderationLog: moderationLog.upserted.length + moderationLog.deleted.length,
+    migrations: document.schemaMigrations.length
+  };
+}
+
+function validateBackupDocument(document) {
+  if (!document || typeof document !== 'object') throw new Error('Backup must be a JSON object.');
+  if (document.format !== BACKUP_FORMAT || !SUPPORTED_FORMAT_VERSIONS.includes(document.version)) {
+    throw new Error('Backup format or version is unsupported.');
+  }
+  if (isIncrementalVersion(document.version)) return validateIncrementalDocument(document);
+  isoTimestamp(document.createdAt, 'createdAt');
+  validateSource(document);
+  if (!Array.isArray(document.schemaMigrations) || !Array.isArray(document.posts) ||
+      !Array.isArray(document.votes) || !Array.isArray(document.reports) ||
+      !Array.isArray(document.moderationLog)) {
+    throw new Error('Backup migrations, posts, votes, reports, and moderation log must be arrays.');
+  }
+  if (document.version === LEGACY_FORMAT_VERSION && document.votes.length !== 0) {
+    throw new Error('Version 2 backups cannot contain votes.');
+  }
+
+  validateMigrations(document.schemaMigrations);
+  const ids = new Set();
+  for (const post of document.posts) validatePost(post, ids);
 
   const voteKeys = new Set();
   for (const vote of document.votes) {
-    const key = `${vote?.postId || ''}:${vote?.voterTokenHash || ''}`;
     if (!UUID_RE.test(vote?.postId || '') || !ids.has(vote.postId)) {
       throw new Error('Backup contains a vote for an unknown wall post.');
     }
-    if (!SHA256_RE.test(vote?.voterTokenHash || '')) {
-      throw new Error('Backup contains an invalid voter token hash.');
-    }
-    if (voteKeys.has(key)) {
-      throw new Error('Backup contains a duplicate wall vote.');
-    }
-    voteKeys.add(key);
-    if (!Number.isInteger(vote.vote) || ![-1, 1].includes(vote.vote)) {
-      throw new Error('Backup contains an invalid wall vote value.');
-    }
-    isoTimestamp(vote.createdAt, 'wall vote createdAt');
-    isoTimestamp(vote.updatedAt, 'wall vote updatedAt');
+    validateVoteKey(vote, voteKeys);
+    validateVoteValue(vote);
   }
 
+  const reportKeys = new Set();
+  for (const report of document.reports) {
+    validateReportKey(report, reportKeys);
+    if (!ids.has(report.postId)) throw new Error('Backup contains a report for an unknown wall post.');
+    validateReportValue(report);
+  }
+
+  const logIds = new Set();
+  for (const entry of document.moderationLog) validateModerationLogEntry(entry, logIds);
+
   return {
     posts: document.posts.length,
     votes: document.votes.length,
+    reports: document.reports.length,
+    moderationLog: document.moderationLog.length,
     migrations: document.schemaMigrations.length
   };
 }
 
+function sameFields(fields, left, right) {
+  return fields.every(field => left[field] === right[field]);
+}
+
+function compareRows(before, after, keyOf, fields) {
+  const previous = new Map(before.map(row => [keyOf(row), row]));
+  const seen = new Set();
+  const added = [];
+  const changed = [];
+  for (const row of after) {
+    const key = keyOf(row);
+    const existing = previous.get(key);
+    seen.add(key);
+    if (!existing) added.push(row);
+    else if (!sameFields(fields, existing, row)) changed.push({ before: existing, after: row });
+  }
+  const removed = before.filter(row => !seen.has(keyOf(row)));
+  return { added, changed, removed };
+}
+
+// Describes what would change if the wall held `before` and became `after`.
+function compareBackupDocuments(before, after) {
+  return {
+    posts: compareRows(before.posts, after.posts, post => post.id, POST_FIELDS),
+    votes: compareRows(before.votes, after.votes, voteKey, VOTE_FIELDS),
+    reports: compareRows(before.reports, after.reports, reportKey, REPORT_FIELDS),
+    moderationLog: compareRows(before.moderationLog, after.moderationLog, entry => entry.id, MODERATION_LOG_FIELDS)
+  };
+}
+
+function differenceCount(comparison) {
+  return ['posts', 'votes', 'reports', 'moderationLog'].reduce((total, rows) => total +
+    comparison[rows].added.length + comparison[rows].changed.length + comparison[rows].removed.length, 0);
+}
+
+function buildIncrementalDocument(previous, current, base) {
+  const { posts, votes, reports, moderationLog } = compareBackupDocuments(previous, current);
+  const upserted = rows => new Set([...rows.added, ...rows.changed.map(change => change.after)]);
+  const upsertedPosts = upserted(posts);
+  const upsertedVotes = upserted(votes);
+  const upsertedReports = upserted(reports);
+  const upsertedLog = upserted(moderationLog);
+  return {
+    format: BACKUP_FORMAT,
+    version: INCREMENTAL_FORMAT_VERSION,
+    createdAt: isoTimestamp(current.createdAt, 'createdAt'),
+    source: { ...BACKUP_SOURCE },
+    base: {
+      key: String(base.key),
+      sha256: String(base.sha256),
+      createdAt: isoTimestamp(previous.createdAt, 'base createdAt')
+    },
+    sequence: Number(base.sequence || 0) + 1,
+    schemaMigrations: current.schemaMigrations,
+    changes: {
+      posts: {
+        upserted: current.posts.filter(post => upsertedPosts.has(post)),
+        deleted: posts.removed.map(post => post.id)
+      },
+      votes: {
+        upserted: current.votes.filter(vote => upsertedVotes.has(vote)),
+        deleted: votes.removed.map(vote => ({ postId: vote.postId, voterTokenHash: vote.voterTokenHash }))
+      },
+      reports: {
+        upserted: current.reports.filter(report => upsertedReports.has(report)),
+        deleted: reports.removed.map(report => ({
+          postId: report.postId,
+          reporterTokenHash: report.reporterTokenHash
+        }))
+      },
+      moderationLog: {
+        upserted: current.moderationLog.filter(entry => upsertedLog.has(entry)),
+        deleted: moderationLog.removed.map(entry => entry.id)
+      }
+    }
+  };
+}
+
+function compareText(left, right) {
+  if (left < right) return -1;
+  return left > right ? 1 : 0;
+}
+
+function compareRowIds(left, right) {
+  return compareText(left.length, right.length) || compareText(left, right);
+}
+
+function applyIncrementalDocument(previous, incremental) {
+  validateBackupDocument(incremental);
+  if (!isIncrementalVersion(incremental.version) ||
+      incremental.base.createdAt !== isoTimestamp(previous.createdAt, 'base createdAt')) {
+    throw new Error('Incremental backup does not follow its base archive.');
+  }
+  const posts = new Map(previous.posts.map(post => [post.id, post]));
+  for (const id of incremental.changes.posts.deleted) {
+    if (!posts.delete(id)) throw new Error('Incremental backup deletes a wall post its base does not contain.');
+  }
+  for (const post of incremental.changes.posts.upserted) posts.set(post.id, post);
+  const votes = new Map(previous.votes.map(vote => [voteKey(vote), vote]));
+  for (const vote of incremental.changes.votes.deleted) {
+    if (!votes.delete(voteKey(vote))) throw new Error('Incremental backup deletes a wall vote its base does not contain.');
+  }
+  for (const vote of incremental.changes.votes.upserted) votes.set(voteKey(vote), vote);
+  const reports = new Map(previous.reports.map(report => [reportKey(report), report]));
+  for (const report of incremental.changes.reports.deleted) {
+    if (!reports.delete(reportKey(report))) {
+      throw new Error('Incremental backup deletes a wall report its base does not contain.');
+    }
+  }
+  for (const report of incremental.changes.reports.upserted) reports.set(reportKey(report), report);
+  const moderationLog = new Map(previous.moderationLog.map(entry => [entry.id, entry]));
+  for (const id of incremental.changes.moderationLog.deleted) {
+    if (!moderationLog.delete(id)) {
+      throw new Error('Incremental backup deletes a moderation log entry its base does not contain.');
+    }
+  }
+  for (const entry of incremental.changes.moderationLog.upserted) moderationLog.set(entry.id, entry);
+
+  const document = {
+    format: BACKUP_FORMAT,
+    version: FORMAT_VERSION,
+    createdAt: incremental.createdAt,
+    source: { ...BACKUP_SOURCE },
+    schemaMigrations: incremental.schemaMigrations,
+    posts: [...posts.values()].sort((left, right) =>
+      compareText(left.createdAt, right.createdAt) || compareText(left.id, right.id)),
+    votes: [...votes.values()].sort((left, right) =>
+      compareText(left.postId, right.postId) || compareText(left.voterTokenHash, right.voterTokenHash)),
+    reports: [...reports.values()].sort((left, right) =>
+      compareText(left.postId, right.postId) || compareText(left.reporterTokenHash, right.reporterTokenHash)),
+    moderationLog: [...moderationLog.values()].sort((left, right) => compareRowIds(left.id, right.id))
+  };
+  validateBackupDocument(document);
+  return document;
+}
+
+// Replays a full snapshot followed by its incrementals, oldest first.
+function rebuildBackupDocument(documents) {
+  const [snapshot, ...incrementals] = documents;
+  if (!snapshot || isIncrementalVersion(snapshot.version)) {
+    throw new Error('A restore chain must start with a full snapshot.');
+  }
+  validateBackupDocument(snapshot);
+  return incrementals.reduce((state, incremental, index) => {
+    if (incremental?.sequence !== index + 1) throw new Error('Incremental backup sequence is out of order.');
+    return applyIncrementalDocument(state, incremental);
+  }, snapshot);
+}
+
 function encodeBackup(document) {
   const summary = validateBackupDocument(document);
   const json = Buffer.from(`${JSON.stringify(document, null, 2)}\n`, 'utf8');
@@ -154,22 +548,41 @@ function decodeBackup(compressed) {
 function backupObjectKey(document, sha256, prefix = DEFAULT_PREFIX) {
   if (!SHA256_RE.test(sha256)) throw new Error('Backup checksum must be lowercase SHA-256 hex.');
   const timestamp = isoTimestamp(document.createdAt, 'createdAt').replace(/[:.]/g, '-');
-  return `${cleanPrefix(prefix)}/${timestamp}-${sha256.slice(0, 12)}.json.gz`;
+  const suffix = isIncrementalVersion(document.version) ? INCREMENTAL_SUFFIX : '.json.gz';
+  return `${cleanPrefix(prefix)}/${timestamp}-${sha256.slice(0, 12)}${suffix}`;
+}
+
+function backupKeyCreatedAt(key) {
+  const match = ARCHIVE_KEY_TIME_RE.exec(String(key || ''));
+  if (!match) return null;
+  const [, date, hours, minutes, seconds, millis] = match;
+  return isoTimestamp(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`, 'backup key timestamp');
 }
 
 module.exports = {
   BACKUP_FORMAT,
   FORMAT_VERSION,
+  INCREMENTAL_FORMAT_VERSION,
+  INCREMENTAL_SUFFIX,
   LEGACY_FORMAT_VERSION,
+  SUPPORTED_FORMAT_VERSIONS,
+  VOTES_FORMAT_VERSION,
   DEFAULT_PREFIX,
   UUID_RE,
   SHA256_RE,
+  applyIncrementalDocument,
+  backupKeyCreatedAt,
   backupObjectKey,
   buildBackupDocument,
+  buildIncrementalDocument,
   cleanPrefix,
+  compareBackupDocuments,
   decodeBackup,
+  differenceCount,
   encodeBackup,
+  isIncrementalVersion,
   isoTimestamp,
   normalizedBackupDocument,
+  rebuildBackupDocument,
   validateBackupDocument
 };
@@ -35,7 +35,9 @@ async function readSnapshot(pool, createdAt = new Date()) {
     inTransaction = true;
     const posts = await client.query(`
       SELECT id::text, created_at, author_name, poem, analysis,
-             btrim(delete_token_hash) AS delete_token_hash
+             btrim(delete_token_hash) AS delete_token_hash,
+             moderation_status, moderated_at,
+             owner_user_id::text, source_poem_id::text
       FROM wall_posts
       ORDER BY created_at, id
     `);
@@ -45,6 +47,18 @@ async function readSnapshot(pool, createdAt = new Date()) {
       FROM wall_post_votes
       ORDER BY post_id, voter_token_hash
     `);
+    const reports = await client.query(`
+      SELECT post_id::text, btrim(reporter_token_hash) AS reporter_token_hash,
+             reason, details, created_at, resolved_at
+      FROM wall_post_reports
+      ORDER BY post_id, reporter_token_hash
+    `);
+    const moderationLog = await client.query(`
+      SELECT id::text, post_id::text, action, actor, reason, note,
+             from_status, to_status, created_at
+      FROM wall_moderation_log
+      ORDER BY id
+    `);
     const schemaMigrations = await client.query(`
       SELECT name, btrim(checksum) AS checksum, applied_at
       FROM wall_schema_migrations
@@ -55,6 +69,8 @@ async function readSnapshot(pool, createdAt = new Date()) {
     return buildBackupDocument({
       posts: posts.rows,
       votes: votes.rows,
+      reports: reports.rows,
+      moderationLog: moderationLog.rows,
       schemaMigrations: schemaMigrations.rows
     }, createdAt);
   } catch (error) {
@@ -68,15 +84,20 @@ async function readSnapshot(pool, createdAt = new Date()) {
 async function insertBackupPost(client, tableName, post) {
   return client.query(`
     INSERT INTO ${tableName} (
-      id, created_at, author_name, poem, analysis, delete_token_hash
-    ) VALUES ($1::uuid, $2::timestamptz, $3, $4, $5, $6)
+      id, created_at, author_name, poem, analysis, delete_token_hash,
+      moderation_status, moderated_at, owner_user_id, source_poem_id
+    ) VALUES ($1::uuid, $2::timestamptz, $3, $4, $5, $6, $7, $8::timestamptz, $9::bigint, $10::bigint)
   `, [
     post.id,
     post.createdAt,
     post.authorName,
     post.poem,
     post.analysis,
-    post.deleteTokenHash
+    post.deleteTokenHash,
+    post.moderationStatus,
+    post.moderatedAt,
+    post.ownerUserId,
+    post.sourcePoemId
   ]);
 }
 
@@ -94,6 +115,50 @@ async function insertBackupVote(client, tableName, vote) {
   ]);
 }
 
+async function insertBackupReport(client, tableName, report) {
+  return client.query(`
+    INSERT INTO ${tableName} (
+      post_id, reporter_token_hash, reason, details, created_at, resolved_at
+    ) VALUES ($1::uuid, $2, $3, $4, $5::timestamptz, $6::timestamptz)
+  `, [
+    report.postId,
+    report.reporterTokenHash,
+    report.reason,
+    report.details,
+    report.createdAt,
+    report.resolvedAt
+  ]);
+}
+
+// Log ids are an identity column. A restore keeps the archived ids, which
+// break ties in the review log's order, and applyRestore then moves the
+// identity past them.
+async function insertBackupLogEntry(client, tableName, entry) {
+  return client.query(`
+    INSERT INTO ${tableName} (
+      id, post_id, action, actor, reason, note, from_status, to_status, created_at
+    ) OVERRIDING SYSTEM VALUE
+    VALUES ($1::bigint, $2::uuid, $3, $4, $5, $6, $7, $8, $9::timestamptz)
+  `, [
+    entry.id,
+    entry.postId,
+    entry.action,
+    entry.actor,
+    entry.reason,
+    entry.note,
+    entry.fromStatus,
+    entry.toStatus,
+    entry.createdAt
+  ]);
+}
+
+async function requireRestoredCount(client, tableName, expected, label) {
+  const result = await client.query(`SELECT count(*)::int AS count FROM ${tableName}`);
+  if (Number(result.rows[0]?.count) !== expected) {
+    throw new Error(`Restore check ${label} count does not match the backup.`);
+  }
+}
+
 async function verifyRestorable(pool, document) {
   const summary = validateBackupDocument(document);
   const client = await pool.connect();
@@ -111,27 +176,42 @@ async function verifyRestorable(pool, document) {
       (LIKE wall_post_votes INCLUDING ALL)
       ON COMMIT DROP
     `);
+    await client.query(`
+      CREATE TEMP TABLE common_wall_restore_check_reports
+      (LIKE wall_post_reports INCLUDING ALL)
+      ON COMMIT DROP
+    `);
+    await client.query(`
+      CREATE TEMP TABLE common_wall_restore_check_moderation_log
+      (LIKE wall_moderation_log INCLUDING ALL)
+      ON COMMIT DROP
+    `);
     for (const post of document.posts) {
       await insertBackupPost(client, 'common_wall_restore_check_posts', post);
     }
     for (const vote of document.votes) {
       await insertBackupVote(client, 'common_wall_restore_check_votes', vote);
     }
-    const postCount = await client.query(
-      'SELECT count(*)::int AS count FROM common_wall_restore_check_posts'
-    );
-    if (Number(postCount.rows[0]?.count) !== summary.posts) {
-      throw new Error('Restore check post count does not match the backup.');
+    for (const report of document.reports) {
+      await insertBackupReport(client, 'common_wall_restore_check_reports', report);
     }
-    const voteCount = await client.query(
-      'SELECT count(*)::int AS count FROM common_wall_restore_check_votes'
-    );
-    if (Number(voteCount.rows[0]?.count) !== summary.votes) {
-      throw new Error('Restore check vote count does not match the backup.');
+    for (const entry of document.moderationLog) {
+      await insertBackupLogEntry(client, 'common_wall_restore_check_moderation_log', entry);
     }
+    await requireRestoredCount(client, 'common_wall_restore_check_posts', summary.posts, 'post');
+    await requireRestoredCount(client, 'common_wall_restore_check_votes', summary.votes, 'vote');
+    await requireRestoredCount(client, 'common_wall_restore_check_reports', summary.reports, 'report');
+    await requireRestoredCount(
+      client, 'common_wall_restore_check_moderation_log', summary.moderationLog, 'moderation log'
+    );
     await client.query('ROLLBACK');
     inTransaction = false;
-    return { restoredPosts: summary.posts, restoredVotes: summary.votes };
+    return {
+      restoredPosts: summary.posts,
+      restoredVotes: summary.votes,
+      restoredReports: summary.reports,
+      restoredModerationLog: summary.moderationLog
+    };
   } catch (error) {
     if (inTransaction) await rollbackQuietly(client);
     throw error;
@@ -147,7 +227,13 @@ function comparableDatabasePost(row) {
     authorName: String(row.author_name),
     poem: String(row.poem),
     analysis: row.analysis === undefined || row.analysis === null ? null : String(row.analysis),
-    deleteTokenHash: String(row.delete_token_hash).trim()
+    deleteTokenHash: String(row.delete_token_hash).trim(),
+    moderationStatus: String(row.moderation_status),
+    moderatedAt: row.moderated_at === undefined || row.moderated_at === null
+      ? null
+      : isoTimestamp(row.moderated_at, 'existing wall post moderatedAt'),
+    ownerUserId: row.owner_user_id === undefined || row.owner_user_id === null ? null : String(row.owner_user_id),
+    sourcePoemId: row.source_poem_id === undefined || row.source_poem_id === null ? null : String(row.source_poem_id)
   };
 }
 
@@ -157,7 +243,11 @@ function postsMatch(left, right) {
     left.authorName === right.authorName &&
     left.poem === right.poem &&
     left.analysis === right.analysis &&
-    left.deleteTokenHash === right.deleteTokenHash;
+    left.deleteTokenHash === right.deleteTokenHash &&
+    left.moderationStatus === right.moderationStatus &&
+    left.moderatedAt === right.moderatedAt &&
+    left.ownerUserId === right.ownerUserId &&
+    left.sourcePoemId === right.sourcePoemId;
 }
 
 async function applyRestore(pool, document) {
@@ -167,7 +257,10 @@ async function applyRestore(pool, document) {
   try {
     await client.query('BEGIN');
     inTransaction = true;
-    await client.query('LOCK TABLE wall_posts, wall_post_votes IN ACCESS EXCLUSIVE MODE');
+    await client.query(`
+      LOCK TABLE wall_posts, wall_post_votes, wall_post_reports, wall_moderation_log
+      IN ACCESS EXCLUSIVE MODE
+    `);
     await requireEmptyRestoreTarget(client);
     for (const post of document.posts) {
       await insertBackupPost(client, 'wall_posts', post);
@@ -175,13 +268,27 @@ async function applyRestore(pool, document) {
     for (const vote of document.votes) {
       await insertBackupVote(client, 'wall_post_votes', vote);
     }
+    for (const report of document.reports) {
+      await insertBackupReport(client, 'wall_post_reports', report);
+    }
+    for (const entry of document.moderationLog) {
+      await insertBackupLogEntry(client, 'wall_moderation_log', entry);
+    }
+    if (document.moderationLog.length) {
+      await client.query(`
+        SELECT setval(pg_get_serial_sequence('wall_moderation_log', 'id'), max(id))
+        FROM wall_moderation_log
+      `);
+    }
     await client.query('COMMIT');
     inTransaction = false;
     return {
       inserted: document.posts.length,
       existing: 0,
       insertedVotes: document.votes.length,
-      existingVotes: 0
+      existingVotes: 0,
+      insertedReports: document.reports.length,
+      insertedModerationLog: document.moderationLog.length
     };
   } catch (error) {
     if (inTransaction) await rollbackQuietly(client);
@@ -195,21 +302,27 @@ async function requireEmptyRestoreTarget(pool) {
   const result = await pool.query(`
     SELECT
       (SELECT count(*)::int FROM wall_posts) AS posts,
-      (SELECT count(*)::int FROM wall_post_votes) AS votes
+      (SELECT count(*)::int FROM wall_post_votes) AS votes,
+      (SELECT count(*)::int FROM wall_post_reports) AS reports,
+      (SELECT count(*)::int FROM wall_moderation_log) AS moderation_log
   `);
   const posts = Number(result.rows[0]?.posts || 0);
   const votes = Number(result.rows[0]?.votes || 0);
-  if (posts !== 0 || votes !== 0) {
-    throw new Error('Restore target wall_posts and wall_post_votes must be empty.');
+  const reports = Number(result.rows[0]?.reports || 0);
+  const moderationLog = Number(result.rows[0]?.moderation_log || 0);
+  if (posts !== 0 || votes !== 0 || reports !== 0 || moderationLog !== 0) {
+    throw new Error('Restore target wall_posts, wall_post_votes, wall_post_reports, and wall_moderation_log must be empty.');
   }
-  return { existingPosts: posts, existingVotes: votes };
+  return { existingPosts: posts, existingVotes: votes, existingReports: reports, existingModerationLog: moderationLog };
 }
 
 module.exports = {
   applyRestore,
   comparableDatabasePost,
   createDatabasePool,
+  insertBackupLogEntry,
   insertBackupPost,
+  insertBackupReport,
   insertBackupVote,
   postsMatch,
   readSnapshot,
@@ -1,10 +1,21 @@
-const { cleanPrefix, encodeBackup } = require('./backup-document');
+const {
+  FORMAT_VERSION,
+  applyIncrementalDocument,
+  buildIncrementalDocument,
+  cleanPrefix,
+  compareBackupDocuments,
+  differenceCount,
+  encodeBackup,
+  rebuildBackupDocument
+} = require('./backup-document');
 const { createDatabasePool, readSnapshot, verifyRestorable } = require('./database');
 const {
   createStorage,
   deleteExpiredBackups,
   deleteObjectQuietly,
   deleteStalePendingBackups,
+  loadBackupChain,
+  loadLatestBackup,
   publishVerifiedBackup,
   retentionDays,
   updateLatestManifest,
@@ -18,18 +29,62 @@ async function closeResources(pool, storage) {
   ]);
 }
 
+function fullSnapshotInterval(env = process.env) {
+  const parsed = Number.parseInt(env.BACKUP_FULL_INTERVAL, 10);
+  if (!Number.isInteger(parsed)) return 7;
+  return Math.min(30, Math.max(1, parsed));
+}
+
+function migrationList(migrations) {
+  return JSON.stringify(migrations.map(migration => [migration.name, migration.checksum]));
+}
+
+// Finds the wall state an incremental run would diff against. Any reason to
+// distrust the previous chain falls back to a full snapshot, which never
+// depends on older objects.
+async function incrementalBase({ storage, prefix, interval, snapshot }) {
+  if (interval <= 1) return { reason: 'interval' };
+  let latest;
+  try {
+    latest = await loadLatestBackup(storage.client, storage.bucket, prefix);
+  } catch {
+    return { reason: 'no-readable-previous-backup' };
+  }
+  if ((latest.document.sequence || 0) + 1 >= interval) return { reason: 'interval' };
+  if (latest.document.createdAt >= snapshot.createdAt) return { reason: 'previous-backup-not-older' };
+  if (migrationList(latest.document.schemaMigrations) !== migrationList(snapshot.schemaMigrations)) {
+    return { reason: 'schema-changed' };
+  }
+  try {
+    const chain = await loadBackupChain(storage.client, storage.bucket, prefix, latest);
+    if (chain[0].document.version !== FORMAT_VERSION) return { reason: 'legacy-base' };
+    return { latest, state: rebuildBackupDocument(chain.map(item => item.document)) };
+  } catch {
+    return { reason: 'broken-chain' };
+  }
+}
+
 async function runBackup(options = {}) {
   const env = options.env || process.env;
   const now = options.now || new Date();
   const prefix = cleanPrefix(env.BACKUP_PREFIX);
   const days = retentionDays(env);
+  const interval = fullSnapshotInterval(env);
   let pool;
   let storage;
   let pending;
   try {
     pool = options.pool || createDatabasePool(env);
     storage = options.storage || createStorage(env);
-    const document = await readSnapshot(pool, now);
+    const snapshot = await readSnapshot(pool, now);
+    const base = await incrementalBase({ storage, prefix, interval, snapshot });
+    const document = base.state
+      ? buildIncrementalDocument(base.state, snapshot, {
+        key: base.latest.key,
+        sha256: base.latest.sha256,
+        sequence: base.latest.document.sequence
+      })
+      : snapshot;
     const encoded = encodeBackup(document);
     pending = await uploadPendingAndVerifyBackup({
       client: storage.client,
@@ -38,7 +93,13 @@ async function runBackup(options = {}) {
       prefix,
       ...encoded
     });
-    const restoreCheck = await verifyRestorable(pool, pending.document);
+    const restorable = base.state
+      ? applyIncrementalDocument(base.state, pending.document)
+      : pending.document;
+    if (base.state && differenceCount(compareBackupDocuments(restorable, snapshot)) !== 0) {
+      throw new Error('Incremental backup does not reproduce the source snapshot.');
+    }
+    const restoreCheck = await verifyRestorable(pool, restorable);
     const published = await publishVerifiedBackup({
       client: storage.client,
       bucket: storage.bucket,
@@ -68,14 +129,26 @@ async function runBackup(options = {}) {
     return {
       event: 'common_wall_backup_complete',
       createdAt: document.createdAt,
+      kind: base.state ? 'incremental' : 'full',
       key: published.key,
       sha256: published.sha256,
+      sequence: document.sequence || 0,
+      baseKey: base.state ? base.latest.key : null,
+      fullSnapshotReason: base.reason || null,
       compressedBytes: published.compressed.length,
-      posts: published.summary.posts,
-      votes: published.summary.votes,
-      migrations: published.summary.migrations,
+      posts: snapshot.posts.length,
+      votes: snapshot.votes.length,
+      reports: snapshot.reports.length,
+      moderationLog: snapshot.moderationLog.length,
+      migrations: snapshot.schemaMigrations.length,
+      changedPosts: base.state ? published.summary.posts : null,
+      changedVotes: base.state ? published.summary.votes : null,
+      changedReports: base.state ? published.summary.reports : null,
+      changedModerationLog: base.state ? published.summary.moderationLog : null,
       restoreCheckedPosts: restoreCheck.restoredPosts,
       restoreCheckedVotes: restoreCheck.restoredVotes,
+      restoreCheckedReports: restoreCheck.restoredReports,
+      restoreCheckedModerationLog: restoreCheck.restoredModerationLog,
       retentionDays: days,
       deletedStalePending,
       deletedExpired
@@ -90,5 +163,6 @@ async function runBackup(options = {}) {
 
 module.exports = {
   closeResources,
+  fullSnapshotInterval,
   runBackup
 };
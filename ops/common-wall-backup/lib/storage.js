@@ -11,14 +11,19 @@ const {
 const { NodeHttpHandler } = require('@smithy/node-http-handler');
 const {
   BACKUP_FORMAT,
-  FORMAT_VERSION,
-  LEGACY_FORMAT_VERSION,
+  INCREMENTAL_SUFFIX,
   SHA256_RE,
+  SUPPORTED_FORMAT_VERSIONS,
+  backupKeyCreatedAt,
   backupObjectKey,
   cleanPrefix,
-  decodeBackup
+  decodeBackup,
+  isIncrementalVersion,
+  isoTimestamp
 } = require('./backup-document');
 
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
 function requiredValue(env, name) {
   const value = String(env[name] || '').trim();
   if (!value) throw new Error(`${name} is required.`);
@@ -28,7 +33,11 @@ function requiredValue(env, name) {
 function storageConfig(env = process.env) {
   const endpoint = requiredValue(env, 'BACKUP_BUCKET_ENDPOINT');
   const parsedEndpoint = new URL(endpoint);
-  if (parsedEndpoint.protocol !== 'https:') throw new Error('BACKUP_BUCKET_ENDPOINT must use HTTPS.');
+  // Plain HTTP is only accepted for an S3-compatible stand-in on this machine.
+  const localEndpoint = parsedEndpoint.protocol === 'http:' && LOCAL_HOSTS.has(parsedEndpoint.hostname);
+  if (parsedEndpoint.protocol !== 'https:' && !localEndpoint) {
+    throw new Error('BACKUP_BUCKET_ENDPOINT must use HTTPS.');
+  }
   const urlStyle = String(env.BACKUP_BUCKET_URL_STYLE || 'virtual').toLowerCase();
   if (!['virtual', 'path'].includes(urlStyle)) {
     throw new Error('BACKUP_BUCKET_URL_STYLE must be virtual or path.');
@@ -116,6 +125,8 @@ async function putBackupObject(client, bucket, key, document, compressed, sha256
       version: String(document.version),
       posts: String(summary.posts),
       votes: String(summary.votes),
+      reports: String(summary.reports),
+      moderationlog: String(summary.moderationLog),
       migrations: String(summary.migrations),
       createdat: document.createdAt
     }
@@ -133,6 +144,8 @@ async function verifyBackupObject(client, bucket, key, document, compressed, sha
       downloaded.document.version !== document.version ||
       downloaded.summary.posts !== summary.posts ||
       downloaded.summary.votes !== summary.votes ||
+      downloaded.summary.reports !== summary.reports ||
+      downloaded.summary.moderationLog !== summary.moderationLog ||
       downloaded.summary.migrations !== summary.migrations) {
     throw new Error('Downloaded backup contents differ from the source snapshot.');
   }
@@ -201,9 +214,12 @@ async function updateLatestManifest({ client, bucket, prefix, backup }) {
     createdAt: backup.document.createdAt,
     key: backup.key,
     sha256: backup.sha256,
+    sequence: backup.document.sequence || 0,
     compressedBytes: backup.compressed.length,
     posts: backup.summary.posts,
     votes: backup.summary.votes,
+    reports: backup.summary.reports,
+    moderationLog: backup.summary.moderationLog,
     migrations: backup.summary.migrations
   };
   await client.send(new PutObjectCommand({
@@ -223,7 +239,7 @@ async function loadLatestBackup(client, bucket, prefix) {
   const manifest = JSON.parse((await bodyToBuffer(latest.Body)).toString('utf8'));
   const safePrefix = `${cleanPrefix(prefix)}/`;
   if (manifest?.format !== BACKUP_FORMAT ||
-      ![LEGACY_FORMAT_VERSION, FORMAT_VERSION].includes(manifest.version) ||
+      !SUPPORTED_FORMAT_VERSIONS.includes(manifest.version) ||
       typeof manifest.key !== 'string' || !manifest.key.startsWith(safePrefix) ||
       !SHA256_RE.test(manifest.sha256 || '')) {
     throw new Error('Latest backup manifest is invalid.');
@@ -235,12 +251,71 @@ async function loadLatestBackup(client, bucket, prefix) {
   return backup;
 }
 
+// Follows base links from an archive back to its full snapshot and returns
+// the chain oldest first. Each base is checked against the checksum its
+// successor recorded.
+async function loadBackupChain(client, bucket, prefix, backup) {
+  const chain = [backup];
+  let current = backup;
+  while (isIncrementalVersion(current.document.version)) {
+    const { base, sequence } = current.document;
+    if (!isArchiveKey(base.key, prefix)) {
+      throw new Error('Incremental backup base must be an archive under BACKUP_PREFIX.');
+    }
+    const previous = await downloadBackup(client, bucket, base.key, base.sha256);
+    if (previous.document.createdAt !== base.createdAt || (previous.document.sequence || 0) !== sequence - 1) {
+      throw new Error('Incremental backup chain is broken.');
+    }
+    chain.unshift(previous);
+    current = previous;
+  }
+  return chain;
+}
+
+async function listArchives(client, bucket, prefix) {
+  const safePrefix = `${cleanPrefix(prefix)}/`;
+  let continuationToken;
+  const archives = [];
+  do {
+    const page = await client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: safePrefix,
+      ContinuationToken: continuationToken
+    }));
+    for (const object of page.Contents || []) {
+      if (isArchiveKey(object.Key, prefix)) archives.push(object);
+    }
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (continuationToken);
+  return archives;
+}
+
+async function findBackupAt(client, bucket, prefix, at) {
+  const target = isoTimestamp(at, 'RESTORE_AT');
+  let selected = null;
+  for (const object of await listArchives(client, bucket, prefix)) {
+    const createdAt = backupKeyCreatedAt(object.Key);
+    if (!createdAt || createdAt > target) continue;
+    if (!selected || createdAt > selected.createdAt) selected = { key: object.Key, createdAt };
+  }
+  if (!selected) throw new Error('No backup was taken at or before RESTORE_AT.');
+  return downloadBackup(client, bucket, selected.key);
+}
+
 function retentionDays(env = process.env) {
   const parsed = Number.parseInt(env.BACKUP_RETENTION_DAYS, 10);
   if (!Number.isInteger(parsed)) return 35;
   return Math.min(365, Math.max(7, parsed));
 }
 
+function isIncrementalKey(key) {
+  return typeof key === 'string' && key.endsWith(INCREMENTAL_SUFFIX);
+}
+
+function modifiedTime(object) {
+  return object.LastModified instanceof Date ? object.LastModified.getTime() : Date.parse(object.LastModified);
+}
+
 function isArchiveKey(key, prefix) {
   const safePrefix = `${cleanPrefix(prefix)}/`;
   return typeof key === 'string' && key.startsWith(safePrefix) &&
@@ -256,35 +331,28 @@ async function deleteExpiredBackups({
   days = 35,
   minimumArchives = 7
 }) {
-  const safePrefix = `${cleanPrefix(prefix)}/`;
   const cutoff = now.getTime() - (days * 24 * 60 * 60 * 1000);
-  let continuationToken;
-  const archives = [];
-  do {
-    const page = await client.send(new ListObjectsV2Command({
-      Bucket: bucket,
-      Prefix: safePrefix,
-      ContinuationToken: continuationToken
-    }));
-    for (const object of page.Contents || []) {
-      if (isArchiveKey(object.Key, prefix)) archives.push(object);
-    }
-    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
-  } while (continuationToken);
-
-  archives.sort((left, right) => {
-    const leftTime = left.LastModified instanceof Date ? left.LastModified.getTime() : Date.parse(left.LastModified);
-    const rightTime = right.LastModified instanceof Date ? right.LastModified.getTime() : Date.parse(right.LastModified);
-    return rightTime - leftTime;
-  });
+  const archives = await listArchives(client, bucket, prefix);
+  archives.sort((left, right) => modifiedTime(right) - modifiedTime(left));
   const protectedKeys = new Set(archives.slice(0, Math.max(1, minimumArchives)).map(item => item.Key));
   protectedKeys.add(keepKey);
+  for (const object of archives) {
+    const modifiedAt = modifiedTime(object);
+    if (!Number.isFinite(modifiedAt) || modifiedAt >= cutoff) protectedKeys.add(object.Key);
+  }
+  // A kept incremental is only restorable with every archive back to the
+  // full snapshot it was taken against.
+  let chain = [];
+  for (const object of [...archives].reverse()) {
+    if (!isIncrementalKey(object.Key)) chain = [];
+    chain.push(object.Key);
+    if (isIncrementalKey(object.Key) && protectedKeys.has(object.Key)) {
+      for (const key of chain) protectedKeys.add(key);
+    }
+  }
   let deleted = 0;
   for (const object of archives) {
-    const modifiedAt = object.LastModified instanceof Date
-      ? object.LastModified.getTime()
-      : Date.parse(object.LastModified);
-    if (protectedKeys.has(object.Key) || !Number.isFinite(modifiedAt) || modifiedAt >= cutoff) continue;
+    if (protectedKeys.has(object.Key)) continue;
     await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: object.Key }));
     deleted += 1;
   }
@@ -329,8 +397,12 @@ module.exports = {
   deleteObjectQuietly,
   deleteStalePendingBackups,
   downloadBackup,
+  findBackupAt,
   isArchiveKey,
+  isIncrementalKey,
   latestObjectKey,
+  listArchives,
+  loadBackupChain,
   loadLatestBackup,
   pendingObjectKey,
   publishVerifiedBackup,
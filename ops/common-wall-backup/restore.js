@@ -1,6 +1,18 @@
-const { cleanPrefix } = require('./lib/backup-document');
-const { applyRestore, createDatabasePool, verifyRestorable } = require('./lib/database');
-const { createStorage, downloadBackup, loadLatestBackup } = require('./lib/storage');
+const {
+  cleanPrefix,
+  compareBackupDocuments,
+  differenceCount,
+  isoTimestamp,
+  rebuildBackupDocument
+} = require('./lib/backup-document');
+const { applyRestore, createDatabasePool, readSnapshot, verifyRestorable } = require('./lib/database');
+const {
+  createStorage,
+  downloadBackup,
+  findBackupAt,
+  loadBackupChain,
+  loadLatestBackup
+} = require('./lib/storage');
 const { safeErrorMessage } = require('./index');
 
 function selectedBackupKey(env, prefix) {
@@ -12,14 +24,67 @@ function selectedBackupKey(env, prefix) {
   return key;
 }
 
+function restoreTimestamp(env) {
+  const value = String(env.RESTORE_AT || '').trim();
+  return value ? isoTimestamp(value, 'RESTORE_AT') : '';
+}
+
+// Voter and reporter hashes stay out of receipts; a short prefix is enough
+// to tell rows apart.
+function voteReceipt(vote) {
+  return { postId: vote.postId, voter: vote.voterTokenHash.slice(0, 12), vote: vote.vote };
+}
+
+function reportReceipt(report) {
+  return { postId: report.postId, reporter: report.reporterTokenHash.slice(0, 12), reason: report.reason };
+}
+
+function restoreDiff(comparison) {
+  return {
+    changes: differenceCount(comparison),
+    posts: {
+      added: comparison.posts.added.map(post => post.id),
+      changed: comparison.posts.changed.map(change => change.after.id),
+      removed: comparison.posts.removed.map(post => post.id)
+    },
+    votes: {
+      added: comparison.votes.added.map(voteReceipt),
+      changed: comparison.votes.changed.map(({ before, after }) => ({
+        postId: after.postId,
+        voter: after.voterTokenHash.slice(0, 12),
+        from: before.vote,
+        to: after.vote
+      })),
+      removed: comparison.votes.removed.map(voteReceipt)
+    },
+    reports: {
+      added: comparison.reports.added.map(reportReceipt),
+      changed: comparison.reports.changed.map(change => reportReceipt(change.after)),
+      removed: comparison.reports.removed.map(reportReceipt)
+    },
+    moderationLog: {
+      added: comparison.moderationLog.added.map(entry => entry.id),
+      changed: comparison.moderationLog.changed.map(change => change.after.id),
+      removed: comparison.moderationLog.removed.map(entry => entry.id)
+    }
+  };
+}
+
 async function restore(options = {}) {
   const env = options.env || process.env;
   const prefix = cleanPrefix(env.BACKUP_PREFIX);
   const applying = env.RESTORE_APPLY === 'true';
+  const diffing = env.RESTORE_DIFF === 'true';
   let pool;
   let storage;
   let databaseEnv = env;
   try {
+    if (applying && diffing) {
+      throw new Error('RESTORE_DIFF is a dry run and cannot be combined with RESTORE_APPLY.');
+    }
+    const key = selectedBackupKey(env, prefix);
+    const at = restoreTimestamp(env);
+    if (key && at) throw new Error('Set BACKUP_KEY or RESTORE_AT, not both.');
     if (applying) {
       const restoreDatabaseUrl = String(env.RESTORE_DATABASE_URL || '').trim();
       if (!restoreDatabaseUrl) throw new Error('RESTORE_DATABASE_URL is required to apply a backup.');
@@ -27,30 +92,48 @@ async function restore(options = {}) {
         throw new Error('RESTORE_DATABASE_URL must differ from the live DATABASE_URL.');
       }
       databaseEnv = { ...env, DATABASE_URL: restoreDatabaseUrl };
+    } else if (diffing && String(env.RESTORE_DATABASE_URL || '').trim()) {
+      databaseEnv = { ...env, DATABASE_URL: String(env.RESTORE_DATABASE_URL).trim() };
     }
     pool = options.pool || createDatabasePool(databaseEnv);
     storage = options.storage || createStorage(env);
-    const key = selectedBackupKey(env, prefix);
-    const backup = key
-      ? await downloadBackup(storage.client, storage.bucket, key)
-      : await loadLatestBackup(storage.client, storage.bucket, prefix);
-    const check = await verifyRestorable(pool, backup.document);
+    let backup;
+    if (key) backup = await downloadBackup(storage.client, storage.bucket, key);
+    else if (at) backup = await findBackupAt(storage.client, storage.bucket, prefix, at);
+    else backup = await loadLatestBackup(storage.client, storage.bucket, prefix);
+    const chain = await loadBackupChain(storage.client, storage.bucket, prefix, backup);
+    const document = rebuildBackupDocument(chain.map(item => item.document));
+    const check = await verifyRestorable(pool, document);
+    const diff = diffing
+      ? restoreDiff(compareBackupDocuments(await readSnapshot(pool), document))
+      : null;
     let applied = null;
     if (applying) {
       if (env.RESTORE_CONFIRM !== 'restore-common-wall') {
         throw new Error('RESTORE_CONFIRM=restore-common-wall is required to apply a backup.');
       }
-      applied = await applyRestore(pool, backup.document);
+      applied = await applyRestore(pool, document);
     }
+    let event = 'common_wall_restore_verified';
+    if (applied) event = 'common_wall_restore_complete';
+    else if (diff) event = 'common_wall_restore_diff';
     return {
-      event: applied ? 'common_wall_restore_complete' : 'common_wall_restore_verified',
+      event,
       key: backup.key,
       sha256: backup.sha256,
-      posts: backup.summary.posts,
-      votes: backup.summary.votes,
+      createdAt: document.createdAt,
+      requestedAt: at || null,
+      replayedArchives: chain.length,
+      posts: document.posts.length,
+      votes: document.votes.length,
+      reports: document.reports.length,
+      moderationLog: document.moderationLog.length,
       restoreCheckedPosts: check.restoredPosts,
       restoreCheckedVotes: check.restoredVotes,
-      applied
+      restoreCheckedReports: check.restoredReports,
+      restoreCheckedModerationLog: check.restoredModerationLog,
+      applied,
+      diff
     };
   } finally {
     await Promise.allSettled([
@@ -75,5 +158,7 @@ if (require.main === module) {
 
 module.exports = {
   restore,
+  restoreDiff,
+  restoreTimestamp,
   selectedBackupKey
 };
@@ -4,19 +4,14 @@ const test = require('node:test');
 const zlib = require('node:zlib');
 
 const {
-  CopyObjectCommand,
-  DeleteObjectCommand,
-  GetObjectCommand,
-  HeadObjectCommand,
-  ListObjectsV2Command,
-  PutObjectCommand
-} = require('@aws-sdk/client-s3');
-const {
+  backupKeyCreatedAt,
   backupObjectKey,
   buildBackupDocument,
+  buildIncrementalDocument,
   cleanPrefix,
   decodeBackup,
   encodeBackup,
+  rebuildBackupDocument,
   validateBackupDocument
 } = require('../lib/backup-document');
 const { applyRestore, readSnapshot, verifyRestorable } = require('../lib/database');
@@ -26,16 +21,62 @@ const {
   deleteStalePendingBackups,
   loadLatestBackup,
   publishVerifiedBackup,
+  storageConfig,
   updateLatestManifest,
   uploadPendingAndVerifyBackup
 } = require('../lib/storage');
 const { jobTimeoutMillis, safeErrorMessage } = require('../index');
-const { restore, selectedBackupKey } = require('../restore');
+const { restore, restoreTimestamp, selectedBackupKey } = require('../restore');
+const { MemoryS3 } = require('./support/memory-s3');
 
 const NOW = new Date('2026-07-12T04:00:00.000Z');
 const POST_ID = '123e4567-e89b-42d3-a456-426614174000';
 const HASH = 'a'.repeat(64);
 const VOTER_HASH = 'c'.repeat(64);
+const SECOND_POST_ID = '123e4567-e89b-42d3-a456-426614174002';
+const SECOND_VOTER_HASH = 'e'.repeat(64);
+const REPORTER_HASH = '1'.repeat(64);
+
+const VISIBLE_POST = {
+  moderation_status: 'visible',
+  moderated_at: null,
+  owner_user_id: null,
+  source_poem_id: null
+};
+
+const POST_MODERATION = {
+  moderation_status: 'hidden',
+  moderated_at: '2026-07-12T03:45:00.000Z',
+  owner_user_id: '17',
+  source_poem_id: '4'
+};
+
+function reportRow(overrides = {}) {
+  return {
+    post_id: POST_ID,
+    reporter_token_hash: REPORTER_HASH,
+    reason: 'spam',
+    details: null,
+    created_at: '2026-07-12T03:40:00.000Z',
+    resolved_at: null,
+    ...overrides
+  };
+}
+
+function moderationLogRow(overrides = {}) {
+  return {
+    id: '1',
+    post_id: POST_ID,
+    action: 'auto_hide',
+    actor: 'system',
+    reason: null,
+    note: '1 open report',
+    from_status: 'visible',
+    to_status: 'hidden',
+    created_at: '2026-07-12T03:45:00.000Z',
+    ...overrides
+  };
+}
 
 function sampleDocument() {
   return buildBackupDocument({
@@ -50,7 +91,8 @@ function sampleDocument() {
       author_name: 'Backup Writer',
       poem: 'the copper orchard',
       analysis: null,
-      delete_token_hash: HASH
+      delete_token_hash: HASH,
+      ...POST_MODERATION
     }],
     votes: [{
       post_id: POST_ID,
@@ -58,14 +100,28 @@ function sampleDocument() {
       vote: 1,
       created_at: '2026-07-12T03:15:00.000Z',
       updated_at: '2026-07-12T03:30:00.000Z'
-    }]
+    }],
+    reports: [reportRow()],
+    moderationLog: [moderationLogRow()]
   }, NOW);
 }
 
-function sampleLegacyDocument() {
+// The shape archives had before moderation and account links were backed up.
+function sampleVersionThreeDocument() {
   const current = sampleDocument();
   return {
     ...current,
+    version: 3,
+    source: { schema: 'public', table: 'wall_posts', voteTable: 'wall_post_votes' },
+    posts: current.posts.map(({ moderationStatus, moderatedAt, ownerUserId, sourcePoemId, ...post }) => post),
+    reports: undefined,
+    moderationLog: undefined
+  };
+}
+
+function sampleLegacyDocument() {
+  return {
+    ...sampleVersionThreeDocument(),
     version: 2,
     source: { schema: 'public', table: 'wall_posts' },
     votes: undefined
@@ -124,6 +180,61 @@ test('version 2 archives decode as snapshots with no votes', () => {
   assert.equal(decoded.summary.votes, 0);
 });
 
+test('archives from before version 4 decode as visible, unowned posts with no reports or log', () => {
+  const encode = document => zlib.gzipSync(Buffer.from(JSON.stringify(document)), { level: 9, mtime: 0 });
+  const base = decodeBackup(encode(sampleVersionThreeDocument()));
+  assert.equal(base.document.version, 3);
+  assert.deepEqual(
+    [base.document.posts[0].moderationStatus, base.document.posts[0].moderatedAt,
+      base.document.posts[0].ownerUserId, base.document.posts[0].sourcePoemId],
+    ['visible', null, null, null]
+  );
+  assert.deepEqual([base.document.reports, base.document.moderationLog], [[], []]);
+  assert.deepEqual(base.summary, { posts: 1, votes: 1, reports: 0, moderationLog: 0, migrations: 1 });
+});
+
+test('backup validation checks moderation state, account links, reports, and log entries', () => {
+  const status = sampleDocument();
+  status.posts[0].moderationStatus = 'deleted';
+  assert.throws(() => validateBackupDocument(status), /invalid moderation status/);
+
+  const orphanPoem = sampleDocument();
+  orphanPoem.posts[0].ownerUserId = null;
+  assert.throws(() => validateBackupDocument(orphanPoem), /invalid account link/);
+
+  const numericOwner = sampleDocument();
+  numericOwner.posts[0].ownerUserId = 17;
+  assert.throws(() => validateBackupDocument(numericOwner), /invalid account link/);
+
+  const unknownReport = sampleDocument();
+  unknownReport.reports[0].postId = '123e4567-e89b-42d3-a456-426614174001';
+  assert.throws(() => validateBackupDocument(unknownReport), /report for an unknown wall post/);
+
+  const duplicateReport = sampleDocument();
+  duplicateReport.reports.push({ ...duplicateReport.reports[0], reason: 'abuse' });
+  assert.throws(() => validateBackupDocument(duplicateReport), /duplicate wall report/);
+
+  const reason = sampleDocument();
+  reason.reports[0].reason = 'boring';
+  assert.throws(() => validateBackupDocument(reason), /invalid report reason/);
+
+  const duplicateLog = sampleDocument();
+  duplicateLog.moderationLog.push({ ...duplicateLog.moderationLog[0] });
+  assert.throws(() => validateBackupDocument(duplicateLog), /duplicate moderation log id/);
+
+  const action = sampleDocument();
+  action.moderationLog[0].action = 'delete';
+  assert.throws(() => validateBackupDocument(action), /invalid moderation log entry/);
+
+  const detachedLog = sampleDocument();
+  detachedLog.moderationLog[0].postId = '123e4567-e89b-42d3-a456-426614174001';
+  assert.doesNotThrow(() => validateBackupDocument(detachedLog), 'log entries outlive deleted posts');
+
+  const missingSource = sampleDocument();
+  delete missingSource.source.moderationLogTable;
+  assert.throws(() => validateBackupDocument(missingSource), /moderation sources/);
+});
+
 test('database snapshot uses a read-only transaction and keeps private hashes', async () => {
   const queries = [];
   const client = {
@@ -135,8 +246,11 @@ test('database snapshot uses a read-only transaction and keeps private hashes',
         author_name: 'Backup Writer',
         poem: 'the copper orchard',
         analysis: null,
-        delete_token_hash: HASH
+        delete_token_hash: HASH,
+        ...POST_MODERATION
       }] };
+      if (/FROM wall_post_reports/.test(sql)) return { rows: [reportRow()] };
+      if (/FROM wall_moderation_log/.test(sql)) return { rows: [moderationLogRow()] };
       if (/FROM wall_post_votes/.test(sql)) return { rows: [{
         post_id: POST_ID,
         voter_token_hash: VOTER_HASH,
@@ -155,6 +269,20 @@ test('database snapshot uses a read-only transaction and keeps private hashes',
   const document = await readSnapshot({ async connect() { return client; } }, NOW);
   assert.equal(document.posts[0].deleteTokenHash, HASH);
   assert.equal(document.votes[0].voterTokenHash, VOTER_HASH);
+  assert.deepEqual(
+    [document.posts[0].moderationStatus, document.posts[0].moderatedAt, document.posts[0].ownerUserId, document.posts[0].sourcePoemId],
+    ['hidden', '2026-07-12T03:45:00.000Z', '17', '4']
+  );
+  assert.match(queries.find(sql => /FROM wall_posts/.test(sql)), /owner_user_id::text, source_poem_id::text/);
+  assert.deepEqual(document.reports, [{
+    postId: POST_ID,
+    reporterTokenHash: REPORTER_HASH,
+    reason: 'spam',
+    details: null,
+    createdAt: '2026-07-12T03:40:00.000Z',
+    resolvedAt: null
+  }]);
+  assert.deepEqual(document.moderationLog.map(entry => [entry.id, entry.action, entry.toStatus]), [['1', 'auto_hide', 'hidden']]);
   assert.match(queries[0], /REPEATABLE READ READ ONLY/);
   assert.equal(queries.at(-1), 'COMMIT');
 });
@@ -170,10 +298,16 @@ test('restore verification inserts into a temporary table and always rolls back'
     release() {}
   };
   const result = await verifyRestorable({ async connect() { return client; } }, sampleDocument());
-  assert.deepEqual(result, { restoredPosts: 1, restoredVotes: 1 });
+  assert.deepEqual(result, { restoredPosts: 1, restoredVotes: 1, restoredReports: 1, restoredModerationLog: 1 });
   const postInsert = queries.find(entry => /INSERT INTO common_wall_restore_check_posts/.test(entry.sql));
   assert.equal(postInsert.values[0], POST_ID);
   assert.equal(postInsert.values[5], HASH);
+  assert.deepEqual(postInsert.values.slice(6), ['hidden', '2026-07-12T03:45:00.000Z', '17', '4']);
+  const reportInsert = queries.find(entry => /INSERT INTO common_wall_restore_check_reports/.test(entry.sql));
+  assert.deepEqual(reportInsert.values.slice(0, 3), [POST_ID, REPORTER_HASH, 'spam']);
+  const logInsert = queries.find(entry => /INSERT INTO common_wall_restore_check_moderation_log/.test(entry.sql));
+  assert.match(logInsert.sql, /OVERRIDING SYSTEM VALUE/);
+  assert.deepEqual(logInsert.values.slice(0, 3), ['1', POST_ID, 'auto_hide']);
   const voteInsert = queries.find(entry => /INSERT INTO common_wall_restore_check_votes/.test(entry.sql));
   assert.deepEqual(voteInsert.values.slice(0, 3), [POST_ID, VOTER_HASH, 1]);
   assert.equal(queries.at(-1).sql, 'ROLLBACK');
@@ -197,11 +331,25 @@ test('applied restore locks and refuses a nonempty target', async () => {
   );
   assert.equal(queries[0], 'BEGIN');
   assert.match(queries[1], /ACCESS EXCLUSIVE/);
-  assert.match(queries[1], /wall_post_votes/);
+  assert.match(queries[1], /wall_post_votes, wall_post_reports, wall_moderation_log/);
   assert.equal(queries.at(-1), 'ROLLBACK');
+
+  const logOnly = {
+    async query(sql) {
+      if (/FROM wall_moderation_log\) AS moderation_log/.test(sql)) {
+        return { rows: [{ posts: 0, votes: 0, reports: 0, moderation_log: 2 }] };
+      }
+      return { rows: [] };
+    },
+    release() {}
+  };
+  await assert.rejects(
+    applyRestore({ async connect() { return logOnly; } }, sampleDocument()),
+    /wall_moderation_log must be empty/
+  );
 });
 
-test('applied restore inserts posts before votes into an empty locked target', async () => {
+test('applied restore inserts posts before their votes and reports into an empty locked target', async () => {
   const queries = [];
   const client = {
     async query(sql, values) {
@@ -214,68 +362,28 @@ test('applied restore inserts posts before votes into an empty locked target', a
     release() {}
   };
   const result = await applyRestore({ async connect() { return client; } }, sampleDocument());
-  assert.deepEqual(result, { inserted: 1, existing: 0, insertedVotes: 1, existingVotes: 0 });
+  assert.deepEqual(result, {
+    inserted: 1,
+    existing: 0,
+    insertedVotes: 1,
+    existingVotes: 0,
+    insertedReports: 1,
+    insertedModerationLog: 1
+  });
   const postIndex = queries.findIndex(entry => /INSERT INTO wall_posts/.test(entry.sql));
   const voteIndex = queries.findIndex(entry => /INSERT INTO wall_post_votes/.test(entry.sql));
+  const reportIndex = queries.findIndex(entry => /INSERT INTO wall_post_reports/.test(entry.sql));
+  const logIndex = queries.findIndex(entry => /INSERT INTO wall_moderation_log/.test(entry.sql));
+  const identityIndex = queries.findIndex(entry => /setval\(pg_get_serial_sequence\('wall_moderation_log', 'id'\)/.test(entry.sql));
   assert.ok(postIndex > 0);
   assert.ok(voteIndex > postIndex);
+  assert.ok(reportIndex > postIndex);
+  assert.ok(identityIndex > logIndex && logIndex > 0, 'the log identity moves past the restored ids');
   assert.equal(queries.at(-1).sql, 'COMMIT');
 });
 
-class MemoryS3 {
-  constructor() {
-    this.objects = new Map();
-  }
-
-  async send(command) {
-    const input = command.input;
-    if (command instanceof PutObjectCommand) {
-      this.objects.set(input.Key, {
-        body: Buffer.from(input.Body),
-        metadata: input.Metadata || {},
-        modifiedAt: NOW
-      });
-      return {};
-    }
-    if (command instanceof HeadObjectCommand) {
-      const object = this.objects.get(input.Key);
-      if (!object) throw new Error('missing object');
-      return { ContentLength: object.body.length, Metadata: object.metadata };
-    }
-    if (command instanceof CopyObjectCommand) {
-      const sourceKey = decodeURIComponent(input.CopySource).split('/').slice(1).join('/');
-      const source = this.objects.get(sourceKey);
-      if (!source) throw new Error('missing copy source');
-      this.objects.set(input.Key, {
-        body: Buffer.from(source.body),
-        metadata: { ...source.metadata },
-        modifiedAt: NOW
-      });
-      return {};
-    }
-    if (command instanceof GetObjectCommand) {
-      const object = this.objects.get(input.Key);
-      if (!object) throw new Error('missing object');
-      return { Body: object.body, Metadata: object.metadata };
-    }
-    if (command instanceof ListObjectsV2Command) {
-      return {
-        IsTruncated: false,
-        Contents: [...this.objects.entries()]
-          .filter(([key]) => key.startsWith(input.Prefix))
-          .map(([Key, object]) => ({ Key, LastModified: object.modifiedAt }))
-      };
-    }
-    if (command instanceof DeleteObjectCommand) {
-      this.objects.delete(input.Key);
-      return {};
-    }
-    throw new Error(`unexpected command ${command.constructor.name}`);
-  }
-}
-
 test('object storage upload is downloaded, checksummed, and discoverable as latest', async () => {
-  const client = new MemoryS3();
+  const client = new MemoryS3(NOW);
   const document = sampleDocument();
   const encoded = encodeBackup(document);
   const pending = await uploadPendingAndVerifyBackup({
@@ -294,12 +402,14 @@ test('object storage upload is downloaded, checksummed, and discoverable as late
   assert.equal(latest.summary.votes, 1);
   assert.equal(client.objects.get(backup.key).metadata.votes, '1');
   const manifest = JSON.parse(client.objects.get('common-wall/daily/latest.json').body.toString('utf8'));
-  assert.equal(manifest.version, 3);
+  assert.equal(manifest.version, 4);
   assert.equal(manifest.votes, 1);
+  assert.deepEqual([manifest.reports, manifest.moderationLog], [1, 1]);
+  assert.equal(client.objects.get(backup.key).metadata.moderationlog, '1');
 });
 
 test('latest manifest accepts a version 2 archive and supplies an empty vote list', async () => {
-  const client = new MemoryS3();
+  const client = new MemoryS3(NOW);
   const legacy = sampleLegacyDocument();
   const bytes = Buffer.from(`${JSON.stringify(legacy, null, 2)}\n`, 'utf8');
   const compressed = zlib.gzipSync(bytes, { level: 9, mtime: 0 });
@@ -330,7 +440,7 @@ test('latest manifest accepts a version 2 archive and supplies an empty vote lis
 });
 
 test('backup receipt reports archived and restore-checked vote counts', async () => {
-  const client = new MemoryS3();
+  const client = new MemoryS3(NOW);
   const databaseClient = {
     async query(sql) {
       if (/FROM wall_posts\s+ORDER BY/.test(sql)) return { rows: [{
@@ -339,7 +449,8 @@ test('backup receipt reports archived and restore-checked vote counts', async ()
         author_name: 'Backup Writer',
         poem: 'the copper orchard',
         analysis: null,
-        delete_token_hash: HASH
+        delete_token_hash: HASH,
+        ...VISIBLE_POST
       }] };
       if (/FROM wall_post_votes\s+ORDER BY/.test(sql)) return { rows: [{
         post_id: POST_ID,
@@ -359,6 +470,9 @@ test('backup receipt reports archived and restore-checked vote counts', async ()
       if (/count\(\*\).*common_wall_restore_check_votes/.test(sql)) {
         return { rows: [{ count: 1 }] };
       }
+      if (/count\(\*\).*common_wall_restore_check_(reports|moderation_log)/.test(sql)) {
+        return { rows: [{ count: 0 }] };
+      }
       return { rows: [], rowCount: 1 };
     },
     release() {}
@@ -373,10 +487,14 @@ test('backup receipt reports archived and restore-checked vote counts', async ()
   assert.equal(receipt.votes, 1);
   assert.equal(receipt.restoreCheckedPosts, 1);
   assert.equal(receipt.restoreCheckedVotes, 1);
+  assert.deepEqual(
+    [receipt.reports, receipt.moderationLog, receipt.restoreCheckedReports, receipt.restoreCheckedModerationLog],
+    [0, 0, 0, 0]
+  );
 });
 
 test('retention cleanup deletes only expired compressed backups', async () => {
-  const client = new MemoryS3();
+  const client = new MemoryS3(NOW);
   client.objects.set('common-wall/daily/old.json.gz', {
     body: Buffer.from('old'), metadata: {}, modifiedAt: new Date('2026-05-01T00:00:00Z')
   });
@@ -402,7 +520,7 @@ test('retention cleanup deletes only expired compressed backups', async () => {
 });
 
 test('retention preserves at least seven recovery points after a long outage', async () => {
-  const client = new MemoryS3();
+  const client = new MemoryS3(NOW);
   for (let index = 0; index < 9; index += 1) {
     client.objects.set(`common-wall/daily/archive-${index}.json.gz`, {
       body: Buffer.from(String(index)),
@@ -423,7 +541,7 @@ test('retention preserves at least seven recovery points after a long outage', a
 });
 
 test('a later run removes stale pending uploads without touching recent ones', async () => {
-  const client = new MemoryS3();
+  const client = new MemoryS3(NOW);
   client.objects.set('common-wall/daily/pending/stale.json.gz', {
     body: Buffer.from('stale'), metadata: {}, modifiedAt: new Date('2026-07-10T00:00:00Z')
   });
@@ -495,3 +613,325 @@ test('job timeout is bounded between one and fifteen minutes', () => {
   assert.equal(jobTimeoutMillis({ BACKUP_JOB_TIMEOUT_MS: '1' }), 60000);
   assert.equal(jobTimeoutMillis({ BACKUP_JOB_TIMEOUT_MS: '99999999' }), 900000);
 });
+
+function wallRows() {
+  return {
+    posts: [{
+      id: POST_ID,
+      created_at: '2026-07-12T03:00:00.000Z',
+      author_name: 'Backup Writer',
+      poem: 'the copper orchard',
+      analysis: null,
+      delete_token_hash: HASH,
+      ...VISIBLE_POST
+    }],
+    votes: [{
+      post_id: POST_ID,
+      voter_token_hash: VOTER_HASH,
+      vote: 1,
+      created_at: '2026-07-12T03:15:00.000Z',
+      updated_at: '2026-07-12T03:30:00.000Z'
+    }],
+    reports: [],
+    moderationLog: [],
+    migrations: [{
+      name: '004_create_wall_post_votes.sql',
+      checksum: 'd'.repeat(64),
+      applied_at: '2026-07-12T02:00:00.000Z'
+    }]
+  };
+}
+
+function fakeWallDatabase(rows) {
+  const queries = [];
+  const checkTables = ['posts', 'votes', 'reports', 'moderation_log'];
+  let checked = {};
+  const client = {
+    async query(sql, values) {
+      queries.push({ sql, values });
+      if (sql === 'BEGIN') checked = Object.fromEntries(checkTables.map(table => [table, 0]));
+      if (/FROM wall_posts\s+ORDER BY/.test(sql)) return { rows: rows.posts };
+      if (/FROM wall_post_votes\s+ORDER BY/.test(sql)) return { rows: rows.votes };
+      if (/FROM wall_post_reports\s+ORDER BY/.test(sql)) return { rows: rows.reports };
+      if (/FROM wall_moderation_log\s+ORDER BY/.test(sql)) return { rows: rows.moderationLog };
+      if (/FROM wall_schema_migrations/.test(sql)) return { rows: rows.migrations };
+      for (const table of checkTables) {
+        if (new RegExp(`INSERT INTO common_wall_restore_check_${table}\\b`).test(sql)) checked[table] += 1;
+        if (new RegExp(`count\\(\\*\\).*common_wall_restore_check_${table}\\b`).test(sql)) {
+          return { rows: [{ count: checked[table] }] };
+        }
+      }
+      return { rows: [], rowCount: 1 };
+    },
+    release() {}
+  };
+  return { pool: { async connect() { return client; } }, queries };
+}
+
+function laterWall() {
+  const rows = wallRows();
+  rows.posts.push({
+    id: SECOND_POST_ID,
+    created_at: '2026-07-12T20:00:00.000Z',
+    author_name: 'Later Writer',
+    poem: 'a second lantern',
+    analysis: 'kept after the first snapshot',
+    delete_token_hash: HASH,
+    ...VISIBLE_POST
+  });
+  rows.votes[0] = { ...rows.votes[0], vote: -1, updated_at: '2026-07-12T21:00:00.000Z' };
+  rows.votes.push({
+    post_id: SECOND_POST_ID,
+    voter_token_hash: SECOND_VOTER_HASH,
+    vote: 1,
+    created_at: '2026-07-12T21:00:00.000Z',
+    updated_at: '2026-07-12T21:00:00.000Z'
+  });
+  return rows;
+}
+
+// The later wall after a reader reported the first post and it was hidden.
+function moderatedWall() {
+  const rows = laterWall();
+  rows.posts[0] = { ...rows.posts[0], ...POST_MODERATION };
+  rows.reports.push(reportRow());
+  rows.moderationLog.push(moderationLogRow({ action: 'report', from_status: null, to_status: null, note: null }));
+  rows.moderationLog.push(moderationLogRow({ id: '2' }));
+  return rows;
+}
+
+test('incremental documents record row changes and replay onto their base', () => {
+  const base = sampleDocument();
+  const next = buildBackupDocument({
+    schemaMigrations: base.schemaMigrations.map(migration => ({ ...migration })),
+    posts: [{
+      id: SECOND_POST_ID,
+      created_at: '2026-07-12T20:00:00.000Z',
+      author_name: 'Later Writer',
+      poem: 'a second lantern',
+      analysis: null,
+      delete_token_hash: HASH,
+      ...VISIBLE_POST
+    }],
+    votes: [{
+      post_id: SECOND_POST_ID,
+      voter_token_hash: SECOND_VOTER_HASH,
+      vote: -1,
+      created_at: '2026-07-12T21:00:00.000Z',
+      updated_at: '2026-07-12T21:00:00.000Z'
+    }]
+  }, new Date('2026-07-13T04:00:00.000Z'));
+  const incremental = buildIncrementalDocument(base, next, {
+    key: 'common-wall/daily/base.json.gz',
+    sha256: 'f'.repeat(64),
+    sequence: 0
+  });
+  assert.equal(incremental.version, 5);
+  assert.equal(incremental.sequence, 1);
+  assert.deepEqual(incremental.base, {
+    key: 'common-wall/daily/base.json.gz',
+    sha256: 'f'.repeat(64),
+    createdAt: NOW.toISOString()
+  });
+  assert.deepEqual(incremental.changes.posts.deleted, [POST_ID]);
+  assert.deepEqual(incremental.changes.posts.upserted.map(post => post.id), [SECOND_POST_ID]);
+  assert.deepEqual(incremental.changes.votes.deleted, [{ postId: POST_ID, voterTokenHash: VOTER_HASH }]);
+  assert.deepEqual(incremental.changes.reports, {
+    upserted: [],
+    deleted: [{ postId: POST_ID, reporterTokenHash: REPORTER_HASH }]
+  });
+  assert.deepEqual(incremental.changes.moderationLog, { upserted: [], deleted: ['1'] });
+  assert.deepEqual(validateBackupDocument(incremental), {
+    posts: 2, votes: 2, reports: 1, moderationLog: 1, migrations: 1
+  });
+  assert.deepEqual(rebuildBackupDocument([base, incremental]), next);
+
+  const encoded = encodeBackup(incremental);
+  const key = backupObjectKey(incremental, encoded.sha256, 'common-wall/daily');
+  assert.equal(key, `common-wall/daily/2026-07-13T04-00-00-000Z-${encoded.sha256.slice(0, 12)}.incremental.json.gz`);
+  assert.equal(backupKeyCreatedAt(key), '2026-07-13T04:00:00.000Z');
+  assert.deepEqual(decodeBackup(encoded.compressed).document, incremental);
+
+  assert.throws(() => rebuildBackupDocument([incremental]), /must start with a full snapshot/);
+  assert.throws(() => rebuildBackupDocument([base, { ...incremental, sequence: 2 }]), /out of order/);
+  assert.throws(() => rebuildBackupDocument([next, incremental]), /does not follow its base/);
+  const stale = structuredClone(incremental);
+  stale.base.createdAt = next.createdAt;
+  assert.throws(() => validateBackupDocument(stale), /newer than its base/);
+});
+
+test('a run after a full snapshot archives only changed rows and restore-checks the replayed wall', async () => {
+  const client = new MemoryS3(NOW);
+  const env = { BACKUP_PREFIX: 'common-wall/daily', BACKUP_FULL_INTERVAL: '2' };
+  const storage = { client, bucket: 'test-bucket' };
+  const first = await runBackup({ pool: fakeWallDatabase(wallRows()).pool, storage, env, now: NOW });
+  assert.equal(first.kind, 'full');
+  assert.equal(first.fullSnapshotReason, 'no-readable-previous-backup');
+
+  const database = fakeWallDatabase(laterWall());
+  const second = await runBackup({
+    pool: database.pool, storage, env, now: new Date('2026-07-13T04:00:00.000Z')
+  });
+  assert.equal(second.kind, 'incremental');
+  assert.equal(second.sequence, 1);
+  assert.equal(second.baseKey, first.key);
+  assert.match(second.key, /\.incremental\.json\.gz$/);
+  assert.deepEqual(
+    [second.posts, second.votes, second.changedPosts, second.changedVotes],
+    [2, 2, 1, 2]
+  );
+  assert.equal(second.restoreCheckedPosts, 2);
+  assert.equal(second.restoreCheckedVotes, 2);
+  const manifest = JSON.parse(client.objects.get('common-wall/daily/latest.json').body.toString('utf8'));
+  assert.deepEqual([manifest.version, manifest.sequence, manifest.key], [5, 1, second.key]);
+
+  const third = await runBackup({
+    pool: fakeWallDatabase(laterWall()).pool, storage, env, now: new Date('2026-07-14T04:00:00.000Z')
+  });
+  assert.equal(third.kind, 'full');
+  assert.equal(third.fullSnapshotReason, 'interval');
+});
+
+test('a point-in-time restore replays the chain and a dry-run diff lists what would change', async () => {
+  const client = new MemoryS3(NOW);
+  const env = { BACKUP_PREFIX: 'common-wall/daily' };
+  const storage = { client, bucket: 'test-bucket' };
+  await runBackup({ pool: fakeWallDatabase(wallRows()).pool, storage, env, now: NOW });
+  const later = await runBackup({
+    pool: fakeWallDatabase(laterWall()).pool, storage, env, now: new Date('2026-07-13T04:00:00.000Z')
+  });
+  assert.equal(later.kind, 'incremental');
+
+  const live = fakeWallDatabase(wallRows());
+  const receipt = await restore({
+    env: { ...env, RESTORE_AT: '2026-07-13T12:00:00Z', RESTORE_DIFF: 'true' },
+    pool: live.pool,
+    storage
+  });
+  assert.equal(receipt.event, 'common_wall_restore_diff');
+  assert.equal(receipt.key, later.key);
+  assert.equal(receipt.createdAt, '2026-07-13T04:00:00.000Z');
+  assert.equal(receipt.requestedAt, '2026-07-13T12:00:00.000Z');
+  assert.equal(receipt.replayedArchives, 2);
+  assert.deepEqual([receipt.posts, receipt.votes], [2, 2]);
+  assert.equal(receipt.applied, null);
+  assert.deepEqual(receipt.diff, {
+    changes: 3,
+    reports: { added: [], changed: [], removed: [] },
+    moderationLog: { added: [], changed: [], removed: [] },
+    posts: { added: [SECOND_POST_ID], changed: [], removed: [] },
+    votes: {
+      added: [{ postId: SECOND_POST_ID, voter: SECOND_VOTER_HASH.slice(0, 12), vote: 1 }],
+      changed: [{ postId: POST_ID, voter: VOTER_HASH.slice(0, 12), from: 1, to: -1 }],
+      removed: []
+    }
+  });
+  assert.doesNotMatch(JSON.stringify(receipt), new RegExp(VOTER_HASH));
+  assert.equal(live.queries.some(entry => /INSERT INTO wall_/.test(entry.sql)), false);
+
+  const earlier = await restore({
+    env: { ...env, RESTORE_AT: '2026-07-12T23:59:59Z', RESTORE_DIFF: 'true' },
+    pool: fakeWallDatabase(wallRows()).pool,
+    storage
+  });
+  assert.equal(earlier.replayedArchives, 1);
+  assert.equal(earlier.diff.changes, 0);
+  await assert.rejects(
+    restore({ env: { ...env, RESTORE_AT: '2026-07-01T00:00:00Z' }, pool: live.pool, storage }),
+    /No backup was taken at or before RESTORE_AT/
+  );
+});
+
+test('moderation changes ride the incremental chain and show up in a dry-run diff', async () => {
+  const client = new MemoryS3(NOW);
+  const env = { BACKUP_PREFIX: 'common-wall/daily' };
+  const storage = { client, bucket: 'test-bucket' };
+  await runBackup({ pool: fakeWallDatabase(wallRows()).pool, storage, env, now: NOW });
+  const later = await runBackup({
+    pool: fakeWallDatabase(moderatedWall()).pool, storage, env, now: new Date('2026-07-13T04:00:00.000Z')
+  });
+  assert.equal(later.kind, 'incremental');
+  assert.deepEqual(
+    [later.changedPosts, later.changedReports, later.changedModerationLog],
+    [2, 1, 2]
+  );
+  assert.deepEqual([later.restoreCheckedReports, later.restoreCheckedModerationLog], [1, 2]);
+
+  const receipt = await restore({
+    env: { ...env, RESTORE_DIFF: 'true' },
+    pool: fakeWallDatabase(wallRows()).pool,
+    storage
+  });
+  assert.deepEqual([receipt.reports, receipt.moderationLog], [1, 2]);
+  assert.deepEqual(receipt.diff.posts.changed, [POST_ID]);
+  assert.deepEqual(receipt.diff.reports, {
+    added: [{ postId: POST_ID, reporter: REPORTER_HASH.slice(0, 12), reason: 'spam' }],
+    changed: [],
+    removed: []
+  });
+  assert.deepEqual(receipt.diff.moderationLog, { added: ['1', '2'], changed: [], removed: [] });
+  assert.doesNotMatch(JSON.stringify(receipt), new RegExp(REPORTER_HASH));
+
+  const settled = moderatedWall();
+  settled.reports[0] = { ...settled.reports[0], resolved_at: '2026-07-13T09:00:00.000Z' };
+  const settledDiff = await restore({
+    env: { ...env, RESTORE_DIFF: 'true' },
+    pool: fakeWallDatabase(settled).pool,
+    storage
+  });
+  assert.equal(settledDiff.diff.changes, 1, 'a settled report differs from the archived open one');
+  assert.equal(settledDiff.diff.reports.changed.length, 1);
+});
+
+test('restore options reject ambiguous or unsafe combinations', async () => {
+  assert.equal(restoreTimestamp({ RESTORE_AT: '2026-07-13T12:00:00+02:00' }), '2026-07-13T10:00:00.000Z');
+  assert.equal(restoreTimestamp({}), '');
+  assert.throws(() => restoreTimestamp({ RESTORE_AT: 'yesterday' }), /RESTORE_AT must be a valid timestamp/);
+  await assert.rejects(
+    restore({ env: { RESTORE_APPLY: 'true', RESTORE_DIFF: 'true' } }),
+    /cannot be combined with RESTORE_APPLY/
+  );
+  await assert.rejects(
+    restore({ env: { BACKUP_KEY: 'common-wall/daily/a.json.gz', RESTORE_AT: '2026-07-13T12:00:00Z' } }),
+    /BACKUP_KEY or RESTORE_AT, not both/
+  );
+});
+
+test('retention keeps the full snapshot and incrementals a recent incremental replays', async () => {
+  const client = new MemoryS3(NOW);
+  const archives = [
+    ['common-wall/daily/2026-05-01T06-15-00-000Z-aaaaaaaaaaaa.json.gz', '2026-05-01T06:15:00Z'],
+    ['common-wall/daily/2026-05-20T06-15-00-000Z-bbbbbbbbbbbb.json.gz', '2026-05-20T06:15:00Z'],
+    ['common-wall/daily/2026-05-21T06-15-00-000Z-cccccccccccc.incremental.json.gz', '2026-05-21T06:15:00Z'],
+    ['common-wall/daily/2026-06-20T06-15-00-000Z-dddddddddddd.incremental.json.gz', '2026-06-20T06:15:00Z']
+  ];
+  for (const [key, modifiedAt] of archives) {
+    client.objects.set(key, { body: Buffer.from(key), metadata: {}, modifiedAt: new Date(modifiedAt) });
+  }
+  const deleted = await deleteExpiredBackups({
+    client,
+    bucket: 'test-bucket',
+    prefix: 'common-wall/daily',
+    keepKey: archives[3][0],
+    now: NOW,
+    days: 35,
+    minimumArchives: 1
+  });
+  assert.equal(deleted, 1);
+  assert.deepEqual([...client.objects.keys()], archives.slice(1).map(([key]) => key));
+});
+
+test('object storage requires HTTPS except for a local S3-compatible stand-in', () => {
+  const env = {
+    BACKUP_BUCKET_NAME: 'wall',
+    BACKUP_BUCKET_ACCESS_KEY_ID: 'local',
+    BACKUP_BUCKET_SECRET_ACCESS_KEY: 'local-secret',
+    BACKUP_BUCKET_URL_STYLE: 'path'
+  };
+  assert.equal(storageConfig({ ...env, BACKUP_BUCKET_ENDPOINT: 'http://127.0.0.1:9000' }).endpoint, 'http://127.0.0.1:9000');
+  assert.equal(storageConfig({ ...env, BACKUP_BUCKET_ENDPOINT: 'http://localhost:9000' }).forcePathStyle, true);
+  assert.throws(
+    () => storageConfig({ ...env, BACKUP_BUCKET_ENDPOINT: 'http://storage.example.com' }),
+    /must use HTTPS/
+  );
+});
@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const test = require('node:test');
+const { Pool } = require('pg');
+
+const { runBackup } = require('../lib/run-backup');
+const { restore } = require('../restore');
+const { MemoryS3 } = require('./support/memory-s3');
+
+// Point TEST_DATABASE_URL at a disposable database migrated with
+// web/postgres/migrations. The test only removes the rows it adds.
+const databaseUrl = String(process.env.TEST_DATABASE_URL || '').trim();
+const integrationTest = databaseUrl ? test : test.skip;
+
+const FIRST_RUN = new Date('2026-07-12T06:15:00.000Z');
+const SECOND_RUN = new Date('2026-07-13T06:15:00.000Z');
+
+async function insertPost(pool, id, poem) {
+  await pool.query(`
+    INSERT INTO wall_posts (id, author_name, poem, analysis, delete_token_hash)
+    VALUES ($1::uuid, 'Backup integration', $2, NULL, $3)
+  `, [id, poem, 'a'.repeat(64)]);
+}
+
+integrationTest('Postgres wall rebuilds an earlier run from an incremental chain and diffs it', async (t) => {
+  const pool = new Pool({ connectionString: databaseUrl, max: 1, connectionTimeoutMillis: 5000 });
+  const storage = { client: new MemoryS3(SECOND_RUN), bucket: 'integration-bucket' };
+  const env = { BACKUP_PREFIX: 'common-wall/integration', BACKUP_FULL_INTERVAL: '7' };
+  const kept = crypto.randomUUID();
+  const added = crypto.randomUUID();
+  const voter = crypto.randomBytes(32).toString('hex');
+  const reporter = crypto.randomBytes(32).toString('hex');
+  t.after(async () => {
+    await pool.query('DELETE FROM wall_moderation_log WHERE post_id = ANY($1::uuid[])', [[kept, added]]);
+    await pool.query('DELETE FROM wall_posts WHERE id = ANY($1::uuid[])', [[kept, added]]);
+    await pool.end();
+  });
+
+  await insertPost(pool, kept, 'a lamp left burning');
+  await pool.query(`
+    INSERT INTO wall_post_votes (post_id, voter_token_hash, vote) VALUES ($1::uuid, $2, 1)
+  `, [kept, voter]);
+  const first = await runBackup({ pool, storage, env, now: FIRST_RUN, keepOpen: true });
+  assert.equal(first.kind, 'full');
+
+  await insertPost(pool, added, 'a second lamp');
+  await pool.query(`
+    UPDATE wall_post_votes SET vote = -1, updated_at = CURRENT_TIMESTAMP(3)
+    WHERE post_id = $1::uuid AND voter_token_hash = $2
+  `, [kept, voter]);
+  await pool.query(`
+    INSERT INTO wall_post_reports (post_id, reporter_token_hash, reason) VALUES ($1::uuid, $2, 'spam')
+  `, [kept, reporter]);
+  await pool.query(`
+    UPDATE wall_posts SET moderation_status = 'hidden', moderated_at = CURRENT_TIMESTAMP(3) WHERE id = $1::uuid
+  `, [kept]);
+  const logged = await pool.query(`
+    INSERT INTO wall_moderation_log (post_id, action, actor, from_status, to_status)
+    VALUES ($1::uuid, 'auto_hide', 'system', 'visible', 'hidden')
+    RETURNING id::text
+  `, [kept]);
+  const second = await runBackup({ pool, storage, env, now: SECOND_RUN, keepOpen: true });
+  assert.equal(second.kind, 'incremental');
+  assert.equal(second.baseKey, first.key);
+
+  const current = await restore({
+    env: { ...env, RESTORE_DIFF: 'true' },
+    pool,
+    storage
+  });
+  assert.equal(current.key, second.key);
+  assert.equal(current.replayedArchives, 2);
+  assert.equal(current.diff.posts.added.includes(added), false);
+
+  const earlier = await restore({
+    env: { ...env, RESTORE_AT: '2026-07-12T23:00:00Z', RESTORE_DIFF: 'true' },
+    pool,
+    storage
+  });
+  assert.equal(earlier.key, first.key);
+  assert.deepEqual(earlier.diff.posts.removed.filter(id => [kept, added].includes(id)), [added]);
+  assert.equal(earlier.diff.posts.changed.includes(kept), true, 'the hidden post is visible again in the earlier wall');
+  assert.deepEqual(
+    earlier.diff.reports.removed.filter(report => report.postId === kept),
+    [{ postId: kept, reporter: reporter.slice(0, 12), reason: 'spam' }]
+  );
+  assert.equal(earlier.diff.moderationLog.removed.includes(logged.rows[0].id), true);
+  assert.deepEqual(
+    earlier.diff.votes.changed.filter(vote => vote.postId === kept),
+    [{ postId: kept, voter: voter.slice(0, 12), from: -1, to: 1 }]
+  );
+});
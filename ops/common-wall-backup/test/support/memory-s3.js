@@ -0,0 +1,63 @@
+const {
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand
+} = require('@aws-sdk/client-s3');
+
+class MemoryS3 {
+  constructor(now = new Date()) {
+    this.now = now;
+    this.objects = new Map();
+  }
+
+  async send(command) {
+    const input = command.input;
+    if (command instanceof PutObjectCommand) {
+      this.objects.set(input.Key, {
+        body: Buffer.from(input.Body),
+        metadata: input.Metadata || {},
+        modifiedAt: this.now
+      });
+      return {};
+    }
+    if (command instanceof HeadObjectCommand) {
+      const object = this.objects.get(input.Key);
+      if (!object) throw new Error('missing object');
+      return { ContentLength: object.body.length, Metadata: object.metadata };
+    }
+    if (command instanceof CopyObjectCommand) {
+      const sourceKey = decodeURIComponent(input.CopySource).split('/').slice(1).join('/');
+      const source = this.objects.get(sourceKey);
+      if (!source) throw new Error('missing copy source');
+      this.objects.set(input.Key, {
+        body: Buffer.from(source.body),
+        metadata: { ...source.metadata },
+        modifiedAt: this.now
+      });
+      return {};
+    }
+    if (command instanceof GetObjectCommand) {
+      const object = this.objects.get(input.Key);
+      if (!object) throw new Error('missing object');
+      return { Body: object.body, Metadata: object.metadata };
+    }
+    if (command instanceof ListObjectsV2Command) {
+      return {
+        IsTruncated: false,
+        Contents: [...this.objects.entries()]
+          .filter(([key]) => key.startsWith(input.Prefix))
+          .map(([Key, object]) => ({ Key, LastModified: object.modifiedAt }))
+      };
+    }
+    if (command instanceof DeleteObjectCommand) {
+      this.objects.delete(input.Key);
+      return {};
+    }
+    throw new Error(`unexpected command ${command.constructor.name}`);
+  }
+}
+
+module.exports = { MemoryS3 };
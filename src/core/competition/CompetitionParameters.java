@@ -119,6 +119,12 @@ public class CompetitionParameters
      */
     public static int LONG_DELAY = 25;
 
+    /**
+     * Headless fast-forward for batch evals: online games skip rendering and
+     * the screenshot file, and tick as fast as the client answers.
+     */
+    public static boolean FAST_FORWARD = false;
+
 
     /**
      * Max time a game can run
@@ -2,6 +2,7 @@ package core.game;
 
 import java.awt.*;
 import java.util.ArrayList;
+import java.util.HashMap;
 import java.util.Random;
 
 import core.competition.CompetitionParameters;
@@ -39,6 +40,10 @@ public class BasicGame extends Game {
 	// List of IDs of the sprites should not be traversable for the pathfinder.
 	private ArrayList<Integer> obstacles;
 
+	// The game's own level mapping, restored after a generated level that
+	// brought its own.
+	private HashMap<Character, ArrayList<String>> defaultCharMapping;
+
 	/**
 	 * Default constructor for a basic game.
 	 *
@@ -70,7 +75,7 @@ public class BasicGame extends Game {
 	 *            file name containing the level.
 	 */
 	public void buildLevel(String gamelvl, int randomSeed) {
-		String[] lines = new IO().readFile(gamelvl);
+		String[] lines = applyLevelFileMapping(new IO().readFile(gamelvl));
 
 		// Pathfinder
 		obstacles = new ArrayList<>();
@@ -96,6 +101,50 @@ public class BasicGame extends Game {
 		}
 	}
 
+	/**
+	 * Generated level files (see tracks.levelGeneration.LevelGenMachine) open
+	 * with a LevelMapping section followed by LevelDescription. Applies that
+	 * mapping on top of the game's and returns the description lines; plain
+	 * level files get the game's own mapping back and are returned unchanged.
+	 *
+	 * @param lines
+	 *            lines of the level file.
+	 * @return the lines that describe the level layout.
+	 */
+	private String[] applyLevelFileMapping(String[] lines) {
+		if (defaultCharMapping == null)
+			defaultCharMapping = charMapping;
+
+		if (lines.length == 0 || !lines[0].trim().equals("LevelMapping")) {
+			charMapping = defaultCharMapping;
+			return lines;
+		}
+
+		HashMap<Character, ArrayList<String>> mapping = new HashMap<>(defaultCharMapping);
+		ArrayList<String> description = new ArrayList<>();
+		boolean inDescription = false;
+		for (int i = 1; i < lines.length; i++) {
+			String line = lines[i];
+			if (inDescription) {
+				description.add(line);
+			} else if (line.trim().equals("LevelDescription")) {
+				inDescription = true;
+			} else if (line.contains(">") && !line.split(">")[0].trim().isEmpty()) {
+				String[] sides = line.split(">");
+				ArrayList<String> sprites = new ArrayList<>();
+				if (sides.length > 1) {
+					for (String sprite : sides[1].trim().split(" ")) {
+						if (!sprite.trim().isEmpty())
+							sprites.add(sprite.trim());
+					}
+				}
+				mapping.put(sides[0].trim().charAt(0), sprites);
+			}
+		}
+		charMapping = mapping;
+		return description.toArray(new String[0]);
+	}
+
 	@Override
 	/**
 	 * Builds a level from this game, reading it from file.
@@ -979,13 +979,17 @@ public abstract class Game {
 		// Prepare some structures and references for this game.
 		prepareGame(players, randomSeed, humanID);
 
-		// Create and initialize the panel for the graphics.
-		VGDLViewer view = new VGDLViewer(this, players[humanID]);
-		view.justImage = true;
+		// Create and initialize the panel for the graphics. Fast-forward runs
+		// draw nothing, so no screenshot is written either.
+		VGDLViewer view = null;
+		if (!CompetitionParameters.FAST_FORWARD) {
+			view = new VGDLViewer(this, players[humanID]);
+			view.justImage = true;
+		}
 		wi.windowClosed = false;
 
 		// Determine the delay for playing with a good fps.
-		double delay = CompetitionParameters.LONG_DELAY;
+		double delay = CompetitionParameters.FAST_FORWARD ? 0 : CompetitionParameters.LONG_DELAY;
 		for (Player player : players)
 			if (player instanceof tracks.singlePlayer.tools.human.Agent) {
 				delay = 1000.0 / CompetitionParameters.DELAY; // in milliseconds
@@ -1009,7 +1013,8 @@ public abstract class Game {
 			waitStep(remaining);
 
 			// Draw all sprites in the panel.
-			view.paint(this.spriteGroups);
+			if (view != null)
+				view.paint(this.spriteGroups);
 
 			if (firstRun && isHuman) {
 				firstRun = false;
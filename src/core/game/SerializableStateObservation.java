@@ -36,6 +36,12 @@ public class SerializableStateObservation {
     public double[] worldDimension;
     public int blockSize;
     public int noOfPlayers;
+    // Two-player games: the avatar this observation is for, plus every
+    // player's score, result and last action indexed by playerID.
+    public int playerID;
+    public double[] playerScores;
+    public Types.WINNER[] playerWinners;
+    public Types.ACTIONS[] playerLastActions;
     public float avatarSpeed;
     public double[] avatarOrientation;
     public double[] avatarPosition;
@@ -118,6 +124,28 @@ public class SerializableStateObservation {
         gameTick = s.getGameTick();
         gameWinner = s.getGameWinner();
         isGameOver = s.isGameOver();
+        if (s instanceof StateObservationMulti) {
+            buildPlayerData((StateObservationMulti) s);
+        }
+    }
+
+    // The single-player getters report player 0; overwrite the per-avatar
+    // fields with this observer's own, and list everyone's for the scoreboard.
+    private void buildPlayerData(StateObservationMulti s){
+        playerID = s.playerID;
+        int players = s.getNoPlayers();
+        availableActions = s.getAvailableActions(playerID);
+        gameScore = (float) s.getGameScore(playerID);
+        Types.WINNER[] winners = s.getMultiGameWinner();
+        gameWinner = winners[playerID];
+
+        playerScores = new double[players];
+        playerLastActions = new Types.ACTIONS[players];
+        for (int i = 0; i < players; i++) {
+            playerScores[i] = s.getGameScore(i);
+            playerLastActions[i] = s.getAvatarLastAction(i);
+        }
+        playerWinners = Arrays.copyOf(winners, players);
     }
 
     private void buildDataVariables(StateObservation s){
@@ -145,6 +173,22 @@ public class SerializableStateObservation {
         avatarMaxHealthPoints = s.getAvatarMaxHealthPoints();
         avatarLimitHealthPoints = s.getAvatarLimitHealthPoints();
         isAvatarAlive = s.isAvatarAlive();
+
+        if (s instanceof StateObservationMulti) {
+            StateObservationMulti multi = (StateObservationMulti) s;
+            avatarSpeed = (float) multi.getAvatarSpeed(playerID);
+            avatarOrientation[0] = multi.getAvatarOrientation(playerID).x;
+            avatarOrientation[1] = multi.getAvatarOrientation(playerID).y;
+            avatarPosition[0] = multi.getAvatarPosition(playerID).x;
+            avatarPosition[1] = multi.getAvatarPosition(playerID).y;
+            avatarResources = multi.getAvatarResources(playerID);
+            avatarLastAction = multi.getAvatarLastAction(playerID);
+            avatarType = multi.getAvatarType(playerID);
+            avatarHealthPoints = multi.getAvatarHealthPoints(playerID);
+            avatarMaxHealthPoints = multi.getAvatarMaxHealthPoints(playerID);
+            avatarLimitHealthPoints = multi.getAvatarLimitHealthPoints(playerID);
+            isAvatarAlive = multi.isAvatarAlive(playerID);
+        }
     }
 
     private void buildDataArraylists(StateObservation s){
@@ -2,12 +2,38 @@ package core.generator;
 
 import java.util.ArrayList;
 import java.util.HashMap;
+import java.util.Random;
 
 import core.game.GameDescription;
 import tools.ElapsedCpuTimer;
 
 public abstract class AbstractLevelGenerator {
 
+	/**
+	 * Seed for the random number generators of generators created from now on.
+	 * Null (the default) draws a fresh sequence every time.
+	 */
+	private static Long randomSeed = null;
+
+	/**
+	 * Fix the seed used by generators created after this call, so the same seed
+	 * generates the same level. Null goes back to unseeded generation.
+	 * @param seed	seed for the generators' random number generator, or null
+	 */
+	public static void setRandomSeed(Long seed)
+	{
+		randomSeed = seed;
+	}
+
+	/**
+	 * Random number generator for a new generator instance.
+	 * @return	a Random seeded with the fixed seed if one is set, unseeded otherwise
+	 */
+	protected static Random createRandom()
+	{
+		return randomSeed == null ? new Random() : new Random(randomSeed);
+	}
+
 	/**
 	 * This function is called by the game engine to get a level description string.
 	 * @param game			GameDescription object holding all game information
@@ -139,9 +139,14 @@ public class LearningPlayer extends Player {
 
     }
 
+    /**
+     * Two-player games ask each avatar's player for its move with that player's
+     * own observation. The ACT exchange is the same as single player; the
+     * serialized observation carries playerID and every player's score.
+     */
     @Override
     public Types.ACTIONS act(StateObservationMulti stateObs, ElapsedCpuTimer elapsedTimer) {
-        return null;
+        return act((StateObservation) stateObs, elapsedTimer);
     }
 
     /**
@@ -49,6 +49,64 @@ public class LearningMachine {
         return finalScore;
     }
 
+    /**
+     * Reads and launches a two-player game with one learning client per avatar.
+     * Each player gets its own socket; they are opened in playerID order, so
+     * client 0 must connect before the engine starts listening for client 1.
+     *
+     * @param game_file  game description file.
+     * @param level_file file with the level to be played.
+     * @param visuals    true to show the graphics, false otherwise.
+     * @param cmds       one command array (script, agent, port, client type) per player.
+     * @param randomSeed sampleRandom seed for the sampleRandom generator.
+     * @return Score of every player, indexed by playerID.
+     */
+    public static double[] runOneMultiGame(String game_file, String level_file, boolean visuals,
+                                           String[][] cmds, int randomSeed) throws IOException {
+        System.out.println(" ** Playing two-player game " + game_file + ", level " + level_file + " **");
+
+        //1. Create the players. Each constructor blocks until its client connects.
+        LearningPlayer[] players = new LearningPlayer[cmds.length];
+        for (int i = 0; i < cmds.length; i++) {
+            players[i] = LearningMachine.createPlayer(cmds[i]);
+            players[i].setPlayerID(i);
+        }
+
+        VGDLFactory.GetInstance().init(); //This always first thing to do.
+        VGDLRegistry.GetInstance().init();
+        CompetitionParameters.IS_LEARNING = true;
+
+        //2. Build the level and init every player with its own observation.
+        Game toPlay = new VGDLParser().parseGame(game_file);
+        toPlay.buildLevel(level_file, randomSeed);
+        if (toPlay.no_players != players.length) {
+            System.err.println("Game " + game_file + " needs " + toPlay.no_players + " players, got " + players.length);
+            toPlay.disqualify();
+            return toPlay.handleResult();
+        }
+        for (int i = 0; i < players.length; i++) {
+            players[i].setup(null, randomSeed, false);
+            if (!players[i].init(toPlay.getObservationMulti(i), false)) {
+                toPlay.disqualify(i);
+                return toPlay.handleResult();
+            }
+        }
+
+        //3. Play, then report each player's own final state and tear down.
+        double[] score;
+        if (visuals)
+            score = toPlay.playGame(players, randomSeed, true, 0);
+        else
+            score = toPlay.playOnlineGame(players, randomSeed, false, 0);
+
+        for (int i = 0; i < players.length; i++) {
+            players[i].result(toPlay.getObservationMulti(i));
+            LearningMachine.tearPlayerDown(players[i], toPlay);
+        }
+
+        return score;
+    }
+
     /**
      * Reads and launches a game to be played on a series of both pre-determined and non
      * pre-determined levels.
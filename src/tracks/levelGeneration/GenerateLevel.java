@@ -0,0 +1,55 @@
+package tracks.levelGeneration;
+
+import java.io.File;
+
+/**
+ * Command line entry for seeded level generation, run by the web layer's
+ * POST /api/games/:id/levels/generate:
+ *
+ *   java tracks.levelGeneration.GenerateLevel -game examples/gridphysics/aliens.txt
+ *        -generator tracks.levelGeneration.constructiveLevelGenerator.LevelGenerator
+ *        -seed 42 -out examples/gridphysics/aliens_lvl5.txt [-timeMs 30000]
+ *
+ * Exits with status 0 once the level is saved, 1 otherwise.
+ */
+public class GenerateLevel {
+
+    /**
+     * Default time the generator has to produce the level.
+     */
+    private static final long DEFAULT_TIME_MILLIS = 30000;
+
+    public static void main(String[] args) {
+        String gameFile = null;
+        String generator = "tracks.levelGeneration.constructiveLevelGenerator.LevelGenerator";
+        String levelFile = null;
+        long seed = 0;
+        long timeMillis = DEFAULT_TIME_MILLIS;
+
+        for (int i = 0; i + 1 < args.length; i += 2) {
+            String value = args[i + 1];
+            switch (args[i]) {
+                case "-game": gameFile = value; break;
+                case "-generator": generator = value; break;
+                case "-out": levelFile = value; break;
+                case "-seed": seed = Long.parseLong(value); break;
+                case "-timeMs": timeMillis = Long.parseLong(value); break;
+                default:
+                    System.err.println("Unknown argument " + args[i]);
+                    System.exit(1);
+            }
+        }
+        if (gameFile == null || levelFile == null) {
+            System.err.println("Usage: GenerateLevel -game <file> -out <file> [-generator <class>] [-seed <n>] [-timeMs <ms>]");
+            System.exit(1);
+        }
+
+        File parent = new File(levelFile).getAbsoluteFile().getParentFile();
+        if (parent != null) {
+            parent.mkdirs();
+        }
+        boolean saved = LevelGenMachine.generateSeededLevel(gameFile, generator, levelFile, seed, timeMillis);
+        System.out.println(saved ? "[LEVELGEN] saved " + levelFile : "[LEVELGEN] failed");
+        System.exit(saved ? 0 : 1);
+    }
+}
@@ -84,6 +84,62 @@ public class LevelGenMachine
     }
 
 
+    /**
+     * Generate a level with a seeded generator and a bounded time budget, then
+     * save it with its level mapping. The random and constructive generators
+     * draw only from the seeded generator, so the same game, generator and seed
+     * give the same level; the genetic generator evolves until its time budget
+     * runs out and scores levels by playing them, so its seed does not pin the
+     * level. Used by the web layer to grow held-out evaluation levels.
+     *
+     * @param gameFile game description file.
+     * @param levelGenerator level generator class path.
+     * @param levelFile file to save the generated level in it
+     * @param seed seed for the generator's random number generator
+     * @param timeMillis time the generator has to produce the level
+     * @return true if a level that builds in the game was saved
+     */
+    public static boolean generateSeededLevel(String gameFile, String levelGenerator, String levelFile, long seed,
+                                              long timeMillis) {
+        VGDLFactory.GetInstance().init(); // This always first thing to do.
+        VGDLRegistry.GetInstance().init();
+
+        System.out.println(" ** Generating a level for " + gameFile + ", using level generator " + levelGenerator
+                + " with seed " + seed + " **");
+
+        Game toPlay = new VGDLParser().parseGame(gameFile);
+        GameDescription description = new GameDescription(toPlay);
+        AbstractLevelGenerator.setRandomSeed(seed);
+        AbstractLevelGenerator generator = createLevelGenerator(levelGenerator, description);
+        if (generator == null) {
+            return false;
+        }
+
+        ElapsedCpuTimer ect = new ElapsedCpuTimer();
+        ect.setMaxTimeMillis(timeMillis);
+        String level = generator.generateLevel(description, ect.copy());
+        if (level == null || level.trim().isEmpty()) {
+            System.out.println("Empty level generated");
+            return false;
+        }
+
+        HashMap<Character, ArrayList<String>> charMapping = generator.getLevelMapping();
+        if (charMapping != null) {
+            toPlay.setCharMapping(charMapping);
+        }
+
+        try {
+            toPlay.buildStringLevel(level.split("\n"), 0);
+        } catch (Exception e) {
+            System.out.println("Undefined symbols or wrong number of avatars in the generated level");
+            return false;
+        }
+
+        saveLevel(level, levelFile, toPlay.getCharMapping());
+        return true;
+    }
+
+
     /**
      * Generate multiple levels for a certain game
      * @param gameFile The game description file path
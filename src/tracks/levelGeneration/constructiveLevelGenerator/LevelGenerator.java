@@ -69,7 +69,7 @@ public class LevelGenerator extends AbstractLevelGenerator{
 
 	public LevelGenerator(GameDescription game, ElapsedCpuTimer elpasedTimer){
 		gameAnalyzer = new GameAnalyzer(game);
-		random = new Random();
+		random = createRandom();
 		
 		shuffleDirectionPercentage = 0.2;
 		
@@ -216,7 +216,7 @@ public class LevelGenerator extends AbstractLevelGenerator{
 				ArrayList<Point> directions = new ArrayList<Point>(Arrays.asList(new Point[]{new Point(1,0), new Point(-1,0), new Point(0,-1), new Point(0,1)}));
 				while(length > 0){
 					if(random.nextDouble() < shuffleDirectionPercentage){
-						Collections.shuffle(directions);
+						Collections.shuffle(directions, random);
 					}
 					int i=0;
 
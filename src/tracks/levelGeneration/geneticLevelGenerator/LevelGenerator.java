@@ -3,7 +3,6 @@ package tracks.levelGeneration.geneticLevelGenerator;
 import java.util.ArrayList;
 import java.util.Collections;
 import java.util.HashMap;
-import java.util.Random;
 
 import core.game.GameDescription;
 import core.generator.AbstractLevelGenerator;
@@ -36,7 +35,7 @@ public class LevelGenerator extends AbstractLevelGenerator{
 	 * @param elapsedTimer	amount of time for intiailization
 	 */
 	public LevelGenerator(GameDescription game, ElapsedCpuTimer elapsedTimer){
-		SharedData.random = new Random();
+		SharedData.random = createRandom();
 		SharedData.gameDescription = game;
 		SharedData.gameAnalyzer = new GameAnalyzer(game);
 		SharedData.constructiveGen = new tracks.levelGeneration.constructiveLevelGenerator.LevelGenerator(game, null);
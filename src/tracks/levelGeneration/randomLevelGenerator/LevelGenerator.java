@@ -44,7 +44,7 @@ public class LevelGenerator extends AbstractLevelGenerator{
 	 * @param elapsedTimer	Timer to define the maximum amount of time for the constructor.
 	 */
 	public LevelGenerator(GameDescription game, ElapsedCpuTimer elapsedTimer){
-		random = new Random();
+		random = createRandom();
 		minSize = 4;
 		maxSize = 18;
 
@@ -52,7 +52,7 @@ public class JavaServer {
         }
         if (params.containsKey("levelId")) {
             levelIdx = Integer.parseInt(params.get("levelId").get(0));
-            if (levelIdx < 0 || levelIdx > 4) {
+            if (levelIdx < 0) {
                 levelIdx = 0;
             }
         }
@@ -75,6 +75,16 @@ public class JavaServer {
             String imgDir = params.get("imgDir").get(0);
             CompetitionParameters.SCREENSHOT_FILENAME = imgDir + "/" + CompetitionParameters.SCREENSHOT_FILENAME;
         }
+        //RNG seed for the level build and game loop. The Node web layer pins one
+        //per run so a run can be reproduced; without it every run uses seed 0.
+        int randomSeed = 0;
+        if (params.containsKey("seed")) {
+            randomSeed = Integer.parseInt(params.get("seed").get(0));
+        }
+        //Headless fast-forward for batch evals: no frames, no per-tick delay.
+        if (params.containsKey("fastForward")) {
+            CompetitionParameters.FAST_FORWARD = true;
+        }
         if (params.containsKey("visuals")) {
             visuals = true;
         } else {
@@ -83,8 +93,23 @@ public class JavaServer {
         /** Now prepare to start */
         ElapsedWallTimer wallClock = new ElapsedWallTimer();
 
-        //Port for the socket.
+        //Port for the socket. The Node web layer runs a pool of engines side by
+        //side, so each worker passes its own -port instead of the fixed default.
         String port = CompetitionParameters.SOCKET_PORT + "";
+        if (params.containsKey("port")) {
+            port = Integer.parseInt(params.get("port").get(0)) + "";
+        }
+
+        //Two-player sessions open a second socket for player 1 (-port2,
+        //default port+1) and resolve the game from the two-player list.
+        int noPlayers = 1;
+        if (params.containsKey("players")) {
+            noPlayers = Integer.parseInt(params.get("players").get(0)) == 2 ? 2 : 1;
+        }
+        String port2 = (Integer.parseInt(port) + 1) + "";
+        if (params.containsKey("port2")) {
+            port2 = Integer.parseInt(params.get("port2").get(0)) + "";
+        }
 
         //Building the command line
         String cmd[] = new String[]{null, null, port, clientType};
@@ -135,7 +160,8 @@ public class JavaServer {
         //above (the CSV gained games the array lacks, shifting every id after 19).
         //Resolve from the CSV first so both layers agree; fall back to the array.
         String gameBase = null;
-        java.io.File gamesCsv = new java.io.File(gamesDir + "/examples/all_games_sp.csv");
+        String gamesCsvName = noPlayers == 2 ? "all_games_2p.csv" : "all_games_sp.csv";
+        java.io.File gamesCsv = new java.io.File(gamesDir + "/examples/" + gamesCsvName);
         if (gamesCsv.exists()) {
             java.util.Scanner csvScanner = new java.util.Scanner(gamesCsv);
             while (csvScanner.hasNextLine()) {
@@ -150,6 +176,10 @@ public class JavaServer {
             }
             csvScanner.close();
         }
+        if (gameBase == null && noPlayers == 2) {
+            System.err.println("Two-player game " + gameIdx + " not found in examples/all_games_2p.csv");
+            return;
+        }
         if (gameBase == null) {
             gameBase = gamesPath + games[gameIdx];
         }
@@ -159,14 +189,29 @@ public class JavaServer {
         for (int i = 0; i <= 4; i++){
             level_files[i] = gameBase + "_lvl" + i +".txt";
         }
-        if (levelIdx != 0) {
+        //Generated levels (web/lib/generated-levels.js) sit next to the bundled
+        //five as _lvl5, _lvl6, ...; an id without a level file fails the run
+        //rather than playing (and being recorded as) a different level.
+        if (levelIdx > 4) {
+            String generatedLevel = gameBase + "_lvl" + levelIdx + ".txt";
+            if (!new java.io.File(generatedLevel).exists()) {
+                System.err.println("Level " + levelIdx + " not found for " + gameName);
+                return;
+            }
+            level_files[0] = generatedLevel;
+        } else if (levelIdx != 0) {
             String selectedLevel = level_files[levelIdx];
             level_files[levelIdx] = level_files[0];
             level_files[0] = selectedLevel;
         }
         // This plays one selected level for a batch-eval case.
-        System.out.println("[GAME] Game idx:" + gameIdx + " game name " + gameName + " first level " + levelIdx);
-        LearningMachine.runOneGame(game, level_files[0], visuals, cmd, null, 0);
+        System.out.println("[GAME] Game idx:" + gameIdx + " game name " + gameName + " first level " + levelIdx + " seed " + randomSeed);
+        if (noPlayers == 2) {
+            String cmd2[] = new String[]{null, null, port2, clientType};
+            LearningMachine.runOneMultiGame(game, level_files[0], visuals, new String[][]{cmd, cmd2}, randomSeed);
+        } else {
+            LearningMachine.runOneGame(game, level_files[0], visuals, cmd, null, randomSeed);
+        }
 
 
 
@@ -0,0 +1,52 @@
+package tracks.singlePlayer;
+
+import tracks.ArcadeMachine;
+
+/**
+ * Command line entry for a headless run of one of the sample controllers,
+ * used by the web layer's baseline pseudo-models (baseline:mcts, ...):
+ *
+ *   java tracks.singlePlayer.PlayBaseline -game examples/gridphysics/aliens.txt
+ *        -level examples/gridphysics/aliens_lvl0.txt
+ *        -agent tracks.singlePlayer.advanced.sampleMCTS.Agent
+ *        -seed 42 [-actions /tmp/baseline-actions.txt]
+ *
+ * Prints one result line, [BASELINE] {"win":1,"score":12.0,"ticks":340},
+ * where win is the engine's winner key (1 win, 0 loss, -1 no winner,
+ * -100 disqualified). With -actions the played actions are written there,
+ * one per line after the "seed win score ticks" header.
+ */
+public class PlayBaseline {
+
+    public static void main(String[] args) {
+        String gameFile = null;
+        String levelFile = null;
+        String agent = null;
+        String actionFile = null;
+        int seed = 0;
+
+        for (int i = 0; i + 1 < args.length; i += 2) {
+            String value = args[i + 1];
+            switch (args[i]) {
+                case "-game": gameFile = value; break;
+                case "-level": levelFile = value; break;
+                case "-agent": agent = value; break;
+                case "-actions": actionFile = value; break;
+                case "-seed": seed = Integer.parseInt(value); break;
+                default:
+                    System.err.println("Unknown argument " + args[i]);
+                    System.exit(1);
+            }
+        }
+        if (gameFile == null || levelFile == null || agent == null) {
+            System.err.println("Usage: PlayBaseline -game <file> -level <file> -agent <class> [-seed <n>] [-actions <file>]");
+            System.exit(1);
+        }
+
+        double[] result = ArcadeMachine.runOneGame(gameFile, levelFile, false, agent, actionFile, seed, 0);
+        System.out.println("[BASELINE] {\"win\":" + (int) result[0]
+                + ",\"score\":" + result[1]
+                + ",\"ticks\":" + (int) result[2] + "}");
+        System.exit(0);
+    }
+}
@@ -1,19 +1,30 @@
 // Attract-mode "marble run" coordinator.
 //
-// When no walk-up player is active, the arcade runs itself: it plays a serial
-// playlist of game x model x strategy eval cases on the single Java process and
-// broadcasts every event live, then loops. A walk-up player interrupts the loop
-// (high priority), plays, and the loop resumes afterward.
+// The arcade runs itself: it plays a serial playlist of game x model x strategy
+// eval cases and broadcasts every event live, then loops. Each case leases one
+// worker from the engine pool (its own Java process, port, screenshot file and
+// frame room), so walk-up players on the other workers play alongside it. Only
+// when walk-ups hold every other worker does a new walk-up interrupt the loop
+// (high priority); the loop resumes once a worker frees up.
 //
-// Single-session is a hard constraint (one Java process, fixed port 8080, one
-// global screenshot file), so a marble run is a serial playlist on one broadcast
-// channel — which fits: all Socket.IO emits are global, so every spectator tab
-// sees the same run. Interrupting a case needs no new abort plumbing: disconnecting
+// Without a pool the coordinator falls back to the single shared streamer and
+// default port. Interrupting a case needs no new abort plumbing: disconnecting
 // the LLM client emits the run-summary that runEvalCase is already blocked on, so
 // it unwinds through its own finally (disconnect + stopGame).
+//
+// When background work (tournaments, queued eval jobs) rather than walk-ups
+// holds every worker, the loop waits in the pool's line instead: the next
+// released worker comes to it, so the marble run and the jobs alternate case
+// by case.
+//
+// With duelEvery > 0 the playlist also carries head-to-head cases (two plan
+// models on one two-player game), one after every duelEvery solo cases. They
+// run through the duel manager on the same leased worker and report through the
+// same case-started / case-completed events, tagged kind: 'duel'.
 
 const { runEvalCase } = require('./batch-evaluator');
 const { buildArcadeEvalPlan } = require('./eval-plan');
+const { buildDuelCases } = require('./duel-manager');
 
 function nowIso() {
   return new Date().toISOString();
@@ -23,7 +34,7 @@ class AttractCoordinator {
   constructor() {
     this.configured = false;
     this.enabled = false;
-    this.mode = 'IDLE'; // IDLE | MARBLE_STARTING | MARBLE_PLAYING | YIELDING | WALKUP_PLAYING | RESUMING
+    this.mode = 'IDLE'; // IDLE | MARBLE_STARTING | MARBLE_PLAYING | YIELDING | WALKUP_PLAYING | WAITING_FOR_ENGINE | RESUMING
     this.cases = [];
     this.cursor = 0;
     this.loopCount = 0;
@@ -32,7 +43,9 @@ class AttractCoordinator {
     this.currentStartedAt = null;
 
     this._currentHandle = null;   // { processId, llmClient } for the live marble case
+    this._currentWorker = null;   // engine-pool worker leased to the live marble case
     this._currentPromise = null;  // the in-flight runEvalCase promise
+    this._engineWait = null;      // AbortController while waiting in the pool's line
     this._abortReason = null;     // 'yield' | 'stopped' when a case is cut short
     this._loopRunning = false;
     this._resumeTimer = null;
@@ -41,12 +54,17 @@ class AttractCoordinator {
 
     // Injected dependencies (see configure).
     this.io = null;
-    this.streamer = null;                 // { start(), stop() } — shared screenshot streamer
-    this.isWalkupActive = () => false;    // authority for whether a walk-up owns the process
+    this.streamer = null;                 // { start(), stop() } — streamer when no pool is configured
+    this.enginePool = null;               // optional engine pool; each case leases one worker
+    this.isWalkupActive = () => false;    // authority for whether walk-ups still hold the engine(s)
     this.gameManager = null;
     this.telemetry = null;
     this.buildArcadeEvalPlan = buildArcadeEvalPlan;
     this.runEvalCase = runEvalCase;
+    this.runDuelCase = (duelCase, options) => require('./duel-manager').runCase(duelCase, options);
+    this.assignPromptVariant = request => require('./prompt-experiments').assign(request);
+    this.buildDuelCases = buildDuelCases;
+    this.duelEvery = 0;             // solo cases between head-to-head cases; 0 = no duels
     this.planOptions = {};
     this.caseOptions = {};
     this.resumeDebounceMs = 1500;
@@ -58,11 +76,16 @@ class AttractCoordinator {
   configure(deps = {}) {
     this.io = deps.io || null;
     this.streamer = deps.streamer || null;
+    this.enginePool = deps.enginePool || null;
     this.isWalkupActive = deps.isWalkupActive || (() => false);
     this.gameManager = deps.gameManager || require('./game-manager');
     this.telemetry = deps.telemetry || null;
     if (deps.buildArcadeEvalPlan) this.buildArcadeEvalPlan = deps.buildArcadeEvalPlan;
     if (deps.runEvalCase) this.runEvalCase = deps.runEvalCase;
+    if (deps.assignPromptVariant) this.assignPromptVariant = deps.assignPromptVariant;
+    if (deps.runDuelCase) this.runDuelCase = deps.runDuelCase;
+    if (deps.buildDuelCases) this.buildDuelCases = deps.buildDuelCases;
+    if (deps.duelEvery != null) this.duelEvery = deps.duelEvery;
     this.planOptions = deps.planOptions || {};
     this.caseOptions = deps.caseOptions || {};
     if (deps.resumeDebounceMs != null) this.resumeDebounceMs = deps.resumeDebounceMs;
@@ -91,48 +114,54 @@ class AttractCoordinator {
   stop() {
     this.enabled = false;
     clearTimeout(this._resumeTimer);
+    this._engineWait?.abort();
     this._signalResume();
     const handle = this._currentHandle;
     if (handle && handle.llmClient) {
       this._abortReason = 'stopped';
       try { handle.llmClient.disconnect(); } catch (e) { /* already gone */ }
     }
-    if (this.streamer) this.streamer.stop();
+    this._streamerFor(this._currentWorker)?.stop();
     this.currentCase = null;
     this.mode = 'IDLE';
     this._emitState();
     return this.getSnapshot();
   }
 
-  // Called by the walk-up start route BEFORE it spawns its own game. Resolves once
-  // the marble case is torn down and the single Java port is free.
+  // Called by the walk-up start route when no engine worker is free, BEFORE it
+  // spawns its own game. Resolves once the marble case is torn down and its
+  // worker (and Java port) is free for the walk-up to lease.
   async beginWalkup() {
     clearTimeout(this._resumeTimer);
     if (this.walkupActive) return;
     this.walkupActive = true;
+    this._engineWait?.abort();
     this.mode = 'YIELDING';
     this._emitState();
 
     const handle = this._currentHandle;
     const inflight = this._currentPromise;
+    const worker = this._currentWorker;
     if (handle && handle.llmClient) {
       this._abortReason = 'yield';
       try { handle.llmClient.disconnect(); } catch (e) { /* already gone */ }
     }
     // Wait for the in-flight case to unwind (its finally disconnects + stopGames).
     if (inflight) await inflight.catch(() => {});
-    // Guarantee the fixed socket port is actually free before the walk-up spawns.
+    // Guarantee the worker's socket port is actually free before the walk-up spawns.
     if (handle && handle.processId && this.gameManager) {
       await this.gameManager.stopGameAndWait(handle.processId, 3000);
     }
-    if (this.streamer) this.streamer.stop();
+    this._streamerFor(worker)?.stop();
+    this._releaseWorker(worker);
     this.currentCase = null;
     this.mode = 'WALKUP_PLAYING';
     this._emitState();
   }
 
   // Called by the walk-up cleanup paths. Debounced + re-checked so back-to-back
-  // walk-ups don't blip a marble frame between them.
+  // walk-ups don't blip a marble frame between them. A no-op unless the marble
+  // run actually yielded (walk-ups on spare workers never interrupt it).
   endWalkup() {
     if (!this.walkupActive) return;
     clearTimeout(this._resumeTimer);
@@ -155,6 +184,7 @@ class AttractCoordinator {
       cursor: this.cursor,
       total: this.cases.length,
       current: this.currentCase ? this._caseSummary(this.currentCase) : null,
+      engine: this._currentWorker ? { index: this._currentWorker.index, room: this._currentWorker.room } : null,
       upNext: this._upNext(3),
       startedAt: this.currentStartedAt,
       generatedAt: nowIso()
@@ -235,27 +265,54 @@ class AttractCoordinator {
         if (!this.cases.length) break;
 
         const evalCase = this.cases[this.cursor];
+        let worker = null;
+        if (this.enginePool) {
+          worker = this.enginePool.acquire({ runId: evalCase.runId, source: 'marble' });
+          if (!worker && this.enginePool.waitFor && !this.isWalkupActive()) {
+            worker = await this._waitForWorker(evalCase);
+            if (!worker) continue;
+          }
+          if (!worker) {
+            // Walk-ups hold every worker: wait for one of them to finish.
+            this.walkupActive = true;
+            this.mode = 'WALKUP_PLAYING';
+            this._emitState();
+            continue;
+          }
+        }
+        this._currentWorker = worker;
         this._abortReason = null;
         this.currentCase = evalCase;
         this.currentStartedAt = nowIso();
         this.mode = 'MARBLE_STARTING';
         this._emitState();
         // Tag the frame stream with this case's runId so walk-up viewers can
-        // drop marble frames instead of having their canvas hijacked.
-        if (this.streamer) this.streamer.start({ runId: evalCase.runId, source: 'marble' });
+        // drop marble frames instead of having their canvas hijacked. A
+        // headless playlist renders no frames, so there is nothing to stream.
+        const streamer = this.caseOptions.headless ? null : this._streamerFor(worker);
+        if (streamer) streamer.start({ runId: evalCase.runId, source: 'marble' });
         this._emit('case-started', this._caseStartedPayload(evalCase));
 
         let caseErrored = false;
+        const isDuel = evalCase.kind === 'duel';
         try {
-          this._currentPromise = this.runEvalCase(evalCase, {
+          const runCase = isDuel ? this.runDuelCase : this.runEvalCase;
+          this._currentPromise = runCase(evalCase, {
             io: this.io,
+            worker,
+            engine: worker ? { port: worker.port, screenshotPath: worker.screenshotPath } : undefined,
             timeoutMs: this.caseOptions.timeoutMs,
             maxActions: this.caseOptions.maxActions,
             // Marble run defaults async: the engine ticks at full speed off the
             // plan queue instead of blocking on a provider round-trip per move.
             synchronousActions: this.caseOptions.synchronousActions === true,
+            headless: this.caseOptions.headless === true,
             initResponseType: this.caseOptions.initResponseType || 'BOTH',
             actResponseType: this.caseOptions.actResponseType || 'BOTH',
+            // Solo cases draw a prompt experiment variant like walk-ups do.
+            promptConfigOptions: isDuel
+              ? undefined
+              : { promptExperiment: this.assignPromptVariant({ gameId: evalCase.gameId, source: 'marble' }) },
             onCaseStart: (handle) => {
               this._currentHandle = handle;
               // If stop() ran while this case was still spawning, cut the late
@@ -279,7 +336,9 @@ class AttractCoordinator {
           });
           const result = await this._currentPromise;
           this._emit('case-completed', this._caseCompletedPayload(evalCase, result, this._abortReason || 'summary'));
-          if (!this._abortReason) {
+          // The duel manager records its own duel_completed telemetry.
+          if (!this._abortReason && isDuel) this._consecutiveErrors = 0;
+          if (!this._abortReason && !isDuel) {
             this._recordTelemetry(evalCase, result);
             this._consecutiveErrors = 0;
           }
@@ -293,7 +352,8 @@ class AttractCoordinator {
           });
           if (!this._abortReason) caseErrored = true;
         } finally {
-          if (this.streamer) this.streamer.stop();
+          if (streamer) streamer.stop();
+          this._releaseWorker(worker);
           this._currentHandle = null;
           this._currentPromise = null;
           this.currentCase = null;
@@ -321,6 +381,39 @@ class AttractCoordinator {
     }
   }
 
+  _streamerFor(worker) {
+    return (worker && worker.streamer) || this.streamer;
+  }
+
+  // Background work holds every worker: queue for the next one released.
+  async _waitForWorker(evalCase) {
+    this.mode = 'WAITING_FOR_ENGINE';
+    this._emitState();
+    this._engineWait = new AbortController();
+    let worker;
+    try {
+      worker = await this.enginePool.waitFor(
+        { runId: evalCase.runId, source: 'marble' },
+        { signal: this._engineWait.signal }
+      );
+    } finally {
+      this._engineWait = null;
+    }
+    if (worker && (!this.enabled || this.walkupActive)) {
+      this.enginePool.release(worker, { handoff: !this.walkupActive });
+      return null;
+    }
+    return worker;
+  }
+
+  _releaseWorker(worker) {
+    if (!worker) return;
+    // A worker given up for a walk-up stays free for it rather than going to
+    // the next background waiter.
+    if (this.enginePool) this.enginePool.release(worker, { handoff: !this.walkupActive });
+    if (this._currentWorker === worker) this._currentWorker = null;
+  }
+
   _waitForResume() {
     if (!this.walkupActive) return Promise.resolve();
     if (!this._resumePromise) {
@@ -349,13 +442,33 @@ class AttractCoordinator {
   _buildCases() {
     try {
       const plan = this._buildPlan();
-      return Array.isArray(plan.cases) ? plan.cases : [];
+      const cases = Array.isArray(plan.cases) ? plan.cases : [];
+      if (!(this.duelEvery > 0)) return cases;
+      return this._withDuels(cases, plan);
     } catch (error) {
       console.error('[Attract] failed to build playlist:', error.message);
       return [];
     }
   }
 
+  // One duel after every duelEvery solo cases, until the duel list runs out.
+  _withDuels(cases, plan) {
+    let duels = [];
+    try {
+      duels = this.buildDuelCases(plan.models || [], { seed: plan.seed });
+    } catch (error) {
+      console.error('[Attract] failed to build duel cases:', error.message);
+    }
+    if (duels.length === 0) return cases;
+    const mixed = [];
+    let next = 0;
+    cases.forEach((evalCase, index) => {
+      mixed.push(evalCase);
+      if ((index + 1) % this.duelEvery === 0 && next < duels.length) mixed.push(duels[next++]);
+    });
+    return mixed;
+  }
+
   _buildPlan() {
     return this.buildArcadeEvalPlan(this.planOptions || {});
   }
@@ -371,14 +484,17 @@ class AttractCoordinator {
   _caseSummary(c) {
     return {
       runId: c.runId,
+      kind: c.kind || 'solo',
       gameId: c.gameId,
       gameName: c.gameName,
       levelId: c.levelId,
+      heldOut: c.heldOut === true,
       modelId: c.modelId,
       modelName: c.modelName,
       provider: c.provider,
       strategyId: c.strategyId,
-      strategyLabel: c.strategyLabel
+      strategyLabel: c.strategyLabel,
+      players: c.players || null
     };
   }
 
@@ -387,7 +503,7 @@ class AttractCoordinator {
     const total = this.cases.length;
     for (let i = 1; i <= n && i <= total; i++) {
       const c = this.cases[(this.cursor + i) % total];
-      out.push({ gameName: c.gameName, modelName: c.modelName, strategyLabel: c.strategyLabel });
+      out.push({ kind: c.kind || 'solo', gameName: c.gameName, modelName: c.modelName, strategyLabel: c.strategyLabel });
     }
     return out;
   }
@@ -395,17 +511,34 @@ class AttractCoordinator {
   _caseStartedPayload(c) {
     return {
       runId: c.runId,
+      kind: c.kind || 'solo',
       index: this.cursor,
       total: this.cases.length,
       loopCount: this.loopCount,
-      game: { id: c.gameId, name: c.gameName, levelId: c.levelId },
+      game: { id: c.gameId, name: c.gameName, levelId: c.levelId, heldOut: c.heldOut === true },
+      seed: c.seed ?? null,
       model: { id: c.modelId, name: c.modelName, provider: c.provider },
       strategy: { id: c.strategyId, label: c.strategyLabel, text: c.strategy },
+      players: c.players || null,
+      room: this._currentWorker ? this._currentWorker.room : null,
       startedAt: this.currentStartedAt
     };
   }
 
   _caseCompletedPayload(c, result, endedBy) {
+    if (c.kind === 'duel') {
+      return {
+        runId: c.runId,
+        kind: 'duel',
+        index: this.cursor,
+        endedBy,
+        result: result ? {
+          players: result.players,
+          winnerId: result.winnerId,
+          ticks: result.ticks
+        } : null
+      };
+    }
     return {
       runId: c.runId,
       index: this.cursor,
@@ -434,6 +567,7 @@ class AttractCoordinator {
         modelId: c.modelId,
         payload: {
           gameName: c.gameName,
+          seed: c.seed ?? null,
           strategyId: c.strategyId,
           strategyLabel: c.strategyLabel,
           finalScore: result.finalScore,
@@ -0,0 +1,181 @@
+'use strict';
+
+// Runs an eval case whose model is a classical baseline (baseline:mcts, ...;
+// see BASELINE_MODELS in models.js). There is no LLM and no socket: the
+// engine's tracks.singlePlayer.PlayBaseline plays the level headless with the
+// sample controller under the usual per-move time budget, prints one result
+// line and writes the actions it took. The outcome is reported the way an LLM
+// run's is: a run_summary telemetry event (so leaderboards rank baselines
+// next to models), a 'run-summary' broadcast, and a normalized eval result.
+//
+// runEvalCase delegates here; tests inject runBaseline and resolveRuntime.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { resolveModel } = require('./models');
+const { normalizeEvalResult } = require('./eval-plan');
+const { projectRoot, readGameRegistry } = require('./game-registry');
+const { levelFileFor } = require('./generated-levels');
+
+const DEFAULT_TIMEOUT_MS = 180000;
+const RESULT_PATTERN = /^\[BASELINE\] (\{.*\})\s*$/m;
+// Types.WINNER keys as PlayBaseline prints them.
+const WINNERS = { 1: 'PLAYER_WINS', 0: 'PLAYER_LOSES', '-1': 'NO_WINNER', '-100': 'PLAYER_DISQ' };
+
+// Spawn PlayBaseline in the engine runtime; returns { done, stop } where done
+// resolves { code, output } once the process exits.
+function defaultRunBaseline({ gameFile, levelFile, agentClass, seed, actionFile, timeoutMs, runtime }) {
+  const { resolveJavaRuntime } = require('./game-manager');
+  const { getConfig } = require('./runtime-config');
+  const { javaBin, javaEnv } = resolveJavaRuntime(getConfig().gvgai);
+  const args = [
+    '-Djava.awt.headless=true',
+    '-cp', runtime.classpath,
+    'tracks.singlePlayer.PlayBaseline',
+    '-game', gameFile,
+    '-level', levelFile,
+    '-agent', agentClass,
+    '-seed', String(seed),
+    '-actions', actionFile
+  ];
+  const child = spawn(javaBin, args, { cwd: runtime.cwd, env: javaEnv });
+  const done = new Promise((resolve) => {
+    let output = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    child.stdout.on('data', chunk => { output += chunk.toString(); });
+    child.stderr.on('data', chunk => { output += chunk.toString(); });
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ code: -1, output: error.message });
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+  return { done, stop: () => child.kill('SIGKILL') };
+}
+
+// { win, score, ticks } from PlayBaseline's result line, or null.
+function parseBaselineOutput(output) {
+  const match = RESULT_PATTERN.exec(String(output || ''));
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+// The actions after the "seed win score ticks" header of an engine action file.
+function readActionFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8').trim().split(/\r?\n/).slice(1).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+async function runBaselineCase(evalCase, options = {}) {
+  const model = resolveModel(evalCase.modelId);
+  if (!model.baseline) throw new Error(`${evalCase.modelId} is not a baseline agent`);
+  const root = options.projectRoot || projectRoot();
+  const game = readGameRegistry(root).get(Number(evalCase.gameId));
+  if (!game) throw new Error(`Game ${evalCase.gameId} not found`);
+  const runtime = await (options.resolveRuntime || (() => require('./game-manager').resolveEngineRuntime()))();
+  // The engine reads games and levels from its own tree, like level generation.
+  const engineRoot = runtime.gamesDir || root;
+  const actionFile = path.join(os.tmpdir(), `baseline-${process.pid}-${evalCase.runId}.txt`);
+  const runBaseline = options.runBaseline || defaultRunBaseline;
+  const telemetry = options.telemetry || require('./telemetry-store');
+
+  const run = runBaseline({
+    gameFile: path.join(engineRoot, game.file),
+    levelFile: path.join(engineRoot, levelFileFor(game, evalCase.levelId)),
+    agentClass: model.agentClass,
+    seed: evalCase.seed ?? 0,
+    actionFile,
+    timeoutMs: Number.parseInt(options.timeoutMs, 10) > 0 ? Number.parseInt(options.timeoutMs, 10) : DEFAULT_TIMEOUT_MS,
+    runtime
+  });
+  // The marble coordinator interrupts a case through its client handle; here
+  // disconnecting stops the Java process.
+  let stopped = false;
+  if (options.onCaseStart) {
+    options.onCaseStart({
+      processId: null,
+      llmClient: { disconnect: () => { stopped = true; run.stop(); } }
+    });
+  }
+
+  let actions;
+  let outcome;
+  let result;
+  try {
+    result = await run.done;
+    outcome = parseBaselineOutput(result.output);
+    actions = readActionFile(actionFile);
+  } finally {
+    fs.rmSync(actionFile, { force: true });
+  }
+  if (stopped) throw new Error(`Baseline run ${evalCase.runId} was stopped`);
+  if (!outcome) {
+    const detail = String(result.output || '').trim().split('\n').slice(-3).join(' ');
+    const error = new Error(`${model.name} produced no result for ${game.name}${detail ? `: ${detail}` : ''}`);
+    error.diagnostics = { output: result.output, code: result.code };
+    throw error;
+  }
+
+  const winner = WINNERS[outcome.win] || 'NO_WINNER';
+  const summary = {
+    runId: evalCase.runId,
+    modelUsed: model.id,
+    provider: 'baseline',
+    agentClass: model.agentClass,
+    finalScore: Number(outcome.score || 0),
+    winner,
+    won: winner === 'PLAYER_WINS',
+    ticks: Number(outcome.ticks || 0),
+    decisions: actions.length,
+    actions,
+    level: evalCase.levelId
+  };
+  if (options.io) options.io.emit('run-summary', summary);
+  telemetry.track({
+    eventFamily: 'evaluation',
+    eventType: 'run_summary',
+    source: 'baseline-agent',
+    runId: evalCase.runId,
+    gameId: evalCase.gameId,
+    levelId: evalCase.levelId,
+    modelId: model.id,
+    provider: 'baseline',
+    payload: {
+      playerType: 'baseline',
+      agentClass: model.agentClass,
+      winner: summary.winner,
+      won: summary.won,
+      actions
+    },
+    metrics: {
+      final_score: summary.finalScore,
+      ticks: summary.ticks,
+      decisions: summary.decisions
+    }
+  });
+
+  return {
+    ...normalizeEvalResult(evalCase, summary, options),
+    llmErrors: [],
+    eventCount: 0
+  };
+}
+
+module.exports = {
+  runBaselineCase,
+  parseBaselineOutput,
+  readActionFile,
+  defaultRunBaseline
+};
@@ -5,9 +5,11 @@ const {
   normalizeEvalResult
 } = require('./eval-plan');
 const { summarizeQualification } = require('./eval-qualification');
-const { getAllModels, resolveModel } = require('./models');
+const { BASELINE_MODELS, getAllModels, isBaselineModel, resolveModel } = require('./models');
+const { runBaselineCase } = require('./baseline-agents');
 const defaultTelemetry = require('./telemetry-store');
 const { getConfig } = require('./runtime-config');
+const { deriveSeed } = require('./run-seed');
 
 const DEFAULT_CASE_LIMIT = 3;
 const DEFAULT_RUN_TIMEOUT_MS = 180000;
@@ -49,7 +51,8 @@ function modelsForIds(modelIds) {
   if (ids.length === 0) return undefined;
 
   return ids.map(id => {
-    const catalogModel = getAllModels().find(model => model.id === id);
+    const catalogModel = getAllModels().find(model => model.id === id)
+      || BASELINE_MODELS.find(model => model.id === id);
     if (catalogModel) return catalogModel;
     const resolved = resolveModel(id);
     return {
@@ -70,13 +73,26 @@ function modelsForOptions(options = {}) {
   return modelsForIds(options.modelIds);
 }
 
+// true (or 'true') for the default baseline set, or a list of baseline ids.
+function baselinesOption(value) {
+  if (!value) return undefined;
+  if (value === true || value === 'true') return true;
+  const ids = toArray(value);
+  return ids.length > 0 ? ids : undefined;
+}
+
 function buildBatchPlan(options = {}) {
   const gameIds = toIntegerArray(options.gameIds);
   const planOptions = {
     gameCount: positiveInteger(options.gameCount, undefined),
     models: modelsForOptions(options),
     strategies: options.combinatorialStrategies ? COMBINATORIAL_STRATEGIES : options.strategies,
-    levelId: options.levelId
+    observationModes: toArray(options.observationModes),
+    memoryModes: toArray(options.memoryModes),
+    levelId: options.levelId,
+    heldOutLevels: options.heldOutLevels === true,
+    baselines: baselinesOption(options.baselines),
+    seed: options.seed
   };
   if (gameIds.length > 0) planOptions.gameIds = gameIds;
   return buildArcadeEvalPlan(planOptions);
@@ -94,12 +110,18 @@ function selectEvalCases(plan, options = {}) {
   const gameIds = new Set(toIntegerArray(options.gameIds));
   const modelIds = new Set(toArray(options.modelIds));
   const strategyIds = new Set(toArray(options.strategyIds));
+  const observationModes = new Set(toArray(options.observationModes));
+  const memoryModes = new Set(toArray(options.memoryModes));
   const runIds = new Set(toArray(options.runIds));
 
   let cases = plan.cases.filter(evalCase => {
     if (gameIds.size > 0 && !gameIds.has(evalCase.gameId)) return false;
     if (modelIds.size > 0 && !modelIds.has(evalCase.modelId)) return false;
-    if (strategyIds.size > 0 && !strategyIds.has(evalCase.strategyId)) return false;
+    // Baselines have no strategy or prompt modes, so those filters pass them.
+    const baseline = isBaselineModel(evalCase.modelId);
+    if (strategyIds.size > 0 && !baseline && !strategyIds.has(evalCase.strategyId)) return false;
+    if (observationModes.size > 0 && !baseline && !observationModes.has(evalCase.observationMode)) return false;
+    if (memoryModes.size > 0 && !baseline && !memoryModes.has(evalCase.memoryMode)) return false;
     if (runIds.size > 0 && !runIds.has(evalCase.runId)) return false;
     return true;
   });
@@ -111,10 +133,13 @@ function selectEvalCases(plan, options = {}) {
   const repeatedCases = [];
   for (const evalCase of cases) {
     for (let repeatIndex = 0; repeatIndex < repeats; repeatIndex++) {
+      const runId = `${evalCase.runId}-r${repeatIndex + 1}`;
+      // Repeats sample fresh (but reproducible) engine conditions.
       repeatedCases.push({
         ...evalCase,
         repeatIndex,
-        runId: `${evalCase.runId}-r${repeatIndex + 1}`
+        runId,
+        seed: deriveSeed(evalCase.seed ?? 0, runId)
       });
     }
   }
@@ -168,6 +193,8 @@ function waitForEvent(sink, eventName, timeoutMs) {
 }
 
 async function runEvalCase(evalCase, options = {}) {
+  // Classical baselines play headless in their own Java process, no LLM.
+  if (isBaselineModel(evalCase.modelId)) return (options.runBaselineCase || runBaselineCase)(evalCase, options);
   const timeoutMs = positiveInteger(options.timeoutMs, DEFAULT_RUN_TIMEOUT_MS);
   const readyTimeoutMs = positiveInteger(options.readyTimeoutMs, DEFAULT_READY_TIMEOUT_MS);
   const loaded = loadRuntime();
@@ -178,7 +205,24 @@ async function runEvalCase(evalCase, options = {}) {
   const llmErrors = [];
   sink.on('llm-error', error => llmErrors.push(error));
 
-  const gameProcess = await gameManager.startGame(evalCase.gameId, evalCase.levelId, false);
+  // A pool worker ({ port, screenshotPath }) when the caller leased one;
+  // otherwise the single-engine defaults from config.gvgai. The case's seed
+  // pins the engine RNG so the case can be rerun under identical conditions.
+  const engine = options.engine || {};
+  // The engine writes its frame PNG only for IMAGE or BOTH responses, so an
+  // image or both case always asks for BOTH. A headless engine draws nothing,
+  // and such a case would quietly play on ASCII, so it fails instead.
+  const observationMode = evalCase.observationMode || options.observationMode;
+  const needsFrame = observationMode === 'image' || observationMode === 'both';
+  if (needsFrame && options.headless) {
+    throw new Error(`Eval case ${evalCase.runId} observes ${observationMode} frames, which a headless engine does not render.`);
+  }
+  // Headless runs fast-forward: no frames, no per-tick delay in the engine.
+  const gameProcess = await gameManager.startGame(evalCase.gameId, evalCase.levelId, false, {
+    ...engine,
+    seed: evalCase.seed,
+    ...(options.headless ? { headless: true } : {})
+  });
   let llmClient = null;
 
   try {
@@ -194,12 +238,18 @@ async function runEvalCase(evalCase, options = {}) {
       ? options.createLLMClient(evalCase)
       : new LLMClient({
         runId: evalCase.runId,
+        seed: evalCase.seed,
         initialLevelId: evalCase.levelId,
         synchronousActions: options.synchronousActions !== false,
+        headless: options.headless === true,
         actionTimeoutMs: options.actionTimeoutMs,
         maxActions: positiveInteger(options.maxActions, DEFAULT_MAX_ACTIONS),
-        initResponseType: options.initResponseType,
-        actResponseType: options.actResponseType,
+        initResponseType: needsFrame ? 'BOTH' : options.initResponseType,
+        actResponseType: needsFrame ? 'BOTH' : options.actResponseType,
+        responseMode: options.responseMode,
+        observationMode,
+        memoryMode: evalCase.memoryMode || options.memoryMode,
+        screenshotPath: engine.screenshotPath,
         preferProviderFallback: options.preferProviderFallback,
         promptConfigOptions: options.promptConfigOptions || {}
       });
@@ -215,7 +265,7 @@ async function runEvalCase(evalCase, options = {}) {
 
     const summaryPromise = waitForEvent(sink, 'run-summary', timeoutMs);
     await llmClient.connect(
-      config.gvgai.socketPort,
+      engine.port || config.gvgai.socketPort,
       evalCase.modelId,
       sink,
       evalCase.gameId,
@@ -255,6 +305,10 @@ function actionSignature(result) {
   return actions.slice(0, ACTION_SAMPLE_SIZE).join(',');
 }
 
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
 function summarizePromptDifferences(results, options = {}) {
   const minScoreDelta = Number(options.minScoreDelta ?? DEFAULT_MIN_SCORE_DELTA);
   const minTickDelta = Number(options.minTickDelta ?? DEFAULT_MIN_TICK_DELTA);
@@ -262,7 +316,10 @@ function summarizePromptDifferences(results, options = {}) {
   const groups = new Map();
 
   for (const result of results) {
-    const key = [result.gameId, result.levelId, result.modelId].join('|');
+    // Observation and memory modes are separate axes (summarizeObservationModes,
+    // summarizeMemoryModes), so a strategy comparison never mixes image and
+    // ASCII runs, or stateless and conversation ones.
+    const key = [result.gameId, result.levelId, result.modelId, result.observationMode || '', result.memoryMode || ''].join('|');
     if (!groups.has(key)) groups.set(key, []);
     groups.get(key).push(result);
   }
@@ -294,6 +351,7 @@ function summarizePromptDifferences(results, options = {}) {
       levelId: groupResults[0].levelId,
       modelId: groupResults[0].modelId,
       modelName: groupResults[0].modelName,
+      observationMode: groupResults[0].observationMode || null,
       strategiesCompared: strategyIds.length,
       runsCompared: groupResults.length,
       scoreRange,
@@ -306,7 +364,6 @@ function summarizePromptDifferences(results, options = {}) {
       byStrategy: strategyIds.map(strategyId => {
         const matches = groupResults.filter(result => result.strategyId === strategyId);
         const first = matches[0];
-        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
         return {
           strategyId,
           strategyLabel: first.strategyLabel,
@@ -328,6 +385,211 @@ function summarizePromptDifferences(results, options = {}) {
   };
 }
 
+// Image vs ASCII for the same game, level, model and strategy. Only results
+// from a plan built with observationModes take part.
+function summarizeObservationModes(results) {
+  const groups = new Map();
+  for (const result of results) {
+    if (!result.observationMode) continue;
+    const key = [result.gameId, result.levelId, result.modelId, result.strategyId].join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  }
+
+  const comparisons = [];
+  for (const groupResults of groups.values()) {
+    const modes = [...new Set(groupResults.map(result => result.observationMode))];
+    const byMode = modes.map((observationMode) => {
+      const matches = groupResults.filter(result => result.observationMode === observationMode);
+      // Ticks where the frame was missing or torn fall back to ASCII.
+      const sent = matches.reduce((counts, result) => {
+        for (const [mode, count] of Object.entries(result.observationModes || {})) {
+          counts[mode] = (counts[mode] || 0) + count;
+        }
+        return counts;
+      }, {});
+      return {
+        observationMode,
+        runs: matches.length,
+        meanScore: mean(matches.map(result => result.finalScore)),
+        meanTicks: mean(matches.map(result => result.ticks)),
+        winRate: mean(matches.map(result => (result.won ? 1 : 0))),
+        observationsSent: sent
+      };
+    });
+    const scores = byMode.map(entry => entry.meanScore);
+    comparisons.push({
+      gameId: groupResults[0].gameId,
+      gameName: groupResults[0].gameName,
+      levelId: groupResults[0].levelId,
+      modelId: groupResults[0].modelId,
+      strategyId: groupResults[0].strategyId,
+      modesCompared: modes.length,
+      meanScoreRange: scores.length > 0 ? Math.max(...scores) - Math.min(...scores) : 0,
+      byMode
+    });
+  }
+
+  return {
+    comparedGroups: comparisons.filter(item => item.modesCompared >= 2).length,
+    comparisons
+  };
+}
+
+// Stateless vs conversation memory for the same game, level, model and
+// strategy. Only results from a plan built with memoryModes take part.
+function summarizeMemoryModes(results) {
+  const groups = new Map();
+  for (const result of results) {
+    if (!result.memoryMode) continue;
+    const key = [result.gameId, result.levelId, result.modelId, result.strategyId, result.observationMode || ''].join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  }
+
+  const comparisons = [];
+  for (const groupResults of groups.values()) {
+    const modes = [...new Set(groupResults.map(result => result.memoryMode))];
+    const byMode = modes.map((memoryMode) => {
+      const matches = groupResults.filter(result => result.memoryMode === memoryMode);
+      return {
+        memoryMode,
+        runs: matches.length,
+        meanScore: mean(matches.map(result => result.finalScore)),
+        meanTicks: mean(matches.map(result => result.ticks)),
+        winRate: mean(matches.map(result => (result.won ? 1 : 0))),
+        meanAdherence: mean(matches.map(adherenceRate)),
+        nilLoopRate: mean(matches.map(result => (result.nilActionLoop ? 1 : 0)))
+      };
+    });
+    const scores = byMode.map(entry => entry.meanScore);
+    comparisons.push({
+      gameId: groupResults[0].gameId,
+      gameName: groupResults[0].gameName,
+      levelId: groupResults[0].levelId,
+      modelId: groupResults[0].modelId,
+      strategyId: groupResults[0].strategyId,
+      modesCompared: modes.length,
+      meanScoreRange: scores.length > 0 ? Math.max(...scores) - Math.min(...scores) : 0,
+      byMode
+    });
+  }
+
+  return {
+    comparedGroups: comparisons.filter(item => item.modesCompared >= 2).length,
+    comparisons
+  };
+}
+
+// Each model's mean score and win rate on a level next to the classical
+// baselines that played it, so a score reads against random play and search.
+function summarizeBaselines(results) {
+  const groups = new Map();
+  for (const result of results) {
+    const key = [result.gameId, result.levelId].join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  }
+
+  const describe = (matches) => ({
+    modelId: matches[0].modelId,
+    modelName: matches[0].modelName,
+    runs: matches.length,
+    meanScore: mean(matches.map(result => result.finalScore)),
+    winRate: mean(matches.map(result => (result.won ? 1 : 0)))
+  });
+  const byModel = (groupResults) => {
+    const models = new Map();
+    for (const result of groupResults) {
+      if (!models.has(result.modelId)) models.set(result.modelId, []);
+      models.get(result.modelId).push(result);
+    }
+    return [...models.values()].map(describe);
+  };
+
+  const comparisons = [];
+  for (const groupResults of groups.values()) {
+    const baselines = byModel(groupResults.filter(result => isBaselineModel(result.modelId)));
+    if (baselines.length === 0) continue;
+    const models = byModel(groupResults.filter(result => !isBaselineModel(result.modelId))).map(model => ({
+      ...model,
+      beatsBaselines: baselines.filter(baseline => model.meanScore > baseline.meanScore).map(baseline => baseline.modelId)
+    }));
+    comparisons.push({
+      gameId: groupResults[0].gameId,
+      gameName: groupResults[0].gameName,
+      levelId: groupResults[0].levelId,
+      baselines,
+      models
+    });
+  }
+
+  return {
+    comparedLevels: comparisons.filter(item => item.models.length > 0).length,
+    comparisons
+  };
+}
+
+// Bundled vs generated (held-out) levels per model. A model that scores well
+// only on the bundled layouts has learned those layouts, not the game.
+function summarizeHeldOutLevels(results) {
+  const groups = new Map();
+  for (const result of results) {
+    if (!groups.has(result.modelId)) groups.set(result.modelId, []);
+    groups.get(result.modelId).push(result);
+  }
+
+  const side = matches => ({
+    runs: matches.length,
+    meanScore: mean(matches.map(result => result.finalScore)),
+    winRate: mean(matches.map(result => (result.won ? 1 : 0)))
+  });
+  const comparisons = [];
+  for (const [modelId, groupResults] of groups) {
+    const heldOut = groupResults.filter(result => result.heldOut === true);
+    if (heldOut.length === 0) continue;
+    const bundled = side(groupResults.filter(result => result.heldOut !== true));
+    const generated = side(heldOut);
+    comparisons.push({
+      modelId,
+      modelName: groupResults[0].modelName,
+      bundled,
+      heldOut: generated,
+      scoreGap: bundled.meanScore - generated.meanScore,
+      winRateGap: bundled.winRate - generated.winRate
+    });
+  }
+
+  return {
+    comparedModels: comparisons.length,
+    comparisons
+  };
+}
+
+// The batch report: every comparison over the results, plus qualification
+// against the plan (only its models and games are read). Shared with the eval
+// job queue, which builds the same report once its last case settles.
+function summarizeBatch({ plan, cases, results, errors }, options = {}) {
+  return {
+    status: errors.length > 0 ? 'completed_with_errors' : 'completed',
+    generatedAt: new Date().toISOString(),
+    cases,
+    results,
+    errors,
+    comparison: summarizePromptDifferences(results, options),
+    observationComparison: summarizeObservationModes(results),
+    memoryComparison: summarizeMemoryModes(results),
+    heldOutComparison: summarizeHeldOutLevels(results),
+    baselineComparison: summarizeBaselines(results),
+    // Qualification asks whether LLMs can play a game; baselines don't count.
+    qualification: summarizeQualification(
+      results.filter(result => !isBaselineModel(result.modelId)),
+      { ...plan, models: (plan?.models || []).filter(model => !isBaselineModel(model.id)) },
+      options
+    )
+  };
+}
+
 async function runArcadeBatchEvaluation(options = {}) {
   const plan = buildBatchPlan(options);
   const cases = selectEvalCases(plan, options);
@@ -388,6 +650,7 @@ async function runArcadeBatchEvaluation(options = {}) {
         modelId: evalCase.modelId,
         payload: {
           batchRunId,
+          seed: evalCase.seed ?? null,
           strategyId: evalCase.strategyId,
           strategyLabel: evalCase.strategyLabel,
           winner: result.winner,
@@ -425,17 +688,8 @@ async function runArcadeBatchEvaluation(options = {}) {
     }
   }
 
-  const comparison = summarizePromptDifferences(results, options);
-  const qualification = summarizeQualification(results, plan, options);
-  const output = {
-    status: errors.length > 0 ? 'completed_with_errors' : 'completed',
-    generatedAt: new Date().toISOString(),
-    cases,
-    results,
-    errors,
-    comparison,
-    qualification
-  };
+  const output = summarizeBatch({ plan, cases, results, errors }, options);
+  const { comparison, qualification } = output;
 
   telemetry.track({
     eventFamily: 'evaluation',
@@ -468,5 +722,10 @@ module.exports = {
   createEventSink,
   runEvalCase,
   runArcadeBatchEvaluation,
+  summarizeBatch,
+  summarizeHeldOutLevels,
+  summarizeObservationModes,
+  summarizeMemoryModes,
+  summarizeBaselines,
   summarizePromptDifferences
 };
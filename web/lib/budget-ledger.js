@@ -0,0 +1,255 @@
+// Token and spend ledger for every provider call: LLMClient.callProvider
+// (game play, evals, tournaments) and the Cadavre chat route. Each response's
+// usage block is recorded per provider, per model and per run in day buckets
+// (persisted so restarts don't reset the day), and calls are refused once a
+// cap is spent. Admission checks what has already been spent, so the call
+// that crosses a cap still completes; the next one is refused.
+//
+// Spend is OpenRouter's reported `usage.cost` when the response carries one,
+// otherwise an estimate from per-million-token prices (config.json
+// `budget.prices`, keyed by model id or provider). Local and Legion models
+// are free; the Ollama Cloud key is a flat subscription, so its calls count
+// tokens but no spend.
+//
+// Caps come from config.json `budget`:
+//   { daily: { tokens, usd }, run: { tokens, usd },
+//     providers: { <provider>: { tokens, usd } },
+//     models: { <modelId>: { tokens, usd } },
+//     prices: { <modelId or provider>: { inputPerMillion, outputPerMillion } } }
+// Provider and model caps are per day. Env knobs (read per call so they can
+// change without a restart) override the global ones:
+//   BUDGET_DAILY_TOKENS, BUDGET_DAILY_USD, BUDGET_RUN_TOKENS, BUDGET_RUN_USD
+//   BUDGET_LEDGER_DISABLED=1  kill switch (usage is still recorded)
+//   BUDGET_LEDGER_STATE       alternate path for the persisted ledger
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./runtime-config');
+
+const DEFAULT_STATE_PATH = path.join(__dirname, '..', 'data', 'budget-ledger.json');
+const DEFAULT_CAPS = {
+  daily: { tokens: null, usd: 10 },
+  run: { tokens: null, usd: 2 },
+  // The OpenRouter fallback path is the one billed per token.
+  providers: { openrouter: { tokens: null, usd: 5 } },
+  models: {}
+};
+const DEFAULT_PRICES = {
+  'ollama-local': { inputPerMillion: 0, outputPerMillion: 0 },
+  'legion-vllm': { inputPerMillion: 0, outputPerMillion: 0 },
+  'ollama-cloud': { inputPerMillion: 0, outputPerMillion: 0 },
+  openrouter: { inputPerMillion: 0.2, outputPerMillion: 0.6 }
+};
+const MAX_RUNS = 200;
+
+let state = null;
+let persistTimer = null;
+let configOverride = null;
+
+function statePath() {
+  return process.env.BUDGET_LEDGER_STATE || DEFAULT_STATE_PATH;
+}
+
+function budgetConfig() {
+  if (configOverride) return configOverride;
+  try {
+    return getConfig().budget || {};
+  } catch {
+    return {};
+  }
+}
+
+function readCap(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function readCapPair(override = {}, fallback = {}) {
+  return {
+    tokens: readCap(override.tokens ?? fallback.tokens),
+    usd: readCap(override.usd ?? fallback.usd)
+  };
+}
+
+function readCapMap(overrides = {}, defaults = {}) {
+  const caps = {};
+  for (const key of new Set([...Object.keys(defaults), ...Object.keys(overrides || {})])) {
+    caps[key] = readCapPair(overrides?.[key], defaults[key]);
+  }
+  return caps;
+}
+
+function getLimits() {
+  const configured = budgetConfig();
+  const daily = readCapPair(configured.daily, DEFAULT_CAPS.daily);
+  const run = readCapPair(configured.run, DEFAULT_CAPS.run);
+  if (process.env.BUDGET_DAILY_TOKENS) daily.tokens = readCap(process.env.BUDGET_DAILY_TOKENS);
+  if (process.env.BUDGET_DAILY_USD) daily.usd = readCap(process.env.BUDGET_DAILY_USD);
+  if (process.env.BUDGET_RUN_TOKENS) run.tokens = readCap(process.env.BUDGET_RUN_TOKENS);
+  if (process.env.BUDGET_RUN_USD) run.usd = readCap(process.env.BUDGET_RUN_USD);
+  return {
+    daily,
+    run,
+    providers: readCapMap(configured.providers, DEFAULT_CAPS.providers),
+    models: readCapMap(configured.models, DEFAULT_CAPS.models)
+  };
+}
+
+function priceFor(provider, modelId) {
+  const prices = { ...DEFAULT_PRICES, ...(budgetConfig().prices || {}) };
+  return prices[modelId] || prices[provider] || DEFAULT_PRICES.openrouter;
+}
+
+function emptyBucket() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, tokens: 0, usd: 0 };
+}
+
+function loadState() {
+  if (!state) {
+    try {
+      state = JSON.parse(fs.readFileSync(statePath(), 'utf8'));
+    } catch {
+      state = {};
+    }
+  }
+  return state;
+}
+
+// Provider/model/day buckets reset with the day; run buckets carry over so a
+// run that spans midnight keeps its total.
+function rotate(now) {
+  const s = loadState();
+  const day = now.toISOString().slice(0, 10);
+  if (s.day !== day) {
+    s.day = day;
+    s.totals = emptyBucket();
+    s.providers = {};
+    s.models = {};
+  }
+  s.runs = s.runs || {};
+  return s;
+}
+
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    try {
+      fs.writeFileSync(statePath(), JSON.stringify(state));
+    } catch {
+      // data dir missing or read-only — the ledger continues in memory
+    }
+  }, 2000);
+  if (persistTimer.unref) persistTimer.unref();
+}
+
+function finite(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// Token counts (and reported cost, when present) from a provider response:
+// OpenAI-compatible `usage` blocks or Ollama's native eval counters.
+function usageFromResponse(data) {
+  const usage = data?.usage || {};
+  return {
+    inputTokens: finite(usage.prompt_tokens ?? usage.input_tokens ?? data?.prompt_eval_count) || 0,
+    outputTokens: finite(usage.completion_tokens ?? usage.output_tokens ?? data?.eval_count) || 0,
+    costUsd: finite(usage.cost)
+  };
+}
+
+function modelKey(provider, modelId) {
+  return `${provider}/${modelId}`;
+}
+
+function overCap(bucket, cap) {
+  if (!bucket || !cap) return null;
+  if (cap.tokens !== null && bucket.tokens >= cap.tokens) return `${cap.tokens} tokens`;
+  if (cap.usd !== null && bucket.usd >= cap.usd) return `$${cap.usd}`;
+  return null;
+}
+
+// Check every cap that applies to this call. Returns { allowed: true } or
+// { allowed: false, scope, reason } without recording anything.
+function admit({ provider, modelId, runId = null } = {}, now = new Date()) {
+  if (process.env.BUDGET_LEDGER_DISABLED === '1') return { allowed: true };
+  const limits = getLimits();
+  const s = rotate(now);
+  const checks = [
+    ['run', runId ? s.runs[runId] : null, limits.run, `run ${runId}`],
+    ['model', s.models[modelKey(provider, modelId)], limits.models[modelId], `${modelId} daily`],
+    ['provider', s.providers[provider], limits.providers[provider], `${provider} daily`],
+    ['daily', s.totals, limits.daily, 'daily']
+  ];
+  for (const [scope, bucket, cap, label] of checks) {
+    const spent = overCap(bucket, cap);
+    if (spent) return { allowed: false, scope, reason: `${label} budget of ${spent} spent` };
+  }
+  return { allowed: true };
+}
+
+function addTo(bucket, entry) {
+  bucket.calls += 1;
+  bucket.inputTokens += entry.inputTokens;
+  bucket.outputTokens += entry.outputTokens;
+  bucket.tokens += entry.inputTokens + entry.outputTokens;
+  bucket.usd = Math.round((bucket.usd + entry.costUsd) * 1e6) / 1e6;
+}
+
+// Record one completed call. `usage` is { inputTokens, outputTokens, costUsd }
+// (see usageFromResponse); a missing cost is estimated from the price table.
+function record({ provider, modelId, runId = null, source = null, usage = {} } = {}, now = new Date()) {
+  const s = rotate(now);
+  const inputTokens = finite(usage.inputTokens) || 0;
+  const outputTokens = finite(usage.outputTokens) || 0;
+  const reported = finite(usage.costUsd);
+  const price = priceFor(provider, modelId);
+  const costUsd = reported ?? (inputTokens * price.inputPerMillion + outputTokens * price.outputPerMillion) / 1e6;
+  const entry = { inputTokens, outputTokens, costUsd, estimated: reported === null };
+
+  addTo(s.totals, entry);
+  s.providers[provider] = s.providers[provider] || emptyBucket();
+  addTo(s.providers[provider], entry);
+  const key = modelKey(provider, modelId);
+  s.models[key] = s.models[key] || { ...emptyBucket(), provider, modelId };
+  addTo(s.models[key], entry);
+  if (runId) {
+    s.runs[runId] = s.runs[runId] || { ...emptyBucket(), source };
+    addTo(s.runs[runId], entry);
+    s.runs[runId].lastAt = now.toISOString();
+    const runIds = Object.keys(s.runs);
+    if (runIds.length > MAX_RUNS) {
+      runIds.sort((a, b) => String(s.runs[a].lastAt).localeCompare(String(s.runs[b].lastAt)));
+      for (const stale of runIds.slice(0, runIds.length - MAX_RUNS)) delete s.runs[stale];
+    }
+  }
+  schedulePersist();
+  return entry;
+}
+
+function getStatus(now = new Date()) {
+  const s = rotate(now);
+  const bySpend = (a, b) => b.usd - a.usd || b.tokens - a.tokens;
+  return {
+    disabled: process.env.BUDGET_LEDGER_DISABLED === '1',
+    day: s.day,
+    limits: getLimits(),
+    totals: s.totals,
+    providers: Object.entries(s.providers).map(([provider, bucket]) => ({ provider, ...bucket })).sort(bySpend),
+    models: Object.values(s.models).sort(bySpend),
+    runs: Object.entries(s.runs).map(([runId, bucket]) => ({ runId, ...bucket })).sort(bySpend).slice(0, 10)
+  };
+}
+
+// `budget` stands in for config.json's budget block until the next reset.
+function resetForTest(budget = null) {
+  state = null;
+  configOverride = budget;
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+}
+
+module.exports = { admit, record, usageFromResponse, getLimits, getStatus, resetForTest };
@@ -0,0 +1,345 @@
+const crypto = require('node:crypto');
+const { CadavreTurnTimerStore } = require('./cadavre-turn-timer');
+
+// Shareable Cadavre rooms: a table spread across several devices. The server
+// holds the seats, the turn order and every folded line; each seat only ever
+// receives a view of the sheet cut for it (the writer sees the newest line,
+// everyone else sees folded strips) until the host reveals the poem. Seats
+// are bound to the browser session that took them through a seat token.
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_PATTERN = /^[A-HJ-NP-Z2-9]{6}$/;
+const SEAT_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+const ROOM_PLAYER_COUNTS = Object.freeze([2, 3, 4]);
+const ROOM_WORD_LIMITS = Object.freeze([1, 2, 3, 4, 5]);
+const MAX_LINE_CHARS = 160;
+const MAX_LINES = 200;
+const MAX_NAME_CHARS = 24;
+const ROOM_COUNTDOWNS = Object.freeze([0, 15, 30, 60]);
+
+class RoomError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RoomError';
+    this.status = status;
+  }
+}
+
+function randomRoomCode() {
+  let code = '';
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+    code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function cleanName(value, seat) {
+  const name = String(value || '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME_CHARS);
+  return name || `player ${seat}`;
+}
+
+function settingFrom(value, allowed, fallback, label) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!allowed.includes(number)) throw new RoomError(400, `${label} must be one of ${allowed.join(', ')}.`);
+  return number;
+}
+
+function tokensMatch(expected, supplied) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(supplied || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class CadavreRoomStore {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.codeFactory = options.codeFactory || randomRoomCode;
+    this.tokenFactory = options.tokenFactory || (() => crypto.randomBytes(24).toString('hex'));
+    this.retentionMs = options.retentionMs ?? 2 * 60 * 60 * 1000;
+    this.maxRooms = options.maxRooms ?? 1000;
+    // A room holds at most one clock, so a store of our own sized to the room
+    // limit never runs out.
+    this.timerStore = options.timerStore
+      || new CadavreTurnTimerStore({ now: this.now, maxTimers: this.maxRooms });
+    this.ownsTimerStore = !options.timerStore;
+    // Called with a room code whenever the sheet changes, so sockets can push
+    // fresh per-seat views. Set by the route once Socket.IO is attached.
+    this.onChange = options.onChange || null;
+    this.rooms = new Map();
+
+    const sweepIntervalMs = options.sweepIntervalMs ?? 1000;
+    this.sweepTimer = sweepIntervalMs > 0
+      ? setInterval(() => this.sweep(), sweepIntervalMs)
+      : null;
+    this.sweepTimer?.unref?.();
+  }
+
+  validateCode(code) {
+    const roomCode = String(code || '').trim().toUpperCase();
+    if (!ROOM_CODE_PATTERN.test(roomCode)) throw new RoomError(400, 'Room code is invalid.');
+    return roomCode;
+  }
+
+  get(code) {
+    const room = this.rooms.get(this.validateCode(code));
+    if (!room) throw new RoomError(404, 'This room is closed or does not exist.');
+    return room;
+  }
+
+  seatFor(room, seatToken) {
+    const token = String(seatToken || '');
+    const seat = SEAT_TOKEN_PATTERN.test(token)
+      ? room.seats.find(entry => tokensMatch(entry.token, token))
+      : null;
+    if (!seat) throw new RoomError(403, 'This browser does not hold a seat in the room.');
+    return seat;
+  }
+
+  currentSeat(room) {
+    return (room.actorIndex % room.players) + 1;
+  }
+
+  // A seat acted (joined, began, wrote): the room stays alive from here.
+  touch(room) {
+    room.lastActionAtMs = this.now();
+    this.changed(room);
+  }
+
+  changed(room) {
+    room.updatedAtMs = this.now();
+    room.version++;
+    if (this.onChange) this.onChange(room.code);
+  }
+
+  // Rooms live in memory; a room where no seat has acted for retentionMs is
+  // gone. Turn clocks passing the fold on their own do not count, so a table
+  // everyone walked away from closes instead of cycling forever.
+  prune(now = this.now()) {
+    for (const [code, room] of this.rooms) {
+      if (now >= room.lastActionAtMs + this.retentionMs) {
+        this.cancelClock(room);
+        this.rooms.delete(code);
+      }
+    }
+  }
+
+  create({ players, maxWords, countdownSeconds, name } = {}) {
+    const settings = {
+      players: settingFrom(players, ROOM_PLAYER_COUNTS, 2, 'Players'),
+      maxWords: settingFrom(maxWords, ROOM_WORD_LIMITS, 3, 'Words per turn'),
+      countdownSeconds: settingFrom(countdownSeconds, ROOM_COUNTDOWNS, 30, 'Countdown')
+    };
+    const now = this.now();
+    this.prune(now);
+    if (this.rooms.size >= this.maxRooms) throw new RoomError(503, 'Cadavre rooms are at capacity.');
+
+    let code = this.codeFactory();
+    for (let attempt = 0; this.rooms.has(code) && attempt < 10; attempt++) code = this.codeFactory();
+    if (!ROOM_CODE_PATTERN.test(code) || this.rooms.has(code)) {
+      throw new RoomError(503, 'Unable to reserve a room code.');
+    }
+    const room = {
+      code,
+      ...settings,
+      status: 'waiting',
+      seats: [],
+      lines: [],
+      actorIndex: 0,
+      timerId: null,
+      version: 0,
+      createdAtMs: now,
+      updatedAtMs: now,
+      lastActionAtMs: now
+    };
+    this.rooms.set(code, room);
+    const seat = this.addSeat(room, name);
+    return { seatToken: seat.token, room: this.viewFor(room, seat.seat) };
+  }
+
+  addSeat(room, name) {
+    const seatNumber = room.seats.length + 1;
+    const seat = { seat: seatNumber, name: cleanName(name, seatNumber), token: this.tokenFactory() };
+    if (!SEAT_TOKEN_PATTERN.test(seat.token)) throw new RoomError(500, 'Seat token is invalid.');
+    room.seats.push(seat);
+    return seat;
+  }
+
+  join(code, { name } = {}) {
+    const room = this.get(code);
+    if (room.status !== 'waiting') throw new RoomError(409, 'This game has already begun.');
+    if (room.seats.length >= room.players) throw new RoomError(409, 'Every seat at this table is taken.');
+    const seat = this.addSeat(room, name);
+    this.touch(room);
+    return { seatToken: seat.token, room: this.viewFor(room, seat.seat) };
+  }
+
+  state(code, seatToken) {
+    const room = this.get(code);
+    const seat = this.seatFor(room, seatToken);
+    this.settle(room);
+    return this.viewFor(room, seat.seat);
+  }
+
+  // The seat number a token holds, for binding a socket to its seat.
+  seatNumber(code, seatToken) {
+    return this.seatFor(this.get(code), seatToken).seat;
+  }
+
+  begin(code, seatToken) {
+    const room = this.get(code);
+    const seat = this.seatFor(room, seatToken);
+    if (seat.seat !== 1) throw new RoomError(403, 'Only the host can begin the game.');
+    if (room.status !== 'waiting') throw new RoomError(409, 'This game has already begun.');
+    if (room.seats.length < room.players) throw new RoomError(409, 'The table is still waiting for players.');
+    room.status = 'playing';
+    this.startClock(room);
+    this.touch(room);
+    return this.viewFor(room, seat.seat);
+  }
+
+  submit(code, seatToken, text) {
+    const room = this.get(code);
+    const seat = this.seatFor(room, seatToken);
+    this.settle(room);
+    if (room.status !== 'playing') throw new RoomError(409, 'This game is not in play.');
+    if (this.currentSeat(room) !== seat.seat) throw new RoomError(409, 'It is not your turn.');
+    const line = String(text || '').replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!line) throw new RoomError(400, 'A fold needs at least one word.');
+    if (line.length > MAX_LINE_CHARS) throw new RoomError(400, `A fold is limited to ${MAX_LINE_CHARS} characters.`);
+    if (line.split(' ').length > room.maxWords) {
+      throw new RoomError(400, room.maxWords === 1 ? 'One word only.' : `One to ${room.maxWords} words.`);
+    }
+    if (room.lines.length >= MAX_LINES) throw new RoomError(409, 'The sheet is full; reveal the poem.');
+    room.lines.push({ text: line, seat: seat.seat, turn: room.actorIndex });
+    room.actorIndex++;
+    this.startClock(room);
+    this.touch(room);
+    return this.viewFor(room, seat.seat);
+  }
+
+  reveal(code, seatToken) {
+    const room = this.get(code);
+    const seat = this.seatFor(room, seatToken);
+    if (seat.seat !== 1) throw new RoomError(403, 'Only the host can reveal the poem.');
+    if (room.status !== 'playing') throw new RoomError(409, 'This game is not in play.');
+    if (!room.lines.length) throw new RoomError(409, 'The sheet is still blank.');
+    room.status = 'revealed';
+    this.cancelClock(room);
+    this.touch(room);
+    return this.viewFor(room, seat.seat);
+  }
+
+  // The per-room turn clock is an ordinary turn timer; an off countdown
+  // simply leaves the room without one. A timer store at capacity also leaves
+  // the room clockless rather than failing the move that already happened;
+  // settle() retries on the next sweep. Returns true when a clock is running.
+  startClock(room) {
+    this.cancelClock(room);
+    if (room.status !== 'playing' || room.countdownSeconds === 0) return false;
+    try {
+      room.timerId = this.timerStore.start(room.countdownSeconds).timerId;
+      return true;
+    } catch (error) {
+      if (error.status !== 503) throw error;
+      return false;
+    }
+  }
+
+  cancelClock(room) {
+    if (room.timerId) this.timerStore.cancel(room.timerId);
+    room.timerId = null;
+  }
+
+  clock(room) {
+    if (!room.timerId) return null;
+    try {
+      return this.timerStore.status(room.timerId);
+    } catch {
+      return null;
+    }
+  }
+
+  // An expired (or pruned) turn clock passes the fold to the next seat.
+  // Returns true when the turn moved.
+  settle(room) {
+    if (room.status !== 'playing' || room.countdownSeconds === 0) return false;
+    if (!room.timerId) {
+      if (this.startClock(room)) this.changed(room);
+      return false;
+    }
+    const clock = this.clock(room);
+    if (clock && !clock.expired) return false;
+    room.actorIndex++;
+    this.startClock(room);
+    this.changed(room);
+    return true;
+  }
+
+  sweep() {
+    this.prune();
+    for (const room of this.rooms.values()) this.settle(room);
+  }
+
+  // Everything a seat is allowed to know. Only the seat whose turn it is sees
+  // the newest line; the rest of the sheet travels as strip lengths, the way
+  // the single-screen table draws its folds, until the reveal.
+  viewFor(room, seatNumber) {
+    const playing = room.status === 'playing';
+    const current = playing ? this.currentSeat(room) : null;
+    const newest = room.lines[room.lines.length - 1] || null;
+    const yours = playing && current === seatNumber;
+    const folded = yours ? room.lines.slice(0, -1) : room.lines;
+    return {
+      code: room.code,
+      status: room.status,
+      version: room.version,
+      players: room.players,
+      maxWords: room.maxWords,
+      countdownSeconds: room.countdownSeconds,
+      seat: seatNumber,
+      isHost: seatNumber === 1,
+      seats: Array.from({ length: room.players }, (_, index) => {
+        const seat = room.seats[index];
+        return { seat: index + 1, name: seat ? seat.name : null, taken: Boolean(seat) };
+      }),
+      turn: playing
+        ? { seat: current, round: Math.floor(room.actorIndex / room.players) + 1, yours }
+        : null,
+      lineCount: room.lines.length,
+      folds: folded.map(line => ({ seat: line.seat, length: line.text.length })),
+      cue: yours && newest ? { text: newest.text, seat: newest.seat } : null,
+      lines: room.status === 'revealed' ? room.lines.map(line => ({ text: line.text, seat: line.seat })) : null,
+      timer: playing ? this.clock(room) : null
+    };
+  }
+
+  // Fresh views for every occupied seat, for pushing after a change.
+  seatViews(code) {
+    const room = this.rooms.get(code);
+    if (!room) return [];
+    return room.seats.map(seat => ({ seat: seat.seat, view: this.viewFor(room, seat.seat) }));
+  }
+
+  reset() {
+    for (const room of this.rooms.values()) this.cancelClock(room);
+    this.rooms.clear();
+  }
+
+  close() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    this.reset();
+    if (this.ownsTimerStore) this.timerStore.close();
+  }
+}
+
+module.exports = {
+  CadavreRoomStore,
+  RoomError,
+  ROOM_CODE_PATTERN,
+  ROOM_COUNTDOWNS,
+  ROOM_PLAYER_COUNTS,
+  ROOM_WORD_LIMITS
+};
@@ -324,6 +324,24 @@ class CadavreUserStore {
     }));
   }
 
+  getPoem(userId, poemId) {
+    const row = this.db.prepare(`
+      SELECT id, title, lines_json, reading, revision, created_at, updated_at
+      FROM cadavre_poems
+      WHERE id = ? AND user_id = ?
+    `).get(poemId, userId);
+    if (!row) throw new StoreError(404, 'Poem not found');
+    return {
+      id: row.id,
+      title: row.title,
+      lines: JSON.parse(row.lines_json),
+      reading: row.reading,
+      revision: row.revision,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
   createPoem(userId, input) {
     const poem = validatePoem(input);
     const now = this.now().toISOString();
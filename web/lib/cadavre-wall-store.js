@@ -1,11 +1,29 @@
 const crypto = require('crypto');
-const { createPostgresPool } = require('./postgres-pool');
+const { boundedInteger, createPostgresPool } = require('./postgres-pool');
 
 const DEFAULT_LIMIT = 40;
 const MAX_LIMIT = 100;
 const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 const TOKEN_RE = /^[0-9a-f]{64}$/i;
+const REPORTER_KEY_RE = /^(account|ip):\S{1,200}$/;
 const VOTE_HASH_DOMAIN = 'cadavre-wall-vote:v1\0';
+const REPORT_HASH_DOMAIN = 'cadavre-wall-report:v1\0';
+const REPORT_REASONS = Object.freeze(['spam', 'abuse', 'hate', 'sexual', 'personal-info', 'other']);
+const DEFAULT_REPORT_THRESHOLD = 3;
+const WALL_SORTS = Object.freeze(['new', 'top', 'trending']);
+const WALL_WINDOWS = Object.freeze({ day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000, all: null });
+// Trending ranks by log10 of the net score plus the pin's age in these units,
+// so a pin twelve hours newer outranks one with ten times the score. The rank
+// never depends on the current time, which keeps trending cursors stable.
+const TRENDING_DECAY_SECONDS = 12 * 60 * 60;
+// An admin decision and the status it leaves the post in. Approved posts stay
+// up however many reports follow; hidden posts leave the public wall.
+const MODERATION_ACTIONS = Object.freeze({ approve: 'approved', hide: 'hidden', restore: 'visible' });
+const QUEUE_FILTERS = Object.freeze({
+  open: 'counts.open_reports > 0',
+  hidden: "p.moderation_status = 'hidden'",
+  all: "(counts.total_reports > 0 OR p.moderation_status <> 'visible')"
+});
 
 function httpError(status, message, cause) {
   const error = new Error(message, cause ? { cause } : undefined);
@@ -33,25 +51,69 @@ function isoTimestamp(value) {
   return Number.isFinite(date.getTime()) ? date.toISOString() : '';
 }
 
-function encodeCursor(row) {
+function parseSort(value) {
+  if (value === undefined || value === null || value === '') return 'new';
+  const sort = String(value).trim().toLowerCase();
+  if (!WALL_SORTS.includes(sort)) throw httpError(400, `sort must be one of ${WALL_SORTS.join(', ')}.`);
+  return sort;
+}
+
+function parseWindow(value) {
+  if (value === undefined || value === null || value === '') return 'all';
+  const window = String(value).trim().toLowerCase();
+  if (!Object.hasOwn(WALL_WINDOWS, window)) {
+    throw httpError(400, `window must be one of ${Object.keys(WALL_WINDOWS).join(', ')}.`);
+  }
+  return window;
+}
+
+// A newest-first cursor keeps its original { createdAt, id } shape; other
+// feeds add the sort, the rank score, and the window start of their first page.
+function encodeCursor(row, feed = {}) {
   const id = row.id || row.event_id;
   const createdAt = isoTimestamp(row.created_at);
-  return Buffer.from(JSON.stringify({ createdAt, id })).toString('base64url');
+  const cursor = { createdAt, id };
+  if (feed.sort && feed.sort !== 'new') {
+    cursor.sort = feed.sort;
+    cursor.score = Number(row.score || 0);
+  }
+  if (feed.since) {
+    cursor.window = feed.window;
+    cursor.since = feed.since;
+  }
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
 }
 
-function decodeCursor(value) {
+function decodeCursor(value, feed = {}) {
   if (!value) return null;
   try {
     const parsed = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
     if (!parsed || !UUID_RE.test(parsed.id) || !Number.isFinite(Date.parse(parsed.createdAt))) {
       throw new Error('invalid cursor');
     }
-    return { createdAt: new Date(parsed.createdAt).toISOString(), id: parsed.id };
+    if ((parsed.sort || 'new') !== (feed.sort || 'new') || (parsed.window || 'all') !== (feed.window || 'all')) {
+      throw new Error('cursor belongs to another feed');
+    }
+    const cursor = { createdAt: new Date(parsed.createdAt).toISOString(), id: parsed.id };
+    if (parsed.sort) {
+      if (!Number.isSafeInteger(parsed.score)) throw new Error('invalid cursor score');
+      cursor.score = parsed.score;
+    }
+    if (parsed.window) {
+      if (!Number.isFinite(Date.parse(parsed.since))) throw new Error('invalid cursor window');
+      cursor.since = new Date(parsed.since).toISOString();
+    }
+    return cursor;
   } catch {
     throw httpError(400, 'Invalid wall cursor.');
   }
 }
 
+function trendingRank(score, createdAt) {
+  return `(sign(${score})::double precision * log(greatest(abs(${score}), 1)::double precision)` +
+    ` + extract(epoch FROM ${createdAt})::double precision / ${TRENDING_DECAY_SECONDS})`;
+}
+
 function publicPost(row = {}) {
   const upvotes = Number(row.upvotes || 0);
   const downvotes = Number(row.downvotes || 0);
@@ -63,7 +125,18 @@ function publicPost(row = {}) {
     ts: isoTimestamp(row.created_at),
     upvotes,
     downvotes,
-    score: Number(row.score ?? upvotes - downvotes)
+    score: Number(row.score ?? upvotes - downvotes),
+    verified: Boolean(row.verified)
+  };
+}
+
+// An account's own view of a pin adds the saved poem it came from and its
+// moderation status, so hidden pins stay visible to their owner.
+function ownedPost(row = {}) {
+  return {
+    ...publicPost(row),
+    poemId: row.source_poem_id === null || row.source_poem_id === undefined ? null : Number(row.source_poem_id),
+    status: row.moderation_status || 'visible'
   };
 }
 
@@ -73,6 +146,50 @@ function voteTokenHash(value) {
   return crypto.createHash('sha256').update(VOTE_HASH_DOMAIN).update(token).digest('hex');
 }
 
+// Reports are keyed by who the server says is asking ('account:<id>' for a
+// signed-in writer, else 'ip:<client address>'), never by a browser-minted
+// token, so clearing storage does not file a second report. Only the salted
+// hash is stored.
+function reporterKeyHash(value, salt = '') {
+  const key = String(value || '');
+  if (!REPORTER_KEY_RE.test(key)) throw httpError(400, 'Invalid wall reporter.');
+  return crypto.createHash('sha256').update(REPORT_HASH_DOMAIN).update(`${salt}\0`).update(key).digest('hex');
+}
+
+function parseReportReason(value) {
+  const reason = String(value || '').trim().toLowerCase();
+  if (!REPORT_REASONS.includes(reason)) {
+    throw httpError(400, `reason must be one of ${REPORT_REASONS.join(', ')}.`);
+  }
+  return reason;
+}
+
+function moderationItem(row = {}) {
+  return {
+    ...publicPost(row),
+    status: row.moderation_status || 'visible',
+    moderatedAt: row.moderated_at ? isoTimestamp(row.moderated_at) : null,
+    openReports: Number(row.open_reports || 0),
+    totalReports: Number(row.total_reports || 0),
+    reasons: row.reasons || {},
+    lastReportedAt: row.last_reported_at ? isoTimestamp(row.last_reported_at) : null
+  };
+}
+
+function moderationLogEntry(row = {}) {
+  return {
+    id: Number(row.id),
+    postId: row.post_id,
+    action: row.action,
+    actor: row.actor,
+    reason: row.reason || null,
+    note: row.note || null,
+    fromStatus: row.from_status || null,
+    toStatus: row.to_status || null,
+    at: isoTimestamp(row.created_at)
+  };
+}
+
 function parseVote(value) {
   if (!Number.isInteger(value) || ![-1, 0, 1].includes(value)) {
     throw httpError(400, 'value must be -1, 0, or 1.');
@@ -96,6 +213,9 @@ class CadavreWallStore {
     this.env = env;
     this.pool = options.pool || null;
     this.ownsPool = options.ownsPool === undefined ? !options.pool : options.ownsPool;
+    this.now = options.now || Date.now;
+    this.reportThreshold = boundedInteger(env.CADAVRE_WALL_REPORT_THRESHOLD, DEFAULT_REPORT_THRESHOLD, 1, 1000);
+    this.reportSalt = String(env.CADAVRE_WALL_REPORT_SALT || '');
     this.closing = false;
     this.closePromise = null;
   }
@@ -129,60 +249,128 @@ class CadavreWallStore {
     }
   }
 
-  async list({ limit, cursor } = {}) {
+  // sort=new pages the newest pins first; top and trending rank every visible
+  // pin in the window by its votes. author narrows any feed to one name.
+  async list({ limit, cursor, sort, window, author } = {}) {
     const pageSize = parseLimit(limit);
-    const decodedCursor = decodeCursor(cursor);
+    const feed = { sort: parseSort(sort), window: parseWindow(window) };
+    const authorName = cleanText(author, { field: 'author', maxLength: 80, singleLine: true });
+    const decodedCursor = decodeCursor(cursor, feed);
+    if (WALL_WINDOWS[feed.window]) {
+      feed.since = decodedCursor?.since || new Date(this.now() - WALL_WINDOWS[feed.window]).toISOString();
+    }
+    const ranked = feed.sort !== 'new';
+    const column = name => (ranked ? `p.${name}` : name);
     const values = [];
+    const filters = [`${column('moderation_status')} <> 'hidden'`];
+    if (feed.since) {
+      values.push(feed.since);
+      filters.push(`${column('created_at')} >= $${values.length}::timestamptz`);
+    }
+    if (authorName) {
+      values.push(authorName);
+      filters.push(`${column('author_name')} = $${values.length}`);
+    }
     let cursorClause = '';
-    if (decodedCursor) {
+    if (decodedCursor && !ranked) {
       values.push(decodedCursor.createdAt, decodedCursor.id);
-      cursorClause = `WHERE (created_at, id) < ROW($${values.length - 1}::timestamptz, $${values.length}::uuid)`;
+      cursorClause = `AND (created_at, id) < ROW($${values.length - 1}::timestamptz, $${values.length}::uuid)`;
+    } else if (decodedCursor) {
+      values.push(decodedCursor.score, decodedCursor.createdAt, decodedCursor.id);
+      const [score, createdAt, id] = [values.length - 2, values.length - 1, values.length]
+        .map(index => `$${index}`);
+      const cursorRank = feed.sort === 'top'
+        ? `${score}::integer`
+        : trendingRank(`${score}::integer`, `${createdAt}::timestamptz`);
+      cursorClause = `WHERE (rank, created_at, id) < ROW(${cursorRank}, ${createdAt}::timestamptz, ${id}::uuid)`;
     }
     values.push(pageSize + 1);
     const limitParameter = `$${values.length}`;
-    const result = await this.query(`
+    const voteCountsJoin = postId => `
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*) FILTER (WHERE vote = 1)::integer AS upvotes,
+               COUNT(*) FILTER (WHERE vote = -1)::integer AS downvotes,
+               COALESCE(SUM(vote), 0)::integer AS score
+        FROM wall_post_votes
+        WHERE post_id = ${postId}
+      ) counts`;
+    const sql = ranked ? `
+      WITH ranked AS (
+        SELECT p.id, p.author_name, p.poem, p.analysis, p.created_at,
+               p.owner_user_id IS NOT NULL AS verified,
+               counts.upvotes, counts.downvotes, counts.score,
+               ${feed.sort === 'top' ? 'counts.score' : trendingRank('counts.score', 'p.created_at')} AS rank
+        FROM wall_posts p
+        ${voteCountsJoin('p.id')}
+        WHERE ${filters.join(' AND ')}
+      )
+      SELECT id, author_name, poem, analysis, created_at, verified, upvotes, downvotes, score
+      FROM ranked
+      ${cursorClause}
+      ORDER BY rank DESC, created_at DESC, id DESC
+      LIMIT ${limitParameter}
+    ` : `
       WITH page AS (
-        SELECT id, author_name, poem, analysis, created_at
+        SELECT id, author_name, poem, analysis, created_at, owner_user_id IS NOT NULL AS verified
         FROM wall_posts
+        WHERE ${filters.join(' AND ')}
         ${cursorClause}
         ORDER BY created_at DESC, id DESC
         LIMIT ${limitParameter}
       )
-      SELECT page.id, page.author_name, page.poem, page.analysis, page.created_at,
+      SELECT page.id, page.author_name, page.poem, page.analysis, page.created_at, page.verified,
              counts.upvotes, counts.downvotes, counts.score
       FROM page
-      CROSS JOIN LATERAL (
-        SELECT COUNT(*) FILTER (WHERE vote = 1)::integer AS upvotes,
-               COUNT(*) FILTER (WHERE vote = -1)::integer AS downvotes,
-               COALESCE(SUM(vote), 0)::integer AS score
-        FROM wall_post_votes
-        WHERE post_id = page.id
-      ) counts
+      ${voteCountsJoin('page.id')}
       ORDER BY page.created_at DESC, page.id DESC
-    `, values);
+    `;
+    const result = await this.query(sql, values);
     const page = result.rows.slice(0, pageSize);
     return {
       items: page.map(publicPost),
       nextCursor: result.rows.length > pageSize && page.length
-        ? encodeCursor(page[page.length - 1])
-        : null
+        ? encodeCursor(page[page.length - 1], feed)
+        : null,
+      sort: feed.sort,
+      window: feed.window,
+      author: authorName || null
     };
   }
 
-  async create(input = {}) {
-    const authorName = cleanText(input.name, {
-      field: 'name', maxLength: 80, singleLine: true
+  // Anonymous pins take a free-text name. An account pin passes its owner,
+  // whose username replaces the name and marks the pin verified.
+  async create(input = {}, owner = null) {
+    const ownerUserId = owner ? Number(owner.userId) : null;
+    if (owner && (!Number.isSafeInteger(ownerUserId) || ownerUserId < 1)) {
+      throw httpError(400, 'Invalid wall pin owner.');
+    }
+    const sourcePoemId = owner?.poemId === undefined || owner?.poemId === null ? null : Number(owner.poemId);
+    if (sourcePoemId !== null && (!Number.isSafeInteger(sourcePoemId) || sourcePoemId < 1)) {
+      throw httpError(400, 'Invalid saved poem id.');
+    }
+    const authorName = cleanText(owner ? owner.username : input.name, {
+      field: 'name', maxLength: 80, singleLine: true, required: Boolean(owner)
     }) || 'anonymous';
     const poem = cleanText(input.poem, { field: 'poem', maxLength: 12000, required: true });
     const analysis = cleanText(input.analysis, { field: 'analysis', maxLength: 16000 });
     const deleteToken = crypto.randomBytes(32).toString('hex');
     const deleteTokenHash = crypto.createHash('sha256').update(deleteToken).digest('hex');
     const id = crypto.randomUUID();
-    const result = await this.query(`
-      INSERT INTO wall_posts (id, author_name, poem, analysis, delete_token_hash)
-      VALUES ($1::uuid, $2, $3, $4, $5)
-      RETURNING id, author_name, poem, analysis, created_at
-    `, [id, authorName, poem, analysis || null, deleteTokenHash]);
+    let result;
+    try {
+      result = await this.query(`
+        INSERT INTO wall_posts (
+          id, author_name, poem, analysis, delete_token_hash, owner_user_id, source_poem_id
+        )
+        VALUES ($1::uuid, $2, $3, $4, $5, $6, $7)
+        RETURNING id, author_name, poem, analysis, created_at, owner_user_id IS NOT NULL AS verified
+      `, [id, authorName, poem, analysis || null, deleteTokenHash, ownerUserId, sourcePoemId]);
+    } catch (error) {
+      if (error.cause?.code === '23505' && sourcePoemId !== null) {
+        throw httpError(409, 'This poem is already on the wall.', error.cause);
+      }
+      throw error;
+    }
     if (!result.rows[0]) {
       throw httpError(503, 'The shared wall database did not return the new pin.');
     }
@@ -248,6 +436,230 @@ class CadavreWallStore {
     }
   }
 
+  // Runs work(client) inside one transaction on a dedicated client.
+  async transaction(work) {
+    let client;
+    let inTransaction = false;
+    try {
+      client = await this.getPool().connect();
+      await client.query('BEGIN');
+      inTransaction = true;
+      const result = await work(client);
+      await client.query(result === null ? 'ROLLBACK' : 'COMMIT');
+      inTransaction = false;
+      return result;
+    } catch (error) {
+      if (inTransaction && client) {
+        try {
+          await client.query('ROLLBACK');
+        } catch {}
+      }
+      if (error.status) throw error;
+      throw httpError(503, 'The shared wall database is unavailable.', error);
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  async logModeration(client, entry) {
+    await client.query(`
+      INSERT INTO wall_moderation_log (post_id, action, actor, reason, note, from_status, to_status)
+      VALUES ($1::uuid, $2, $3, $4, $5, $6, $7)
+    `, [
+      entry.postId,
+      entry.action,
+      entry.actor,
+      entry.reason || null,
+      entry.note || null,
+      entry.fromStatus || null,
+      entry.toStatus || null
+    ]);
+  }
+
+  // One open report per reporter (see reporterKeyHash) and post; a reporter
+  // may report again once an admin has resolved its earlier report. Reaching
+  // the threshold of open reports hides a visible post until an admin reviews it.
+  async report(id, reporterKey, input = {}) {
+    if (!UUID_RE.test(String(id || ''))) throw httpError(400, 'Invalid wall post id.');
+    const reporterTokenHash = reporterKeyHash(reporterKey, this.reportSalt);
+    const reason = parseReportReason(input.reason);
+    const details = cleanText(input.details, { field: 'details', maxLength: 500 }) || null;
+    return this.transaction(async (client) => {
+      const target = await client.query(`
+        SELECT moderation_status
+        FROM wall_posts
+        WHERE id = $1::uuid
+        FOR UPDATE
+      `, [id]);
+      if (!target.rows[0]) return null;
+      let status = target.rows[0].moderation_status;
+
+      const filed = await client.query(`
+        INSERT INTO wall_post_reports (post_id, reporter_token_hash, reason, details)
+        VALUES ($1::uuid, $2, $3, $4)
+        ON CONFLICT (post_id, reporter_token_hash)
+        DO UPDATE SET reason = EXCLUDED.reason, details = EXCLUDED.details,
+                      created_at = CURRENT_TIMESTAMP(3), resolved_at = NULL
+        WHERE wall_post_reports.resolved_at IS NOT NULL
+        RETURNING post_id
+      `, [id, reporterTokenHash, reason, details]);
+      if (filed.rowCount > 0) {
+        await this.logModeration(client, {
+          postId: id,
+          action: 'report',
+          actor: `${String(reporterKey).split(':')[0]}:${reporterTokenHash.slice(0, 12)}`,
+          reason,
+          note: details
+        });
+        const open = await client.query(`
+          SELECT COUNT(*)::integer AS count
+          FROM wall_post_reports
+          WHERE post_id = $1::uuid AND resolved_at IS NULL
+        `, [id]);
+        const openReports = Number(open.rows[0]?.count || 0);
+        if (status === 'visible' && openReports >= this.reportThreshold) {
+          await client.query(`
+            UPDATE wall_posts
+            SET moderation_status = 'hidden', moderated_at = CURRENT_TIMESTAMP(3)
+            WHERE id = $1::uuid
+          `, [id]);
+          await this.logModeration(client, {
+            postId: id,
+            action: 'auto_hide',
+            actor: 'system',
+            note: `${openReports} open reports`,
+            fromStatus: status,
+            toStatus: 'hidden'
+          });
+          status = 'hidden';
+        }
+      }
+      return { id, reported: true, hidden: status === 'hidden' };
+    });
+  }
+
+  async moderationQueue({ status = 'open', limit } = {}) {
+    const filter = QUEUE_FILTERS[status];
+    if (!filter) throw httpError(400, `status must be one of ${Object.keys(QUEUE_FILTERS).join(', ')}.`);
+    const result = await this.query(`
+      SELECT p.id, p.author_name, p.poem, p.analysis, p.created_at,
+             p.moderation_status, p.moderated_at,
+             counts.open_reports, counts.total_reports, counts.last_reported_at,
+             (
+               SELECT jsonb_object_agg(grouped.reason, grouped.count)
+               FROM (
+                 SELECT reason, COUNT(*)::integer AS count
+                 FROM wall_post_reports
+                 WHERE post_id = p.id AND resolved_at IS NULL
+                 GROUP BY reason
+               ) grouped
+             ) AS reasons
+      FROM wall_posts p
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*) FILTER (WHERE resolved_at IS NULL)::integer AS open_reports,
+               COUNT(*)::integer AS total_reports,
+               MAX(created_at) AS last_reported_at
+        FROM wall_post_reports
+        WHERE post_id = p.id
+      ) counts
+      WHERE ${filter}
+      ORDER BY counts.last_reported_at DESC NULLS LAST, p.created_at DESC, p.id DESC
+      LIMIT $1
+    `, [parseLimit(limit)]);
+    return { items: result.rows.map(moderationItem) };
+  }
+
+  async moderationLog({ postId, limit } = {}) {
+    const values = [parseLimit(limit)];
+    let postClause = '';
+    if (postId !== undefined && postId !== null && postId !== '') {
+      if (!UUID_RE.test(String(postId))) throw httpError(400, 'Invalid wall post id.');
+      values.push(postId);
+      postClause = 'WHERE post_id = $2::uuid';
+    }
+    const result = await this.query(`
+      SELECT id, post_id, action, actor, reason, note, from_status, to_status, created_at
+      FROM wall_moderation_log
+      ${postClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $1
+    `, values);
+    return { entries: result.rows.map(moderationLogEntry) };
+  }
+
+  // An admin decision resolves every open report on the post.
+  async moderate(id, action, { actor, note } = {}) {
+    if (!UUID_RE.test(String(id || ''))) throw httpError(400, 'Invalid wall post id.');
+    const toStatus = MODERATION_ACTIONS[action];
+    if (!toStatus) throw httpError(400, 'action must be approve, hide, or restore.');
+    const moderator = cleanText(actor, { field: 'actor', maxLength: 74, required: true, singleLine: true });
+    const cleanNote = cleanText(note, { field: 'note', maxLength: 500 }) || null;
+    return this.transaction(async (client) => {
+      const target = await client.query(`
+        SELECT moderation_status
+        FROM wall_posts
+        WHERE id = $1::uuid
+        FOR UPDATE
+      `, [id]);
+      if (!target.rows[0]) return null;
+      const fromStatus = target.rows[0].moderation_status;
+      const updated = await client.query(`
+        UPDATE wall_posts
+        SET moderation_status = $2, moderated_at = CURRENT_TIMESTAMP(3)
+        WHERE id = $1::uuid
+        RETURNING id, author_name, poem, analysis, created_at, moderation_status, moderated_at
+      `, [id, toStatus]);
+      await client.query(`
+        UPDATE wall_post_reports
+        SET resolved_at = CURRENT_TIMESTAMP(3)
+        WHERE post_id = $1::uuid AND resolved_at IS NULL
+      `, [id]);
+      await this.logModeration(client, {
+        postId: id,
+        action,
+        actor: `admin:${moderator}`,
+        note: cleanNote,
+        fromStatus,
+        toStatus
+      });
+      return moderationItem(updated.rows[0]);
+    });
+  }
+
+  async listOwned(userId, { limit } = {}) {
+    const ownerUserId = Number(userId);
+    if (!Number.isSafeInteger(ownerUserId) || ownerUserId < 1) throw httpError(400, 'Invalid wall pin owner.');
+    const result = await this.query(`
+      SELECT p.id, p.author_name, p.poem, p.analysis, p.created_at, TRUE AS verified,
+             p.moderation_status, p.source_poem_id,
+             counts.upvotes, counts.downvotes, counts.score
+      FROM wall_posts p
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*) FILTER (WHERE vote = 1)::integer AS upvotes,
+               COUNT(*) FILTER (WHERE vote = -1)::integer AS downvotes,
+               COALESCE(SUM(vote), 0)::integer AS score
+        FROM wall_post_votes
+        WHERE post_id = p.id
+      ) counts
+      WHERE p.owner_user_id = $1
+      ORDER BY p.created_at DESC, p.id DESC
+      LIMIT $2
+    `, [ownerUserId, parseLimit(limit)]);
+    return { items: result.rows.map(ownedPost) };
+  }
+
+  async removeOwned(id, userId) {
+    if (!UUID_RE.test(String(id || ''))) throw httpError(400, 'Invalid wall post id.');
+    const ownerUserId = Number(userId);
+    if (!Number.isSafeInteger(ownerUserId) || ownerUserId < 1) throw httpError(400, 'Invalid wall pin owner.');
+    const result = await this.query(`
+      DELETE FROM wall_posts
+      WHERE id = $1::uuid AND owner_user_id = $2
+      RETURNING id
+    `, [id, ownerUserId]);
+    return result.rowCount > 0;
+  }
+
   async remove(id, deleteToken) {
     if (!UUID_RE.test(String(id || ''))) throw httpError(400, 'Invalid wall post id.');
     if (!TOKEN_RE.test(String(deleteToken || ''))) throw httpError(403, 'This browser cannot remove that pin.');
@@ -263,10 +675,14 @@ class CadavreWallStore {
   async health() {
     const result = await this.query(`
       SELECT to_regclass('public.wall_posts')::text AS posts_table,
-             to_regclass('public.wall_post_votes')::text AS votes_table
+             to_regclass('public.wall_post_votes')::text AS votes_table,
+             to_regclass('public.wall_post_reports')::text AS reports_table,
+             to_regclass('public.wall_moderation_log')::text AS moderation_log_table
     `);
     if (result.rows[0]?.posts_table !== 'wall_posts' ||
-        result.rows[0]?.votes_table !== 'wall_post_votes') {
+        result.rows[0]?.votes_table !== 'wall_post_votes' ||
+        result.rows[0]?.reports_table !== 'wall_post_reports' ||
+        result.rows[0]?.moderation_log_table !== 'wall_moderation_log') {
       throw httpError(503, 'The shared wall schema is unavailable.');
     }
     return { status: 'ok', storage: 'postgres' };
@@ -291,13 +707,27 @@ module.exports = {
     parseLimit,
     encodeCursor,
     decodeCursor,
+    parseSort,
+    parseWindow,
+    trendingRank,
     publicPost,
+    ownedPost,
     parseVote,
     voteCounts,
     voteTokenHash,
+    reporterKeyHash,
+    parseReportReason,
+    moderationItem,
+    moderationLogEntry,
     isoTimestamp,
     UUID_RE,
     TOKEN_RE,
-    VOTE_HASH_DOMAIN
+    VOTE_HASH_DOMAIN,
+    REPORT_HASH_DOMAIN,
+    REPORT_REASONS,
+    MODERATION_ACTIONS,
+    WALL_SORTS,
+    WALL_WINDOWS,
+    TRENDING_DECAY_SECONDS
   }
 };
@@ -0,0 +1,147 @@
+'use strict';
+
+// Rolling conversation for an LLM player in 'conversation' memory mode.
+// Stateless play (the default) sends a fresh system+user pair every decision;
+// here each decision also replays the level so far as alternating turns: the
+// observation the model was shown, its own reply, and what that move did
+// (score, health and ticks until the next decision, prefixed to the following
+// observation). When the replayed turns outgrow the token budget the oldest
+// are folded into a short written summary appended to the system message, so
+// the prompt stays bounded without an extra model call inside the tick budget.
+// LLMClient resets the memory at every level boundary.
+//
+// Configured per game in the prompt config:
+//   "conversationMemory": { "enabled": true, "tokenBudget": 3000, "minTurns": 2 }
+// and overridable per run (LLMClient's memoryMode option, eval plan memoryModes).
+
+const MEMORY_MODES = ['stateless', 'conversation'];
+const DEFAULT_TOKEN_BUDGET = 3000;
+const DEFAULT_MIN_TURNS = 2;
+// Rough English-text estimate; the budget is a guard rail, not a bill.
+const CHARS_PER_TOKEN = 4;
+
+function normalizeMemoryMode(value) {
+  return MEMORY_MODES.includes(value) ? value : null;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function describeOutcome(turn) {
+  if (!turn?.outcome) return '';
+  const { scoreDelta, healthDelta, ticks } = turn.outcome;
+  const effects = [];
+  if (scoreDelta !== 0) effects.push(`score ${signed(scoreDelta)}`);
+  if (healthDelta !== 0) effects.push(`health ${signed(healthDelta)}`);
+  return `Result of your last move (${turn.action || 'no action'}): ${effects.length > 0 ? effects.join(', ') : 'no score or health change'} over ${ticks} tick${ticks === 1 ? '' : 's'}.`;
+}
+
+class ConversationMemory {
+  constructor(options = {}) {
+    const budget = Number(options.tokenBudget);
+    const minTurns = Number(options.minTurns);
+    this.tokenBudget = Number.isFinite(budget) && budget > 0 ? budget : DEFAULT_TOKEN_BUDGET;
+    this.minTurns = Number.isInteger(minTurns) && minTurns >= 0 ? minTurns : DEFAULT_MIN_TURNS;
+    this.reset();
+  }
+
+  reset() {
+    this.turns = [];
+    this.summary = null;  // { turns, fromTick, toTick, scoreDelta, healthDelta, actions: { ACTION: n } }
+  }
+
+  // Closes the last turn with what its move did, measured at the next decision.
+  settle(sso = {}) {
+    const last = this.turns[this.turns.length - 1];
+    if (!last || last.outcome) return;
+    last.outcome = {
+      scoreDelta: (sso.gameScore || 0) - last.score,
+      healthDelta: (sso.avatarHealthPoints || 0) - last.health,
+      ticks: Math.max(0, (sso.gameTick || 0) - last.tick)
+    };
+  }
+
+  // The user content for this decision: the previous move's result, then the
+  // observation. This is also what the turn is stored as.
+  userContent(observation) {
+    return [describeOutcome(this.turns[this.turns.length - 1]), observation].filter(Boolean).join('\n\n');
+  }
+
+  // Messages for a decision. `content` is the user content from userContent();
+  // `current` is the same content in its sent form (with an attached frame).
+  // Stored turns are text only, so frames are never replayed.
+  buildMessages(systemMessage, content, current = content) {
+    const summary = this.summaryText();
+    const system = [systemMessage, summary].filter(Boolean).join('\n\n');
+    const messages = system ? [{ role: 'system', content: system }] : [];
+    for (const turn of this.turns) {
+      messages.push({ role: 'user', content: turn.user });
+      messages.push({ role: 'assistant', content: turn.reply });
+    }
+    messages.push({ role: 'user', content: current });
+    return messages;
+  }
+
+  recordTurn({ sso = {}, user, reply, action }) {
+    this.turns.push({
+      tick: sso.gameTick || 0,
+      score: sso.gameScore || 0,
+      health: sso.avatarHealthPoints || 0,
+      user: String(user || ''),
+      reply: String(reply || ''),
+      action: action || null,
+      outcome: null
+    });
+    this.compact();
+  }
+
+  historyTokens() {
+    return this.turns.reduce((sum, turn) => sum + estimateTokens(turn.user) + estimateTokens(turn.reply), estimateTokens(this.summaryText()));
+  }
+
+  // Folds the oldest settled turns into the summary until the history fits
+  // the budget, always keeping the newest minTurns turns verbatim.
+  compact() {
+    while (this.turns.length > this.minTurns && this.historyTokens() > this.tokenBudget) {
+      const turn = this.turns.shift();
+      const summary = this.summary || { turns: 0, fromTick: turn.tick, toTick: turn.tick, scoreDelta: 0, healthDelta: 0, actions: {} };
+      summary.turns += 1;
+      summary.toTick = turn.tick + (turn.outcome?.ticks || 0);
+      summary.scoreDelta += turn.outcome?.scoreDelta || 0;
+      summary.healthDelta += turn.outcome?.healthDelta || 0;
+      if (turn.action) summary.actions[turn.action] = (summary.actions[turn.action] || 0) + 1;
+      this.summary = summary;
+    }
+  }
+
+  summaryText() {
+    if (!this.summary) return '';
+    const { turns, fromTick, toTick, scoreDelta, healthDelta, actions } = this.summary;
+    const actionList = Object.entries(actions)
+      .sort((a, b) => b[1] - a[1])
+      .map(([action, count]) => `${action} x${count}`)
+      .join(', ');
+    return `EARLIER THIS LEVEL (summarized) — ticks ${fromTick}-${toTick}, ${turns} decision${turns === 1 ? '' : 's'}: ${actionList || 'no actions'}; score ${signed(scoreDelta)}, health ${signed(healthDelta)} over that stretch.`;
+  }
+
+  stats() {
+    return {
+      turns: this.turns.length,
+      summarizedTurns: this.summary ? this.summary.turns : 0,
+      historyTokens: this.historyTokens()
+    };
+  }
+}
+
+module.exports = {
+  MEMORY_MODES,
+  DEFAULT_TOKEN_BUDGET,
+  ConversationMemory,
+  normalizeMemoryMode,
+  estimateTokens
+};
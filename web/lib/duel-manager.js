@@ -0,0 +1,462 @@
+'use strict';
+
+// Two-player duel sessions: one engine worker runs a game from
+// examples/all_games_2p.csv and each avatar gets its own player driver — an
+// LLMClient or a HumanPlayClient — on its own socket. Player 0 connects on the
+// worker's port; the engine opens player 1's socket (worker.secondPort) only
+// after that, so the clients attach in order. Both clients share the session
+// runId and tag their socket events with playerId, so viewers see one run.
+//
+// Singleton configured from startServer() with { io, enginePool, gameManager,
+// coordinator } — the same injection pattern as trace-replay. Walk-up duels
+// lease their own worker; marble-run duels (runCase) play on the worker the
+// attract coordinator already holds.
+
+const { readTwoPlayerRegistry } = require('./game-registry');
+const { buildStrategicDigestFromFile } = require('./vgdl-digest');
+const { deriveSeed, normalizeSeed } = require('./run-seed');
+const { sanitizeRunPart } = require('./eval-plan');
+const { createControlToken, controlTokenMatches } = require('./human-control');
+
+const PLAYER_COUNT = 2;
+const READY_TIMEOUT_MS = 10000;
+// Both sockets close when the engine exits; if only one does (a client
+// dropped), give the other a moment to receive its END before tearing down.
+const DEFAULT_END_GRACE_MS = 3000;
+const PLAYER_TYPES = new Set(['llm', 'human']);
+// Marble-run head-to-head games (ids in examples/all_games_2p.csv): aliens,
+// butterflies, tron and pong2p play out quickly and read well on the marquee.
+const DEFAULT_DUEL_GAME_IDS = [2, 51, 43, 56];
+
+class DuelError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DuelError';
+    this.code = code;
+  }
+}
+
+// Validate the players array from /api/game/start or a playlist case.
+// Returns [{ type, model, strategy }] with exactly two entries.
+function normalizePlayers(players) {
+  if (!Array.isArray(players) || players.length !== PLAYER_COUNT) {
+    throw new DuelError('INVALID_PLAYERS', `A duel needs exactly ${PLAYER_COUNT} players`);
+  }
+  const normalized = players.map((player, index) => {
+    const type = player && player.type ? String(player.type) : 'llm';
+    if (!PLAYER_TYPES.has(type)) {
+      throw new DuelError('INVALID_PLAYERS', `Player ${index + 1} has unknown type ${type}`);
+    }
+    const model = type === 'llm' && player.model ? String(player.model) : null;
+    if (type === 'llm' && !model) {
+      throw new DuelError('INVALID_PLAYERS', `Player ${index + 1} needs a model`);
+    }
+    return { type, model, strategy: type === 'llm' ? player.strategy || null : null };
+  });
+  if (normalized.filter(player => player.type === 'human').length > 1) {
+    throw new DuelError('INVALID_PLAYERS', 'Only one human can play in a duel at this cabinet');
+  }
+  return normalized;
+}
+
+function defaultCreateClient(player, options) {
+  if (player.type === 'human') {
+    const HumanPlayClient = require('./human-play-client');
+    return new HumanPlayClient(options);
+  }
+  const LLMClient = require('./llm-client');
+  return new LLMClient(options);
+}
+
+// Rules text for the duel prompt. The single-player prompt configs are keyed
+// by single-player ids, so two-player games are digested from their VGDL.
+function defaultGameContent(game) {
+  try {
+    return buildStrategicDigestFromFile(game.vgdlPath, { gameId: game.id, gameName: game.name }).promptText || null;
+  } catch (error) {
+    console.warn(`[Duel] could not digest ${game.file}: ${error.message}`);
+    return null;
+  }
+}
+
+// Final standings from the newest observation either client holds; every
+// two-player observation carries all players' scores and results.
+function duelOutcome(session, reason) {
+  let final = null;
+  for (const client of session.clients) {
+    const sso = client.lastSso;
+    if (!sso || !Array.isArray(sso.playerScores)) continue;
+    if (!final || (sso.gameTick || 0) >= (final.gameTick || 0)) final = sso;
+  }
+  const winners = final && Array.isArray(final.playerWinners) ? final.playerWinners : [];
+  const players = session.players.map((player, playerId) => ({
+    playerId,
+    type: player.type,
+    model: player.model,
+    score: final ? Number(final.playerScores[playerId] || 0) : null,
+    winner: winners[playerId] || null
+  }));
+  const winning = players.filter(player => player.winner === 'PLAYER_WINS');
+  return {
+    runId: session.runId,
+    gameId: session.gameId,
+    gameName: session.gameName,
+    levelId: session.levelId,
+    seed: session.seed,
+    reason,
+    ticks: final ? final.gameTick || 0 : 0,
+    players,
+    winnerId: winning.length === 1 ? winning[0].playerId : null
+  };
+}
+
+// Head-to-head cases for the marble playlist: the plan's models in adjacent
+// pairs (an odd one out meets the first model), rotating through the duel
+// games. Seeds derive from the runId like the solo cases.
+function buildDuelCases(models, options = {}) {
+  const roster = (models || []).filter(model => model && model.id);
+  if (roster.length < 2) return [];
+  const registry = options.registry || readTwoPlayerRegistry();
+  const games = (options.gameIds || DEFAULT_DUEL_GAME_IDS)
+    .map(id => registry.get(Number(id)))
+    .filter(Boolean);
+  if (games.length === 0) return [];
+
+  const pinnedSeed = normalizeSeed(options.seed);
+  const planSeed = pinnedSeed === null ? 0 : pinnedSeed;
+  const cases = [];
+  for (let index = 0; index < roster.length; index += 2) {
+    const first = roster[index];
+    const second = roster[index + 1] || roster[0];
+    if (first === second) continue;
+    const game = games[cases.length % games.length];
+    const runId = `duel-g${game.id}-l0-${sanitizeRunPart(first.id)}-vs-${sanitizeRunPart(second.id)}`;
+    cases.push({
+      kind: 'duel',
+      runId,
+      seed: deriveSeed(planSeed, runId),
+      gameId: game.id,
+      gameName: game.name,
+      levelId: 0,
+      modelId: first.id,
+      modelName: `${first.name || first.id} vs ${second.name || second.id}`,
+      provider: first.provider || null,
+      strategyId: 'duel',
+      strategyLabel: 'Head-to-head',
+      strategy: null,
+      players: [
+        { type: 'llm', model: first.id, name: first.name || first.id },
+        { type: 'llm', model: second.id, name: second.name || second.id }
+      ]
+    });
+  }
+  return cases;
+}
+
+class DuelManager {
+  constructor() {
+    this.sessions = new Map(); // runId -> session
+    this.configured = false;
+  }
+
+  configure(deps = {}) {
+    this.io = deps.io || null;
+    this.enginePool = deps.enginePool || require('./engine-pool');
+    this.gameManager = deps.gameManager || null;
+    this.coordinator = deps.coordinator || null;
+    this.telemetry = deps.telemetry || require('./telemetry-store');
+    this.registry = deps.registry || null;
+    this.createClient = deps.createClient || defaultCreateClient;
+    this.gameContent = deps.gameContent || defaultGameContent;
+    this.endGraceMs = deps.endGraceMs ?? DEFAULT_END_GRACE_MS;
+    this.engineWaitMs = deps.engineWaitMs;
+    this.configured = true;
+    return this;
+  }
+
+  _game(gameId) {
+    if (!this.registry) this.registry = readTwoPlayerRegistry();
+    const game = this.registry.get(Number(gameId));
+    if (!game) throw new DuelError('GAME_NOT_FOUND', `Two-player game ${gameId} not found`);
+    return game;
+  }
+
+  // Walk-up duel: lease a worker (the marble run yields one if needed), start
+  // the engine and connect both players. Resolves once both are attached.
+  async start(request = {}) {
+    if (!this.configured) this.configure();
+    const players = normalizePlayers(request.players);
+    const game = this._game(request.gameId);
+    if (!this.gameManager) throw new DuelError('ENGINE_UNAVAILABLE', 'Game engine is not configured');
+
+    const runId = this.telemetry.createRunId(`duel-${game.id}`);
+    let worker = this.enginePool.acquire({ runId, source: 'duel' });
+    if (!worker && this.coordinator) {
+      await this.coordinator.beginWalkup();
+    }
+    if (!worker) worker = await this.enginePool.acquireForeground({ runId, source: 'duel' }, { waitMs: this.engineWaitMs });
+    if (!worker) throw new DuelError('ENGINE_BUSY', 'Every game engine is busy; try again when a run finishes');
+
+    const session = this._createSession(runId, game, players, worker, request, { ownsWorker: true });
+    try {
+      await this._launch(session);
+    } catch (error) {
+      this._end(session, 'start_failed');
+      throw error;
+    }
+    this._trackStart(session);
+    // Only the browser that started a walk-up duel gets to drive its human.
+    if (!players.some(player => player.type === 'human')) return this.getSnapshot(runId);
+    session.controlToken = createControlToken();
+    return { ...this.getSnapshot(runId), controlToken: session.controlToken };
+  }
+
+  // Marble-run duel on a worker the attract coordinator already leased and
+  // streams. Resolves with the duel result when the session ends; onCaseStart
+  // gets the coordinator's { processId, llmClient } handle so a yield or stop
+  // can cut the duel the same way it cuts a solo case.
+  async runCase(duelCase, options = {}) {
+    if (!this.configured) this.configure();
+    const players = normalizePlayers(duelCase.players);
+    const game = this._game(duelCase.gameId);
+    if (!this.gameManager) throw new DuelError('ENGINE_UNAVAILABLE', 'Game engine is not configured');
+    if (!options.worker) throw new DuelError('ENGINE_BUSY', 'Marble duels need a leased engine worker');
+
+    const session = this._createSession(duelCase.runId, game, players, options.worker, {
+      levelId: duelCase.levelId,
+      seed: duelCase.seed
+    }, {
+      ownsWorker: false,
+      // The coordinator's case options, as runEvalCase applies them to its client.
+      clientOptions: {
+        maxActions: options.maxActions,
+        synchronousActions: options.synchronousActions === true,
+        initResponseType: options.initResponseType,
+        actResponseType: options.actResponseType
+      }
+    });
+    try {
+      await this._launch(session);
+    } catch (error) {
+      this._end(session, 'start_failed');
+      throw error;
+    }
+    this._trackStart(session);
+    if (options.timeoutMs) {
+      session.caseTimer = setTimeout(() => this._end(session, 'timeout'), options.timeoutMs);
+      if (session.caseTimer.unref) session.caseTimer.unref();
+    }
+    if (options.onCaseStart) {
+      options.onCaseStart({
+        processId: session.gameProcess.processId,
+        llmClient: { disconnect: () => this._end(session, 'stopped') }
+      });
+    }
+    return session.done;
+  }
+
+  _createSession(runId, game, players, worker, request, extra) {
+    let resolveDone;
+    const done = new Promise(resolve => { resolveDone = resolve; });
+    const session = {
+      runId,
+      gameId: game.id,
+      gameName: game.name,
+      game,
+      levelId: Number.isInteger(Number(request.levelId)) ? Number(request.levelId) : 0,
+      seed: request.seed ?? null,
+      players,
+      worker,
+      ownsWorker: extra.ownsWorker,
+      clientOptions: extra.clientOptions || {},
+      gameProcess: null,
+      clients: [],
+      endedClients: new Set(),
+      graceTimer: null,
+      caseTimer: null,
+      ended: false,
+      result: null,
+      done,
+      resolveDone,
+      startedAt: new Date().toISOString()
+    };
+    this.sessions.set(runId, session);
+    return session;
+  }
+
+  async _launch(session) {
+    const { worker } = session;
+    const gameProcess = await this.gameManager.startGame(session.gameId, session.levelId, false, {
+      port: worker.port,
+      secondPort: worker.secondPort,
+      screenshotPath: worker.screenshotPath,
+      seed: session.seed,
+      players: PLAYER_COUNT
+    });
+    session.gameProcess = gameProcess;
+    if (session.seed === null && gameProcess.seed != null) session.seed = gameProcess.seed;
+
+    const gameContent = this.gameContent(session.game);
+    const ports = [worker.port, worker.secondPort];
+    for (let playerId = 0; playerId < PLAYER_COUNT; playerId++) {
+      const ready = await this.gameManager.waitForReady(gameProcess.processId, READY_TIMEOUT_MS, ports[playerId]);
+      if (!ready || session.ended) {
+        throw new DuelError('ENGINE_UNAVAILABLE', `Java game process did not open player ${playerId + 1}'s socket`);
+      }
+      if (playerId === 0 && session.ownsWorker && worker.streamer) {
+        worker.streamer.start({ runId: session.runId, source: 'duel' });
+      }
+
+      const player = session.players[playerId];
+      const client = this.createClient(player, {
+        ...session.clientOptions,
+        runId: session.runId,
+        seed: session.seed,
+        initialLevelId: session.levelId,
+        playerId,
+        screenshotPath: worker.screenshotPath,
+        gameContent
+      });
+      client.onSessionEnd = () => this._clientEnded(session, client);
+      session.clients.push(client);
+      try {
+        if (player.type === 'human') {
+          await client.connect(ports[playerId], 'human', this.io, session.gameId, session.gameName);
+        } else {
+          await client.connect(ports[playerId], player.model, this.io, session.gameId, session.gameName, player.strategy);
+        }
+      } catch (error) {
+        throw new DuelError('CONNECT_FAILED', `Player ${playerId + 1} could not connect: ${error.message}`);
+      }
+    }
+  }
+
+  _clientEnded(session, client) {
+    session.endedClients.add(client);
+    if (session.endedClients.size >= session.clients.length) {
+      this._end(session, 'finished');
+      return;
+    }
+    if (!session.graceTimer) {
+      session.graceTimer = setTimeout(() => this._end(session, 'finished'), this.endGraceMs);
+      if (session.graceTimer.unref) session.graceTimer.unref();
+    }
+  }
+
+  stop(runId) {
+    const session = this.sessions.get(runId);
+    if (!session) return false;
+    this._end(session, 'stopped');
+    return true;
+  }
+
+  stopByProcessId(processId) {
+    const session = this.findByProcessId(processId);
+    if (!session) return null;
+    this._end(session, 'stopped');
+    return session.result;
+  }
+
+  stopAll() {
+    for (const session of [...this.sessions.values()]) this._end(session, 'shutdown');
+  }
+
+  findByProcessId(processId) {
+    if (!processId) return null;
+    for (const session of this.sessions.values()) {
+      if (session.gameProcess && session.gameProcess.processId === processId) return session;
+    }
+    return null;
+  }
+
+  // The duel's human player, for routing keyboard actions from the browser
+  // that holds the duel's control token.
+  humanClientFor(processId, controlToken) {
+    const session = this.findByProcessId(processId);
+    if (!session || !controlTokenMatches(session.controlToken, controlToken)) return null;
+    return session.clients.find(client => client.playerType === 'human' && client.gameActive) || null;
+  }
+
+  getSnapshot(runId) {
+    const session = this.sessions.get(runId);
+    if (!session) return null;
+    return {
+      runId: session.runId,
+      processId: session.gameProcess ? session.gameProcess.processId : null,
+      gameId: session.gameId,
+      gameName: session.gameName,
+      levelId: session.levelId,
+      seed: session.seed,
+      engine: session.worker.index,
+      room: session.worker.room,
+      players: session.players.map((player, playerId) => ({ playerId, type: player.type, model: player.model })),
+      startedAt: session.startedAt
+    };
+  }
+
+  _trackStart(session) {
+    this.telemetry.track({
+      eventFamily: 'evaluation',
+      eventType: 'duel_started',
+      source: 'duel-manager',
+      runId: session.runId,
+      gameId: session.gameId,
+      levelId: session.levelId,
+      payload: {
+        gameName: session.gameName,
+        players: session.players.map(player => ({ type: player.type, model: player.model })),
+        engine: session.worker.index,
+        seed: session.seed,
+        marble: !session.ownsWorker
+      }
+    });
+  }
+
+  _end(session, reason) {
+    if (session.ended) return;
+    session.ended = true;
+    if (this.sessions.get(session.runId) === session) this.sessions.delete(session.runId);
+    if (session.graceTimer) clearTimeout(session.graceTimer);
+    if (session.caseTimer) clearTimeout(session.caseTimer);
+
+    const result = duelOutcome(session, reason);
+    session.result = result;
+    for (const client of session.clients) {
+      try { client.disconnect(); } catch (e) { /* already gone */ }
+    }
+    if (session.gameProcess && this.gameManager) this.gameManager.stopGame(session.gameProcess.processId);
+    if (session.ownsWorker) {
+      this.enginePool.release(session.worker);
+      if (this.coordinator) this.coordinator.endWalkup();
+    }
+
+    if (this.io && reason !== 'start_failed') this.io.emit('duel-result', result);
+    if (reason !== 'start_failed') {
+      this.telemetry.track({
+        eventFamily: 'evaluation',
+        eventType: 'duel_completed',
+        source: 'duel-manager',
+        runId: session.runId,
+        gameId: session.gameId,
+        levelId: session.levelId,
+        payload: {
+          gameName: session.gameName,
+          reason,
+          winnerId: result.winnerId,
+          players: result.players,
+          marble: !session.ownsWorker
+        },
+        metrics: { ticks: result.ticks }
+      });
+    }
+    session.resolveDone(result);
+  }
+}
+
+module.exports = new DuelManager();
+module.exports.DuelManager = DuelManager;
+module.exports.DuelError = DuelError;
+module.exports.DEFAULT_DUEL_GAME_IDS = DEFAULT_DUEL_GAME_IDS;
+module.exports.buildDuelCases = buildDuelCases;
+module.exports.normalizePlayers = normalizePlayers;
+module.exports.duelOutcome = duelOutcome;
@@ -0,0 +1,210 @@
+// Pool of GVGAI engine workers.
+//
+// One Java process can only serve one session: it listens on one socket port
+// and writes one screenshot file. The pool hands out N workers, each with its
+// own port (socketPort + index), its own screenshot path and its own Socket.IO
+// room for the frame stream, so walk-up visitors and the attract-mode marble
+// run can play side by side on one box. A worker is leased to exactly one run
+// at a time ({ runId, source }) and returned with release(). Two-player
+// sessions also open a second socket; its port sits above the whole pool's
+// range (basePort + MAX_POOL_SIZE + index) so it never collides with a
+// neighbour's first port.
+//
+// Background work (the marble run, tournaments, queued eval jobs, fine-tune
+// promotion gates) never
+// preempts anyone. It waits in line with waitFor(), and a released worker goes
+// straight to the longest waiter, so background consumers take turns case by
+// case instead of whoever polls first winning every time. Foreground leases
+// (walk-ups, duels) jump that line: acquireForeground() waits briefly ahead of
+// every background waiter, so a visitor gets the next worker a case frees.
+
+const { getConfig } = require('./runtime-config');
+const { resolveScreenshotPath } = require('./screenshot-path');
+
+const DEFAULT_POOL_SIZE = 2;
+const MAX_POOL_SIZE = 8;
+const BACKGROUND_SOURCES = new Set(['marble', 'tournament', 'eval-job', 'finetune-gate']);
+// How long a walk-up or duel waits for a busy pool before giving up.
+const FOREGROUND_WAIT_MS = 20000;
+
+function isBackground(owner) {
+  return BACKGROUND_SOURCES.has(owner.source || 'walkup');
+}
+
+function positiveInteger(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function resolvePoolSize(gvgaiConfig = {}) {
+  return Math.min(positiveInteger(gvgaiConfig.enginePoolSize, DEFAULT_POOL_SIZE), MAX_POOL_SIZE);
+}
+
+function engineRoom(index) {
+  return `engine-${index}`;
+}
+
+class EnginePool {
+  constructor() {
+    this.workers = [];
+    this.waiters = [];
+    this.configured = false;
+  }
+
+  // size/basePort default from config.gvgai; createStreamer(worker) attaches the
+  // worker's frame streamer (server.js owns Socket.IO, so it injects this).
+  configure(options = {}) {
+    const gvgaiConfig = options.gvgaiConfig || getConfig().gvgai;
+    const size = Math.min(positiveInteger(options.size, resolvePoolSize(gvgaiConfig)), MAX_POOL_SIZE);
+    const basePort = positiveInteger(options.basePort, gvgaiConfig.socketPort);
+
+    for (const worker of this.workers) {
+      if (worker.streamer) worker.streamer.stop();
+    }
+    this.workers = [];
+    for (let index = 0; index < size; index++) {
+      const worker = {
+        index,
+        port: basePort + index,
+        secondPort: basePort + MAX_POOL_SIZE + index,
+        screenshotPath: resolveScreenshotPath(gvgaiConfig, index),
+        room: engineRoom(index),
+        lease: null,
+        streamer: null
+      };
+      if (options.createStreamer) worker.streamer = options.createStreamer(worker);
+      this.workers.push(worker);
+    }
+    this.configured = true;
+    return this;
+  }
+
+  ensureConfigured() {
+    if (!this.configured) this.configure();
+    return this;
+  }
+
+  // Lease the lowest free worker to a run. Returns null when every worker is busy.
+  acquire(owner = {}) {
+    this.ensureConfigured();
+    const worker = this.workers.find(candidate => !candidate.lease);
+    if (!worker) return null;
+    this._lease(worker, owner);
+    return worker;
+  }
+
+  _lease(worker, owner) {
+    worker.lease = {
+      runId: owner.runId || null,
+      source: owner.source || 'walkup',
+      acquiredAt: new Date().toISOString()
+    };
+  }
+
+  // Resolve with a worker as soon as one is free, first come first served
+  // among waiters of the same kind; foreground waiters queue ahead of every
+  // background one. Aborting `signal` gives up the place in line (resolves null).
+  waitFor(owner = {}, options = {}) {
+    const worker = this.acquire(owner);
+    if (worker) return Promise.resolve(worker);
+    if (options.signal?.aborted) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      const waiter = { owner, resolve };
+      const firstBackground = isBackground(owner) ? -1 : this.waiters.findIndex(queued => isBackground(queued.owner));
+      if (firstBackground === -1) this.waiters.push(waiter);
+      else this.waiters.splice(firstBackground, 0, waiter);
+      options.signal?.addEventListener('abort', () => {
+        const index = this.waiters.indexOf(waiter);
+        if (index === -1) return;
+        this.waiters.splice(index, 1);
+        resolve(null);
+      }, { once: true });
+    });
+  }
+
+  // Lease a worker for a walk-up or duel. With every worker busy, wait up to
+  // waitMs for the next release, ahead of queued background work; null if
+  // none frees up in time.
+  acquireForeground(owner = {}, options = {}) {
+    const worker = this.acquire(owner);
+    const waitMs = options.waitMs ?? FOREGROUND_WAIT_MS;
+    if (worker || !(waitMs > 0)) return Promise.resolve(worker);
+    const abort = new AbortController();
+    const timer = setTimeout(() => abort.abort(), waitMs);
+    return this.waitFor(owner, { signal: abort.signal }).finally(() => clearTimeout(timer));
+  }
+
+  // Idempotent: releasing an already-free worker is a no-op. The worker goes
+  // to the first waiter unless handoff is false (a run yielding to a walk-up
+  // needs the worker to stay free for it).
+  release(worker, options = {}) {
+    if (!worker || !this.workers.includes(worker)) return false;
+    if (!worker.lease) return false;
+    if (worker.streamer) worker.streamer.stop();
+    worker.lease = null;
+    const waiter = options.handoff === false ? null : this.waiters.shift();
+    if (waiter) {
+      this._lease(worker, waiter.owner);
+      waiter.resolve(worker);
+    }
+    return true;
+  }
+
+  findByRunId(runId) {
+    if (!runId) return null;
+    return this.workers.find(worker => worker.lease && worker.lease.runId === runId) || null;
+  }
+
+  isRoom(room) {
+    return this.workers.some(worker => worker.room === room);
+  }
+
+  availableCount() {
+    this.ensureConfigured();
+    return this.workers.filter(worker => !worker.lease).length;
+  }
+
+  hasFreeWorker() {
+    return this.availableCount() > 0;
+  }
+
+  // True while a walk-up, duel or replay holds a worker (anything that is not
+  // background work).
+  hasForegroundLease() {
+    return this.workers.some(worker => worker.lease && !BACKGROUND_SOURCES.has(worker.lease.source));
+  }
+
+  stopAll() {
+    for (const waiter of this.waiters.splice(0)) waiter.resolve(null);
+    for (const worker of this.workers) {
+      if (worker.streamer) worker.streamer.stop();
+      worker.lease = null;
+    }
+  }
+
+  getSnapshot() {
+    this.ensureConfigured();
+    return {
+      size: this.workers.length,
+      available: this.availableCount(),
+      waiting: this.waiters.map(waiter => ({ runId: waiter.owner.runId || null, source: waiter.owner.source || null })),
+      workers: this.workers.map(worker => ({
+        index: worker.index,
+        port: worker.port,
+        room: worker.room,
+        runId: worker.lease ? worker.lease.runId : null,
+        source: worker.lease ? worker.lease.source : null,
+        acquiredAt: worker.lease ? worker.lease.acquiredAt : null
+      }))
+    };
+  }
+}
+
+module.exports = new EnginePool();
+module.exports.EnginePool = EnginePool;
+module.exports.DEFAULT_POOL_SIZE = DEFAULT_POOL_SIZE;
+module.exports.MAX_POOL_SIZE = MAX_POOL_SIZE;
+module.exports.BACKGROUND_SOURCES = BACKGROUND_SOURCES;
+module.exports.FOREGROUND_WAIT_MS = FOREGROUND_WAIT_MS;
+module.exports.engineRoom = engineRoom;
+module.exports.resolvePoolSize = resolvePoolSize;
@@ -1,8 +1,13 @@
 const fs = require('fs');
 const path = require('path');
-const { MODELS } = require('./models');
+const { MODELS, BASELINE_MODELS, DEFAULT_BASELINE_IDS, isBaselineModel } = require('./models');
 const { getCachedClassification } = require('./game-classifier');
 const { getClassDefaults } = require('./class-defaults');
+const { deriveSeed, normalizeSeed } = require('./run-seed');
+const { OBSERVATION_MODES } = require('./state-converter');
+const { MEMORY_MODES } = require('./conversation-memory');
+const generatedLevelStore = require('./generated-levels');
+const gameRegistry = require('./game-registry');
 
 const DEFAULT_GAME_COUNT = null;
 const MIN_SURVIVAL_TICKS = 50;
@@ -64,22 +69,9 @@ function readFeaturedIds() {
     : [];
 }
 
+// Bundled CSV plus editor games, which keep their files under web/data.
 function readGameRegistry(root = projectRoot()) {
-  const csvPath = path.join(root, 'examples', 'all_games_sp.csv');
-  const lines = fs.readFileSync(csvPath, 'utf-8').trim().split(/\r?\n/);
-  const registry = new Map();
-
-  for (const line of lines) {
-    const [idPart, filePart] = line.trim().split(',');
-    const id = Number(idPart);
-    const file = (filePart || '').trim();
-    if (!Number.isInteger(id) || !file) continue;
-    const name = path.basename(file, '.txt');
-    const category = file.includes('gridphysics') ? 'gridphysics' : 'contphysics';
-    registry.set(id, { id, name, file, category });
-  }
-
-  return registry;
+  return gameRegistry.readGameRegistry(root);
 }
 
 function loadGameConfig(gameId) {
@@ -90,7 +82,7 @@ function loadGameConfig(gameId) {
 function levelIdsForGame(game, root = projectRoot()) {
   const levels = [];
   for (let level = 0; level < 5; level++) {
-    const levelPath = path.join(root, game.file.replace('.txt', `_lvl${level}.txt`));
+    const levelPath = (game.vgdlPath || path.join(root, game.file)).replace(/\.txt$/, `_lvl${level}.txt`);
     if (fs.existsSync(levelPath)) levels.push(level);
   }
   return levels.length > 0 ? levels : [0, 1, 2, 3, 4];
@@ -125,6 +117,28 @@ function normalizeStrategies(strategies) {
   }).filter(strategy => strategy.text.trim().length > 0);
 }
 
+// Optional observation axis (ascii / image / both). Without it cases carry no
+// observationMode and each game's prompt config decides, as before.
+function normalizeObservationModes(modes) {
+  if (!Array.isArray(modes)) return [];
+  return [...new Set(modes.filter(mode => OBSERVATION_MODES.includes(mode)))];
+}
+
+// Optional memory axis (stateless / conversation), the same way: without it
+// each game's conversationMemory config decides.
+function normalizeMemoryModes(modes) {
+  if (!Array.isArray(modes)) return [];
+  return [...new Set(modes.filter(mode => MEMORY_MODES.includes(mode)))];
+}
+
+// Optional classical baselines: true adds the default set, an array names
+// baseline ids. Models the caller already listed are not added twice.
+function baselineModelsFor(option, models) {
+  if (!option) return [];
+  const ids = Array.isArray(option) ? option.map(String) : DEFAULT_BASELINE_IDS;
+  return BASELINE_MODELS.filter(model => ids.includes(model.id) && !models.some(entry => entry.id === model.id));
+}
+
 function buildArcadeEvalPlan(options = {}) {
   const root = options.projectRoot || projectRoot();
   const registry = readGameRegistry(root);
@@ -132,23 +146,29 @@ function buildArcadeEvalPlan(options = {}) {
   const count = boundedGameCount(options.gameCount, featuredIds.length);
   const gameIds = featuredIds.slice(0, count);
   const strategies = normalizeStrategies(options.strategies || DEFAULT_STRATEGIES);
-  const models = (options.models || MODELS.filter(model => model.featured)).map(model => ({
+  const observationModes = normalizeObservationModes(options.observationModes);
+  const memoryModes = normalizeMemoryModes(options.memoryModes);
+  const requestedModels = options.models || MODELS.filter(model => model.featured);
+  const models = [...requestedModels, ...baselineModelsFor(options.baselines, requestedModels)].map(model => ({
     id: model.id,
     name: model.name,
     provider: model.provider,
     fallback: model.fallback || null,
+    vision: model.vision === true,
     description: model.description,
     speed: model.speed,
     cost: model.cost
   }));
 
+  const generatedLevels = options.generatedLevels || generatedLevelStore;
   const games = gameIds.map(gameId => {
     const registryEntry = registry.get(gameId) || { id: gameId, name: `game-${gameId}`, file: '', category: 'unknown' };
     const config = loadGameConfig(gameId);
     const levels = registryEntry.file ? levelIdsForGame(registryEntry, root) : [0];
+    const heldOutLevelIds = registryEntry.file ? generatedLevels.levelIds(gameId) : [];
     const classification = config.classification || getCachedClassification(gameId);
     const requestedLevelId = Number.parseInt(options.levelId, 10);
-    const levelId = Number.isInteger(requestedLevelId) && levels.includes(requestedLevelId)
+    const levelId = Number.isInteger(requestedLevelId) && (levels.includes(requestedLevelId) || heldOutLevelIds.includes(requestedLevelId))
       ? requestedLevelId
       : (levels.includes(0) ? 0 : levels[0]);
     return {
@@ -158,11 +178,14 @@ function buildArcadeEvalPlan(options = {}) {
       category: registryEntry.category,
       classification: classification || null,
       levelIds: levels,
+      heldOutLevelIds,
       levelId,
       llmSettings: config.llmSettings || {}
     };
   });
 
+  const pinnedSeed = normalizeSeed(options.seed);
+  const planSeed = pinnedSeed === null ? 0 : pinnedSeed;
   const cases = [];
   // Interleave the game x model grid instead of exhausting one game before
   // advancing. With several models and the full featured game list, consecutive
@@ -172,26 +195,53 @@ function buildArcadeEvalPlan(options = {}) {
       for (let modelIndex = 0; modelIndex < models.length; modelIndex++) {
         const game = games[(gameOffset + modelIndex) % games.length];
         const model = models[modelIndex];
-        const runId = [
-          `arcade-g${game.id}`,
-          `l${game.levelId}`,
-          sanitizeRunPart(model.id),
-          `s${strategyIndex}`
-        ].join('-');
-        cases.push({
-          runId,
-          gameId: game.id,
-          gameName: game.name,
-          archetype: game.classification?.archetype || null,
-          levelId: game.levelId,
-          modelId: model.id,
-          modelName: model.name,
-          provider: model.provider,
-          fallback: model.fallback,
-          strategyId: strategy.id,
-          strategyLabel: strategy.label,
-          strategy: strategy.text
-        });
+        // A baseline ignores strategies and prompt modes: it plays each level
+        // once, in the first strategy pass, with no strategy attached.
+        const baseline = isBaselineModel(model.id);
+        if (baseline && strategyIndex > 0) continue;
+        // heldOutLevels adds a case on each generated level after the main one,
+        // so every prompt is also scored on layouts no model has seen.
+        const levelIds = options.heldOutLevels
+          ? [game.levelId, ...game.heldOutLevelIds.filter(levelId => levelId !== game.levelId)]
+          : [game.levelId];
+        for (const levelId of levelIds) {
+          const baseRunId = [
+            `arcade-g${game.id}`,
+            `l${levelId}`,
+            sanitizeRunPart(model.id),
+            !baseline && `s${strategyIndex}`
+          ].filter(Boolean).join('-');
+          for (const observationMode of observationModes.length > 0 && !baseline ? observationModes : [null]) {
+            for (const memoryMode of memoryModes.length > 0 && !baseline ? memoryModes : [null]) {
+              const runId = [baseRunId, observationMode && `o${observationMode}`, memoryMode && `m${memoryMode}`]
+                .filter(Boolean)
+                .join('-');
+              cases.push({
+                runId,
+                // Derived from the runId (and an optional plan-wide base seed) so a
+                // rebuilt plan replays each case under the same engine RNG. Mode
+                // variants share the base seed so image and ASCII (or stateless and
+                // conversation) play the same level.
+                seed: deriveSeed(planSeed, baseRunId),
+                gameId: game.id,
+                gameName: game.name,
+                archetype: game.classification?.archetype || null,
+                levelId,
+                heldOut: game.heldOutLevelIds.includes(levelId),
+                modelId: model.id,
+                modelName: model.name,
+                provider: model.provider,
+                fallback: model.fallback,
+                vision: model.vision === true,
+                strategyId: baseline ? null : strategy.id,
+                strategyLabel: baseline ? 'Baseline agent' : strategy.label,
+                strategy: baseline ? '' : strategy.text,
+                observationMode,
+                memoryMode
+              });
+            }
+          }
+        }
       }
     }
   });
@@ -209,6 +259,7 @@ function buildArcadeEvalPlan(options = {}) {
 
   return {
     generatedAt: new Date().toISOString(),
+    seed: planSeed,
     minSurvivalTicks: MIN_SURVIVAL_TICKS,
     nilLoopThreshold: NIL_LOOP_THRESHOLD,
     gameIds: games.map(game => game.id),
@@ -216,6 +267,8 @@ function buildArcadeEvalPlan(options = {}) {
     games,
     models,
     strategies,
+    observationModes,
+    memoryModes,
     byArchetype,
     cases
   };
@@ -243,6 +296,8 @@ function filterEvalCases(plan, filters = {}) {
   const gameIds = toSet(filters.gameIds, Number);
   const modelIds = toSet(filters.modelIds, String);
   const strategyIds = toSet(filters.strategyIds, String);
+  const observationModes = toSet(filters.observationModes, String);
+  const memoryModes = toSet(filters.memoryModes, String);
   const maxCases = Number.isInteger(filters.maxCases) && filters.maxCases > 0
     ? filters.maxCases
     : null;
@@ -250,7 +305,11 @@ function filterEvalCases(plan, filters = {}) {
   const filtered = plan.cases.filter(evalCase => {
     if (gameIds && !gameIds.has(evalCase.gameId)) return false;
     if (modelIds && !modelIds.has(evalCase.modelId)) return false;
-    if (strategyIds && !strategyIds.has(evalCase.strategyId)) return false;
+    // Baselines have no strategy or prompt modes, so those filters pass them.
+    const baseline = isBaselineModel(evalCase.modelId);
+    if (strategyIds && !baseline && !strategyIds.has(evalCase.strategyId)) return false;
+    if (observationModes && !baseline && !observationModes.has(evalCase.observationMode)) return false;
+    if (memoryModes && !baseline && !memoryModes.has(evalCase.memoryMode)) return false;
     return true;
   });
 
@@ -270,10 +329,12 @@ function normalizeEvalResult(evalCase, summary = {}, options = {}) {
 
   return {
     runId: evalCase.runId,
+    seed: evalCase.seed ?? null,
     gameId: evalCase.gameId,
     gameName: evalCase.gameName,
     archetype: evalCase.archetype || null,
     levelId: evalCase.levelId,
+    heldOut: evalCase.heldOut === true,
     modelId: evalCase.modelId,
     modelName: evalCase.modelName,
     provider: summary.provider || evalCase.provider,
@@ -288,6 +349,13 @@ function normalizeEvalResult(evalCase, summary = {}, options = {}) {
     decisions: Number(summary.decisions || actions.length || 0),
     actions,
     adherence: summary.adherence || { label: 'No strategy', mentioned: 0, total: 0, keywords: [] },
+    responseMode: options.responseMode || null,
+    decisionModes: summary.decisionModes || {},
+    observationMode: evalCase.observationMode || options.observationMode || null,
+    observationModes: summary.observationModes || {},
+    memoryMode: evalCase.memoryMode || options.memoryMode || null,
+    headless: summary.headless === true,
+    throughput: summary.throughput || null,
     highlights: Array.isArray(summary.highlights) ? summary.highlights : [],
     nilActionLoop: summary.nilActionLoop === true || hasNilActionLoop(actions, nilLoopThreshold),
     survivedMinTicks: ticks > minSurvivalTicks,
@@ -304,5 +372,6 @@ module.exports = {
   buildArcadeEvalPlan,
   filterEvalCases,
   normalizeEvalResult,
-  hasNilActionLoop
+  hasNilActionLoop,
+  sanitizeRunPart
 };
@@ -1,3 +1,5 @@
+const { bootstrapMean, pairedSignFlipTest, recommendedRunsForRate } = require('./eval-stats');
+
 function passingReason(result = {}) {
   if (result.won === true || result.winner === 'PLAYER_WINS') return 'won';
   if (result.survivedMinTicks && !result.nilActionLoop && Number(result.decisions || 0) > 0) {
@@ -25,6 +27,23 @@ function compareEvidence(a = {}, b = {}) {
   return String(a.runId || '').localeCompare(String(b.runId || ''));
 }
 
+// Spread of one model's runs on one game. Advisory only: qualification is a
+// screen for whether a game admits fair play at all, so it passes a model on
+// its best run and never on these. They say how far that run generalises and
+// how many runs would pin the pass rate down.
+function summarizeRuns(runs) {
+  const passes = runs.map(result => (passingReason(result) ? 1 : 0));
+  const passCount = passes.reduce((sum, value) => sum + value, 0);
+  return {
+    runs: runs.length,
+    passRate: bootstrapMean(passes),
+    winRate: bootstrapMean(runs.map(result => (passingReason(result) === 'won' ? 1 : 0))),
+    score: bootstrapMean(runs.map(result => Number(result.finalScore || 0))),
+    ticks: bootstrapMean(runs.map(result => Number(result.ticks || 0))),
+    recommendedRuns: recommendedRunsForRate(passCount, runs.length)
+  };
+}
+
 function summarizeQualification(results = [], plan = {}, options = {}) {
   const selectedModels = Array.isArray(plan.models) ? plan.models : [];
   const modelCount = selectedModels.length || new Set(results.map(result => result.modelId)).size;
@@ -38,6 +57,7 @@ function summarizeQualification(results = [], plan = {}, options = {}) {
     ? options.targetGameCount
     : Math.max(1, Array.isArray(plan.games) ? plan.games.length : 0);
   const gameSummaries = new Map();
+  const runsByModel = new Map();
 
   for (const game of plan.games || []) {
     gameSummaries.set(game.id, {
@@ -91,6 +111,10 @@ function summarizeQualification(results = [], plan = {}, options = {}) {
       summary.models.push(modelSummary);
     }
 
+    const runsKey = `${result.gameId}|${result.modelId}`;
+    if (!runsByModel.has(runsKey)) runsByModel.set(runsKey, []);
+    runsByModel.get(runsKey).push(result);
+
     const reason = passingReason(result);
     if (!reason) continue;
     const previous = modelSummary.evidenceRunId
@@ -112,6 +136,10 @@ function summarizeQualification(results = [], plan = {}, options = {}) {
       const modelPasses = summary.models.filter(model => model.passed).length;
       return {
         ...summary,
+        models: summary.models.map(model => ({
+          ...model,
+          stats: summarizeRuns(runsByModel.get(`${summary.gameId}|${model.modelId}`) || [])
+        })),
         modelPasses,
         qualified: modelPasses >= requiredModelPasses
       };
@@ -134,7 +162,66 @@ function summarizeQualification(results = [], plan = {}, options = {}) {
   };
 }
 
+// Gate for a candidate model against a reference (a fine-tune against the
+// model it was trained from) on cases played in pairs: same game, level and
+// seed. The candidate passes when it qualifies on the game by the usual rule
+// and its mean paired score difference is not negative. That is a
+// non-regression check, not a significance test; scoreDiff carries the paired
+// test's p-value and interval for the reader.
+function compareCandidate(results = [], options = {}) {
+  const { candidateId, referenceId } = options;
+  const plan = {
+    models: [candidateId, referenceId].map(id => ({ id, name: id })),
+    games: options.game ? [options.game] : []
+  };
+  const qualification = summarizeQualification(results, plan, { requiredModelPasses: 1, targetGameCount: 1 });
+  const game = qualification.games[0] || null;
+  const entry = id => game?.models.find(model => model.modelId === id) || null;
+  const candidate = entry(candidateId);
+  const reference = entry(referenceId);
+
+  const pairKey = result => `${result.gameId}|${result.levelId}|${result.seed}`;
+  const referenceRuns = new Map(results
+    .filter(result => result.modelId === referenceId)
+    .map(result => [pairKey(result), result]));
+  const pairs = results
+    .filter(result => result.modelId === candidateId && referenceRuns.has(pairKey(result)))
+    .map(result => {
+      const other = referenceRuns.get(pairKey(result));
+      return {
+        seed: result.seed,
+        levelId: result.levelId,
+        candidateScore: Number(result.finalScore || 0),
+        referenceScore: Number(other.finalScore || 0),
+        candidateWon: passingReason(result) === 'won',
+        referenceWon: passingReason(other) === 'won'
+      };
+    });
+  const scoreDiff = pairedSignFlipTest(pairs.map(pair => pair.candidateScore - pair.referenceScore));
+
+  let reason = null;
+  if (pairs.length === 0) reason = 'no-paired-runs';
+  else if (!candidate?.passed) reason = 'candidate-did-not-qualify';
+  else if (scoreDiff.meanDiff < 0) reason = 'scored-below-reference';
+
+  return {
+    candidateId,
+    referenceId,
+    gameId: game?.gameId ?? options.game?.id ?? null,
+    passed: reason === null,
+    reason,
+    pairCount: pairs.length,
+    scoreDiff,
+    candidateWins: pairs.filter(pair => pair.candidateScore > pair.referenceScore).length,
+    referenceWins: pairs.filter(pair => pair.referenceScore > pair.candidateScore).length,
+    candidate,
+    reference,
+    pairs
+  };
+}
+
 module.exports = {
   passingReason,
-  summarizeQualification
+  summarizeQualification,
+  compareCandidate
 };
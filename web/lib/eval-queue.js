@@ -0,0 +1,396 @@
+'use strict';
+
+// Durable job queue for arcade eval batches. A job freezes its case list (with
+// seeds) when it is submitted and is persisted to web/data/eval-jobs.json after
+// every case, so a long batch no longer lives inside one HTTP request: clients
+// poll GET /api/evals/jobs/:id or follow 'eval-job-progress' on Socket.IO, and
+// a job left running by a crash goes back to the queue on the next start and
+// resumes after its last settled case.
+//
+// Jobs run one at a time, in submission order. Each case waits in the engine
+// pool's line (waitFor) rather than preempting anyone, so a job and the marble
+// run alternate case by case on a shared worker. Offline cases run without an
+// engine.
+//
+// Statuses: queued -> running -> done | failed | cancelled. A job fails when
+// no case produced a result. Only an operator cancel ends a job early: when the
+// engine pool shuts down under it, the job stays running (without the cut
+// case) and the next start resumes it.
+
+const fs = require('fs');
+const path = require('path');
+const { buildBatchPlan, selectEvalCases, runEvalCase, summarizeBatch } = require('./batch-evaluator');
+
+const WEB_ROOT = path.join(__dirname, '..');
+const MAX_CASES = 2000;
+const MAX_FINISHED_JOBS = 100;
+const FINISHED = new Set(['done', 'failed', 'cancelled']);
+
+// Request fields a job keeps: what the plan, the case runner and the report
+// read. Anything else is dropped so job records stay plain JSON.
+const JOB_OPTION_KEYS = [
+  'gameIds', 'gameCount', 'modelIds', 'allModels', 'baselines', 'levelId', 'heldOutLevels', 'seed',
+  'strategies', 'combinatorialStrategies', 'strategyIds', 'observationModes', 'memoryModes', 'runIds',
+  'limit', 'repeats', 'maxActions', 'timeoutMs', 'readyTimeoutMs', 'actionTimeoutMs',
+  'synchronousActions', 'headless', 'responseMode', 'initResponseType', 'actResponseType',
+  'preferProviderFallback', 'offline', 'ollamaOffline',
+  'minScoreDelta', 'minTickDelta', 'minAdherenceDelta', 'requiredModelPasses', 'targetGameCount'
+];
+
+class EvalJobError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'EvalJobError';
+    this.code = code;
+  }
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function pickOptions(body = {}) {
+  const options = {};
+  for (const key of JOB_OPTION_KEYS) {
+    if (body[key] !== undefined) options[key] = body[key];
+  }
+  return JSON.parse(JSON.stringify(options));
+}
+
+class EvalJobQueue {
+  constructor() {
+    this.configured = false;
+    this.activeId = null;
+    this._counter = 0;
+    this._draining = null;
+    this._cancelRequested = false;
+    this._leaseWait = null;
+    this._currentHandle = null;
+  }
+
+  configure(deps = {}) {
+    this.io = deps.io || null;
+    this.telemetry = deps.telemetry || require('./telemetry-store');
+    this.enginePool = deps.enginePool || require('./engine-pool');
+    this.storePath = deps.storePath || path.join(WEB_ROOT, 'data', 'eval-jobs.json');
+    this.buildPlan = deps.buildPlan || buildBatchPlan;
+    this.runCase = deps.runCase || null;
+    this.caseOptions = deps.caseOptions || {};
+    this.configured = true;
+
+    // A job that was running when the process stopped is queued again; its
+    // settled cases are kept and skipped.
+    const store = this._read();
+    const interrupted = store.jobs.filter(job => job.status === 'running');
+    for (const job of interrupted) job.status = 'queued';
+    if (interrupted.length > 0) this._write(store);
+    if (store.jobs.some(job => job.status === 'queued')) this._kick();
+    return this;
+  }
+
+  _ensureConfigured() {
+    if (!this.configured) this.configure();
+  }
+
+  _read() {
+    const data = readJson(this.storePath, null);
+    return { jobs: Array.isArray(data?.jobs) ? data.jobs : [] };
+  }
+
+  _write(store) {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify({ ...store, updatedAt: new Date().toISOString() }, null, 2) + '\n');
+  }
+
+  _find(store, id) {
+    const job = store.jobs.find(entry => entry.id === id);
+    if (!job) throw new EvalJobError('JOB_NOT_FOUND', `Eval job ${id} not found`);
+    return job;
+  }
+
+  _update(id, mutate) {
+    const store = this._read();
+    const job = this._find(store, id);
+    mutate(job);
+    this._write(store);
+    return job;
+  }
+
+  _summary(job) {
+    const completed = Object.keys(job.results).length;
+    const failed = Object.keys(job.errors).length;
+    return {
+      id: job.id,
+      name: job.name,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      modelIds: job.plan.models.map(model => model.id),
+      gameIds: job.plan.games.map(game => game.id),
+      progress: { completed, failed, settled: completed + failed, total: job.cases.length },
+      currentRunId: job.currentRunId || null,
+      error: job.error
+    };
+  }
+
+  list() {
+    this._ensureConfigured();
+    return this._read().jobs.map(job => this._summary(job));
+  }
+
+  get(id) {
+    this._ensureConfigured();
+    const job = this._find(this._read(), id);
+    return {
+      ...this._summary(job),
+      options: job.options,
+      cases: job.cases.map(evalCase => ({
+        runId: evalCase.runId,
+        gameId: evalCase.gameId,
+        levelId: evalCase.levelId,
+        modelId: evalCase.modelId,
+        strategyId: evalCase.strategyId,
+        status: job.results[evalCase.runId] ? 'done' : (job.errors[evalCase.runId] ? 'failed' : 'pending')
+      })),
+      report: job.report
+    };
+  }
+
+  submit(body = {}) {
+    this._ensureConfigured();
+    const options = pickOptions(body);
+    let plan;
+    try {
+      plan = this.buildPlan(options);
+    } catch (error) {
+      throw new EvalJobError('INVALID_JOB', error.message);
+    }
+    const cases = selectEvalCases(plan, options);
+    if (cases.length === 0) throw new EvalJobError('INVALID_JOB', 'The selection matches no eval cases');
+    if (cases.length > MAX_CASES) {
+      throw new EvalJobError('INVALID_JOB', `${cases.length} cases is over the ${MAX_CASES}-case limit; narrow the games, models or repeats`);
+    }
+
+    const id = `evaljob-${Date.now().toString(36)}-${++this._counter}`;
+    const job = {
+      id,
+      name: String(body.name || '').trim().slice(0, 80) || `Eval ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      options,
+      plan: {
+        models: (plan.models || []).map(model => ({ id: model.id, name: model.name })),
+        games: (plan.games || []).map(game => ({ id: game.id, name: game.name, levelId: game.levelId }))
+      },
+      cases,
+      results: {},
+      errors: {},
+      currentRunId: null,
+      report: null,
+      error: null
+    };
+    const store = this._read();
+    store.jobs.push(job);
+    this._prune(store);
+    this._write(store);
+    this.telemetry.track({
+      eventFamily: 'evaluation',
+      eventType: 'eval_job_submitted',
+      source: 'eval-queue',
+      runId: id,
+      payload: { models: this._summary(job).modelIds, games: this._summary(job).gameIds },
+      metrics: { cases: cases.length }
+    });
+    this._emitProgress(job);
+    this._kick();
+    return this._summary(job);
+  }
+
+  cancel(id) {
+    this._ensureConfigured();
+    const job = this._find(this._read(), id);
+    if (FINISHED.has(job.status)) {
+      throw new EvalJobError('JOB_FINISHED', `Eval job ${id} is already ${job.status}`);
+    }
+    if (this.activeId === id) {
+      // Cut the case in flight; its partial result is discarded.
+      this._cancelRequested = true;
+      this._leaseWait?.abort();
+      try { this._currentHandle?.llmClient?.disconnect(); } catch { /* already gone */ }
+      return { ...this._summary(job), status: 'cancelling' };
+    }
+    const cancelled = this._update(id, (entry) => {
+      entry.status = 'cancelled';
+      entry.finishedAt = new Date().toISOString();
+    });
+    this._emitProgress(cancelled);
+    return this._summary(cancelled);
+  }
+
+  // Resolves once the queue has nothing left to run.
+  idle() {
+    return this._draining || Promise.resolve();
+  }
+
+  _prune(store) {
+    const finished = store.jobs.filter(job => FINISHED.has(job.status));
+    const excess = finished.length - MAX_FINISHED_JOBS;
+    if (excess <= 0) return;
+    const drop = new Set(finished.slice(0, excess).map(job => job.id));
+    store.jobs = store.jobs.filter(job => !drop.has(job.id));
+  }
+
+  _kick() {
+    if (this._draining) return;
+    this._draining = this._drain().catch((error) => {
+      console.error('[EvalQueue] queue stopped:', error);
+    }).finally(() => {
+      this._draining = null;
+    });
+  }
+
+  async _drain() {
+    for (;;) {
+      const next = this._read().jobs.find(job => job.status === 'queued');
+      if (!next) return;
+      try {
+        // Engine pool shut down: leave this job and the rest for the next start.
+        if (await this._runJob(next.id) === 'interrupted') return;
+      } catch (error) {
+        console.error(`[EvalQueue] ${next.id} failed:`, error);
+        const failed = this._update(next.id, (job) => {
+          job.status = 'failed';
+          job.error = error.message;
+          job.finishedAt = new Date().toISOString();
+        });
+        this._emitProgress(failed);
+      } finally {
+        this.activeId = null;
+        this._cancelRequested = false;
+      }
+    }
+  }
+
+  async _leaseWorker(runId) {
+    this._leaseWait = new AbortController();
+    try {
+      return await this.enginePool.waitFor({ runId, source: 'eval-job' }, { signal: this._leaseWait.signal });
+    } finally {
+      this._leaseWait = null;
+    }
+  }
+
+  async _runJob(id) {
+    this.activeId = id;
+    this._cancelRequested = false;
+    const job = this._update(id, (entry) => {
+      entry.status = 'running';
+      entry.startedAt = entry.startedAt || new Date().toISOString();
+    });
+    this._emitProgress(job);
+    const offline = Boolean(job.options.offline || job.options.ollamaOffline);
+    let runCase = this.runCase;
+    if (!runCase && job.options.ollamaOffline) runCase = require('./offline-game-evaluator').runOllamaOfflineEvalCase;
+    if (!runCase && job.options.offline) runCase = require('./offline-game-evaluator').runOfflineEvalCase;
+    if (!runCase) runCase = runEvalCase;
+
+    let interrupted = false;
+    for (const evalCase of job.cases) {
+      if (this._cancelRequested) break;
+      if (job.results[evalCase.runId] || job.errors[evalCase.runId]) continue;
+      const worker = offline ? null : await this._leaseWorker(evalCase.runId);
+      if (!offline && !worker) {
+        interrupted = !this._cancelRequested;
+        break;
+      }
+      this._emitProgress(this._update(id, (entry) => { entry.currentRunId = evalCase.runId; }));
+
+      let result = null;
+      let failure = null;
+      try {
+        result = await runCase(evalCase, {
+          ...job.options,
+          ...this.caseOptions,
+          engine: worker ? { port: worker.port, screenshotPath: worker.screenshotPath } : undefined,
+          onCaseStart: (handle) => { this._currentHandle = handle; }
+        });
+      } catch (error) {
+        failure = { runId: evalCase.runId, gameId: evalCase.gameId, modelId: evalCase.modelId, strategyId: evalCase.strategyId, message: error.message };
+      } finally {
+        this._currentHandle = null;
+        // The lease is already gone when stopAll() took the worker mid-case.
+        if (worker && this.enginePool.release(worker) === false) interrupted = !this._cancelRequested;
+      }
+      if (this._cancelRequested || interrupted) break;
+
+      const updated = this._update(id, (entry) => {
+        if (result) entry.results[evalCase.runId] = result;
+        else entry.errors[evalCase.runId] = failure;
+        entry.currentRunId = null;
+      });
+      job.results = updated.results;
+      job.errors = updated.errors;
+      this.telemetry.track({
+        eventFamily: 'evaluation',
+        eventType: result ? 'eval_case_completed' : 'eval_case_failed',
+        source: 'eval-queue',
+        runId: evalCase.runId,
+        gameId: evalCase.gameId,
+        levelId: evalCase.levelId,
+        modelId: evalCase.modelId,
+        payload: {
+          batchRunId: id,
+          seed: evalCase.seed ?? null,
+          strategyId: evalCase.strategyId,
+          winner: result?.winner ?? null,
+          message: failure?.message ?? null
+        },
+        metrics: result ? { final_score: result.finalScore || 0, ticks: result.ticks || 0 } : {}
+      });
+      this._emitProgress(updated);
+    }
+
+    if (interrupted) {
+      this._emitProgress(this._update(id, (entry) => { entry.currentRunId = null; }));
+      return 'interrupted';
+    }
+
+    const finished = this._update(id, (entry) => {
+      entry.currentRunId = null;
+      entry.finishedAt = new Date().toISOString();
+      if (this._cancelRequested) {
+        entry.status = 'cancelled';
+        return;
+      }
+      const results = entry.cases.map(evalCase => entry.results[evalCase.runId]).filter(Boolean);
+      const errors = entry.cases.map(evalCase => entry.errors[evalCase.runId]).filter(Boolean);
+      entry.report = summarizeBatch({ plan: entry.plan, cases: entry.cases, results, errors }, entry.options);
+      entry.status = results.length > 0 ? 'done' : 'failed';
+      if (entry.status === 'failed') entry.error = 'Every case failed';
+    });
+    this.telemetry.track({
+      eventFamily: 'evaluation',
+      eventType: 'eval_job_finished',
+      source: 'eval-queue',
+      runId: id,
+      payload: { status: finished.status },
+      metrics: this._summary(finished).progress
+    });
+    this._emitProgress(finished);
+  }
+
+  _emitProgress(job) {
+    if (this.io) this.io.emit('eval-job-progress', this._summary(job));
+  }
+}
+
+module.exports = new EvalJobQueue();
+module.exports.EvalJobQueue = EvalJobQueue;
+module.exports.EvalJobError = EvalJobError;
@@ -0,0 +1,172 @@
+'use strict';
+
+// Small-sample statistics for eval gates: percentile-bootstrap intervals for a
+// mean (score, ticks, or a 0/1 outcome such as a win), a one-sided paired
+// sign-flip permutation test, and how many runs a gate would need to see an
+// effect of a given size. Everything is seeded from the data, so the same
+// results always produce the same intervals and p-values. Pure functions, no
+// I/O; the rating math in ratings.js shares the primitives.
+
+const BOOTSTRAP_SAMPLES = 1000;
+const PERMUTATION_SAMPLES = 10000;
+// Up to 2^12 sign patterns the test enumerates them all; beyond that it samples.
+const EXACT_PERMUTATION_MAX = 12;
+const DEFAULT_POWER = 0.8;
+
+// Abramowitz-Stegun 7.1.26; plenty for rating updates and sample sizes.
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+function normalCdf(x) {
+  return 0.5 * (1 + erf(x / Math.SQRT2));
+}
+
+function inverseNormalCdf(p) {
+  let lo = -10;
+  let hi = 10;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Small seeded PRNG so resampled statistics are stable between requests.
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+  return sorted[index];
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function sampleSd(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1));
+}
+
+function seedFor(values) {
+  let seed = values.length * 2654435761;
+  for (const value of values) seed = Math.imul(seed ^ Math.round(value * 1000), 16777619);
+  return seed;
+}
+
+function round(value, digits = 4) {
+  if (value === null || !Number.isFinite(value)) return value;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function finiteValues(values = []) {
+  return values.map(Number).filter(Number.isFinite);
+}
+
+// { n, mean, ci95: [low, high] } for the mean of `values`. With fewer than two
+// values there is nothing to resample and the interval collapses to the mean.
+function bootstrapMean(rawValues, options = {}) {
+  const values = finiteValues(rawValues);
+  const estimate = mean(values);
+  if (values.length < 2) {
+    return { n: values.length, mean: round(estimate), ci95: values.length ? [round(estimate), round(estimate)] : [null, null] };
+  }
+  const random = mulberry32(seedFor(values));
+  const samples = options.samples || BOOTSTRAP_SAMPLES;
+  const means = [];
+  for (let sample = 0; sample < samples; sample++) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) sum += values[Math.floor(random() * values.length)];
+    means.push(sum / values.length);
+  }
+  means.sort((a, b) => a - b);
+  return { n: values.length, mean: round(estimate), ci95: [round(percentile(means, 0.025)), round(percentile(means, 0.975))] };
+}
+
+// One-sided paired test that the mean difference is above zero. Under the null
+// each difference is as likely to have the opposite sign, so the p-value is
+// the share of sign patterns whose mean is at least the observed one. Exact
+// for small samples (n pairs can never reach p below 2^-n, so one lucky pair
+// is never significant), Monte Carlo above EXACT_PERMUTATION_MAX pairs.
+function pairedSignFlipTest(rawDiffs, options = {}) {
+  const diffs = finiteValues(rawDiffs);
+  const interval = bootstrapMean(diffs, options);
+  const base = { n: diffs.length, meanDiff: interval.mean, ci95: interval.ci95 };
+  if (diffs.length === 0) return { ...base, pValue: 1 };
+  const observed = mean(diffs) - 1e-9;
+  let atLeast = 0;
+  let total = 0;
+  if (diffs.length <= EXACT_PERMUTATION_MAX) {
+    for (let mask = 0; mask < 2 ** diffs.length; mask++) {
+      let sum = 0;
+      for (let i = 0; i < diffs.length; i++) sum += (mask >> i) & 1 ? -diffs[i] : diffs[i];
+      if (sum / diffs.length >= observed) atLeast++;
+      total++;
+    }
+  } else {
+    const random = mulberry32(seedFor(diffs) ^ 0x9e3779b9);
+    const samples = options.permutationSamples || PERMUTATION_SAMPLES;
+    // Count the observed pattern itself so a sampled p-value is never zero.
+    atLeast = 1;
+    total = 1;
+    for (let sample = 0; sample < samples; sample++) {
+      let sum = 0;
+      for (const diff of diffs) sum += random() < 0.5 ? -diff : diff;
+      if (sum / diffs.length >= observed) atLeast++;
+      total++;
+    }
+  }
+  return { ...base, pValue: round(atLeast / total, 6) };
+}
+
+// Pairs needed for the one-sided test at `alpha` to detect a mean difference
+// of `effect` with the given power, from the observed spread of the
+// differences (normal approximation). Never fewer than the exact test's floor,
+// ceil(log2(1 / alpha)). Null when there is no effect size to aim for.
+function recommendedSampleSize(rawDiffs, effect, options = {}) {
+  const alpha = options.alpha ?? 0.05;
+  const power = options.power ?? DEFAULT_POWER;
+  if (!(effect > 0) || !(alpha > 0 && alpha < 1)) return null;
+  const floor = Math.ceil(Math.log2(1 / alpha));
+  const sd = sampleSd(finiteValues(rawDiffs));
+  const z = inverseNormalCdf(1 - alpha) + inverseNormalCdf(power);
+  return Math.max(floor, Math.ceil(((z * sd) / effect) ** 2));
+}
+
+// Runs needed for a rate's 95% interval to be no wider than +/- `margin`,
+// using the Agresti-Coull estimate so 0/n and n/n still get an answer.
+function recommendedRunsForRate(successes, runs, margin = 0.2) {
+  const z = inverseNormalCdf(0.975);
+  const p = (successes + 2) / (runs + 4);
+  return Math.max(1, Math.ceil((z * z * p * (1 - p)) / (margin * margin)));
+}
+
+module.exports = {
+  BOOTSTRAP_SAMPLES,
+  erf,
+  normalCdf,
+  inverseNormalCdf,
+  mulberry32,
+  percentile,
+  bootstrapMean,
+  pairedSignFlipTest,
+  recommendedSampleSize,
+  recommendedRunsForRate
+};
@@ -2,21 +2,38 @@
 
 // Fine-tune pipeline orchestrator: one run at a time through
 // preparing (in-process data prep) → training (python child, JSON-line
-// progress) → loading (GGUF into local Ollama) → complete | failed.
+// progress) → loading (GGUF into local Ollama) → qualifying (paired eval
+// against the base model) → complete | failed.
 //
 // Singleton configured from startServer() with { io, telemetry } — the same
 // injection pattern as telemetry-store and attract-coordinator. Everything is
 // deploy-safe by construction: python missing (Railway) fails the run with
 // telemetry instead of crashing, and the auto-trigger is opt-in
 // (FINETUNE_AUTO_ENABLED=1).
+//
+// mode 'sft' (the default) trains on chat-messages from human traces; mode
+// 'dpo' trains on chosen/rejected preference pairs built from the same store
+// (prepareDpoData). The auto-trigger only ever runs SFT.
 
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const gameRegistry = require('./game-registry');
+const { buildBatchPlan, runEvalCase } = require('./batch-evaluator');
+const { compareCandidate } = require('./eval-qualification');
+const { sanitizeRunPart } = require('./eval-plan');
+const { deriveSeed } = require('./run-seed');
 
 const WEB_ROOT = path.join(__dirname, '..');
 const STDERR_TAIL_BYTES = 8192;
+const TRAINING_MODES = ['sft', 'dpo'];
+// Checkpoints finetune.py trains from (--base-model), keyed by repo name so
+// unsloth/, google/ and -bnb-4bit variants all map to their arcade model.
+const BASE_MODEL_ARCADE_IDS = {
+  'gemma-3-4b-it': 'gemma3:4b',
+  'gemma-3-12b-it': 'gemma3:12b',
+  'gemma-3-27b-it': 'gemma3:27b'
+};
 
 class TriggerError extends Error {
   constructor(code, message) {
@@ -31,6 +48,17 @@ function intFromEnv(name, fallback) {
   return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
 }
 
+// The arcade id a fine-tune's base model plays under: a catalog id as is, a
+// catalog entry whose OpenRouter fallback is that checkpoint, or a known
+// training checkpoint. null when the base has no arcade counterpart.
+function arcadeIdForBaseModel(baseModel, catalog = []) {
+  if (!baseModel) return null;
+  const listed = catalog.find(model => model.id === baseModel || (model.fallback && model.fallback === baseModel));
+  if (listed) return listed.id;
+  const repoName = String(baseModel).split('/').pop().toLowerCase().replace(/-(unsloth-)?bnb-4bit$/, '');
+  return BASE_MODEL_ARCADE_IDS[repoName] || null;
+}
+
 function slugifyModelPart(value) {
   return String(value || 'game')
     .toLowerCase()
@@ -44,6 +72,8 @@ class FinetunePipeline {
     this.activeRun = null;
     this.lastRun = null;
     this._child = null;
+    this._gateHandle = null;
+    this._gateLeaseWait = null;
     this._autoTimer = null;
     this._autoBackoff = new Map(); // gameId -> human trace count at last failed auto run
     this._runCounter = 0;
@@ -55,6 +85,8 @@ class FinetunePipeline {
     this.telemetry = deps.telemetry || require('./telemetry-store');
     this.prepareData = deps.prepareData ||
       require('../scripts/prepare-finetune-data').prepareFinetuneData;
+    this.preparePreferenceData = deps.preparePreferenceData ||
+      require('../scripts/prepare-finetune-data').prepareDpoData;
     this.ollamaLoader = deps.ollamaLoader || require('./ollama-loader');
     this.traceStore = deps.traceStore || require('./play-trace-store');
     this.models = deps.models || require('./models');
@@ -77,18 +109,32 @@ class FinetunePipeline {
     this.minNewTraces = deps.minNewTraces ?? intFromEnv('FINETUNE_MIN_NEW_TRACES', 10);
     this.minExamples = deps.minExamples ?? intFromEnv('FINETUNE_MIN_EXAMPLES', 20);
 
+    // Promotion gate. Each run is gated against the arcade id of its own base
+    // model (the registry entry's baseModel); gateReferenceModel only stands
+    // in when that base has no arcade counterpart.
+    this.gateEnabled = deps.gateEnabled ?? process.env.FINETUNE_EVAL_GATE !== '0';
+    this.gateReferenceModel = deps.gateReferenceModel || process.env.FINETUNE_GATE_REFERENCE_MODEL || 'gemma3:4b';
+    this.gateRuns = deps.gateRuns ?? intFromEnv('FINETUNE_GATE_RUNS', 3);
+    this.runEvalCase = deps.runEvalCase || runEvalCase;
+    this.buildPlan = deps.buildPlan || buildBatchPlan;
+    this.enginePool = deps.enginePool || require('./engine-pool');
+
     this.configured = true;
     return this;
   }
 
   // Synchronous validation, then fire-and-forget (same philosophy as
   // /api/game/start): failures after acceptance surface via status/io/telemetry.
-  trigger({ gameId, dryRun = false, source = 'api' } = {}) {
+  trigger({ gameId, dryRun = false, source = 'api', mode = 'sft' } = {}) {
     if (!this.configured) throw new Error('FinetunePipeline.configure() must be called first');
     if (this.activeRun) {
       throw new TriggerError('RUN_IN_PROGRESS',
         `run ${this.activeRun.runId} is already active`);
     }
+    if (!TRAINING_MODES.includes(mode)) {
+      throw new TriggerError('INVALID_MODE',
+        `unknown mode: ${mode} (expected ${TRAINING_MODES.join(' or ')})`);
+    }
     const parsedGameId = Number.parseInt(gameId, 10);
     const game = Number.isInteger(parsedGameId)
       ? this.readGameRegistry().get(parsedGameId)
@@ -101,6 +147,7 @@ class FinetunePipeline {
       runId: `finetune-${Date.now()}-${++this._runCounter}`,
       gameId: parsedGameId,
       gameName: game.name,
+      mode,
       state: 'preparing',
       stage: 'preparing',
       dryRun: Boolean(dryRun) || this.forceDryRun,
@@ -113,6 +160,7 @@ class FinetunePipeline {
       modelId: null,
       ggufPath: null,
       loadedToOllama: null,
+      qualification: null,
       error: null
     };
     this.activeRun = run;
@@ -129,11 +177,12 @@ class FinetunePipeline {
     // 1. Data prep, in-process — traces are small JSON; typed errors beat a
     // second stdout protocol. Python is the only child (it needs isolation).
     let stats;
+    const dpo = run.mode === 'dpo';
     try {
-      stats = this.prepareData({
+      stats = (dpo ? this.preparePreferenceData : this.prepareData)({
         gameId: run.gameId,
         minExamples: this.minExamples,
-        output: path.join(this.jsonlDir, `game-${run.gameId}-train.jsonl`)
+        output: path.join(this.jsonlDir, `game-${run.gameId}-${dpo ? 'dpo' : 'train'}.jsonl`)
       });
     } catch (err) {
       return this._failRun(run, 'preparing', err, err.code);
@@ -146,7 +195,9 @@ class FinetunePipeline {
       stage: 'data_prepared',
       exampleCount: stats.exampleCount,
       traceCount: stats.traceCount,
-      actionDistribution: stats.actionDistribution
+      actionDistribution: stats.actionDistribution,
+      signalCounts: stats.signalCounts,
+      droppedPairs: stats.droppedPairs
     });
     this._emitProgress(run, {
       stage: 'data_prepared',
@@ -171,6 +222,7 @@ class FinetunePipeline {
       const args = [
         this.scriptPath,
         '--data', run.jsonlPath,
+        '--mode', run.mode,
         '--game-id', String(run.gameId),
         '--game-name', run.gameName,
         '--run-id', run.runId,
@@ -180,7 +232,9 @@ class FinetunePipeline {
         '--trained-on-plays', String(stats.traceCount)
       ];
       if (this.trainingProvider === 'legion-vllm') {
-        args.push('--model-id', `${this.legionModelIdPrefix}-${slugifyModelPart(run.gameName)}`);
+        // A DPO adapter must not replace the SFT one serving under the same name.
+        const suffix = run.mode === 'dpo' ? '-dpo' : '';
+        args.push('--model-id', `${this.legionModelIdPrefix}-${slugifyModelPart(run.gameName)}${suffix}`);
         args.push('--no-gguf');
       }
       if (run.dryRun) args.push('--dry-run');
@@ -262,6 +316,7 @@ class FinetunePipeline {
 
   _onTrainingMessage(run, msg) {
     if (msg.modelId) run.modelId = msg.modelId;
+    if (msg.baseModel) run.baseModel = msg.baseModel;
     if (msg.stage === 'train_step') {
       run.progress = {
         step: msg.step,
@@ -306,9 +361,152 @@ class FinetunePipeline {
         { recoverable: true });
     }
     this._emitProgress(run, { stage: 'model_loaded', modelId: run.modelId });
+    if (this.gateEnabled) {
+      await this._qualify(run);
+      if (run.state === 'failed') return; // cancelled or shut down mid-gate
+    }
     this._complete(run, true);
   }
 
+  // Post-training gate: the tuned model and the reference play the same seeded
+  // cases on the target game, and only a model that passes compareCandidate
+  // goes on to the marble playlist. It is hidden from the picker while the
+  // gate runs and stays hidden (still registered) if it fails; the comparison
+  // report is kept on the run either way.
+  async _qualify(run) {
+    run.state = 'qualifying';
+    run.stage = 'qualifying';
+    run.referenceModelId = this._gateReference(run);
+    this._emitProgress(run, {
+      stage: 'qualifying',
+      referenceModelId: run.referenceModelId,
+      runs: this.gateRuns
+    });
+    this._setRegistryHidden(run.modelId, true);
+
+    const results = [];
+    const errors = [];
+    for (const evalCase of this._gateCases(run)) {
+      if (run.state === 'failed') return;
+      const worker = await this._leaseGateWorker(evalCase.runId);
+      if (!worker) return; // cancel gave up the place in line
+      try {
+        results.push(await this.runEvalCase(evalCase, {
+          headless: true,
+          synchronousActions: true,
+          engine: { port: worker.port, screenshotPath: worker.screenshotPath },
+          onCaseStart: (handle) => { this._gateHandle = handle; }
+        }));
+      } catch (err) {
+        errors.push({ runId: evalCase.runId, modelId: evalCase.modelId, message: err.message });
+      } finally {
+        this._gateHandle = null;
+        this.enginePool.release(worker);
+      }
+    }
+    if (run.state === 'failed') return;
+
+    const report = {
+      ...compareCandidate(results, {
+        candidateId: run.modelId,
+        referenceId: run.referenceModelId,
+        game: { id: run.gameId, name: run.gameName }
+      }),
+      errors
+    };
+    run.qualification = report;
+    if (report.passed) this._setRegistryHidden(run.modelId, false);
+    const outcome = {
+      stage: report.passed ? 'qualified' : 'qualification_failed',
+      reason: report.reason,
+      referenceModelId: report.referenceId,
+      pairCount: report.pairCount,
+      meanScoreDiff: report.scoreDiff.meanDiff,
+      pValue: report.scoreDiff.pValue,
+      errorCount: errors.length
+    };
+    this._track('finetune_stage', run, outcome);
+    this._emitProgress(run, outcome);
+  }
+
+  _gateReference(run) {
+    const baseModel = this._registryEntry(run.modelId)?.baseModel || run.baseModel;
+    return arcadeIdForBaseModel(baseModel, this.models.MODELS) || this.gateReferenceModel;
+  }
+
+  // Candidate and reference alternate over gateRuns seeds. Seeds come from the
+  // game alone, so every fine-tune of a game is gated on the same conditions.
+  _gateCases(run) {
+    const plan = this.buildPlan({ gameIds: [run.gameId], modelIds: [run.modelId, run.referenceModelId] });
+    const strategyId = plan.strategies[0]?.id;
+    const templates = [run.modelId, run.referenceModelId]
+      .map(modelId => plan.cases.find(evalCase => evalCase.modelId === modelId && evalCase.strategyId === strategyId))
+      .filter(Boolean);
+    const cases = [];
+    for (let index = 0; index < this.gateRuns; index++) {
+      const seed = deriveSeed(`finetune-gate-g${run.gameId}`, index);
+      for (const template of templates) {
+        cases.push({
+          ...template,
+          runId: `${run.runId}-gate-${sanitizeRunPart(template.modelId)}-r${index + 1}`,
+          seed,
+          repeatIndex: index
+        });
+      }
+    }
+    return cases;
+  }
+
+  async _leaseGateWorker(runId) {
+    this._gateLeaseWait = new AbortController();
+    try {
+      return await this.enginePool.waitFor({ runId, source: 'finetune-gate' }, { signal: this._gateLeaseWait.signal });
+    } finally {
+      this._gateLeaseWait = null;
+    }
+  }
+
+  _stopGate() {
+    this._gateLeaseWait?.abort();
+    if (this._gateHandle?.llmClient) {
+      try {
+        this._gateHandle.llmClient.disconnect();
+      } catch { /* already gone */ }
+    }
+  }
+
+  _registryEntry(modelId) {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.registryPath, 'utf-8'));
+      const models = Array.isArray(data) ? data : (data.models || []);
+      return models.find(candidate => candidate && candidate.id === modelId) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Flip an entry's hidden flag in place; python owns every other field. Same
+  // temp-file + rename as finetune.py so the catalog never reads half a file.
+  _setRegistryHidden(modelId, hidden) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.registryPath, 'utf-8'));
+    } catch {
+      return false;
+    }
+    const models = Array.isArray(data) ? data : (data.models || []);
+    const entry = models.find(candidate => candidate && candidate.id === modelId);
+    if (!entry) return false;
+    if (hidden) entry.hidden = true;
+    else delete entry.hidden;
+    const next = { ...(Array.isArray(data) ? {} : data), models, updatedAt: new Date().toISOString() };
+    const tmpPath = `${this.registryPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(next, null, 2) + '\n');
+    fs.renameSync(tmpPath, this.registryPath);
+    this.models.invalidateFinetunedCache();
+    return true;
+  }
+
   _complete(run, loadedToOllama) {
     if (run.state === 'failed') return;
     run.state = 'complete';
@@ -321,9 +519,10 @@ class FinetunePipeline {
     this._track('finetune_completed', run, {
       loadedToOllama,
       exampleCount: run.exampleCount,
-      traceCount: run.traceCount
+      traceCount: run.traceCount,
+      promoted: run.qualification ? run.qualification.passed : null
     });
-    if (loadedToOllama && !run.dryRun && this.enqueueMarbleEval) {
+    if (loadedToOllama && !run.dryRun && this.enqueueMarbleEval && run.qualification?.passed !== false) {
       try {
         this.enqueueMarbleEval({
           modelId: run.modelId,
@@ -331,7 +530,7 @@ class FinetunePipeline {
           gameId: run.gameId,
           gameName: run.gameName,
           provider: 'ollama-local',
-          description: `Fine-tuned on ${run.traceCount ?? '?'} ${run.gameName} play(s)`
+          description: `${run.mode === 'dpo' ? 'Preference-tuned' : 'Fine-tuned'} on ${run.traceCount ?? '?'} ${run.gameName} play(s)`
         });
         this._track('finetune_stage', run, {
           stage: 'marble_eval_queued',
@@ -353,7 +552,8 @@ class FinetunePipeline {
         gameId: run.gameId,
         gameName: run.gameName,
         dryRun: run.dryRun,
-        loadedToOllama
+        loadedToOllama,
+        promoted: run.qualification ? run.qualification.passed : null
       });
     }
     this.lastRun = run;
@@ -404,6 +604,7 @@ class FinetunePipeline {
         runId: run.runId,
         gameId: run.gameId,
         gameName: run.gameName,
+        mode: run.mode,
         state: run.state,
         stage: run.stage,
         dryRun: run.dryRun,
@@ -415,6 +616,7 @@ class FinetunePipeline {
         progress: run.progress,
         modelId: run.modelId,
         loadedToOllama: run.loadedToOllama,
+        qualification: run.qualification,
         error: run.error
       } : null,
       autoTrigger: {
@@ -427,6 +629,11 @@ class FinetunePipeline {
         count: this.configured ? this.models.loadFinetunedModels().length : 0,
         path: this.registryPath || null
       },
+      gate: {
+        enabled: this.gateEnabled,
+        referenceModelId: this.gateReferenceModel,
+        runs: this.gateRuns
+      },
       training: {
         provider: this.trainingProvider,
         outputDir: this.modelsDir,
@@ -440,6 +647,7 @@ class FinetunePipeline {
       throw new TriggerError('NO_ACTIVE_RUN', 'no fine-tune run is active');
     }
     if (this._child) this._child.kill('SIGTERM');
+    this._stopGate();
     this._failRun(this.activeRun, this.activeRun.stage, new Error('cancelled by operator'), 'CANCELLED');
     return this.getStatus();
   }
@@ -522,6 +730,7 @@ class FinetunePipeline {
         this._child.kill('SIGTERM');
       } catch { /* already gone */ }
     }
+    this._stopGate();
     if (this.activeRun) {
       this._failRun(this.activeRun, 'shutdown', new Error('server shutting down'), 'SERVER_SHUTDOWN');
     }
@@ -552,7 +761,7 @@ class FinetunePipeline {
         runId: run.runId,
         gameId: run.gameId,
         modelId: run.modelId || undefined,
-        payload: { dryRun: run.dryRun, source: run.source, ...payload }
+        payload: { dryRun: run.dryRun, source: run.source, mode: run.mode, ...payload }
       });
     } catch (err) {
       console.warn('[FinetunePipeline] telemetry track failed:', err.message);
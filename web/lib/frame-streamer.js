@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Screenshot streaming for one engine worker — native fs.watch for low-latency
+// macOS FSEvents. Each pool worker writes its own PNG, so each gets its own
+// streamer and broadcasts only to its own Socket.IO room; viewers join the room
+// of the run they are watching.
+const FRAME_MIN_INTERVAL = 33;  // ~30fps cap
+const PNG_SIG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_IEND = Buffer.from([0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]);
+
+function isCompletePng(buffer) {
+  return Buffer.isBuffer(buffer) &&
+    buffer.length >= 45 &&
+    buffer.subarray(0, PNG_SIG.length).equals(PNG_SIG) &&
+    buffer.subarray(buffer.length - PNG_IEND.length).equals(PNG_IEND);
+}
+
+function screenshotDigest(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+function createFrameStreamer({ io, screenshotPath, room = null, label = 'Server' } = {}) {
+  let screenshotWatcher = null;
+  // The run that owns this worker's frame stream right now ({ runId, source:
+  // 'walkup'|'marble' }). Every game-frame is tagged with it so viewers can drop
+  // frames that belong to a different run even if they are in the wrong room.
+  let frameOwner = null;
+  let lastScreenshotDigest = null;
+  let lastFrameSendTime = 0;
+  let pendingFrameTimeout = null;
+  let frameReadInFlight = false;
+  let frameReadQueued = false;
+
+  function target() {
+    return room && io && typeof io.to === 'function' ? io.to(room) : io;
+  }
+
+  function start(owner = null) {
+    stop();
+    frameOwner = owner && owner.runId ? { runId: owner.runId, source: owner.source || 'walkup' } : null;
+
+    console.log(`[${label}] Starting screenshot streaming from:`, screenshotPath);
+
+    // Ensure file exists before watching (fs.watch requires existing file)
+    const dir = path.dirname(screenshotPath);
+    const filename = path.basename(screenshotPath);
+
+    try {
+      // Watch the directory for changes to the screenshot file
+      screenshotWatcher = fs.watch(dir, { persistent: true }, (eventType, changedFile) => {
+        if (changedFile === filename) {
+          scheduleFrameSend();
+        }
+      });
+
+      screenshotWatcher.on('error', (error) => {
+        console.error(`[${label}] Screenshot watcher error:`, error);
+      });
+
+      // macOS FSEvents can silently stop delivering change notifications after
+      // the watched file is deleted and recreated (which prepareScreenshotTarget
+      // does on every game start). A 1s polling heartbeat catches the silent
+      // failure case without adding duplicate sends (content-hash dedup still
+      // applies).
+      screenshotWatcher._pollFallback = setInterval(() => scheduleFrameSend(), 1000);
+    } catch (error) {
+      console.error(`[${label}] Failed to start file watcher, falling back to polling:`, error.message);
+      // Fallback: poll every 33ms
+      screenshotWatcher = setInterval(() => scheduleFrameSend(), FRAME_MIN_INTERVAL);
+      screenshotWatcher._isInterval = true;
+    }
+  }
+
+  // Throttle frame sends to ~30fps max
+  function scheduleFrameSend() {
+    const now = Date.now();
+    const elapsed = now - lastFrameSendTime;
+
+    if (elapsed >= FRAME_MIN_INTERVAL) {
+      // Send immediately
+      sendScreenshotAsync();
+    } else if (!pendingFrameTimeout) {
+      // Schedule send for when the throttle window opens
+      pendingFrameTimeout = setTimeout(() => {
+        pendingFrameTimeout = null;
+        sendScreenshotAsync();
+      }, FRAME_MIN_INTERVAL - elapsed);
+    }
+    // Otherwise a send is already scheduled, skip
+  }
+
+  async function sendScreenshotAsync() {
+    if (frameReadInFlight) {
+      frameReadQueued = true;
+      return;
+    }
+
+    frameReadInFlight = true;
+    try {
+      // Read the file first, then validate and dedup by content hash. Java writes
+      // the PNG in-place, so fs.watch often fires mid-write and macOS stat values
+      // can be stale across repeated overwrites. The frame bytes are tiny, so a
+      // full hash is cheaper and more reliable than mtime/size bookkeeping.
+      const imageBuffer = await fs.promises.readFile(screenshotPath);
+
+      // Guard against partial writes: the browser will reject a header-only or
+      // truncated data URL with "Invalid encoded image data". Do not remember a
+      // partial frame as the last frame; the next fs.watch/poll tick will retry.
+      if (!isCompletePng(imageBuffer)) {
+        return;
+      }
+
+      const digest = screenshotDigest(imageBuffer);
+      if (lastScreenshotDigest === digest) {
+        return;
+      }
+      lastScreenshotDigest = digest;
+      lastFrameSendTime = Date.now();
+
+      // Convert to base64 data URL so the client can use it directly as img.src
+      const base64 = imageBuffer.toString('base64');
+      const channel = target();
+      if (!channel) return;
+      channel.emit('game-frame', {
+        image: `data:image/png;base64,${base64}`,
+        timestamp: Date.now(),
+        runId: frameOwner ? frameOwner.runId : null,
+        source: frameOwner ? frameOwner.source : null,
+        room
+      });
+    } catch (error) {
+      // File might not exist yet or be mid-write, silently skip
+      if (error.code !== 'ENOENT') {
+        console.error(`[${label}] Error sending screenshot:`, error.message);
+      }
+    } finally {
+      frameReadInFlight = false;
+      if (frameReadQueued) {
+        frameReadQueued = false;
+        scheduleFrameSend();
+      }
+    }
+  }
+
+  function stop() {
+    if (pendingFrameTimeout) {
+      clearTimeout(pendingFrameTimeout);
+      pendingFrameTimeout = null;
+    }
+    if (screenshotWatcher) {
+      if (screenshotWatcher._isInterval) {
+        clearInterval(screenshotWatcher);
+      } else {
+        if (screenshotWatcher._pollFallback) {
+          clearInterval(screenshotWatcher._pollFallback);
+          screenshotWatcher._pollFallback = null;
+        }
+        screenshotWatcher.close();
+      }
+      screenshotWatcher = null;
+      frameOwner = null;
+      lastScreenshotDigest = null;
+      lastFrameSendTime = 0;
+      frameReadInFlight = false;
+      frameReadQueued = false;
+      console.log(`[${label}] Stopped screenshot streaming`);
+    }
+  }
+
+  return {
+    room,
+    screenshotPath,
+    start,
+    stop,
+    getOwner: () => frameOwner
+  };
+}
+
+module.exports = {
+  FRAME_MIN_INTERVAL,
+  createFrameStreamer,
+  isCompletePng,
+  screenshotDigest
+};
@@ -0,0 +1,275 @@
+// VGDL game editor backend. Loads a game's rules and level text, previews an
+// edited copy (parsed sets, strategic digest, archetype/pace) and saves it as
+// a new game: VGDL + level under web/data/custom-games/, an entry in
+// web/data/custom-games.json and a prompt config seeded from the digest. The
+// tracked examples/ tree is never written; the registry merges the manifest in
+// on each read and the save installs the game into the hydrated engine
+// runtime, so the new game is playable without a restart.
+//
+// Singleton configured from startServer(); tests inject projectRoot,
+// promptStore and resolveRuntime.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  projectRoot,
+  readGameRegistry,
+  readCustomGames,
+  customGamesManifestPath,
+  customGamesDir,
+  installCustomGames
+} = require('./game-registry');
+const { parseVGDL, buildStrategicDigest } = require('./vgdl-digest');
+const { classifyDigest, clearClassifierCache } = require('./game-classifier');
+
+const CATEGORIES = ['gridphysics', 'contphysics'];
+const GAME_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{1,39}$/;
+// BasicGame maps these without a LevelMapping entry.
+const DEFAULT_LEVEL_MAPPING = { w: ['wall'], A: ['avatar'] };
+const MAX_VGDL_LENGTH = 64 * 1024;
+const MAX_LEVEL_LENGTH = 16 * 1024;
+
+class GameEditorError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'GameEditorError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// parseVGDL skips LevelMapping; the editor needs it to check the level text.
+function parseLevelMapping(content) {
+  const mapping = {};
+  let inMapping = false;
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const trimmed = rawLine.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    if (/^(SpriteSet|InteractionSet|TerminationSet)$/.test(trimmed)) {
+      inMapping = false;
+      continue;
+    }
+    if (trimmed === 'LevelMapping') {
+      inMapping = true;
+      continue;
+    }
+    const match = inMapping && trimmed.match(/^(\S)\s*>\s*(.+)$/);
+    if (match) mapping[match[1]] = match[2].trim().split(/\s+/);
+  }
+  return mapping;
+}
+
+function isAvatarName(name, parsed) {
+  let sprite = parsed.sprites[name];
+  if (!sprite && name === 'avatar') return true;
+  while (sprite) {
+    if (sprite.type && sprite.type.includes('Avatar')) return true;
+    sprite = sprite.parent ? parsed.sprites[sprite.parent] : null;
+  }
+  return false;
+}
+
+// Problems that stop a save (errors) and ones worth showing while editing
+// (warnings). The engine is the final judge; this only catches what would
+// make it fail to load the game at all.
+function checkGame(parsed, mapping, level) {
+  const errors = [];
+  const warnings = [];
+  if (Object.keys(parsed.sprites).length === 0) errors.push('SpriteSet defines no sprites');
+  if (!parsed.avatarType) errors.push('No avatar sprite (a sprite whose type is an Avatar)');
+  if (parsed.terminations.length === 0) errors.push('TerminationSet is empty; the game could never end');
+  if (parsed.interactions.length === 0) warnings.push('InteractionSet is empty');
+
+  const rows = String(level || '').split(/\r?\n/).filter(row => row.length > 0);
+  if (rows.length === 0) {
+    errors.push('Level is empty');
+    return { errors, warnings };
+  }
+  if (new Set(rows.map(row => row.length)).size > 1) warnings.push('Level rows have different widths');
+
+  const fullMapping = { ...DEFAULT_LEVEL_MAPPING, ...mapping };
+  const used = new Set(rows.join(''));
+  const unmapped = [...used].filter(char => !fullMapping[char]);
+  if (unmapped.length > 0) warnings.push(`Level characters without a LevelMapping entry: ${unmapped.join(' ')}`);
+  const hasAvatar = [...used].some(char => (fullMapping[char] || []).some(name => isAvatarName(name, parsed)));
+  if (!hasAvatar) errors.push('Level places no avatar');
+
+  for (const [char, names] of Object.entries(mapping)) {
+    const unknown = names.filter(name => !parsed.sprites[name]);
+    if (unknown.length > 0) warnings.push(`LevelMapping ${char} names unknown sprites: ${unknown.join(', ')}`);
+  }
+  return { errors, warnings };
+}
+
+// Parse, digest and classify one edited game. Pure: nothing is written.
+function previewGame({ vgdl, level, gameName, category } = {}) {
+  const content = String(vgdl || '');
+  const parsed = parseVGDL(content);
+  const mapping = parseLevelMapping(content);
+  const physicsCategory = CATEGORIES.includes(category) ? category : 'gridphysics';
+  const digest = buildStrategicDigest(content, { gameName: gameName || 'untitled' });
+  const { errors, warnings } = checkGame(parsed, mapping, level);
+
+  return {
+    gameName: digest.gameName,
+    category: physicsCategory,
+    sprites: Object.entries(parsed.sprites).map(([name, sprite]) => ({
+      name,
+      type: sprite.type,
+      parent: sprite.parent,
+      props: sprite.props
+    })),
+    interactions: parsed.interactions,
+    terminations: parsed.terminations,
+    levelMapping: mapping,
+    digest,
+    classification: classifyDigest(digest, { physicsCategory }),
+    errors,
+    warnings,
+    valid: errors.length === 0
+  };
+}
+
+class GameEditor {
+  constructor() {
+    this.configured = false;
+  }
+
+  configure(deps = {}) {
+    this.projectRoot = deps.projectRoot || projectRoot();
+    this.promptStore = deps.promptStore || require('./prompt-store');
+    this.resolveRuntime = deps.resolveRuntime || (() => require('./game-manager').resolveEngineRuntime());
+    this.configured = true;
+    return this;
+  }
+
+  _ensureConfigured() {
+    if (!this.configured) this.configure();
+  }
+
+  // Games saved from the editor, newest last.
+  list() {
+    this._ensureConfigured();
+    return readCustomGames(this.projectRoot);
+  }
+
+  load(gameId) {
+    this._ensureConfigured();
+    const game = readGameRegistry(this.projectRoot).get(Number(gameId));
+    if (!game || !fs.existsSync(game.vgdlPath)) {
+      throw new GameEditorError('GAME_NOT_FOUND', `Game ${gameId} not found`);
+    }
+    const levels = [];
+    for (let levelId = 0; levelId < 5; levelId++) {
+      const levelPath = game.vgdlPath.replace(/\.txt$/, `_lvl${levelId}.txt`);
+      if (fs.existsSync(levelPath)) levels.push({ levelId, text: fs.readFileSync(levelPath, 'utf-8') });
+    }
+    return {
+      gameId: game.id,
+      gameName: game.name,
+      file: game.file,
+      category: game.category,
+      vgdl: fs.readFileSync(game.vgdlPath, 'utf-8'),
+      levels
+    };
+  }
+
+  preview(input) {
+    return previewGame(input);
+  }
+
+  async save({ gameName, vgdl, level, category, basedOn } = {}) {
+    this._ensureConfigured();
+    if (typeof vgdl !== 'string' || vgdl.length > MAX_VGDL_LENGTH) {
+      throw new GameEditorError('INVALID_VGDL', `VGDL must be a string under ${MAX_VGDL_LENGTH} characters`);
+    }
+    if (typeof level !== 'string' || level.length > MAX_LEVEL_LENGTH) {
+      throw new GameEditorError('INVALID_LEVEL', `Level must be a string under ${MAX_LEVEL_LENGTH} characters`);
+    }
+    if (!GAME_NAME_PATTERN.test(String(gameName || ''))) {
+      throw new GameEditorError('INVALID_NAME', 'Name must start with a letter and use 2-40 letters, digits or underscores');
+    }
+    const physicsCategory = category || 'gridphysics';
+    if (!CATEGORIES.includes(physicsCategory)) {
+      throw new GameEditorError('INVALID_CATEGORY', `Category must be one of ${CATEGORIES.join(', ')}`);
+    }
+
+    const preview = previewGame({ vgdl, level, gameName, category: physicsCategory });
+    if (!preview.valid) {
+      throw new GameEditorError('INVALID_GAME', preview.errors.join('; '), { errors: preview.errors });
+    }
+
+    // The engine only sees editor games through the hydrated runtime's games
+    // directory; without one the game could not be played, and the configured
+    // project tree is never written. Resolved before the id is picked: from
+    // here on the save is synchronous, so two saves never claim the same id.
+    const runtime = await this.resolveRuntime();
+    if (!runtime.gamesDir || path.resolve(runtime.gamesDir) === path.resolve(this.projectRoot)) {
+      throw new GameEditorError('RUNTIME_UNAVAILABLE', 'Saving a game needs the hydrated engine runtime');
+    }
+    const registry = readGameRegistry(this.projectRoot);
+    const file = `examples/${physicsCategory}/${gameName}.txt`;
+    const levelFile = file.replace(/\.txt$/, '_lvl0.txt');
+    const taken = [...registry.values()].some(game => game.name.toLowerCase() === gameName.toLowerCase());
+    const gamesRoot = customGamesDir(this.projectRoot);
+    if (taken || fs.existsSync(path.join(this.projectRoot, file)) || fs.existsSync(path.join(gamesRoot, file))) {
+      throw new GameEditorError('NAME_TAKEN', `A game named ${gameName} already exists`);
+    }
+    const gameId = Math.max(-1, ...registry.keys()) + 1;
+
+    fs.mkdirSync(path.join(gamesRoot, 'examples', physicsCategory), { recursive: true });
+    fs.writeFileSync(path.join(gamesRoot, file), vgdl.endsWith('\n') ? vgdl : `${vgdl}\n`);
+    fs.writeFileSync(path.join(gamesRoot, levelFile), level);
+
+    const digest = buildStrategicDigest(vgdl, { gameId, gameName });
+    const classification = classifyDigest(digest, { physicsCategory });
+    const baseConfig = Number.isInteger(basedOn) ? this.promptStore.getGameConfig(basedOn) : null;
+    const config = this.promptStore.saveGameConfig({
+      gameId,
+      gameName,
+      systemTemplateId: 'default-system',
+      gameContext: {
+        templateId: null,
+        customOverride: digest.promptText
+      },
+      progressionContexts: {},
+      llmSettings: baseConfig?.llmSettings || { maxTokens: 100, temperature: 0.5 },
+      classification
+    });
+    // The classifier caches the registry; drop it so the new id resolves.
+    clearClassifierCache();
+
+    const entry = {
+      gameId,
+      gameName,
+      file,
+      levelFile,
+      category: physicsCategory,
+      basedOn: Number.isInteger(basedOn) ? basedOn : null,
+      createdAt: new Date().toISOString()
+    };
+    const manifestPath = customGamesManifestPath(this.projectRoot);
+    const manifest = readJson(manifestPath, null) || {};
+    const games = [...readCustomGames(this.projectRoot), entry];
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, games, updatedAt: entry.createdAt }, null, 2) + '\n');
+    installCustomGames(runtime.gamesDir, this.projectRoot);
+
+    return { ...entry, classification, digest, config, warnings: preview.warnings };
+  }
+}
+
+module.exports = new GameEditor();
+module.exports.GameEditor = GameEditor;
+module.exports.GameEditorError = GameEditorError;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.parseLevelMapping = parseLevelMapping;
+module.exports.previewGame = previewGame;
@@ -3,6 +3,8 @@ const path = require('path');
 const fs = require('fs');
 const { getConfig } = require('./runtime-config');
 const { resolveScreenshotPath } = require('./screenshot-path');
+const { normalizeSeed } = require('./run-seed');
+const { installCustomGames } = require('./game-registry');
 const config = getConfig();
 const MAX_COMPLETED_PROCESSES = 20;
 
@@ -83,6 +85,8 @@ function prepareRuntime() {
 async function resolveEngineRuntime() {
   const prepared = preparedRuntimeExists() || await prepareRuntime();
   if (prepared) {
+    // Editor games saved since the runtime was built only live under web/data.
+    installCustomGames(RUNTIME_SOURCE_ROOT);
     return {
       classpath: [RUNTIME_CLASSES_ROOT, RUNTIME_GSON].join(path.delimiter),
       gamesDir: RUNTIME_SOURCE_ROOT,
@@ -108,7 +112,7 @@ function prepareScreenshotTarget(filePath) {
   }
 }
 
-function buildJavaArgs(runtime, gameId, levelId, screenshotPath) {
+function buildJavaArgs(runtime, gameId, levelId, screenshotPath, engine = {}) {
   const args = [
     '-Djava.awt.headless=true',
     '-cp', runtime.classpath,
@@ -123,6 +127,32 @@ function buildJavaArgs(runtime, gameId, levelId, screenshotPath) {
     args.push('-gamesDir', runtime.gamesDir);
   }
 
+  // Pool workers listen on their own port; without one Java keeps its default.
+  if (Number.isInteger(engine.port) && engine.port > 0) {
+    args.push('-port', engine.port.toString());
+  }
+
+  // Pinned RNG seed: the same seed rebuilds the same level and game dynamics.
+  const seed = normalizeSeed(engine.seed);
+  if (seed !== null) {
+    args.push('-seed', seed.toString());
+  }
+
+  // Headless fast-forward (batch sweeps): the engine renders no frames, writes
+  // no screenshot and ticks as fast as the client answers.
+  if (engine.headless) {
+    args.push('-fastForward');
+  }
+
+  // Two-player session: the game id indexes examples/all_games_2p.csv and
+  // player 1 connects on a second port once player 0 is attached.
+  if (engine.players === 2) {
+    args.push('-players', '2');
+    if (Number.isInteger(engine.secondPort) && engine.secondPort > 0) {
+      args.push('-port2', engine.secondPort.toString());
+    }
+  }
+
   return args;
 }
 
@@ -132,21 +162,27 @@ class GameManager {
     this.completedProcesses = new Map();
   }
 
-  async startGame(gameId, levelId = 0, visuals = false) {
-    const processId = `game_${Date.now()}`;
+  // `engine` is the pool worker this session runs on ({ port, screenshotPath }),
+  // plus the run's RNG `seed`, `headless: true` for a fast-forward eval run
+  // and, for a two-player session, `players: 2` and `secondPort`. Omitting it keeps the single-engine defaults from
+  // config.gvgai and Java's default seed.
+  async startGame(gameId, levelId = 0, visuals = false, engine = {}) {
     const startTime = Date.now();
+    // Concurrent workers can spawn in the same millisecond; the port keeps ids unique.
+    const processId = engine.port ? `game_${startTime}_${engine.port}` : `game_${startTime}`;
     const runtime = await resolveEngineRuntime();
-    const screenshotPath = resolveScreenshotPath(config.gvgai);
+    const screenshotPath = engine.screenshotPath || resolveScreenshotPath(config.gvgai);
     prepareScreenshotTarget(screenshotPath);
 
-    const args = buildJavaArgs(runtime, gameId, levelId, screenshotPath);
+    const args = buildJavaArgs(runtime, gameId, levelId, screenshotPath, engine);
 
     // Never use visuals - run headless and rely on screenshot generation
     // if (visuals) {
     //   args.push('-visuals');
     // }
 
-    console.log(`[GameManager] Starting game ${gameId} (level ${levelId})`);
+    const seed = normalizeSeed(engine.seed);
+    console.log(`[GameManager] Starting game ${gameId} (level ${levelId})${engine.port ? ` on port ${engine.port}` : ''}${seed !== null ? ` seed ${seed}` : ''}`);
     console.log(`[GameManager] Process ID: ${processId}`);
     console.log(`[GameManager] Runtime: ${runtime.hydrated ? runtime.cwd : 'configured project tree'}`);
     console.log(`[GameManager] Java command: ${JAVA_BIN} ${args.join(' ')}`);
@@ -207,15 +243,18 @@ class GameManager {
 
     return {
       processId,
-      pid: javaProcess.pid
+      pid: javaProcess.pid,
+      seed
     };
   }
 
   /**
    * Wait for Java process to report socket is listening.
-   * Watches stdout for "[SocketComm] ServerSocket listening" marker.
+   * Watches stdout for "[SocketComm] ServerSocket listening" marker; with a
+   * port, waits for that socket specifically (a two-player engine opens its
+   * second socket only after player 0 connects).
    */
-  waitForReady(processId, timeoutMs = 10000) {
+  waitForReady(processId, timeoutMs = 10000, port = null) {
     return new Promise((resolve) => {
       const processData = this.activeProcesses.get(processId);
       if (!processData) {
@@ -224,10 +263,11 @@ class GameManager {
       }
 
       const startTime = Date.now();
+      const marker = port ? `ServerSocket listening on port ${port}` : 'ServerSocket listening';
       const checkInterval = setInterval(() => {
         const allOutput = processData.stdoutChunks.join('');
 
-        if (allOutput.includes('ServerSocket listening')) {
+        if (allOutput.includes(marker)) {
           clearInterval(checkInterval);
           console.log(`[GameManager] Java socket ready after ${Date.now() - startTime}ms`);
           resolve(true);
@@ -317,7 +357,7 @@ class GameManager {
   }
 
   // Stop a game and resolve once the OS process has actually exited (or a timeout),
-  // so the caller can guarantee the fixed socket port is free before spawning again.
+  // so the caller can guarantee the worker's socket port is free before spawning again.
   stopGameAndWait(processId, timeoutMs = 3000) {
     const processData = this.activeProcesses.get(processId);
     if (!processData) return Promise.resolve(false);
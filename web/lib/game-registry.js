@@ -21,8 +21,87 @@ function readFeaturedIds(root = projectRoot()) {
     : [];
 }
 
+// Games saved from the editor never touch the tracked examples/ tree: the
+// manifest is web/data/custom-games.json and the VGDL and level files sit
+// under web/data/custom-games/ at the path they take in a games directory
+// (examples/<category>/<name>.txt). Both are git-ignored.
+function customGamesManifestPath(root = projectRoot()) {
+  return path.join(root, 'web', 'data', 'custom-games.json');
+}
+
+function customGamesDir(root = projectRoot()) {
+  return path.join(root, 'web', 'data', 'custom-games');
+}
+
+function readCustomGames(root = projectRoot()) {
+  const data = readJson(customGamesManifestPath(root), null);
+  return Array.isArray(data?.games) ? data.games : [];
+}
+
+// The bundled CSV plus editor games. A bundled id always wins, so a stale
+// manifest can never shadow a game that ships with the repo.
 function readGameRegistry(root = projectRoot()) {
-  const csvPath = path.join(root, 'examples', 'all_games_sp.csv');
+  const registry = readRegistryCsv(root, 'all_games_sp.csv');
+  for (const game of readCustomGames(root)) {
+    const id = Number(game.gameId);
+    if (!Number.isInteger(id) || !game.file || registry.has(id)) continue;
+    registry.set(id, {
+      id,
+      name: game.gameName || path.basename(game.file, '.txt'),
+      file: game.file,
+      relativePath: game.file,
+      vgdlPath: path.join(customGamesDir(root), game.file),
+      category: gameCategory(game.file),
+      custom: true
+    });
+  }
+  return registry;
+}
+
+// Copy editor games into an engine games directory (the hydrated runtime
+// tree) and register any ids its all_games_sp.csv lacks. Safe to repeat;
+// refuses the project root itself. Returns how many registry lines it added.
+function installCustomGames(gamesDir, root = projectRoot()) {
+  const games = readCustomGames(root);
+  if (!gamesDir || games.length === 0 || path.resolve(gamesDir) === path.resolve(root)) return 0;
+
+  for (const game of games) {
+    for (const file of [game.file, game.levelFile].filter(Boolean)) {
+      const src = path.join(customGamesDir(root), file);
+      const dest = path.join(gamesDir, file);
+      if (!fs.existsSync(src) || fs.existsSync(dest)) continue;
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.copyFileSync(src, dest);
+    }
+  }
+
+  const csvPath = path.join(gamesDir, 'examples', 'all_games_sp.csv');
+  const csv = fs.existsSync(csvPath) ? fs.readFileSync(csvPath, 'utf-8') : '';
+  const listed = new Set(csv.split(/\r?\n/).map(line => line.trim().split(',')[0]).filter(Boolean));
+  const missing = games
+    .filter(game => game.file && !listed.has(String(game.gameId)))
+    .sort((a, b) => a.gameId - b.gameId)
+    .map(game => `${game.gameId},${game.file}`);
+  if (missing.length > 0) {
+    fs.mkdirSync(path.dirname(csvPath), { recursive: true });
+    fs.writeFileSync(csvPath, `${csv}${csv && !csv.endsWith('\n') ? '\n' : ''}${missing.join('\n')}\n`);
+  }
+  return missing.length;
+}
+
+// Two-player games have their own numbering (examples/all_games_2p.csv); the
+// engine resolves ids against this list when launched with -players 2.
+function readTwoPlayerRegistry(root = projectRoot()) {
+  return readRegistryCsv(root, 'all_games_2p.csv');
+}
+
+function gameCategory(file) {
+  if (file.includes('2player')) return '2player';
+  return file.includes('gridphysics') ? 'gridphysics' : 'contphysics';
+}
+
+function readRegistryCsv(root, csvName) {
+  const csvPath = path.join(root, 'examples', csvName);
   const lines = fs.readFileSync(csvPath, 'utf-8').trim().split(/\r?\n/);
   const registry = new Map();
 
@@ -37,7 +116,7 @@ function readGameRegistry(root = projectRoot()) {
       file,
       relativePath: file,
       vgdlPath: path.join(root, file),
-      category: file.includes('gridphysics') ? 'gridphysics' : 'contphysics'
+      category: gameCategory(file)
     });
   }
 
@@ -70,6 +149,11 @@ module.exports = {
   projectRoot,
   readFeaturedIds,
   readGameRegistry,
+  readTwoPlayerRegistry,
+  customGamesManifestPath,
+  customGamesDir,
+  readCustomGames,
+  installCustomGames,
   parseGameIds,
   selectGames
 };
@@ -0,0 +1,211 @@
+'use strict';
+
+// Procedurally generated levels. The engine's tracks.levelGeneration
+// generators build a new layout for a game from a seed; the file is stored
+// next to the game's bundled levels as <game>_lvl5.txt, _lvl6.txt, ... so the
+// engine opens it by level id like any other level. A manifest records how
+// each one was made (generator, seed) and marks it held out: models never saw
+// it in a prompt config, so eval plans use these to check for memorised layouts.
+// Both the level files and the manifest are git-ignored runtime output.
+//
+// Singleton configured from startServer(); tests inject projectRoot,
+// manifestPath and runGenerator.
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { projectRoot, readGameRegistry } = require('./game-registry');
+const { resolveSeed } = require('./run-seed');
+
+// Ids 0-4 are the bundled levels; generated ones count up from here.
+const FIRST_GENERATED_LEVEL_ID = 5;
+const GENERATORS = {
+  random: 'tracks.levelGeneration.randomLevelGenerator.LevelGenerator',
+  constructive: 'tracks.levelGeneration.constructiveLevelGenerator.LevelGenerator',
+  genetic: 'tracks.levelGeneration.geneticLevelGenerator.LevelGenerator'
+};
+const DEFAULT_GENERATOR = 'constructive';
+// The generator's own budget; the process gets a margin on top for JVM start.
+const GENERATOR_TIME_MS = 30000;
+const PROCESS_MARGIN_MS = 30000;
+
+class LevelGenerationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LevelGenerationError';
+    this.code = code;
+  }
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function levelFileFor(game, levelId) {
+  return game.file.replace(/\.txt$/, `_lvl${levelId}.txt`);
+}
+
+// Spawn GenerateLevel in the engine runtime; resolves { code, output }.
+async function defaultRunGenerator({ gameFile, generatorClass, seed, outFile, timeMs, runtime }) {
+  const { resolveJavaRuntime } = require('./game-manager');
+  const { getConfig } = require('./runtime-config');
+  const { javaBin, javaEnv } = resolveJavaRuntime(getConfig().gvgai);
+  const args = [
+    '-Djava.awt.headless=true',
+    '-cp', runtime.classpath,
+    'tracks.levelGeneration.GenerateLevel',
+    '-game', gameFile,
+    '-generator', generatorClass,
+    '-seed', String(seed),
+    '-out', outFile,
+    '-timeMs', String(timeMs)
+  ];
+  return new Promise((resolve) => {
+    const child = spawn(javaBin, args, { cwd: runtime.cwd, env: javaEnv });
+    let output = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeMs + PROCESS_MARGIN_MS);
+    child.stdout.on('data', chunk => { output += chunk.toString(); });
+    child.stderr.on('data', chunk => { output += chunk.toString(); });
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ code: -1, output: error.message });
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+class GeneratedLevelStore {
+  constructor() {
+    this.configured = false;
+    // One generation at a time: each holds a CPU and claims the next level id.
+    this.queue = Promise.resolve();
+  }
+
+  configure(deps = {}) {
+    this.projectRoot = deps.projectRoot || projectRoot();
+    this.manifestPath = deps.manifestPath || path.join(this.projectRoot, 'web', 'data', 'generated-levels.json');
+    this.registry = deps.registry || null;
+    this.runGenerator = deps.runGenerator || defaultRunGenerator;
+    this.resolveRuntime = deps.resolveRuntime || (() => require('./game-manager').resolveEngineRuntime());
+    this.timeMs = deps.timeMs || GENERATOR_TIME_MS;
+    this.configured = true;
+    return this;
+  }
+
+  _ensureConfigured() {
+    if (!this.configured) this.configure();
+  }
+
+  _game(gameId) {
+    if (!this.registry) this.registry = readGameRegistry(this.projectRoot);
+    const game = this.registry.get(Number(gameId));
+    if (!game) throw new LevelGenerationError('GAME_NOT_FOUND', `Game ${gameId} not found`);
+    return game;
+  }
+
+  _readManifest() {
+    const data = readJson(this.manifestPath, null);
+    return { levels: Array.isArray(data?.levels) ? data.levels : [] };
+  }
+
+  _writeManifest(manifest) {
+    fs.mkdirSync(path.dirname(this.manifestPath), { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2) + '\n');
+  }
+
+  // Generated levels of one game whose file is still on disk, by level id.
+  list(gameId) {
+    this._ensureConfigured();
+    const id = Number(gameId);
+    return this._readManifest().levels
+      .filter(level => level.gameId === id && fs.existsSync(path.join(this.projectRoot, level.file)))
+      .sort((a, b) => a.levelId - b.levelId);
+  }
+
+  levelIds(gameId) {
+    return this.list(gameId).map(level => level.levelId);
+  }
+
+  has(gameId, levelId) {
+    return this.levelIds(gameId).includes(Number(levelId));
+  }
+
+  // Every generated level, for the runtime preparation script to copy over.
+  all() {
+    this._ensureConfigured();
+    return this._readManifest().levels;
+  }
+
+  generate(gameId, options = {}) {
+    this._ensureConfigured();
+    const run = this.queue.then(() => this._generate(gameId, options));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async _generate(gameId, options) {
+    const game = this._game(gameId);
+    const generator = options.generator || DEFAULT_GENERATOR;
+    const generatorClass = GENERATORS[generator];
+    if (!generatorClass) {
+      throw new LevelGenerationError('INVALID_GENERATOR', `Unknown generator ${generator}; use ${Object.keys(GENERATORS).join(', ')}`);
+    }
+    const seed = resolveSeed(options.seed);
+
+    const manifest = this._readManifest();
+    const duplicate = manifest.levels.find(level => level.gameId === game.id && level.generator === generator && level.seed === seed);
+    if (duplicate && fs.existsSync(path.join(this.projectRoot, duplicate.file))) return { ...duplicate, existing: true };
+
+    const taken = manifest.levels.filter(level => level.gameId === game.id).map(level => level.levelId);
+    const levelId = Math.max(FIRST_GENERATED_LEVEL_ID - 1, ...taken) + 1;
+    const file = levelFileFor(game, levelId);
+
+    // The engine reads levels from its own tree: the hydrated runtime copy when
+    // there is one. The canonical file lives next to the game in the project.
+    const runtime = await this.resolveRuntime();
+    const engineRoot = runtime.gamesDir || this.projectRoot;
+    const outFile = path.join(engineRoot, file);
+    const result = await this.runGenerator({
+      gameFile: path.join(engineRoot, game.file),
+      generatorClass,
+      seed,
+      outFile,
+      timeMs: this.timeMs,
+      runtime
+    });
+    if (result.code !== 0 || !fs.existsSync(outFile)) {
+      const detail = String(result.output || '').trim().split('\n').slice(-3).join(' ');
+      throw new LevelGenerationError('GENERATION_FAILED', `${generator} generator produced no playable level for ${game.name}${detail ? `: ${detail}` : ''}`);
+    }
+    const projectFile = path.join(this.projectRoot, file);
+    if (outFile !== projectFile) fs.copyFileSync(outFile, projectFile);
+
+    const entry = {
+      gameId: game.id,
+      gameName: game.name,
+      levelId,
+      file,
+      generator,
+      seed,
+      heldOut: true,
+      createdAt: new Date().toISOString()
+    };
+    manifest.levels.push(entry);
+    this._writeManifest(manifest);
+    return entry;
+  }
+}
+
+module.exports = new GeneratedLevelStore();
+module.exports.GeneratedLevelStore = GeneratedLevelStore;
+module.exports.LevelGenerationError = LevelGenerationError;
+module.exports.FIRST_GENERATED_LEVEL_ID = FIRST_GENERATED_LEVEL_ID;
+module.exports.GENERATORS = GENERATORS;
+module.exports.levelFileFor = levelFileFor;
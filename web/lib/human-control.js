@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Keyboard control of a live human run. The start response hands the browser
+// that launched the run a control token; the human-action socket event must
+// carry it along with the run's processId, so another visitor (or a viewer
+// who only knows the processId from a frame stream) cannot steer the run.
+const CONTROL_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+function createControlToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function controlTokenMatches(expected, supplied) {
+  if (!expected || !CONTROL_TOKEN_PATTERN.test(String(supplied || ''))) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(supplied));
+}
+
+module.exports = {
+  createControlToken,
+  controlTokenMatches
+};
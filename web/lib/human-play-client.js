@@ -32,6 +32,8 @@ class HumanPlayClient {
     this.levelCount = normalizeLevelId(options.initialLevelId, DEFAULT_INITIAL_LEVEL_ID);
     this.maxLevelId = normalizeLevelId(options.maxLevelId, DEFAULT_MAX_LEVEL_ID);
     this.runId = options.runId || null;
+    this.seed = options.seed ?? null;  // engine RNG seed this run was launched with
+    this.playerId = Number.isInteger(options.playerId) ? options.playerId : null;  // avatar index in a two-player session
     this.runStartScore = null;
     this.lastSso = null;
     this.summaryEmitted = false;
@@ -110,6 +112,14 @@ class HumanPlayClient {
     });
   }
 
+  // Same two-player event tag as LLMClient.playerTag.
+  playerTag(sso = null) {
+    if (this.playerId === null) return {};
+    const tag = { playerId: this.playerId };
+    if (sso && Array.isArray(sso.playerScores)) tag.scores = sso.playerScores;
+    return tag;
+  }
+
   handleData(data) {
     this.buffer += data.toString();
 
@@ -210,6 +220,7 @@ class HumanPlayClient {
       if (isEND) {
         try {
           const sso = JSON.parse(jsonPayload);
+          this.lastSso = sso;
           console.log(`[HumanPlayClient] Received msgId=${msgId}, phase: END`);
           await this.handleEnd(sso, msgId);
         } catch (err) {
@@ -292,7 +303,8 @@ class HumanPlayClient {
           action: actionToSend,
           planStep: 0,
           planLength: 0,
-          playerType: 'human'
+          playerType: 'human',
+          ...this.playerTag(sso)
         });
       }
     } catch (error) {
@@ -313,6 +325,7 @@ class HumanPlayClient {
     if (this.io) {
       this.io.emit('level-end', {
         runId: this.runId,
+        ...this.playerTag(),
         score: sso.gameScore,
         winner: sso.gameWinner,
         ticks: sso.gameTick,
@@ -348,11 +361,14 @@ class HumanPlayClient {
     trace.scoreEvents = this.actionHistory
       .filter(e => e.scoreDelta !== 0)
       .map(e => ({ tick: e.tick, action: e.action, scoreDelta: e.scoreDelta }));
-    try {
-      traceStore.saveTrace(trace);
-      console.log(`[HumanPlayClient] Trace saved: ${trace.actionHistory.length} actions, score ${trace.finalScore}`);
-    } catch (err) {
-      console.error('[HumanPlayClient] Failed to save trace:', err.message);
+    // Duel traces would be filed under a single-player game with the same id.
+    if (this.playerId === null) {
+      try {
+        traceStore.saveTrace(trace);
+        console.log(`[HumanPlayClient] Trace saved: ${trace.actionHistory.length} actions, score ${trace.finalScore}`);
+      } catch (err) {
+        console.error('[HumanPlayClient] Failed to save trace:', err.message);
+      }
     }
 
     // Reset per-level state for the next level
@@ -378,6 +394,7 @@ class HumanPlayClient {
       gameName: this.gameName,
       levelId: this.levelCount,
       playerType: 'human',
+      seed: this.seed,
       actionHistory: this.actionHistory,
       finalScore: lastEntry ? lastEntry.score : (this.lastSso ? (this.lastSso.gameScore || 0) : 0)
     };
@@ -416,7 +433,7 @@ class HumanPlayClient {
   emitRunSummary(summary) {
     if (this.io && !this.summaryEmitted) {
       this.summaryEmitted = true;
-      this.io.emit('run-summary', summary);
+      this.io.emit('run-summary', { ...summary, ...this.playerTag() });
       telemetry.track({
         eventFamily: 'evaluation',
         eventType: 'run_summary',
@@ -1,13 +1,27 @@
+const fs = require('fs');
 const net = require('net');
 const { getConfig } = require('./runtime-config');
 const config = getConfig();
-const { buildPrompt, computeAdherence, sanitizeStrategy, GameStateTracker } = require('./state-converter');
-const { parseStructured } = require('./response-parser');
+const {
+  buildPrompt,
+  computeAdherence,
+  sanitizeStrategy,
+  normalizeObservationMode,
+  GameStateTracker
+} = require('./state-converter');
+const { parseStructured, parseEarlyAction } = require('./response-parser');
+const { readCompletionStream } = require('./llm-stream');
+const { parseToolCall, formatToolCalls, supportsTools, ACTION_TOOL_NAME } = require('./tool-protocol');
 const { resolveModel } = require('./models');
+const { isCompletePng } = require('./frame-streamer');
+const { resolveScreenshotPath } = require('./screenshot-path');
 const promptStore = require('./prompt-store');
 const telemetry = require('./telemetry-store');
 const traceStore = require('./play-trace-store');
 const guardrail = require('./usage-guardrail');
+const budgetLedger = require('./budget-ledger');
+const promptExperiments = require('./prompt-experiments');
+const { ConversationMemory, normalizeMemoryMode } = require('./conversation-memory');
 const { getCachedClassification } = require('./game-classifier');
 const {
   DEFAULT_INITIAL_LEVEL_ID,
@@ -19,6 +33,7 @@ const {
 // Macro-action executor tuning. The plan queue is a bridge across LLM latency,
 // not a schedule — it drains deterministically while the next call is in flight.
 const MIN_LLM_INTERVAL_MS = 400;   // provider-protection floor between LLM calls
+const GAME_TICK_RE = /"gameTick":(-?\d+)/;
 const REFILL_QUEUE_THRESHOLD = 1;  // fire the next LLM call when this few steps remain
 const MAX_PLAN_STEPS = 6;          // hard cap on queued steps per plan
 const MAX_PLAN_AGE_TICKS = 30;     // stale-plan safety net
@@ -47,6 +62,39 @@ const NEGATED_DIRECTION_RE = new RegExp(`\\b(?:do\\s+not|don't|dont|never|avoid|
 const POSITIVE_DIRECTION_RE = /\b(?:go|move|turn|head|steer|press|keep|continue)\s+(?:going\s+)?(?:to\s+the\s+)?(left|right|up|down)\b/i;
 const EXACT_DIRECTION_RE = /^\s*(left|right|up|down)\s*[.!?]*\s*$/i;
 
+// Provider errors that mean "this model has no function calling" rather than
+// a failed call; those retry once as plain text instead of failing over. Only
+// request rejections count, and only in the wording providers use for it:
+// Ollama's "<model> does not support tools", OpenRouter's "No endpoints found
+// that support tool use", OpenAI-style "Unrecognized request argument
+// supplied: tools" or "tools is not supported". Any other error that merely
+// mentions tools (a rate limit, a bad schema, a server fault) fails over.
+const TOOLS_UNSUPPORTED_STATUSES = new Set([400, 404, 422]);
+const TOOLS_UNSUPPORTED_RE = /\b(?:does not|doesn't|do not|don't) support (?:tools|tool use|tool calling|function calling)\b|\bno endpoints found that support tool use\b|\b(?:unrecognized request argument|unsupported parameter)\b[^\n]{0,40}\b(?:tools|tool_choice)\b|\b(?:tools|tool_choice|function calling) (?:is|are) not supported\b/i;
+
+function rejectsTools(err) {
+  return TOOLS_UNSUPPORTED_STATUSES.has(err.status) && TOOLS_UNSUPPORTED_RE.test(err.message);
+}
+
+// Vision observation: the frame rides along as an OpenAI-style image part.
+function withFrame(text, frameBase64) {
+  return [
+    { type: 'text', text },
+    { type: 'image_url', image_url: { url: `data:image/png;base64,${frameBase64}` } }
+  ];
+}
+
+// Ollama's native /api/chat wants plain-text content plus a base64 `images`
+// list instead of content parts.
+function toOllamaMessage(message) {
+  if (!Array.isArray(message.content)) return message;
+  const text = message.content.filter(part => part.type === 'text').map(part => part.text).join('\n\n');
+  const images = message.content
+    .filter(part => part.type === 'image_url')
+    .map(part => part.image_url.url.replace(/^data:[^,]*,/, ''));
+  return { ...message, content: text, images };
+}
+
 class LLMClient {
   constructor(options = {}) {
     this.socket = null;
@@ -80,18 +128,32 @@ class LLMClient {
     this.stateTracker = new GameStateTracker();  // Rolling history (was previously never instantiated)
     this.sessionStrategy = null;  // Ephemeral per-session player directive (never persisted)
     this.runLog = [];  // Per-decision log for the end-of-run summary: { tick, action, reason, scoreDelta }
+    this.tickActions = [];  // Every ACT reply sent to the engine: { tick, action }
     this.runStartScore = null;  // Score at the first tick of the run
+    this.runStartedAt = null;  // Wall clock at the first tick of the run, for throughput
     this.lastProvider = null;
     this.lastModelUsed = null;
     this.lastSso = null;
     this.summaryEmitted = false;
-    this.synchronousActions = !!options.synchronousActions;
+    // Headless fast-forward eval: the engine renders no frames and waits on
+    // every decision, so play is synchronous, JSON-only and ASCII-observed.
+    this.headless = !!options.headless;
+    this.synchronousActions = !!options.synchronousActions || this.headless;
     this.actionTimeoutMs = options.actionTimeoutMs || 12000;
     this.maxActions = options.maxActions || null;
-    this.initResponseType = options.initResponseType || (this.synchronousActions ? 'JSON' : 'BOTH');
-    this.actResponseType = options.actResponseType || (this.synchronousActions ? 'JSON' : 'BOTH');
+    this.initResponseType = this.headless ? 'JSON' : options.initResponseType || (this.synchronousActions ? 'JSON' : 'BOTH');
+    this.actResponseType = this.headless ? 'JSON' : options.actResponseType || (this.synchronousActions ? 'JSON' : 'BOTH');
     this.runId = options.runId || null;
+    this.seed = options.seed ?? null;  // engine RNG seed this run was launched with
+    this.responseMode = options.responseMode || null;  // 'tools' | 'text'; overrides the game config
+    this.observationMode = options.observationMode || null;  // 'ascii' | 'image' | 'both'; overrides the game config
+    this.memoryModeOverride = normalizeMemoryMode(options.memoryMode);  // 'stateless' | 'conversation'; overrides the game config
+    this.conversation = null;  // ConversationMemory for the current level, created on first use
+    this.screenshotPath = options.screenshotPath || null;  // the engine worker's PNG; defaults to config.gvgai
+    this.playerId = Number.isInteger(options.playerId) ? options.playerId : null;  // avatar index in a two-player session
+    this.gameContent = options.gameContent || null;  // rules text for games outside the single-player registry
     this.promptConfigOptions = options.promptConfigOptions || {};
+    this.promptExperiment = this.promptConfigOptions.promptExperiment || null;  // A/B variant assigned to this run
     this.preferProviderFallback = !!options.preferProviderFallback;
     this.lastTraceTickLogged = null;
     this.lastTraceScoreLogged = null;
@@ -183,9 +245,12 @@ class LLMClient {
     // Sanitized here so every caller (walk-up + marble run) gets one canonical, fenced-safe value.
     this.sessionStrategy = sanitizeStrategy(sessionStrategy).text;
     this.stateTracker.reset();
+    this.conversation = null;
     this.clearPlan();
     this.runLog = [];
+    this.tickActions = [];
     this.runStartScore = null;
+    this.runStartedAt = null;
     this.lastRunOutcome = null;  // { finalScore, won, topAction, actionCounts } from previous level/run
     this.lastProvider = null;
     this.lastModelUsed = null;
@@ -198,11 +263,17 @@ class LLMClient {
     this.lastPolicyDecisionActionLogged = null;
     this.lastPolicyDecisionScoreLogged = null;
     this.lastLoopBreakTick = -STAGNATION_BREAK_INTERVAL;
-    this.promptConfig = promptStore.resolveGamePromptConfig(this.gameId, this.levelCount, this.promptConfigOptions);
+    this.promptConfig = this.resolvePromptConfig();
     // Ensure gameName is set even when game config doesn't specify it
     if (this.promptConfig && !this.promptConfig.gameName) {
       this.promptConfig.gameName = this.gameName;
     }
+    if (this.promptConfig && this.responseMode) {
+      this.promptConfig.responseMode = this.responseMode;
+    }
+    if (this.promptConfig && this.observationMode) {
+      this.promptConfig.observationMode = this.observationMode;
+    }
 
     return new Promise((resolve, reject) => {
       this.socket = new net.Socket();
@@ -240,9 +311,15 @@ class LLMClient {
           payload: {
             gameName: this.gameName,
             synchronousActions: this.synchronousActions,
+            headless: this.headless,
+            responseMode: this.promptConfig?.codeProtocol?.enabled ? 'code' : this.promptConfig?.responseMode || 'text',
+            observationMode: normalizeObservationMode(this.promptConfig?.observationMode),
             strategy_present: Boolean(this.sessionStrategy),
             archetype: getCachedClassification(this.gameId)?.archetype || null,
-            pace: getCachedClassification(this.gameId)?.pace || null
+            pace: getCachedClassification(this.gameId)?.pace || null,
+            experiment: this.experimentTag(),
+            promptRevisions: this.promptConfig?.promptRevisions || null,
+            memoryMode: this.memoryMode()
           }
         });
         resolve();
@@ -250,6 +327,46 @@ class LLMClient {
     });
   }
 
+  // Two-player games are numbered in examples/all_games_2p.csv, so their ids
+  // collide with the single-player prompt configs. A duel player starts from
+  // the default config and gets its rules from the caller instead.
+  resolvePromptConfig() {
+    if (this.playerId === null) {
+      return promptStore.resolveGamePromptConfig(this.gameId, this.levelCount, this.promptConfigOptions);
+    }
+    return { ...promptStore.defaultPromptConfig(), gameContent: this.gameContent };
+  }
+
+  // 'conversation' replays the level's earlier turns to the model
+  // (conversation-memory.js); 'stateless' sends a fresh prompt every decision.
+  memoryMode() {
+    if (process.env.CONVERSATION_MEMORY_DISABLED === '1') return 'stateless';
+    if (this.memoryModeOverride) return this.memoryModeOverride;
+    return this.promptConfig?.conversationMemory?.enabled ? 'conversation' : 'stateless';
+  }
+
+  conversationMemory() {
+    if (!this.conversation) {
+      this.conversation = new ConversationMemory(this.promptConfig?.conversationMemory || {});
+    }
+    return this.conversation;
+  }
+
+  // { experimentId, variantId } when this run is part of a prompt experiment.
+  experimentTag() {
+    if (!this.promptExperiment) return null;
+    return { experimentId: this.promptExperiment.experimentId, variantId: this.promptExperiment.variantId };
+  }
+
+  // Extra fields for socket events in a two-player session, so the UI can tell
+  // the avatars apart; single-player events stay unchanged.
+  playerTag(sso = null) {
+    if (this.playerId === null) return {};
+    const tag = { playerId: this.playerId };
+    if (sso && Array.isArray(sso.playerScores)) tag.scores = sso.playerScores;
+    return tag;
+  }
+
   handleData(data) {
     this.buffer += data.toString();
 
@@ -352,10 +469,10 @@ class LLMClient {
             if (sso) {
               this.pendingLLMAction = directPolicy.action;
               this.stateTracker.recordSentAction(directPolicy.action, sso.gameTick || 0);
-              this.recordActionDecision(directPolicy.action, sso.gameTick || 0, directPolicy.reason, sso);
+              this.recordActionDecision(directPolicy.action, sso.gameTick || 0, { reason: directPolicy.reason, sso });
               this.emitPolicyDecision(directPolicy, sso);
             }
-            this.sendMessageWithId(msgId, `${directPolicy.action}#${this.actResponseType}`);
+            this.sendActAction(msgId, directPolicy.action, jsonPayload);
             return;
           }
           const sso = this.recordActState(jsonPayload, null);
@@ -372,24 +489,24 @@ class LLMClient {
               }
             }
             this.stateTracker.recordSentAction(action, sso ? sso.gameTick : 0);
-            this.sendMessageWithId(msgId, `${action}#${this.actResponseType}`);
+            this.sendActAction(msgId, action, jsonPayload);
           } catch (error) {
             console.error('[LLMClient] Error in synchronous LLM action:', error.message);
-            this.recordActionDecision('ACTION_NIL', sso ? sso.gameTick : 0, error.message, sso);
-            this.sendMessageWithId(msgId, `ACTION_NIL#${this.actResponseType}`);
+            this.recordActionDecision('ACTION_NIL', sso ? sso.gameTick : 0, { reason: error.message, sso });
+            this.sendActAction(msgId, 'ACTION_NIL', jsonPayload);
           }
           return;
         }
 
         const directPolicy = this.resolveAuthoritativePolicy(jsonPayload);
         if (directPolicy) {
-          this.sendMessageWithId(msgId, `${directPolicy.action}#${this.actResponseType}`);
+          this.sendActAction(msgId, directPolicy.action, jsonPayload);
           setImmediate(() => {
             const sso = this.recordActState(jsonPayload, directPolicy.action);
             if (sso) {
               this.pendingLLMAction = directPolicy.action;
               this.stateTracker.recordSentAction(directPolicy.action, sso.gameTick || 0);
-              this.recordActionDecision(directPolicy.action, sso.gameTick || 0, directPolicy.reason, sso);
+              this.recordActionDecision(directPolicy.action, sso.gameTick || 0, { reason: directPolicy.reason, sso });
               this.emitPolicyDecision(directPolicy, sso);
             }
           });
@@ -405,7 +522,7 @@ class LLMClient {
           ? { action: queuedAction, steering: immediateSteering }
           : this.applySteeringToCandidate(queuedAction, jsonPayload);
         const actionToSend = steeredCandidate.action;
-        this.sendMessageWithId(msgId, `${actionToSend}#${this.actResponseType}`);
+        this.sendActAction(msgId, actionToSend, jsonPayload);
 
         // Async processing after response sent (don't block)
         setImmediate(() => {
@@ -448,6 +565,7 @@ class LLMClient {
       } else if (isEND) {
         try {
           const sso = JSON.parse(jsonPayload);
+          this.lastSso = sso;
           console.log(`[LLMClient] Received msgId=${msgId}, phase: END`);
           await this.handleEnd(sso, msgId);
         } catch (err) {
@@ -471,7 +589,7 @@ class LLMClient {
     this.summaryEmitted = false;
     // Reload prompt config for current level (picks up level-specific progression context)
     if (this.gameId != null) {
-      this.promptConfig = promptStore.resolveGamePromptConfig(this.gameId, this.levelCount, this.promptConfigOptions);
+      this.promptConfig = this.resolvePromptConfig();
       this.configureAsyncCodePlans();
       if (this.promptConfig && !this.promptConfig.gameName) {
         this.promptConfig.gameName = this.gameName;
@@ -484,7 +602,9 @@ class LLMClient {
       runId: this.runId,
       gameId: this.gameId,
       levelId: this.levelCount,
-      modelId: this.model
+      modelId: this.model,
+      // The level's progression template can differ from the session's.
+      payload: { promptRevisions: this.promptConfig?.promptRevisions || null }
     });
     this.sendMessageWithId(msgId, `INIT_DONE#${this.initResponseType}`);
   }
@@ -494,7 +614,10 @@ class LLMClient {
       const sso = JSON.parse(jsonPayload);
       this.lastSso = sso;
       this.stateTracker.recordTick(sso);
-      if (this.runStartScore === null) this.runStartScore = sso.gameScore || 0;
+      if (this.runStartScore === null) {
+        this.runStartScore = sso.gameScore || 0;
+        this.runStartedAt = Date.now();
+      }
       this.recordStateTrace(sso, actionToSend);
       if (this.io) {
         this.io.emit('game-state', {
@@ -505,7 +628,8 @@ class LLMClient {
           tick: sso.gameTick,
           action: actionToSend,
           planStep: this.planStep,
-          planLength: this.planLength
+          planLength: this.planLength,
+          ...this.playerTag(sso)
         });
       }
       return sso;
@@ -915,11 +1039,12 @@ class LLMClient {
     this.lastSteeringDecisionActionLogged = steering.action;
     this.lastProvider = 'steering-direct';
     this.lastModelUsed = this.model;
-    this.recordActionDecision(steering.action, tick, steering.reason, sso);
+    this.recordActionDecision(steering.action, tick, { reason: steering.reason, sso });
 
     if (this.io) {
       this.io.emit('llm-reasoning', {
         runId: this.runId,
+        ...this.playerTag(),
         prompt: '',
         systemPrompt: null,
         promptLayers: null,
@@ -1097,6 +1222,7 @@ class LLMClient {
     if (this.io) {
       this.io.emit('llm-reasoning', {
         runId: this.runId,
+        ...this.playerTag(),
         prompt,
         systemPrompt: decision.systemPrompt,
         promptLayers: decision.promptLayers || null,
@@ -1155,14 +1281,45 @@ class LLMClient {
 
   // Call a single provider's OpenAI-compatible chat endpoint. Returns the response
   // text, or throws on a non-OK status so the caller can trigger the fallback.
-  async callProvider(provider, modelId, messages, settings) {
+  // Returns the reply text. With options.tools (tool-calling response mode)
+  // it returns { content, toolCalls } instead; providers without function
+  // calling, and models that reject the tools field, answer as plain text
+  // with toolCalls: [] so the caller falls back to the text parser.
+  // options.onText(textSoFar) streams a text reply as it generates (see
+  // streamingEnabled); the resolved value is still the complete reply.
+  async callProvider(provider, modelId, messages, settings, options = {}) {
+    if (!options.tools) {
+      const onText = options.onText && this.streamingEnabled() ? options.onText : null;
+      return (await this._requestProvider(provider, modelId, messages, settings, null, onText)).content;
+    }
+    if (supportsTools(provider)) {
+      try {
+        return await this._requestProvider(provider, modelId, messages, settings, options.tools);
+      } catch (err) {
+        if (err.guardrail || !rejectsTools(err)) throw err;
+        console.warn(`[LLMClient] ${provider}/${modelId} rejected tools, retrying as text: ${err.message}`);
+      }
+    }
+    return this._requestProvider(provider, modelId, messages, settings, null);
+  }
+
+  streamingEnabled() {
+    if (process.env.LLM_STREAMING_DISABLED === '1') return false;
+    return config.llm?.streaming !== false;
+  }
+
+  async _requestProvider(provider, modelId, messages, settings, tools, onText = null) {
+    this._admitBudget(provider, modelId);
+
     // Local Ollama thinking models (gemma4 E-series) burn all max_tokens on
     // reasoning and return empty content via the OpenAI-compatible endpoint.
     // Route them through the native /api/chat endpoint with think:false so they
     // produce answer tokens directly — 0.4s instead of 1.5s, and the response
     // parser actually finds an action in the output.
-    if (provider === 'ollama-local' && this._isLocalThinkingModel(modelId)) {
-      return this._callLocalOllamaNative(modelId, messages, settings);
+    // Tool calls on Ollama also go native: its OpenAI-compat endpoint drops them
+    // for several model families.
+    if (provider === 'ollama-local' && (tools || this._isLocalThinkingModel(modelId))) {
+      return this._callLocalOllamaNative(modelId, messages, settings, tools, onText);
     }
 
     let apiUrl;
@@ -1174,6 +1331,14 @@ class LLMClient {
       max_tokens: settings.maxTokens || 200,
       temperature: settings.temperature !== undefined ? settings.temperature : 0.7
     };
+    if (tools) {
+      body.tools = tools;
+      body.tool_choice = { type: 'function', function: { name: ACTION_TOOL_NAME } };
+    }
+    if (onText) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
 
     if (provider === 'ollama-cloud') {
       // Light usage guardrail on the Ollama Cloud key. A blocked call throws a
@@ -1202,8 +1367,8 @@ class LLMClient {
       // burn the OpenAI-compat token budget before emitting content. Route them
       // through the cloud's native /api/chat with think:false — same guardrail
       // accounting as above, since it already ran.
-      if (resolveModel(modelId).reasoning) {
-        return this._callOllamaNative(apiUrl, modelId, messages, settings, headers, 'ollama-cloud');
+      if (tools || resolveModel(modelId).reasoning) {
+        return this._callOllamaNative(apiUrl, modelId, messages, settings, headers, 'ollama-cloud', tools, onText);
       }
     } else if (provider === 'ollama-local') {
       apiUrl = config.ollama.apiUrl;
@@ -1215,6 +1380,9 @@ class LLMClient {
       if (process.env.LEGION_API_KEY) headers['Authorization'] = `Bearer ${process.env.LEGION_API_KEY}`;
     } else { // openrouter
       apiUrl = config.openrouter.apiUrl;
+      // Ask for the billed cost in the usage block so the ledger records real
+      // spend rather than an estimate.
+      body.usage = { include: true };
       if (this.apiKey) {
         headers['Authorization'] = `Bearer ${this.apiKey}`;
         headers['HTTP-Referer'] = 'https://github.com/zmuhls/gvgai';
@@ -1222,34 +1390,50 @@ class LLMClient {
       }
     }
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), this.actionTimeoutMs);
-    let response;
-    try {
-      response = await fetch(apiUrl, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(body),
-        signal: controller.signal
-      });
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`${provider} timed out after ${this.actionTimeoutMs}ms`);
-      }
-      throw error;
-    } finally {
-      clearTimeout(timeout);
-    }
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`${provider} ${response.status}: ${errorText}`);
+    const reply = await this._postCompletion(apiUrl, headers, body, provider, onText, 'sse');
+    if (reply.streamed) {
+      return { content: reply.streamed.content || reply.streamed.reasoning, toolCalls: [] };
     }
 
-    const data = await response.json();
-    const msg = data.choices?.[0]?.message || {};
+    const msg = reply.data.choices?.[0]?.message || {};
     // Fall back to the reasoning field if a reasoning model truncated before content
-    return msg.content || msg.reasoning || '';
+    return {
+      content: msg.content || msg.reasoning || '',
+      toolCalls: Array.isArray(msg.tool_calls) ? msg.tool_calls : []
+    };
+  }
+
+  // Budget ledger caps (lib/budget-ledger.js) apply to every provider. A
+  // refused call throws a guardrail-flagged error, so the route loop moves on
+  // to the next route exactly as it does for the Ollama Cloud guardrail.
+  _admitBudget(provider, modelId) {
+    const verdict = budgetLedger.admit({ provider, modelId, runId: this.runId });
+    if (verdict.allowed) return;
+    telemetry.track({
+      eventFamily: 'system',
+      eventType: 'budget_block',
+      source: 'llm-client',
+      runId: this.runId,
+      gameId: this.gameId,
+      levelId: this.levelCount,
+      modelId,
+      provider,
+      payload: { scope: verdict.scope, message: verdict.reason }
+    });
+    const budgetErr = new Error(`${provider} budget: ${verdict.reason}`);
+    budgetErr.guardrail = true;
+    budgetErr.budget = true;
+    throw budgetErr;
+  }
+
+  _recordBudget(provider, modelId, reply) {
+    budgetLedger.record({
+      provider,
+      modelId,
+      runId: this.runId,
+      source: 'llm-client',
+      usage: budgetLedger.usageFromResponse(reply.streamed || reply.data)
+    });
   }
 
   // Local Ollama models that use thinking/reasoning tokens by default (gemma4
@@ -1260,39 +1444,69 @@ class LLMClient {
   }
 
   // Call the native Ollama /api/chat endpoint (not OpenAI-compatible) with
-  // think:false to suppress reasoning tokens. Returns the message content.
-  async _callLocalOllamaNative(modelId, messages, settings) {
+  // think:false to suppress reasoning tokens. Returns { content, toolCalls }.
+  async _callLocalOllamaNative(modelId, messages, settings, tools = null, onText = null) {
     return this._callOllamaNative(config.ollama.apiUrl, modelId, messages, settings,
-      { 'Content-Type': 'application/json' }, 'ollama-local');
+      { 'Content-Type': 'application/json' }, 'ollama-local', tools, onText);
   }
 
   // Shared native-endpoint caller for local and cloud Ollama. `openAiUrl` is
   // the provider's OpenAI-compat URL; the native /api/chat lives on the same
   // host. Headers carry cloud auth when present.
-  async _callOllamaNative(openAiUrl, modelId, messages, settings, headers, providerLabel) {
+  async _callOllamaNative(openAiUrl, modelId, messages, settings, headers, providerLabel, tools = null, onText = null) {
     const baseUrl = openAiUrl.replace(/\/v1\/chat\/completions$/, '');
     const apiUrl = `${baseUrl}/api/chat`;
     const body = {
       model: modelId,
-      messages,
-      stream: false,
+      messages: messages.map(toOllamaMessage),
+      stream: Boolean(onText),
       think: false,
       options: {
         num_predict: settings.maxTokens || 200,
         temperature: settings.temperature !== undefined ? settings.temperature : 0.7
       }
     };
+    if (tools) body.tools = tools;
+
+    const reply = await this._postCompletion(apiUrl, headers, body, providerLabel, onText, 'ndjson');
+    if (reply.streamed) return { content: reply.streamed.content, toolCalls: [] };
+
+    const data = reply.data;
+    return {
+      content: data.message?.content || '',
+      toolCalls: Array.isArray(data.message?.tool_calls) ? data.message.tool_calls : []
+    };
+  }
 
+  // POST one completion under the action timeout. With onText the reply is read
+  // as a stream (SSE or Ollama NDJSON) and the timeout covers the whole body,
+  // not just the response headers. Returns { data } or { streamed }.
+  async _postCompletion(apiUrl, headers, body, providerLabel, onText, streamFormat) {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), this.actionTimeoutMs);
-    let response;
     try {
-      response = await fetch(apiUrl, {
+      const response = await fetch(apiUrl, {
         method: 'POST',
         headers,
         body: JSON.stringify(body),
         signal: controller.signal
       });
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`${providerLabel} ${response.status}: ${errorText}`);
+        error.status = response.status;
+        throw error;
+      }
+      // A route that ignores stream:true answers with one JSON body instead.
+      const contentType = response.headers?.get?.('content-type') || '';
+      if (onText && response.body && !contentType.includes('application/json')) {
+        const reply = { streamed: await readCompletionStream(response, { format: streamFormat, providerLabel, onText }) };
+        this._recordBudget(providerLabel, body.model, reply);
+        return reply;
+      }
+      const reply = { data: await response.json() };
+      this._recordBudget(providerLabel, body.model, reply);
+      return reply;
     } catch (error) {
       if (error.name === 'AbortError') {
         throw new Error(`${providerLabel} timed out after ${this.actionTimeoutMs}ms`);
@@ -1301,28 +1515,60 @@ class LLMClient {
     } finally {
       clearTimeout(timeout);
     }
+  }
+
+  // Early commit only applies to async play, and only when the parsed action
+  // is final: plans, authoritative code policies and steering directives all
+  // rewrite it after the full reply arrives, and sync play holds the engine
+  // until then anyway.
+  canCommitEarly(responseMode, policyAuthoritative, codePlanEnabled) {
+    if (this.synchronousActions || responseMode === 'tools') return false;
+    if (policyAuthoritative || codePlanEnabled) return false;
+    if (this.macroEnabled() && responseMode !== 'code') return false;
+    return !this.parseDirectionalStrategy();
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`${providerLabel} ${response.status}: ${errorText}`);
+  // Latest complete engine frame as base64, or null. The engine rewrites its
+  // PNG every tick, so a read can land mid-write; a torn file is skipped
+  // rather than sent to the model. Read synchronously: the frame is a few KB
+  // and the decision path stays free of extra awaits before the provider call.
+  loadObservationFrame() {
+    const screenshotPath = this.screenshotPath || resolveScreenshotPath(config.gvgai);
+    try {
+      const buffer = fs.readFileSync(screenshotPath);
+      return isCompletePng(buffer) ? buffer.toString('base64') : null;
+    } catch {
+      return null;
     }
+  }
 
-    const data = await response.json();
-    return data.message?.content || '';
+  // The observation this decision actually uses. image/both need a model
+  // flagged vision:true and a complete frame; anything else sends ASCII.
+  resolveObservation() {
+    const requested = normalizeObservationMode(this.promptConfig?.observationMode);
+    if (requested === 'ascii' || this.headless || this.promptConfig?.codeProtocol?.enabled) return { mode: 'ascii', frame: null };
+    if (!resolveModel(this.model).vision) return { mode: 'ascii', frame: null };
+    const frame = this.loadObservationFrame();
+    return frame ? { mode: requested, frame } : { mode: 'ascii', frame: null };
   }
 
   async requestLLMAction(jsonPayload) {
     const sso = JSON.parse(jsonPayload);
+    const observation = this.resolveObservation();
+    const promptConfig = this.promptConfig
+      ? { ...this.promptConfig, observationMode: observation.mode }
+      : this.promptConfig;
     const {
       systemMessage,
       userMessage,
       promptLayers,
       actionCodeMap,
       responseMode,
+      tools,
       fallbackAction,
       fallbackActionCode,
       policyAuthoritative
-    } = buildPrompt(sso, this.promptConfig, this.stateTracker, this.sessionStrategy);
+    } = buildPrompt(sso, promptConfig, this.stateTracker, this.sessionStrategy);
     const prompt = userMessage;
     const strategyRevisionAtStart = this.strategyRevision;
     const strategyAtStart = this.sessionStrategy;
@@ -1340,12 +1586,26 @@ class LLMClient {
       }
     }
 
-    const messages = [];
-    if (systemMessage) {
-      messages.push({ role: 'system', content: systemMessage });
+    // Conversation mode replays this level's earlier turns before the new
+    // observation; the stored turns are text, so only this one carries a frame.
+    const conversation = this.memoryMode() === 'conversation' ? this.conversationMemory() : null;
+    if (conversation) conversation.settle(sso);
+    const baseContent = [outcomeContext, userMessage].filter(Boolean).join('\n\n');
+    const userContent = conversation ? conversation.userContent(baseContent) : baseContent;
+    const sentContent = observation.frame ? withFrame(userContent, observation.frame) : userContent;
+    let messages;
+    // What this prompt replays (turns, summarized turns, estimated tokens).
+    let conversationStats;
+    if (conversation) {
+      messages = conversation.buildMessages(systemMessage, userContent, sentContent);
+      conversationStats = conversation.stats();
+    } else {
+      messages = [];
+      if (systemMessage) {
+        messages.push({ role: 'system', content: systemMessage });
+      }
+      messages.push({ role: 'user', content: sentContent });
     }
-    const userContent = [outcomeContext, userMessage].filter(Boolean).join('\n\n');
-    messages.push({ role: 'user', content: userContent });
 
     const settings = { ...(this.promptConfig?.llmSettings || {}) };
     if (responseMode === 'code') {
@@ -1356,6 +1616,13 @@ class LLMClient {
         settings.maxTokens = tokenLimit;
       }
     }
+    const codePlanSteps = responseMode === 'code'
+      ? Number(this.promptConfig?.codeProtocol?.planSteps || 1)
+      : 1;
+    const codePlanEnabled = codePlanSteps > 1;
+    const maxPlanSteps = codePlanEnabled
+      ? Math.min(codePlanSteps, MAX_PLAN_STEPS)
+      : this.promptConfig?.macroActions?.maxSteps || MAX_PLAN_STEPS;
     const resolved = resolveModel(this.model);
     const startTime = Date.now();
     let llmResponse;
@@ -1363,6 +1630,21 @@ class LLMClient {
     let usedModel = resolved.id;
     const routes = this.buildProviderRoutes(resolved);
 
+    // Early commit: while the reply streams in, hand the executor the action
+    // the moment it can no longer change, so the ticks spent generating the
+    // rationale already play it. The full reply is still parsed below.
+    let earlyCommit = null;
+    const onText = this.canCommitEarly(responseMode, policyAuthoritative, codePlanEnabled)
+      ? (text) => {
+        if (earlyCommit || strategyRevisionAtStart !== this.strategyRevision) return;
+        const early = parseEarlyAction(text, sso.availableActions || [], actionCodeMap);
+        if (!early) return;
+        earlyCommit = { ...early, elapsedMs: Date.now() - startTime };
+        this.pendingLLMAction = early.action;
+        this.armDirectionPulse(early.action);
+      }
+      : null;
+
     for (let index = 0; index < routes.length; index++) {
       const route = routes[index];
       const nextRoute = routes[index + 1] || null;
@@ -1370,7 +1652,8 @@ class LLMClient {
       usedModel = route.modelId;
 
       try {
-        llmResponse = await this.callProvider(route.provider, route.modelId, messages, settings);
+        llmResponse = await this.callProvider(route.provider, route.modelId, messages, settings,
+          responseMode === 'tools' ? { tools } : { onText });
         if (index > 0) {
           console.log(`[LLMClient] Fell back to ${route.provider}/${route.modelId}`);
         }
@@ -1407,6 +1690,11 @@ class LLMClient {
     if (llmResponse === undefined) {
       throw new Error('provider fallback chain produced no response');
     }
+    let toolCalls = [];
+    if (responseMode === 'tools') {
+      toolCalls = llmResponse.toolCalls;
+      llmResponse = llmResponse.content || formatToolCalls(toolCalls);
+    }
 
     const elapsed = Date.now() - startTime;
     if (strategyRevisionAtStart !== this.strategyRevision || strategyAtStart !== this.sessionStrategy) {
@@ -1422,14 +1710,23 @@ class LLMClient {
       };
     }
 
-    const codePlanSteps = responseMode === 'code'
-      ? Number(this.promptConfig?.codeProtocol?.planSteps || 1)
-      : 1;
-    const codePlanEnabled = codePlanSteps > 1;
-    const maxPlanSteps = codePlanEnabled
-      ? Math.min(codePlanSteps, MAX_PLAN_STEPS)
-      : this.promptConfig?.macroActions?.maxSteps || MAX_PLAN_STEPS;
-    const parsed = parseStructured(llmResponse, sso.availableActions, actionCodeMap, { maxPlanSteps });
+    // Tool mode reads the structured call first; a reply without a usable call
+    // goes through the text parser like any other response.
+    const toolParsed = responseMode === 'tools'
+      ? parseToolCall(toolCalls, sso.availableActions, { maxPlanSteps, actionCodeMap })
+      : null;
+    let parsed = toolParsed || parseStructured(llmResponse, sso.availableActions, actionCodeMap, { maxPlanSteps });
+    // A streamed action line that is already playing stays the decision unless
+    // a later ACTION: line replaced it; prose after the line ("...away from
+    // the right column") must not flip it through the bare-word scan.
+    if (earlyCommit && !toolParsed) {
+      const finalLine = parseEarlyAction(`${llmResponse}\n`, sso.availableActions || [], actionCodeMap);
+      if (finalLine && finalLine.source === 'stream-action-line' && finalLine.action !== parsed.action) {
+        parsed = { ...parsed, action: finalLine.action, plan: [finalLine.action], valid: true, source: finalLine.source };
+      }
+    }
+    // Which protocol actually produced this decision (adherence comparisons).
+    const decisionMode = responseMode === 'code' ? 'code' : (toolParsed ? 'tools' : 'text');
     let { action, reason } = parsed;
     let decisionSource = parsed.source || 'unknown';
     const trustedCodeParse = !responseMode || responseMode !== 'code' || [
@@ -1475,7 +1772,8 @@ class LLMClient {
     this.lastProvider = steering.steering ? 'steering-direct' : usedProvider;
     this.lastModelUsed = usedModel;
     this.pendingLLMAction = action;
-    this.armDirectionPulse(action);
+    // An early-committed action is already playing; re-arming would pulse it twice.
+    if (!earlyCommit || earlyCommit.action !== action) this.armDirectionPulse(action);
 
     if ((this.macroEnabled() && responseMode !== 'code') || codePlanEnabled) {
       this.setPlan(planActions, sso);
@@ -1483,7 +1781,18 @@ class LLMClient {
     const aliases = this.promptConfig?.actionAliases || null;
     const displayPlan = aliases ? planActions.map(a => aliases[a] || a) : planActions;
 
-    this.recordActionDecision(action, sso.gameTick, reason, sso);
+    // A steering override keeps the model's own pick: preference data uses it
+    // as the rejected side (scripts/prepare-finetune-data.js).
+    const overriddenAction = steering.steering && parsed.valid !== false && parsed.action !== action ? parsed.action : null;
+    this.recordActionDecision(action, sso.gameTick, {
+      reason,
+      sso,
+      decisionMode,
+      observationMode: observation.mode,
+      parseValid: parsed.valid !== false,
+      overriddenAction
+    });
+    if (conversation) conversation.recordTurn({ sso, user: userContent, reply: llmResponse, action });
 
     console.log(`[LLMClient] LLM completed (${elapsed}ms): ${action}${reason ? ' — ' + reason : ''}`);
 
@@ -1508,9 +1817,15 @@ class LLMClient {
         fallbackActionCode,
         modelUsed: usedModel,
         responseMode: responseMode || 'text',
+        decisionMode,
+        observationMode: observation.mode,
+        toolCallCount: toolCalls.length,
+        earlyCommit,
         plan: planActions,
         planLength: planActions.length,
         planSource: parsed.planSource || 'single-action',
+        memoryMode: conversation ? 'conversation' : 'stateless',
+        conversation: conversationStats,
         strategy_present: Boolean(this.sessionStrategy),
         prompt: storeRawText ? prompt : undefined,
         systemPrompt: storeRawText ? systemMessage || null : undefined,
@@ -1520,8 +1835,11 @@ class LLMClient {
         prompt_chars: prompt.length,
         system_prompt_chars: systemMessage ? systemMessage.length : 0,
         action_code_count: actionCodeMap ? Object.keys(actionCodeMap).length : 0,
+        message_count: messages.length,
         parse_valid: parsed.valid === false ? 0 : 1,
         response_chars: llmResponse.length,
+        frame_bytes: observation.frame ? Math.floor(observation.frame.length * 3 / 4) : undefined,
+        early_commit_ms: earlyCommit ? earlyCommit.elapsedMs : undefined,
         tick: sso.gameTick || 0,
         score: sso.gameScore || 0
       }
@@ -1530,6 +1848,7 @@ class LLMClient {
     if (this.io) {
       this.io.emit('llm-reasoning', {
         runId: this.runId,
+        ...this.playerTag(),
         prompt,
         systemPrompt: systemMessage || null,
         promptLayers: promptLayers || null,
@@ -1537,6 +1856,8 @@ class LLMClient {
         reason,
         decisionSource,
         parsedAction: parsed.action,
+        decisionMode,
+        observationMode: observation.mode,
         policyAuthoritative: Boolean(policyAuthoritative),
         fallbackAction,
         fallbackActionCode,
@@ -1545,6 +1866,7 @@ class LLMClient {
         plan: displayPlan,
         planLength: planActions.length,
         elapsed,
+        earlyCommitMs: earlyCommit ? earlyCommit.elapsedMs : null,
         provider: steering.steering ? 'steering-direct' : usedProvider,
         modelUsed: usedModel,
         lastRunOutcome: this.lastRunOutcome || null,
@@ -1559,13 +1881,27 @@ class LLMClient {
     return { action, reason, decisionSource, elapsed, provider: steering.steering ? 'steering-direct' : usedProvider, modelUsed: usedModel };
   }
 
-  recordActionDecision(action, tick, reason = '', sso = null) {
+  // options: { reason, sso, decisionMode, observationMode, parseValid,
+  // overriddenAction }; everything but the action and tick is optional.
+  recordActionDecision(action, tick, options = {}) {
+    const {
+      reason = '',
+      sso = null,
+      decisionMode = null,
+      observationMode = null,
+      parseValid = true,
+      overriddenAction = null
+    } = options;
     this.stateTracker.recordAction(action, tick);
     const lastDelta = this.stateTracker.actionHistory[this.stateTracker.actionHistory.length - 1];
     this.runLog.push({
       tick,
       action,
       reason,
+      decisionMode,
+      observationMode,
+      parseValid,
+      overriddenAction,
       scoreDelta: lastDelta ? lastDelta.scoreDelta : 0,
       sso: traceStore.pruneSsoForTrace(sso)
     });
@@ -1604,6 +1940,7 @@ class LLMClient {
     if (this.io) {
       this.io.emit('level-end', {
         runId: this.runId,
+        ...this.playerTag(),
         score: sso.gameScore,
         winner: sso.gameWinner,
         ticks: sso.gameTick,
@@ -1638,11 +1975,17 @@ class LLMClient {
       levelId: completedLevel,
       playerType: 'llm',
       modelId: this.model,
+      seed: this.seed,
       strategy: this.sessionStrategy,
+      experiment: this.experimentTag(),
+      promptRevisions: this.promptConfig?.promptRevisions || null,
+      tickActions: this.tickActions,
       actionHistory: this.runLog.map(e => ({
         tick: e.tick,
         action: e.action,
         scoreDelta: e.scoreDelta,
+        parseValid: e.parseValid,
+        overriddenAction: e.overriddenAction || null,
         sso: e.sso || null
       })),
       finalScore: sso.gameScore || 0,
@@ -1653,10 +1996,13 @@ class LLMClient {
         .filter(e => e.scoreDelta !== 0)
         .map(e => ({ tick: e.tick, action: e.action, scoreDelta: e.scoreDelta }))
     };
-    try {
-      traceStore.saveTrace(llmTrace);
-    } catch (err) {
-      console.error('[LLMClient] Failed to save trace:', err.message);
+    // Duel traces would be filed under a single-player game with the same id.
+    if (this.playerId === null) {
+      try {
+        traceStore.saveTrace(llmTrace);
+      } catch (err) {
+        console.error('[LLMClient] Failed to save trace:', err.message);
+      }
     }
 
     // Store the outcome for the next run's prompt (cross-run learning signal)
@@ -1677,8 +2023,12 @@ class LLMClient {
 
     // Reset run accumulation + history for the next level
     this.runLog = [];
+    this.tickActions = [];
     this.runStartScore = null;
+    this.runStartedAt = null;
     this.stateTracker.reset();
+    // Conversation memory never carries across a level boundary.
+    if (this.conversation) this.conversation.reset();
 
     if (!progression.finished && progression.nextLevelId !== null) {
       this.levelCount = progression.nextLevelId;
@@ -1716,6 +2066,19 @@ class LLMClient {
       .sort((a, b) => a.tick - b.tick)
       .map(e => ({ tick: e.tick, action: e.action, reason: e.reason, scoreDelta: e.scoreDelta }));
 
+    // Model decisions per response protocol ('tools' | 'text' | 'code'), so a
+    // tool-mode run shows how often it fell back to the text parser.
+    const decisionModes = {};
+    // Same for the observation actually sent ('image' falls back to 'ascii'
+    // on ticks without a complete frame).
+    const observationModes = {};
+    for (const entry of this.runLog) {
+      if (entry.decisionMode) decisionModes[entry.decisionMode] = (decisionModes[entry.decisionMode] || 0) + 1;
+      if (entry.observationMode) {
+        observationModes[entry.observationMode] = (observationModes[entry.observationMode] || 0) + 1;
+      }
+    }
+
     return {
       runId: this.runId,
       strategy: this.sessionStrategy,
@@ -1726,17 +2089,40 @@ class LLMClient {
       won,
       ticks: sso.gameTick || 0,
       decisions: this.runLog.length,
+      // Model replies no action could be parsed from (the run fell back).
+      invalidDecisions: this.runLog.filter(entry => entry.parseValid === false).length,
       actions: this.runLog.map(entry => entry.action),
       level: this.levelCount,
       adherence,
+      decisionModes,
+      observationModes,
+      experiment: this.experimentTag(),
+      promptRevisions: this.promptConfig?.promptRevisions || null,
+      memoryMode: this.memoryMode(),
+      headless: this.headless,
+      throughput: this.throughput(sso),
       highlights
     };
   }
 
+  // Wall-clock vs engine-tick pace of the run so far: how long the level took
+  // in real time and how many engine ticks and decisions that bought.
+  throughput(sso) {
+    const wallClockMs = this.runStartedAt === null ? 0 : Math.max(0, Date.now() - this.runStartedAt);
+    const ticks = sso.gameTick || 0;
+    const perSecond = count => (wallClockMs > 0 ? Math.round((count * 10000) / wallClockMs) / 10 : null);
+    return {
+      wallClockMs,
+      ticks,
+      ticksPerSecond: perSecond(ticks),
+      decisionsPerSecond: perSecond(this.runLog.length)
+    };
+  }
+
   emitRunSummary(summary) {
     if (this.io && !this.summaryEmitted) {
       this.summaryEmitted = true;
-      this.io.emit('run-summary', summary);
+      this.io.emit('run-summary', { ...summary, ...this.playerTag() });
       telemetry.track({
         eventFamily: 'evaluation',
         eventType: 'run_summary',
@@ -1752,14 +2138,30 @@ class LLMClient {
           won: summary.won,
           actions: summary.actions,
           adherence: summary.adherence,
+          decisionModes: summary.decisionModes,
+          observationModes: summary.observationModes,
+          experiment: summary.experiment,
+          promptRevisions: summary.promptRevisions,
+          memoryMode: summary.memoryMode,
+          headless: summary.headless,
           highlights: summary.highlights
         },
         metrics: {
           final_score: summary.finalScore,
           ticks: summary.ticks,
-          decisions: summary.decisions
+          decisions: summary.decisions,
+          invalid_decisions: summary.invalidDecisions,
+          wall_clock_ms: summary.throughput.wallClockMs,
+          ticks_per_second: summary.throughput.ticksPerSecond
         }
       });
+      if (this.promptExperiment) {
+        try {
+          promptExperiments.recordOutcome(this.promptExperiment, summary, { gameId: this.gameId, modelId: this.model });
+        } catch (err) {
+          console.error('[LLMClient] Failed to record experiment outcome:', err.message);
+        }
+      }
     }
   }
 
@@ -1776,6 +2178,17 @@ class LLMClient {
     this.emitRunSummary(summary);
   }
 
+  // Replies to an ACT and logs the action against its tick. Async runs act
+  // from the plan queue and steering between logged decisions, so replays
+  // need every reply, not just the decisions.
+  sendActAction(msgId, action, jsonPayload) {
+    const match = GAME_TICK_RE.exec(jsonPayload);
+    const previous = this.tickActions[this.tickActions.length - 1];
+    const tick = match ? Number.parseInt(match[1], 10) : (previous ? previous.tick + 1 : 0);
+    this.tickActions.push({ tick, action });
+    this.sendMessageWithId(msgId, `${action}#${this.actResponseType}`);
+  }
+
   sendMessageWithId(msgId, msg) {
     if (this.socket && !this.socket.destroyed) {
       const message = `${msgId}#${msg}\n`;
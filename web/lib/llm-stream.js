@@ -0,0 +1,75 @@
+// Incremental reader for streamed chat completions. OpenAI-compatible routes
+// (OpenRouter, Ollama's /v1 endpoint, vLLM) send SSE `data:` events carrying
+// choices[0].delta; Ollama's native /api/chat sends one JSON object per line.
+// Both are folded into the same { content, reasoning } shape as the buffered
+// calls, with onText(contentSoFar) fired after every content delta so the
+// caller can commit an action before the rationale finishes generating. The
+// usage block (OpenAI-style final chunk, or Ollama's closing done line) is
+// kept as `usage` for the budget ledger.
+
+function streamError(payload, providerLabel) {
+  const detail = typeof payload.error === 'string'
+    ? payload.error
+    : payload.error?.message || JSON.stringify(payload.error);
+  return new Error(`${providerLabel} stream error: ${detail}`);
+}
+
+// Returns the delta text for one event line, or null for comments, keep-alives
+// and the [DONE] sentinel.
+function readSseLine(line, providerLabel) {
+  if (!line.startsWith('data:')) return null;
+  const data = line.slice('data:'.length).trim();
+  if (!data || data === '[DONE]') return null;
+  const payload = JSON.parse(data);
+  if (payload.error) throw streamError(payload, providerLabel);
+  const delta = payload.choices?.[0]?.delta || {};
+  return { content: delta.content || '', reasoning: delta.reasoning || '', usage: payload.usage || null };
+}
+
+function readNdjsonLine(line, providerLabel) {
+  const payload = JSON.parse(line);
+  if (payload.error) throw streamError(payload, providerLabel);
+  const usage = payload.done
+    ? { prompt_tokens: payload.prompt_eval_count, completion_tokens: payload.eval_count }
+    : null;
+  return { content: payload.message?.content || '', reasoning: payload.message?.thinking || '', usage };
+}
+
+async function readCompletionStream(response, options = {}) {
+  const format = options.format === 'ndjson' ? 'ndjson' : 'sse';
+  const providerLabel = options.providerLabel || 'provider';
+  const readLine = format === 'ndjson' ? readNdjsonLine : readSseLine;
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let reasoning = '';
+  let usage = null;
+
+  const consume = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith(':')) return;
+    const delta = readLine(trimmed, providerLabel);
+    if (!delta) return;
+    if (delta.usage) usage = delta.usage;
+    reasoning += delta.reasoning;
+    if (delta.content) {
+      content += delta.content;
+      if (options.onText) options.onText(content);
+    }
+  };
+
+  for await (const chunk of response.body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) consume(line);
+  }
+  buffer += decoder.decode();
+  if (buffer) consume(buffer);
+
+  return { content, reasoning, usage };
+}
+
+module.exports = {
+  readCompletionStream
+};
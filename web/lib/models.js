@@ -5,6 +5,9 @@
 // compatible slug. The featured set intentionally spans vendors so the marquee
 // does not become a Gemma-only loop.
 //
+// `vision: true` marks models that accept image content parts; only those get
+// the rendered frame when a game's observationMode asks for it.
+//
 // NOTE: confirm exact Ollama Cloud tags and OpenRouter slugs near the event —
 // a stale id 404s at call time (surfaced via the 'llm-error' socket event), and
 // for Ollama-primary models the fallback simply takes over. Fallback slugs
@@ -14,19 +17,19 @@ const MODELS = [
   // --- Gemma 3 (Google) ---
   {
     id: 'gemma3:4b', name: 'Gemma 3 4B',
-    provider: 'ollama-cloud', fallback: null,
+    provider: 'ollama-cloud', fallback: null, vision: true,
     description: 'Open-weight · compact Gemma 3, low cloud usage',
     speed: 'fast', cost: 'low', featured: false
   },
   {
     id: 'gemma3:12b', name: 'Gemma 3 12B',
-    provider: 'ollama-cloud', fallback: null,
+    provider: 'ollama-cloud', fallback: null, vision: true,
     description: 'Open-weight · mid-size Gemma 3, low cloud usage',
     speed: 'fast', cost: 'low', featured: false
   },
   {
     id: 'gemma3:27b', name: 'Gemma 3 27B',
-    provider: 'ollama-cloud', fallback: 'google/gemma-3-27b-it',
+    provider: 'ollama-cloud', fallback: 'google/gemma-3-27b-it', vision: true,
     description: 'Open-weight · flagship small Gemma, non-reasoning',
     speed: 'fast', cost: 'low', featured: true
   },
@@ -40,19 +43,19 @@ const MODELS = [
   // --- Ministral (Mistral) ---
   {
     id: 'ministral-3:14b', name: 'Ministral 3 14B',
-    provider: 'ollama-cloud', fallback: 'mistralai/ministral-14b-2512',
+    provider: 'ollama-cloud', fallback: 'mistralai/ministral-14b-2512', vision: true,
     description: 'Open-weight · compact Mistral family model, non-reasoning',
     speed: 'fast', cost: 'low', featured: true
   },
   {
     id: 'ministral-3:8b', name: 'Ministral 3 8B',
-    provider: 'ollama-cloud', fallback: 'mistralai/ministral-8b-2512',
+    provider: 'ollama-cloud', fallback: 'mistralai/ministral-8b-2512', vision: true,
     description: 'Open-weight · smaller Mistral family model, non-reasoning',
     speed: 'fast', cost: 'low', featured: true
   },
   {
     id: 'ministral-3:3b', name: 'Ministral 3 3B',
-    provider: 'ollama-cloud', fallback: 'mistralai/ministral-3b-2512',
+    provider: 'ollama-cloud', fallback: 'mistralai/ministral-3b-2512', vision: true,
     description: 'Open-weight · smallest stated Mistral family model, non-reasoning',
     speed: 'fast', cost: 'low', featured: false
   },
@@ -107,12 +110,61 @@ const MODELS = [
   },
   {
     id: 'gemma4:31b', name: 'Gemma 4 31B',
-    provider: 'ollama-cloud', fallback: null, reasoning: true,
+    provider: 'ollama-cloud', fallback: null, reasoning: true, vision: true,
     description: 'Open-weight · Google multimodal reasoner with configurable thinking',
     speed: 'fast', cost: 'high', featured: false
   }
 ];
 
+// --- Classical baselines (the engine's sample controllers) ---
+//
+// Pseudo-models that eval plans can schedule next to the LLMs so every score
+// has a reference point. They are not LLMs: runEvalCase hands them to
+// baseline-agents, which plays the level headless in Java with the named
+// controller under the engine's usual 40ms-per-move budget. Kept out of
+// getAllModels so the walk-up picker never offers them.
+
+const BASELINE_PREFIX = 'baseline:';
+
+const BASELINE_MODELS = [
+  {
+    id: 'baseline:random', name: 'Random (baseline)',
+    agentClass: 'tracks.singlePlayer.simple.sampleRandom.Agent',
+    description: 'Baseline · uniformly random legal moves'
+  },
+  {
+    id: 'baseline:onestep', name: 'One-step lookahead (baseline)',
+    agentClass: 'tracks.singlePlayer.simple.sampleonesteplookahead.Agent',
+    description: 'Baseline · greedy one-step forward-model lookahead'
+  },
+  {
+    id: 'baseline:mcts', name: 'MCTS (baseline)',
+    agentClass: 'tracks.singlePlayer.advanced.sampleMCTS.Agent',
+    description: 'Baseline · sample Monte Carlo tree search'
+  },
+  {
+    id: 'baseline:rhea', name: 'RHEA (baseline)',
+    agentClass: 'tracks.singlePlayer.advanced.sampleRHEA.Agent',
+    description: 'Baseline · rolling horizon evolutionary search'
+  },
+  {
+    id: 'baseline:olets', name: 'OLETS (baseline)',
+    agentClass: 'tracks.singlePlayer.advanced.olets.Agent',
+    description: 'Baseline · open-loop expectimax tree search (GVGAI 2014 winner)'
+  }
+].map(model => ({
+  ...model,
+  provider: 'baseline', fallback: null, baseline: true,
+  speed: 'fast', cost: 'free', featured: false
+}));
+
+// The default set plans add with baselines: true: a floor and two searches.
+const DEFAULT_BASELINE_IDS = ['baseline:random', 'baseline:onestep', 'baseline:mcts'];
+
+function isBaselineModel(id) {
+  return typeof id === 'string' && id.startsWith(BASELINE_PREFIX);
+}
+
 // --- Fine-tuned model registry (written by scripts/finetune.py) ---
 //
 // Registry entries become ollama-local catalog entries at read time. The file
@@ -169,16 +221,19 @@ function loadFinetunedModels() {
       gameId: e.gameId ?? null,
       gameName: e.gameName ?? null,
       baseModel: e.baseModel ?? null,
-      dryRun: Boolean(e.dryRun)
+      vision: Boolean(e.vision),
+      dryRun: Boolean(e.dryRun),
+      hidden: Boolean(e.hidden)
     }));
   registryCache = { path: filePath, mtimeMs, models };
   return models;
 }
 
 // Built-in catalog + fine-tuned registry models (id collisions keep the built-in).
+// Hidden fine-tunes (failed the promotion gate) stay resolvable by id.
 function getAllModels() {
   const fineTuned = loadFinetunedModels()
-    .filter(ft => !MODELS.some(m => m.id === ft.id));
+    .filter(ft => !ft.hidden && !MODELS.some(m => m.id === ft.id));
   return [...MODELS, ...fineTuned];
 }
 
@@ -187,7 +242,7 @@ function getAllModels() {
 // inference below would send them to Ollama Cloud, which has no such tag.
 // Inference: a '/' means an OpenRouter slug; otherwise treat as an Ollama Cloud tag.
 function resolveModel(id) {
-  const found = MODELS.find(m => m.id === id);
+  const found = MODELS.find(m => m.id === id) || BASELINE_MODELS.find(m => m.id === id);
   if (found) return found;
   const fineTuned = loadFinetunedModels().find(m => m.id === id);
   if (fineTuned) return fineTuned;
@@ -195,4 +250,13 @@ function resolveModel(id) {
   return { id, provider: 'ollama-cloud', fallback: null };
 }
 
-module.exports = { MODELS, resolveModel, getAllModels, loadFinetunedModels, invalidateFinetunedCache };
+module.exports = {
+  MODELS,
+  BASELINE_MODELS,
+  DEFAULT_BASELINE_IDS,
+  isBaselineModel,
+  resolveModel,
+  getAllModels,
+  loadFinetunedModels,
+  invalidateFinetunedCache
+};
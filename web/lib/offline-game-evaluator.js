@@ -299,6 +299,7 @@ async function runOfflineEvalCase(evalCase) {
     gameId: evalCase.gameId,
     gameName: evalCase.gameName,
     levelId: evalCase.levelId,
+    heldOut: evalCase.heldOut === true,
     modelId: evalCase.modelId,
     modelName: evalCase.modelName,
     provider: 'offline',
@@ -330,6 +331,7 @@ async function runOllamaOfflineEvalCase(evalCase, options = {}) {
     gameId: evalCase.gameId,
     gameName: evalCase.gameName,
     levelId: evalCase.levelId,
+    heldOut: evalCase.heldOut === true,
     modelId: evalCase.modelId,
     modelName: evalCase.modelName,
     provider: 'ollama-local',
@@ -104,6 +104,8 @@ function summarizeTrace(trace) {
     levelId: trace.levelId,
     playerType: trace.playerType,
     modelId: trace.modelId ?? null,
+    seed: trace.seed ?? null,
+    experiment: trace.experiment ?? null,
     finalScore: trace.finalScore,
     won: trace.won,
     ticks: trace.ticks,
@@ -122,13 +124,22 @@ function saveTrace(trace) {
     levelId: trace.levelId,
     playerType: trace.playerType,
     modelId: trace.modelId ?? null,
+    // Engine RNG seed the run was launched with (null for pre-seed traces).
+    seed: trace.seed ?? null,
     strategy: trace.strategy ?? null,
+    // Prompt experiment variant the run played ({ experimentId, variantId }).
+    experiment: trace.experiment ?? null,
+    // Template and game-config revision ids the prompt was built from.
+    promptRevisions: trace.promptRevisions ?? null,
     finalScore: trace.finalScore,
     winner: trace.winner ?? null,
     won: trace.won ?? false,
     ticks: trace.ticks,
     actionCount: trace.actionCount,
     actionHistory: trace.actionHistory || [],
+    // Every ACT reply by tick; null for traces whose actionHistory already
+    // logs every tick (humans) or that predate it.
+    tickActions: Array.isArray(trace.tickActions) ? trace.tickActions : null,
     scoreEvents: trace.scoreEvents || [],
     createdAt: now
   };
@@ -0,0 +1,251 @@
+'use strict';
+
+// Named prompt A/B experiments. An experiment lists two or more variants,
+// each overriding some of a game's prompt layers (system, game or level
+// template, or literal game/level text) and/or its llmSettings; a variant with
+// no overrides is the control and plays the game's own config. Every live
+// walk-up and marble run on a covered game is assigned a variant at random
+// (weighted), and that assignment rides along in promptConfigOptions, so the
+// run keeps the variant it started with even if the experiment is edited.
+// LLMClient stamps the assignment on its telemetry and trace and reports the
+// finished run back here, and summarize() compares the variants' win rate,
+// strategy adherence and invalid-action rate with bootstrap 95% intervals.
+//
+// Experiments and their run outcomes persist to
+// web/data/prompt-experiments.json. Only one experiment applies to a run: the
+// oldest active one covering its game and source.
+//
+// Singleton; tests configure it with { storePath, getTemplate, random }.
+
+const fs = require('fs');
+const path = require('path');
+const { bootstrapMean } = require('./eval-stats');
+
+const WEB_ROOT = path.join(__dirname, '..');
+const SOURCES = ['walkup', 'marble'];
+const STATUSES = ['active', 'paused', 'ended'];
+const MAX_VARIANTS = 6;
+const MAX_OUTCOMES = 2000;
+const TEMPLATE_FIELDS = ['systemTemplateId', 'gameTemplateId', 'levelTemplateId'];
+const TEXT_FIELDS = ['gameContent', 'levelContent'];
+const LLM_SETTING_KEYS = ['maxTokens', 'temperature'];
+
+class PromptExperimentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PromptExperimentError';
+    this.code = code;
+  }
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function invalid(message) {
+  return new PromptExperimentError('INVALID_EXPERIMENT', message);
+}
+
+function slug(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+class PromptExperiments {
+  constructor() {
+    this.configured = false;
+  }
+
+  configure(deps = {}) {
+    this.storePath = deps.storePath || path.join(WEB_ROOT, 'data', 'prompt-experiments.json');
+    this.getTemplate = deps.getTemplate || (id => require('./prompt-store').getTemplate(id));
+    this.random = deps.random || Math.random;
+    this.configured = true;
+    return this;
+  }
+
+  _ensureConfigured() {
+    if (!this.configured) this.configure();
+  }
+
+  _read() {
+    const data = readJson(this.storePath, null);
+    return { experiments: Array.isArray(data?.experiments) ? data.experiments : [] };
+  }
+
+  _write(store) {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify({ ...store, updatedAt: new Date().toISOString() }, null, 2) + '\n');
+  }
+
+  _find(store, id) {
+    const experiment = store.experiments.find(entry => entry.id === id);
+    if (!experiment) throw new PromptExperimentError('EXPERIMENT_NOT_FOUND', `Experiment ${id} not found`);
+    return experiment;
+  }
+
+  _normalizeVariant(raw = {}, index) {
+    const id = slug(raw.id || raw.name) || `v${index + 1}`;
+    const variant = { id, name: String(raw.name || id).trim().slice(0, 60), weight: 1 };
+    if (raw.weight !== undefined) {
+      const weight = Number(raw.weight);
+      if (!(weight > 0)) throw invalid(`Variant ${id} needs a positive weight`);
+      variant.weight = weight;
+    }
+    for (const field of TEMPLATE_FIELDS) {
+      if (raw[field] == null || raw[field] === '') continue;
+      if (!this.getTemplate(String(raw[field]))) throw invalid(`Variant ${id}: template ${raw[field]} does not exist`);
+      variant[field] = String(raw[field]);
+    }
+    for (const field of TEXT_FIELDS) {
+      if (typeof raw[field] === 'string' && raw[field].trim()) variant[field] = raw[field].slice(0, 8000);
+    }
+    if (raw.llmSettings && typeof raw.llmSettings === 'object') {
+      const settings = {};
+      for (const key of LLM_SETTING_KEYS) {
+        if (raw.llmSettings[key] === undefined) continue;
+        const value = Number(raw.llmSettings[key]);
+        if (!Number.isFinite(value) || value < 0) throw invalid(`Variant ${id}: llmSettings.${key} must be a non-negative number`);
+        settings[key] = value;
+      }
+      if (Object.keys(settings).length > 0) variant.llmSettings = settings;
+    }
+    return variant;
+  }
+
+  _summaryFields(experiment) {
+    return {
+      id: experiment.id,
+      name: experiment.name,
+      status: experiment.status,
+      gameIds: experiment.gameIds,
+      sources: experiment.sources,
+      variants: experiment.variants,
+      runs: experiment.outcomes.length,
+      createdAt: experiment.createdAt,
+      updatedAt: experiment.updatedAt
+    };
+  }
+
+  list() {
+    this._ensureConfigured();
+    return this._read().experiments.map(experiment => this._summaryFields(experiment));
+  }
+
+  create(body = {}) {
+    this._ensureConfigured();
+    const name = String(body.name || '').trim().slice(0, 80);
+    if (!name) throw invalid('An experiment needs a name');
+    const rawVariants = Array.isArray(body.variants) ? body.variants : [];
+    if (rawVariants.length < 2 || rawVariants.length > MAX_VARIANTS) {
+      throw invalid(`An experiment needs 2 to ${MAX_VARIANTS} variants`);
+    }
+    const variants = rawVariants.map((variant, index) => this._normalizeVariant(variant, index));
+    if (new Set(variants.map(variant => variant.id)).size !== variants.length) throw invalid('Variant ids must be unique');
+    const gameIds = (Array.isArray(body.gameIds) ? body.gameIds : []).map(Number);
+    if (gameIds.some(id => !Number.isInteger(id) || id < 0)) throw invalid('gameIds must be game ids');
+    const sources = Array.isArray(body.sources) && body.sources.length > 0 ? body.sources.map(String) : SOURCES;
+    if (sources.some(source => !SOURCES.includes(source))) throw invalid(`sources must be among ${SOURCES.join(', ')}`);
+
+    const store = this._read();
+    const base = slug(body.id || name) || 'experiment';
+    let id = base;
+    for (let n = 2; store.experiments.some(entry => entry.id === id); n++) id = `${base}-${n}`;
+    const now = new Date().toISOString();
+    const experiment = { id, name, status: 'active', gameIds, sources, variants, outcomes: [], createdAt: now, updatedAt: now };
+    store.experiments.push(experiment);
+    this._write(store);
+    return this._summaryFields(experiment);
+  }
+
+  setStatus(id, status) {
+    this._ensureConfigured();
+    if (!STATUSES.includes(status)) throw invalid(`status must be one of ${STATUSES.join(', ')}`);
+    const store = this._read();
+    const experiment = this._find(store, id);
+    if (experiment.status === 'ended' && status !== 'ended') {
+      throw new PromptExperimentError('EXPERIMENT_ENDED', `Experiment ${id} has ended`);
+    }
+    experiment.status = status;
+    experiment.updatedAt = new Date().toISOString();
+    this._write(store);
+    return this._summaryFields(experiment);
+  }
+
+  // { experimentId, variantId, variant, source } for a new run, or null when
+  // no active experiment covers this game and source.
+  assign({ gameId, source } = {}) {
+    this._ensureConfigured();
+    const experiment = this._read().experiments.find(entry => entry.status === 'active'
+      && entry.sources.includes(source)
+      && (entry.gameIds.length === 0 || entry.gameIds.includes(Number(gameId))));
+    if (!experiment) return null;
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let pick = this.random() * total;
+    let chosen = experiment.variants[experiment.variants.length - 1];
+    for (const variant of experiment.variants) {
+      pick -= variant.weight;
+      if (pick < 0) {
+        chosen = variant;
+        break;
+      }
+    }
+    return { experimentId: experiment.id, variantId: chosen.id, variant: chosen, source };
+  }
+
+  // Called by LLMClient with its run summary once a run with an assignment
+  // finishes. Runs cut short (walk-up yield, disconnect) are left out.
+  recordOutcome(assignment, summary = {}, context = {}) {
+    this._ensureConfigured();
+    if (!assignment?.experimentId || summary.endedBy) return null;
+    const store = this._read();
+    const experiment = store.experiments.find(entry => entry.id === assignment.experimentId);
+    if (!experiment || !experiment.variants.some(variant => variant.id === assignment.variantId)) return null;
+    const adherence = summary.adherence || {};
+    const outcome = {
+      runId: summary.runId || null,
+      variantId: assignment.variantId,
+      source: assignment.source || null,
+      gameId: context.gameId ?? null,
+      modelId: context.modelId || null,
+      won: Boolean(summary.won),
+      finalScore: Number(summary.finalScore || 0),
+      ticks: Number(summary.ticks || 0),
+      decisions: Number(summary.decisions || 0),
+      invalidDecisions: Number(summary.invalidDecisions || 0),
+      // Adherence only means something when the player gave a strategy.
+      adherence: summary.strategy && adherence.total > 0 ? adherence.mentioned / adherence.total : null,
+      at: new Date().toISOString()
+    };
+    experiment.outcomes.push(outcome);
+    if (experiment.outcomes.length > MAX_OUTCOMES) experiment.outcomes.splice(0, experiment.outcomes.length - MAX_OUTCOMES);
+    this._write(store);
+    return outcome;
+  }
+
+  summarize(id) {
+    this._ensureConfigured();
+    const experiment = this._find(this._read(), id);
+    const variants = experiment.variants.map((variant) => {
+      const outcomes = experiment.outcomes.filter(outcome => outcome.variantId === variant.id);
+      const withDecisions = outcomes.filter(outcome => outcome.decisions > 0);
+      const withStrategy = outcomes.filter(outcome => outcome.adherence !== null);
+      return {
+        ...variant,
+        runs: outcomes.length,
+        winRate: bootstrapMean(outcomes.map(outcome => (outcome.won ? 1 : 0))),
+        score: bootstrapMean(outcomes.map(outcome => outcome.finalScore)),
+        adherence: bootstrapMean(withStrategy.map(outcome => outcome.adherence)),
+        invalidActionRate: bootstrapMean(withDecisions.map(outcome => outcome.invalidDecisions / outcome.decisions))
+      };
+    });
+    return { ...this._summaryFields(experiment), variants };
+  }
+}
+
+module.exports = new PromptExperiments();
+module.exports.PromptExperiments = PromptExperiments;
+module.exports.PromptExperimentError = PromptExperimentError;
@@ -4,9 +4,11 @@ const strategyMemoryStore = require('./strategy-memory-store');
 const { getCachedClassification } = require('./game-classifier');
 const { applyClassDefaults } = require('./class-defaults');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
+// PROMPT_STORE_DIR points the store at another data directory (tests).
+const DATA_DIR = process.env.PROMPT_STORE_DIR || path.join(__dirname, '..', 'data');
 const TEMPLATES_DIR = path.join(DATA_DIR, 'templates');
 const GAMES_DIR = path.join(DATA_DIR, 'games');
+const REVISIONS_DIR = path.join(DATA_DIR, 'prompt-revisions');
 const INDEX_PATH = path.join(TEMPLATES_DIR, '_index.json');
 
 // Ensure games directory exists
@@ -50,6 +52,167 @@ function invalidateCache() {
   _cache.gameConfigs.clear();
 }
 
+// --- Revision history ---
+// Every save of a template or game config appends an immutable revision
+// (snapshot, author, note, timestamp) to data/prompt-revisions/<kind>/<key>.json,
+// and the saved file carries its revisionId ("<key>@<n>") so a run can report
+// exactly which prompt text it played. A file written before history existed
+// is archived as revision 0 the first time it is saved again, so "<key>@0"
+// names the text of a file that has never been saved through the store.
+// Rollback saves an old snapshot as a new revision; history is never rewritten.
+
+const REVISION_DIRS = { template: 'templates', game: 'games' };
+const REVISION_META_FIELDS = ['revisionId', 'createdAt', 'updatedAt', 'updatedBy'];
+
+function revisionKey(kind, id) {
+  return kind === 'game' ? `game-${id}` : String(id);
+}
+
+function revisionsPath(kind, id) {
+  return path.join(REVISIONS_DIR, REVISION_DIRS[kind], `${revisionKey(kind, id)}.json`);
+}
+
+function readRevisions(kind, id) {
+  try {
+    const revisions = JSON.parse(fs.readFileSync(revisionsPath(kind, id), 'utf-8'));
+    return Array.isArray(revisions) ? revisions : [];
+  } catch {
+    return [];
+  }
+}
+
+function revisionSnapshot(record) {
+  const snapshot = { ...record };
+  for (const field of REVISION_META_FIELDS) delete snapshot[field];
+  return snapshot;
+}
+
+function currentRevisionId(kind, record) {
+  if (!record) return null;
+  return record.revisionId || `${revisionKey(kind, kind === 'game' ? record.gameId : record.id)}@0`;
+}
+
+// Appends the revision for `record` (about to be written) and returns it.
+function recordRevision(kind, id, record, previous, meta = {}) {
+  const revisions = readRevisions(kind, id);
+  const key = revisionKey(kind, id);
+  if (revisions.length === 0 && previous) {
+    revisions.push({
+      revisionId: `${key}@0`,
+      revision: 0,
+      author: previous.updatedBy || null,
+      note: 'Before revision history',
+      createdAt: previous.updatedAt || previous.createdAt || null,
+      rollbackOf: null,
+      snapshot: revisionSnapshot(previous)
+    });
+  }
+  const number = revisions.length > 0 ? revisions[revisions.length - 1].revision + 1 : 1;
+  const revision = {
+    revisionId: `${key}@${number}`,
+    revision: number,
+    author: meta.author ? String(meta.author).slice(0, 80) : null,
+    note: meta.note ? String(meta.note).slice(0, 500) : null,
+    createdAt: record.updatedAt,
+    rollbackOf: meta.rollbackOf || null,
+    snapshot: revisionSnapshot(record)
+  };
+  revisions.push(revision);
+  fs.mkdirSync(path.dirname(revisionsPath(kind, id)), { recursive: true });
+  fs.writeFileSync(revisionsPath(kind, id), JSON.stringify(revisions, null, 2) + '\n');
+  return revision;
+}
+
+// Newest first, without the snapshots.
+function listRevisions(kind, id) {
+  return readRevisions(kind, id)
+    .map(({ snapshot, ...meta }) => meta)
+    .reverse();
+}
+
+function getRevision(kind, id, revisionId) {
+  return readRevisions(kind, id).find(revision => revision.revisionId === revisionId) || null;
+}
+
+// The text a revision is compared on: a template's fields and content, or a
+// game config as indented JSON.
+function revisionText(kind, snapshot) {
+  if (!snapshot) return '';
+  if (kind === 'template') {
+    return [`name: ${snapshot.name || ''}`, `layer: ${snapshot.layer || ''}`, `category: ${snapshot.category || ''}`, '', snapshot.content || ''].join('\n');
+  }
+  return JSON.stringify(snapshot, null, 2);
+}
+
+// Side-by-side line diff (longest common subsequence). Each row is
+// { type: 'same' | 'removed' | 'added' | 'changed', left, right }, with a
+// removed line and the added line that replaced it paired on one row.
+function diffLines(leftText, rightText) {
+  const left = String(leftText || '').split('\n');
+  const right = String(rightText || '').split('\n');
+  const lcs = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      ops.push({ type: 'same', left: left[i++], right: right[j++] });
+    } else if (i < left.length && (j === right.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: 'removed', left: left[i++], right: null });
+    } else {
+      ops.push({ type: 'added', left: null, right: right[j++] });
+    }
+  }
+  // Pair each run of removals with the additions that follow it.
+  const rows = [];
+  for (let k = 0; k < ops.length;) {
+    if (ops[k].type !== 'removed') {
+      rows.push(ops[k++]);
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++].left);
+    while (k < ops.length && ops[k].type === 'added') added.push(ops[k++].right);
+    for (let n = 0; n < Math.max(removed.length, added.length); n++) {
+      const l = n < removed.length ? removed[n] : null;
+      const r = n < added.length ? added[n] : null;
+      rows.push({ type: l !== null && r !== null ? 'changed' : (l !== null ? 'removed' : 'added'), left: l, right: r });
+    }
+  }
+  return rows;
+}
+
+// Diff of a revision against another revision, or against the previous one
+// when `againstId` is omitted ('current' compares with the live file).
+// Null when either side does not exist.
+function diffRevisions(kind, id, revisionId, againstId) {
+  const revisions = readRevisions(kind, id);
+  const index = revisions.findIndex(revision => revision.revisionId === revisionId);
+  if (index < 0) return null;
+  let against;
+  if (againstId === 'current') {
+    const live = kind === 'template' ? getTemplate(id) : getGameConfig(id);
+    against = live ? { revisionId: currentRevisionId(kind, live), snapshot: revisionSnapshot(live) } : null;
+  } else if (againstId) {
+    against = revisions.find(revision => revision.revisionId === againstId) || null;
+  } else {
+    against = index > 0 ? revisions[index - 1] : { revisionId: null, snapshot: null };
+  }
+  if (!against) return null;
+  const revision = revisions[index];
+  return {
+    from: against.revisionId,
+    to: revision.revisionId,
+    rows: diffLines(revisionText(kind, against.snapshot), revisionText(kind, revision.snapshot))
+  };
+}
+
 // --- Template operations ---
 
 function readIndex() {
@@ -77,13 +240,16 @@ function getTemplate(id) {
   }
 }
 
-function saveTemplate(template) {
+function saveTemplate(template, meta = {}) {
   if (!template.id || typeof template.id !== 'string' || template.id === 'undefined') {
     return { error: 'Template must have a valid string id' };
   }
+  const previous = getTemplate(template.id);
   const now = new Date().toISOString();
-  if (!template.createdAt) template.createdAt = now;
+  if (!template.createdAt) template.createdAt = previous?.createdAt || now;
   template.updatedAt = now;
+  template.updatedBy = meta.author || null;
+  template.revisionId = recordRevision('template', template.id, template, previous, meta).revisionId;
 
   const filePath = path.join(TEMPLATES_DIR, `${template.id}.json`);
   fs.writeFileSync(filePath, JSON.stringify(template, null, 2) + '\n');
@@ -150,14 +316,38 @@ function getGameConfig(gameId) {
   }
 }
 
-function saveGameConfig(config) {
+function saveGameConfig(config, meta = {}) {
+  const previous = getGameConfig(config.gameId);
   config.updatedAt = new Date().toISOString();
+  config.updatedBy = meta.author || null;
+  config.revisionId = recordRevision('game', config.gameId, config, previous, meta).revisionId;
   const filePath = path.join(GAMES_DIR, `${config.gameId}.json`);
   fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n');
   invalidateCache();
   return config;
 }
 
+// Restores an old revision by saving its snapshot as a new revision.
+function rollbackTemplate(id, revisionId, meta = {}) {
+  const revision = getRevision('template', id, revisionId);
+  if (!revision) return null;
+  return saveTemplate({ ...revision.snapshot, id }, {
+    author: meta.author,
+    note: meta.note || `Rollback to ${revisionId}`,
+    rollbackOf: revisionId
+  });
+}
+
+function rollbackGameConfig(gameId, revisionId, meta = {}) {
+  const revision = getRevision('game', gameId, revisionId);
+  if (!revision) return null;
+  return saveGameConfig({ ...revision.snapshot, gameId: Number(gameId) }, {
+    author: meta.author,
+    note: meta.note || `Rollback to ${revisionId}`,
+    rollbackOf: revisionId
+  });
+}
+
 function deleteGameConfig(gameId) {
   const filePath = path.join(GAMES_DIR, `${gameId}.json`);
   try {
@@ -177,7 +367,13 @@ function defaultPromptConfig() {
     systemContent: systemTemplate ? systemTemplate.content : 'You are playing a 2D game. Respond with ONE action name.',
     gameContent: null,
     levelContent: null,
-    llmSettings: { maxTokens: 100, temperature: 0.7 }
+    llmSettings: { maxTokens: 100, temperature: 0.7 },
+    promptRevisions: {
+      gameConfig: null,
+      system: currentRevisionId('template', systemTemplate),
+      game: null,
+      level: null
+    }
   };
 }
 
@@ -185,14 +381,21 @@ function resolveGamePromptConfig(gameId, levelId, options = {}) {
   const config = getCachedGameConfig(gameId);
   if (!config) return defaultPromptConfig();
 
+  // Revision ids of the game config and of each template whose text the run
+  // actually gets (null for a layer that is custom text or empty).
+  const promptRevisions = { gameConfig: currentRevisionId('game', config), system: null, game: null, level: null };
+
   // Resolve system template
   let systemContent = null;
   if (config.systemTemplateId) {
     const tpl = getCachedTemplate(config.systemTemplateId);
     systemContent = tpl ? tpl.content : null;
+    if (systemContent) promptRevisions.system = currentRevisionId('template', tpl);
   }
   if (!systemContent) {
-    systemContent = defaultPromptConfig().systemContent;
+    const fallback = defaultPromptConfig();
+    systemContent = fallback.systemContent;
+    promptRevisions.system = fallback.promptRevisions.system;
   }
 
   // Resolve game context
@@ -203,6 +406,7 @@ function resolveGamePromptConfig(gameId, levelId, options = {}) {
     } else if (config.gameContext.templateId) {
       const tpl = getCachedTemplate(config.gameContext.templateId);
       gameContent = tpl ? tpl.content : null;
+      if (gameContent) promptRevisions.game = currentRevisionId('template', tpl);
     }
   }
 
@@ -216,6 +420,7 @@ function resolveGamePromptConfig(gameId, levelId, options = {}) {
     } else if (progContexts[levelKey].templateId) {
       const tpl = getCachedTemplate(progContexts[levelKey].templateId);
       levelContent = tpl ? tpl.content : null;
+      if (levelContent) promptRevisions.level = currentRevisionId('template', tpl);
     }
   }
 
@@ -237,9 +442,31 @@ function resolveGamePromptConfig(gameId, levelId, options = {}) {
     strategicDigestMode === 'replaceGameContext' &&
     !(codeProtocol && codeProtocol.enabled)
   ) {
-    gameContent = resolvedStrategicMemory.promptText || resolvedStrategicMemory.digest?.promptText || gameContent;
+    const memoryText = resolvedStrategicMemory.promptText || resolvedStrategicMemory.digest?.promptText;
+    if (memoryText) {
+      gameContent = memoryText;
+      promptRevisions.game = null;
+    }
   }
 
+  // A prompt experiment variant (see prompt-experiments.js) replaces the layers
+  // it names, after memory so the variant is what the run actually plays.
+  const experiment = options.promptExperiment || null;
+  const variant = experiment?.variant || {};
+  const applyVariant = (layer, text, templateId, content) => {
+    if (text) {
+      promptRevisions[layer] = null;
+      return text;
+    }
+    const tpl = templateId ? getCachedTemplate(templateId) : null;
+    if (!tpl?.content) return content;
+    promptRevisions[layer] = currentRevisionId('template', tpl);
+    return tpl.content;
+  };
+  systemContent = applyVariant('system', null, variant.systemTemplateId, systemContent);
+  gameContent = applyVariant('game', variant.gameContent, variant.gameTemplateId, gameContent);
+  levelContent = applyVariant('level', variant.levelContent, variant.levelTemplateId, levelContent);
+
   // Class-derived runtime defaults: the game's classification (backfilled into
   // the config, else computed from its VGDL) fills macroActions/llmSettings
   // beneath any explicit per-game settings.
@@ -253,10 +480,13 @@ function resolveGamePromptConfig(gameId, levelId, options = {}) {
     levelContent,
     gameName: config.gameName || null,
     classification,
-    llmSettings: effective.llmSettings || { maxTokens: 100, temperature: 0.7 },
+    llmSettings: { ...(effective.llmSettings || { maxTokens: 100, temperature: 0.7 }), ...(variant.llmSettings || {}) },
     gridSymbolMap: config.gridSymbolMap || null,
     gridLegend: config.gridLegend || null,
     actionAliases: config.actionAliases || null,
+    responseMode: config.responseMode || null,
+    observationMode: config.observationMode || null,
+    conversationMemory: config.conversationMemory || null,
     codeProtocol,
     macroActions: effective.macroActions,
     strategicDigest: config.strategicDigest || null,
@@ -268,7 +498,9 @@ function resolveGamePromptConfig(gameId, levelId, options = {}) {
         evaluationStatus: resolvedStrategicMemory.evaluationStatus,
         resolvedFrom: resolvedStrategicMemory.resolvedFrom
       }
-      : null
+      : null,
+    promptExperiment: experiment ? { experimentId: experiment.experimentId, variantId: experiment.variantId } : null,
+    promptRevisions
   };
 }
 
@@ -281,6 +513,13 @@ module.exports = {
   getGameConfig,
   saveGameConfig,
   deleteGameConfig,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  diffLines,
+  rollbackTemplate,
+  rollbackGameConfig,
+  defaultPromptConfig,
   resolveGamePromptConfig,
   invalidateCache
 };
@@ -0,0 +1,161 @@
+'use strict';
+
+// Rating math for tournaments: Elo and two-player TrueSkill, both replayed
+// from a list of pairwise matches so ratings can always be rebuilt from the
+// stored evidence. Pure functions, no I/O.
+//
+// A match is { a, b, outcome, gameId } where outcome is 1 (a won), 0 (b won)
+// or 0.5 (draw).
+
+const { inverseNormalCdf, mulberry32, normalCdf, percentile } = require('./eval-stats');
+
+const ELO_START = 1500;
+const ELO_K = 24;
+const ELO_BOOTSTRAP_SAMPLES = 200;
+
+const TRUESKILL_MU = 25;
+const TRUESKILL_SIGMA = TRUESKILL_MU / 3;
+const TRUESKILL_BETA = TRUESKILL_SIGMA / 2;
+const TRUESKILL_TAU = TRUESKILL_SIGMA / 100;
+const TRUESKILL_DRAW_PROBABILITY = 0.1;
+
+const Z_95 = 1.96;
+
+function normalPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+const DRAW_MARGIN = inverseNormalCdf((TRUESKILL_DRAW_PROBABILITY + 1) / 2) * Math.SQRT2 * TRUESKILL_BETA;
+
+function eloExpected(ratingA, ratingB) {
+  return 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+}
+
+function replayElo(matches, k = ELO_K) {
+  const ratings = new Map();
+  const get = id => (ratings.has(id) ? ratings.get(id) : ELO_START);
+  for (const match of matches) {
+    const ra = get(match.a);
+    const rb = get(match.b);
+    const expected = eloExpected(ra, rb);
+    ratings.set(match.a, ra + k * (match.outcome - expected));
+    ratings.set(match.b, rb + k * ((1 - match.outcome) - (1 - expected)));
+  }
+  return ratings;
+}
+
+// Elo has no variance of its own, so its 95% interval comes from replaying
+// bootstrap resamples of the match list.
+function eloIntervals(matches, players, samples = ELO_BOOTSTRAP_SAMPLES) {
+  const random = mulberry32(matches.length * 2654435761);
+  const draws = new Map(players.map(id => [id, []]));
+  for (let sample = 0; sample < samples && matches.length > 0; sample++) {
+    const resampled = matches.map(() => matches[Math.floor(random() * matches.length)]);
+    const ratings = replayElo(resampled);
+    for (const id of players) draws.get(id).push(ratings.has(id) ? ratings.get(id) : ELO_START);
+  }
+  const intervals = new Map();
+  for (const [id, values] of draws) {
+    values.sort((x, y) => x - y);
+    intervals.set(id, values.length > 0 ? [percentile(values, 0.025), percentile(values, 0.975)] : [ELO_START, ELO_START]);
+  }
+  return intervals;
+}
+
+function trueSkillUpdate(first, second, outcome) {
+  const s1 = first.sigma ** 2 + TRUESKILL_TAU ** 2;
+  const s2 = second.sigma ** 2 + TRUESKILL_TAU ** 2;
+  const c = Math.sqrt(2 * TRUESKILL_BETA ** 2 + s1 + s2);
+  // Orient so "winner" is the first player; draws are symmetric.
+  const [winner, loser, sw, sl] = outcome === 0 ? [second, first, s2, s1] : [first, second, s1, s2];
+  const t = (winner.mu - loser.mu) / c;
+  const e = DRAW_MARGIN / c;
+  let v;
+  let w;
+  if (outcome === 0.5) {
+    const denom = Math.max(normalCdf(e - t) - normalCdf(-e - t), 1e-12);
+    v = (normalPdf(-e - t) - normalPdf(e - t)) / denom;
+    w = v ** 2 + ((e - t) * normalPdf(e - t) + (e + t) * normalPdf(e + t)) / denom;
+  } else {
+    const denom = Math.max(normalCdf(t - e), 1e-12);
+    v = normalPdf(t - e) / denom;
+    w = v * (v + t - e);
+  }
+  const updated = (player, variance, sign) => ({
+    mu: player.mu + sign * (variance / c) * v,
+    sigma: Math.sqrt(Math.max(variance * (1 - (variance / c ** 2) * w), 1e-6))
+  });
+  const nextWinner = updated(winner, sw, 1);
+  const nextLoser = updated(loser, sl, -1);
+  return outcome === 0 ? [nextLoser, nextWinner] : [nextWinner, nextLoser];
+}
+
+function replayTrueSkill(matches) {
+  const ratings = new Map();
+  const get = id => ratings.get(id) || { mu: TRUESKILL_MU, sigma: TRUESKILL_SIGMA };
+  for (const match of matches) {
+    const [a, b] = trueSkillUpdate(get(match.a), get(match.b), match.outcome);
+    ratings.set(match.a, a);
+    ratings.set(match.b, b);
+  }
+  return ratings;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Standings for one pool of matches, best conservative TrueSkill first.
+function rateMatches(matches) {
+  const players = [...new Set(matches.flatMap(match => [match.a, match.b]))];
+  const elo = replayElo(matches);
+  const intervals = eloIntervals(matches, players);
+  const trueSkill = replayTrueSkill(matches);
+  const record = new Map(players.map(id => [id, { wins: 0, losses: 0, draws: 0 }]));
+  for (const match of matches) {
+    const [ra, rb] = [record.get(match.a), record.get(match.b)];
+    if (match.outcome === 0.5) {
+      ra.draws += 1;
+      rb.draws += 1;
+    } else if (match.outcome === 1) {
+      ra.wins += 1;
+      rb.losses += 1;
+    } else {
+      ra.losses += 1;
+      rb.wins += 1;
+    }
+  }
+
+  return players.map(id => {
+    const ts = trueSkill.get(id);
+    const [eloLow, eloHigh] = intervals.get(id);
+    const { wins, losses, draws } = record.get(id);
+    return {
+      modelId: id,
+      matches: wins + losses + draws,
+      wins,
+      losses,
+      draws,
+      elo: { rating: round(elo.get(id)), ci95: [round(eloLow), round(eloHigh)] },
+      trueSkill: {
+        mu: round(ts.mu, 2),
+        sigma: round(ts.sigma, 2),
+        ci95: [round(ts.mu - Z_95 * ts.sigma, 2), round(ts.mu + Z_95 * ts.sigma, 2)],
+        conservative: round(ts.mu - 3 * ts.sigma, 2)
+      }
+    };
+  }).sort((x, y) => y.trueSkill.conservative - x.trueSkill.conservative || y.elo.rating - x.elo.rating);
+}
+
+module.exports = {
+  ELO_START,
+  ELO_K,
+  TRUESKILL_MU,
+  TRUESKILL_SIGMA,
+  eloExpected,
+  replayElo,
+  replayTrueSkill,
+  trueSkillUpdate,
+  rateMatches
+};
@@ -0,0 +1,313 @@
+const net = require('net');
+const { FINISH_TRAINING_RESPONSE } = require('./level-progression');
+
+const DEFAULT_TICK_INTERVAL_MS = 40;  // the engine's own real-time tick budget
+const GAME_TICK_RE = /"gameTick":(-?\d+)/;
+
+/**
+ * Build the tick -> action schedule for a saved play trace. Model traces log
+ * every ACT reply in tickActions and human traces log every ACT tick in
+ * actionHistory, so both replay exactly. Older model traces hold decisions
+ * only (async runs filled the gaps from the plan queue); they replay with
+ * ACTION_NIL on unrecorded ticks and the schedule is flagged approximate.
+ */
+function buildReplaySchedule(trace) {
+  const actions = new Map();
+  let lastTick = -1;
+  const tickActions = trace && Array.isArray(trace.tickActions) && trace.tickActions.length > 0
+    ? trace.tickActions
+    : null;
+  for (const entry of tickActions || (trace && trace.actionHistory) || []) {
+    if (!entry || !Number.isInteger(entry.tick) || !entry.action) continue;
+    actions.set(entry.tick, entry.action);
+    if (entry.tick > lastTick) lastTick = entry.tick;
+  }
+  const recordedTicks = Number.isInteger(trace && trace.ticks) ? trace.ticks : 0;
+  return {
+    actions,
+    totalTicks: Math.max(recordedTicks, lastTick + 1),
+    approximate: !tickActions && !(trace && trace.playerType === 'human')
+  };
+}
+
+/**
+ * ReplayClient — drives a GVGAI Java socket from a saved play trace instead of
+ * a model or keyboard. Speaks the same wire protocol as HumanPlayClient
+ * (START/INIT/ACT/END/FINISH) and emits the same game-state events, tagged
+ * playerType 'replay', so the walk-up viewer can render it unchanged.
+ *
+ * The engine blocks on every ACT reply, which is what makes pause and step
+ * possible: while paused the client simply holds the pending ACT. Seeking
+ * forward fast-forwards (replies without the tick delay) until the target
+ * tick; the engine cannot rewind, so backward seeks are handled by the
+ * replay manager restarting the engine and fast-forwarding a fresh client.
+ */
+class ReplayClient {
+  constructor(options = {}) {
+    this.socket = null;
+    this.io = null;
+    this.buffer = '';
+    this.gameActive = false;
+    this.playerType = 'replay';
+    this.runId = options.runId || null;
+    this.trace = options.trace || {};
+    this.gameId = this.trace.gameId ?? null;
+    this.schedule = buildReplaySchedule(this.trace);
+    this.tickIntervalMs = Number.isFinite(options.tickIntervalMs) && options.tickIntervalMs >= 0
+      ? options.tickIntervalMs
+      : DEFAULT_TICK_INTERVAL_MS;
+    this.paused = options.paused === true;
+    this.seekTarget = Number.isInteger(options.seekTo) && options.seekTo > 0 ? options.seekTo : null;
+    this.stepsRemaining = 0;
+    this.pendingAct = null;   // { msgId, tick } held until play/step releases it
+    this.tick = 0;
+    this.lastSso = null;
+    this.finished = false;
+    this.onSessionEnd = null;
+    this.onStateChange = null;
+    this._tickTimer = null;
+    this.actResponseType = 'BOTH';
+  }
+
+  connect(port, io) {
+    this.io = io;
+    this.gameActive = true;
+
+    return new Promise((resolve, reject) => {
+      this.socket = new net.Socket();
+      this.socket.on('data', data => this.handleData(data));
+      this.socket.on('error', (error) => {
+        console.error('[ReplayClient] Socket error:', error);
+        this.gameActive = false;
+        this._triggerSessionEnd();
+        reject(error);
+      });
+      this.socket.on('close', () => {
+        console.log('[ReplayClient] Socket closed');
+        this.gameActive = false;
+        this._triggerSessionEnd();
+      });
+      this.socket.connect(port, 'localhost', () => {
+        console.log(`[ReplayClient] Connected to GVGAI socket on port ${port}`);
+        resolve();
+      });
+    });
+  }
+
+  handleData(data) {
+    this.buffer += data.toString();
+    const messages = this.buffer.split('\n');
+    this.buffer = messages.pop();
+    for (const message of messages) {
+      if (message.trim()) this.processMessage(message.trim());
+    }
+  }
+
+  processMessage(message) {
+    const parts = message.split('#');
+    const msgId = parts[0];
+    const jsonPayload = parts.slice(1).join('#');
+    if (!jsonPayload) return;
+
+    if (jsonPayload === 'START') {
+      this.sendMessageWithId(msgId, 'START_DONE');
+      return;
+    }
+    if (jsonPayload === 'FINISH') {
+      this.gameActive = false;
+      this._triggerSessionEnd();
+      return;
+    }
+
+    const head = jsonPayload.substring(0, Math.min(2000, jsonPayload.length));
+    if (head.includes('"phase":"INIT"')) {
+      this.sendMessageWithId(msgId, `INIT_DONE#${this.actResponseType}`);
+      return;
+    }
+    if (head.includes('"phase":"END"')) {
+      this.handleEnd(jsonPayload, msgId);
+      return;
+    }
+    if (head.includes('"phase":"ACT"') || jsonPayload.includes('"phase":"ACT"')) {
+      const match = jsonPayload.match(GAME_TICK_RE);
+      this.tick = match ? Number.parseInt(match[1], 10) : this.tick + 1;
+      this.pendingAct = { msgId, tick: this.tick, payload: jsonPayload };
+      this._pump();
+    }
+  }
+
+  // Reply to the held ACT if the playback state allows it: fast-forward and
+  // step release it immediately, play releases it after one tick interval,
+  // pause keeps holding it (the engine waits).
+  _pump() {
+    if (!this.pendingAct || this._tickTimer) return;
+    if (this.seekTarget !== null) {
+      if (this.pendingAct.tick < this.seekTarget) {
+        this._releaseAct();
+        return;
+      }
+      this.seekTarget = null;
+      this.paused = true;
+      this._notify();
+    }
+    if (this.stepsRemaining > 0) {
+      this.stepsRemaining -= 1;
+      this._releaseAct();
+      return;
+    }
+    if (this.paused) return;
+    // pause()/step()/seek clear this timer, so it only fires while playing.
+    this._tickTimer = setTimeout(() => {
+      this._tickTimer = null;
+      if (this.pendingAct) this._releaseAct();
+    }, this.tickIntervalMs);
+  }
+
+  _releaseAct() {
+    const { msgId, tick, payload } = this.pendingAct;
+    this.pendingAct = null;
+    const action = this.schedule.actions.get(tick) || 'ACTION_NIL';
+    this.sendMessageWithId(msgId, `${action}#${this.actResponseType}`);
+    setImmediate(() => this.recordActState(payload, action));
+  }
+
+  recordActState(jsonPayload, action) {
+    let sso = null;
+    try {
+      sso = JSON.parse(jsonPayload);
+    } catch (error) {
+      return;
+    }
+    this.lastSso = sso;
+    if (this.io) {
+      this.io.emit('game-state', {
+        runId: this.runId,
+        score: sso.gameScore,
+        health: sso.avatarHealthPoints,
+        maxHealth: sso.avatarMaxHealthPoints,
+        tick: sso.gameTick,
+        action,
+        planStep: 0,
+        planLength: 0,
+        playerType: 'replay'
+      });
+    }
+    this._notify();
+  }
+
+  handleEnd(jsonPayload, msgId) {
+    try {
+      this.lastSso = JSON.parse(jsonPayload);
+    } catch (error) {
+      // Keep the last ACT state; the END payload is informational here.
+    }
+    this.finished = true;
+    this.paused = true;
+    this.seekTarget = null;
+    if (this.io) {
+      this.io.emit('level-end', {
+        runId: this.runId,
+        score: this.lastSso ? this.lastSso.gameScore : null,
+        winner: this.lastSso ? this.lastSso.gameWinner : null,
+        ticks: this.lastSso ? this.lastSso.gameTick : this.tick,
+        level: this.trace.levelId ?? 0,
+        playerType: 'replay'
+      });
+    }
+    // A replay covers exactly the recorded level: end training instead of
+    // letting the learning protocol advance to the next one.
+    this.sendMessageWithId(msgId, FINISH_TRAINING_RESPONSE);
+    this._notify();
+  }
+
+  pause() {
+    this.paused = true;
+    this.seekTarget = null;
+    if (this._tickTimer) {
+      clearTimeout(this._tickTimer);
+      this._tickTimer = null;
+    }
+    this._notify();
+  }
+
+  resume() {
+    if (this.finished) return;
+    this.paused = false;
+    this._notify();
+    this._pump();
+  }
+
+  step(count = 1) {
+    if (this.finished) return;
+    this.pause();
+    this.stepsRemaining += Math.max(1, Number.parseInt(count, 10) || 1);
+    this._pump();
+  }
+
+  // Forward seeks only; returns false when the target is behind the engine.
+  seekForward(tick) {
+    if (!Number.isInteger(tick) || tick < this.tick) return false;
+    if (this.finished) return tick === this.tick;
+    if (this._tickTimer) {
+      clearTimeout(this._tickTimer);
+      this._tickTimer = null;
+    }
+    this.seekTarget = tick;
+    this._notify();
+    this._pump();
+    return true;
+  }
+
+  getState() {
+    return {
+      runId: this.runId,
+      tick: this.tick,
+      totalTicks: this.schedule.totalTicks,
+      approximate: this.schedule.approximate,
+      paused: this.paused,
+      seeking: this.seekTarget !== null,
+      seekTarget: this.seekTarget,
+      finished: this.finished,
+      score: this.lastSso ? (this.lastSso.gameScore ?? null) : null
+    };
+  }
+
+  _notify() {
+    if (this.onStateChange) this.onStateChange(this.getState());
+  }
+
+  sendMessageWithId(msgId, msg) {
+    if (this.socket && !this.socket.destroyed) {
+      this.socket.write(`${msgId}#${msg}\n`);
+    } else {
+      console.error('[ReplayClient] Cannot send - socket not ready');
+    }
+  }
+
+  _triggerSessionEnd() {
+    if (this.onSessionEnd) {
+      const cb = this.onSessionEnd;
+      this.onSessionEnd = null;
+      cb();
+    }
+  }
+
+  disconnect() {
+    this.gameActive = false;
+    this.onSessionEnd = null;
+    this.onStateChange = null;
+    if (this._tickTimer) {
+      clearTimeout(this._tickTimer);
+      this._tickTimer = null;
+    }
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = ReplayClient;
+module.exports.ReplayClient = ReplayClient;
+module.exports.buildReplaySchedule = buildReplaySchedule;
+module.exports.DEFAULT_TICK_INTERVAL_MS = DEFAULT_TICK_INTERVAL_MS;
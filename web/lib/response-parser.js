@@ -26,7 +26,7 @@ const BARE_WORDS = [
   { pattern: /\b(?:NIL|NONE|WAIT|STAY|IDLE)\b/g, action: 'ACTION_NIL' },
 ];
 
-function parseActionDetailed(llmResponse, availableActions = VALID_ACTIONS, actionCodeMap = null) {
+function parseActionDetailed(llmResponse, availableActions = VALID_ACTIONS, actionCodeMap = null, options = {}) {
   if (!llmResponse) {
     return { action: 'ACTION_NIL', matched: false, source: 'empty' };
   }
@@ -95,7 +95,7 @@ function parseActionDetailed(llmResponse, availableActions = VALID_ACTIONS, acti
   }
 
   // Fallback
-  console.warn('[ResponseParser] Could not parse action from:', llmResponse);
+  if (!options.quiet) console.warn('[ResponseParser] Could not parse action from:', llmResponse);
   return { action: 'ACTION_NIL', matched: false, source: 'fallback' };
 }
 
@@ -174,9 +174,41 @@ function parseStructured(llmResponse, availableActions = VALID_ACTIONS, actionCo
   };
 }
 
+// Early-commit check for a reply that is still streaming in. Only answers the
+// rest of the stream cannot change count: the token after the last ACTION:
+// marker once something terminates it, or a compact code letter followed by a
+// delimiter (a bare "U" may still become "Use the right lane"). Returns null
+// until then; the full reply still goes through parseStructured afterwards.
+const STREAM_ACTION_TOKEN_RE = /^\s*[`*"']*([A-Z_]+)[`*"']*(?=[\s.,;!<])/;
+const STREAM_CODE_RE = /^\s*[`'"]?([A-Z0-9])[`'"]?(?=[\s.,;<])/;
+const STREAM_CODE_FIELD_RE = /\b(?:OUT|ACT|MOVE|ANS|B)\s*:\s*([A-Z0-9])(?=[\s.,;<])/;
+
+function parseEarlyAction(partialResponse, availableActions = VALID_ACTIONS, actionCodeMap = null) {
+  if (!partialResponse) return null;
+  const upper = partialResponse.toUpperCase();
+
+  const actionIdx = upper.lastIndexOf('ACTION:');
+  if (actionIdx !== -1) {
+    const token = upper.slice(actionIdx + 'ACTION:'.length).match(STREAM_ACTION_TOKEN_RE);
+    if (!token) return null;
+    const meta = parseActionDetailed(token[1], availableActions, actionCodeMap, { quiet: true });
+    return meta.matched ? { action: meta.action, source: 'stream-action-line' } : null;
+  }
+
+  if (actionCodeMap) {
+    const coded = upper.match(STREAM_CODE_RE) || upper.match(STREAM_CODE_FIELD_RE);
+    const mapped = coded ? actionCodeMap[coded[1]] : null;
+    if (mapped && availableActions.includes(mapped)) {
+      return { action: mapped, source: 'stream-code' };
+    }
+  }
+  return null;
+}
+
 module.exports = {
   parseAction,
   parseActionDetailed,
+  parseEarlyAction,
   parseStructured,
   VALID_ACTIONS
 };
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Engine RNG seeds. GVGAI seeds every level build and game loop from one Java
+// int, so a run replays identically when it is launched with the same seed.
+// Seeds stay non-negative so they survive CLI args, JSON and telemetry as-is.
+const MAX_SEED = 2147483647;
+
+function normalizeSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isInteger(parsed) && parsed >= 0 && parsed <= MAX_SEED ? parsed : null;
+}
+
+function createSeed() {
+  return crypto.randomInt(0, MAX_SEED);
+}
+
+// A caller-pinned seed when valid, otherwise a fresh random one.
+function resolveSeed(value) {
+  const seed = normalizeSeed(value);
+  return seed === null ? createSeed() : seed;
+}
+
+// Stable seed from plan identity (e.g. base seed + runId), so rebuilding the
+// same eval plan hands every case the same stochastic conditions.
+function deriveSeed(...parts) {
+  const digest = crypto.createHash('sha1').update(parts.map(String).join('|')).digest();
+  return digest.readUInt32BE(0) & MAX_SEED;
+}
+
+module.exports = {
+  MAX_SEED,
+  normalizeSeed,
+  createSeed,
+  resolveSeed,
+  deriveSeed
+};
@@ -12,6 +12,8 @@ const DEFAULT_CONFIG = {
   },
   gvgai: {
     socketPort: 8080,
+    // Concurrent engine workers; worker N listens on socketPort + N.
+    enginePoolSize: 2,
     javaPath: '',
     projectRoot: PROJECT_ROOT,
     screenshotPath: 'logs/game.png',
@@ -34,6 +36,11 @@ const DEFAULT_CONFIG = {
     // Legion (CUDA). Default is a local placeholder; the real endpoint is the
     // Tailscale host, set via LEGION_VLLM_URL or config.json.
     apiUrl: 'http://localhost:8000/v1/chat/completions'
+  },
+  llm: {
+    // Stream provider replies so async play can commit the action as soon as
+    // it appears. LLM_STREAMING_DISABLED=1 is the runtime kill switch.
+    streaming: true
   }
 };
 
@@ -85,6 +92,10 @@ function applyEnvOverrides(config, env = process.env) {
     const socketPort = Number.parseInt(env.GVGAI_SOCKET_PORT, 10);
     if (Number.isInteger(socketPort) && socketPort > 0) next.gvgai.socketPort = socketPort;
   }
+  if (env.GVGAI_ENGINE_POOL_SIZE) {
+    const poolSize = Number.parseInt(env.GVGAI_ENGINE_POOL_SIZE, 10);
+    if (Number.isInteger(poolSize) && poolSize > 0) next.gvgai.enginePoolSize = poolSize;
+  }
   if (env.GVGAI_RUNTIME_ROOT) next.gvgai.runtimeRoot = env.GVGAI_RUNTIME_ROOT;
 
   if (env.LEGION_VLLM_URL) {
@@ -1,9 +1,16 @@
 const path = require('path');
 
-function resolveScreenshotPath(gvgaiConfig) {
+// Worker 0 keeps the configured file so a single-engine setup writes exactly
+// where it always has; every other pool worker gets its own numbered sibling
+// (game.png -> game-1.png) so concurrent engines never overwrite each other.
+function resolveScreenshotPath(gvgaiConfig, workerIndex = 0) {
   const root = gvgaiConfig.projectRoot || process.cwd();
-  const screenshotPath = gvgaiConfig.screenshotPath || 'gameStateByBytes.png';
-  return path.resolve(root, screenshotPath);
+  const screenshotPath = path.resolve(root, gvgaiConfig.screenshotPath || 'gameStateByBytes.png');
+  if (!Number.isInteger(workerIndex) || workerIndex <= 0) return screenshotPath;
+
+  const ext = path.extname(screenshotPath);
+  const base = screenshotPath.slice(0, screenshotPath.length - ext.length);
+  return `${base}-${workerIndex}${ext}`;
 }
 
 module.exports = {
@@ -1,6 +1,7 @@
 // Convert GVGAI SerializableStateObservation to LLM prompt
 const { renderAsciiGrid, detectBackgroundItypes, DEFAULT_LEGEND } = require('./grid-renderer');
 const { buildCodePrompt } = require('./code-protocol');
+const { buildActionTool, ACTION_TOOL_NAME } = require('./tool-protocol');
 const { buildTraceSummary } = require('./trace-summary-builder');
 
 // Rolling game state tracker for iterative, context-aware prompts.
@@ -463,6 +464,12 @@ function resolveTemplate(templateContent, sso, extraVars) {
 // Returns { systemMessage, userMessage } for multi-message API call
 // Optional stateTracker provides rolling history context
 // Optional sessionStrategy is an ephemeral, per-session player directive (never persisted)
+const OBSERVATION_MODES = ['ascii', 'image', 'both'];
+
+function normalizeObservationMode(value) {
+  return OBSERVATION_MODES.includes(value) ? value : 'ascii';
+}
+
 function buildPrompt(sso, promptConfig, stateTracker, sessionStrategy) {
   if (!promptConfig) {
     // Fallback to legacy single-message prompt
@@ -483,7 +490,13 @@ function buildPrompt(sso, promptConfig, stateTracker, sessionStrategy) {
   const bgItypes = stateTracker ? stateTracker.backgroundItypes : null;
   const asciiGrid = renderAsciiGrid(sso, gameSymbolMap, bgItypes);
 
-  const extraVars = { gameName: promptConfig.gameName, asciiGrid: asciiGrid || '' };
+  // Vision observation: 'image' swaps the ASCII map for the attached frame,
+  // 'both' sends the two side by side. llm-client only passes image/both when
+  // the model is vision-capable and a complete frame is on disk.
+  const observationMode = normalizeObservationMode(promptConfig.observationMode);
+  const showGrid = observationMode !== 'image';
+
+  const extraVars = { gameName: promptConfig.gameName, asciiGrid: showGrid ? asciiGrid || '' : '' };
 
   // Layer 1: System prompt
   const systemMessage = resolveTemplate(promptConfig.systemContent, sso, extraVars);
@@ -529,9 +542,12 @@ function buildPrompt(sso, promptConfig, stateTracker, sessionStrategy) {
   // Layer 6b: ASCII grid map (full spatial layout)
   // Orientation legend removes a common confusion about which way UP moves on the grid.
   const legend = promptConfig.gridLegend || DEFAULT_LEGEND;
-  const gridContext = asciiGrid
+  const gridContext = asciiGrid && showGrid
     ? `Map — row 0 = top, col 0 = left, @ = you (${legend}):\n${asciiGrid}`
     : '';
+  const frameContext = observationMode === 'ascii'
+    ? ''
+    : 'Screen — the attached image is the rendered game frame for this tick (UP moves toward the top of the image).';
 
   // Layer 7: Per-tick state (always auto-generated)
   const actions = sso.availableActions || ['ACTION_NIL'];
@@ -565,9 +581,19 @@ function buildPrompt(sso, promptConfig, stateTracker, sessionStrategy) {
   // ask for a PLAN the executor will ignore.
   const macro = narrate && promptConfig.macroActions && promptConfig.macroActions.enabled &&
     process.env.MACRO_ACTIONS_DISABLED !== '1';
+  // Tool-calling mode hands the action list to the provider as a function
+  // schema; the closing line only has to point at the tool. The ACTION:/PLAN:
+  // fallback keeps replies parseable on providers that drop the tools field.
+  const tools = promptConfig.responseMode === 'tools';
+  const maxSteps = macro ? promptConfig.macroActions.maxSteps || 4 : 1;
   let closing;
-  if (macro) {
-    const maxSteps = promptConfig.macroActions.maxSteps || 4;
+  if (tools) {
+    const toolFields = macro
+      ? `action and plan (${maxSteps} actions when the path is safe, never fewer than 2)`
+      : 'action';
+    closing = `Call the ${ACTION_TOOL_NAME} tool with your ${toolFields}${narrate ? ", and say in reason how this move follows the player's tactic" : ''}.
+If you cannot call tools, reply with ${macro ? 'PLAN: <comma-separated actions>' : 'ACTION: <one action from the list above>'} instead.`;
+  } else if (macro) {
     // Bias toward full-length plans ("1 to N" or "2 to N" phrasings invite
     // single-step replies, which leave the executor idle through the provider
     // gap) and show an example built from this game's own action labels.
@@ -586,13 +612,14 @@ ACTION: <one action from the list above>`;
     closing = `Choose ONE action. Respond with ONLY the action word.`;
   }
 
+  const playersLine = describePlayers(sso);
   const tickState = `Current State — Score: ${sso.gameScore || 0} | Health: ${sso.avatarHealthPoints || 100} | Tick: ${sso.gameTick || 0}${displayLastAction ? ` | Last action: ${displayLastAction}` : ''}
-${spatialContext ? spatialContext + '\n' : ''}Available actions: ${displayActions.join(', ')}
+${playersLine ? playersLine + '\n' : ''}${spatialContext ? spatialContext + '\n' : ''}Available actions: ${displayActions.join(', ')}
 ${loopWarning ? '\n' + loopWarning + '\n' : ''}${stagnationWarning ? '\n' + stagnationWarning + '\n' : ''}
 ${closing}`;
 
   // Combine layers into user message
-  const userMessage = [gameContext, traceLayer, levelContext, strategyLayer, historyContext, gridContext, tickState]
+  const userMessage = [gameContext, traceLayer, levelContext, strategyLayer, historyContext, frameContext, gridContext, tickState]
     .filter(Boolean)
     .join('\n\n');
 
@@ -605,11 +632,33 @@ ${closing}`;
     { name: 'Progression', text: levelContext },
     { name: 'Player tactic', text: strategyLayer },
     { name: 'History', text: historyContext },
+    { name: 'Frame', text: frameContext },
     { name: 'Spatial + grid', text: gridContext },
     { name: 'Tick state', text: tickState }
   ].filter(layer => layer.text && layer.text.trim());
 
-  return { systemMessage, userMessage, promptLayers };
+  const prompt = { systemMessage, userMessage, promptLayers };
+  if (observationMode !== 'ascii') prompt.observationMode = observationMode;
+  if (tools) {
+    prompt.responseMode = 'tools';
+    prompt.tools = buildActionTool(actions, { actionAliases, narrate, maxPlanSteps: maxSteps });
+  }
+  return prompt;
+}
+
+// Two-player games: which avatar the model drives and how the scores stand.
+// Players are numbered from 1 in the prompt (playerID 0 is "player 1").
+function describePlayers(sso) {
+  if (!sso || !(sso.noOfPlayers > 1) || !Number.isInteger(sso.playerID)) return '';
+  const scores = Array.isArray(sso.playerScores) ? sso.playerScores : [];
+  const opponents = scores
+    .map((score, id) => ({ score, id }))
+    .filter(entry => entry.id !== sso.playerID)
+    .map(entry => `player ${entry.id + 1}: ${entry.score || 0}`);
+  const standing = opponents.length > 0
+    ? ` Scores — you: ${scores[sso.playerID] ?? sso.gameScore ?? 0}, ${opponents.join(', ')}.`
+    : '';
+  return `You are player ${sso.playerID + 1} of ${sso.noOfPlayers}; the other avatar is your opponent.${standing}`;
 }
 
 // Compute a coarse strategy-adherence signal from the run log, with no extra LLM call.
@@ -698,6 +747,9 @@ module.exports = {
   buildPrompt,
   extractSpatialContext,
   computeAdherence,
+  describePlayers,
   sanitizeStrategy,
+  normalizeObservationMode,
+  OBSERVATION_MODES,
   GameStateTracker
 };
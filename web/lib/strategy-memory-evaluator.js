@@ -16,6 +16,7 @@ const {
   upsertMemoryForGame,
   updateMemoryEvaluation
 } = require('./strategy-memory-store');
+const { bootstrapMean, pairedSignFlipTest, recommendedSampleSize } = require('./eval-stats');
 
 const BASELINE_VARIANT = 'baseline';
 const DIGEST_VARIANT = 'digest-memory';
@@ -23,6 +24,10 @@ const DEFAULT_SCORE_GAIN = 1;
 const DEFAULT_TICK_GAIN = 25;
 const DEFAULT_PROMPT_MAX_RATIO = 1.05;
 const DEFAULT_PROMPT_DROP_RATIO = 0.15;
+const DEFAULT_ALPHA = 0.05;
+// Score, ticks and win rate are each tested; Bonferroni keeps the chance that
+// noise alone passes the gameplay gate at alpha.
+const GAMEPLAY_METRICS = 3;
 
 function mean(values) {
   const clean = values.filter(Number.isFinite);
@@ -118,9 +123,13 @@ function enrichResultsWithPromptMetrics(results, cases, variant, memoryRecordsBy
   });
 }
 
+// Baseline and digest runs rebuild the same plan, so each case carries the same
+// derived seed in both variants; keying pairs on it means a pair is only ever
+// compared under identical engine RNG conditions.
 function pairKey(result) {
   return [
     result.runId,
+    result.seed ?? '',
     result.gameId,
     result.levelId,
     result.modelId,
@@ -138,17 +147,52 @@ function groupByGame(results) {
   return groups;
 }
 
+function isWin(result) {
+  return result.won || result.winner === 'PLAYER_WINS' ? 1 : 0;
+}
+
 function summarizeVariant(results) {
+  const scores = results.map(result => Number(result.finalScore || 0));
+  const ticks = results.map(result => Number(result.ticks || 0));
+  const wins = results.map(isWin);
   return {
     runs: results.length,
-    meanScore: mean(results.map(result => Number(result.finalScore || 0))),
-    meanTicks: mean(results.map(result => Number(result.ticks || 0))),
-    winRate: results.length > 0 ? results.filter(result => result.won || result.winner === 'PLAYER_WINS').length / results.length : 0,
+    meanScore: mean(scores),
+    meanTicks: mean(ticks),
+    winRate: results.length > 0 ? mean(wins) : 0,
+    intervals: {
+      score: bootstrapMean(scores).ci95,
+      ticks: bootstrapMean(ticks).ci95,
+      winRate: bootstrapMean(wins).ci95
+    },
     nilLoopRate: results.length > 0 ? results.filter(result => result.nilActionLoop).length / results.length : 0,
     meanPromptChars: mean(results.map(result => Number(result.promptChars || result.promptMetrics?.promptChars || 0)))
   };
 }
 
+// Paired per-metric tests over the runs both variants played under the same
+// seed. Score and tick recommendations aim at the gate's own gain thresholds;
+// win rate at the gain observed so far.
+function pairedSignificance(pairs, gains, alpha) {
+  const metricAlpha = alpha / GAMEPLAY_METRICS;
+  const diffs = {
+    score: pairs.map(([baseline, digest]) => Number(digest.finalScore || 0) - Number(baseline.finalScore || 0)),
+    ticks: pairs.map(([baseline, digest]) => Number(digest.ticks || 0) - Number(baseline.ticks || 0)),
+    winRate: pairs.map(([baseline, digest]) => isWin(digest) - isWin(baseline))
+  };
+  const significance = { alpha, metricAlpha, pairs: pairs.length };
+  for (const [metric, values] of Object.entries(diffs)) {
+    const test = pairedSignFlipTest(values);
+    const effect = metric === 'winRate' ? test.meanDiff : gains[metric];
+    significance[metric] = {
+      ...test,
+      significant: test.pValue <= metricAlpha,
+      recommendedPairs: recommendedSampleSize(values, effect, { alpha: metricAlpha })
+    };
+  }
+  return significance;
+}
+
 function compareGameGate(gameId, baselineResults, digestResults, baselineErrors, digestErrors, thresholds = {}) {
   // Per-class gate thresholds: explicit options win, then the archetype's
   // memoryGate entry in class-defaults.json, then the code defaults. Puzzle
@@ -161,6 +205,7 @@ function compareGameGate(gameId, baselineResults, digestResults, baselineErrors,
   const tickGain = Number(thresholds.tickGain ?? classGate.tickGain ?? DEFAULT_TICK_GAIN);
   const promptMaxRatio = Number(thresholds.promptMaxRatio ?? classGate.promptMaxRatio ?? DEFAULT_PROMPT_MAX_RATIO);
   const promptDropRatio = Number(thresholds.promptDropRatio ?? classGate.promptDropRatio ?? DEFAULT_PROMPT_DROP_RATIO);
+  const alpha = Number(thresholds.alpha ?? classGate.alpha ?? DEFAULT_ALPHA);
   const baselineByPair = new Map(baselineResults.map(result => [pairKey(result), result]));
   const digestByPair = new Map(digestResults.map(result => [pairKey(result), result]));
   const reasons = [];
@@ -178,6 +223,11 @@ function compareGameGate(gameId, baselineResults, digestResults, baselineErrors,
     ? (baseline.meanPromptChars - digest.meanPromptChars) / baseline.meanPromptChars
     : 0;
 
+  const pairs = [...digestByPair]
+    .filter(([key]) => baselineByPair.has(key))
+    .map(([key, digestResult]) => [baselineByPair.get(key), digestResult]);
+  const significance = pairedSignificance(pairs, { score: scoreGain, ticks: tickGain }, alpha);
+
   if (digestErrors.length > baselineErrors.length) {
     blockers.push(`higher error count (${digestErrors.length} vs ${baselineErrors.length})`);
   }
@@ -197,10 +247,16 @@ function compareGameGate(gameId, baselineResults, digestResults, baselineErrors,
     blockers.push(`prompt chars ratio ${promptRatio.toFixed(2)} exceeds ${promptMaxRatio.toFixed(2)}`);
   }
 
-  const gameplayGain =
+  // A gain only counts when the paired test backs it, so one lucky run (or a
+  // handful) cannot promote a memory on its own.
+  const rawGameplayGain =
     scoreDelta >= scoreGain ||
     tickDelta >= tickGain ||
     winRateDelta > 0;
+  const gameplayGain =
+    (scoreDelta >= scoreGain && significance.score.significant) ||
+    (tickDelta >= tickGain && significance.ticks.significant) ||
+    (winRateDelta > 0 && significance.winRate.significant);
   const gameplayEqual =
     Math.abs(scoreDelta) < scoreGain &&
     Math.abs(tickDelta) < tickGain &&
@@ -210,7 +266,19 @@ function compareGameGate(gameId, baselineResults, digestResults, baselineErrors,
   if (gameplayGain) reasons.push('gameplay gain');
   if (gameplayEqual && efficiencyGain) reasons.push('equal gameplay with prompt reduction');
   if (!gameplayGain && !(gameplayEqual && efficiencyGain)) {
-    blockers.push('no marked gameplay or efficiency gain');
+    if (rawGameplayGain) {
+      const gained = [
+        scoreDelta >= scoreGain && significance.score,
+        tickDelta >= tickGain && significance.ticks,
+        winRateDelta > 0 && significance.winRate
+      ].filter(Boolean);
+      const pValue = Math.min(...gained.map(metric => metric.pValue));
+      const needed = Math.min(...gained.map(metric => metric.recommendedPairs || Infinity));
+      const hint = Number.isFinite(needed) ? `; about ${needed} recommended` : '';
+      blockers.push(`gameplay gain not significant (p=${pValue} over ${pairs.length} paired runs${hint})`);
+    } else {
+      blockers.push('no marked gameplay or efficiency gain');
+    }
   }
 
   const accepted = blockers.length === 0;
@@ -225,10 +293,12 @@ function compareGameGate(gameId, baselineResults, digestResults, baselineErrors,
       scoreGain,
       tickGain,
       promptMaxRatio,
-      promptDropRatio
+      promptDropRatio,
+      alpha
     },
     baseline,
     digest,
+    significance,
     deltas: {
       scoreDelta,
       tickDelta,
@@ -336,6 +406,7 @@ async function evaluateStrategyMemory(options = {}) {
     {
       variant: BASELINE_VARIANT,
       runId: evalCase.runId,
+      seed: evalCase.seed ?? null,
       gameId: evalCase.gameId,
       modelId: evalCase.modelId,
       strategyId: evalCase.strategyId,
@@ -344,6 +415,7 @@ async function evaluateStrategyMemory(options = {}) {
     {
       variant: DIGEST_VARIANT,
       runId: evalCase.runId,
+      seed: evalCase.seed ?? null,
       gameId: evalCase.gameId,
       modelId: evalCase.modelId,
       strategyId: evalCase.strategyId,
@@ -411,6 +483,7 @@ module.exports = {
   DEFAULT_TICK_GAIN,
   DEFAULT_PROMPT_MAX_RATIO,
   DEFAULT_PROMPT_DROP_RATIO,
+  DEFAULT_ALPHA,
   measurePromptForCase,
   compareGameGate,
   comparePairedResults,
@@ -0,0 +1,123 @@
+// Tool-calling response mode: the legal actions go to the provider as an
+// OpenAI-style function schema and the model answers with a structured call
+// instead of free text. Providers without function calling (or a model that
+// ignores the tool) still produce text, which response-parser handles as before.
+
+const { parseActionDetailed } = require('./response-parser');
+
+const ACTION_TOOL_NAME = 'choose_action';
+
+// Providers whose chat endpoint accepts `tools`. Ollama goes through its native
+// /api/chat (not the OpenAI-compat URL) when tools are requested.
+const TOOL_PROVIDERS = new Set(['openrouter', 'ollama-cloud', 'ollama-local']);
+
+function supportsTools(provider) {
+  return TOOL_PROVIDERS.has(provider);
+}
+
+// One function whose `action` enum is exactly the legal action list. Macro
+// games also get a `plan` array (front-first, like a PLAN: line).
+function buildActionTool(availableActions, options = {}) {
+  const actions = availableActions && availableActions.length > 0 ? availableActions : ['ACTION_NIL'];
+  const aliases = options.actionAliases || null;
+  const labels = aliases
+    ? actions.map(action => (aliases[action] ? `${action} (${aliases[action]})` : action)).join(', ')
+    : actions.join(', ');
+  const properties = {
+    reason: {
+      type: 'string',
+      description: options.narrate
+        ? "One short sentence; say how this move follows the player's tactic."
+        : 'One short sentence explaining the move.'
+    },
+    action: {
+      type: 'string',
+      enum: actions,
+      description: `The action to take this tick. Legal actions: ${labels}.`
+    }
+  };
+  const required = ['action'];
+  if (options.maxPlanSteps > 1) {
+    properties.plan = {
+      type: 'array',
+      items: { type: 'string', enum: actions },
+      minItems: 1,
+      maxItems: options.maxPlanSteps,
+      description: `Up to ${options.maxPlanSteps} actions to execute in order; the first must equal action.`
+    };
+  }
+  if (options.narrate) required.unshift('reason');
+
+  return [{
+    type: 'function',
+    function: {
+      name: ACTION_TOOL_NAME,
+      description: 'Choose the next move for the avatar.',
+      parameters: { type: 'object', properties, required }
+    }
+  }];
+}
+
+function readArguments(call) {
+  const args = call && call.function ? call.function.arguments : null;
+  if (args && typeof args === 'object') return args;
+  if (typeof args !== 'string' || !args.trim()) return null;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return null;
+  }
+}
+
+// Read the choose_action call back into parseStructured's shape. Returns null
+// when there is no usable call so the caller can fall back to the text parser.
+function parseToolCall(toolCalls, availableActions, options = {}) {
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) return null;
+  const call = toolCalls.find(candidate => candidate?.function?.name === ACTION_TOOL_NAME) || null;
+  const args = readArguments(call);
+  if (!args || typeof args.action !== 'string') return null;
+
+  // Not every provider enforces the enum, so the value still goes through the
+  // action matcher (ACTION_SHOOT -> ACTION_USE and friends).
+  const meta = parseActionDetailed(args.action, availableActions, options.actionCodeMap || null);
+  if (!meta.matched) return null;
+
+  const maxPlanSteps = options.maxPlanSteps || 1;
+  const plan = [];
+  if (maxPlanSteps > 1 && Array.isArray(args.plan)) {
+    for (const step of args.plan) {
+      if (plan.length >= maxPlanSteps) break;
+      if (typeof step !== 'string') continue;
+      const stepMeta = parseActionDetailed(step, availableActions, options.actionCodeMap || null);
+      if (stepMeta.matched) plan.push(stepMeta.action);
+    }
+  }
+  if (plan.length === 0 || plan[0] !== meta.action) plan.unshift(meta.action);
+
+  return {
+    action: meta.action,
+    reason: typeof args.reason === 'string' ? args.reason.trim().replace(/\s+/g, ' ').slice(0, 200) : '',
+    plan: plan.slice(0, Math.max(1, maxPlanSteps)),
+    valid: true,
+    source: 'tool-call',
+    planSource: plan.length > 1 ? 'tool-call' : 'single-action'
+  };
+}
+
+// Readable stand-in for the reply text when the model answered with a call
+// only (reasoning panel, telemetry response field).
+function formatToolCalls(toolCalls) {
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) return '';
+  return toolCalls.map((call) => {
+    const args = readArguments(call);
+    return `${call?.function?.name || 'unknown'}(${args ? JSON.stringify(args) : ''})`;
+  }).join('\n');
+}
+
+module.exports = {
+  ACTION_TOOL_NAME,
+  buildActionTool,
+  formatToolCalls,
+  parseToolCall,
+  supportsTools
+};
@@ -0,0 +1,475 @@
+'use strict';
+
+// Tournament mode: round-robin brackets over models x games x levels, played
+// with the batch evaluator's runEvalCase on leased engine workers, with
+// ratings rebuilt from every finished bracket so rankings accumulate across
+// tournaments instead of coming from one-off scripts.
+//
+// A "board" is one game, level, strategy and round. Every model in the
+// tournament plays it under the same engine seed; once all have played, each
+// pair of models on the board counts as one match for Elo and TrueSkill
+// (lib/ratings.js). Tournaments persist to web/data/tournaments.json after
+// every case, so a restart interrupts a tournament rather than losing it.
+//
+// Singleton configured from startServer() with { io, enginePool, telemetry };
+// tests inject storePath, buildPlan and runCase.
+
+const fs = require('fs');
+const path = require('path');
+const { buildBatchPlan, runEvalCase } = require('./batch-evaluator');
+const { DEFAULT_STRATEGIES } = require('./eval-plan');
+const { isBaselineModel } = require('./models');
+const { deriveSeed, resolveSeed } = require('./run-seed');
+const { rateMatches } = require('./ratings');
+
+const WEB_ROOT = path.join(__dirname, '..');
+const DEFAULT_STRATEGY_IDS = ['points'];
+const DEFAULT_MAX_ACTIONS = 40;
+const MAX_ROUNDS = 10;
+const MAX_CASES = 2000;
+
+class TournamentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TournamentError';
+    this.code = code;
+  }
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function toList(value) {
+  if (value == null || value === '') return [];
+  return Array.isArray(value) ? value : String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+// Baselines play without a strategy; boardStrategyId seats them on the board
+// of the strategy cases they are rated against.
+function boardKey(evalCase) {
+  const strategyId = evalCase.boardStrategyId ?? evalCase.strategyId;
+  return `g${evalCase.gameId}-l${evalCase.levelId}-${strategyId}-r${evalCase.round}`;
+}
+
+// The plan gives a baseline one case per level, with no strategy. In a
+// tournament it plays every strategy's board, under that board's seed.
+function boardCases(planCase, strategies) {
+  if (!isBaselineModel(planCase.modelId) || planCase.strategyId != null) return [planCase];
+  return strategies.map((strategy, index) => ({
+    ...planCase,
+    runId: `${planCase.runId}-s${index}`,
+    boardStrategyId: strategy.id
+  }));
+}
+
+// 1 when a did better than b, 0 when worse, 0.5 for a tie. A win beats a loss;
+// then score; then ticks (sooner among winners, longer survival otherwise).
+function compareResults(a, b) {
+  if (Boolean(a.won) !== Boolean(b.won)) return a.won ? 1 : 0;
+  const scoreA = Number(a.finalScore || 0);
+  const scoreB = Number(b.finalScore || 0);
+  if (scoreA !== scoreB) return scoreA > scoreB ? 1 : 0;
+  const ticksA = Number(a.ticks || 0);
+  const ticksB = Number(b.ticks || 0);
+  if (ticksA === ticksB) return 0.5;
+  return (a.won ? ticksA < ticksB : ticksA > ticksB) ? 1 : 0;
+}
+
+// Pairwise matches from every board whose cases have all finished, in the
+// order the boards finished. Failed cases (provider errors) are no evidence
+// either way, so that model sits the board out.
+function boardMatches(tournament) {
+  const boards = new Map();
+  for (const evalCase of tournament.cases) {
+    const key = boardKey(evalCase);
+    if (!boards.has(key)) boards.set(key, { gameId: evalCase.gameId, levelId: evalCase.levelId, cases: [] });
+    boards.get(key).cases.push(evalCase);
+  }
+
+  const finished = [];
+  for (const [key, board] of boards) {
+    const results = board.cases.map(evalCase => tournament.results[evalCase.runId]);
+    if (results.some(result => !result)) continue;
+    const played = results.filter(result => !result.error).sort((x, y) => x.modelId.localeCompare(y.modelId));
+    const matches = [];
+    for (let i = 0; i < played.length; i++) {
+      for (let j = i + 1; j < played.length; j++) {
+        matches.push({ a: played[i].modelId, b: played[j].modelId, outcome: compareResults(played[i], played[j]), gameId: board.gameId });
+      }
+    }
+    const completedAt = results.map(result => result.completedAt).sort().pop();
+    finished.push({ key, gameId: board.gameId, levelId: board.levelId, completedAt, matches });
+  }
+  return finished;
+}
+
+class TournamentManager {
+  constructor() {
+    this.configured = false;
+    this.activeId = null;
+    this._cancelRequested = false;
+    this._leaseWait = null;
+    this._running = null;
+    this._counter = 0;
+  }
+
+  configure(deps = {}) {
+    this.io = deps.io || null;
+    this.telemetry = deps.telemetry || require('./telemetry-store');
+    this.enginePool = deps.enginePool || require('./engine-pool');
+    this.storePath = deps.storePath || path.join(WEB_ROOT, 'data', 'tournaments.json');
+    this.buildPlan = deps.buildPlan || buildBatchPlan;
+    this.runCase = deps.runCase || runEvalCase;
+    this.caseOptions = deps.caseOptions || {};
+    this.configured = true;
+
+    // A tournament that was running when the process stopped can be resumed.
+    const store = this._read();
+    let interrupted = false;
+    for (const tournament of store.tournaments) {
+      if (tournament.status === 'running') {
+        tournament.status = 'interrupted';
+        interrupted = true;
+      }
+    }
+    if (interrupted) this._write(store);
+    return this;
+  }
+
+  _ensureConfigured() {
+    if (!this.configured) this.configure();
+  }
+
+  _read() {
+    const data = readJson(this.storePath, null);
+    return { tournaments: Array.isArray(data?.tournaments) ? data.tournaments : [] };
+  }
+
+  _write(store) {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify({ ...store, updatedAt: new Date().toISOString() }, null, 2) + '\n');
+  }
+
+  _find(store, id) {
+    const tournament = store.tournaments.find(entry => entry.id === id);
+    if (!tournament) throw new TournamentError('TOURNAMENT_NOT_FOUND', `Tournament ${id} not found`);
+    return tournament;
+  }
+
+  _save(tournament) {
+    const store = this._read();
+    const index = store.tournaments.findIndex(entry => entry.id === tournament.id);
+    if (index === -1) store.tournaments.push(tournament);
+    else store.tournaments[index] = tournament;
+    this._write(store);
+  }
+
+  _summary(tournament) {
+    const total = tournament.cases.length;
+    const completed = Object.keys(tournament.results).length;
+    const failed = Object.values(tournament.results).filter(result => result.error).length;
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      status: tournament.status,
+      createdAt: tournament.createdAt,
+      startedAt: tournament.startedAt,
+      finishedAt: tournament.finishedAt,
+      seed: tournament.seed,
+      modelIds: tournament.modelIds,
+      gameIds: tournament.gameIds,
+      levelIds: tournament.levelIds,
+      strategyIds: tournament.strategyIds,
+      rounds: tournament.rounds,
+      progress: { completed, failed, total }
+    };
+  }
+
+  list() {
+    this._ensureConfigured();
+    return this._read().tournaments.map(tournament => this._summary(tournament));
+  }
+
+  get(id) {
+    this._ensureConfigured();
+    const tournament = this._find(this._read(), id);
+    const boards = boardMatches(tournament);
+    return {
+      ...this._summary(tournament),
+      boards: boards.map(({ key, gameId, levelId, completedAt, matches }) => ({ key, gameId, levelId, completedAt, matchCount: matches.length })),
+      standings: this._withNames(rateMatches(boards.flatMap(board => board.matches)), [tournament]),
+      cases: tournament.cases.map(evalCase => ({
+        runId: evalCase.runId,
+        board: boardKey(evalCase),
+        modelId: evalCase.modelId,
+        gameId: evalCase.gameId,
+        levelId: evalCase.levelId,
+        result: tournament.results[evalCase.runId] || null
+      }))
+    };
+  }
+
+  // Schedule every model on every board. Boards share one derived seed, so
+  // the models in a bracket face identical engine randomness.
+  create(options = {}) {
+    this._ensureConfigured();
+    const rounds = Number.parseInt(options.rounds ?? 1, 10);
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+      throw new TournamentError('INVALID_TOURNAMENT', `rounds must be 1-${MAX_ROUNDS}`);
+    }
+    const strategyIds = toList(options.strategyIds).length > 0 ? toList(options.strategyIds) : DEFAULT_STRATEGY_IDS;
+    const strategies = strategyIds.map(id => DEFAULT_STRATEGIES.find(strategy => strategy.id === id));
+    if (strategies.some(strategy => !strategy)) {
+      throw new TournamentError('INVALID_TOURNAMENT', `strategyIds must be from ${DEFAULT_STRATEGIES.map(strategy => strategy.id).join(', ')}`);
+    }
+    const levelIds = toList(options.levelIds).map(Number).filter(Number.isInteger);
+    const seed = resolveSeed(options.seed);
+    const id = `tourn-${Date.now().toString(36)}-${++this._counter}`;
+
+    const cases = [];
+    const seen = new Set();
+    for (let round = 1; round <= rounds; round++) {
+      for (const levelId of levelIds.length > 0 ? levelIds : [0]) {
+        const plan = this.buildPlan({
+          gameIds: toList(options.gameIds).map(Number).filter(Number.isInteger),
+          gameCount: options.gameCount,
+          modelIds: toList(options.modelIds),
+          levelId,
+          strategies,
+          seed
+        });
+        if (plan.modelIds.length < 2) {
+          throw new TournamentError('INVALID_TOURNAMENT', 'A tournament needs at least two models');
+        }
+        for (const boardCase of plan.cases.flatMap(planCase => boardCases(planCase, strategies))) {
+          const evalCase = { ...boardCase, round };
+          const key = boardKey(evalCase);
+          const runId = `${id}-${boardCase.runId}-r${round}`;
+          // A game without the requested level falls back to its default one,
+          // which may already be scheduled.
+          if (seen.has(runId)) continue;
+          seen.add(runId);
+          cases.push({ ...evalCase, runId, seed: deriveSeed(seed, key) });
+        }
+      }
+    }
+    if (cases.length > MAX_CASES) {
+      throw new TournamentError('INVALID_TOURNAMENT', `${cases.length} cases is over the ${MAX_CASES}-case limit; pick fewer models, games, levels or rounds`);
+    }
+
+    const tournament = {
+      id,
+      name: String(options.name || '').trim().slice(0, 80) || `Tournament ${new Date().toISOString().slice(0, 10)}`,
+      status: 'scheduled',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      seed,
+      modelIds: [...new Set(cases.map(evalCase => evalCase.modelId))],
+      gameIds: [...new Set(cases.map(evalCase => evalCase.gameId))],
+      levelIds: [...new Set(cases.map(evalCase => evalCase.levelId))],
+      strategyIds,
+      rounds,
+      maxActions: Number.parseInt(options.maxActions, 10) || DEFAULT_MAX_ACTIONS,
+      cases,
+      results: {}
+    };
+    this._save(tournament);
+    this.telemetry.track({
+      eventFamily: 'evaluation',
+      eventType: 'tournament_created',
+      source: 'tournament',
+      runId: id,
+      payload: { seed, models: tournament.modelIds, games: tournament.gameIds, levels: tournament.levelIds, rounds },
+      metrics: { cases: cases.length }
+    });
+    if (options.start !== false) this.start(id);
+    return this._summary(this._find(this._read(), id));
+  }
+
+  // One tournament at a time: each case holds an engine worker and a CPU.
+  start(id) {
+    this._ensureConfigured();
+    const tournament = this._find(this._read(), id);
+    if (this.activeId) {
+      throw new TournamentError('TOURNAMENT_RUNNING', `Tournament ${this.activeId} is already running`);
+    }
+    if (tournament.status === 'completed') {
+      throw new TournamentError('TOURNAMENT_FINISHED', `Tournament ${id} has already finished`);
+    }
+    tournament.status = 'running';
+    tournament.startedAt = tournament.startedAt || new Date().toISOString();
+    this._save(tournament);
+    this.activeId = id;
+    this._cancelRequested = false;
+    this._emitProgress(tournament);
+    this._running = this._run(id).catch((error) => {
+      console.error(`[Tournament] ${id} stopped:`, error);
+      const failed = this._read().tournaments.find(entry => entry.id === id);
+      if (failed) {
+        failed.status = 'interrupted';
+        this._save(failed);
+      }
+    }).finally(() => {
+      this.activeId = null;
+    });
+    return this._summary(tournament);
+  }
+
+  cancel(id) {
+    this._ensureConfigured();
+    const tournament = this._find(this._read(), id);
+    if (this.activeId === id) {
+      // The case in flight finishes; the loop stops before the next one.
+      this._cancelRequested = true;
+      this._leaseWait?.abort();
+      return { ...this._summary(tournament), status: 'cancelling' };
+    }
+    if (tournament.status === 'completed') {
+      throw new TournamentError('TOURNAMENT_FINISHED', `Tournament ${id} has already finished`);
+    }
+    tournament.status = 'cancelled';
+    tournament.finishedAt = new Date().toISOString();
+    this._save(tournament);
+    return this._summary(tournament);
+  }
+
+  // Wait in the pool's line; the next released worker comes here.
+  async _leaseWorker(runId) {
+    this._leaseWait = new AbortController();
+    try {
+      return await this.enginePool.waitFor({ runId, source: 'tournament' }, { signal: this._leaseWait.signal });
+    } finally {
+      this._leaseWait = null;
+    }
+  }
+
+  // Only cancel() ends a tournament early as 'cancelled'. When the engine pool
+  // shuts down under it (no lease, or the lease taken mid-case) it stops as
+  // 'interrupted', without the cut case, and start() resumes it.
+  async _run(id) {
+    const pending = this._find(this._read(), id).cases;
+    let interrupted = false;
+    for (const evalCase of pending) {
+      if (this._cancelRequested) break;
+      if (this._find(this._read(), id).results[evalCase.runId]) continue;
+      const worker = await this._leaseWorker(evalCase.runId);
+      if (!worker) {
+        interrupted = !this._cancelRequested;
+        break;
+      }
+
+      let record;
+      try {
+        const result = await this.runCase(evalCase, {
+          ...this.caseOptions,
+          maxActions: this._find(this._read(), id).maxActions,
+          engine: { port: worker.port, screenshotPath: worker.screenshotPath }
+        });
+        record = {
+          modelId: evalCase.modelId,
+          modelName: evalCase.modelName,
+          gameId: evalCase.gameId,
+          gameName: evalCase.gameName,
+          levelId: evalCase.levelId,
+          finalScore: Number(result.finalScore || 0),
+          won: result.won === true,
+          winner: result.winner || null,
+          ticks: Number(result.ticks || 0),
+          error: null,
+          completedAt: new Date().toISOString()
+        };
+      } catch (error) {
+        record = {
+          modelId: evalCase.modelId,
+          modelName: evalCase.modelName,
+          gameId: evalCase.gameId,
+          gameName: evalCase.gameName,
+          levelId: evalCase.levelId,
+          error: error.message,
+          completedAt: new Date().toISOString()
+        };
+      } finally {
+        if (this.enginePool.release(worker) === false) interrupted = !this._cancelRequested;
+      }
+      if (interrupted) break;
+
+      const tournament = this._find(this._read(), id);
+      tournament.results[evalCase.runId] = record;
+      this._save(tournament);
+      this.telemetry.track({
+        eventFamily: 'evaluation',
+        eventType: record.error ? 'tournament_case_failed' : 'tournament_case_completed',
+        source: 'tournament',
+        runId: evalCase.runId,
+        gameId: evalCase.gameId,
+        levelId: evalCase.levelId,
+        modelId: evalCase.modelId,
+        payload: { tournamentId: id, board: boardKey(evalCase), seed: evalCase.seed, error: record.error },
+        metrics: record.error ? {} : { final_score: record.finalScore, ticks: record.ticks }
+      });
+      this._emitProgress(tournament);
+    }
+
+    const tournament = this._find(this._read(), id);
+    const done = tournament.cases.every(evalCase => tournament.results[evalCase.runId]);
+    if (done) tournament.status = 'completed';
+    else tournament.status = interrupted ? 'interrupted' : 'cancelled';
+    if (!interrupted) tournament.finishedAt = new Date().toISOString();
+    this._save(tournament);
+    this._emitProgress(tournament);
+  }
+
+  _emitProgress(tournament) {
+    if (this.io) this.io.emit('tournament-progress', this._summary(tournament));
+  }
+
+  _withNames(standings, tournaments) {
+    const names = new Map();
+    for (const tournament of tournaments) {
+      for (const evalCase of tournament.cases) names.set(evalCase.modelId, evalCase.modelName);
+    }
+    return standings.map(entry => ({ ...entry, modelName: names.get(entry.modelId) || entry.modelId }));
+  }
+
+  // Ratings over every finished board of every tournament, overall and per game.
+  leaderboard(options = {}) {
+    this._ensureConfigured();
+    const tournaments = this._read().tournaments;
+    const boards = tournaments.flatMap(tournament => boardMatches(tournament))
+      .sort((a, b) => String(a.completedAt).localeCompare(String(b.completedAt)));
+    const gameFilter = options.gameId != null && options.gameId !== '' ? Number(options.gameId) : null;
+    const scoped = gameFilter === null ? boards : boards.filter(board => board.gameId === gameFilter);
+    const matches = scoped.flatMap(board => board.matches);
+
+    const gameNames = new Map();
+    for (const tournament of tournaments) {
+      for (const evalCase of tournament.cases) gameNames.set(evalCase.gameId, evalCase.gameName);
+    }
+    const gameIds = [...new Set(scoped.map(board => board.gameId))].sort((a, b) => a - b);
+    return {
+      generatedAt: new Date().toISOString(),
+      gameId: gameFilter,
+      tournamentCount: tournaments.length,
+      boardCount: scoped.length,
+      matchCount: matches.length,
+      overall: this._withNames(rateMatches(matches), tournaments),
+      games: gameIds.map(gameId => ({
+        gameId,
+        gameName: gameNames.get(gameId) || `game-${gameId}`,
+        standings: this._withNames(rateMatches(matches.filter(match => match.gameId === gameId)), tournaments)
+      }))
+    };
+  }
+}
+
+module.exports = new TournamentManager();
+module.exports.TournamentManager = TournamentManager;
+module.exports.TournamentError = TournamentError;
+module.exports.compareResults = compareResults;
+module.exports.boardMatches = boardMatches;
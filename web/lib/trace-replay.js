@@ -0,0 +1,244 @@
+'use strict';
+
+// Trace replay sessions: re-run a saved play trace on a leased engine worker so
+// a reviewer can watch exactly what a model or human did, with pause / step /
+// seek. Frames reach viewers through the worker's normal game-frame room (the
+// browser joins it with watch-run, same as a walk-up run).
+//
+// Singleton configured from startServer() with { io, enginePool, gameManager,
+// coordinator } — the same injection pattern as attract-coordinator. A replay
+// counts as a walk-up for the marble run: it may take the marble run's worker
+// when the pool is full, and hands it back when the replay ends.
+
+const ReplayClient = require('./replay-client');
+
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const READY_TIMEOUT_MS = 10000;
+const COMMANDS = new Set(['pause', 'resume', 'step', 'seek', 'stop']);
+
+class ReplayError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ReplayError';
+    this.code = code;
+  }
+}
+
+class TraceReplayManager {
+  constructor() {
+    this.sessions = new Map(); // runId -> session
+    this.configured = false;
+    this._counter = 0;
+  }
+
+  configure(deps = {}) {
+    this.io = deps.io || null;
+    this.enginePool = deps.enginePool || require('./engine-pool');
+    this.gameManager = deps.gameManager || null;
+    this.coordinator = deps.coordinator || null;
+    this.traceStore = deps.traceStore || require('./play-trace-store');
+    this.telemetry = deps.telemetry || require('./telemetry-store');
+    this.createClient = deps.createClient || (options => new ReplayClient(options));
+    this.idleTimeoutMs = deps.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+    this.engineWaitMs = deps.engineWaitMs;
+    this.configured = true;
+    return this;
+  }
+
+  async start(gameId, traceId, options = {}) {
+    if (!this.configured) this.configure();
+    const trace = this.traceStore.getTrace(gameId, traceId);
+    if (!trace) throw new ReplayError('TRACE_NOT_FOUND', `Trace ${traceId} not found for game ${gameId}`);
+    if (!Array.isArray(trace.actionHistory) || trace.actionHistory.length === 0) {
+      throw new ReplayError('EMPTY_TRACE', `Trace ${traceId} has no recorded actions to replay`);
+    }
+    if (!this.gameManager) throw new ReplayError('ENGINE_UNAVAILABLE', 'Game engine is not configured');
+
+    const runId = `replay-${gameId}-${Date.now()}-${++this._counter}`;
+    // Like a walk-up: the marble run yields its worker, and otherwise the replay
+    // waits for the next worker a background case frees.
+    let worker = this.enginePool.acquire({ runId, source: 'replay' });
+    if (!worker && this.coordinator) {
+      await this.coordinator.beginWalkup();
+    }
+    if (!worker) worker = await this.enginePool.acquireForeground({ runId, source: 'replay' }, { waitMs: this.engineWaitMs });
+    if (!worker) throw new ReplayError('ENGINE_BUSY', 'Every game engine is busy; try again when a run finishes');
+
+    const session = {
+      runId,
+      gameId: trace.gameId,
+      traceId: trace.traceId,
+      levelId: trace.levelId ?? 0,
+      playerType: trace.playerType || null,
+      modelId: trace.modelId ?? null,
+      trace,
+      // Decision-only model traces cannot reproduce plan-queue ticks exactly.
+      approximate: ReplayClient.buildReplaySchedule(trace).approximate,
+      worker,
+      tickIntervalMs: options.tickIntervalMs,
+      gameProcess: null,
+      client: null,
+      restarts: 0,
+      idleTimer: null,
+      startedAt: new Date().toISOString()
+    };
+    this.sessions.set(runId, session);
+
+    try {
+      await this._launch(session, { paused: options.paused === true });
+    } catch (error) {
+      this._end(session, 'start_failed');
+      throw error;
+    }
+
+    this.telemetry.track({
+      eventFamily: 'evaluation',
+      eventType: 'trace_replay_started',
+      source: 'trace-replay',
+      runId,
+      gameId: session.gameId,
+      levelId: session.levelId,
+      modelId: session.modelId,
+      payload: {
+        traceId: session.traceId,
+        playerType: session.playerType,
+        approximate: session.approximate,
+        engine: worker.index
+      }
+    });
+    this._touch(session);
+    return this.getSnapshot(runId);
+  }
+
+  // Spawn the engine on the session's worker and attach a fresh replay client.
+  // Used for the first launch and for every backward seek (the engine cannot
+  // rewind, so it restarts and fast-forwards to the target tick).
+  async _launch(session, clientOptions = {}) {
+    const { worker } = session;
+    const gameProcess = await this.gameManager.startGame(session.gameId, session.levelId, false, {
+      port: worker.port,
+      screenshotPath: worker.screenshotPath,
+      seed: session.trace.seed
+    });
+    session.gameProcess = gameProcess;
+
+    const ready = await this.gameManager.waitForReady(gameProcess.processId, READY_TIMEOUT_MS);
+    if (!ready) throw new ReplayError('ENGINE_UNAVAILABLE', 'Java game process failed to start');
+
+    if (worker.streamer) worker.streamer.start({ runId: session.runId, source: 'replay' });
+
+    const client = this.createClient({
+      runId: session.runId,
+      trace: session.trace,
+      tickIntervalMs: session.tickIntervalMs,
+      ...clientOptions
+    });
+    client.onStateChange = () => this._emitState(session);
+    client.onSessionEnd = () => {
+      // FINISH after the recorded level: keep the lease so the reviewer can
+      // still seek back (which relaunches); the idle timer reclaims it.
+      if (session.client === client) this._emitState(session);
+    };
+    session.client = client;
+    await client.connect(worker.port, this.io);
+    this._emitState(session);
+  }
+
+  async control(runId, command, args = {}) {
+    const session = this.sessions.get(runId);
+    if (!session || (args.traceId && args.traceId !== session.traceId)) {
+      throw new ReplayError('REPLAY_NOT_FOUND', `Replay ${runId} is not running`);
+    }
+    if (!COMMANDS.has(command)) throw new ReplayError('INVALID_COMMAND', `Unknown replay command: ${command}`);
+    this._touch(session);
+
+    const client = session.client;
+    if (command === 'stop') {
+      this._end(session, 'stopped');
+      return { runId, stopped: true };
+    }
+    if (command === 'pause') client.pause();
+    if (command === 'resume') client.resume();
+    if (command === 'step') client.step(args.count);
+    if (command === 'seek') {
+      const tick = Number.parseInt(args.tick, 10);
+      if (!Number.isInteger(tick) || tick < 0) throw new ReplayError('INVALID_TICK', 'seek requires a non-negative tick');
+      if (!client.seekForward(tick)) await this._restartAt(session, tick);
+    }
+    return this.getSnapshot(runId);
+  }
+
+  async _restartAt(session, tick) {
+    const previous = session.client;
+    if (previous) previous.disconnect();
+    if (session.gameProcess) {
+      await this.gameManager.stopGameAndWait(session.gameProcess.processId);
+    }
+    session.restarts += 1;
+    try {
+      await this._launch(session, { seekTo: tick, paused: true });
+    } catch (error) {
+      this._end(session, 'restart_failed');
+      throw error;
+    }
+  }
+
+  stop(runId) {
+    const session = this.sessions.get(runId);
+    if (!session) return false;
+    this._end(session, 'stopped');
+    return true;
+  }
+
+  stopAll() {
+    for (const session of [...this.sessions.values()]) this._end(session, 'shutdown');
+  }
+
+  getSnapshot(runId) {
+    const session = this.sessions.get(runId);
+    if (!session) return null;
+    return {
+      runId: session.runId,
+      gameId: session.gameId,
+      traceId: session.traceId,
+      levelId: session.levelId,
+      playerType: session.playerType,
+      modelId: session.modelId,
+      seed: session.trace.seed ?? null,
+      approximate: session.approximate,
+      engine: session.worker.index,
+      room: session.worker.room,
+      restarts: session.restarts,
+      startedAt: session.startedAt,
+      ...(session.client ? session.client.getState() : {})
+    };
+  }
+
+  _emitState(session) {
+    if (this.io && this.sessions.get(session.runId) === session) {
+      this.io.emit('replay-state', this.getSnapshot(session.runId));
+    }
+  }
+
+  _touch(session) {
+    if (session.idleTimer) clearTimeout(session.idleTimer);
+    if (!this.idleTimeoutMs) return;
+    session.idleTimer = setTimeout(() => this._end(session, 'idle'), this.idleTimeoutMs);
+    if (session.idleTimer.unref) session.idleTimer.unref();
+  }
+
+  _end(session, reason) {
+    if (this.sessions.get(session.runId) !== session) return;
+    this.sessions.delete(session.runId);
+    if (session.idleTimer) clearTimeout(session.idleTimer);
+    if (session.client) session.client.disconnect();
+    if (session.gameProcess && this.gameManager) this.gameManager.stopGame(session.gameProcess.processId);
+    this.enginePool.release(session.worker);
+    if (this.coordinator) this.coordinator.endWalkup();
+    if (this.io) this.io.emit('session-end', { runId: session.runId, reason, playerType: 'replay' });
+  }
+}
+
+module.exports = new TraceReplayManager();
+module.exports.TraceReplayManager = TraceReplayManager;
+module.exports.ReplayError = ReplayError;
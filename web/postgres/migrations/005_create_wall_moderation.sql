@@ -0,0 +1,45 @@
+ALTER TABLE wall_posts
+  ADD COLUMN moderation_status varchar(16) NOT NULL DEFAULT 'visible',
+  ADD COLUMN moderated_at timestamptz(3),
+  ADD CONSTRAINT wall_posts_moderation_status CHECK (moderation_status IN ('visible', 'hidden', 'approved'));
+
+CREATE INDEX wall_posts_hidden_idx
+  ON wall_posts (created_at DESC, id DESC)
+  WHERE moderation_status = 'hidden';
+
+CREATE TABLE wall_post_reports (
+  post_id uuid NOT NULL REFERENCES wall_posts(id) ON DELETE CASCADE,
+  reporter_token_hash char(64) NOT NULL,
+  reason varchar(24) NOT NULL,
+  details varchar(500),
+  created_at timestamptz(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  resolved_at timestamptz(3),
+  PRIMARY KEY (post_id, reporter_token_hash),
+  CONSTRAINT wall_post_reports_token_hash_format CHECK (reporter_token_hash ~ '^[0-9a-f]{64}$'),
+  CONSTRAINT wall_post_reports_reason CHECK (reason IN ('spam', 'abuse', 'hate', 'sexual', 'personal-info', 'other'))
+);
+
+CREATE INDEX wall_post_reports_open_idx
+  ON wall_post_reports (post_id, created_at DESC)
+  WHERE resolved_at IS NULL;
+
+-- The audit log outlives its posts: a pin removed by its author keeps the
+-- moderation history that led up to it.
+CREATE TABLE wall_moderation_log (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  post_id uuid NOT NULL,
+  action varchar(16) NOT NULL,
+  actor varchar(80) NOT NULL,
+  reason varchar(24),
+  note varchar(500),
+  from_status varchar(16),
+  to_status varchar(16),
+  created_at timestamptz(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  CONSTRAINT wall_moderation_log_action CHECK (action IN ('report', 'auto_hide', 'approve', 'hide', 'restore'))
+);
+
+CREATE INDEX wall_moderation_log_created_idx
+  ON wall_moderation_log (created_at DESC, id DESC);
+
+CREATE INDEX wall_moderation_log_post_idx
+  ON wall_moderation_log (post_id, created_at DESC);
@@ -0,0 +1,5 @@
+-- Per-author wall pages filter on the exact display name and page newest
+-- first, like the main feed.
+CREATE INDEX wall_posts_author_created_idx
+  ON wall_posts (author_name, created_at DESC, id DESC)
+  WHERE moderation_status <> 'hidden';
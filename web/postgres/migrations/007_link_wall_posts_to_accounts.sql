@@ -0,0 +1,14 @@
+-- Account ids and poem ids belong to the SQLite account store, so they carry
+-- no foreign keys here. A saved poem can be on the wall at most once.
+ALTER TABLE wall_posts
+  ADD COLUMN owner_user_id bigint,
+  ADD COLUMN source_poem_id bigint,
+  ADD CONSTRAINT wall_posts_source_poem_owner CHECK (source_poem_id IS NULL OR owner_user_id IS NOT NULL);
+
+CREATE INDEX wall_posts_owner_created_idx
+  ON wall_posts (owner_user_id, created_at DESC, id DESC)
+  WHERE owner_user_id IS NOT NULL;
+
+CREATE UNIQUE INDEX wall_posts_owner_poem_idx
+  ON wall_posts (owner_user_id, source_poem_id)
+  WHERE source_poem_id IS NOT NULL;
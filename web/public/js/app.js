@@ -11,15 +11,22 @@ const state = {
   selectedModel: null,
   selectedLevel: 0,
   processId: null,
+  controlToken: null, // proves to the server this browser started the human run
   runId: null,
+  seed: null,        // engine RNG seed of the live run (shared in session links)
+  pinnedSeed: null,  // seed from a session link: runs replay those conditions
   lastSummary: null,
   traceLog: [],
   traceStartedAt: null,
   featuredShowcase: null,
-  liveGameState: { tick: 0, score: 0, health: 0 }
+  liveGameState: { tick: 0, score: 0, health: 0 },
+  replay: null,  // { runId, gameId, traceId, paused, tick, totalTicks } while replaying a trace
+  twoPlayerGames: null,  // /api/games/two-player, loaded the first time head-to-head is picked
+  duel: null  // { gameName, names } while a head-to-head run is live
 };
 
-// Player type: 'llm' (model plays) or 'human' (keyboard play)
+// Player type: 'llm' (model plays), 'human' (keyboard play) or 'duel'
+// (head-to-head on a two-player game: a model vs a second model or you)
 let playerType = 'llm';
 
 // Track currently held keys to suppress key-repeat during human play
@@ -181,8 +188,20 @@ const unfoldChips = document.getElementById('unfold-chips');
 const selectedGameStageName = document.getElementById('selected-game-stage-name');
 const setupGamePreview = document.getElementById('setup-game-preview');
 
+// Trace replay: saved-run list on the setup step + transport under the canvas
+const replayPanel = document.getElementById('replay-panel');
+const replayList = document.getElementById('replay-list');
+const replayControls = document.getElementById('replay-controls');
+const replayToggleBtn = document.getElementById('replay-toggle');
+const replayStepBtn = document.getElementById('replay-step');
+const replaySeek = document.getElementById('replay-seek');
+const replayPosition = document.getElementById('replay-position');
+
 // Player-type toggle + human controls reference
 const humanControlsRef = document.getElementById('human-controls-ref');
+const duelSetup = document.getElementById('duel-setup');
+const duelGameSelect = document.getElementById('duel-game-select');
+const duelOpponentSelect = document.getElementById('duel-opponent-select');
 const controlKeys = document.getElementById('control-keys');
 
 // Additional stat elements
@@ -190,6 +209,8 @@ const scoreEl = document.getElementById('score');
 const healthEl = document.getElementById('health');
 const maxHealthEl = document.getElementById('max-health');
 const tickEl = document.getElementById('tick');
+const duelScoresCell = document.getElementById('duel-scores-cell');
+const duelScoresEl = document.getElementById('duel-scores');
 
 // Cabinet status strip + session controls (shell chrome)
 const lastActionEl = document.getElementById('last-action');
@@ -243,21 +264,29 @@ function applySessionParams() {
     levelSelect.value = level;
   }
 
+  const seed = params.get('seed');
+  if (seed !== null && /^\d+$/.test(seed)) state.pinnedSeed = Number(seed);
+
   const strategy = params.get('strategy');
   if (strategy && strategyText) {
     strategyText.value = strategy.slice(0, 240);
     updateStrategyWarn();
   }
 
-  // Human-play links restore the "I'll play" toggle state
-  if (params.get('player') === 'human') {
-    playerType = 'human';
+  // Human-play and head-to-head links restore the "Who plays?" toggle state
+  const player = params.get('player');
+  if (player === 'human' || player === 'duel') {
+    playerType = player;
     document.querySelectorAll('.toggle-btn').forEach(b => {
-      const isActive = b.dataset.playerType === 'human';
+      const isActive = b.dataset.playerType === player;
       b.classList.toggle('active', isActive);
       b.setAttribute('aria-pressed', isActive ? 'true' : 'false');
     });
-    updatePlayerTypeUI();
+    updatePlayerTypeUI({
+      duelGameId: params.get('duelGame'),
+      opponent: params.get('opponent'),
+      level
+    });
   }
 }
 
@@ -272,6 +301,12 @@ function buildSessionLink() {
     const strategy = (strategyText?.value || '').trim();
     if (strategy) params.set('strategy', strategy);
   }
+  if (playerType === 'duel') {
+    params.set('player', 'duel');
+    if (duelGameSelect?.value) params.set('duelGame', duelGameSelect.value);
+    if (duelOpponentSelect?.value) params.set('opponent', duelOpponentSelect.value);
+  }
+  if (state.seed !== null) params.set('seed', state.seed);
   return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
 }
 
@@ -682,31 +717,113 @@ function selectGame(gameId) {
       });
   }
 
-  // Populate level selector - display as 1-5 but values are 0-4
-  const levels = state.selectedGame.levels && state.selectedGame.levels.length > 0
-    ? state.selectedGame.levels
+  populateLevelSelect(state.selectedGame);
+
+  // Load the game's rules for the unfold scaffold + reset any prior soft-warn.
+  loadGameDigest(gameId);
+  loadReplayList(gameId);
+  updateStrategyWarn();
+  updatePlayerTypeUI();
+
+  // Show model selector
+  showStep(modelSelector);
+}
+
+// Populate level selector - display as 1-5 but values are 0-4
+function populateLevelSelect(game) {
+  const levels = game && game.levels && game.levels.length > 0
+    ? game.levels
     : [0, 1, 2, 3, 4];
 
+  // Generated levels (ids 5+) are held out of eval prompts; label them apart.
+  const generated = game && Array.isArray(game.generatedLevels) ? game.generatedLevels : [];
   levelSelect.innerHTML = levels.map((level, idx) => `
     <option value="${level}">Level ${level + 1}</option>
+  `).join('') + generated.map(level => `
+    <option value="${level}">Generated ${level - 4} (held out)</option>
   `).join('');
+  levelSelect.dataset.gameId = game ? String(game.id) : '';
 
   console.log('[App] Populated levels:', levels);
+}
 
-  // Load the game's rules for the unfold scaffold + reset any prior soft-warn.
-  loadGameDigest(gameId);
-  updateStrategyWarn();
-  updatePlayerTypeUI();
+// Head-to-head runs on the two-player library (examples/all_games_2p.csv),
+// whose ids are separate from the cabinet list, so it is fetched on demand.
+async function loadTwoPlayerGames() {
+  if (state.twoPlayerGames) return state.twoPlayerGames;
+  try {
+    const response = await fetch('/api/games/two-player');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    state.twoPlayerGames = await response.json();
+  } catch (error) {
+    console.error('[App] Failed to load two-player games:', error);
+    trackUx('two_player_games_load_failed', { message: error.message });
+    return [];
+  }
+  if (duelGameSelect) {
+    duelGameSelect.innerHTML = state.twoPlayerGames.map(game => `
+      <option value="${game.id}">${escapeHtml(game.name)}</option>
+    `).join('');
+  }
+  return state.twoPlayerGames;
+}
 
-  // Show model selector
-  showStep(modelSelector);
+// Player 2 is you at the keyboard or any model; defaults to a different
+// model from player 1 so the first duel is a real match-up.
+function renderDuelOpponents() {
+  if (!duelOpponentSelect) return;
+  const previous = duelOpponentSelect.value;
+  duelOpponentSelect.innerHTML = [
+    '<option value="human">Me (keyboard)</option>',
+    ...state.models.map(model => `<option value="${escapeHtml(model.id)}">${escapeHtml(model.name)}</option>`)
+  ].join('');
+  const fallback = state.models.find(m => m.id !== modelSelect.value) || state.models[0];
+  duelOpponentSelect.value = previous || (fallback ? fallback.id : 'human');
+}
+
+function modelLabel(modelId) {
+  const model = state.models.find(m => m.id === modelId);
+  return model ? model.name : modelId;
+}
+
+function selectedDuelGame() {
+  if (!state.twoPlayerGames || !duelGameSelect) return null;
+  return state.twoPlayerGames.find(g => String(g.id) === duelGameSelect.value) || null;
+}
+
+function duelOpponentIsHuman() {
+  return playerType === 'duel' && duelOpponentSelect?.value === 'human';
+}
+
+function startButtonLabel() {
+  if (playerType === 'human') return 'Play the Game';
+  return playerType === 'duel' ? 'Start the Duel' : 'Run the Game';
+}
+
+// Swap the cabinet name and levels between the picked cabinet and the
+// head-to-head game, so step 2 always shows what "Start" will launch.
+function syncDuelCabinet() {
+  const duelGame = playerType === 'duel' ? selectedDuelGame() : null;
+  const game = duelGame || state.selectedGame;
+  if (!game) return;
+  const name = duelGame ? `${duelGame.name} (2P)` : game.name;
+  document.getElementById('selected-game-name').textContent = name;
+  if (selectedGameStageName) selectedGameStageName.textContent = name;
+  if (levelSelect.dataset.gameId !== String(game.id) || Boolean(duelGame) !== Boolean(levelSelect.dataset.duel)) {
+    populateLevelSelect(game);
+    if (duelGame) levelSelect.dataset.duel = '1';
+    else delete levelSelect.dataset.duel;
+  }
 }
 
 // Show/hide UI elements based on the current player type.
 // Human mode should stay focused on the keyboard controls and play button;
 // model prompting, rule unfolding, and model selection are only for LLM runs.
-function updatePlayerTypeUI() {
+// Head-to-head keeps the model setup for player 1 and adds the duel picker.
+// `restore` carries a session link's duelGame/opponent/level.
+function updatePlayerTypeUI(restore = null) {
   const isHuman = playerType === 'human';
+  const isDuel = playerType === 'duel';
 
   // "Prompt the player" header only applies to model runs; human mode shows
   // its own Controls block instead.
@@ -726,19 +843,44 @@ function updatePlayerTypeUI() {
     }
   }
 
+  if (duelSetup) duelSetup.classList.toggle('hidden', !isDuel);
+
   // Toggle human controls reference
-  if (humanControlsRef) humanControlsRef.classList.toggle('hidden', !isHuman);
+  const keyboardPlay = isHuman || duelOpponentIsHuman();
+  if (humanControlsRef) humanControlsRef.classList.toggle('hidden', !keyboardPlay);
   if (setupGamePreview) setupGamePreview.classList.toggle('hidden', isHuman);
 
   // Update start button text
   if (startGameBtn) {
-    startGameBtn.textContent = isHuman ? 'Play the Game' : 'Run the Game';
+    startGameBtn.textContent = startButtonLabel();
   }
 
-  // Populate the key reference when switching to human mode
+  // Populate the key reference when switching to human mode. Two-player
+  // games have no cabinet digest; their avatars take the full action set.
   if (isHuman && state.selectedGame) {
     populateControlReference(state.selectedGame.id);
+  } else if (keyboardPlay) {
+    renderControlKeys({ actions: ['UP', 'DOWN', 'LEFT', 'RIGHT', 'USE'], useLabel: 'USE' });
+  }
+
+  if (!isDuel) {
+    syncDuelCabinet();
+    return;
   }
+  renderDuelOpponents();
+  loadTwoPlayerGames().then(() => {
+    if (restore?.duelGameId && [...duelGameSelect.options].some(o => o.value === restore.duelGameId)) {
+      duelGameSelect.value = restore.duelGameId;
+    }
+    if (restore?.opponent && [...duelOpponentSelect.options].some(o => o.value === restore.opponent)) {
+      duelOpponentSelect.value = restore.opponent;
+    }
+    syncDuelCabinet();
+    if (restore?.level != null && [...levelSelect.options].some(o => o.value === restore.level)) {
+      levelSelect.value = restore.level;
+    }
+    if (restore) updatePlayerTypeUI();
+  });
 }
 
 // Fetch the game digest and build a key reference from the available actions.
@@ -755,44 +897,49 @@ async function populateControlReference(gameId) {
     // Build a label → key-display map from the digest's controls.
     // digest.controls.actions is e.g. ['LEFT','RIGHT','SHOOT','WAIT']
     // digest.controls.useLabel is e.g. 'SHOOT'
-    const controls = digest.controls || {};
-    const actions = controls.actions || [];
-    const useLabel = controls.useLabel || 'USE';
-
-    // Keyboard display for each action label
-    const labelKeyMap = {
-      UP: ['↑ / W'],
-      DOWN: ['↓ / S'],
-      LEFT: ['← / A'],
-      RIGHT: ['→ / D'],
-      WAIT: ['—']
-    };
-    // The use action maps to Space
-    labelKeyMap[useLabel] = ['Space'];
-
-    const frag = document.createDocumentFragment();
-    for (const action of actions) {
-      const keys = labelKeyMap[action];
-      if (!keys) continue;
-      for (const key of keys) {
-        const span = document.createElement('span');
-        span.className = 'control-key';
-        const cap = document.createElement('span');
-        cap.className = 'key-cap';
-        cap.textContent = key;
-        const lbl = document.createElement('span');
-        lbl.className = 'key-label';
-        lbl.textContent = action;
-        span.append(cap, lbl);
-        frag.appendChild(span);
-      }
-    }
-    controlKeys.appendChild(frag);
+    renderControlKeys(digest.controls || {});
   } catch (err) {
     console.warn('[App] Could not load control reference:', err.message);
   }
 }
 
+function renderControlKeys(controls) {
+  if (!controlKeys) return;
+  controlKeys.innerHTML = '';
+  const actions = controls.actions || [];
+  const useLabel = controls.useLabel || 'USE';
+
+  // Keyboard display for each action label
+  const labelKeyMap = {
+    UP: ['↑ / W'],
+    DOWN: ['↓ / S'],
+    LEFT: ['← / A'],
+    RIGHT: ['→ / D'],
+    WAIT: ['—']
+  };
+  // The use action maps to Space
+  labelKeyMap[useLabel] = ['Space'];
+
+  const frag = document.createDocumentFragment();
+  for (const action of actions) {
+    const keys = labelKeyMap[action];
+    if (!keys) continue;
+    for (const key of keys) {
+      const span = document.createElement('span');
+      span.className = 'control-key';
+      const cap = document.createElement('span');
+      cap.className = 'key-cap';
+      cap.textContent = key;
+      const lbl = document.createElement('span');
+      lbl.className = 'key-label';
+      lbl.textContent = action;
+      span.append(cap, lbl);
+      frag.appendChild(span);
+    }
+  }
+  controlKeys.appendChild(frag);
+}
+
 // --- Human play keyboard handlers -----------------------------------------
 
 // Start game
@@ -803,24 +950,39 @@ async function startGame() {
   }
 
   const isHuman = playerType === 'human';
+  const isDuel = playerType === 'duel';
+  const duelGame = isDuel ? selectedDuelGame() : null;
+  if (isDuel && !duelGame) {
+    alert('Please pick a two-player game');
+    return;
+  }
+  const game = duelGame || state.selectedGame;
   const model = isHuman ? null : modelSelect.value;
   const level = parseInt(levelSelect.value);
   const strategy = isHuman ? '' : (strategyText?.value || '').trim();
+  // Head-to-head: player 1 is the chosen model, player 2 you or a second model
+  const opponent = isDuel ? duelOpponentSelect.value : null;
+  const players = isDuel ? [
+    { type: 'llm', model, strategy },
+    opponent === 'human' ? { type: 'human' } : { type: 'llm', model: opponent }
+  ] : null;
   trackUx('game_start_clicked', {
-    gameId: state.selectedGame.id,
-    gameName: state.selectedGame.name,
+    gameId: game.id,
+    gameName: game.name,
     level,
-    strategyPresent: Boolean(strategy)
+    strategyPresent: Boolean(strategy),
+    duel: isDuel
   }, {}, {
     eventFamily: 'clickthrough',
-    gameId: state.selectedGame.id,
+    gameId: game.id,
     levelId: level,
     modelId: model
   });
 
   console.log('[App] Starting game:', {
-    game: state.selectedGame.name,
+    game: game.name,
     model: model || '(human)',
+    opponent: opponent || undefined,
     level,
     strategy: strategy || '(none)'
   });
@@ -839,11 +1001,12 @@ async function startGame() {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        gameId: state.selectedGame.id,
+        gameId: game.id,
         levelId: level,
-        model,
-        strategy,
-        playerType
+        ...(isDuel ? { players } : { model, strategy, playerType }),
+        seed: state.pinnedSeed,
+        // Restarting without stopping replaces this viewer's own previous run
+        replaceProcessId: state.processId || null
       })
     });
 
@@ -853,15 +1016,24 @@ async function startGame() {
       throw new Error(data.error || 'Failed to start game');
     }
     state.processId = data.processId;
+    state.controlToken = data.controlToken || null;
+    state.replay = null;
+    if (replayControls) replayControls.classList.add('hidden');
     state.selectedModel = model;
     state.activeStrategy = strategy;
     state.runId = data.runId;
+    state.seed = data.seed ?? null;
+    state.duel = isDuel ? {
+      gameName: game.name,
+      names: players.map(player => (player.type === 'human' ? 'You' : modelLabel(player.model)))
+    } : null;
+    watchCurrentRun();
     trackUx('game_start_succeeded', {
       processId: data.processId,
       runId: data.runId
     }, {}, {
       eventFamily: 'clickthrough',
-      gameId: state.selectedGame.id,
+      gameId: game.id,
       levelId: level,
       modelId: model
     });
@@ -869,7 +1041,12 @@ async function startGame() {
     console.log('[App] Game started:', data);
 
     // Show game viewer
-    document.getElementById('current-game-name').textContent = state.selectedGame.name;
+    document.getElementById('current-game-name').textContent = state.duel
+      ? `${game.name} — ${state.duel.names.join(' vs ')}`
+      : game.name;
+    if (duelScoresCell) duelScoresCell.classList.toggle('hidden', !isDuel);
+    if (duelScoresEl) duelScoresEl.textContent = '0 · 0';
+    if (scoreEl) scoreEl.parentElement.classList.toggle('hidden', isDuel);
     reasoningLog.innerHTML = '';
     state.lastSummary = null;
     state.adherenceMentioned = 0;
@@ -887,16 +1064,16 @@ async function startGame() {
       strategyActive.classList.add('hidden');
     }
 
-    // Mid-run steering only applies to model runs
+    // Mid-run steering only applies to solo model runs
     if (steerForm) {
-      steerForm.classList.toggle('hidden', playerType === 'human');
+      steerForm.classList.toggle('hidden', playerType !== 'llm');
       if (steerInput) steerInput.value = '';
     }
 
     showStep(gameViewer);
 
     // Attach keyboard listeners for human play mode
-    if (playerType === 'human') {
+    if (playerType === 'human' || opponent === 'human') {
       attachHumanPlayListeners();
     }
   } catch (error) {
@@ -905,19 +1082,23 @@ async function startGame() {
       message: error.message
     }, {}, {
       eventFamily: 'clickthrough',
-      gameId: state.selectedGame.id,
+      gameId: game.id,
       levelId: level,
       modelId: model
     });
     alert('Failed to start game: ' + error.message);
   } finally {
     startGameBtn.disabled = false;
-    startGameBtn.textContent = playerType === 'human' ? 'Play the Game' : 'Run the Game';
+    startGameBtn.textContent = startButtonLabel();
   }
 }
 
 // Stop game
 async function stopGame() {
+  if (state.replay) {
+    await stopReplay();
+    return;
+  }
   if (!state.processId) return;
   cleanupHumanPlay();
 
@@ -946,7 +1127,10 @@ async function stopGame() {
       modelId: state.selectedModel
     });
     state.processId = null;
+    state.controlToken = null;
     state.runId = null;
+    state.seed = null;
+    state.duel = null;
     showStep(gameSelector);
   } catch (error) {
     console.error('[App] Error stopping game:', error);
@@ -954,6 +1138,129 @@ async function stopGame() {
   }
 }
 
+// Saved traces for the selected game, best score first. Each row can be
+// replayed move for move on an engine worker.
+async function loadReplayList(gameId) {
+  if (!replayPanel || !replayList) return;
+  replayList.replaceChildren();
+  replayPanel.classList.add('hidden');
+  try {
+    const response = await fetch(`/api/traces/${gameId}`);
+    if (!response.ok) return;
+    const data = await response.json();
+    if (state.selectedGame?.id !== gameId) return;
+    const traces = (data.traces || []).slice(0, 8);
+    if (traces.length === 0) return;
+    traces.forEach(trace => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const who = trace.playerType === 'human' ? 'human' : (trace.modelId || 'model');
+      label.textContent = `${who} · level ${(trace.levelId || 0) + 1} · score ${trace.finalScore ?? 0} · ${trace.ticks || 0} ticks`;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn-secondary';
+      button.textContent = 'Replay';
+      button.addEventListener('click', () => startReplay(trace));
+      item.append(label, button);
+      replayList.appendChild(item);
+    });
+    replayPanel.classList.remove('hidden');
+  } catch (error) {
+    console.warn('[App] Failed to load saved traces:', error.message);
+  }
+}
+
+async function startReplay(trace) {
+  try {
+    const response = await fetch(`/api/traces/${trace.gameId}/${encodeURIComponent(trace.traceId)}/replay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || data.error || 'Failed to start replay');
+
+    trackUx('trace_replay_started', { traceId: trace.traceId, runId: data.runId }, {}, {
+      eventFamily: 'clickthrough',
+      gameId: trace.gameId,
+      levelId: trace.levelId
+    });
+    state.processId = null;
+    state.controlToken = null;
+    state.runId = data.runId;
+    state.replay = { gameId: trace.gameId, traceId: trace.traceId, ...data };
+    state.lastSummary = null;
+    watchCurrentRun();
+
+    document.getElementById('current-game-name').textContent =
+      `${state.selectedGame?.name || trace.gameName || 'game'} (replay)`;
+    reasoningLog.innerHTML = '';
+    resetFrameDisplay();
+    gameEndMessage.classList.add('hidden');
+    strategyActive.classList.add('hidden');
+    if (steerForm) steerForm.classList.add('hidden');
+    if (replayControls) replayControls.classList.remove('hidden');
+    renderReplayState(data);
+    showStep(gameViewer);
+  } catch (error) {
+    console.error('[App] Error starting replay:', error);
+    alert('Failed to start replay: ' + error.message);
+  }
+}
+
+async function sendReplayCommand(command, body = {}) {
+  const replay = state.replay;
+  if (!replay) return null;
+  try {
+    const response = await fetch(`/api/traces/${replay.gameId}/${encodeURIComponent(replay.traceId)}/replay/${command}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ runId: replay.runId, ...body })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || data.error || `Replay ${command} failed`);
+    if (command !== 'stop') renderReplayState(data);
+    return data;
+  } catch (error) {
+    console.error(`[App] Replay ${command} failed:`, error);
+    return null;
+  }
+}
+
+async function stopReplay() {
+  await sendReplayCommand('stop');
+  state.replay = null;
+  state.runId = null;
+  if (replayControls) replayControls.classList.add('hidden');
+  showStep(modelSelector);
+}
+
+function renderReplayState(data) {
+  if (!state.replay || !data || data.runId !== state.replay.runId) return;
+  Object.assign(state.replay, data);
+  const total = Math.max(0, data.totalTicks || 0);
+  if (replayToggleBtn) {
+    replayToggleBtn.textContent = data.paused ? 'Play' : 'Pause';
+    replayToggleBtn.disabled = Boolean(data.finished);
+  }
+  if (replayStepBtn) replayStepBtn.disabled = Boolean(data.finished);
+  if (replaySeek) {
+    replaySeek.max = String(total);
+    // Don't yank the thumb out from under a drag in progress.
+    if (document.activeElement !== replaySeek) replaySeek.value = String(data.tick || 0);
+  }
+  if (replayPosition) {
+    replayPosition.textContent = data.seeking
+      ? `seeking ${data.seekTarget} / ${total}`
+      : `${data.tick || 0} / ${total}${data.finished ? ' · end' : ''}`;
+    // Decision-only model traces fill the gaps with ACTION_NIL.
+    replayPosition.title = data.approximate
+      ? 'Approximate replay: this trace only recorded model decisions, not every tick.'
+      : '';
+    if (data.approximate) replayPosition.textContent += ' · approximate';
+  }
+}
+
 // Show/hide steps
 function showStep(step) {
   [gameSelector, modelSelector, gameViewer].forEach(s => s.classList.remove('active'));
@@ -1015,6 +1322,19 @@ function setupEventListeners() {
   startGameBtn.addEventListener('click', startGame);
   stopGameBtn.addEventListener('click', stopGame);
 
+  // Replay transport: play/pause toggle, single-tick step, scrub to a tick
+  if (replayToggleBtn) {
+    replayToggleBtn.addEventListener('click', () => {
+      sendReplayCommand(state.replay?.paused ? 'resume' : 'pause');
+    });
+  }
+  if (replayStepBtn) replayStepBtn.addEventListener('click', () => sendReplayCommand('step'));
+  if (replaySeek) {
+    replaySeek.addEventListener('change', () => {
+      sendReplayCommand('seek', { tick: Number.parseInt(replaySeek.value, 10) || 0 });
+    });
+  }
+
   // Mid-run steering: submit sends the new directive to the live model run
   if (steerForm) {
     steerForm.addEventListener('submit', (e) => {
@@ -1042,6 +1362,9 @@ function setupEventListeners() {
     });
   });
 
+  if (duelGameSelect) duelGameSelect.addEventListener('change', syncDuelCabinet);
+  if (duelOpponentSelect) duelOpponentSelect.addEventListener('change', () => updatePlayerTypeUI());
+
   if (strategyText) strategyText.addEventListener('input', updateStrategyWarn);
   backToGamesBtn.addEventListener('click', () => showStep(gameSelector));
 
@@ -1105,6 +1428,12 @@ function setupEventListeners() {
   });
 }
 
+// Frames stream per engine worker; join the room of this viewer's run so its
+// frames arrive (and other visitors' runs on other workers stay out).
+function watchCurrentRun() {
+  if (socket && state.runId) socket.emit('watch-run', { runId: state.runId });
+}
+
 // WebSocket handlers
 function setupWebSocket() {
   if (!socket) {
@@ -1120,6 +1449,8 @@ function setupWebSocket() {
       socketId: socket.id,
       transport: socket.io.engine.transport.name
     });
+    // Rooms do not survive a reconnect; rejoin the live run's frame stream.
+    watchCurrentRun();
   });
 
   socket.on('disconnect', (reason) => {
@@ -1160,12 +1491,22 @@ function setupWebSocket() {
     return tape;
   }
 
+  // Head-to-head events carry the avatar's playerId; label them P1 / P2.
+  function duelPrefix(data) {
+    return state.duel && Number.isInteger(data.playerId) ? `P${data.playerId + 1} · ` : '';
+  }
+
+  function renderDuelScores(scores) {
+    if (duelScoresEl && Array.isArray(scores)) duelScoresEl.textContent = scores.join(' · ');
+  }
+
   socket.on('llm-reasoning', (data) => {
     if (!isCurrentRun(data)) return;
     console.log('[App] LLM reasoning:', data);
 
     // Update game state overlay
     if (scoreEl) scoreEl.textContent = data.gameState?.score || 0;
+    renderDuelScores(data.scores);
     if (healthEl) healthEl.textContent = data.gameState?.health || 0;
     if (tickEl) tickEl.textContent = data.gameState?.tick || 0;
 
@@ -1201,7 +1542,7 @@ function setupWebSocket() {
 
     const narrDiv = document.createElement('div');
     narrDiv.className = 'narration';
-    narrDiv.textContent = narration;
+    narrDiv.textContent = duelPrefix(data) + narration;
     entry.appendChild(narrDiv);
 
     if (moveFollowsStrategy(data)) {
@@ -1242,6 +1583,11 @@ function setupWebSocket() {
     queueGameFrame(data);
   });
 
+  socket.on('replay-state', (data) => {
+    if (!isCurrentRun(data)) return;
+    renderReplayState(data);
+  });
+
   socket.on('game-state', (data) => {
     if (!isCurrentRun(data)) return;
     // Track live game state for synchronous access by human-trace recorder
@@ -1252,6 +1598,7 @@ function setupWebSocket() {
     };
     // Update game state overlay (sent every tick)
     if (scoreEl) scoreEl.textContent = data.score || 0;
+    renderDuelScores(data.scores);
     if (healthEl) healthEl.textContent = data.health || 0;
     if (maxHealthEl && data.maxHealth) maxHealthEl.textContent = data.maxHealth;
     if (tickEl) tickEl.textContent = data.tick || 0;
@@ -1292,7 +1639,7 @@ function setupWebSocket() {
     const entry = document.createElement('div');
     entry.className = 'reasoning-entry';
     entry.innerHTML = `
-      <div class="action fast">Level ${data.level} complete: ${result} (Score: ${data.score})</div>
+      <div class="action fast">${escapeHtml(duelPrefix(data))}Level ${data.level} complete: ${result} (Score: ${data.score})</div>
     `;
     reasoningLog.insertBefore(entry, reasoningLog.firstChild);
 
@@ -1301,8 +1648,9 @@ function setupWebSocket() {
   });
 
   // End-of-run summary card (fires on level end, carries adherence + highlights)
+  // Each duel player sends its own summary; the duel-result card replaces them.
   socket.on('run-summary', (data) => {
-    if (!isCurrentRun(data)) return;
+    if (!isCurrentRun(data) || state.duel) return;
     console.log('[App] Run summary:', data);
     cleanupHumanPlay();
     if (steerForm) steerForm.classList.add('hidden');
@@ -1325,9 +1673,13 @@ function setupWebSocket() {
 
   // Full session end (all levels done)
   socket.on('session-end', (data) => {
-    if (!isCurrentRun(data)) return;
+    if (!isCurrentRun(data) || state.duel) return;
     console.log('[App] Session ended:', data);
     cleanupHumanPlay();
+    if (state.replay) {
+      state.replay = null;
+      if (replayControls) replayControls.classList.add('hidden');
+    }
     if (steerForm) steerForm.classList.add('hidden');
 
     // If a run-summary already populated the card, leave it as-is
@@ -1343,6 +1695,34 @@ function setupWebSocket() {
     gameEndMessage.classList.remove('hidden');
   });
 
+  // Head-to-head end: both players' final scores and the winner
+  socket.on('duel-result', (data) => {
+    if (!isCurrentRun(data) || !state.duel) return;
+    console.log('[App] Duel ended:', data);
+    cleanupHumanPlay();
+    const names = state.duel.names;
+    const scores = data.players.map(player => player.score ?? 0);
+    renderDuelScores(scores);
+    trackUx('duel_result_viewed', {
+      winnerId: data.winnerId,
+      reason: data.reason,
+      ticks: data.ticks
+    }, { ticks: data.ticks || 0 }, {
+      eventFamily: 'evaluation',
+      gameId: data.gameId,
+      modelId: state.selectedModel
+    });
+
+    document.getElementById('final-result').textContent = data.winnerId === null
+      ? (data.reason === 'finished' ? 'Draw' : 'Duel stopped')
+      : `${names[data.winnerId] || `Player ${data.winnerId + 1}`} wins!`;
+    document.getElementById('final-score').textContent = data.players
+      .map(player => `${names[player.playerId] || `P${player.playerId + 1}`} ${scores[player.playerId]}`)
+      .join(' – ');
+    [summaryStrategy, summaryAdherence, summaryHighlights].forEach(el => el && el.classList.add('hidden'));
+    gameEndMessage.classList.remove('hidden');
+  });
+
   // LLM API errors
   socket.on('llm-error', (data) => {
     if (!isCurrentRun(data)) return;
@@ -1633,7 +2013,7 @@ function attachHumanPlayListeners() {
 
     // Emit the action to the server via socket
     if (socket && socket.connected) {
-      socket.emit('human-action', { action });
+      socket.emit('human-action', { action, processId: state.processId, controlToken: state.controlToken });
     }
 
     // Add a "YOU: ACTION_X" entry to the move trace
@@ -209,6 +209,7 @@
     document.getElementById('editor-temperature').value = config.llmSettings?.temperature ?? 0.7;
 
     renderGamesList();
+    loadRevisions('game', gameId);
   }
 
   // Save game config
@@ -237,7 +238,8 @@
       llmSettings: {
         maxTokens: parseInt(document.getElementById('editor-max-tokens').value) || 100,
         temperature: parseFloat(document.getElementById('editor-temperature').value) ?? 0.7
-      }
+      },
+      ...revisionMeta('game')
     };
 
     try {
@@ -249,6 +251,8 @@
       if (res.ok) {
         await loadGameConfigs();
         renderGamesList();
+        document.getElementById('editor-game-note').value = '';
+        loadRevisions('game', activeGameId);
         showToast('Game config saved');
       } else {
         const err = await res.json();
@@ -309,6 +313,7 @@
         document.getElementById('editor-template-category').value = tpl.category || '';
         document.getElementById('editor-template-content').value = tpl.content || '';
         document.getElementById('delete-template-btn').classList.remove('hidden');
+        loadRevisions('template', templateId);
       } catch (e) {
         console.error('[Dashboard] Failed to load template:', e);
       }
@@ -320,6 +325,8 @@
       document.getElementById('editor-template-category').value = '';
       document.getElementById('editor-template-content').value = '';
       document.getElementById('delete-template-btn').classList.add('hidden');
+      document.getElementById('template-revisions').innerHTML = '';
+      document.getElementById('template-revision-diff').innerHTML = '';
     }
 
     renderTemplatesList();
@@ -348,13 +355,13 @@
         res = await fetch(`/api/prompts/templates/${activeTemplateId}`, {
           method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name, layer, category, content })
+          body: JSON.stringify({ name, layer, category, content, ...revisionMeta('template') })
         });
       } else {
         res = await fetch('/api/prompts/templates', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name, layer, category, content })
+          body: JSON.stringify({ name, layer, category, content, ...revisionMeta('template') })
         });
       }
 
@@ -365,6 +372,8 @@
         renderTemplatesList();
         document.getElementById('delete-template-btn').classList.remove('hidden');
         document.getElementById('template-editor-title').textContent = 'Edit Template';
+        document.getElementById('editor-template-note').value = '';
+        loadRevisions('template', activeTemplateId);
         showToast('Template saved');
       } else {
         const err = await res.json();
@@ -398,6 +407,112 @@
     }
   });
 
+  // --- Revision History ---
+  // Every save is a revision. The list offers a side-by-side diff against the
+  // previous revision and a rollback, which saves the old text as a new
+  // revision. The author name is remembered in localStorage.
+
+  const AUTHOR_KEY = 'gvgai-prompt-author';
+  const revisionEls = {
+    game: { list: 'game-config-revisions', diff: 'game-config-revision-diff', note: 'editor-game-note' },
+    template: { list: 'template-revisions', diff: 'template-revision-diff', note: 'editor-template-note' }
+  };
+
+  document.querySelectorAll('.revision-author').forEach(input => {
+    try { input.value = localStorage.getItem(AUTHOR_KEY) || ''; } catch (e) { /* storage unavailable */ }
+    input.addEventListener('change', () => {
+      document.querySelectorAll('.revision-author').forEach(other => { other.value = input.value; });
+      try { localStorage.setItem(AUTHOR_KEY, input.value.trim()); } catch (e) { console.warn('[Dashboard] localStorage unavailable:', e.message); }
+    });
+  });
+
+  function revisionMeta(kind) {
+    const author = document.querySelector('.revision-author').value.trim();
+    const note = document.getElementById(revisionEls[kind].note).value.trim();
+    return { author: author || null, note: note || null };
+  }
+
+  function revisionBase(kind, id) {
+    return kind === 'game'
+      ? `/api/prompts/games/${encodeURIComponent(id)}`
+      : `/api/prompts/templates/${encodeURIComponent(id)}`;
+  }
+
+  async function loadRevisions(kind, id) {
+    const list = document.getElementById(revisionEls[kind].list);
+    document.getElementById(revisionEls[kind].diff).innerHTML = '';
+    let revisions = [];
+    try {
+      const res = await fetch(`${revisionBase(kind, id)}/revisions`);
+      revisions = await res.json();
+    } catch (e) {
+      console.error('[Dashboard] Failed to load revisions:', e);
+    }
+    if (!Array.isArray(revisions) || revisions.length === 0) {
+      list.innerHTML = '<p class="sub-label">No revisions yet. The next save starts the history.</p>';
+      return;
+    }
+    list.innerHTML = revisions.map((rev, index) => `
+      <div class="revision-row">
+        <strong>r${rev.revision}</strong>
+        <span>${rev.createdAt ? escapeHtml(new Date(rev.createdAt).toLocaleString()) : 'earlier'}</span>
+        <span>${escapeHtml(rev.author || 'unknown')}</span>
+        <span class="revision-note" title="${escapeHtml(rev.note || '')}">${escapeHtml(rev.note || '')}</span>
+        <button type="button" class="btn-small" data-diff="${escapeHtml(rev.revisionId)}">Diff</button>
+        ${index === 0 ? '<span>current</span>' : `<button type="button" class="btn-small" data-rollback="${escapeHtml(rev.revisionId)}">Roll back</button>`}
+      </div>
+    `).join('');
+    list.querySelectorAll('[data-diff]').forEach(btn => {
+      btn.addEventListener('click', () => showRevisionDiff(kind, id, btn.dataset.diff));
+    });
+    list.querySelectorAll('[data-rollback]').forEach(btn => {
+      btn.addEventListener('click', () => rollbackRevision(kind, id, btn.dataset.rollback));
+    });
+  }
+
+  async function showRevisionDiff(kind, id, revisionId) {
+    const target = document.getElementById(revisionEls[kind].diff);
+    try {
+      const res = await fetch(`${revisionBase(kind, id)}/revisions/${encodeURIComponent(revisionId)}/diff`);
+      const diff = await res.json();
+      if (!res.ok) throw new Error(diff.error || 'Diff failed');
+      target.innerHTML = `<table>
+        <thead><tr><th>${escapeHtml(diff.from || '(empty)')}</th><th>${escapeHtml(diff.to)}</th></tr></thead>
+        <tbody>${diff.rows.map(row => `
+          <tr class="diff-${row.type}"><td>${escapeHtml(row.left ?? '')}</td><td>${escapeHtml(row.right ?? '')}</td></tr>
+        `).join('')}</tbody>
+      </table>`;
+    } catch (e) {
+      console.error('[Dashboard] Failed to diff revision:', e);
+    }
+  }
+
+  async function rollbackRevision(kind, id, revisionId) {
+    if (!confirm(`Roll back to ${revisionId}? The current version stays in the history.`)) return;
+    try {
+      const res = await fetch(`${revisionBase(kind, id)}/revisions/${encodeURIComponent(revisionId)}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(revisionMeta(kind))
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        alert('Rollback failed: ' + (err.error || 'Unknown error'));
+        return;
+      }
+      if (kind === 'game') {
+        await loadGameConfigs();
+        await openGameEditor(id);
+      } else {
+        await loadTemplates();
+        await openTemplateEditor(id);
+      }
+      showToast(`Rolled back to ${revisionId}`);
+    } catch (e) {
+      console.error('[Dashboard] Failed to roll back revision:', e);
+    }
+  }
+
   // --- Utilities ---
 
   function escapeHtml(text) {
@@ -0,0 +1,179 @@
+// Game editor page: load a game's VGDL + level, preview each edit through
+// POST /api/games/preview and save the result as a new game (POST /api/games).
+
+const PREVIEW_DEBOUNCE_MS = 300;
+
+const baseGameSelect = document.getElementById('base-game-select');
+const baseLevelSelect = document.getElementById('base-level-select');
+const gameNameInput = document.getElementById('game-name-input');
+const categorySelect = document.getElementById('category-select');
+const vgdlInput = document.getElementById('vgdl-input');
+const levelInput = document.getElementById('level-input');
+const saveButton = document.getElementById('save-button');
+const saveStatus = document.getElementById('save-status');
+
+const editorState = {
+  source: null,
+  preview: null,
+  previewTimer: null,
+  // Only the newest preview request may paint; slower older replies are dropped.
+  previewSeq: 0
+};
+
+function renderList(id, items, format) {
+  const list = document.getElementById(id);
+  list.replaceChildren(...items.map(item => {
+    const li = document.createElement('li');
+    li.textContent = format(item);
+    return li;
+  }));
+}
+
+function formatProps(props) {
+  return Object.entries(props || {}).map(([key, value]) => `${key}=${value}`).join(' ');
+}
+
+function renderPreview(preview) {
+  editorState.preview = preview;
+  const classification = preview.classification || {};
+  document.getElementById('archetype-badge').textContent = classification.archetype || '—';
+  document.getElementById('pace-badge').textContent = classification.pace || '—';
+  document.getElementById('controls-badge').textContent = (preview.digest?.controls?.actions || []).join(' ') || '—';
+
+  const issues = [
+    ...preview.errors.map(text => ({ text, kind: 'error' })),
+    ...preview.warnings.map(text => ({ text, kind: 'warning' }))
+  ];
+  const issueList = document.getElementById('issue-list');
+  issueList.replaceChildren(...issues.map(issue => {
+    const li = document.createElement('li');
+    li.className = issue.kind;
+    li.textContent = issue.text;
+    return li;
+  }));
+
+  renderList('sprite-list', preview.sprites, sprite =>
+    `${sprite.name}${sprite.parent ? ` (in ${sprite.parent})` : ''} > ${sprite.type || ''} ${formatProps(sprite.props)}`.trim());
+  renderList('interaction-list', preview.interactions, rule =>
+    `${rule.sprites.join(' ')} > ${rule.effect} ${formatProps(rule.props)}`.trim());
+  renderList('termination-list', preview.terminations, rule =>
+    `${rule.type} ${formatProps(rule.props)}`.trim());
+  document.getElementById('digest-text').textContent = preview.digest?.promptText || '';
+  syncSaveButton();
+}
+
+function syncSaveButton() {
+  const nameOk = gameNameInput.checkValidity() && gameNameInput.value.trim().length > 0;
+  saveButton.disabled = !(editorState.preview && editorState.preview.valid && nameOk);
+}
+
+async function requestPreview() {
+  const seq = ++editorState.previewSeq;
+  try {
+    const response = await fetch('/api/games/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        vgdl: vgdlInput.value,
+        level: levelInput.value,
+        gameName: gameNameInput.value.trim() || undefined,
+        category: categorySelect.value
+      })
+    });
+    const data = await response.json();
+    if (seq !== editorState.previewSeq) return;
+    if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+    renderPreview(data);
+  } catch (error) {
+    if (seq !== editorState.previewSeq) return;
+    editorState.preview = null;
+    saveStatus.textContent = `Preview failed: ${error.message}`;
+    syncSaveButton();
+  }
+}
+
+function schedulePreview() {
+  clearTimeout(editorState.previewTimer);
+  editorState.previewTimer = setTimeout(requestPreview, PREVIEW_DEBOUNCE_MS);
+}
+
+function showLevel(levelId) {
+  const level = (editorState.source?.levels || []).find(entry => entry.levelId === levelId);
+  levelInput.value = level ? level.text : '';
+}
+
+async function loadBaseGame(gameId) {
+  saveStatus.textContent = '';
+  try {
+    const response = await fetch(`/api/games/${gameId}/source`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+    editorState.source = data;
+    vgdlInput.value = data.vgdl;
+    categorySelect.value = data.category === 'contphysics' ? 'contphysics' : 'gridphysics';
+    baseLevelSelect.innerHTML = data.levels.map(level =>
+      `<option value="${level.levelId}">Level ${level.levelId + 1}</option>`).join('');
+    showLevel(data.levels[0] ? data.levels[0].levelId : 0);
+    if (!gameNameInput.value) gameNameInput.value = `${data.gameName}_remix`.slice(0, 40);
+    requestPreview();
+  } catch (error) {
+    saveStatus.textContent = `Could not load game ${gameId}: ${error.message}`;
+  }
+}
+
+async function loadGameList() {
+  try {
+    const response = await fetch('/api/games?all=1');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const games = await response.json();
+    baseGameSelect.innerHTML = games.map(game =>
+      `<option value="${game.id}">${game.id} · ${game.name}${game.custom ? ' (editor)' : ''}</option>`).join('');
+    const requested = new URLSearchParams(window.location.search).get('game');
+    if (requested && games.some(game => String(game.id) === requested)) baseGameSelect.value = requested;
+    if (games.length > 0) loadBaseGame(baseGameSelect.value);
+  } catch (error) {
+    baseGameSelect.innerHTML = '<option value="">Games unavailable</option>';
+    saveStatus.textContent = `Could not load the game list: ${error.message}`;
+  }
+}
+
+async function saveGame() {
+  saveButton.disabled = true;
+  saveStatus.textContent = 'Saving…';
+  try {
+    const response = await fetch('/api/games', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        gameName: gameNameInput.value.trim(),
+        vgdl: vgdlInput.value,
+        level: levelInput.value,
+        category: categorySelect.value,
+        basedOn: editorState.source ? editorState.source.gameId : undefined
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+    saveStatus.textContent = `Saved ${data.gameName} as game ${data.gameId} (${data.classification.archetype}, ${data.classification.pace}). It is now in the arcade's game list.`;
+  } catch (error) {
+    saveStatus.textContent = `Save failed: ${error.message}`;
+  } finally {
+    syncSaveButton();
+  }
+}
+
+baseGameSelect.addEventListener('change', () => loadBaseGame(baseGameSelect.value));
+baseLevelSelect.addEventListener('change', () => {
+  showLevel(Number(baseLevelSelect.value));
+  schedulePreview();
+});
+vgdlInput.addEventListener('input', schedulePreview);
+levelInput.addEventListener('input', schedulePreview);
+categorySelect.addEventListener('change', schedulePreview);
+gameNameInput.addEventListener('input', () => {
+  syncSaveButton();
+  schedulePreview();
+});
+saveButton.addEventListener('click', saveGame);
+
+loadGameList();
@@ -0,0 +1,95 @@
+// Prompt experiments page: per-variant results from GET /api/experiments/:id,
+// polled while the page is open (runs land from walk-ups and the marble run).
+
+const POLL_MS = 20000;
+
+const picker = document.getElementById('experiment-picker');
+const summary = document.getElementById('experiment-summary');
+const variantBody = document.getElementById('variant-body');
+const variantEmpty = document.getElementById('variant-empty');
+
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+}
+
+function row(cells) {
+  const tr = document.createElement('tr');
+  tr.append(...cells);
+  return tr;
+}
+
+function percent(value) {
+  return value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
+}
+
+function interval(stat) {
+  if (!stat || stat.n === 0) return '–';
+  return `${percent(stat.ci95[0])} – ${percent(stat.ci95[1])}`;
+}
+
+function overrides(variant) {
+  const layers = [];
+  if (variant.systemTemplateId) layers.push(`system: ${variant.systemTemplateId}`);
+  if (variant.gameTemplateId) layers.push(`game: ${variant.gameTemplateId}`);
+  if (variant.gameContent) layers.push('game: custom text');
+  if (variant.levelTemplateId) layers.push(`level: ${variant.levelTemplateId}`);
+  if (variant.levelContent) layers.push('level: custom text');
+  if (variant.llmSettings) {
+    layers.push(Object.entries(variant.llmSettings).map(([key, value]) => `${key} ${value}`).join(', '));
+  }
+  return layers.length > 0 ? layers.join('; ') : 'control (game config)';
+}
+
+function renderVariants(experiment) {
+  variantBody.replaceChildren(...experiment.variants.map(variant => row([
+    cell(variant.name),
+    cell(overrides(variant), 'variant-layers'),
+    cell(String(variant.runs)),
+    cell(percent(variant.winRate.n ? variant.winRate.mean : null)),
+    cell(interval(variant.winRate), 'ci'),
+    cell(percent(variant.adherence.n ? variant.adherence.mean : null)),
+    cell(interval(variant.adherence), 'ci'),
+    cell(percent(variant.invalidActionRate.n ? variant.invalidActionRate.mean : null)),
+    cell(interval(variant.invalidActionRate), 'ci')
+  ])));
+  const scope = experiment.gameIds.length > 0 ? `games ${experiment.gameIds.join(', ')}` : 'all games';
+  summary.textContent = `${experiment.status} · ${experiment.runs} runs · ${scope} · ${experiment.sources.join(' + ')}`;
+}
+
+async function loadExperiment() {
+  if (!picker.value) return;
+  try {
+    const response = await fetch(`/api/experiments/${encodeURIComponent(picker.value)}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    renderVariants(await response.json());
+  } catch (error) {
+    summary.textContent = `Experiment unavailable: ${error.message}`;
+  }
+}
+
+async function loadExperiments() {
+  try {
+    const response = await fetch('/api/experiments');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const list = await response.json();
+    variantEmpty.hidden = list.length > 0;
+    const selected = picker.value;
+    picker.replaceChildren(...list.slice().reverse().map((experiment) => {
+      const option = document.createElement('option');
+      option.value = experiment.id;
+      option.textContent = `${experiment.name} (${experiment.status})`;
+      return option;
+    }));
+    if (selected && list.some(experiment => experiment.id === selected)) picker.value = selected;
+    await loadExperiment();
+  } catch (error) {
+    summary.textContent = `Experiments unavailable: ${error.message}`;
+  }
+}
+
+picker.addEventListener('change', loadExperiment);
+loadExperiments();
+setInterval(loadExperiments, POLL_MS);
@@ -0,0 +1,101 @@
+// Leaderboard page: standings from GET /api/tournaments/leaderboard and the
+// tournament list, refreshed as tournament-progress events arrive.
+
+const REFRESH_DEBOUNCE_MS = 1500;
+
+const gameFilter = document.getElementById('game-filter');
+const standingsBody = document.getElementById('standings-body');
+const standingsEmpty = document.getElementById('standings-empty');
+const tournamentBody = document.getElementById('tournament-body');
+const evidenceSummary = document.getElementById('evidence-summary');
+
+let refreshTimer = null;
+
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+}
+
+function row(cells) {
+  const tr = document.createElement('tr');
+  tr.append(...cells);
+  return tr;
+}
+
+function renderStandings(standings) {
+  standingsEmpty.hidden = standings.length > 0;
+  standingsBody.replaceChildren(...standings.map((entry, index) => row([
+    cell(String(index + 1)),
+    cell(entry.modelName || entry.modelId),
+    cell(`${entry.trueSkill.mu.toFixed(1)} ± ${entry.trueSkill.sigma.toFixed(1)}`),
+    cell(`${entry.trueSkill.ci95[0].toFixed(1)} – ${entry.trueSkill.ci95[1].toFixed(1)}`, 'ci'),
+    cell(String(Math.round(entry.elo.rating))),
+    cell(`${Math.round(entry.elo.ci95[0])} – ${Math.round(entry.elo.ci95[1])}`, 'ci'),
+    cell(`${entry.wins}–${entry.losses}–${entry.draws}`)
+  ])));
+}
+
+function syncGameFilter(games) {
+  const selected = gameFilter.value;
+  const known = new Set([...gameFilter.options].map(option => option.value));
+  for (const game of games) {
+    if (known.has(String(game.gameId))) continue;
+    const option = document.createElement('option');
+    option.value = String(game.gameId);
+    option.textContent = game.gameName;
+    gameFilter.append(option);
+  }
+  gameFilter.value = selected;
+}
+
+async function loadLeaderboard() {
+  try {
+    const query = gameFilter.value ? `?gameId=${encodeURIComponent(gameFilter.value)}` : '';
+    const response = await fetch(`/api/tournaments/leaderboard${query}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const board = await response.json();
+    if (!gameFilter.value) syncGameFilter(board.games);
+    renderStandings(board.overall);
+    evidenceSummary.textContent = `${board.matchCount} matches from ${board.boardCount} boards across ${board.tournamentCount} tournaments`;
+  } catch (error) {
+    evidenceSummary.textContent = `Leaderboard unavailable: ${error.message}`;
+  }
+}
+
+async function loadTournaments() {
+  try {
+    const response = await fetch('/api/tournaments');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const list = await response.json();
+    tournamentBody.replaceChildren(...list.slice().reverse().map(tournament => row([
+      cell(tournament.name),
+      cell(tournament.status),
+      cell(String(tournament.modelIds.length)),
+      cell(String(tournament.gameIds.length)),
+      cell(tournament.levelIds.join(', ')),
+      cell(`${tournament.progress.completed}/${tournament.progress.total}${tournament.progress.failed ? ` (${tournament.progress.failed} failed)` : ''}`),
+      cell(new Date(tournament.createdAt).toLocaleString())
+    ])));
+  } catch (error) {
+    tournamentBody.replaceChildren(row([cell(`Tournaments unavailable: ${error.message}`)]));
+  }
+}
+
+function refresh() {
+  loadLeaderboard();
+  loadTournaments();
+}
+
+gameFilter.addEventListener('change', loadLeaderboard);
+
+if (typeof io === 'function') {
+  const socket = io();
+  socket.on('tournament-progress', () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refresh, REFRESH_DEBOUNCE_MS);
+  });
+}
+
+refresh();
@@ -71,6 +71,10 @@
         state = 'warn';
         label = 'visitor';
         break;
+      case 'WAITING_FOR_ENGINE':
+        state = 'warn';
+        label = 'eval turn';
+        break;
       case 'YIELDING':
       case 'RESUMING':
         state = 'warn';
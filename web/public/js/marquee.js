@@ -1,5 +1,5 @@
 // Read-only spectator view for the attract-mode marble run. Consumes the same
-// global Socket.IO event stream the walk-up viewer uses, plus the marble-run-state
+// Socket.IO event stream the walk-up viewer uses, plus the marble-run-state
 // / case-started / case-completed boundary events. No controls — embeddable via
 // <iframe> on inference-arcade.com as one "room" in the network.
 (function () {
@@ -22,9 +22,20 @@
     health: null,
     tick: 0,
     attractModels: DEFAULT_ATTRACT_MODELS,
-    attractModelIndex: -1
+    attractModelIndex: -1,
+    runId: null,
+    duelNames: null
   };
 
+  // Frames stream per engine worker: join the room of the marble case being
+  // played so its frames arrive. Walk-ups may be playing on other workers at
+  // the same time, so run-scoped events are also filtered by this runId.
+  function watchRun(runId) {
+    if (!runId || runId === marqueeState.runId) return;
+    marqueeState.runId = runId;
+    socket.emit('watch-run', { runId });
+  }
+
   // --- game screen ---------------------------------------------------------
   // Frame pipeline mirrors the walk-up viewer (app.js): queue the newest frame,
   // decode it fully off-screen, then clear+draw in one synchronous rAF turn.
@@ -261,6 +272,7 @@
       case 'MARBLE_PLAYING': return 'live';
       case 'MARBLE_STARTING': return 'loading…';
       case 'WALKUP_PLAYING': return 'visitor playing';
+      case 'WAITING_FOR_ENGINE': return 'eval job turn';
       case 'YIELDING': return 'yielding…';
       case 'RESUMING': return 'resuming…';
       case 'IDLE': return 'idle';
@@ -315,7 +327,10 @@
     setLive(playing, prettyMode(s.mode));
     el('loop').textContent = `Loop ${s.loopCount || 0}`;
     el('playlist-pos').textContent = s.total ? `Case ${(s.cursor || 0) + 1} / ${s.total}` : '—';
-    if (s.current) setNowPlaying(s.current);
+    if (s.current) {
+      watchRun(s.current.runId);
+      setNowPlaying(s.current);
+    }
     else if (s.walkupActive) el('nowplaying').textContent = 'A visitor is at the cabinet — marble run paused.';
     else {
       marqueeState.attractModelIndex = -1;
@@ -334,7 +349,8 @@
     entry.className = 'entry';
     const reason = document.createElement('div');
     reason.className = 'reason';
-    reason.textContent = data.reason || data.response || '(thinking…)';
+    const who = Number.isInteger(data.playerId) ? `P${data.playerId + 1} · ` : '';
+    reason.textContent = who + (data.reason || data.response || '(thinking…)');
     const act = document.createElement('div');
     act.className = 'act';
     const b = document.createElement('b');
@@ -379,7 +395,11 @@
   }
 
   // --- wiring --------------------------------------------------------------
-  socket.on('connect', () => setLive(false, 'connected'));
+  socket.on('connect', () => {
+    setLive(false, 'connected');
+    // Rooms do not survive a reconnect; the next state snapshot rejoins.
+    marqueeState.runId = null;
+  });
   socket.on('disconnect', () => setLive(false, 'disconnected'));
   socket.on('marble-run-state', renderState);
   socket.on('case-started', (c) => {
@@ -388,9 +408,14 @@
     el('narration').replaceChildren();
     latestPlanTape = null;
     el('ticker').textContent = '—';
+    if (c) watchRun(c.runId);
+    // Head-to-head cases name both players ("A vs B") in c.model.name
+    marqueeState.duelNames = c && c.kind === 'duel' && Array.isArray(c.players)
+      ? c.players.map(p => p.name || p.model)
+      : null;
     if (c && c.model && c.game) {
       const model = c.model.name || c.model.id || 'model';
-      const game = c.game.name || `game ${c.game.id}`;
+      const game = `${c.game.name || `game ${c.game.id}`}${c.game.heldOut ? ' (held-out level)' : ''}`;
       rememberAttractModels({ modelName: model }, null);
       interCard.next = `NEXT: ${model} × ${game}`.toUpperCase();
       setNowPlaying({
@@ -408,7 +433,16 @@
     frameState.hasLiveFrame = false;
     const box = el('ticker');
     box.replaceChildren();
-    if (c.result) {
+    if (c.kind === 'duel' && c.result) {
+      const names = marqueeState.duelNames || [];
+      const winner = c.result.winnerId == null ? null : (names[c.result.winnerId] || `P${c.result.winnerId + 1}`);
+      const outcome = winner ? `${winner} WINS` : 'DRAW';
+      const scores = (c.result.players || []).map(p => p.score ?? 0).join('–');
+      interCard.last = `LAST: ${outcome} · ${scores}`.toUpperCase();
+      const b = document.createElement('b');
+      b.textContent = `${outcome} · ${scores}`;
+      box.append(b, document.createTextNode(` (${c.endedBy})`));
+    } else if (c.result) {
       const outcome = c.result.won ? 'WIN' : (c.result.winner || 'done');
       interCard.last = `LAST: ${outcome} · SCORE ${c.result.finalScore}`.toUpperCase();
       const b = document.createElement('b');
@@ -421,8 +455,10 @@
   });
   // The socket carries every run's events (walk-up play included). The marquee
   // spectates the marble run only, so drop anything that arrives while the run
-  // isn't live — otherwise walk-up frames fight the attract painter (flashing).
-  function acceptsMarbleEvents(source) {
+  // isn't live or that belongs to another run — otherwise walk-up frames fight
+  // the attract painter (flashing).
+  function acceptsMarbleEvents(source, runId) {
+    if (runId && marqueeState.runId && runId !== marqueeState.runId) return false;
     const gate = (typeof MarqueeScreen !== 'undefined' && MarqueeScreen.acceptFrame) || null;
     if (gate) return gate(marqueeState.mode, source);
     const playing = marqueeState.mode === 'MARBLE_PLAYING' || marqueeState.mode === 'MARBLE_STARTING';
@@ -430,13 +466,17 @@
   }
 
   socket.on('game-frame', (data) => {
-    if (!acceptsMarbleEvents(data && data.source)) return;
+    if (!acceptsMarbleEvents(data && data.source, data && data.runId)) return;
     queueGameFrame(data && data.image);
   });
   socket.on('game-state', (s) => {
     if (!s) return;
-    if (!acceptsMarbleEvents(null)) return;
-    if (s.score != null) {
+    if (!acceptsMarbleEvents(null, s.runId)) return;
+    if (Array.isArray(s.scores)) {
+      // Duels: both avatars' scores, player 1 first
+      el('score').textContent = s.scores.join('·');
+      marqueeState.score = s.scores[0];
+    } else if (s.score != null) {
       el('score').textContent = s.score;
       marqueeState.score = s.score;
     }
@@ -451,7 +491,7 @@
     advancePlanTape(s);
   });
   socket.on('llm-reasoning', (data) => {
-    if (!acceptsMarbleEvents(null)) return;
+    if (!acceptsMarbleEvents(null, data && data.runId)) return;
     addNarration(data);
   });
 
@@ -18,15 +18,17 @@
 
   async function loadSummary() {
     try {
-      const [summaryRes, guardRes, finetuneRes, modelsRes] = await Promise.all([
+      const [summaryRes, guardRes, budgetRes, finetuneRes, modelsRes] = await Promise.all([
         fetch('/api/telemetry/summary?limit=80'),
         fetch('/api/telemetry/guardrail'),
+        fetch('/api/telemetry/budget').catch(() => null),
         fetch('/api/finetune/status').catch(() => null),
         fetch('/api/models').catch(() => null)
       ]);
       if (!summaryRes.ok) throw new Error(`HTTP ${summaryRes.status}`);
       state.snapshot = await summaryRes.json();
       state.guardrail = guardRes.ok ? await guardRes.json() : null;
+      state.budget = budgetRes && budgetRes.ok ? await budgetRes.json() : null;
       state.finetune = finetuneRes && finetuneRes.ok ? await finetuneRes.json() : null;
       state.models = modelsRes && modelsRes.ok ? await modelsRes.json() : (state.models || []);
       render();
@@ -79,6 +81,7 @@
       renderUsageLeaderboard((snapshot.leaderboards || {}).usage || []);
       renderModelChart(snapshot.models || []);
       renderGuardrail(state.guardrail);
+      renderBudget(state.budget);
     }
 
     if (stationOpen('station-c')) {
@@ -211,6 +214,63 @@
     `;
   }
 
+  // Budget ledger: today's spend and tokens against the daily caps, then the
+  // most expensive provider/model pairs.
+  function renderBudget(b) {
+    const el = document.getElementById('telemetry-budget');
+    const table = document.getElementById('telemetry-budget-table');
+    if (!el || !table) return;
+    if (!b) {
+      el.innerHTML = '<div class="telemetry-empty">Budget ledger unavailable</div>';
+      table.innerHTML = '';
+      return;
+    }
+    const totals = b.totals || {};
+    const daily = b.limits?.daily || {};
+    const bar = (label, used, cap, format) => {
+      const pct = cap ? Math.min(100, Math.round((used / cap) * 100)) : 0;
+      return `
+        <div class="guardrail-bar">
+          <span>${label} <small>${format(used)} / ${cap ? format(cap) : 'no cap'}</small></span>
+          <div class="bar-track"><div class="bar-fill" style="width:${pct}%"></div></div>
+          <strong>${cap ? `${pct}%` : '—'}</strong>
+        </div>
+      `;
+    };
+    el.innerHTML = `
+      ${b.disabled ? '<div class="telemetry-empty">Caps disabled — usage still recorded</div>' : ''}
+      ${bar('Spend today', totals.usd || 0, daily.usd, formatUsd)}
+      ${bar('Tokens today', totals.tokens || 0, daily.tokens, formatCompactNumber)}
+    `;
+
+    const rows = b.models || [];
+    if (rows.length === 0) {
+      table.innerHTML = '<div class="telemetry-empty">No provider calls today</div>';
+      return;
+    }
+    table.innerHTML = `
+      <div class="leaderboard-row usage-head">
+        <span>#</span>
+        <span>Model</span>
+        <span>Calls</span>
+        <span>Tokens</span>
+        <span>Spend</span>
+      </div>
+      ${rows.slice(0, 6).map((row, index) => `
+        <div class="leaderboard-row usage-row">
+          <span class="leaderboard-rank">${String(index + 1).padStart(2, '0')}</span>
+          <span>
+            <strong>${escapeHtml(row.modelId)}</strong>
+            <small>${escapeHtml(row.provider)}</small>
+          </span>
+          <span>${formatNumber(row.calls)}</span>
+          <span>${formatCompactNumber(row.tokens)}</span>
+          <span>${formatUsd(row.usd)}</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
   // The Tote Board: per-model standings + strategy effect from the marble run.
   function renderMarbleRun(marble) {
     setText('telemetry-marble-total', `${formatNumber(marble.totalCases || 0)} cases`);
@@ -518,6 +578,10 @@
     return Number(value || 0).toLocaleString();
   }
 
+  function formatUsd(value) {
+    return `$${Number(value || 0).toFixed(2)}`;
+  }
+
   function formatCompactNumber(value) {
     return Number(value || 0).toLocaleString(undefined, { notation: 'compact', maximumFractionDigits: 1 });
   }
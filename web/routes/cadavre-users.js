@@ -57,6 +57,13 @@ function publicUser(user) {
   return { userId: user.id, username: user.username, email: user.email };
 }
 
+// Wall moderators are named by username, case-insensitively, in a
+// comma-separated CADAVRE_WALL_ADMINS list.
+function parseWallAdmins(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return new Set(names.map(name => String(name).trim().toLowerCase()).filter(Boolean));
+}
+
 function resetEmailConfigured() {
   return Boolean(
     String(process.env.RESEND_API_KEY || '').trim() &&
@@ -92,6 +99,8 @@ function createCadavreUserRouter(options = {}) {
   const router = express.Router();
   const store = options.store || new CadavreUserStore({ sendReset: options.sendReset || sendResetEmail });
   const canSendResetEmail = options.resetEmailConfigured || resetEmailConfigured;
+  const wallAdmins = parseWallAdmins(options.wallAdmins ?? process.env.CADAVRE_WALL_ADMINS);
+  const wallStore = options.wallStore || null;
 
   function currentUser(req) {
     return store.sessionUser(cookies(req)[SESSION_COOKIE]);
@@ -103,6 +112,34 @@ function createCadavreUserRouter(options = {}) {
     return user;
   }
 
+  function isWallModerator(user) {
+    return Boolean(user && wallAdmins.has(String(user.username).toLowerCase()));
+  }
+
+  // The wall review routes live on the Cadavre router; they borrow the
+  // session check from here so both share one login.
+  function wallModerator(req, { write = false } = {}) {
+    if (write) requireSameOrigin(req);
+    const user = requireUser(req);
+    if (!isWallModerator(user)) throw new StoreError(403, 'Wall moderation is limited to wall admins');
+    return user;
+  }
+
+  // The wall lives in Postgres; its errors carry a status but are not
+  // StoreErrors, so they are rethrown as one for route() to report.
+  async function withWall(work) {
+    if (!wallStore) throw new StoreError(503, 'The shared wall is not connected to accounts');
+    try {
+      return await work(wallStore);
+    } catch (error) {
+      if (error instanceof StoreError) throw error;
+      if (!error.status || error.status >= 500) {
+        console.error('[Cadavre Users] wall request failed:', error.cause?.message || error.message);
+      }
+      throw new StoreError(error.status || 503, error.status ? error.message : 'The shared wall is unavailable');
+    }
+  }
+
   function route(handler) {
     return async (req, res) => {
       try {
@@ -144,7 +181,7 @@ function createCadavreUserRouter(options = {}) {
 
   router.get('/auth/me', route(async (req, res) => {
     const user = requireUser(req);
-    res.json(publicUser(user));
+    res.json({ ...publicUser(user), wallModerator: isWallModerator(user) });
   }));
 
   router.post('/auth/forgot-password', route(async (req, res) => {
@@ -179,6 +216,34 @@ function createCadavreUserRouter(options = {}) {
     res.json({ poems: store.listPoems(user.id) });
   }));
 
+  router.get('/poems/pins', route(async (req, res) => {
+    const user = requireUser(req);
+    res.set('Cache-Control', 'no-store');
+    res.json(await withWall(wall => wall.listOwned(user.id, { limit: req.query.limit })));
+  }));
+
+  router.delete('/poems/pins/:pinId', route(async (req, res) => {
+    requireSameOrigin(req);
+    const user = requireUser(req);
+    const removed = await withWall(wall => wall.removeOwned(req.params.pinId, user.id));
+    if (!removed) throw new StoreError(404, 'Pin not found');
+    res.status(204).end();
+  }));
+
+  router.post('/poems/:id/pin', route(async (req, res) => {
+    requireSameOrigin(req);
+    const user = requireUser(req);
+    const poemId = Number(req.params.id);
+    if (!Number.isInteger(poemId) || poemId < 1) throw new StoreError(400, 'Invalid poem id');
+    store.rateLimit(`wall-pin:${user.id}`, 30, 60 * 60 * 1000);
+    const poem = store.getPoem(user.id, poemId);
+    const pinned = await withWall(wall => wall.create(
+      { poem: poem.lines.join('\n'), analysis: poem.reading },
+      { userId: user.id, username: user.username, poemId }
+    ));
+    res.status(201).json({ item: { ...pinned.item, poemId, status: 'visible' } });
+  }));
+
   router.post('/poems', route(async (req, res) => {
     requireSameOrigin(req);
     const user = requireUser(req);
@@ -204,6 +269,8 @@ function createCadavreUserRouter(options = {}) {
 
   router._cadavreStore = store;
   router.closeStore = () => store.close();
+  router.wallModerator = wallModerator;
+  router.currentUser = currentUser;
   return router;
 }
 
@@ -215,6 +282,7 @@ module.exports = {
     requireSameOrigin,
     sessionCookie,
     publicUser,
+    parseWallAdmins,
     resetEmailConfigured
   }
 };
@@ -2,14 +2,19 @@ const express = require('express');
 const { getConfig } = require('../lib/runtime-config');
 const { createPoemPdf, safeFilename } = require('../lib/cadavre-pdf');
 const { CadavreTurnTimerStore } = require('../lib/cadavre-turn-timer');
+const { CadavreRoomStore } = require('../lib/cadavre-rooms');
 const { resolveModel } = require('../lib/models');
 const { CadavreWallStore } = require('../lib/cadavre-wall-store');
 const telemetry = require('../lib/telemetry-store');
 const usageGuardrail = require('../lib/usage-guardrail');
+const budgetLedger = require('../lib/budget-ledger');
 
 const router = express.Router();
 const wallStore = new CadavreWallStore();
 const turnTimerStore = new CadavreTurnTimerStore();
+// Networked rooms keep their per-room turn clocks in a timer store of their
+// own, so the public /turn-timer endpoint cannot use up the rooms' capacity.
+const roomStore = new CadavreRoomStore();
 
 const MAX_MESSAGES = 14;
 const MAX_CONTENT_CHARS = 9000;
@@ -57,17 +62,23 @@ const CHAT_RATE_LIMIT = 30;
 const CHAT_RATE_WINDOW_MS = 60000;
 const WALL_VOTE_RATE_LIMIT = 120;
 const TURN_TIMER_RATE_LIMIT = 180;
+const ROOM_RATE_LIMIT = 240;
+const WALL_REPORT_RATE_LIMIT = 10;
 const USAGE_STARTED_AT = new Date().toISOString();
 
 const chatRateBuckets = new Map();
 const wallVoteRateBuckets = new Map();
 const turnTimerRateBuckets = new Map();
+const roomRateBuckets = new Map();
+const wallReportRateBuckets = new Map();
 let catalogCache = null;
 let catalogRefresh = null;
 const modelReadyCache = new Map();
 const modelReadyChecks = new Map();
 let modelWarmTimer = null;
 let mirrorCacheStatusProvider = null;
+let wallModeratorProvider = null;
+let wallAccountProvider = null;
 const catalogCacheStats = {
   requests: 0,
   hits: 0,
@@ -607,6 +618,16 @@ function configuredTurnTimerRateLimit() {
   return Number.isInteger(parsed) && parsed > 0 ? parsed : TURN_TIMER_RATE_LIMIT;
 }
 
+function configuredRoomRateLimit() {
+  const parsed = Number.parseInt(process.env.CADAVRE_ROOM_RATE_LIMIT, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : ROOM_RATE_LIMIT;
+}
+
+function configuredWallReportRateLimit() {
+  const parsed = Number.parseInt(process.env.CADAVRE_WALL_REPORT_RATE_LIMIT, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : WALL_REPORT_RATE_LIMIT;
+}
+
 function clientIp(req) {
   const header = (name) => {
     if (typeof req.get === 'function') return req.get(name);
@@ -688,6 +709,59 @@ function rateLimitTurnTimer(req, res, next, now = Date.now()) {
   next();
 }
 
+// The address Express derived from the socket and the `trust proxy` setting
+// (TRUST_PROXY in server.js). Unlike clientIp, a forwarded header only counts
+// when a configured proxy hop added it, so a client cannot pick its own.
+function trustedClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+function rateLimitReport(req, res, next, now = Date.now()) {
+  const key = trustedClientIp(req);
+  const current = wallReportRateBuckets.get(key);
+  const bucket = !current || now - current.startedAt >= CHAT_RATE_WINDOW_MS
+    ? { startedAt: now, count: 0 }
+    : current;
+  const limit = configuredWallReportRateLimit();
+  if (bucket.count >= limit) {
+    const retryAfter = Math.max(1, Math.ceil((CHAT_RATE_WINDOW_MS - (now - bucket.startedAt)) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many wall reports. Please try again shortly.' });
+    return;
+  }
+  bucket.count += 1;
+  wallReportRateBuckets.set(key, bucket);
+  if (wallReportRateBuckets.size > 5000) {
+    for (const [bucketKey, value] of wallReportRateBuckets) {
+      if (now - value.startedAt >= CHAT_RATE_WINDOW_MS) wallReportRateBuckets.delete(bucketKey);
+    }
+  }
+  next();
+}
+
+function rateLimitRoom(req, res, next, now = Date.now()) {
+  const key = clientIp(req);
+  const current = roomRateBuckets.get(key);
+  const bucket = !current || now - current.startedAt >= CHAT_RATE_WINDOW_MS
+    ? { startedAt: now, count: 0 }
+    : current;
+  const limit = configuredRoomRateLimit();
+  if (bucket.count >= limit) {
+    const retryAfter = Math.max(1, Math.ceil((CHAT_RATE_WINDOW_MS - (now - bucket.startedAt)) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many room requests. Please try again shortly.' });
+    return;
+  }
+  bucket.count += 1;
+  roomRateBuckets.set(key, bucket);
+  if (roomRateBuckets.size > 5000) {
+    for (const [bucketKey, value] of roomRateBuckets) {
+      if (now - value.startedAt >= CHAT_RATE_WINDOW_MS) roomRateBuckets.delete(bucketKey);
+    }
+  }
+  next();
+}
+
 function ollamaThinkSetting(model) {
   return /^gpt-oss(?::|$)/i.test(model || '') ? 'low' : false;
 }
@@ -724,6 +798,15 @@ async function callCandidate(candidate, messages, settings, options = {}) {
     headers['X-Title'] = 'Cadavre Exquis';
   }
 
+  const budget = budgetLedger.admit({ provider: candidate.provider, modelId: candidate.model });
+  if (!budget.allowed) {
+    const error = new Error(budget.reason);
+    error.status = 429;
+    error.guardrail = true;
+    error.scope = budget.scope;
+    throw error;
+  }
+
   let apiUrl = candidate.apiUrl;
   let body = {
     model: candidate.model,
@@ -732,6 +815,7 @@ async function callCandidate(candidate, messages, settings, options = {}) {
     temperature: settings.temperature,
     stream: false
   };
+  if (candidate.provider === 'openrouter') body.usage = { include: true };
 
   if (candidate.provider === 'ollama-cloud') {
     const verdict = usageGuardrail.admitOllamaCall(0);
@@ -775,6 +859,12 @@ async function callCandidate(candidate, messages, settings, options = {}) {
   }
 
   const data = await response.json();
+  budgetLedger.record({
+    provider: candidate.provider,
+    modelId: candidate.model,
+    source: 'cadavre',
+    usage: budgetLedger.usageFromResponse(data)
+  });
   const content = candidate.provider === 'ollama-cloud'
     ? data.message?.content
     : data.choices?.[0]?.message?.content;
@@ -1118,7 +1208,8 @@ function cadavreUsageSnapshot(now = Date.now()) {
       modelCatalog: cache,
       htmlMirror: mirrorCacheStatusProvider ? mirrorCacheStatusProvider(now) : null
     },
-    guardrail: usageGuardrail.getStatus()
+    guardrail: usageGuardrail.getStatus(),
+    budget: budgetLedger.getStatus()
   };
 }
 
@@ -1126,6 +1217,70 @@ function setMirrorCacheStatusProvider(provider) {
   mirrorCacheStatusProvider = typeof provider === 'function' ? provider : null;
 }
 
+// server.js supplies the account router's session check; until it does, the
+// review routes answer 503 rather than guessing who is an admin.
+function setWallModeratorProvider(provider) {
+  wallModeratorProvider = typeof provider === 'function' ? provider : null;
+}
+
+// server.js supplies the account session lookup, so a signed-in reporter
+// counts once per account wherever they report from.
+function setWallAccountProvider(provider) {
+  wallAccountProvider = typeof provider === 'function' ? provider : null;
+}
+
+// Who is reporting, as the server sees it: the signed-in account, else the
+// trusted client address. Forwarded headers a client sends itself are ignored.
+function wallReporterKey(req) {
+  let account = null;
+  try {
+    account = wallAccountProvider ? wallAccountProvider(req) : null;
+  } catch {
+    account = null;
+  }
+  return account?.id != null ? `account:${account.id}` : `ip:${trustedClientIp(req)}`;
+}
+
+function createWallReportHandler(store) {
+  return async function wallReportHandler(req, res) {
+    res.set('Cache-Control', 'no-store');
+    try {
+      const result = await store.report(req.params.id, wallReporterKey(req), {
+        reason: req.body?.reason,
+        details: req.body?.details
+      });
+      if (!result) {
+        res.status(404).json({ error: 'This wall post is unavailable.' });
+        return;
+      }
+      res.status(202).json(result);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message || 'Unable to file this report.' });
+    }
+  };
+}
+
+function createWallModerationHandler(store, action, { write = false } = {}) {
+  return async function wallModerationHandler(req, res) {
+    res.set('Cache-Control', 'no-store');
+    if (!wallModeratorProvider) {
+      res.status(503).json({ error: 'Wall moderation is not configured.' });
+      return;
+    }
+    try {
+      const moderator = wallModeratorProvider(req, { write });
+      const result = await action(store, req, moderator);
+      if (!result) {
+        res.status(404).json({ error: 'This wall post is unavailable.' });
+        return;
+      }
+      res.json(result);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message || 'Unable to update wall moderation.' });
+    }
+  };
+}
+
 function createWallVoteHandler(store) {
   return async function wallVoteHandler(req, res) {
     res.set('Cache-Control', 'no-store');
@@ -1146,6 +1301,51 @@ function createWallVoteHandler(store) {
   };
 }
 
+// Room actions run synchronously against the room store; seat tokens travel
+// in the body so they stay out of URLs and access logs.
+function createRoomHandler(store, action, successStatus = 200) {
+  return function roomHandler(req, res) {
+    res.set('Cache-Control', 'no-store');
+    try {
+      res.status(successStatus).json(action(store, req.params || {}, req.body || {}));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message || 'Unable to update the room.' });
+    }
+  };
+}
+
+function roomSeatChannel(code, seat) {
+  return `cadavre-room:${code}:${seat}`;
+}
+
+// Each browser watches its room through the /cadavre namespace, bound to the
+// seat its token holds; every change pushes each seat its own view, so a
+// socket never receives a line its seat may not see.
+function attachRoomSockets(io, store = roomStore) {
+  const namespace = io.of('/cadavre');
+  store.onChange = (code) => {
+    for (const { seat, view } of store.seatViews(code)) {
+      namespace.to(roomSeatChannel(code, seat)).emit('room-state', view);
+    }
+  };
+  namespace.on('connection', (socket) => {
+    socket.on('room-watch', (data) => {
+      try {
+        const code = store.validateCode(data?.code);
+        const seat = store.seatNumber(code, data?.seatToken);
+        for (const channel of socket.rooms) {
+          if (channel !== socket.id) socket.leave(channel);
+        }
+        socket.join(roomSeatChannel(code, seat));
+        socket.emit('room-state', store.state(code, data.seatToken));
+      } catch (error) {
+        socket.emit('room-error', { status: error.status || 500, error: error.message || 'Unable to watch the room.' });
+      }
+    });
+  });
+  return namespace;
+}
+
 router.use(cadavreCors);
 
 router.get('/models', async (req, res) => {
@@ -1213,6 +1413,19 @@ router.post('/turn-timer/:id/cancel', rateLimitTurnTimer, (req, res) => {
   }
 });
 
+router.post('/rooms', rateLimitRoom, createRoomHandler(roomStore,
+  (store, params, body) => store.create(body), 201));
+router.post('/rooms/:code/join', rateLimitRoom, createRoomHandler(roomStore,
+  (store, params, body) => store.join(params.code, body), 201));
+router.post('/rooms/:code/state', rateLimitRoom, createRoomHandler(roomStore,
+  (store, params, body) => store.state(params.code, body.seatToken)));
+router.post('/rooms/:code/begin', rateLimitRoom, createRoomHandler(roomStore,
+  (store, params, body) => store.begin(params.code, body.seatToken)));
+router.post('/rooms/:code/lines', rateLimitRoom, createRoomHandler(roomStore,
+  (store, params, body) => store.submit(params.code, body.seatToken, body.text)));
+router.post('/rooms/:code/reveal', rateLimitRoom, createRoomHandler(roomStore,
+  (store, params, body) => store.reveal(params.code, body.seatToken)));
+
 router.get('/wall/health', async (req, res) => {
   try {
     const health = await wallStore.health();
@@ -1228,7 +1441,13 @@ router.get('/wall/health', async (req, res) => {
 
 router.get('/wall', async (req, res) => {
   try {
-    const page = await wallStore.list({ limit: req.query.limit, cursor: req.query.cursor });
+    const page = await wallStore.list({
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      sort: req.query.sort,
+      window: req.query.window,
+      author: req.query.author
+    });
     res.set('Cache-Control', 'no-store').json(page);
   } catch (error) {
     res.status(error.status || 500).json({ error: error.message || 'Unable to load the shared wall.' });
@@ -1246,6 +1465,18 @@ router.post('/wall', rateLimitChat, async (req, res) => {
 
 router.post('/wall/:id/vote', rateLimitVote, createWallVoteHandler(wallStore));
 
+router.post('/wall/:id/report', rateLimitReport, createWallReportHandler(wallStore));
+
+router.get('/wall/moderation', createWallModerationHandler(wallStore,
+  (store, req) => store.moderationQueue({ status: req.query.status, limit: req.query.limit })));
+router.get('/wall/moderation/log', createWallModerationHandler(wallStore,
+  (store, req) => store.moderationLog({ postId: req.query.postId, limit: req.query.limit })));
+router.post('/wall/:id/moderate', rateLimitChat, createWallModerationHandler(wallStore,
+  (store, req, moderator) => store.moderate(req.params.id, req.body?.action, {
+    actor: moderator.username,
+    note: req.body?.note
+  }), { write: true }));
+
 // POST works with the existing GitHub Pages CORS policy and keeps the delete
 // capability in a JSON body rather than a URL or server log.
 router.post('/wall/:id/remove', rateLimitChat, async (req, res) => {
@@ -1338,6 +1569,10 @@ function resetForTest() {
   chatRateBuckets.clear();
   wallVoteRateBuckets.clear();
   turnTimerRateBuckets.clear();
+  roomRateBuckets.clear();
+  wallReportRateBuckets.clear();
+  wallAccountProvider = null;
+  roomStore.reset();
   turnTimerStore.reset();
   catalogCache = null;
   catalogRefresh = null;
@@ -1364,10 +1599,15 @@ function resetForTest() {
 
 module.exports = router;
 module.exports.setMirrorCacheStatusProvider = setMirrorCacheStatusProvider;
+module.exports.setWallModeratorProvider = setWallModeratorProvider;
+module.exports.setWallAccountProvider = setWallAccountProvider;
 module.exports.startModelWarmer = startModelWarmer;
 module.exports.stopModelWarmer = stopModelWarmer;
+module.exports.wallStore = wallStore;
 module.exports.closeWallStore = () => wallStore.close();
 module.exports.closeTurnTimerStore = () => turnTimerStore.close();
+module.exports.closeRoomStore = () => roomStore.close();
+module.exports.attachRoomSockets = attachRoomSockets;
 module.exports._private = {
   cleanMessages,
   providerCandidates,
@@ -1393,14 +1633,27 @@ module.exports._private = {
   isAllowedOrigin,
   cadavreCors,
   clientIp,
+  trustedClientIp,
   configuredWallVoteRateLimit,
   configuredTurnTimerRateLimit,
+  configuredRoomRateLimit,
+  configuredWallReportRateLimit,
   rateLimitChat,
   rateLimitVote,
   rateLimitTurnTimer,
+  rateLimitRoom,
+  rateLimitReport,
+  wallReporterKey,
   createWallVoteHandler,
+  createWallReportHandler,
+  createWallModerationHandler,
+  createRoomHandler,
+  attachRoomSockets,
+  roomStore,
   WALL_VOTE_RATE_LIMIT,
   TURN_TIMER_RATE_LIMIT,
+  ROOM_RATE_LIMIT,
+  WALL_REPORT_RATE_LIMIT,
   ollamaThinkSetting,
   providerTokenUsage,
   CHAT_DEADLINE_MS,
@@ -1421,5 +1674,7 @@ module.exports._private = {
   recordChatUsage,
   cadavreUsageSnapshot,
   setMirrorCacheStatusProvider,
+  setWallModeratorProvider,
+  setWallAccountProvider,
   resetForTest
 };
@@ -2,6 +2,23 @@ const express = require('express');
 const router = express.Router();
 const { buildArcadeEvalPlan } = require('../lib/eval-plan');
 const { runArcadeBatchEvaluation } = require('../lib/batch-evaluator');
+const evalQueue = require('../lib/eval-queue');
+const { EvalJobError } = require('../lib/eval-queue');
+
+const EVAL_JOB_ERROR_STATUS = {
+  JOB_NOT_FOUND: 404,
+  INVALID_JOB: 400,
+  JOB_FINISHED: 409
+};
+
+function sendJobError(res, err, label) {
+  if (err instanceof EvalJobError) {
+    res.status(EVAL_JOB_ERROR_STATUS[err.code] || 500).json({ error: err.code.toLowerCase(), message: err.message });
+    return;
+  }
+  console.error(`[Evals] Job ${label} failed:`, err);
+  res.status(500).json({ error: 'internal', message: err.message });
+}
 
 function parseGameCount(raw) {
   const parsed = Number.parseInt(raw, 10);
@@ -19,6 +36,8 @@ router.get('/arcade', (req, res) => {
   }
 });
 
+// Runs the batch inside the request; fine for dry runs and a handful of
+// cases. Long batches belong on the job queue below.
 router.post('/arcade/run', async (req, res) => {
   try {
     const result = await runArcadeBatchEvaluation(req.body || {});
@@ -29,4 +48,40 @@ router.post('/arcade/run', async (req, res) => {
   }
 });
 
+// POST /jobs — queue the same selection /arcade/run accepts (gameIds, modelIds,
+// levelId, heldOutLevels, strategyIds, repeats, seed, maxActions, ...). The
+// case list is frozen now; progress arrives as 'eval-job-progress'.
+router.post('/jobs', (req, res) => {
+  try {
+    res.status(202).json(evalQueue.submit(req.body || {}));
+  } catch (err) {
+    sendJobError(res, err, 'submit');
+  }
+});
+
+router.get('/jobs', (req, res) => {
+  try {
+    res.json(evalQueue.list());
+  } catch (err) {
+    sendJobError(res, err, 'list');
+  }
+});
+
+// GET /jobs/:id — per-case status, plus the batch report once finished.
+router.get('/jobs/:id', (req, res) => {
+  try {
+    res.json(evalQueue.get(req.params.id));
+  } catch (err) {
+    sendJobError(res, err, 'get');
+  }
+});
+
+router.post('/jobs/:id/cancel', (req, res) => {
+  try {
+    res.json(evalQueue.cancel(req.params.id));
+  } catch (err) {
+    sendJobError(res, err, 'cancel');
+  }
+});
+
 module.exports = router;
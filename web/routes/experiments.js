@@ -0,0 +1,65 @@
+'use strict';
+
+// Thin HTTP surface over lib/prompt-experiments.js. Assignment happens where
+// runs start (server.js walk-ups, the attract coordinator's marble cases).
+
+const express = require('express');
+const experiments = require('../lib/prompt-experiments');
+const { PromptExperimentError } = require('../lib/prompt-experiments');
+
+const router = express.Router();
+
+const EXPERIMENT_ERROR_STATUS = {
+  EXPERIMENT_NOT_FOUND: 404,
+  INVALID_EXPERIMENT: 400,
+  EXPERIMENT_ENDED: 409
+};
+
+function sendExperimentError(res, err, label) {
+  if (err instanceof PromptExperimentError) {
+    res.status(EXPERIMENT_ERROR_STATUS[err.code] || 500).json({ error: err.code.toLowerCase(), message: err.message });
+    return;
+  }
+  console.error(`[ExperimentRoute] ${label} failed:`, err);
+  res.status(500).json({ error: 'internal', message: err.message });
+}
+
+router.get('/', (req, res) => {
+  try {
+    res.json(experiments.list());
+  } catch (err) {
+    sendExperimentError(res, err, 'list');
+  }
+});
+
+// POST / — { name, gameIds, sources, variants: [{ id, name, weight,
+// systemTemplateId, gameTemplateId, levelTemplateId, gameContent,
+// levelContent, llmSettings }] }. Starts active.
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json(experiments.create(req.body || {}));
+  } catch (err) {
+    sendExperimentError(res, err, 'create');
+  }
+});
+
+// GET /:id — per-variant runs, win rate, score, adherence and invalid-action
+// rate, each with a 95% interval.
+router.get('/:id', (req, res) => {
+  try {
+    res.json(experiments.summarize(req.params.id));
+  } catch (err) {
+    sendExperimentError(res, err, 'summarize');
+  }
+});
+
+// POST /:id/status — { status: 'active' | 'paused' | 'ended' }.
+router.post('/:id/status', (req, res) => {
+  try {
+    res.json(experiments.setStatus(req.params.id, String(req.body?.status || '')));
+  } catch (err) {
+    sendExperimentError(res, err, 'status');
+  }
+});
+
+module.exports = router;
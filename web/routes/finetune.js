@@ -10,9 +10,9 @@ const { TriggerError } = require('../lib/finetune-pipeline');
 const router = express.Router();
 
 router.post('/trigger', (req, res) => {
-  const { gameId, dryRun } = req.body || {};
+  const { gameId, dryRun, mode } = req.body || {};
   try {
-    const result = pipeline.trigger({ gameId, dryRun: Boolean(dryRun) });
+    const result = pipeline.trigger({ gameId, dryRun: Boolean(dryRun), mode: mode || 'sft' });
     res.status(202).json(result);
   } catch (err) {
     if (err instanceof TriggerError && err.code === 'RUN_IN_PROGRESS') {
@@ -21,6 +21,9 @@ router.post('/trigger', (req, res) => {
     if (err instanceof TriggerError && err.code === 'INVALID_GAME') {
       return res.status(400).json({ error: 'invalid_gameId', message: err.message });
     }
+    if (err instanceof TriggerError && err.code === 'INVALID_MODE') {
+      return res.status(400).json({ error: 'invalid_mode', message: err.message });
+    }
     console.error('[FinetuneRoute] trigger failed:', err);
     res.status(500).json({ error: 'internal', message: err.message });
   }
@@ -5,6 +5,11 @@ const path = require('path');
 const { buildStrategicDigestFromFile } = require('../lib/vgdl-digest');
 const { getCachedClassification } = require('../lib/game-classifier');
 const traceStore = require('../lib/play-trace-store');
+const { readGameRegistry, readTwoPlayerRegistry } = require('../lib/game-registry');
+const generatedLevels = require('../lib/generated-levels');
+const { LevelGenerationError } = generatedLevels;
+const gameEditor = require('../lib/game-editor');
+const { GameEditorError } = gameEditor;
 
 const router = express.Router();
 const PROJECT_ROOT = path.join(__dirname, '../..');
@@ -12,18 +17,10 @@ const PROJECT_ROOT = path.join(__dirname, '../..');
 // VGDL files are static, so cache each game's derived digest facets.
 const digestCache = new Map();
 
-// Resolve a game id to its VGDL file via the game registry CSV.
+// Resolve a game id to its VGDL file via the game registry (bundled CSV plus
+// editor games).
 function resolveGameFile(gameId) {
-  const csvPath = path.join(PROJECT_ROOT, 'examples/all_games_sp.csv');
-  const csvContent = fs.readFileSync(csvPath, 'utf-8');
-  for (const line of csvContent.trim().split('\n')) {
-    const [id, filepath] = line.trim().split(',');
-    if (Number.parseInt(id, 10) === gameId && filepath) {
-      const file = filepath.trim();
-      return { name: path.basename(file, '.txt'), file };
-    }
-  }
-  return null;
+  return readGameRegistry(PROJECT_ROOT).get(gameId) || null;
 }
 
 function loadFeaturedRanks() {
@@ -43,43 +40,41 @@ function loadFeaturedRanks() {
   }
 }
 
+// GET /api/games — the featured cabinet list plus games saved from the editor.
+// ?all=1 lists the whole registry (the editor's "start from" picker).
 router.get('/', (req, res) => {
   try {
-    const csvPath = path.join(PROJECT_ROOT, 'examples/all_games_sp.csv');
-    const csvContent = fs.readFileSync(csvPath, 'utf-8');
     const featuredRanks = loadFeaturedRanks();
+    const listAll = req.query.all === '1';
 
-    const games = csvContent.trim().split('\n').map(line => {
-      const trimmedLine = line.trim();
-      const [id, filepath] = trimmedLine.split(',');
-      const trimmedFilepath = filepath.trim();
-      const filename = path.basename(trimmedFilepath, '.txt');
-      const category = trimmedFilepath.includes('gridphysics') ? 'gridphysics' : 'contphysics';
+    const games = [...readGameRegistry(PROJECT_ROOT).values()].map(game => {
       const levels = [];
 
       for (let i = 0; i < 5; i++) {
-        const levelPath = path.join(PROJECT_ROOT, trimmedFilepath.replace('.txt', `_lvl${i}.txt`));
+        const levelPath = game.vgdlPath.replace(/\.txt$/, `_lvl${i}.txt`);
         if (fs.existsSync(levelPath)) levels.push(i);
       }
 
       if (levels.length === 0) levels.push(0, 1, 2, 3, 4);
 
-      const gameId = Number.parseInt(id, 10);
+      const gameId = game.id;
       const classification = getCachedClassification(gameId);
 
       return {
         id: gameId,
-        name: filename,
-        file: trimmedFilepath,
-        category,
+        name: game.name,
+        file: game.file,
+        category: game.category,
         archetype: classification?.archetype || null,
         pace: classification?.pace || null,
         levels,
         levelCount: levels.length,
+        generatedLevels: generatedLevels.levelIds(gameId),
         featured: featuredRanks.has(gameId),
-        featuredRank: featuredRanks.get(gameId) || null
+        featuredRank: featuredRanks.get(gameId) || null,
+        custom: Boolean(game.custom)
       };
-    }).filter(game => featuredRanks.has(game.id));
+    }).filter(game => listAll || game.featured || game.custom);
 
     res.json(games);
   } catch (error) {
@@ -88,6 +83,24 @@ router.get('/', (req, res) => {
   }
 });
 
+// GET /api/games/two-player — head-to-head games for duel sessions. Ids index
+// examples/all_games_2p.csv, not the single-player list above.
+router.get('/two-player', (req, res) => {
+  try {
+    const games = [...readTwoPlayerRegistry(PROJECT_ROOT).values()].map(game => {
+      const levels = [];
+      for (let i = 0; i < 5; i++) {
+        if (fs.existsSync(path.join(PROJECT_ROOT, game.file.replace('.txt', `_lvl${i}.txt`)))) levels.push(i);
+      }
+      return { id: game.id, name: game.name, file: game.file, category: game.category, players: 2, levels };
+    }).filter(game => game.levels.length > 0);
+    res.json(games);
+  } catch (error) {
+    console.error('Error loading two-player games:', error);
+    res.status(500).json({ error: 'Failed to load two-player games' });
+  }
+});
+
 // GET /api/games/:id/digest — the game's rules, derived straight from its VGDL,
 // as discrete "unfold" facets for the prompting-field scaffold. Source games,
 // zero authoring: the same vgdl-digest that seeds each game's customOverride.
@@ -108,7 +121,7 @@ router.get('/:id/digest', (req, res) => {
     if (!game) {
       return res.status(404).json({ error: 'Game not found' });
     }
-    const vgdlPath = path.join(PROJECT_ROOT, game.file);
+    const vgdlPath = game.vgdlPath;
     if (!fs.existsSync(vgdlPath)) {
       return res.status(404).json({ error: 'VGDL file not found' });
     }
@@ -136,5 +149,117 @@ router.get('/:id/digest', (req, res) => {
   }
 });
 
+const EDITOR_ERROR_STATUS = {
+  GAME_NOT_FOUND: 404,
+  INVALID_NAME: 400,
+  INVALID_CATEGORY: 400,
+  INVALID_VGDL: 400,
+  INVALID_LEVEL: 400,
+  INVALID_GAME: 422,
+  NAME_TAKEN: 409,
+  RUNTIME_UNAVAILABLE: 503
+};
+
+function sendEditorError(res, err, label) {
+  if (err instanceof GameEditorError) {
+    res.status(EDITOR_ERROR_STATUS[err.code] || 500).json({ error: err.code.toLowerCase(), message: err.message, ...(err.details || {}) });
+    return;
+  }
+  console.error(`Error in game editor ${label}:`, err);
+  res.status(500).json({ error: 'internal', message: err.message });
+}
+
+// POST /api/games/preview — parse an edited VGDL + level without saving:
+// sprites, interactions, terminations, strategic digest and archetype/pace.
+router.post('/preview', (req, res) => {
+  const { vgdl, level, gameName, category } = req.body || {};
+  if (typeof vgdl !== 'string') {
+    return res.status(400).json({ error: 'invalid_vgdl', message: 'vgdl must be a string' });
+  }
+  try {
+    res.json(gameEditor.preview({ vgdl, level, gameName, category }));
+  } catch (err) {
+    sendEditorError(res, err, 'preview');
+  }
+});
+
+// POST /api/games — save an edited game as a new registry entry with a
+// digest-seeded prompt config. Playable at once from /api/game/start.
+router.post('/', async (req, res) => {
+  const { gameName, vgdl, level, category, basedOn } = req.body || {};
+  try {
+    const saved = await gameEditor.save({
+      gameName,
+      vgdl,
+      level,
+      category,
+      basedOn: Number.isInteger(basedOn) ? basedOn : undefined
+    });
+    res.status(201).json(saved);
+  } catch (err) {
+    sendEditorError(res, err, 'save');
+  }
+});
+
+// GET /api/games/:id/source — a game's VGDL and bundled level text for the editor.
+router.get('/:id/source', (req, res) => {
+  const gameId = Number.parseInt(req.params.id, 10);
+  if (!Number.isInteger(gameId)) {
+    return res.status(400).json({ error: 'Invalid game id' });
+  }
+  try {
+    res.json(gameEditor.load(gameId));
+  } catch (err) {
+    sendEditorError(res, err, 'load');
+  }
+});
+
+const LEVEL_ERROR_STATUS = {
+  GAME_NOT_FOUND: 404,
+  INVALID_GENERATOR: 400,
+  GENERATION_FAILED: 422
+};
+
+// GET /api/games/:id/levels — bundled levels plus generated (held-out) ones.
+router.get('/:id/levels', (req, res) => {
+  const gameId = Number.parseInt(req.params.id, 10);
+  if (!Number.isInteger(gameId)) {
+    return res.status(400).json({ error: 'Invalid game id' });
+  }
+  const game = resolveGameFile(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  const bundled = [];
+  for (let i = 0; i < generatedLevels.FIRST_GENERATED_LEVEL_ID; i++) {
+    if (fs.existsSync(game.vgdlPath.replace(/\.txt$/, `_lvl${i}.txt`))) {
+      bundled.push({ levelId: i, generated: false, heldOut: false });
+    }
+  }
+  const generated = generatedLevels.list(gameId).map(level => ({ ...level, generated: true }));
+  res.json({ gameId, gameName: game.name, levels: [...bundled, ...generated] });
+});
+
+// POST /api/games/:id/levels/generate — run a seeded engine level generator
+// and store the result as the game's next level id. Same generator and seed
+// returns the level already made (200) instead of a new one (201).
+router.post('/:id/levels/generate', async (req, res) => {
+  const gameId = Number.parseInt(req.params.id, 10);
+  if (!Number.isInteger(gameId)) {
+    return res.status(400).json({ error: 'Invalid game id' });
+  }
+  const { generator, seed } = req.body || {};
+  try {
+    const level = await generatedLevels.generate(gameId, { generator, seed });
+    res.status(level.existing ? 200 : 201).json(level);
+  } catch (err) {
+    if (err instanceof LevelGenerationError) {
+      return res.status(LEVEL_ERROR_STATUS[err.code] || 500).json({ error: err.code.toLowerCase(), message: err.message });
+    }
+    console.error('Error generating level:', err);
+    res.status(500).json({ error: 'internal', message: err.message });
+  }
+});
+
 module.exports = router;
 module.exports.loadFeaturedRanks = loadFeaturedRanks;
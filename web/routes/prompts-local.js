@@ -17,9 +17,30 @@ router.get('/templates/:id', (req, res) => {
   res.json(template);
 });
 
+// Saves take an optional `author` and `note` alongside the fields; they go on
+// the revision the save creates, not into the template or config itself.
+function splitRevisionMeta(body = {}) {
+  const { author, note, ...record } = body;
+  return { record, meta: { author, note } };
+}
+
 router.post('/templates', (req, res) => {
   try {
-    res.json(promptStore.saveTemplate(req.body));
+    const { record, meta } = splitRevisionMeta(req.body);
+    res.json(promptStore.saveTemplate(record, meta));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// PUT updates the fields it is given and keeps the rest (the dashboard editor
+// only sends the fields it shows).
+router.put('/templates/:id', (req, res) => {
+  try {
+    const { record, meta } = splitRevisionMeta(req.body);
+    const existing = promptStore.getTemplate(req.params.id) || {};
+    const result = promptStore.saveTemplate({ ...existing, ...record, id: req.params.id }, meta);
+    res.status(result.error ? 400 : 200).json(result);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -45,16 +66,68 @@ router.get('/games/:gameId', (req, res) => {
 
 router.post('/games/:gameId', (req, res) => {
   try {
+    const { record, meta } = splitRevisionMeta(req.body);
     const config = {
-      ...req.body,
+      ...record,
       gameId: Number.parseInt(req.params.gameId, 10)
     };
-    res.json(promptStore.saveGameConfig(config));
+    res.json(promptStore.saveGameConfig(config, meta));
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+router.put('/games/:gameId', (req, res) => {
+  try {
+    const { record, meta } = splitRevisionMeta(req.body);
+    const gameId = Number.parseInt(req.params.gameId, 10);
+    const existing = promptStore.getGameConfig(gameId) || {};
+    res.json(promptStore.saveGameConfig({ ...existing, ...record, gameId }, meta));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Revision history for templates and game configs: list (newest first), one
+// revision's snapshot, a side-by-side diff (`?against=` another revisionId or
+// `current`; default the previous revision), and rollback, which saves the
+// old snapshot as a new revision.
+function revisionRoutes(prefix, kind, param, rollback) {
+  router.get(`${prefix}/revisions`, (req, res) => {
+    res.json(promptStore.listRevisions(kind, req.params[param]));
+  });
+
+  router.get(`${prefix}/revisions/:revisionId`, (req, res) => {
+    const revision = promptStore.getRevision(kind, req.params[param], req.params.revisionId);
+    if (!revision) {
+      res.status(404).json({ error: 'Revision not found' });
+      return;
+    }
+    res.json(revision);
+  });
+
+  router.get(`${prefix}/revisions/:revisionId/diff`, (req, res) => {
+    const diff = promptStore.diffRevisions(kind, req.params[param], req.params.revisionId, req.query.against);
+    if (!diff) {
+      res.status(404).json({ error: 'Revision not found' });
+      return;
+    }
+    res.json(diff);
+  });
+
+  router.post(`${prefix}/revisions/:revisionId/rollback`, (req, res) => {
+    const saved = rollback(req.params[param], req.params.revisionId, req.body || {});
+    if (!saved) {
+      res.status(404).json({ error: 'Revision not found' });
+      return;
+    }
+    res.status(saved.error ? 400 : 200).json(saved);
+  });
+}
+
+revisionRoutes('/templates/:id', 'template', 'id', promptStore.rollbackTemplate);
+revisionRoutes('/games/:gameId', 'game', 'gameId', promptStore.rollbackGameConfig);
+
 router.delete('/games/:gameId', (req, res) => {
   const result = promptStore.deleteGameConfig(req.params.gameId);
   res.status(result.error ? 404 : 200).json(result);
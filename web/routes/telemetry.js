@@ -1,6 +1,7 @@
 const express = require('express');
 const telemetry = require('../lib/telemetry-store');
 const guardrail = require('../lib/usage-guardrail');
+const budgetLedger = require('../lib/budget-ledger');
 
 const router = express.Router();
 
@@ -63,4 +64,10 @@ router.get('/guardrail', (req, res) => {
   res.json(guardrail.getStatus());
 });
 
+// GET /budget — today's token and spend ledger by provider, model and run,
+// with the caps that apply
+router.get('/budget', (req, res) => {
+  res.json(budgetLedger.getStatus());
+});
+
 module.exports = router;
@@ -0,0 +1,78 @@
+'use strict';
+
+// Thin HTTP surface over lib/tournament.js. The manager is configured (with
+// io, enginePool and telemetry) in server.js startServer().
+
+const express = require('express');
+const tournaments = require('../lib/tournament');
+const { TournamentError } = require('../lib/tournament');
+
+const router = express.Router();
+
+const TOURNAMENT_ERROR_STATUS = {
+  TOURNAMENT_NOT_FOUND: 404,
+  INVALID_TOURNAMENT: 400,
+  TOURNAMENT_RUNNING: 409,
+  TOURNAMENT_FINISHED: 409
+};
+
+function sendTournamentError(res, err, label) {
+  if (err instanceof TournamentError) {
+    res.status(TOURNAMENT_ERROR_STATUS[err.code] || 500).json({ error: err.code.toLowerCase(), message: err.message });
+    return;
+  }
+  console.error(`[TournamentRoute] ${label} failed:`, err);
+  res.status(500).json({ error: 'internal', message: err.message });
+}
+
+router.get('/', (req, res) => {
+  res.json(tournaments.list());
+});
+
+// GET /leaderboard?gameId= — Elo and TrueSkill (with 95% intervals) from every
+// finished board of every tournament, overall and per game.
+router.get('/leaderboard', (req, res) => {
+  try {
+    res.json(tournaments.leaderboard({ gameId: req.query.gameId }));
+  } catch (err) {
+    sendTournamentError(res, err, 'leaderboard');
+  }
+});
+
+// POST / — schedule { name, modelIds, gameIds, gameCount, levelIds,
+// strategyIds, rounds, maxActions, seed } and start it unless start is false.
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json(tournaments.create(req.body || {}));
+  } catch (err) {
+    sendTournamentError(res, err, 'create');
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json(tournaments.get(req.params.id));
+  } catch (err) {
+    sendTournamentError(res, err, 'get');
+  }
+});
+
+// POST /:id/start — start a scheduled tournament or resume an interrupted one;
+// cases already played are skipped.
+router.post('/:id/start', (req, res) => {
+  try {
+    res.status(202).json(tournaments.start(req.params.id));
+  } catch (err) {
+    sendTournamentError(res, err, 'start');
+  }
+});
+
+router.post('/:id/cancel', (req, res) => {
+  try {
+    res.json(tournaments.cancel(req.params.id));
+  } catch (err) {
+    sendTournamentError(res, err, 'cancel');
+  }
+});
+
+module.exports = router;
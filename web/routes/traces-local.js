@@ -2,6 +2,8 @@
 
 const express = require('express');
 const traceStore = require('../lib/play-trace-store');
+const traceReplay = require('../lib/trace-replay');
+const { ReplayError } = require('../lib/trace-replay');
 
 const router = express.Router();
 
@@ -99,4 +101,57 @@ router.get('/:gameId/:traceId', (req, res) => {
   }
 });
 
+const REPLAY_ERROR_STATUS = {
+  TRACE_NOT_FOUND: 404,
+  REPLAY_NOT_FOUND: 404,
+  EMPTY_TRACE: 422,
+  INVALID_COMMAND: 400,
+  INVALID_TICK: 400,
+  ENGINE_BUSY: 503,
+  ENGINE_UNAVAILABLE: 503
+};
+
+function sendReplayError(res, err, label) {
+  if (err instanceof ReplayError) {
+    res.status(REPLAY_ERROR_STATUS[err.code] || 500).json({ error: err.code.toLowerCase(), message: err.message });
+    return;
+  }
+  console.error(`[TracesRoute] ${label} failed:`, err);
+  res.status(500).json({ error: 'internal', message: err.message });
+}
+
+// 5. POST /:gameId/:traceId/replay — replay a saved trace on an engine worker.
+// Frames stream on the worker's game-frame room (join it with watch-run);
+// playback state arrives as replay-state socket events.
+router.post('/:gameId/:traceId/replay', async (req, res) => {
+  const gameId = validateGameId(req, res);
+  if (gameId === null) return;
+
+  const { paused, tickIntervalMs } = req.body || {};
+  try {
+    const snapshot = await traceReplay.start(gameId, req.params.traceId, {
+      paused: paused === true,
+      tickIntervalMs: Number.isFinite(tickIntervalMs) ? tickIntervalMs : undefined
+    });
+    res.status(201).json(snapshot);
+  } catch (err) {
+    sendReplayError(res, err, 'replay start');
+  }
+});
+
+// 6. POST /:gameId/:traceId/replay/:command — pause | resume | step | seek | stop
+// for a running replay; body { runId, tick (seek), count (step) }.
+router.post('/:gameId/:traceId/replay/:command', async (req, res) => {
+  const { runId, tick, count } = req.body || {};
+  if (!runId) {
+    res.status(400).json({ error: 'Missing runId' });
+    return;
+  }
+  try {
+    res.json(await traceReplay.control(runId, req.params.command, { traceId: req.params.traceId, tick, count }));
+  } catch (err) {
+    sendReplayError(res, err, `replay ${req.params.command}`);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -36,6 +36,7 @@ function parseArgs(argv = process.argv.slice(2)) {
     else if (arg === '--strategy-id') options.strategyIds = argv[++i] || '';
     else if (arg === '--limit') options.limit = argv[++i] || undefined;
     else if (arg === '--repeats') options.repeats = argv[++i] || undefined;
+    else if (arg === '--seed') options.seed = argv[++i] || undefined;
     else if (arg === '--max-actions') options.maxActions = Number(argv[++i]) || undefined;
     else if (arg === '--memory-dir') options.memoryDir = path.resolve(argv[++i] || DEFAULT_MEMORY_DIR);
     else if (arg === '--out') options.out = path.resolve(argv[++i] || '');
@@ -10,9 +10,14 @@ Progress protocol: one JSON object per stdout line ({"stage": ...}); the Node
 orchestrator (lib/finetune-pipeline.js) parses these and ignores non-JSON
 lines. Anything human-readable goes to stderr.
 
+--mode dpo trains on the preference JSONL written by
+prepare-finetune-data.js --mode=dpo instead ({"prompt", "chosen", "rejected"}
+rows in TRL's conversational format) with TRL's DPOTrainer on the same QLoRA
+setup; every other stage and the progress protocol are unchanged.
+
 --dry-run simulates the full stage sequence without torch/unsloth installed
-(module-top imports are stdlib only, heavy imports live inside run_real) so the
-pipeline is testable on machines without a GPU.
+(module-top imports are stdlib only, heavy imports live inside run_real and
+the trainer builders) so the pipeline is testable on machines without a GPU.
 
 Real usage (Legion):
   python3 scripts/finetune.py --data data/finetune/game-0-train.jsonl \
@@ -59,6 +64,24 @@ def load_pairs(jsonl_path):
     return pairs
 
 
+def load_preferences(jsonl_path):
+    rows = []
+    with open(jsonl_path, "r", encoding="utf-8") as f:
+        for line in f:
+            line = line.strip()
+            if not line:
+                continue
+            row = json.loads(line)
+            if all(isinstance(row.get(key), list) and row[key]
+                   for key in ("prompt", "chosen", "rejected")):
+                rows.append(row)
+    return rows
+
+
+def load_examples(args):
+    return load_preferences(args.data) if args.mode == "dpo" else load_pairs(args.data)
+
+
 def append_registry(registry_path, entry):
     registry_path = Path(registry_path)
     data = {"models": [], "updatedAt": None}
@@ -96,9 +119,10 @@ def append_registry(registry_path, entry):
 
 def build_entry(args, model_id, pair_count, model_path=None, gguf_path=None, dry_run=False):
     base_tail = args.base_model.split("/")[-1]
+    dpo = args.mode == "dpo"
     entry = {
         "id": model_id,
-        "name": f"{base_tail} FT · {args.game_name}",
+        "name": f"{base_tail} {'DPO' if dpo else 'FT'} · {args.game_name}",
         "baseModel": args.base_model,
         "provider": args.provider,
         "gameId": args.game_id,
@@ -107,8 +131,11 @@ def build_entry(args, model_id, pair_count, model_path=None, gguf_path=None, dry
         "trainedAt": iso_now(),
         "modelPath": model_path,
         "ggufPath": gguf_path,
-        "description": f"Fine-tuned on {args.trained_on_plays} human plays of {args.game_name}"
-                       f" ({pair_count} examples)",
+        "description": (f"Preference-tuned on {args.trained_on_plays} plays of {args.game_name}"
+                        f" ({pair_count} pairs)") if dpo else
+                       (f"Fine-tuned on {args.trained_on_plays} human plays of {args.game_name}"
+                        f" ({pair_count} examples)"),
+        "trainingMode": args.mode,
         "runId": args.run_id,
     }
     if dry_run:
@@ -118,8 +145,8 @@ def build_entry(args, model_id, pair_count, model_path=None, gguf_path=None, dry
 
 def run_dry(args, model_id):
     emit({"stage": "load_data"})
-    pairs = load_pairs(args.data)  # really read it: validates the prep output
-    emit({"stage": "load_data", "exampleCount": len(pairs)})
+    pairs = load_examples(args)  # really read it: validates the prep output
+    emit({"stage": "load_data", "exampleCount": len(pairs), "mode": args.mode})
     time.sleep(0.05)
 
     emit({"stage": "load_model", "baseModel": args.base_model, "dryRun": True})
@@ -145,22 +172,133 @@ def run_dry(args, model_id):
           "trainedOnPlays": args.trained_on_plays, "trainSeconds": 0.5, "dryRun": True})
 
 
+def build_sft_trainer(args, model, tokenizer, pairs, render, merge_system, out_dir, callback):
+    import inspect
+
+    from unsloth.chat_templates import train_on_responses_only
+    from datasets import Dataset
+    from trl import SFTConfig, SFTTrainer
+
+    try:
+        render(pairs[0])
+        rendered = [render(m) for m in pairs]
+    except Exception:
+        rendered = [render(merge_system(m)) for m in pairs]
+    dataset = Dataset.from_list([{"text": t} for t in rendered])
+
+    # TRL renamed max_seq_length -> max_length on SFTConfig across releases.
+    sft_params = inspect.signature(SFTConfig.__init__).parameters
+    seq_key = "max_seq_length" if "max_seq_length" in sft_params else "max_length"
+    config_kwargs = {
+        "output_dir": str(out_dir / "checkpoints"),
+        "per_device_train_batch_size": args.batch_size,
+        "gradient_accumulation_steps": args.grad_accum,
+        "warmup_steps": 10,
+        "num_train_epochs": args.epochs,
+        "learning_rate": args.learning_rate,
+        "logging_steps": 1,
+        "optim": "adamw_8bit",
+        "weight_decay": 0.01,
+        "lr_scheduler_type": "linear",
+        "seed": args.seed,
+        "report_to": "none",
+        "dataset_text_field": "text",
+        seq_key: args.max_seq_length,
+    }
+    if args.max_steps > 0:
+        config_kwargs["max_steps"] = args.max_steps
+
+    trainer = SFTTrainer(
+        model=model,
+        tokenizer=tokenizer,
+        train_dataset=dataset,
+        args=SFTConfig(**config_kwargs),
+        callbacks=[callback],
+    )
+    # The assistant turn is one action token vs a multi-KB prompt: without
+    # response masking the loss is almost entirely prompt-modeling noise.
+    trainer = train_on_responses_only(
+        trainer,
+        instruction_part="<start_of_turn>user\n",
+        response_part="<start_of_turn>model\n",
+    )
+    return trainer, dataset
+
+
+def build_dpo_trainer(args, model, tokenizer, rows, render, merge_system, out_dir, callback):
+    import inspect
+
+    from unsloth import PatchDPOTrainer
+
+    PatchDPOTrainer()
+    from datasets import Dataset
+    from trl import DPOConfig, DPOTrainer
+
+    # The prompt is rendered up to the template's generation prefix and each
+    # completion is whatever the full conversation adds after it, so chosen
+    # and rejected differ only in the action turn whatever the template is.
+    def to_row(row, fold):
+        prompt = merge_system(row["prompt"]) if fold else row["prompt"]
+        prefix = tokenizer.apply_chat_template(
+            prompt, tokenize=False, add_generation_prompt=True).removeprefix("<bos>")
+        return {"prompt": prefix,
+                "chosen": render(prompt + row["chosen"])[len(prefix):],
+                "rejected": render(prompt + row["rejected"])[len(prefix):]}
+
+    try:
+        to_row(rows[0], False)
+        dataset = Dataset.from_list([to_row(r, False) for r in rows])
+    except Exception:
+        dataset = Dataset.from_list([to_row(r, True) for r in rows])
+
+    config_kwargs = {
+        "output_dir": str(out_dir / "checkpoints"),
+        "per_device_train_batch_size": args.batch_size,
+        "gradient_accumulation_steps": args.grad_accum,
+        "warmup_steps": 10,
+        "num_train_epochs": args.epochs,
+        "learning_rate": args.learning_rate,
+        "logging_steps": 1,
+        "optim": "adamw_8bit",
+        "lr_scheduler_type": "linear",
+        "seed": args.seed,
+        "report_to": "none",
+        "beta": args.beta,
+        "max_length": args.max_seq_length,
+    }
+    if "max_prompt_length" in inspect.signature(DPOConfig.__init__).parameters:
+        config_kwargs["max_prompt_length"] = args.max_seq_length - 64
+    if args.max_steps > 0:
+        config_kwargs["max_steps"] = args.max_steps
+
+    # TRL renamed tokenizer -> processing_class on its trainers across releases.
+    trainer_params = inspect.signature(DPOTrainer.__init__).parameters
+    tokenizer_key = "processing_class" if "processing_class" in trainer_params else "tokenizer"
+    # ref_model=None: with a PEFT model the reference is the base with the
+    # adapter disabled, so no second copy of the weights sits in VRAM.
+    trainer = DPOTrainer(
+        model=model,
+        ref_model=None,
+        args=DPOConfig(**config_kwargs),
+        train_dataset=dataset,
+        callbacks=[callback],
+        **{tokenizer_key: tokenizer},
+    )
+    return trainer, dataset
+
+
 def run_real(args, model_id):
     emit({"stage": "load_data"})
-    pairs = load_pairs(args.data)
-    emit({"stage": "load_data", "exampleCount": len(pairs)})
+    pairs = load_examples(args)
+    emit({"stage": "load_data", "exampleCount": len(pairs), "mode": args.mode})
     if len(pairs) < 10:
         print(f"[finetune] WARNING: only {len(pairs)} examples; results will be weak",
               file=sys.stderr)
 
-    import inspect
-
     import torch
     from unsloth import FastLanguageModel
-    from unsloth.chat_templates import get_chat_template, train_on_responses_only
-    from datasets import Dataset
+    from unsloth.chat_templates import get_chat_template
     from transformers import TrainerCallback
-    from trl import SFTConfig, SFTTrainer
 
     if not torch.cuda.is_available():
         emit({"stage": "error", "errorStage": "load_model",
@@ -209,13 +347,6 @@ def run_real(args, model_id):
             return rest
         return messages
 
-    try:
-        render(pairs[0])
-        rendered = [render(m) for m in pairs]
-    except Exception:
-        rendered = [render(merge_system(m)) for m in pairs]
-    dataset = Dataset.from_list([{"text": t} for t in rendered])
-
     class ProgressCallback(TrainerCallback):
         def on_log(self, targs, state, control, logs=None, **kwargs):
             if logs and "loss" in logs:
@@ -226,42 +357,12 @@ def run_real(args, model_id):
     out_dir = Path(args.output_dir) / model_id
     out_dir.mkdir(parents=True, exist_ok=True)
 
-    # TRL renamed max_seq_length -> max_length on SFTConfig across releases.
-    sft_params = inspect.signature(SFTConfig.__init__).parameters
-    seq_key = "max_seq_length" if "max_seq_length" in sft_params else "max_length"
-    config_kwargs = {
-        "output_dir": str(out_dir / "checkpoints"),
-        "per_device_train_batch_size": args.batch_size,
-        "gradient_accumulation_steps": args.grad_accum,
-        "warmup_steps": 10,
-        "num_train_epochs": args.epochs,
-        "learning_rate": args.learning_rate,
-        "logging_steps": 1,
-        "optim": "adamw_8bit",
-        "weight_decay": 0.01,
-        "lr_scheduler_type": "linear",
-        "seed": args.seed,
-        "report_to": "none",
-        "dataset_text_field": "text",
-        seq_key: args.max_seq_length,
-    }
-    if args.max_steps > 0:
-        config_kwargs["max_steps"] = args.max_steps
-
-    trainer = SFTTrainer(
-        model=model,
-        tokenizer=tokenizer,
-        train_dataset=dataset,
-        args=SFTConfig(**config_kwargs),
-        callbacks=[ProgressCallback()],
-    )
-    # The assistant turn is one action token vs a multi-KB prompt: without
-    # response masking the loss is almost entirely prompt-modeling noise.
-    trainer = train_on_responses_only(
-        trainer,
-        instruction_part="<start_of_turn>user\n",
-        response_part="<start_of_turn>model\n",
-    )
+    if args.mode == "dpo":
+        trainer, dataset = build_dpo_trainer(args, model, tokenizer, pairs, render,
+                                             merge_system, out_dir, ProgressCallback())
+    else:
+        trainer, dataset = build_sft_trainer(args, model, tokenizer, pairs, render,
+                                             merge_system, out_dir, ProgressCallback())
 
     steps_per_epoch = max(1, len(dataset) // (args.batch_size * args.grad_accum))
     emit({"stage": "train_begin", "epochs": args.epochs,
@@ -309,7 +410,9 @@ def run_real(args, model_id):
 def parse_args():
     here = Path(__file__).resolve().parent
     parser = argparse.ArgumentParser(description="Fine-tune via Unsloth + QLoRA")
-    parser.add_argument("--data", required=True, help="training JSONL (chat-messages rows)")
+    parser.add_argument("--data", required=True,
+                        help="training JSONL (chat-messages rows; preference rows for --mode dpo)")
+    parser.add_argument("--mode", choices=["sft", "dpo"], default="sft")
     parser.add_argument("--game-id", type=int, required=True)
     parser.add_argument("--game-name", required=True)
     parser.add_argument("--run-id", required=True)
@@ -320,7 +423,10 @@ def parse_args():
     parser.add_argument("--trained-on-plays", type=int, default=0)
     parser.add_argument("--epochs", type=float, default=2)
     parser.add_argument("--max-steps", type=int, default=0, help="0 = use epochs")
-    parser.add_argument("--learning-rate", type=float, default=2e-4)
+    parser.add_argument("--learning-rate", type=float, default=None,
+                        help="default 2e-4 for sft, 5e-6 for dpo")
+    parser.add_argument("--beta", type=float, default=0.1,
+                        help="DPO preference strength (--mode dpo)")
     parser.add_argument("--max-seq-length", type=int, default=4096)
     parser.add_argument("--batch-size", type=int, default=2)
     parser.add_argument("--grad-accum", type=int, default=4)
@@ -335,13 +441,17 @@ def parse_args():
     parser.add_argument("--no-gguf", action="store_true",
                         help="skip GGUF export; vLLM serves the PEFT lora/ dir directly")
     parser.add_argument("--dry-run", action="store_true")
-    return parser.parse_args()
+    args = parser.parse_args()
+    if args.learning_rate is None:
+        args.learning_rate = 5e-6 if args.mode == "dpo" else 2e-4
+    return args
 
 
 def main():
     args = parse_args()
-    model_id = args.model_id or f"gvgai-{slugify(args.game_name)}-ft-{time.strftime('%Y%m%d%H%M', time.gmtime())}"
-    emit({"stage": "start", "runId": args.run_id, "gameId": args.game_id,
+    tag = "dpo" if args.mode == "dpo" else "ft"
+    model_id = args.model_id or f"gvgai-{slugify(args.game_name)}-{tag}-{time.strftime('%Y%m%d%H%M', time.gmtime())}"
+    emit({"stage": "start", "runId": args.run_id, "gameId": args.game_id, "mode": args.mode,
           "modelId": model_id, "baseModel": args.base_model, "dryRun": args.dry_run})
     try:
         if args.dry_run:
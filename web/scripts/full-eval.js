@@ -4,6 +4,8 @@
 // Full-catalog evaluation: all 122 games × 2 models.
 // Writes results to web/data/eval-runs/full-ledger-<timestamp>.json
 // Each game gets 20 actions max, 60s timeout, one deliberate strategy.
+// Cases run headless: the engine renders no frames and ticks as fast as the
+// model answers, and each result carries its wall-clock vs tick throughput.
 
 const fs = require('fs');
 const path = require('path');
@@ -54,12 +56,14 @@ async function main() {
           strategies: [STRATEGY],
           maxActions: MAX_ACTIONS,
           timeoutMs: TIMEOUT_MS,
-          synchronousActions: true
+          synchronousActions: true,
+          headless: true
         });
         for (const r of result.results) {
           allResults.push(r);
           const acts = (r.actions || []).slice(0, 8).join(',');
-          console.log(`    ✓ game ${r.gameId} ${r.gameName}: score=${r.finalScore} won=${r.winner} ticks=${r.ticks} nilLoop=${r.nilActionLoop} acts=${acts}`);
+          const pace = r.throughput?.ticksPerSecond != null ? ` ${r.throughput.ticksPerSecond} ticks/s` : '';
+          console.log(`    ✓ game ${r.gameId} ${r.gameName}: score=${r.finalScore} won=${r.winner} ticks=${r.ticks}${pace} nilLoop=${r.nilActionLoop} acts=${acts}`);
         }
         for (const e of result.errors) {
           allErrors.push(e);
@@ -83,6 +87,8 @@ async function main() {
     strategy: STRATEGY.text,
     maxActions: MAX_ACTIONS,
     timeoutMs: TIMEOUT_MS,
+    headless: true,
+    wallClockMs: allResults.reduce((sum, r) => sum + (r.throughput?.wallClockMs || 0), 0),
     totalGames: allGameIds.length,
     totalCases: allGameIds.length * MODELS.length,
     results: allResults,
@@ -12,14 +12,26 @@
 // Caveat: buildPrompt's PLAY HISTORY layer reads the live trace store, so
 // prompts are reconstructed as-of-now, not as-of-play. That matches what the
 // tuned model sees at inference time, which is the distribution we train for.
+//
+// --mode=dpo writes a preference dataset instead (prepareDpoData): decisions
+// are grouped by a coarse state key, and an action that gained score in a
+// state is paired against one that went badly in the same state elsewhere —
+// a score loss, the last moves of a lost level, a stagnation stretch, an
+// unparseable reply, or the model's pick that steering overrode. Rows use
+// TRL's conversational preference format: {"prompt":[...],"chosen":[...],
+// "rejected":[...]}.
 
 const fs = require('fs');
 const path = require('path');
-const { buildPrompt, GameStateTracker } = require('../lib/state-converter');
+const { buildPrompt, extractSpatialContext, GameStateTracker } = require('../lib/state-converter');
 const promptStore = require('../lib/prompt-store');
 const traceStore = require('../lib/play-trace-store');
 
 const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'data', 'finetune');
+const ACTION_PATTERN = /^ACTION_[A-Z]+$/;
+// Decisions before a PLAYER_LOSES end that count as the losing moves.
+const DEFAULT_LOSS_WINDOW = 3;
+const DEFAULT_MAX_PAIRS_PER_STATE = 2;
 
 class PrepareError extends Error {
   constructor(code, message) {
@@ -75,15 +87,11 @@ function downsampleNil(pairs, maxNilRatio) {
   return pairs.filter(p => (p.action !== 'ACTION_NIL' ? true : nilIdx++ % stride === 0));
 }
 
-function prepareFinetuneData(options = {}) {
-  const gameId = options.gameId;
+// Full traces for a game that carry per-tick SSO, or a typed PrepareError.
+function loadUsableTraces(gameId, playerType) {
   if (!Number.isInteger(gameId)) {
     throw new PrepareError('INVALID_GAME', `gameId must be an integer, got ${gameId}`);
   }
-  const playerType = options.playerType === 'all' ? null : (options.playerType || 'human');
-  const minExamples = options.minExamples ?? 20;
-  const maxNilRatio = options.maxNilRatio ?? 0.3;
-
   const summaries = traceStore.getTracesForGame(gameId, playerType ? { playerType } : {});
   if (summaries.length === 0) {
     throw new PrepareError('NO_TRACES', `no ${playerType || ''} traces stored for game ${gameId}`.replace('  ', ' '));
@@ -98,12 +106,25 @@ function prepareFinetuneData(options = {}) {
     throw new PrepareError('NO_SSO',
       `${fullTraces.length} trace(s) found for game ${gameId} but none carry per-tick SSO (recorded before SSO capture shipped?)`);
   }
+  return { usable, skippedTraces: fullTraces.length - usable.length };
+}
+
+function promptConfigFor(gameId, trace) {
+  const resolved = promptStore.resolveGamePromptConfig(gameId, trace.levelId || 0, {});
+  return { ...resolved, codeProtocol: null };
+}
+
+function prepareFinetuneData(options = {}) {
+  const gameId = options.gameId;
+  const playerType = options.playerType === 'all' ? null : (options.playerType || 'human');
+  const minExamples = options.minExamples ?? 20;
+  const maxNilRatio = options.maxNilRatio ?? 0.3;
+  const { usable, skippedTraces } = loadUsableTraces(gameId, playerType);
 
   let pairs = [];
   let gameName = null;
   for (const trace of usable) {
-    const resolved = promptStore.resolveGamePromptConfig(gameId, trace.levelId || 0, {});
-    const promptConfig = { ...resolved, codeProtocol: null };
+    const promptConfig = promptConfigFor(gameId, trace);
     gameName = gameName || promptConfig.gameName || trace.gameName || null;
     pairs = pairs.concat(pairsFromTrace(trace, promptConfig, options));
   }
@@ -135,8 +156,168 @@ function prepareFinetuneData(options = {}) {
     exampleCount: pairs.length,
     rawExampleCount,
     traceCount: usable.length,
-    skippedTraces: fullTraces.length - usable.length,
+    skippedTraces,
+    actionDistribution,
+    gameName
+  };
+}
+
+// Replay one trace into per-decision steps for preference pairing: the prompt
+// the model would have seen, a state key for matching similar states across
+// traces, whether the decision gained score, and which negative signals it
+// carries. Rejected steps offer the model's overridden pick when steering
+// replaced it, otherwise the action that was played.
+function preferenceStepsFromTrace(trace, promptConfig, options = {}) {
+  const lossWindow = options.lossWindow ?? DEFAULT_LOSS_WINDOW;
+  const entries = (trace.actionHistory || []).filter(e => e.sso && typeof e.sso === 'object');
+  const lost = trace.winner === 'PLAYER_LOSES';
+  const tracker = new GameStateTracker();
+  const steps = [];
+
+  entries.forEach((entry, index) => {
+    tracker.recordTick(entry.sso);
+    const stagnant = Boolean(tracker.detectStagnation());
+    const { systemMessage, userMessage } = buildPrompt(entry.sso, promptConfig, tracker, null);
+    const action = entry.action || 'ACTION_NIL';
+    const scoreDelta = Number(entry.scoreDelta) || 0;
+
+    const signals = [];
+    if (scoreDelta < 0) signals.push('score_loss');
+    if (lost && index >= entries.length - lossWindow) signals.push('losing_trace');
+    if (stagnant) signals.push('stagnation');
+    if (entry.parseValid === false) signals.push('invalid_action');
+    if (entry.overriddenAction) signals.push('steering_override');
+
+    const prompt = [];
+    if (systemMessage) prompt.push({ role: 'system', content: systemMessage });
+    prompt.push({ role: 'user', content: userMessage });
+    steps.push({
+      stateKey: `${trace.levelId || 0}|${extractSpatialContext(entry.sso)}`,
+      prompt,
+      action,
+      rejectedAction: entry.overriddenAction || action,
+      availableActions: entry.sso.availableActions || [],
+      gained: scoreDelta > 0 && entry.parseValid !== false,
+      signals
+    });
+
+    tracker.recordAction(action, entry.sso.gameTick || 0);
+  });
+
+  return steps;
+}
+
+// Why a pair cannot be trained on, or null when it is usable.
+function preferencePairProblem(pair) {
+  const user = pair.prompt.find(message => message.role === 'user');
+  if (!user || !String(user.content || '').trim()) return 'empty_prompt';
+  if (!ACTION_PATTERN.test(pair.chosen) || !ACTION_PATTERN.test(pair.rejected)) return 'malformed_action';
+  if (pair.chosen === pair.rejected) return 'same_action';
+  if (pair.availableActions.length > 0 && !pair.availableActions.includes(pair.chosen)) return 'unavailable_action';
+  return null;
+}
+
+// Pair steps that gained score with steps that went badly in the same state.
+// Each state contributes at most maxPairsPerState pairs so one heavily
+// revisited spot (the spawn point) cannot dominate the set. Returns the valid,
+// de-duplicated pairs and per-reason drop counts.
+function buildPreferencePairs(steps, options = {}) {
+  const maxPairsPerState = options.maxPairsPerState ?? DEFAULT_MAX_PAIRS_PER_STATE;
+  const byState = new Map();
+  for (const step of steps) {
+    if (!byState.has(step.stateKey)) byState.set(step.stateKey, []);
+    byState.get(step.stateKey).push(step);
+  }
+
+  const pairs = [];
+  const dropped = {};
+  const seen = new Set();
+  const drop = (reason) => { dropped[reason] = (dropped[reason] || 0) + 1; };
+  for (const [stateKey, group] of byState) {
+    const winners = group.filter(step => step.gained);
+    const losers = group.filter(step => step.signals.length > 0);
+    let kept = 0;
+    for (const winner of winners) {
+      for (const loser of losers) {
+        if (kept >= maxPairsPerState) break;
+        const pair = {
+          stateKey,
+          prompt: winner.prompt,
+          chosen: winner.action,
+          rejected: loser.rejectedAction,
+          availableActions: winner.availableActions,
+          signals: loser.signals
+        };
+        const problem = preferencePairProblem(pair);
+        if (problem) {
+          drop(problem);
+          continue;
+        }
+        const key = JSON.stringify([pair.prompt, pair.chosen, pair.rejected]);
+        if (seen.has(key)) {
+          drop('duplicate');
+          continue;
+        }
+        seen.add(key);
+        pairs.push(pair);
+        kept++;
+      }
+    }
+  }
+  return { pairs, dropped };
+}
+
+function prepareDpoData(options = {}) {
+  const gameId = options.gameId;
+  // LLM traces carry the invalid-reply and steering signals, so DPO reads
+  // every player type unless told otherwise.
+  const playerType = !options.playerType || options.playerType === 'all' ? null : options.playerType;
+  const minExamples = options.minExamples ?? 20;
+  const { usable, skippedTraces } = loadUsableTraces(gameId, playerType);
+
+  let steps = [];
+  let gameName = null;
+  for (const trace of usable) {
+    const promptConfig = promptConfigFor(gameId, trace);
+    gameName = gameName || promptConfig.gameName || trace.gameName || null;
+    steps = steps.concat(preferenceStepsFromTrace(trace, promptConfig, options));
+  }
+
+  const { pairs, dropped } = buildPreferencePairs(steps, options);
+  if (pairs.length < minExamples) {
+    throw new PrepareError('TOO_FEW_EXAMPLES',
+      `only ${pairs.length} preference pairs from ${usable.length} trace(s); need at least ${minExamples} — play more rounds, including losing ones`);
+  }
+
+  const actionDistribution = {};
+  const signalCounts = {};
+  for (const pair of pairs) {
+    actionDistribution[pair.chosen] = (actionDistribution[pair.chosen] || 0) + 1;
+    for (const signal of pair.signals) signalCounts[signal] = (signalCounts[signal] || 0) + 1;
+  }
+
+  let jsonlPath = null;
+  if (options.write !== false) {
+    jsonlPath = options.output ||
+      path.join(options.outDir || DEFAULT_OUT_DIR, `game-${gameId}-dpo.jsonl`);
+    fs.mkdirSync(path.dirname(jsonlPath), { recursive: true });
+    const lines = pairs.map(pair => JSON.stringify({
+      prompt: pair.prompt,
+      chosen: [{ role: 'assistant', content: pair.chosen }],
+      rejected: [{ role: 'assistant', content: pair.rejected }]
+    }));
+    fs.writeFileSync(jsonlPath, lines.join('\n') + '\n');
+  }
+
+  return {
+    jsonlPath,
+    exampleCount: pairs.length,
+    stepCount: steps.length,
+    droppedPairs: dropped,
+    traceCount: usable.length,
+    skippedTraces,
     actionDistribution,
+    signalCounts,
     gameName
   };
 }
@@ -154,11 +335,12 @@ function main() {
   const args = parseCliArgs(process.argv.slice(2));
   const gameId = Number.parseInt(args.gameId ?? args['game-id'], 10);
   if (!Number.isInteger(gameId)) {
-    console.error('Usage: node prepare-finetune-data.js --gameId=0 [--player-type=human|llm|all] [--output=path] [--min-examples=20] [--max-nil-ratio=0.3]');
+    console.error('Usage: node prepare-finetune-data.js --gameId=0 [--mode=sft|dpo] [--player-type=human|llm|all] [--output=path] [--min-examples=20] [--max-nil-ratio=0.3]');
     process.exit(1);
   }
+  const prepare = args.mode === 'dpo' ? prepareDpoData : prepareFinetuneData;
   try {
-    const stats = prepareFinetuneData({
+    const stats = prepare({
       gameId,
       playerType: args['player-type'],
       output: args.output,
@@ -177,4 +359,12 @@ function main() {
 
 if (require.main === module) main();
 
-module.exports = { prepareFinetuneData, pairsFromTrace, downsampleNil, PrepareError };
+module.exports = {
+  prepareFinetuneData,
+  prepareDpoData,
+  pairsFromTrace,
+  preferenceStepsFromTrace,
+  buildPreferencePairs,
+  downsampleNil,
+  PrepareError
+};
@@ -79,6 +79,30 @@ function copyLocalOverrides() {
   }
 }
 
+// Generated levels (lib/generated-levels.js) are untracked files next to the
+// bundled ones, so git archive leaves them out; copy them into the new tree.
+function copyGeneratedLevels() {
+  const generatedLevels = require('../lib/generated-levels');
+  let copied = 0;
+  for (const level of generatedLevels.all()) {
+    const src = path.join(projectRoot, level.file);
+    if (!fs.existsSync(src)) continue;
+    const dest = path.join(sourceRoot, level.file);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(src, dest);
+    copied += 1;
+  }
+  if (copied > 0) console.log(`[JavaRuntime] copied ${copied} generated levels`);
+}
+
+// Games saved from the editor live under web/data (git-ignored), so git
+// archive leaves them and their registry lines out.
+function copyCustomGames() {
+  const { installCustomGames } = require('../lib/game-registry');
+  const installed = installCustomGames(sourceRoot, projectRoot);
+  if (installed > 0) console.log(`[JavaRuntime] installed ${installed} editor games`);
+}
+
 function collectJavaSources(dir, files = []) {
   for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
     const fullPath = path.join(dir, entry.name);
@@ -98,6 +122,8 @@ async function main() {
 
   await extractGitArchive();
   copyLocalOverrides();
+  copyGeneratedLevels();
+  copyCustomGames();
 
   const javaSources = collectJavaSources(path.join(sourceRoot, 'src')).sort();
   fs.writeFileSync(sourcesFile, `${javaSources.join('\n')}\n`);
@@ -29,6 +29,10 @@ function parseArgs(argv) {
     } else if (arg === '--level-id') {
       options.levelId = next;
       i++;
+    } else if (arg === '--headless') {
+      options.headless = true;
+    } else if (arg === '--held-out-levels') {
+      options.heldOutLevels = true;
     } else if (arg === '--model') {
       options.modelIds = next;
       i++;
@@ -48,6 +52,26 @@ function parseArgs(argv) {
     } else if (arg === '--repeats') {
       options.repeats = next;
       i++;
+    } else if (arg === '--response-mode') {
+      options.responseMode = next;
+      i++;
+    } else if (arg === '--observation-modes') {
+      options.observationModes = next;
+      i++;
+    } else if (arg === '--memory-modes') {
+      options.memoryModes = next;
+      i++;
+    } else if (arg === '--baselines') {
+      // Bare flag: the default baseline set; or a comma list of baseline ids.
+      if (next && !next.startsWith('--')) {
+        options.baselines = next;
+        i++;
+      } else {
+        options.baselines = true;
+      }
+    } else if (arg === '--seed') {
+      options.seed = next;
+      i++;
     } else if (arg === '--timeout-ms') {
       options.timeoutMs = next;
       i++;
@@ -102,6 +126,31 @@ async function main() {
       console.log(`[Eval] qualification ${line}`);
     }
   }
+  for (const item of result.observationComparison.comparisons) {
+    if (item.modesCompared < 2) continue;
+    const modes = item.byMode.map(entry => `${entry.observationMode} ${entry.meanScore.toFixed(1)}`).join(' vs ');
+    console.log(`[Eval] observation g${item.gameId} ${item.modelId} ${item.strategyId}: ${modes}`);
+  }
+  for (const item of result.memoryComparison.comparisons) {
+    if (item.modesCompared < 2) continue;
+    const modes = item.byMode.map(entry => `${entry.memoryMode} ${entry.meanScore.toFixed(1)}`).join(' vs ');
+    console.log(`[Eval] memory g${item.gameId} ${item.modelId} ${item.strategyId}: ${modes}`);
+  }
+  const paced = result.results.filter(run => run.throughput && run.throughput.wallClockMs > 0);
+  if (paced.length > 0) {
+    const wallClockMs = paced.reduce((sum, run) => sum + run.throughput.wallClockMs, 0);
+    const ticks = paced.reduce((sum, run) => sum + run.throughput.ticks, 0);
+    console.log(`[Eval] throughput${options.headless ? ' (headless)' : ''}: ${ticks} ticks in ${(wallClockMs / 1000).toFixed(1)}s wall clock, ${(ticks * 1000 / wallClockMs).toFixed(1)} ticks/s`);
+  }
+  for (const item of result.baselineComparison.comparisons) {
+    const baselines = item.baselines.map(entry => `${entry.modelId} ${entry.meanScore.toFixed(1)}`).join(', ');
+    for (const model of item.models) {
+      console.log(`[Eval] baseline g${item.gameId} l${item.levelId} ${model.modelId} ${model.meanScore.toFixed(1)} vs ${baselines}`);
+    }
+  }
+  for (const item of result.heldOutComparison.comparisons) {
+    console.log(`[Eval] held-out ${item.modelId}: bundled ${item.bundled.meanScore.toFixed(1)} vs held-out ${item.heldOut.meanScore.toFixed(1)} (${item.heldOut.runs} runs)`);
+  }
 
   // Per-archetype rollup: games within a class are comparable; across classes
   // the score scales and pacing differ too much for a single average.
@@ -3,22 +3,34 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
 const { loadRootEnv } = require('./scripts/load-root-env');
 const { getConfig, getConfigLoadStatus } = require('./lib/runtime-config');
-const { resolveScreenshotPath } = require('./lib/screenshot-path');
+const { createFrameStreamer, isCompletePng, screenshotDigest } = require('./lib/frame-streamer');
+const enginePool = require('./lib/engine-pool');
 const { sanitizeStrategy } = require('./lib/state-converter');
+const { resolveSeed } = require('./lib/run-seed');
 const { createCadavreMirror } = require('./lib/cadavre-mirror');
 const coordinator = require('./lib/attract-coordinator');
 const finetunePipeline = require('./lib/finetune-pipeline');
+const traceReplay = require('./lib/trace-replay');
+const duelManager = require('./lib/duel-manager');
+const generatedLevels = require('./lib/generated-levels');
+const tournaments = require('./lib/tournament');
+const evalQueue = require('./lib/eval-queue');
+const promptExperiments = require('./lib/prompt-experiments');
+const { readGameRegistry } = require('./lib/game-registry');
+const { DuelError } = require('./lib/duel-manager');
+const { createControlToken, controlTokenMatches } = require('./lib/human-control');
 const config = getConfig();
 const cadavreMirror = createCadavreMirror();
 
 const telemetry = require('./lib/telemetry-store');
 const cadavreRoutes = require('./routes/cadavre');
 const { createCadavreUserRouter } = require('./routes/cadavre-users');
-const cadavreUserRoutes = createCadavreUserRouter();
+const cadavreUserRoutes = createCadavreUserRouter({ wallStore: cadavreRoutes.wallStore });
 cadavreRoutes.setMirrorCacheStatusProvider((now) => cadavreMirror.getCacheStatus(now));
+cadavreRoutes.setWallModeratorProvider((req, options) => cadavreUserRoutes.wallModerator(req, options));
+cadavreRoutes.setWallAccountProvider(req => cadavreUserRoutes.currentUser(req));
 
 let gameManager = null;
 let LLMClient = null;
@@ -31,165 +43,32 @@ function loadRuntimeModules() {
   return { gameManager, LLMClient, HumanPlayClient };
 }
 
+// TRUST_PROXY is the number of proxy hops in front of the app (or an Express
+// address list). Without it req.ip is the socket peer and forwarded headers
+// are not believed.
+function trustProxySetting(value) {
+  const text = String(value || '').trim();
+  if (!text || text === 'false') return false;
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+
 const app = express();
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 const server = http.createServer(app);
 const io = socketIo(server);
+cadavreRoutes.attachRoomSockets(io);
 
-// Screenshot streaming — native fs.watch for low-latency macOS FSEvents
-let screenshotWatcher = null;
-// The run that owns the frame stream right now ({ runId, source: 'walkup'|'marble' }).
-// Every game-frame is tagged with it so viewers can drop frames that belong to a
-// different run (the walk-up viewer ignores marble frames and vice versa).
-let frameOwner = null;
-let lastScreenshotDigest = null;
-let lastFrameSendTime = 0;
-let pendingFrameTimeout = null;
-let frameReadInFlight = false;
-let frameReadQueued = false;
-const FRAME_MIN_INTERVAL = 33;  // ~30fps cap
-const screenshotPath = resolveScreenshotPath(config.gvgai);
-const PNG_SIG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
-const PNG_IEND = Buffer.from([0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]);
-
-function isCompletePng(buffer) {
-  return Buffer.isBuffer(buffer) &&
-    buffer.length >= 45 &&
-    buffer.subarray(0, PNG_SIG.length).equals(PNG_SIG) &&
-    buffer.subarray(buffer.length - PNG_IEND.length).equals(PNG_IEND);
-}
-
-function screenshotDigest(buffer) {
-  return crypto.createHash('sha1').update(buffer).digest('hex');
-}
-
-function startScreenshotStreaming(owner = null) {
-  stopScreenshotStreaming();
-  frameOwner = owner && owner.runId ? { runId: owner.runId, source: owner.source || 'walkup' } : null;
-
-  console.log('[Server] Starting screenshot streaming from:', screenshotPath);
-
-  // Ensure file exists before watching (fs.watch requires existing file)
-  const dir = path.dirname(screenshotPath);
-  const filename = path.basename(screenshotPath);
-
-  try {
-    // Watch the directory for changes to the screenshot file
-    screenshotWatcher = fs.watch(dir, { persistent: true }, (eventType, changedFile) => {
-      if (changedFile === filename) {
-        scheduleFrameSend();
-      }
-    });
-
-    screenshotWatcher.on('error', (error) => {
-      console.error('[Server] Screenshot watcher error:', error);
-    });
-
-    // macOS FSEvents can silently stop delivering change notifications after
-    // the watched file is deleted and recreated (which prepareScreenshotTarget
-    // does on every game start). A 1s polling heartbeat catches the silent
-    // failure case without adding duplicate sends (content-hash dedup still
-    // applies).
-    screenshotWatcher._pollFallback = setInterval(() => scheduleFrameSend(), 1000);
-  } catch (error) {
-    console.error('[Server] Failed to start file watcher, falling back to polling:', error.message);
-    // Fallback: poll every 33ms
-    screenshotWatcher = setInterval(() => scheduleFrameSend(), FRAME_MIN_INTERVAL);
-    screenshotWatcher._isInterval = true;
-  }
-}
-
-// Throttle frame sends to ~30fps max
-function scheduleFrameSend() {
-  const now = Date.now();
-  const elapsed = now - lastFrameSendTime;
-
-  if (elapsed >= FRAME_MIN_INTERVAL) {
-    // Send immediately
-    sendScreenshotAsync();
-  } else if (!pendingFrameTimeout) {
-    // Schedule send for when the throttle window opens
-    pendingFrameTimeout = setTimeout(() => {
-      pendingFrameTimeout = null;
-      sendScreenshotAsync();
-    }, FRAME_MIN_INTERVAL - elapsed);
-  }
-  // Otherwise a send is already scheduled, skip
-}
-
-async function sendScreenshotAsync() {
-  if (frameReadInFlight) {
-    frameReadQueued = true;
-    return;
-  }
-
-  frameReadInFlight = true;
-  try {
-    // Read the file first, then validate and dedup by content hash. Java writes
-    // the PNG in-place, so fs.watch often fires mid-write and macOS stat values
-    // can be stale across repeated overwrites. The frame bytes are tiny, so a
-    // full hash is cheaper and more reliable than mtime/size bookkeeping.
-    const imageBuffer = await fs.promises.readFile(screenshotPath);
-
-    // Guard against partial writes: the browser will reject a header-only or
-    // truncated data URL with "Invalid encoded image data". Do not remember a
-    // partial frame as the last frame; the next fs.watch/poll tick will retry.
-    if (!isCompletePng(imageBuffer)) {
-      return;
-    }
-
-    const digest = screenshotDigest(imageBuffer);
-    if (lastScreenshotDigest === digest) {
-      return;
-    }
-    lastScreenshotDigest = digest;
-    lastFrameSendTime = Date.now();
-
-    // Convert to base64 data URL so the client can use it directly as img.src
-    const base64 = imageBuffer.toString('base64');
-    io.emit('game-frame', {
-      image: `data:image/png;base64,${base64}`,
-      timestamp: Date.now(),
-      runId: frameOwner ? frameOwner.runId : null,
-      source: frameOwner ? frameOwner.source : null
-    });
-  } catch (error) {
-    // File might not exist yet or be mid-write, silently skip
-    if (error.code !== 'ENOENT') {
-      console.error('[Server] Error sending screenshot:', error.message);
-    }
-  } finally {
-    frameReadInFlight = false;
-    if (frameReadQueued) {
-      frameReadQueued = false;
-      scheduleFrameSend();
-    }
-  }
-}
-
-function stopScreenshotStreaming() {
-  if (pendingFrameTimeout) {
-    clearTimeout(pendingFrameTimeout);
-    pendingFrameTimeout = null;
-  }
-  if (screenshotWatcher) {
-    if (screenshotWatcher._isInterval) {
-      clearInterval(screenshotWatcher);
-    } else {
-      if (screenshotWatcher._pollFallback) {
-        clearInterval(screenshotWatcher._pollFallback);
-        screenshotWatcher._pollFallback = null;
-      }
-      screenshotWatcher.close();
-    }
-    screenshotWatcher = null;
-    frameOwner = null;
-    lastScreenshotDigest = null;
-    lastFrameSendTime = 0;
-    frameReadInFlight = false;
-    frameReadQueued = false;
-    console.log('[Server] Stopped screenshot streaming');
-  }
-}
+// One frame streamer per engine worker: each worker writes its own screenshot
+// file and broadcasts game-frame only to its own Socket.IO room.
+enginePool.configure({
+  gvgaiConfig: config.gvgai,
+  createStreamer: worker => createFrameStreamer({
+    io,
+    screenshotPath: worker.screenshotPath,
+    room: worker.room,
+    label: `Server:${worker.room}`
+  })
+});
 
 // Middleware
 app.use(express.json());
@@ -220,15 +99,11 @@ app.use((req, res, next) => {
   next();
 });
 
-// Resolve game name from CSV registry by index
+// Resolve game name from the game registry (bundled CSV plus editor games)
 function resolveGameName(gameId) {
   try {
-    const csvPath = path.join(config.gvgai.projectRoot, 'examples/all_games_sp.csv');
-    const lines = fs.readFileSync(csvPath, 'utf-8').trim().split('\n');
-    if (gameId >= 0 && gameId < lines.length) {
-      const filepath = lines[gameId].split(',')[1].trim();
-      return path.basename(filepath, '.txt');
-    }
+    const game = readGameRegistry(config.gvgai.projectRoot).get(Number(gameId));
+    if (game) return game.name;
   } catch (e) {
     console.error('[Server] Failed to resolve game name:', e.message);
   }
@@ -244,6 +119,8 @@ app.use('/api/telemetry', require('./routes/telemetry'));
 app.use('/api/marble', require('./routes/marble'));
 app.use('/api/traces', require('./routes/traces-local'));
 app.use('/api/finetune', require('./routes/finetune'));
+app.use('/api/tournaments', require('./routes/tournaments'));
+app.use('/api/experiments', require('./routes/experiments'));
 app.use('/api/cadavre', cadavreRoutes);
 app.use('/api/cadavre', cadavreUserRoutes);
 
@@ -256,27 +133,111 @@ app.get('/marquee', (req, res) => res.sendFile(path.join(__dirname, 'public', 'm
 app.get('/cadavre', (req, res) => res.sendFile(path.join(__dirname, 'public', 'cadavre.html')));
 app.get('/cadavre/poems', (req, res) => res.sendFile(path.join(__dirname, 'public', 'cadavre-poems.html')));
 app.get('/cadavre/wall', (req, res) => res.sendFile(path.join(__dirname, 'public', 'cadavre-wall.html')));
+app.get('/cadavre/wall/review', (req, res) => res.sendFile(path.join(__dirname, 'public', 'cadavre-wall-review.html')));
 app.get('/cadavre/open-sheet', (req, res) => cadavreMirror.handler('openSheet', req, res));
 app.get('/chess', (req, res) => res.sendFile(path.join(__dirname, 'public', 'chess.html')));
 app.get('/haggle', (req, res) => res.sendFile(path.join(__dirname, 'public', 'haggle.html')));
 app.get('/langgames', (req, res) => res.sendFile(path.join(__dirname, 'public', 'langgames.html')));
+app.get('/editor', (req, res) => res.sendFile(path.join(__dirname, 'public', 'editor.html')));
+app.get('/leaderboard', (req, res) => res.sendFile(path.join(__dirname, 'public', 'leaderboard.html')));
 
-// Active game instances
+// Active walk-up game instances, one per leased engine worker
 const activeGames = new Map();
 
+// Tear down one walk-up session and hand its engine worker back to the pool.
+function endWalkupSession(processId) {
+  const game = activeGames.get(processId);
+  if (!game) return null;
+  activeGames.delete(processId);
+  game.client.disconnect();
+  if (gameManager) gameManager.stopGame(processId);
+  enginePool.release(game.worker);
+  coordinator.endWalkup(); // resume the marble run if it yielded its worker
+  return game;
+}
+
+function humanClientForAction(data) {
+  if (!data || !data.processId) return null;
+  const duelHuman = duelManager.humanClientFor(data.processId, data.controlToken);
+  if (duelHuman) return duelHuman;
+  const game = activeGames.get(data.processId);
+  if (!game || !controlTokenMatches(game.controlToken, data.controlToken)) return null;
+  const client = game.client;
+  return client && client.playerType === 'human' && client.gameActive ? client : null;
+}
+
+const DUEL_ERROR_STATUS = {
+  INVALID_PLAYERS: 400,
+  GAME_NOT_FOUND: 404,
+  ENGINE_BUSY: 503,
+  ENGINE_UNAVAILABLE: 500,
+  CONNECT_FAILED: 500
+};
+
+// Two-player session: `players` holds one driver per avatar, { type: 'llm',
+// model, strategy } or { type: 'human' }, and gameId indexes the two-player list.
+async function startDuel(req, res) {
+  const { gameId, levelId, replaceProcessId } = req.body;
+  // Each model player's tactic is neutralized the same way as a solo run's.
+  const players = req.body.players.map(player => (player && player.strategy
+    ? { ...player, strategy: sanitizeStrategy(player.strategy).text }
+    : player));
+  if (replaceProcessId) {
+    endWalkupSession(replaceProcessId);
+    duelManager.stopByProcessId(replaceProcessId);
+  }
+  try {
+    const duel = await duelManager.start({ gameId, levelId: levelId || 0, players, seed: resolveSeed(req.body.seed) });
+    console.log(`[Server] Duel ${duel.runId} started on engine-${duel.engine}: ${duel.players.map(p => p.model || p.type).join(' vs ')}`);
+    res.json({ status: 'started', mode: 'duel', ...duel });
+  } catch (error) {
+    if (error instanceof DuelError) {
+      return res.status(DUEL_ERROR_STATUS[error.code] || 500).json({ error: error.message, code: error.code });
+    }
+    console.error('[Server] Error starting duel:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
 // Start game endpoint (API key loaded from environment)
 app.post('/api/game/start', async (req, res) => {
-  const { gameId, levelId, model, strategy, playerType } = req.body;
+  if (Array.isArray(req.body.players)) return startDuel(req, res);
+  const { gameId, levelId, model, strategy, playerType, replaceProcessId } = req.body;
+  // Honour a pinned seed (to reproduce a run); otherwise pick one and record it.
+  const seed = resolveSeed(req.body.seed);
   const isHumanPlay = playerType === 'human';
   // Neutralize the walk-up player's free-text tactic before it enters any prompt.
   const { text: cleanStrategy, warnings: strategyWarnings } = sanitizeStrategy(strategy);
+  // Ids past the bundled five are generated levels; they must exist for this game.
+  if (Number(levelId) >= generatedLevels.FIRST_GENERATED_LEVEL_ID && !generatedLevels.has(gameId, levelId)) {
+    return res.status(404).json({ error: 'level_not_found', message: `Game ${gameId} has no generated level ${levelId}` });
+  }
+  let worker = null;
 
   try {
-    // A walk-up player takes priority: pause the marble run and free port 8080.
-    await coordinator.beginWalkup();
-    const runtime = loadRuntimeModules();
-    console.log(`[Server] Starting game ${gameId} (level ${levelId}) — ${isHumanPlay ? 'human play' : `model ${model}`}`);
+    // A visitor who starts again without stopping replaces their own previous
+    // run; other visitors' runs on other workers are left alone.
+    if (replaceProcessId) {
+      endWalkupSession(replaceProcessId);
+      duelManager.stopByProcessId(replaceProcessId);
+    }
+
     const runId = telemetry.createRunId(isHumanPlay ? `human-${gameId}` : `game-${gameId}`);
+    // Lease a free engine worker. When walk-ups and the marble run hold every
+    // worker, the walk-up takes priority: the marble run yields its worker.
+    // Otherwise it waits for the next case a tournament or eval job finishes,
+    // ahead of their queued cases.
+    worker = enginePool.acquire({ runId, source: 'walkup' });
+    if (!worker) {
+      await coordinator.beginWalkup();
+      worker = await enginePool.acquireForeground({ runId, source: 'walkup' });
+    }
+    if (!worker) {
+      return res.status(503).json({ error: 'Every game engine is busy; try again when a run finishes' });
+    }
+
+    const runtime = loadRuntimeModules();
+    console.log(`[Server] Starting game ${gameId} (level ${levelId}) on ${worker.room} — ${isHumanPlay ? 'human play' : `model ${model}`}`);
     telemetry.track({
       eventFamily: 'evaluation',
       eventType: 'game_start_requested',
@@ -287,51 +248,55 @@ app.post('/api/game/start', async (req, res) => {
       modelId: isHumanPlay ? 'human' : model,
       payload: {
         strategy_present: Boolean(strategy),
-        playerType: isHumanPlay ? 'human' : 'llm'
+        playerType: isHumanPlay ? 'human' : 'llm',
+        engine: worker.index,
+        seed
       }
     });
 
-    // Kill any existing games first to free port 8080
-    for (const [pid, game] of activeGames) {
-      console.log(`[Server] Cleaning up previous game ${pid}`);
-      game.client.disconnect();
-      runtime.gameManager.stopGame(pid);
-      activeGames.delete(pid);
-    }
-    stopScreenshotStreaming();
-
-    // Start Java game process (no visuals - headless)
-    const gameProcess = await runtime.gameManager.startGame(gameId, levelId || 0, false);
+    // Start Java game process on the leased worker (no visuals - headless)
+    const gameProcess = await runtime.gameManager.startGame(gameId, levelId || 0, false, {
+      port: worker.port,
+      screenshotPath: worker.screenshotPath,
+      seed
+    });
 
     // Wait for Java to report socket is listening (via stdout)
     const socketReady = await runtime.gameManager.waitForReady(gameProcess.processId, 10000);
     if (!socketReady) {
       runtime.gameManager.stopGame(gameProcess.processId);
+      enginePool.release(worker);
+      coordinator.endWalkup();
       return res.status(500).json({ error: 'Java game process failed to start' });
     }
 
     // Start screenshot streaming BEFORE the client connects (screenshots begin on first ACT tick)
-    startScreenshotStreaming({ runId, source: 'walkup' });
+    worker.streamer.start({ runId, source: 'walkup' });
 
     // Create the appropriate client based on playerType.
     // Human play: HumanPlayClient sends keyboard actions via Socket.IO (no LLM calls).
     // LLM play: LLMClient with strategyMemory 'accepted' — only eval-accepted
-    // strategy-memory records may replace the game-rules prompt layer.
+    // strategy-memory records may replace the game-rules prompt layer — and
+    // the prompt experiment variant this run drew, if one covers the game.
     const initialLevelId = levelId || 0;
+    const promptExperiment = isHumanPlay ? null : promptExperiments.assign({ gameId, source: 'walkup' });
     const client = isHumanPlay
-      ? new runtime.HumanPlayClient({ runId, initialLevelId })
-      : new runtime.LLMClient({ runId, initialLevelId, promptConfigOptions: { strategyMemory: 'accepted' } });
+      ? new runtime.HumanPlayClient({ runId, seed, initialLevelId })
+      : new runtime.LLMClient({
+        runId,
+        seed,
+        initialLevelId,
+        screenshotPath: worker.screenshotPath,
+        promptConfigOptions: { strategyMemory: 'accepted', promptExperiment }
+      });
 
     // Wire session-end cleanup (same for both client types)
     client.onSessionEnd = () => {
       console.log(`[Server] Session ended for ${gameProcess.processId}, cleaning up`);
-      activeGames.delete(gameProcess.processId);
-      stopScreenshotStreaming();
-      runtime.gameManager.stopGame(gameProcess.processId);
-      coordinator.endWalkup(); // resume the marble run after the walk-up finishes
+      endWalkupSession(gameProcess.processId);
     };
 
-    // Connect client to GVGAI socket
+    // Connect client to the worker's GVGAI socket
     try {
       const gameName = resolveGameName(gameId);
       if (isHumanPlay) {
@@ -339,9 +304,9 @@ app.post('/api/game/start', async (req, res) => {
         // order. Dropping 'human' here shifts io into model and the game NAME
         // into gameId, which files human traces under the wrong key and mutes
         // the client's socket emits (the pre-2026-07-06 human-trace bug).
-        await client.connect(config.gvgai.socketPort, 'human', io, gameId, gameName);
+        await client.connect(worker.port, 'human', io, gameId, gameName);
       } else {
-        await client.connect(config.gvgai.socketPort, model, io, gameId, gameName, cleanStrategy);
+        await client.connect(worker.port, model, io, gameId, gameName, cleanStrategy);
       }
       console.log(`[Server] ${isHumanPlay ? 'Human play' : 'LLM'} client connected successfully`);
       telemetry.track({
@@ -355,12 +320,14 @@ app.post('/api/game/start', async (req, res) => {
         payload: {
           gameName,
           processId: gameProcess.processId,
+          engine: worker.index,
           playerType: isHumanPlay ? 'human' : 'llm',
           strategy_present: Boolean(strategy),
           strategy_sanitized: strategyWarnings.length > 0,
           strategy_warning_types: strategyWarnings.map(w => w.type),
           archetype: client.promptConfig?.classification?.archetype || null,
-          strategic_digest_memory: client.promptConfig?.strategicDigestMemory || null
+          strategic_digest_memory: client.promptConfig?.strategicDigestMemory || null,
+          experiment: client.promptConfig?.promptExperiment || null
         }
       });
     } catch (error) {
@@ -377,14 +344,19 @@ app.post('/api/game/start', async (req, res) => {
           message: error.message
         }
       });
+      client.disconnect();
       runtime.gameManager.stopGame(gameProcess.processId);
-      stopScreenshotStreaming();
+      enginePool.release(worker);
+      coordinator.endWalkup();
       return res.status(500).json({ error: 'Failed to connect to game socket' });
     }
 
+    const controlToken = isHumanPlay ? createControlToken() : null;
     activeGames.set(gameProcess.processId, {
       gameProcess,
       client,
+      worker,
+      controlToken,
       llmClient: isHumanPlay ? null : client  // backward compat for code that reads game.llmClient
     });
 
@@ -395,6 +367,10 @@ app.post('/api/game/start', async (req, res) => {
       model: isHumanPlay ? 'human' : model,
       playerType: isHumanPlay ? 'human' : 'llm',
       runId,
+      seed,
+      engine: worker.index,
+      room: worker.room,
+      ...(controlToken ? { controlToken } : {}),
       strategyWarnings
     });
   } catch (error) {
@@ -410,11 +386,19 @@ app.post('/api/game/start', async (req, res) => {
         message: error.message
       }
     });
-    stopScreenshotStreaming();
+    if (worker && ![...activeGames.values()].some(game => game.worker === worker)) {
+      enginePool.release(worker);
+      coordinator.endWalkup();
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
+// Engine pool status: which workers are free and which run holds the others.
+app.get('/api/game/engines', (req, res) => {
+  res.json(enginePool.getSnapshot());
+});
+
 // Steer a live LLM run: update the session strategy mid-play. The new directive
 // is sanitized inside updateStrategy and takes effect on the model's next decision.
 app.post('/api/game/steer', (req, res) => {
@@ -450,13 +434,13 @@ app.post('/api/game/steer', (req, res) => {
 app.post('/api/game/stop', (req, res) => {
   const { processId } = req.body;
 
-  const game = activeGames.get(processId);
+  const duel = duelManager.stopByProcessId(processId);
+  if (duel) {
+    return res.json({ status: 'stopped', processId, mode: 'duel' });
+  }
+
+  const game = endWalkupSession(processId);
   if (game) {
-    game.client.disconnect();
-    if (gameManager) gameManager.stopGame(processId);
-    activeGames.delete(processId);
-    stopScreenshotStreaming();
-    coordinator.endWalkup(); // resume the marble run after the walk-up stops
     telemetry.track({
       eventFamily: 'evaluation',
       eventType: 'run_stopped',
@@ -508,14 +492,24 @@ io.on('connection', (socket) => {
     console.error('[Server] Socket error:', socket.id, error);
   });
 
-  // Human play: forward keyboard actions from the browser to the active HumanPlayClient
-  socket.on('human-action', (data) => {
-    for (const [, game] of activeGames) {
-      if (game.client && game.client.playerType === 'human' && game.client.gameActive) {
-        game.client.setAction(data.action);
-        break;
-      }
+  // Frame streams are per engine worker. A viewer joins the room of the run it
+  // is watching (leaving any other engine room) so it only receives that run's
+  // frames; an unknown runId just leaves every engine room.
+  socket.on('watch-run', (data) => {
+    const worker = enginePool.findByRunId(data && data.runId);
+    for (const room of socket.rooms) {
+      if (enginePool.isRoom(room) && (!worker || room !== worker.room)) socket.leave(room);
     }
+    if (worker) socket.join(worker.room);
+  });
+
+  // Human play: forward keyboard actions from the browser to its HumanPlayClient.
+  // Several visitors can play at once, so an action must name its run's
+  // processId and carry the control token the start response handed to the
+  // browser that launched it; anything else is dropped.
+  socket.on('human-action', (data) => {
+    const client = humanClientForAction(data);
+    if (client) client.setAction(data.action);
   });
 });
 
@@ -566,8 +560,10 @@ async function shutdown(signal) {
 
   activeGames.clear();
   coordinator.stop();
+  traceReplay.stopAll();
+  duelManager.stopAll();
   finetunePipeline.shutdown();
-  stopScreenshotStreaming();
+  enginePool.stopAll();
   telemetry.track({
     eventFamily: 'system',
     eventType: 'server_stopped',
@@ -579,6 +575,7 @@ async function shutdown(signal) {
   ]);
   await Promise.allSettled([
     settleShutdownStep(() => cadavreRoutes.closeWallStore(), 'wall database'),
+    settleShutdownStep(() => cadavreRoutes.closeRoomStore(), 'room store'),
     settleShutdownStep(() => cadavreRoutes.closeTurnTimerStore(), 'turn timer store'),
     settleShutdownStep(() => cadavreUserRoutes.closeStore(), 'account database')
   ]);
@@ -590,6 +587,13 @@ async function shutdown(signal) {
 process.on('SIGINT', () => shutdown('SIGINT'));
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 
+// '1' for the default baseline set, or a comma list of baseline ids.
+function marbleBaselines(value) {
+  if (!value || value === '0') return undefined;
+  if (value === '1') return true;
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
 const PORT = Number.parseInt(process.env.PORT || config.server.port || 3000, 10);
 
 async function startServer() {
@@ -641,21 +645,64 @@ async function startServer() {
       console.log(`[Server] OpenRouter API key loaded from environment`);
       cadavreRoutes.startModelWarmer();
 
-      // Wire the attract-mode marble run onto the single Java process. It shares the
-      // one screenshot streamer and yields to any walk-up player (activeGames > 0).
+      // Wire the attract-mode marble run onto the engine pool. Each case leases a
+      // worker (and its frame streamer); it only yields to walk-ups once they
+      // hold every other worker, and resumes as soon as one is free again.
+      // Workers held only by background work (tournaments, eval jobs) don't
+      // count as walk-ups: the loop queues for them instead.
       const runtime = loadRuntimeModules();
       coordinator.configure({
         io,
-        streamer: { start: startScreenshotStreaming, stop: stopScreenshotStreaming },
-        isWalkupActive: () => activeGames.size > 0,
+        enginePool,
+        isWalkupActive: () => !enginePool.hasFreeWorker() && enginePool.hasForegroundLease(),
         gameManager: runtime.gameManager,
         telemetry,
-        caseOptions: { maxActions: 40, synchronousActions: false }
+        caseOptions: { maxActions: 40, synchronousActions: false },
+        // Generated levels join the loop as held-out cases next to each game's main level.
+        // MARBLE_BASELINES=1 adds the default classical baselines (or a comma
+        // list of baseline ids) so the tote board ranks models against them.
+        planOptions: { heldOutLevels: true, baselines: marbleBaselines(process.env.MARBLE_BASELINES) },
+        // A head-to-head case after every four solo cases; MARBLE_DUELS_DISABLED=1 turns them off.
+        duelEvery: process.env.MARBLE_DUELS_DISABLED === '1' ? 0 : 4
+      });
+      // Trace replays lease workers like walk-ups do (and may take the marble
+      // run's worker when the pool is full).
+      traceReplay.configure({
+        io,
+        enginePool,
+        gameManager: runtime.gameManager,
+        coordinator,
+        telemetry
+      });
+      // Walk-up duels lease workers the same way.
+      duelManager.configure({
+        io,
+        enginePool,
+        gameManager: runtime.gameManager,
+        coordinator,
+        telemetry
+      });
+      // Tournaments lease a free worker per case and wait (never preempt) when
+      // the pool is full; a tournament left running by a restart is marked
+      // interrupted and resumes from POST /api/tournaments/:id/start.
+      tournaments.configure({
+        io,
+        enginePool,
+        telemetry,
+        caseOptions: { synchronousActions: true }
+      });
+      // Eval jobs queue up the same way; unlike tournaments, a job cut off by a
+      // restart is re-queued here and picks up after its last settled case.
+      evalQueue.configure({
+        io,
+        enginePool,
+        telemetry,
+        caseOptions: { synchronousActions: true }
       });
       // Fine-tune pipeline: route is always mounted; the auto-trigger is opt-in
       // (FINETUNE_AUTO_ENABLED=1) so the deployed instance stays inert. Completed
-      // local Ollama loads are delegated to the marble run, which already owns
-      // the single Java port.
+      // local Ollama loads are delegated to the marble run, which already leases
+      // its cases onto the engine pool.
       finetunePipeline.configure({
         io,
         telemetry,
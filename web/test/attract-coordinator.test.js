@@ -243,3 +243,81 @@ test('stops the loop after repeated case failures (engine-unavailable backstop)'
   assert.equal(coord.mode, 'IDLE');
   assert.equal(calls, 2, 'stops exactly at maxConsecutiveErrors');
 });
+
+test('engine pool: each case leases a worker, and the run waits while walk-ups hold them all', async () => {
+  const { EnginePool } = require('../lib/engine-pool');
+  const io = makeIo();
+  const started = [];
+  const pool = new EnginePool().configure({
+    gvgaiConfig: { projectRoot: '/tmp/gvgai', screenshotPath: 'frame.png', socketPort: 9100 },
+    size: 1,
+    createStreamer: () => ({ start: owner => started.push(owner), stop() {} })
+  });
+  const walkupWorker = pool.acquire({ runId: 'walkup-1', source: 'walkup' });
+  const runner = holdOpenRunner({ finalScore: 0, winner: 'NO_WINNER', won: false, ticks: 1, decisions: 1, adherence: { label: 'x' } });
+  const coord = new AttractCoordinator();
+  coord.configure({
+    io,
+    enginePool: pool,
+    isWalkupActive: () => !pool.hasFreeWorker(),
+    gameManager: { stopGameAndWait: () => Promise.resolve(true) },
+    buildArcadeEvalPlan: () => ({ cases: [makeCase(0)] }),
+    runEvalCase: runner.fn,
+    resumeDebounceMs: 5
+  });
+
+  coord.start();
+  await wait(20);
+  assert.equal(runner.calls.length, 0, 'no case starts while the only worker is leased');
+  assert.equal(coord.mode, 'WALKUP_PLAYING');
+
+  pool.release(walkupWorker);
+  coord.endWalkup();
+  await wait(40);
+  assert.equal(runner.calls.length, 1);
+  assert.deepEqual(runner.calls[0].options.engine, { port: 9100, screenshotPath: walkupWorker.screenshotPath });
+  assert.deepEqual(started, [{ runId: 'run-0', source: 'marble' }]);
+  assert.equal(pool.findByRunId('run-0'), walkupWorker);
+
+  coord.stop();
+  await wait(20);
+  assert.equal(pool.hasFreeWorker(), true, 'the marble case returns its worker');
+});
+
+test('duels: a head-to-head case follows every duelEvery solo cases and runs on the duel runner', async () => {
+  const io = makeIo();
+  const telemetry = makeTelemetry();
+  const solo = autoRunner({ finalScore: 1, winner: 'NO_WINNER', won: false, ticks: 3, decisions: 3, adherence: { label: 'x' } }, 5);
+  const duel = autoRunner({ players: [{ playerId: 0, score: 2 }, { playerId: 1, score: 5 }], winnerId: 1, ticks: 9 }, 5);
+  const duelCase = { ...makeCase(9), kind: 'duel', runId: 'duel-g9', players: [{ type: 'llm', model: 'a' }, { type: 'llm', model: 'b' }] };
+  const coord = new AttractCoordinator();
+  coord.configure({
+    io,
+    streamer: { start() {}, stop() {} },
+    isWalkupActive: () => false,
+    gameManager: { stopGameAndWait: () => Promise.resolve(true) },
+    telemetry,
+    buildArcadeEvalPlan: () => ({ cases: [makeCase(0), makeCase(1)], models: [] }),
+    buildDuelCases: () => [duelCase],
+    duelEvery: 2,
+    runEvalCase: solo.fn,
+    runDuelCase: duel.fn
+  });
+
+  assert.deepEqual(coord._buildCases().map(c => c.runId), ['run-0', 'run-1', 'duel-g9']);
+  coord.start();
+  await wait(60);
+  coord.stop();
+  await wait(20);
+
+  assert.ok(duel.calls.length >= 1, 'the duel case reaches the duel runner');
+  assert.ok(solo.calls.every(call => call.evalCase.kind !== 'duel'));
+  const completed = io.typesOf('case-completed').find(c => c.kind === 'duel');
+  assert.deepEqual(completed.result, {
+    players: [{ playerId: 0, score: 2 }, { playerId: 1, score: 5 }],
+    winnerId: 1,
+    ticks: 9
+  });
+  assert.ok(!telemetry.tracked.some(e => e.eventType === 'marble_case_completed' && e.runId === 'duel-g9'),
+    'duel telemetry comes from the duel manager');
+});
@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const test = require('node:test');
+
+const { buildArcadeEvalPlan, filterEvalCases } = require('../lib/eval-plan');
+const { buildBatchPlan, runEvalCase, summarizeBatch } = require('../lib/batch-evaluator');
+const { getAllModels, resolveModel } = require('../lib/models');
+const { parseBaselineOutput } = require('../lib/baseline-agents');
+const { TelemetryStore } = require('../lib/telemetry-store');
+
+test('eval plans schedule baselines once per level, outside the strategy and mode axes', () => {
+  const base = buildArcadeEvalPlan({ gameCount: 2 });
+  const plan = buildArcadeEvalPlan({ gameCount: 2, baselines: true, observationModes: ['ascii', 'image'] });
+
+  assert.ok(getAllModels().every(model => !model.baseline), 'the walk-up picker never lists baselines');
+  assert.equal(resolveModel('baseline:mcts').agentClass, 'tracks.singlePlayer.advanced.sampleMCTS.Agent');
+  const baselineCases = plan.cases.filter(evalCase => evalCase.provider === 'baseline');
+  assert.equal(baselineCases.length, 3 * 2, 'random, one-step and MCTS on each game');
+  assert.equal(plan.cases.length - baselineCases.length, base.cases.length * 2);
+  const mcts = baselineCases.find(evalCase => evalCase.modelId === 'baseline:mcts' && evalCase.gameId === 50);
+  assert.equal(mcts.runId, 'arcade-g50-l0-baseline-mcts');
+  assert.deepEqual([mcts.strategyId, mcts.strategy, mcts.observationMode], [null, '', null]);
+  assert.equal(filterEvalCases(plan, { strategyIds: ['safe'], observationModes: ['image'] })
+    .filter(evalCase => evalCase.provider === 'baseline').length, 6, 'strategy and mode filters pass baselines');
+
+  const picked = buildBatchPlan({ gameCount: 1, modelIds: 'gemma3:27b,baseline:olets' });
+  assert.deepEqual(picked.modelIds, ['gemma3:27b', 'baseline:olets']);
+  assert.deepEqual(buildBatchPlan({ gameCount: 1, modelIds: 'gemma3:27b', baselines: 'baseline:random' }).modelIds, ['gemma3:27b', 'baseline:random']);
+});
+
+test('runEvalCase plays baselines headless and reports them like model runs', async () => {
+  assert.deepEqual(parseBaselineOutput('warming up\n[BASELINE] {"win":1,"score":12.0,"ticks":340}\n'), { win: 1, score: 12, ticks: 340 });
+  assert.equal(parseBaselineOutput('Exception in thread "main"'), null);
+
+  const tracked = [];
+  const telemetry = { track: event => tracked.push(event) };
+  const evalCase = buildArcadeEvalPlan({ gameCount: 1, baselines: ['baseline:random'] }).cases
+    .find(entry => entry.modelId === 'baseline:random');
+  const launches = [];
+  const runBaseline = (request) => {
+    launches.push(request);
+    fs.writeFileSync(request.actionFile, `${request.seed} 0 4.0 3\nACTION_LEFT\nACTION_USE\nACTION_NIL\n`);
+    return { done: Promise.resolve({ code: 0, output: '[BASELINE] {"win":0,"score":4.0,"ticks":3}\n' }), stop() {} };
+  };
+  const options = { runBaseline, telemetry, resolveRuntime: async () => ({ classpath: 'cp', gamesDir: '/engine', cwd: '/engine' }) };
+
+  const result = await runEvalCase(evalCase, options);
+  assert.equal(launches[0].agentClass, 'tracks.singlePlayer.simple.sampleRandom.Agent');
+  assert.equal(launches[0].seed, evalCase.seed);
+  assert.match(launches[0].levelFile, /^\/engine\/examples\/.*_lvl0\.txt$/);
+  assert.equal(fs.existsSync(launches[0].actionFile), false, 'the action file is cleaned up');
+  assert.deepEqual([result.modelId, result.provider, result.finalScore, result.winner, result.ticks], ['baseline:random', 'baseline', 4, 'PLAYER_LOSES', 3]);
+  assert.deepEqual(result.actions, ['ACTION_LEFT', 'ACTION_USE', 'ACTION_NIL']);
+  assert.equal(result.nilActionLoop, false);
+
+  assert.equal(tracked[0].eventType, 'run_summary');
+  assert.equal(tracked[0].source, 'baseline-agent');
+  const store = new TelemetryStore();
+  const board = store.runLeaderboard([store.normalizeEvent(tracked[0])]);
+  assert.deepEqual([board[0].modelId, board[0].losses, board[0].bestScore], ['baseline:random', 1, 4]);
+
+  const summary = summarizeBatch({ plan: { models: [], games: [] }, cases: [], errors: [], results: [
+    result,
+    { ...result, runId: 'llm', modelId: 'gemma3:27b', provider: 'ollama-cloud', finalScore: 9 }
+  ] });
+  const [level] = summary.baselineComparison.comparisons;
+  assert.deepEqual(level.baselines.map(entry => [entry.modelId, entry.meanScore]), [['baseline:random', 4]]);
+  assert.deepEqual(level.models.map(entry => [entry.modelId, entry.beatsBaselines]), [['gemma3:27b', ['baseline:random']]]);
+  assert.equal(summary.qualification.selectedModelCount, 1, 'baselines do not count toward qualification');
+
+  // The marble coordinator interrupts through the handle's client.
+  let stop;
+  const interrupted = runEvalCase(evalCase, {
+    ...options,
+    runBaseline: () => {
+      const done = new Promise((resolve) => { stop = () => resolve({ code: null, output: '' }); });
+      return { done, stop: () => stop() };
+    },
+    onCaseStart: handle => setImmediate(() => handle.llmClient.disconnect())
+  });
+  await assert.rejects(interrupted, /was stopped/);
+});
@@ -6,6 +6,9 @@ const {
   selectEvalCases,
   runEvalCase,
   runArcadeBatchEvaluation,
+  summarizeHeldOutLevels,
+  summarizeObservationModes,
+  summarizeMemoryModes,
   summarizePromptDifferences
 } = require('../lib/batch-evaluator');
 
@@ -130,8 +133,12 @@ test('runEvalCase passes response type overrides to the live client', async () =
     disconnect() {}
   }
 
+  let engineOptions = null;
   const gameManager = {
-    startGame: async () => ({ processId: 'proc-1' }),
+    startGame: async (_gameId, _levelId, _visuals, engine) => {
+      engineOptions = engine;
+      return { processId: 'proc-1' };
+    },
     waitForReady: async () => true,
     getProcessOutput: () => ({ stdout: '', stderr: '' }),
     stopGame: () => true
@@ -139,17 +146,20 @@ test('runEvalCase passes response type overrides to the live client', async () =
 
   const result = await runEvalCase({
     runId: 'run-1',
+    seed: 1234,
     gameId: 0,
     gameName: 'aliens',
     levelId: 0,
     modelId: 'model-1',
     strategyId: 'safe',
     strategyLabel: 'Play it safe',
-    strategy: 'Avoid danger.'
+    strategy: 'Avoid danger.',
+    observationMode: 'image'
   }, {
     gameManager,
     LLMClient: FakeLLMClient,
     config: { gvgai: { socketPort: 8080 } },
+    engine: { port: 9300, screenshotPath: '/tmp/engine-1.png' },
     initResponseType: 'BOTH',
     actResponseType: 'BOTH',
     synchronousActions: true,
@@ -160,7 +170,60 @@ test('runEvalCase passes response type overrides to the live client', async () =
   assert.equal(receivedOptions.actResponseType, 'BOTH');
   assert.equal(receivedOptions.synchronousActions, true);
   assert.equal(receivedOptions.preferProviderFallback, true);
+  assert.equal(receivedOptions.seed, 1234);
+  assert.equal(engineOptions.seed, 1234, 'the case seed reaches the Java launch');
+  assert.equal(receivedOptions.observationMode, 'image');
+  assert.equal(receivedOptions.screenshotPath, '/tmp/engine-1.png', 'the client reads the leased worker\'s frame');
+  assert.equal(result.observationMode, 'image');
   assert.equal(result.finalScore, 3);
+  assert.equal(result.seed, 1234);
+  assert.equal(engineOptions.headless, undefined, 'cases render frames unless asked not to');
+
+  const LLMClient = require('../lib/llm-client');
+  let client = null;
+  class FrameCheckingClient extends LLMClient {
+    constructor(options) {
+      super(options);
+      client = this;
+    }
+
+    async connect(port, model, sink) {
+      return FakeLLMClient.prototype.connect.call(this, port, model, sink);
+    }
+
+    disconnect() {}
+  }
+  for (const observationMode of ['image', 'both']) {
+    await runEvalCase({ runId: `run-${observationMode}`, gameId: 0, levelId: 0, modelId: 'model-1', strategy: '', observationMode }, {
+      gameManager,
+      LLMClient: FrameCheckingClient,
+      config: { gvgai: { socketPort: 8080 } }
+    });
+    assert.equal(client.synchronousActions, true);
+    assert.deepEqual([client.initResponseType, client.actResponseType], ['BOTH', 'BOTH'],
+      `${observationMode} cases ask the engine for the frame it reads`);
+  }
+  await runEvalCase({ runId: 'run-ascii', gameId: 0, levelId: 0, modelId: 'model-1', strategy: '', observationMode: 'ascii' }, {
+    gameManager,
+    LLMClient: FrameCheckingClient,
+    config: { gvgai: { socketPort: 8080 } }
+  });
+  assert.deepEqual([client.initResponseType, client.actResponseType], ['JSON', 'JSON']);
+  await assert.rejects(runEvalCase({ runId: 'run-blind', gameId: 0, levelId: 0, modelId: 'model-1', strategy: '', observationMode: 'image' }, {
+    gameManager,
+    LLMClient: FrameCheckingClient,
+    config: { gvgai: { socketPort: 8080 } },
+    headless: true
+  }), /headless engine does not render/);
+
+  await runEvalCase({ runId: 'run-2', gameId: 0, levelId: 0, modelId: 'model-1', strategy: '' }, {
+    gameManager,
+    LLMClient: FakeLLMClient,
+    config: { gvgai: { socketPort: 8080 } },
+    headless: true
+  });
+  assert.equal(engineOptions.headless, true, 'a headless case fast-forwards the engine');
+  assert.equal(receivedOptions.headless, true);
 });
 
 test('prompt comparison marks different outcomes as meaningful', () => {
@@ -222,3 +285,71 @@ test('prompt comparison requires at least two strategies', () => {
   assert.equal(comparison.groupsWithMeaningfulDifference, 0);
   assert.equal(comparison.comparisons[0].meaningfulDifference, false);
 });
+
+test('observation comparison pairs image and ASCII runs of the same case', () => {
+  const run = (observationMode, finalScore, won) => ({
+    gameId: 0,
+    gameName: 'aliens',
+    levelId: 0,
+    modelId: 'gemma3:27b',
+    strategyId: 'safe',
+    observationMode,
+    observationModes: { [observationMode]: 3 },
+    finalScore,
+    ticks: 60,
+    won
+  });
+  const summary = summarizeObservationModes([run('ascii', 2, false), run('image', 6, true), { ...run('ascii', 1), observationMode: null }]);
+
+  assert.equal(summary.comparedGroups, 1);
+  assert.deepEqual(summary.comparisons[0].byMode.map(entry => [entry.observationMode, entry.meanScore, entry.winRate]), [
+    ['ascii', 2, 0],
+    ['image', 6, 1]
+  ]);
+  assert.equal(summary.comparisons[0].meanScoreRange, 4);
+
+  const strategies = summarizePromptDifferences([run('ascii', 2, false), run('image', 6, true)]);
+  assert.equal(strategies.comparedGroups, 2, 'strategy comparisons keep observation modes apart');
+});
+
+test('memory comparison pairs stateless and conversation runs of the same case', () => {
+  const run = (memoryMode, finalScore, won) => ({
+    gameId: 0,
+    gameName: 'aliens',
+    levelId: 0,
+    modelId: 'gemma3:27b',
+    strategyId: 'safe',
+    memoryMode,
+    finalScore,
+    ticks: 60,
+    won
+  });
+  const summary = summarizeMemoryModes([run('stateless', 3, false), run('conversation', 7, true), run('conversation', 5, false), run(null, 1)]);
+
+  assert.equal(summary.comparedGroups, 1);
+  assert.deepEqual(summary.comparisons[0].byMode.map(entry => [entry.memoryMode, entry.runs, entry.meanScore, entry.winRate]), [
+    ['stateless', 1, 3, 0],
+    ['conversation', 2, 6, 0.5]
+  ]);
+  assert.equal(summary.comparisons[0].meanScoreRange, 3);
+
+  const strategies = summarizePromptDifferences([run('stateless', 3, false), run('conversation', 7, true)]);
+  assert.equal(strategies.comparedGroups, 2, 'strategy comparisons keep memory modes apart');
+});
+
+test('held-out comparison sets bundled levels against generated ones per model', () => {
+  const run = (modelId, heldOut, finalScore, won) => ({ modelId, modelName: modelId, heldOut, finalScore, won });
+  const summary = summarizeHeldOutLevels([
+    run('a', false, 8, true),
+    run('a', false, 6, true),
+    run('a', true, 2, false),
+    run('b', false, 5, false)
+  ]);
+
+  assert.equal(summary.comparedModels, 1, 'models without held-out runs are left out');
+  const [a] = summary.comparisons;
+  assert.deepEqual([a.bundled.runs, a.bundled.meanScore, a.bundled.winRate], [2, 7, 1]);
+  assert.deepEqual([a.heldOut.runs, a.heldOut.meanScore, a.heldOut.winRate], [1, 2, 0]);
+  assert.equal(a.scoreGap, 5);
+  assert.equal(a.winRateGap, 1);
+});
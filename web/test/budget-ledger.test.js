@@ -0,0 +1,155 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const os = require('node:os');
+const path = require('node:path');
+
+const ledger = require('../lib/budget-ledger');
+const LLMClient = require('../lib/llm-client');
+
+const BUDGET_ENV = [
+  'BUDGET_DAILY_TOKENS',
+  'BUDGET_DAILY_USD',
+  'BUDGET_RUN_TOKENS',
+  'BUDGET_RUN_USD',
+  'BUDGET_LEDGER_DISABLED',
+  'OLLAMA_GUARDRAIL_DISABLED',
+  'OPENROUTER_API_KEY'
+];
+
+async function withCleanLedger(budget, fn) {
+  const saved = {};
+  for (const key of BUDGET_ENV) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  process.env.BUDGET_LEDGER_STATE = path.join(os.tmpdir(), `budget-ledger-test-${process.pid}.json`);
+  ledger.resetForTest(budget);
+  try {
+    return await fn();
+  } finally {
+    for (const key of BUDGET_ENV) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+    delete process.env.BUDGET_LEDGER_STATE;
+    ledger.resetForTest();
+  }
+}
+
+test('usageFromResponse reads OpenAI usage blocks, reported cost and Ollama eval counters', () => {
+  assert.deepEqual(
+    ledger.usageFromResponse({ usage: { prompt_tokens: 120, completion_tokens: 30, cost: 0.0004 } }),
+    { inputTokens: 120, outputTokens: 30, costUsd: 0.0004 }
+  );
+  assert.deepEqual(
+    ledger.usageFromResponse({ prompt_eval_count: 80, eval_count: 12 }),
+    { inputTokens: 80, outputTokens: 12, costUsd: null }
+  );
+  assert.deepEqual(ledger.usageFromResponse(null), { inputTokens: 0, outputTokens: 0, costUsd: null });
+});
+
+test('record prices calls, buckets them by provider, model and run, and resets with the day', async () => {
+  await withCleanLedger({ prices: { 'google/gemma-3-27b-it': { inputPerMillion: 1, outputPerMillion: 2 } } }, () => {
+    const day1 = new Date('2026-07-05T10:00:00Z');
+    const estimated = ledger.record({
+      provider: 'openrouter',
+      modelId: 'google/gemma-3-27b-it',
+      runId: 'run-a',
+      usage: { inputTokens: 1000, outputTokens: 500 }
+    }, day1);
+    assert.equal(estimated.estimated, true);
+    assert.equal(estimated.costUsd, 0.002);
+    ledger.record({ provider: 'openrouter', modelId: 'other/model', runId: 'run-a', usage: { inputTokens: 10, outputTokens: 10, costUsd: 0.5 } }, day1);
+    ledger.record({ provider: 'ollama-cloud', modelId: 'gemma3:27b', usage: { inputTokens: 400, outputTokens: 100 } }, day1);
+
+    const status = ledger.getStatus(day1);
+    assert.equal(status.totals.calls, 3);
+    assert.equal(status.totals.tokens, 2020);
+    assert.equal(status.totals.usd, 0.502);
+    assert.deepEqual(status.providers.map(row => [row.provider, row.usd]), [['openrouter', 0.502], ['ollama-cloud', 0]]);
+    assert.equal(status.models[0].modelId, 'other/model');
+    assert.deepEqual(status.runs.map(row => [row.runId, row.tokens]), [['run-a', 1520]]);
+
+    const day2 = ledger.getStatus(new Date('2026-07-06T01:00:00Z'));
+    assert.equal(day2.totals.calls, 0);
+    assert.equal(day2.runs[0].runId, 'run-a', 'run totals survive midnight');
+  });
+});
+
+test('admit refuses calls once a run, model, provider or daily cap is spent', async () => {
+  await withCleanLedger({
+    providers: { openrouter: { usd: 1 } },
+    models: { 'gemma3:27b': { tokens: 500 } }
+  }, () => {
+    const now = new Date('2026-07-05T10:00:00Z');
+    process.env.BUDGET_RUN_TOKENS = '100';
+    const call = { provider: 'ollama-cloud', modelId: 'gemma3:4b', runId: 'run-b' };
+    assert.deepEqual(ledger.admit(call, now), { allowed: true });
+    ledger.record({ ...call, usage: { inputTokens: 90, outputTokens: 20 } }, now);
+    const run = ledger.admit(call, now);
+    assert.equal(run.allowed, false);
+    assert.equal(run.scope, 'run');
+    assert.equal(ledger.admit({ ...call, runId: 'run-c' }, now).allowed, true);
+
+    ledger.record({ provider: 'ollama-cloud', modelId: 'gemma3:27b', usage: { inputTokens: 500 } }, now);
+    assert.equal(ledger.admit({ provider: 'ollama-cloud', modelId: 'gemma3:27b' }, now).scope, 'model');
+
+    ledger.record({ provider: 'openrouter', modelId: 'a/b', usage: { costUsd: 1.2 } }, now);
+    const provider = ledger.admit({ provider: 'openrouter', modelId: 'c/d' }, now);
+    assert.equal(provider.scope, 'provider');
+    assert.match(provider.reason, /openrouter daily budget of \$1 spent/);
+
+    process.env.BUDGET_DAILY_TOKENS = '600';
+    assert.equal(ledger.admit({ provider: 'ollama-local', modelId: 'x' }, now).scope, 'daily');
+
+    process.env.BUDGET_LEDGER_DISABLED = '1';
+    assert.equal(ledger.admit({ provider: 'openrouter', modelId: 'c/d' }, now).allowed, true);
+  });
+});
+
+test('LLMClient records provider usage and falls back when a budget cap is spent', async () => {
+  await withCleanLedger({ providers: { 'ollama-cloud': { tokens: 100 } } }, async () => {
+    process.env.OLLAMA_GUARDRAIL_DISABLED = '1';
+    process.env.OPENROUTER_API_KEY = 'fallback-key';
+    const originalFetch = global.fetch;
+    const calls = [];
+    const client = new LLMClient({ actionTimeoutMs: 1000, runId: 'budget-run' });
+    client.model = 'gemma3:27b';
+    client.gameId = 0;
+    client.levelCount = 0;
+    client.promptConfig = { gameName: 'aliens' };
+
+    global.fetch = async (url, options) => {
+      calls.push({ url, body: JSON.parse(options.body) });
+      return {
+        ok: true,
+        async json() {
+          return {
+            choices: [{ message: { content: 'ACTION_RIGHT' } }],
+            usage: { prompt_tokens: 150, completion_tokens: 5, cost: 0.0001 }
+          };
+        }
+      };
+    };
+
+    const sso = JSON.stringify({ gameTick: 1, gameScore: 0, availableActions: ['ACTION_LEFT', 'ACTION_RIGHT'] });
+    try {
+      const first = await client.requestLLMAction(sso);
+      assert.equal(first.provider, 'ollama-cloud');
+      const second = await client.requestLLMAction(sso);
+      assert.equal(second.provider, 'openrouter');
+      assert.equal(calls.length, 2);
+      assert.deepEqual(calls[1].body.usage, { include: true });
+
+      const status = ledger.getStatus();
+      assert.deepEqual(
+        status.providers.map(row => [row.provider, row.tokens]).sort(),
+        [['ollama-cloud', 155], ['openrouter', 155]]
+      );
+      assert.equal(status.runs[0].runId, 'budget-run');
+      assert.equal(status.runs[0].usd, 0.0002, 'reported cost is used as-is');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
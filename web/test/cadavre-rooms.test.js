@@ -0,0 +1,208 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { CadavreRoomStore } = require('../lib/cadavre-rooms');
+const { CadavreTurnTimerStore } = require('../lib/cadavre-turn-timer');
+const cadavreRouter = require('../routes/cadavre');
+
+function createRooms(options = {}) {
+  let now = Date.parse('2026-10-19T20:00:00.000Z');
+  let token = 0;
+  const clock = () => now;
+  const timerStore = new CadavreTurnTimerStore({ now: clock, sweepIntervalMs: 0 });
+  const store = new CadavreRoomStore({
+    now: clock,
+    timerStore,
+    codeFactory: () => 'CRPS42',
+    tokenFactory: () => String(++token).padStart(48, 'a'),
+    sweepIntervalMs: 0,
+    ...options
+  });
+  return {
+    store,
+    advance(ms) { now += ms; },
+    close() { store.close(); timerStore.close(); }
+  };
+}
+
+test('a room seats each browser and shows only the writer the newest line', () => {
+  const { store, close } = createRooms();
+  const host = store.create({ players: 3, maxWords: 2, countdownSeconds: 0, name: 'Breton' });
+  assert.equal(host.room.code, 'CRPS42');
+  assert.equal(host.room.isHost, true);
+  const second = store.join('crps42', { name: 'Tanguy' });
+  assert.throws(() => store.begin('CRPS42', second.seatToken), (error) => error.status === 403);
+  assert.throws(() => store.begin('CRPS42', host.seatToken), (error) => error.status === 409, 'the table is not full');
+  const third = store.join('CRPS42', {});
+  assert.equal(third.room.seats[2].name, 'player 3');
+  assert.throws(() => store.join('CRPS42', {}), (error) => error.status === 409);
+  assert.throws(() => store.state('CRPS42', 'b'.repeat(48)), (error) => error.status === 403);
+
+  store.begin('CRPS42', host.seatToken);
+  assert.throws(() => store.submit('CRPS42', second.seatToken, 'too soon'), /not your turn/);
+  assert.throws(() => store.submit('CRPS42', host.seatToken, 'three words here'), (error) => error.status === 400);
+  store.submit('CRPS42', host.seatToken, 'the exquisite');
+  store.submit('CRPS42', second.seatToken, 'corpse  will');
+
+  const writer = store.state('CRPS42', third.seatToken);
+  assert.deepEqual(writer.turn, { seat: 3, round: 1, yours: true });
+  assert.deepEqual(writer.cue, { text: 'corpse will', seat: 2 });
+  assert.deepEqual(writer.folds, [{ seat: 1, length: 13 }]);
+  for (const token of [host.seatToken, second.seatToken]) {
+    const view = store.state('CRPS42', token);
+    assert.equal(view.cue, null);
+    assert.equal(view.lines, null);
+    assert.equal(view.folds.length, 2);
+    assert.doesNotMatch(JSON.stringify(view), /exquisite|corpse|aaaa/);
+  }
+
+  assert.throws(() => store.reveal('CRPS42', third.seatToken), (error) => error.status === 403);
+  const revealed = store.reveal('CRPS42', host.seatToken);
+  assert.deepEqual(revealed.lines.map(line => line.text), ['the exquisite', 'corpse will']);
+  assert.deepEqual(store.state('CRPS42', second.seatToken).lines, revealed.lines);
+  close();
+});
+
+test('the per-room turn clock passes an expired fold and idle rooms close', () => {
+  const changes = [];
+  const { store, advance, close } = createRooms({ retentionMs: 60000, onChange: code => changes.push(code) });
+  const host = store.create({ players: 2, countdownSeconds: 15 });
+  const guest = store.join('CRPS42', {});
+  store.begin('CRPS42', host.seatToken);
+  const timerId = store.rooms.get('CRPS42').timerId;
+  assert.equal(store.timerStore.status(timerId).durationSeconds, 15);
+  assert.equal(store.state('CRPS42', host.seatToken).timer.remainingMs, 15000);
+
+  advance(15000);
+  store.sweep();
+  const view = store.state('CRPS42', guest.seatToken);
+  assert.deepEqual(view.turn, { seat: 2, round: 1, yours: true });
+  assert.equal(view.timer.remainingMs, 15000, 'the next writer gets a fresh clock');
+  assert.throws(() => store.timerStore.status(timerId), (error) => error.status === 404);
+  assert.deepEqual(changes, ['CRPS42', 'CRPS42', 'CRPS42']);
+
+  advance(60000);
+  store.prune();
+  assert.throws(() => store.state('CRPS42', host.seatToken), (error) => error.status === 404);
+  assert.equal(store.timerStore.timers.size, 0);
+  close();
+});
+
+test('an abandoned room closes even while its turn clock keeps passing the fold', () => {
+  const { store, advance, close } = createRooms({ retentionMs: 60000 });
+  const host = store.create({ players: 2, countdownSeconds: 15 });
+  store.join('CRPS42', {});
+  store.begin('CRPS42', host.seatToken);
+
+  for (let elapsed = 0; elapsed < 45000; elapsed += 15000) {
+    advance(15000);
+    store.sweep();
+  }
+  assert.equal(store.rooms.get('CRPS42').actorIndex, 3, 'the clock passed the fold three times');
+
+  advance(15000);
+  store.sweep();
+  assert.equal(store.rooms.has('CRPS42'), false, 'a minute without a seat acting closes the room');
+  assert.equal(store.timerStore.timers.size, 0);
+  close();
+});
+
+test('a full turn timer store leaves the room clockless until a sweep finds room', () => {
+  const { store, advance, close } = createRooms({ retentionMs: 600000 });
+  const host = store.create({ players: 2, countdownSeconds: 15 });
+  const guest = store.join('CRPS42', {});
+  store.begin('CRPS42', host.seatToken);
+  const room = store.rooms.get('CRPS42');
+  const other = store.timerStore.start(60);
+  store.timerStore.start(60);
+  store.timerStore.maxTimers = 2;
+
+  advance(15000);
+  assert.doesNotThrow(() => store.sweep(), 'an expired clock with no capacity left does not throw');
+  assert.equal(room.actorIndex, 1, 'the fold still passes');
+  assert.equal(room.timerId, null);
+  assert.equal(store.state('CRPS42', guest.seatToken).timer, null);
+
+  store.submit('CRPS42', guest.seatToken, 'the exquisite');
+  assert.equal(room.lines.length, 1, 'the line is kept once');
+  assert.equal(room.actorIndex, 2);
+  assert.equal(room.timerId, null);
+  assert.throws(() => store.submit('CRPS42', guest.seatToken, 'again'), /not your turn/);
+
+  store.timerStore.cancel(other.timerId);
+  store.sweep();
+  assert.equal(store.state('CRPS42', host.seatToken).timer.remainingMs, 15000, 'the next sweep starts the clock');
+  assert.equal(room.actorIndex, 2, 'a late clock does not pass the fold');
+  close();
+});
+
+test('a room store without a shared timer store sizes its own to the room limit', () => {
+  const store = new CadavreRoomStore({ maxRooms: 3, sweepIntervalMs: 0 });
+  assert.equal(store.timerStore.maxTimers, 3);
+  store.close();
+});
+
+test('room sockets bind to a seat and receive that seat\'s view on every change', () => {
+  const { store, close } = createRooms();
+  const emitted = [];
+  const handlers = {};
+  const namespace = {
+    to: channel => ({ emit: (event, view) => emitted.push({ channel, event, view }) }),
+    on: (event, handler) => { handlers[event] = handler; }
+  };
+  const io = { of: name => { assert.equal(name, '/cadavre'); return namespace; } };
+  cadavreRouter.attachRoomSockets(io, store);
+
+  const host = store.create({ players: 2, countdownSeconds: 0 });
+  const guest = store.join('CRPS42', {});
+  const socketEvents = {};
+  const socket = {
+    id: 'socket-1',
+    rooms: new Set(['socket-1', 'cadavre-room:OTHER1:1']),
+    on: (event, handler) => { socketEvents[event] = handler; },
+    join(channel) { this.rooms.add(channel); },
+    leave(channel) { this.rooms.delete(channel); },
+    emit: (event, payload) => emitted.push({ channel: 'direct', event, view: payload })
+  };
+  handlers.connection(socket);
+  socketEvents['room-watch']({ code: 'CRPS42', seatToken: guest.seatToken });
+  assert.deepEqual([...socket.rooms], ['socket-1', 'cadavre-room:CRPS42:2']);
+  assert.equal(emitted.at(-1).view.seat, 2);
+  socketEvents['room-watch']({ code: 'CRPS42', seatToken: 'nope' });
+  assert.deepEqual(emitted.at(-1), { channel: 'direct', event: 'room-error', view: { status: 403, error: 'This browser does not hold a seat in the room.' } });
+
+  emitted.length = 0;
+  store.begin('CRPS42', host.seatToken);
+  store.submit('CRPS42', host.seatToken, 'hope is');
+  const pushed = emitted.slice(-2);
+  assert.deepEqual(pushed.map(entry => entry.channel), ['cadavre-room:CRPS42:1', 'cadavre-room:CRPS42:2']);
+  assert.equal(pushed[0].view.cue, null);
+  assert.deepEqual(pushed[1].view.cue, { text: 'hope is', seat: 1 });
+  close();
+});
+
+test('room routes answer with the store view or its error status', () => {
+  const { store, close } = createRooms();
+  const respond = () => ({
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  });
+  const create = cadavreRouter._private.createRoomHandler(store, (rooms, params, body) => rooms.create(body), 201);
+  const created = respond();
+  create({ params: {}, body: { players: 2, maxWords: 1 } }, created);
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.headers['Cache-Control'], 'no-store');
+  assert.equal(created.body.room.maxWords, 1);
+
+  const join = cadavreRouter._private.createRoomHandler(store, (rooms, params, body) => rooms.join(params.code, body), 201);
+  const invalid = respond();
+  join({ params: { code: 'no!' }, body: {} }, invalid);
+  assert.deepEqual([invalid.statusCode, invalid.body], [400, { error: 'Room code is invalid.' }]);
+  const badSetting = respond();
+  create({ params: {}, body: { countdownSeconds: 45 } }, badSetting);
+  assert.equal(badSetting.statusCode, 400);
+  close();
+});
@@ -697,6 +697,106 @@ test('cadavre wall votes have a separate rate limit that resetForTest clears', (
   }
 });
 
+test('cadavre wall reports have a separate rate limit that resetForTest clears', () => {
+  const previousChatLimit = process.env.CADAVRE_CHAT_RATE_LIMIT;
+  const previousReportLimit = process.env.CADAVRE_WALL_REPORT_RATE_LIMIT;
+  const makeResponse = () => ({
+    statusCode: 200,
+    body: null,
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; }
+  });
+  let reportPasses = 0;
+  let chatPasses = 0;
+  try {
+    process.env.CADAVRE_CHAT_RATE_LIMIT = '1';
+    process.env.CADAVRE_WALL_REPORT_RATE_LIMIT = '1';
+    const request = { ip: '203.0.113.11' };
+    const limitedReportResponse = makeResponse();
+
+    _private.rateLimitReport(request, makeResponse(), () => { reportPasses += 1; }, 1000);
+    _private.rateLimitReport(request, limitedReportResponse, () => { reportPasses += 1; }, 1001);
+    _private.rateLimitChat(request, makeResponse(), () => { chatPasses += 1; }, 1002);
+
+    assert.equal(reportPasses, 1);
+    assert.equal(chatPasses, 1);
+    assert.equal(limitedReportResponse.statusCode, 429);
+    assert.match(limitedReportResponse.body.error, /Too many wall reports/);
+    assert.ok(Number(limitedReportResponse.headers['Retry-After']) > 0);
+
+    _private.resetForTest();
+    _private.rateLimitReport(request, makeResponse(), () => { reportPasses += 1; }, 1003);
+    assert.equal(reportPasses, 2);
+  } finally {
+    restoreEnv('CADAVRE_CHAT_RATE_LIMIT', previousChatLimit);
+    restoreEnv('CADAVRE_WALL_REPORT_RATE_LIMIT', previousReportLimit);
+  }
+
+  const layer = cadavreRouter.stack.find(entry => entry.route?.path === '/wall/:id/report');
+  assert.equal(layer.route.stack[0].handle, _private.rateLimitReport);
+});
+
+test('cadavre wall reporters are the signed-in account, else the client address', () => {
+  const request = { ip: '203.0.113.12', body: { reporterToken: 'a'.repeat(64) } };
+  assert.equal(_private.wallReporterKey(request), 'ip:203.0.113.12');
+  try {
+    cadavreRouter.setWallAccountProvider(() => ({ id: 31, username: 'writer' }));
+    assert.equal(_private.wallReporterKey(request), 'account:31');
+    cadavreRouter.setWallAccountProvider(() => { throw new Error('session store down'); });
+    assert.equal(_private.wallReporterKey(request), 'ip:203.0.113.12');
+  } finally {
+    cadavreRouter.setWallAccountProvider(null);
+  }
+});
+
+test('cadavre wall reports ignore forwarded addresses the client sends itself', async (t) => {
+  const express = require('express');
+  const reporters = [];
+  const store = {
+    async report(id, reporterKey) {
+      reporters.push(reporterKey);
+      return { id, reported: true, hidden: false };
+    }
+  };
+  const listen = async (trustProxy) => {
+    const app = express();
+    app.set('trust proxy', trustProxy);
+    app.use(express.json());
+    app.post('/wall/:id/report', _private.rateLimitReport, _private.createWallReportHandler(store));
+    const server = await new Promise((resolve) => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+  };
+  const report = (baseUrl, headers) => fetch(`${baseUrl}/wall/123e4567-e89b-42d3-a456-426614174000/report`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ reason: 'spam' })
+  });
+
+  const direct = await listen(false);
+  for (let index = 1; index <= 3; index += 1) {
+    const response = await report(direct, {
+      'X-Forwarded-For': `198.51.100.${index}`,
+      'CF-Connecting-IP': `192.0.2.${index}`
+    });
+    assert.equal(response.status, 202);
+  }
+  assert.deepEqual(new Set(reporters), new Set(['ip:127.0.0.1']), 'spoofed headers are one reporter');
+
+  reporters.length = 0;
+  _private.resetForTest();
+  const behindProxy = await listen(1);
+  for (let index = 1; index <= 3; index += 1) {
+    await report(behindProxy, { 'X-Forwarded-For': `198.51.100.${index}, 203.0.113.30` });
+  }
+  assert.deepEqual(reporters, ['ip:203.0.113.30', 'ip:203.0.113.30', 'ip:203.0.113.30'],
+    'only the address the trusted hop appended counts');
+});
+
 test('cadavre rate limit prefers Cloudflare and forwarded client addresses', () => {
   const request = {
     ip: '10.0.0.2',
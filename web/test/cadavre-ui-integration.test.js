@@ -6,6 +6,7 @@ const test = require('node:test');
 const htmlPath = path.join(__dirname, '..', 'public', 'cadavre.html');
 const poemsPath = path.join(__dirname, '..', 'public', 'cadavre-poems.html');
 const wallPath = path.join(__dirname, '..', 'public', 'cadavre-wall.html');
+const wallReviewPath = path.join(__dirname, '..', 'public', 'cadavre-wall-review.html');
 const titlePath = path.join(__dirname, '..', 'public', 'assets', 'cadavre-title.png');
 const serverPath = path.join(__dirname, '..', 'server.js');
 const routesPath = path.join(__dirname, '..', 'routes', 'cadavre.js');
@@ -76,6 +77,9 @@ test('Cadavre keeps saved poem editing on its own account page', () => {
   assert.match(html, /expected_revision: poem\.revision/);
   assert.match(html, /method: "DELETE"/);
   assert.match(html, /await loadPoems\(poem\.id\)/);
+  assert.match(html, /id="pinBtn"/);
+  assert.match(html, /api\(`\/poems\/\$\{poem\.id\}\/pin`/);
+  assert.match(html, /api\("\/poems\/pins"\)/);
 
   for (const match of html.matchAll(/<script(?: [^>]*)?>([\s\S]*?)<\/script>/g)) {
     if (match[1].trim()) assert.doesNotThrow(() => new Function(match[1]));
@@ -95,12 +99,39 @@ test('Cadavre serves the shared wall on its own page', () => {
   assert.match(html, /renderReadingLinked/);
   assert.match(html, /user\.append\(name, signOut\)/);
   assert.match(html, /area\.append\(poems, user\)/);
+  assert.match(html, /data-sort="top"/);
+  assert.match(html, /data-sort="trending"/);
+  assert.match(html, /id="wallWindow"/);
+  assert.match(html, /url\.searchParams\.set\("sort", wallFeed\.sort\)/);
+  assert.match(html, /setWallFeed\(\{ author: item\.name \}\)/);
+  assert.match(html, /item\.verified/);
+  assert.match(html, /api\("\/poems\/pins\?limit=100"\)/);
 
   for (const match of html.matchAll(/<script(?: [^>]*)?>([\s\S]*?)<\/script>/g)) {
     if (match[1].trim()) assert.doesNotThrow(() => new Function(match[1]));
   }
 });
 
+test('Cadavre wall pins can be reported and reviewed by wall admins', () => {
+  const wall = fs.readFileSync(wallPath, 'utf8');
+  const review = fs.readFileSync(wallReviewPath, 'utf8');
+  const server = fs.readFileSync(serverPath, 'utf8');
+
+  assert.match(wall, /\/report`/);
+  assert.doesNotMatch(wall, /reporterToken/, 'the server decides who is reporting');
+  assert.match(wall, /authUser\.wallModerator/);
+  assert.match(review, /<title>Wall Review — Cadavre Exquis<\/title>/);
+  assert.match(review, /\/wall\/moderation\?status=/);
+  assert.match(review, /\/wall\/moderation\/log/);
+  assert.match(review, /\/moderate`/);
+  assert.match(server, /app\.get\('\/cadavre\/wall\/review',[\s\S]*?public', 'cadavre-wall-review\.html'/);
+  assert.match(server, /cadavreRoutes\.setWallModeratorProvider\(/);
+
+  for (const match of review.matchAll(/<script(?: [^>]*)?>([\s\S]*?)<\/script>/g)) {
+    if (match[1].trim()) assert.doesNotThrow(() => new Function(match[1]));
+  }
+});
+
 test('Railway keeps health-checked deploys while the browser covers volume remounts', () => {
   const railway = JSON.parse(fs.readFileSync(railwayPath, 'utf8'));
   const server = fs.readFileSync(serverPath, 'utf8');
@@ -124,6 +155,22 @@ test('Cadavre owns turn countdown deadlines on the backend', () => {
   assert.match(server, /cadavreUserRoutes\.closeStore\(\)/);
 });
 
+test('Cadavre rooms pass the sheet between devices through the server', () => {
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  const routes = fs.readFileSync(routesPath, 'utf8');
+  const server = fs.readFileSync(serverPath, 'utf8');
+
+  assert.match(routes, /router\.post\('\/rooms', rateLimitRoom/);
+  assert.match(routes, /router\.post\('\/rooms\/:code\/lines'/);
+  assert.match(routes, /new CadavreRoomStore\(\)/);
+  assert.match(server, /cadavreRoutes\.attachRoomSockets\(io\)/);
+  assert.match(server, /cadavreRoutes\.closeRoomStore\(\)/);
+  assert.match(html, /id="openRoomBtn"/);
+  assert.match(html, /socket\.emit\("room-watch", \{ code, seatToken \}\)/);
+  assert.match(html, /sessionStorage\.setItem\(ROOM_SEAT_KEY/);
+  assert.doesNotMatch(html, /localStorage\.setItem\(ROOM_SEAT_KEY/);
+});
+
 test('production Cadavre route serves the committed integrated page', () => {
   const source = fs.readFileSync(serverPath, 'utf8');
   assert.match(source, /app\.get\('\/cadavre',[\s\S]*?public', 'cadavre\.html'/);
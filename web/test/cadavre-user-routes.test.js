@@ -7,15 +7,20 @@ const express = require('express');
 
 const { CadavreUserStore } = require('../lib/cadavre-user-store');
 const { createCadavreUserRouter } = require('../routes/cadavre-users');
+const cadavreRouter = require('../routes/cadavre');
 
 async function startAccountServer(t, databasePath, options = {}) {
   const store = new CadavreUserStore({ databasePath, sendReset: options.sendReset });
   const app = express();
   app.use(express.json());
-  app.use('/api/cadavre', createCadavreUserRouter({
+  const router = createCadavreUserRouter({
     store,
-    resetEmailConfigured: options.resetEmailConfigured
-  }));
+    resetEmailConfigured: options.resetEmailConfigured,
+    wallAdmins: options.wallAdmins || [],
+    wallStore: options.wallStore
+  });
+  if (options.mount) options.mount(app, router);
+  app.use('/api/cadavre', router);
   const server = await new Promise((resolve) => {
     const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
   });
@@ -211,3 +216,119 @@ test('password reset reports success after the provider accepts delivery', async
   assert.equal(result.response.status, 202);
   assert.match(deliveredUrl, /\/cadavre\?reset=/);
 });
+
+test('wall review routes admit only configured admins from the same origin', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cadavre-wall-admin-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const decisions = [];
+  const wallStore = {
+    async moderationQueue(options) { return { items: [], status: options.status }; },
+    async moderate(id, action, options) {
+      decisions.push({ id, action, ...options });
+      return id === 'missing' ? null : { id, status: 'approved' };
+    }
+  };
+  const { createWallModerationHandler, setWallModeratorProvider } = cadavreRouter._private;
+  t.after(() => setWallModeratorProvider(null));
+  const { baseUrl } = await startAccountServer(t, path.join(directory, 'cadavre.db'), {
+    wallAdmins: ['Editor'],
+    mount(app, router) {
+      setWallModeratorProvider(router.wallModerator);
+      app.get('/api/cadavre/wall/moderation', createWallModerationHandler(wallStore,
+        (store, req) => store.moderationQueue({ status: req.query.status })));
+      app.post('/api/cadavre/wall/:id/moderate', createWallModerationHandler(wallStore,
+        (store, req, moderator) => store.moderate(req.params.id, req.body.action, { actor: moderator.username }),
+        { write: true }));
+    }
+  });
+  const register = async (username) => cookieFrom((await jsonRequest(baseUrl, '/auth/register', {
+    method: 'POST',
+    body: { username, email: `${username}@example.com`, password: 'FoldedPage9' }
+  })).response);
+  const editor = await register('editor');
+  const reader = await register('reader');
+
+  assert.equal((await jsonRequest(baseUrl, '/wall/moderation')).response.status, 401);
+  assert.equal((await jsonRequest(baseUrl, '/wall/moderation', { cookie: reader })).response.status, 403);
+  assert.equal((await jsonRequest(baseUrl, '/auth/me', { cookie: reader })).body.wallModerator, false);
+  assert.equal((await jsonRequest(baseUrl, '/auth/me', { cookie: editor })).body.wallModerator, true);
+
+  const queue = await jsonRequest(baseUrl, '/wall/moderation?status=hidden', { cookie: editor });
+  assert.deepEqual([queue.response.status, queue.body.status], [200, 'hidden']);
+  assert.equal(queue.response.headers.get('cache-control'), 'no-store');
+
+  const approved = await jsonRequest(baseUrl, '/wall/p1/moderate', {
+    method: 'POST', cookie: editor, body: { action: 'approve' }
+  });
+  assert.deepEqual(approved.body, { id: 'p1', status: 'approved' });
+  assert.deepEqual(decisions, [{ id: 'p1', action: 'approve', actor: 'editor' }]);
+  assert.equal((await jsonRequest(baseUrl, '/wall/missing/moderate', {
+    method: 'POST', cookie: editor, body: { action: 'hide' }
+  })).response.status, 404);
+
+  const crossOrigin = await fetch(`${baseUrl}/api/cadavre/wall/p1/moderate`, {
+    method: 'POST',
+    headers: { Origin: 'https://elsewhere.example', Cookie: editor, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'hide' })
+  });
+  assert.equal(crossOrigin.status, 403);
+  assert.equal(decisions.length, 2);
+
+  setWallModeratorProvider(null);
+  assert.equal((await jsonRequest(baseUrl, '/wall/moderation', { cookie: editor })).response.status, 503);
+});
+
+test('signed-in writers pin saved poems under their username and manage pins from any device', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cadavre-account-pins-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const pins = [];
+  const wallStore = {
+    async create(input, owner) {
+      if (pins.some(pin => pin.ownerUserId === owner.userId && pin.poemId === owner.poemId)) {
+        throw Object.assign(new Error('This poem is already on the wall.'), { status: 409 });
+      }
+      const item = { id: `pin-${pins.length + 1}`, name: owner.username, poem: input.poem, analysis: input.analysis, verified: true };
+      pins.push({ ...item, ownerUserId: owner.userId, poemId: owner.poemId });
+      return { item, deleteToken: 'f'.repeat(64) };
+    },
+    async listOwned(userId) {
+      return { items: pins.filter(pin => pin.ownerUserId === userId).map(({ ownerUserId, ...pin }) => pin) };
+    },
+    async removeOwned(id, userId) {
+      const index = pins.findIndex(pin => pin.id === id && pin.ownerUserId === userId);
+      if (index >= 0) pins.splice(index, 1);
+      return index >= 0;
+    }
+  };
+  const { baseUrl } = await startAccountServer(t, path.join(directory, 'cadavre.db'), { wallStore });
+  const register = async (username) => cookieFrom((await jsonRequest(baseUrl, '/auth/register', {
+    method: 'POST',
+    body: { username, email: `${username}@example.com`, password: 'FoldedPage9' }
+  })).response);
+  const owner = await register('foldkeeper');
+  const other = await register('stranger');
+  const saved = await jsonRequest(baseUrl, '/poems', {
+    method: 'POST',
+    cookie: owner,
+    body: { title: 'Night orchard', lines: ['the night', 'eats an orchard'], reading: 'appetite' }
+  });
+
+  assert.equal((await jsonRequest(baseUrl, `/poems/${saved.body.id}/pin`, { method: 'POST' })).response.status, 401);
+  assert.equal((await jsonRequest(baseUrl, `/poems/${saved.body.id}/pin`, { method: 'POST', cookie: other })).response.status, 404,
+    'another account cannot pin a poem it does not own');
+  const pinned = await jsonRequest(baseUrl, `/poems/${saved.body.id}/pin`, { method: 'POST', cookie: owner });
+  assert.equal(pinned.response.status, 201);
+  assert.deepEqual(
+    [pinned.body.item.name, pinned.body.item.poem, pinned.body.item.analysis, pinned.body.item.poemId, pinned.body.item.verified],
+    ['foldkeeper', 'the night\neats an orchard', 'appetite', saved.body.id, true]
+  );
+  assert.doesNotMatch(JSON.stringify(pinned.body), /deleteToken/);
+  assert.equal((await jsonRequest(baseUrl, `/poems/${saved.body.id}/pin`, { method: 'POST', cookie: owner })).response.status, 409);
+
+  const listed = await jsonRequest(baseUrl, '/poems/pins', { cookie: owner });
+  assert.deepEqual(listed.body.items.map(pin => pin.id), ['pin-1']);
+  assert.deepEqual((await jsonRequest(baseUrl, '/poems/pins', { cookie: other })).body.items, []);
+  assert.equal((await jsonRequest(baseUrl, '/poems/pins/pin-1', { method: 'DELETE', cookie: other })).response.status, 404);
+  assert.equal((await jsonRequest(baseUrl, '/poems/pins/pin-1', { method: 'DELETE', cookie: owner })).response.status, 204);
+  assert.equal(pins.length, 0);
+});
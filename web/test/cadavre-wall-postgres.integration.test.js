@@ -103,3 +103,89 @@ integrationTest('Postgres wall enforces application text limits', async (t) => {
     error => ['22001', '23514'].includes(error.code)
   );
 });
+
+integrationTest('Postgres wall hides a reported post and logs the admin restore', async (t) => {
+  const pool = integrationPool();
+  const store = new CadavreWallStore({ CADAVRE_WALL_REPORT_THRESHOLD: '2' }, { pool });
+  const created = await store.create({ name: 'Moderation integration check', poem: 'a temporary brass bird' });
+  const id = created.item.id;
+  t.after(async () => {
+    await pool.query('DELETE FROM wall_moderation_log WHERE post_id = $1::uuid', [id]);
+    await pool.query('DELETE FROM wall_posts WHERE id = $1::uuid', [id]);
+    await pool.end();
+  });
+
+  assert.deepEqual(await store.report(id, 'ip:203.0.113.1', { reason: 'spam' }), { id, reported: true, hidden: false });
+  assert.deepEqual(await store.report(id, 'ip:203.0.113.1', { reason: 'abuse' }), { id, reported: true, hidden: false });
+  assert.deepEqual(await store.report(id, 'account:1', { reason: 'spam' }), { id, reported: true, hidden: true });
+  const page = await store.list({ limit: 100 });
+  assert.equal(page.items.some(item => item.id === id), false);
+  const queued = (await store.moderationQueue({ status: 'hidden', limit: 100 })).items.find(item => item.id === id);
+  assert.deepEqual([queued.openReports, queued.reasons], [2, { spam: 2 }]);
+
+  const restored = await store.moderate(id, 'restore', { actor: 'integration', note: 'check' });
+  assert.equal(restored.status, 'visible');
+  assert.equal((await store.moderationQueue({ status: 'open', limit: 100 })).items.some(item => item.id === id), false);
+  const log = await store.moderationLog({ postId: id });
+  assert.deepEqual(log.entries.map(entry => entry.action), ['restore', 'auto_hide', 'report', 'report']);
+  assert.equal(log.entries[0].actor, 'admin:integration');
+});
+
+integrationTest('Postgres wall ranks one author\'s pins by score and trending rank', async (t) => {
+  const pool = integrationPool();
+  const store = new CadavreWallStore({}, { pool });
+  const author = `Ranking check ${crypto.randomUUID().slice(0, 8)}`;
+  const ids = [];
+  t.after(async () => {
+    await pool.query('DELETE FROM wall_posts WHERE id = ANY($1::uuid[])', [ids]);
+    await pool.end();
+  });
+
+  // An older pin with three votes, a newer pin with one, and a fresh pin.
+  for (const [age, votes] of [['48 hours', 3], ['30 hours', 1], ['1 minute', 0]]) {
+    const id = crypto.randomUUID();
+    ids.push(id);
+    await pool.query(`
+      INSERT INTO wall_posts (id, created_at, author_name, poem, delete_token_hash)
+      VALUES ($1::uuid, CURRENT_TIMESTAMP(3) - $2::interval, $3, $4, $5)
+    `, [id, age, author, `ranked ${age}`, 'd'.repeat(64)]);
+    for (let vote = 0; vote < votes; vote += 1) {
+      await store.vote(id, String(vote + 1).repeat(64), 1);
+    }
+  }
+
+  const top = await store.list({ sort: 'top', author, limit: 2 });
+  assert.deepEqual(top.items.map(item => item.score), [3, 1]);
+  const rest = await store.list({ sort: 'top', author, limit: 2, cursor: top.nextCursor });
+  assert.deepEqual(rest.items.map(item => item.id), [ids[2]]);
+
+  const trending = await store.list({ sort: 'trending', author, limit: 3 });
+  assert.deepEqual(trending.items.map(item => item.id), [ids[2], ids[1], ids[0]],
+    'eighteen hours of recency outweigh a few votes');
+  const firstPage = await store.list({ sort: 'trending', author, limit: 1 });
+  const secondPage = await store.list({ sort: 'trending', author, limit: 1, cursor: firstPage.nextCursor });
+  assert.deepEqual(secondPage.items.map(item => item.id), [ids[1]]);
+  const today = await store.list({ sort: 'top', window: 'day', author, limit: 10 });
+  assert.deepEqual(today.items.map(item => item.id), [ids[2]]);
+});
+
+integrationTest('Postgres wall keeps one account pin per saved poem and removes it by owner', async (t) => {
+  const pool = integrationPool();
+  const store = new CadavreWallStore({}, { pool });
+  const userId = 900000000 + crypto.randomInt(1000000);
+  t.after(async () => {
+    await pool.query('DELETE FROM wall_posts WHERE owner_user_id = $1', [userId]);
+    await pool.end();
+  });
+
+  const owner = { userId, username: 'integration-writer', poemId: 12 };
+  const pinned = await store.create({ name: 'typed name', poem: 'a temporary brass bird' }, owner);
+  assert.deepEqual([pinned.item.name, pinned.item.verified], ['integration-writer', true]);
+  await assert.rejects(() => store.create({ poem: 'the same saved poem' }, owner), { status: 409 });
+
+  const owned = await store.listOwned(userId);
+  assert.deepEqual(owned.items.map(item => [item.id, item.poemId, item.status]), [[pinned.item.id, 12, 'visible']]);
+  assert.equal(await store.removeOwned(pinned.item.id, userId + 1), false);
+  assert.equal(await store.removeOwned(pinned.item.id, userId), true);
+  assert.deepEqual((await store.listOwned(userId)).items, []);
+});
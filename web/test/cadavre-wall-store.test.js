@@ -82,6 +82,7 @@ test('shared wall pages with the created-at and id index order', async () => {
   assert.match(calls[0].sql, /ORDER BY created_at DESC, id DESC/);
   assert.match(calls[0].sql, /CROSS JOIN LATERAL/);
   assert.match(calls[0].sql, /WHERE post_id = page\.id/);
+  assert.match(calls[0].sql, /WHERE moderation_status <> 'hidden'/);
   assert.deepEqual(calls[0].values, [3]);
 
   await store.list({ limit: 2, cursor: firstPage.nextCursor });
@@ -93,6 +94,59 @@ test('shared wall pages with the created-at and id index order', async () => {
   ]);
 });
 
+test('shared wall ranks top and trending feeds with cursors tied to their feed', async () => {
+  const rows = [
+    {
+      id: '123e4567-e89b-42d3-a456-426614174009', author_name: 'Breton', poem: 'nine', analysis: null,
+      created_at: new Date('2026-07-11T12:09:00.000Z'), upvotes: 9, downvotes: 0, score: 9
+    },
+    {
+      id: '123e4567-e89b-42d3-a456-426614174004', author_name: 'Breton', poem: 'four', analysis: null,
+      created_at: new Date('2026-07-11T12:04:00.000Z'), upvotes: 5, downvotes: 1, score: 4
+    },
+    {
+      id: '123e4567-e89b-42d3-a456-426614174001', author_name: 'Breton', poem: 'one', analysis: null,
+      created_at: new Date('2026-07-11T12:01:00.000Z'), upvotes: 1, downvotes: 0, score: 1
+    }
+  ];
+  const calls = [];
+  const store = new CadavreWallStore({}, {
+    now: () => Date.parse('2026-07-12T00:00:00.000Z'),
+    pool: fakePool(async (sql, values) => {
+      calls.push({ sql, values });
+      return { rows };
+    })
+  });
+
+  const top = await store.list({ sort: 'top', window: 'week', author: ' Breton ', limit: 2 });
+  assert.deepEqual(top.items.map(item => item.score), [9, 4]);
+  assert.deepEqual([top.sort, top.window, top.author], ['top', 'week', 'Breton']);
+  assert.match(calls[0].sql, /counts\.score AS rank/);
+  assert.match(calls[0].sql, /ORDER BY rank DESC, created_at DESC, id DESC/);
+  assert.match(calls[0].sql, /p\.created_at >= \$1::timestamptz AND p\.author_name = \$2/);
+  assert.deepEqual(calls[0].values, ['2026-07-05T00:00:00.000Z', 'Breton', 3]);
+
+  await store.list({ sort: 'top', window: 'week', author: 'Breton', limit: 2, cursor: top.nextCursor });
+  assert.match(calls[1].sql, /WHERE \(rank, created_at, id\) < ROW\(\$3::integer, \$4::timestamptz, \$5::uuid\)/);
+  assert.deepEqual(calls[1].values, [
+    '2026-07-05T00:00:00.000Z', 'Breton', 4, '2026-07-11T12:04:00.000Z', '123e4567-e89b-42d3-a456-426614174004', 3
+  ], 'later pages keep the first page\'s window start');
+
+  const trending = await store.list({ sort: 'trending', limit: 2 });
+  assert.equal(trending.window, 'all');
+  assert.match(calls[2].sql, /log\(greatest\(abs\(counts\.score\), 1\)::double precision\)/);
+  assert.match(calls[2].sql, new RegExp(`/ ${_private.TRENDING_DECAY_SECONDS}\\) AS rank`));
+  await store.list({ sort: 'trending', limit: 2, cursor: trending.nextCursor });
+  assert.match(calls[3].sql, /ROW\(\(sign\(\$1::integer\)/);
+  assert.deepEqual(calls[3].values.slice(0, 2), [4, '2026-07-11T12:04:00.000Z']);
+
+  await assert.rejects(() => store.list({ sort: 'new', cursor: top.nextCursor }), { status: 400 });
+  await assert.rejects(() => store.list({ sort: 'trending', window: 'week', cursor: trending.nextCursor }), { status: 400 });
+  await assert.rejects(() => store.list({ sort: 'hot' }), { status: 400 });
+  await assert.rejects(() => store.list({ window: 'month' }), { status: 400 });
+  assert.equal(calls.length, 4);
+});
+
 test('shared wall maps persistent vote totals without exposing voter identities', async () => {
   const store = new CadavreWallStore({}, {
     pool: fakePool(async () => ({
@@ -115,7 +169,8 @@ test('shared wall maps persistent vote totals without exposing voter identities'
     ts: '2026-07-11T12:00:00.000Z',
     upvotes: 7,
     downvotes: 2,
-    score: 5
+    score: 5,
+    verified: false
   });
   assert.doesNotMatch(JSON.stringify(page), /token|hash|viewerVote/i);
 });
@@ -235,7 +290,12 @@ test('shared wall health requires both persistent post and vote tables', async (
   const healthy = new CadavreWallStore({}, {
     pool: fakePool(async sql => {
       assert.match(sql, /wall_post_votes/);
-      return { rows: [{ posts_table: 'wall_posts', votes_table: 'wall_post_votes' }] };
+      return { rows: [{
+        posts_table: 'wall_posts',
+        votes_table: 'wall_post_votes',
+        reports_table: 'wall_post_reports',
+        moderation_log_table: 'wall_moderation_log'
+      }] };
     })
   });
   const missingVotes = new CadavreWallStore({}, {
@@ -248,6 +308,249 @@ test('shared wall health requires both persistent post and vote tables', async (
   await assert.rejects(() => missingVotes.health(), { status: 503 });
 });
 
+function moderationClient(post) {
+  const reports = new Map();
+  const log = [];
+  const calls = [];
+  let releases = 0;
+  const client = {
+    async query(sql, values = []) {
+      const normalized = sql.replace(/\s+/g, ' ').trim();
+      calls.push(normalized);
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(normalized)) return { rows: [], rowCount: 0 };
+      if (normalized.startsWith('SELECT moderation_status FROM wall_posts')) {
+        return { rows: post ? [{ moderation_status: post.status }] : [], rowCount: post ? 1 : 0 };
+      }
+      if (normalized.startsWith('INSERT INTO wall_post_reports')) {
+        const open = reports.get(values[1]);
+        if (open && !open.resolved) return { rows: [], rowCount: 0 };
+        reports.set(values[1], { reason: values[2], resolved: false });
+        return { rows: [{ post_id: values[0] }], rowCount: 1 };
+      }
+      if (normalized.startsWith('SELECT COUNT(*)::integer AS count FROM wall_post_reports')) {
+        return { rows: [{ count: [...reports.values()].filter(report => !report.resolved).length }] };
+      }
+      if (normalized.startsWith("UPDATE wall_posts SET moderation_status = 'hidden'")) {
+        post.status = 'hidden';
+        return { rows: [], rowCount: 1 };
+      }
+      if (normalized.startsWith('UPDATE wall_posts SET moderation_status = $2')) {
+        post.status = values[1];
+        return {
+          rows: [{
+            id: values[0], author_name: 'A. Writer', poem: 'a brass bird', analysis: null,
+            created_at: new Date('2026-07-11T12:00:00.000Z'),
+            moderation_status: post.status,
+            moderated_at: new Date('2026-07-12T09:00:00.000Z')
+          }],
+          rowCount: 1
+        };
+      }
+      if (normalized.startsWith('UPDATE wall_post_reports SET resolved_at')) {
+        for (const report of reports.values()) report.resolved = true;
+        return { rows: [], rowCount: reports.size };
+      }
+      if (normalized.startsWith('INSERT INTO wall_moderation_log')) {
+        log.push({ action: values[1], actor: values[2], reason: values[3], from: values[5], to: values[6] });
+        return { rows: [], rowCount: 1 };
+      }
+      throw new Error(`Unexpected query: ${normalized}`);
+    },
+    release() { releases += 1; }
+  };
+  return { client, reports, log, calls, releases: () => releases };
+}
+
+test('shared wall reports count once per reporter and hide a post at the threshold', async () => {
+  const id = '123e4567-e89b-42d3-a456-426614174000';
+  const post = { status: 'visible' };
+  const fake = moderationClient(post);
+  const store = new CadavreWallStore({ CADAVRE_WALL_REPORT_THRESHOLD: '2' }, {
+    pool: { async connect() { return fake.client; } }
+  });
+  assert.equal(store.reportThreshold, 2);
+
+  assert.deepEqual(await store.report(id, 'ip:203.0.113.1', { reason: 'Spam' }), { id, reported: true, hidden: false });
+  assert.deepEqual(await store.report(id, 'ip:203.0.113.1', { reason: 'abuse' }), { id, reported: true, hidden: false },
+    'a second report from the same client does not count again');
+  assert.deepEqual(await store.report(id, 'account:42', { reason: 'hate', details: 'slur in line 2' }), { id, reported: true, hidden: true });
+  assert.equal(post.status, 'hidden');
+  assert.deepEqual(fake.log.map(entry => entry.action), ['report', 'report', 'auto_hide']);
+  assert.match(fake.log[0].actor, /^ip:[0-9a-f]{12}$/);
+  assert.match(fake.log[1].actor, /^account:[0-9a-f]{12}$/);
+  assert.deepEqual([fake.log[2].actor, fake.log[2].from, fake.log[2].to], ['system', 'visible', 'hidden']);
+  const expectedHash = crypto.createHash('sha256')
+    .update(_private.REPORT_HASH_DOMAIN)
+    .update('\0')
+    .update('ip:203.0.113.1')
+    .digest('hex');
+  assert.ok(fake.reports.has(expectedHash));
+  assert.notEqual(_private.reporterKeyHash('ip:203.0.113.1', 'pepper'), expectedHash, 'the salt changes the stored hash');
+  assert.equal(fake.releases(), 3);
+
+  await assert.rejects(() => store.report(id, 'ip:203.0.113.3', { reason: 'boring' }), { status: 400 });
+  await assert.rejects(() => store.report('nope', 'ip:203.0.113.3', { reason: 'spam' }), { status: 400 });
+  await assert.rejects(() => store.report(id, 'c'.repeat(64), { reason: 'spam' }), { status: 400 },
+    'a browser-minted token is not a reporter key');
+  assert.equal(await new CadavreWallStore({}, {
+    pool: { async connect() { return moderationClient(null).client; } }
+  }).report(id, 'ip:203.0.113.3', { reason: 'spam' }), null);
+});
+
+test('repeated reports from one client cannot auto-hide a wall post', async () => {
+  const cadavreRouter = require('../routes/cadavre');
+  const id = '123e4567-e89b-42d3-a456-426614174000';
+  const post = { status: 'visible' };
+  const fake = moderationClient(post);
+  const store = new CadavreWallStore({ CADAVRE_WALL_REPORT_THRESHOLD: '3' }, {
+    pool: { async connect() { return fake.client; } }
+  });
+  const handler = cadavreRouter._private.createWallReportHandler(store);
+  const send = async (ip, body) => {
+    const response = {
+      statusCode: 200,
+      body: null,
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(value) { this.body = value; return this; }
+    };
+    await handler({ ip, params: { id }, body: { reason: 'spam', ...body } }, response);
+    return response;
+  };
+
+  try {
+    for (const token of ['a', 'b', 'c']) {
+      const response = await send('203.0.113.7', { reporterToken: token.repeat(64) });
+      assert.deepEqual(response.body, { id, reported: true, hidden: false });
+    }
+    assert.equal(post.status, 'visible', 'fresh browser tokens from one address count once');
+    assert.equal(fake.reports.size, 1);
+
+    cadavreRouter.setWallAccountProvider(req => (req.ip === '198.51.100.4' || req.ip === '198.51.100.5' ? { id: 9 } : null));
+    await send('198.51.100.4', {});
+    await send('198.51.100.5', {});
+    assert.equal(post.status, 'visible', 'one account reporting from two addresses counts once');
+    assert.equal(fake.reports.size, 2);
+
+    assert.deepEqual((await send('203.0.113.8', {})).body, { id, reported: true, hidden: true });
+    assert.equal(post.status, 'hidden');
+  } finally {
+    cadavreRouter.setWallAccountProvider(null);
+  }
+});
+
+test('shared wall moderation resolves reports and logs each admin decision', async () => {
+  const id = '123e4567-e89b-42d3-a456-426614174000';
+  const post = { status: 'hidden' };
+  const fake = moderationClient(post);
+  const store = new CadavreWallStore({}, { pool: { async connect() { return fake.client; } } });
+  fake.reports.set('x', { reason: 'spam', resolved: false });
+
+  const restored = await store.moderate(id, 'restore', { actor: 'editor', note: 'a surrealist image, not spam' });
+  assert.deepEqual([restored.id, restored.status, restored.moderatedAt], [id, 'visible', '2026-07-12T09:00:00.000Z']);
+  assert.equal(fake.reports.get('x').resolved, true);
+  assert.deepEqual(fake.log.at(-1), { action: 'restore', actor: 'admin:editor', reason: null, from: 'hidden', to: 'visible' });
+
+  await store.moderate(id, 'approve', { actor: 'editor' });
+  assert.equal(post.status, 'approved');
+  assert.deepEqual(await store.report(id, 'ip:203.0.113.4', { reason: 'spam' }), { id, reported: true, hidden: false });
+  assert.deepEqual(await store.report(id, 'ip:203.0.113.5', { reason: 'spam' }), { id, reported: true, hidden: false });
+  assert.deepEqual(await store.report(id, 'account:7', { reason: 'spam' }), { id, reported: true, hidden: false },
+    'approved posts are not hidden automatically');
+
+  await assert.rejects(() => store.moderate(id, 'delete', { actor: 'editor' }), { status: 400 });
+  await assert.rejects(() => store.moderate(id, 'hide', {}), { status: 400 });
+  await assert.rejects(() => store.moderationQueue({ status: 'everything' }), { status: 400 });
+});
+
+test('shared wall review queue maps report counts and the audit log', async () => {
+  const calls = [];
+  const store = new CadavreWallStore({}, {
+    pool: fakePool(async (sql, values) => {
+      calls.push({ sql, values });
+      if (/FROM wall_moderation_log/.test(sql)) {
+        return { rows: [{
+          id: '7', post_id: 'p', action: 'auto_hide', actor: 'system', reason: null, note: '3 open reports',
+          from_status: 'visible', to_status: 'hidden', created_at: new Date('2026-07-12T08:00:00.000Z')
+        }] };
+      }
+      return { rows: [{
+        id: '123e4567-e89b-42d3-a456-426614174000', author_name: 'A', poem: 'p', analysis: null,
+        created_at: new Date('2026-07-11T12:00:00.000Z'), moderation_status: 'hidden', moderated_at: null,
+        open_reports: 3, total_reports: 4, reasons: { spam: 2, hate: 1 },
+        last_reported_at: new Date('2026-07-12T07:59:00.000Z')
+      }] };
+    })
+  });
+
+  const queue = await store.moderationQueue({ status: 'hidden', limit: 10 });
+  assert.match(calls[0].sql, /WHERE p\.moderation_status = 'hidden'/);
+  assert.deepEqual(calls[0].values, [10]);
+  assert.deepEqual(
+    [queue.items[0].status, queue.items[0].openReports, queue.items[0].totalReports, queue.items[0].reasons],
+    ['hidden', 3, 4, { spam: 2, hate: 1 }]
+  );
+  assert.equal(queue.items[0].lastReportedAt, '2026-07-12T07:59:00.000Z');
+
+  const log = await store.moderationLog({ postId: '123e4567-e89b-42d3-a456-426614174000', limit: 5 });
+  assert.deepEqual(calls[1].values, [5, '123e4567-e89b-42d3-a456-426614174000']);
+  assert.deepEqual(log.entries[0], {
+    id: 7, postId: 'p', action: 'auto_hide', actor: 'system', reason: null, note: '3 open reports',
+    fromStatus: 'visible', toStatus: 'hidden', at: '2026-07-12T08:00:00.000Z'
+  });
+  await assert.rejects(() => store.moderationLog({ postId: 'nope' }), { status: 400 });
+});
+
+test('shared wall pins a saved poem under its account and lists and removes it by owner', async () => {
+  const calls = [];
+  const duplicate = Object.assign(new Error('duplicate key'), { code: '23505' });
+  let failNext = null;
+  const store = new CadavreWallStore({}, {
+    pool: fakePool(async (sql, values) => {
+      calls.push({ sql, values });
+      if (failNext) {
+        const error = failNext;
+        failNext = null;
+        throw error;
+      }
+      if (/INSERT INTO wall_posts/.test(sql)) {
+        return { rowCount: 1, rows: [{
+          id: values[0], author_name: values[1], poem: values[2], analysis: values[3],
+          created_at: new Date('2026-07-11T12:00:00.000Z'), verified: values[5] !== null
+        }] };
+      }
+      if (/DELETE FROM wall_posts/.test(sql)) return { rowCount: values[1] === 7 ? 1 : 0, rows: [] };
+      return { rows: [{
+        id: '123e4567-e89b-42d3-a456-426614174000', author_name: 'foldkeeper', poem: 'p', analysis: null,
+        created_at: new Date('2026-07-11T12:00:00.000Z'), verified: true,
+        moderation_status: 'hidden', source_poem_id: '12', upvotes: 1, downvotes: 0, score: 1
+      }] };
+    })
+  });
+
+  const pinned = await store.create({ name: 'someone else', poem: 'the night\neats an orchard' }, {
+    userId: 7, username: 'foldkeeper', poemId: 12
+  });
+  assert.equal(pinned.item.name, 'foldkeeper', 'the account name replaces the typed name');
+  assert.equal(pinned.item.verified, true);
+  assert.deepEqual(calls[0].values.slice(5), [7, 12]);
+  const anonymous = await store.create({ name: 'foldkeeper', poem: 'a brass bird' });
+  assert.equal(anonymous.item.verified, false);
+  assert.deepEqual(calls[1].values.slice(5), [null, null]);
+
+  failNext = duplicate;
+  await assert.rejects(() => store.create({ poem: 'again' }, { userId: 7, username: 'foldkeeper', poemId: 12 }), { status: 409 });
+  await assert.rejects(() => store.create({ poem: 'x' }, { userId: 0, username: 'foldkeeper' }), { status: 400 });
+
+  const owned = await store.listOwned(7, { limit: 5 });
+  assert.match(calls.at(-1).sql, /WHERE p\.owner_user_id = \$1/);
+  assert.deepEqual(calls.at(-1).values, [7, 5]);
+  assert.deepEqual([owned.items[0].poemId, owned.items[0].status, owned.items[0].verified], [12, 'hidden', true]);
+  assert.equal(await store.removeOwned('123e4567-e89b-42d3-a456-426614174000', 7), true);
+  assert.equal(await store.removeOwned('123e4567-e89b-42d3-a456-426614174000', 8), false);
+  await assert.rejects(() => store.removeOwned('nope', 7), { status: 400 });
+});
+
 test('shared wall removes a row only when the delete token hash matches', async () => {
   const token = 'a'.repeat(64);
   const expectedHash = crypto.createHash('sha256').update(token).digest('hex');
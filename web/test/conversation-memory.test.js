@@ -0,0 +1,78 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { ConversationMemory, normalizeMemoryMode } = require('../lib/conversation-memory');
+const LLMClient = require('../lib/llm-client');
+const telemetry = require('../lib/telemetry-store');
+
+const tick = (gameTick, gameScore = 0, avatarHealthPoints = 3) => ({ gameTick, gameScore, avatarHealthPoints });
+
+test('ConversationMemory replays turns with their outcomes and folds old ones into a summary', () => {
+  const memory = new ConversationMemory({ tokenBudget: 40, minTurns: 1 });
+  assert.equal(normalizeMemoryMode('conversation'), 'conversation');
+  assert.equal(normalizeMemoryMode('chatty'), null);
+
+  memory.recordTurn({ sso: tick(1), user: memory.userContent('obs one'), reply: 'ACTION: LEFT', action: 'ACTION_LEFT' });
+  memory.settle(tick(4, 10, 3));
+  const second = memory.userContent('obs two');
+  assert.equal(second, 'Result of your last move (ACTION_LEFT): score +10 over 3 ticks.\n\nobs two');
+
+  const messages = memory.buildMessages('rules', second);
+  assert.deepEqual(messages.map(message => message.role), ['system', 'user', 'assistant', 'user']);
+  assert.equal(messages[2].content, 'ACTION: LEFT');
+
+  memory.recordTurn({ sso: tick(4, 10, 3), user: second, reply: 'ACTION: USE '.repeat(20), action: 'ACTION_USE' });
+  memory.settle(tick(6, 10, 2));
+  memory.recordTurn({ sso: tick(6, 10, 2), user: memory.userContent('obs three'), reply: 'ACTION: UP', action: 'ACTION_UP' });
+  assert.equal(memory.turns.length, 1, 'the budget keeps only the newest turn verbatim');
+  assert.deepEqual(memory.stats().summarizedTurns, 2);
+  assert.match(memory.summaryText(), /ticks 1-6, 2 decisions: ACTION_LEFT x1, ACTION_USE x1; score \+10, health -1/);
+  assert.match(memory.buildMessages('rules', 'obs four')[0].content, /^rules\n\nEARLIER THIS LEVEL/);
+
+  memory.reset();
+  assert.deepEqual(memory.buildMessages('rules', 'fresh').map(message => message.role), ['system', 'user']);
+});
+
+test('LLMClient conversation mode sends earlier turns and resets at the level boundary', async (t) => {
+  const originalTrack = telemetry.track;
+  const decisions = [];
+  telemetry.track = (event) => {
+    if (event.eventType === 'llm_decision') decisions.push(event.payload);
+  };
+  t.after(() => { telemetry.track = originalTrack; });
+
+  const sent = [];
+  const makeClient = (options) => {
+    const client = new LLMClient({ actionTimeoutMs: 1000, ...options });
+    client.model = 'gemma3:27b';
+    client.gameId = 0;
+    client.levelCount = 0;
+    client.promptConfig = { gameName: 'aliens', systemContent: 'Play well.', conversationMemory: { enabled: true } };
+    client.callProvider = async (provider, modelId, messages) => {
+      sent.push(messages);
+      return 'ACTION_RIGHT';
+    };
+    return client;
+  };
+  const sso = (gameTick, gameScore) => JSON.stringify({ gameTick, gameScore, availableActions: ['ACTION_LEFT', 'ACTION_RIGHT'] });
+
+  const client = makeClient();
+  assert.equal(client.memoryMode(), 'conversation', 'the game config turns the mode on');
+  await client.requestLLMAction(sso(1, 0));
+  await client.requestLLMAction(sso(3, 5));
+  assert.deepEqual(sent[1].map(message => message.role), ['system', 'user', 'assistant', 'user']);
+  assert.equal(sent[1][2].content, 'ACTION_RIGHT');
+  assert.match(sent[1][3].content, /^Result of your last move \(ACTION_RIGHT\): score \+5 over 2 ticks/);
+  assert.deepEqual(decisions.map(payload => [payload.memoryMode, payload.conversation.turns]), [['conversation', 0], ['conversation', 1]]);
+  assert.equal(client.buildRunSummary({ gameTick: 3 }).memoryMode, 'conversation');
+
+  client.conversation.reset();
+  await client.requestLLMAction(sso(1, 0));
+  assert.equal(sent[2].length, 2, 'a new level starts a new conversation');
+
+  const stateless = makeClient({ memoryMode: 'stateless' });
+  await stateless.requestLLMAction(sso(1, 0));
+  await stateless.requestLLMAction(sso(2, 0));
+  assert.equal(sent[4].length, 2, 'the run option overrides the game config');
+  assert.equal(stateless.conversation, null);
+});
@@ -0,0 +1,157 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { DuelManager, DuelError, buildDuelCases, normalizePlayers } = require('../lib/duel-manager');
+const { EnginePool, MAX_POOL_SIZE } = require('../lib/engine-pool');
+
+const REGISTRY = new Map([
+  [2, { id: 2, name: 'aliens', file: 'aliens.txt', vgdlPath: '/tmp/aliens.txt' }],
+  [43, { id: 43, name: 'tron', file: 'tron.txt', vgdlPath: '/tmp/tron.txt' }]
+]);
+
+function makeManager(overrides = {}) {
+  const launches = [];
+  const readyPorts = [];
+  const stopped = [];
+  const clients = [];
+  const emitted = [];
+  const pool = new EnginePool().configure({
+    gvgaiConfig: { projectRoot: '/tmp/gvgai', screenshotPath: 'frame.png', socketPort: 9200 },
+    size: 1
+  });
+  const manager = new DuelManager().configure({
+    io: { emit: (event, data) => emitted.push({ event, data }) },
+    enginePool: pool,
+    registry: REGISTRY,
+    telemetry: { track() {}, createRunId: prefix => `${prefix}-run` },
+    gameManager: {
+      startGame: async (gameId, levelId, visuals, engine) => {
+        launches.push({ gameId, levelId, engine });
+        return { processId: `proc-${launches.length}`, seed: 5 };
+      },
+      waitForReady: async (processId, timeoutMs, port) => { readyPorts.push(port); return true; },
+      stopGame: processId => stopped.push(processId)
+    },
+    createClient: (player, options) => {
+      const client = {
+        ...options,
+        playerType: player.type,
+        gameActive: true,
+        lastSso: null,
+        connected: [],
+        disconnected: false,
+        async connect(port, model) { client.connected.push({ port, model }); },
+        disconnect() { client.disconnected = true; }
+      };
+      clients.push(client);
+      return client;
+    },
+    gameContent: () => 'rules',
+    endGraceMs: 0,
+    ...overrides
+  });
+  return { manager, pool, launches, readyPorts, stopped, clients, emitted };
+}
+
+function finalSso(scores, winners) {
+  return { gameTick: 40, playerScores: scores, playerWinners: winners };
+}
+
+test('normalizePlayers requires two players, a model per LLM and at most one human', () => {
+  assert.deepEqual(normalizePlayers([{ type: 'llm', model: 'a', strategy: 'rush' }, { type: 'human' }]), [
+    { type: 'llm', model: 'a', strategy: 'rush' },
+    { type: 'human', model: null, strategy: null }
+  ]);
+  const invalid = err => err instanceof DuelError && err.code === 'INVALID_PLAYERS';
+  assert.throws(() => normalizePlayers([{ type: 'llm', model: 'a' }]), invalid);
+  assert.throws(() => normalizePlayers([{ type: 'llm' }, { type: 'llm', model: 'b' }]), invalid);
+  assert.throws(() => normalizePlayers([{ type: 'human' }, { type: 'human' }]), invalid);
+  assert.throws(() => normalizePlayers([{ type: 'bot' }, { type: 'human' }]), invalid);
+});
+
+test('DuelManager starts both players on their own ports and reports the winner', async () => {
+  const { manager, pool, launches, readyPorts, stopped, clients, emitted } = makeManager();
+
+  const snapshot = await manager.start({
+    gameId: 43,
+    players: [{ type: 'llm', model: 'model-a' }, { type: 'human' }]
+  });
+  const secondPort = 9200 + MAX_POOL_SIZE;
+  assert.equal(snapshot.runId, 'duel-43-run');
+  assert.equal(snapshot.seed, 5, 'the engine-picked seed is recorded');
+  assert.deepEqual(launches[0].engine, {
+    port: 9200,
+    secondPort,
+    screenshotPath: pool.workers[0].screenshotPath,
+    seed: null,
+    players: 2
+  });
+  assert.deepEqual(readyPorts, [9200, secondPort], 'player 1 attaches only after player 0');
+  assert.deepEqual(clients.map(c => [c.playerId, c.runId, c.gameContent]), [
+    [0, 'duel-43-run', 'rules'],
+    [1, 'duel-43-run', 'rules']
+  ]);
+  assert.deepEqual(clients[0].connected, [{ port: 9200, model: 'model-a' }]);
+  assert.deepEqual(clients[1].connected, [{ port: secondPort, model: 'human' }]);
+  assert.match(snapshot.controlToken, /^[0-9a-f]{48}$/, 'the starter gets the human control token');
+  assert.equal(manager.humanClientFor('proc-1', snapshot.controlToken), clients[1]);
+  assert.equal(manager.humanClientFor('proc-1'), null, 'an action without the token is dropped');
+  assert.equal(manager.humanClientFor('proc-1', 'f'.repeat(48)), null, 'another browser\'s token is dropped');
+  assert.equal(manager.getSnapshot(snapshot.runId).controlToken, undefined, 'spectator snapshots never carry it');
+
+  clients[0].lastSso = finalSso([3, 7], ['PLAYER_LOSES', 'PLAYER_WINS']);
+  clients[0].onSessionEnd();
+  clients[1].onSessionEnd();
+
+  const result = emitted.find(e => e.event === 'duel-result').data;
+  assert.equal(result.winnerId, 1);
+  assert.equal(result.reason, 'finished');
+  assert.deepEqual(result.players.map(p => p.score), [3, 7]);
+  assert.deepEqual(stopped, ['proc-1']);
+  assert.ok(clients.every(c => c.disconnected));
+  assert.equal(pool.hasFreeWorker(), true, 'the duel returns its worker');
+  assert.equal(manager.getSnapshot(snapshot.runId), null);
+});
+
+test('DuelManager rejects unknown games and a full pool', async () => {
+  const { manager, pool } = makeManager({ engineWaitMs: 20 });
+  const players = [{ type: 'llm', model: 'a' }, { type: 'llm', model: 'b' }];
+  await assert.rejects(manager.start({ gameId: 99, players }), err => err.code === 'GAME_NOT_FOUND');
+
+  pool.acquire({ runId: 'walkup-1' });
+  await assert.rejects(manager.start({ gameId: 2, players }), err => err.code === 'ENGINE_BUSY');
+});
+
+test('DuelManager.runCase plays a marble duel on the leased worker and resolves with the result', async () => {
+  const { manager, pool, clients } = makeManager();
+  const worker = pool.acquire({ runId: 'duel-g2-l0-a-vs-b', source: 'marble' });
+  const [duelCase] = buildDuelCases([{ id: 'a' }, { id: 'b' }], { registry: REGISTRY, gameIds: [2], seed: 11 });
+  let handle = null;
+
+  const done = manager.runCase(duelCase, {
+    worker,
+    maxActions: 30,
+    onCaseStart: h => { handle = h; }
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(handle.processId, 'proc-1');
+  assert.equal(clients[1].maxActions, 30, 'case options reach both players');
+
+  clients[1].lastSso = finalSso([4, 4], ['PLAYER_LOSES', 'PLAYER_LOSES']);
+  handle.llmClient.disconnect();
+  const result = await done;
+  assert.equal(result.reason, 'stopped');
+  assert.equal(result.winnerId, null);
+  assert.equal(pool.findByRunId('duel-g2-l0-a-vs-b'), worker, 'the coordinator keeps its worker');
+});
+
+test('buildDuelCases pairs adjacent models and rotates the duel games', () => {
+  const models = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }];
+  const cases = buildDuelCases(models, { registry: REGISTRY, gameIds: [2, 43], seed: 3 });
+  assert.deepEqual(cases.map(c => [c.runId, c.modelName, c.gameName]), [
+    ['duel-g2-l0-a-vs-b', 'A vs B', 'aliens'],
+    ['duel-g43-l0-c-vs-a', 'C vs A', 'tron']
+  ]);
+  assert.ok(cases.every(c => c.kind === 'duel' && Number.isInteger(c.seed)));
+  assert.deepEqual(buildDuelCases([{ id: 'a' }], { registry: REGISTRY }), []);
+});
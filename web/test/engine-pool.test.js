@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const test = require('node:test');
+
+const { EnginePool, engineRoom, resolvePoolSize } = require('../lib/engine-pool');
+
+const GVGAI = { projectRoot: '/tmp/gvgai', screenshotPath: 'frame.png', socketPort: 8080, enginePoolSize: 3 };
+
+function makeStreamer() {
+  const calls = [];
+  return { calls, start: owner => calls.push(['start', owner]), stop: () => calls.push(['stop']) };
+}
+
+test('configure(): every worker gets its own port, frame file and room', () => {
+  const pool = new EnginePool().configure({ gvgaiConfig: GVGAI });
+  const snapshot = pool.getSnapshot();
+
+  assert.equal(snapshot.size, 3);
+  assert.deepEqual(pool.workers.map(w => w.port), [8080, 8081, 8082]);
+  // Two-player second sockets sit above the largest pool's first ports.
+  assert.deepEqual(pool.workers.map(w => w.secondPort), [8088, 8089, 8090]);
+  assert.deepEqual(pool.workers.map(w => w.room), ['engine-0', 'engine-1', 'engine-2']);
+  assert.deepEqual(pool.workers.map(w => w.screenshotPath), [
+    path.resolve('/tmp/gvgai', 'frame.png'),
+    path.resolve('/tmp/gvgai', 'frame-1.png'),
+    path.resolve('/tmp/gvgai', 'frame-2.png')
+  ]);
+  assert.equal(pool.isRoom(engineRoom(1)), true);
+  assert.equal(pool.isRoom('cadavre'), false);
+});
+
+test('acquire()/release(): leases the lowest free worker and returns null when exhausted', () => {
+  const streamers = [];
+  const pool = new EnginePool().configure({
+    gvgaiConfig: GVGAI,
+    size: 2,
+    createStreamer: () => { const s = makeStreamer(); streamers.push(s); return s; }
+  });
+
+  const a = pool.acquire({ runId: 'walkup-a', source: 'walkup' });
+  const b = pool.acquire({ runId: 'marble-b', source: 'marble' });
+  assert.equal(a.index, 0);
+  assert.equal(b.index, 1);
+  assert.equal(pool.acquire({ runId: 'walkup-c' }), null);
+  assert.equal(pool.hasFreeWorker(), false);
+  assert.equal(pool.findByRunId('marble-b'), b);
+
+  assert.equal(pool.release(a), true);
+  assert.equal(pool.release(a), false, 'release is idempotent');
+  assert.deepEqual(streamers[0].calls, [['stop']], 'releasing stops the worker stream');
+  assert.equal(pool.availableCount(), 1);
+  assert.equal(pool.acquire({ runId: 'walkup-c' }), a);
+  assert.equal(pool.getSnapshot().workers[0].runId, 'walkup-c');
+});
+
+test('resolvePoolSize(): defaults to two workers and caps oversized pools', () => {
+  assert.equal(resolvePoolSize({}), 2);
+  assert.equal(resolvePoolSize({ enginePoolSize: '4' }), 4);
+  assert.equal(resolvePoolSize({ enginePoolSize: 0 }), 2);
+  assert.equal(resolvePoolSize({ enginePoolSize: 99 }), 8);
+});
+
+test('waitFor(): background waiters take released workers in arrival order', async () => {
+  const pool = new EnginePool().configure({ gvgaiConfig: GVGAI, size: 1, createStreamer: makeStreamer });
+  const job = pool.acquire({ runId: 'job-1', source: 'eval-job' });
+  assert.equal(pool.hasForegroundLease(), false);
+
+  const marble = pool.waitFor({ runId: 'marble-1', source: 'marble' });
+  const abort = new AbortController();
+  const abandoned = pool.waitFor({ runId: 'tourney-1', source: 'tournament' }, { signal: abort.signal });
+  const nextJob = pool.waitFor({ runId: 'job-2', source: 'eval-job' });
+  assert.deepEqual(pool.getSnapshot().waiting.map(w => w.runId), ['marble-1', 'tourney-1', 'job-2']);
+
+  abort.abort();
+  assert.equal(await abandoned, null);
+  pool.release(job);
+  assert.equal(await marble, job);
+  assert.equal(job.lease.runId, 'marble-1');
+
+  // A yielding run keeps the worker free for the walk-up behind it.
+  pool.release(job, { handoff: false });
+  assert.equal(pool.getSnapshot().waiting.length, 1);
+  const walkup = pool.acquire({ runId: 'walkup-1', source: 'walkup' });
+  assert.equal(walkup, job);
+  assert.equal(pool.hasForegroundLease(), true);
+
+  pool.release(walkup);
+  assert.equal((await nextJob).lease.runId, 'job-2');
+  pool.stopAll();
+  assert.equal(await pool.waitFor({ runId: 'late' }).then(worker => worker.lease.runId), 'late');
+});
+
+test('acquireForeground(): a walk-up takes the next released worker ahead of a queued eval job', async () => {
+  const pool = new EnginePool().configure({ gvgaiConfig: GVGAI, size: 1, createStreamer: makeStreamer });
+  const worker = pool.acquire({ runId: 'job-1-case-1', source: 'eval-job' });
+  const nextCase = pool.waitFor({ runId: 'job-1-case-2', source: 'eval-job' });
+
+  const walkup = pool.acquireForeground({ runId: 'walkup-1', source: 'walkup' });
+  assert.deepEqual(pool.getSnapshot().waiting.map(w => w.runId), ['walkup-1', 'job-1-case-2']);
+  pool.release(worker);
+  assert.equal(await walkup, worker);
+  assert.equal(worker.lease.runId, 'walkup-1');
+  assert.equal(pool.getSnapshot().waiting.length, 1, 'the eval job keeps its place behind the walk-up');
+
+  pool.release(worker);
+  assert.equal((await nextCase).lease.runId, 'job-1-case-2');
+
+  // A fine-tune gate is background work too: it queues behind walk-ups.
+  const gate = pool.waitFor({ runId: 'gate-1', source: 'finetune-gate' });
+  const walkupAgain = pool.acquireForeground({ runId: 'walkup-3', source: 'walkup' });
+  assert.deepEqual(pool.getSnapshot().waiting.map(w => w.runId), ['walkup-3', 'gate-1']);
+  pool.release(worker);
+  assert.equal((await walkupAgain).lease.runId, 'walkup-3');
+  pool.release(worker);
+  assert.equal((await gate).lease.runId, 'gate-1');
+  assert.equal(pool.hasForegroundLease(), false);
+
+  // Nobody releases in time: the walk-up gives up instead of hanging.
+  assert.equal(await pool.acquireForeground({ runId: 'walkup-2', source: 'walkup' }, { waitMs: 10 }), null);
+  assert.deepEqual(pool.getSnapshot().waiting, []);
+  pool.stopAll();
+});
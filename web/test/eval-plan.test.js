@@ -67,6 +67,77 @@ test('arcade eval plan interleaves games and models for marquee rotation', () =>
   assert.deepEqual(openingCases.map(evalCase => evalCase.gameId), [50, 26, 15, 13, 20, 50]);
 });
 
+test('arcade eval plan pins a reproducible engine seed on every case', () => {
+  const { buildArcadeEvalPlan } = loadEvalPlan();
+  const first = buildArcadeEvalPlan({ gameCount: 2 });
+  const again = buildArcadeEvalPlan({ gameCount: 2 });
+  const reseeded = buildArcadeEvalPlan({ gameCount: 2, seed: 42 });
+
+  for (const evalCase of first.cases) {
+    assert.ok(Number.isInteger(evalCase.seed) && evalCase.seed >= 0);
+  }
+  assert.deepEqual(again.cases.map(c => c.seed), first.cases.map(c => c.seed), 'rebuilt plans keep their seeds');
+  assert.notDeepEqual(reseeded.cases.map(c => c.seed), first.cases.map(c => c.seed), 'a base seed shifts every case');
+  assert.equal(reseeded.seed, 42);
+});
+
+test('arcade eval plan pairs image and ASCII cases under the same seed', () => {
+  const { buildArcadeEvalPlan, filterEvalCases } = loadEvalPlan();
+  const base = buildArcadeEvalPlan({ gameCount: 1 });
+  const plan = buildArcadeEvalPlan({ gameCount: 1, observationModes: ['ascii', 'image', 'video'] });
+
+  assert.deepEqual(plan.observationModes, ['ascii', 'image']);
+  assert.equal(plan.cases.length, base.cases.length * 2);
+  assert.equal(base.cases[0].observationMode, null, 'plans without the axis keep their runIds');
+  const [ascii, image] = plan.cases;
+  assert.equal(ascii.runId, `${base.cases[0].runId}-oascii`);
+  assert.equal(image.runId, `${base.cases[0].runId}-oimage`);
+  assert.equal(ascii.seed, base.cases[0].seed);
+  assert.equal(image.seed, ascii.seed);
+  assert.equal(ascii.vision, true);
+  assert.ok(filterEvalCases(plan, { observationModes: ['image'] }).every(evalCase => evalCase.observationMode === 'image'));
+});
+
+test('arcade eval plan pairs stateless and conversation memory cases under the same seed', () => {
+  const { buildArcadeEvalPlan, filterEvalCases } = loadEvalPlan();
+  const base = buildArcadeEvalPlan({ gameCount: 1 });
+  const plan = buildArcadeEvalPlan({ gameCount: 1, memoryModes: ['stateless', 'conversation', 'psychic'] });
+
+  assert.deepEqual(plan.memoryModes, ['stateless', 'conversation']);
+  assert.equal(plan.cases.length, base.cases.length * 2);
+  assert.equal(base.cases[0].memoryMode, null);
+  const [stateless, conversation] = plan.cases;
+  assert.equal(stateless.runId, `${base.cases[0].runId}-mstateless`);
+  assert.equal(conversation.runId, `${base.cases[0].runId}-mconversation`);
+  assert.equal(conversation.seed, stateless.seed);
+  assert.ok(filterEvalCases(plan, { memoryModes: ['conversation'] }).every(evalCase => evalCase.memoryMode === 'conversation'));
+
+  const both = buildArcadeEvalPlan({ gameCount: 1, observationModes: ['ascii'], memoryModes: ['conversation'] });
+  assert.equal(both.cases[0].runId, `${base.cases[0].runId}-oascii-mconversation`);
+});
+
+test('arcade eval plan adds held-out cases on generated levels', () => {
+  const { buildArcadeEvalPlan } = loadEvalPlan();
+  const generatedLevels = { levelIds: gameId => (gameId === 50 ? [5, 6] : []) };
+  const base = buildArcadeEvalPlan({ gameCount: 2, generatedLevels });
+  const plan = buildArcadeEvalPlan({ gameCount: 2, generatedLevels, heldOutLevels: true });
+
+  assert.deepEqual(plan.games[0].heldOutLevelIds, [5, 6]);
+  assert.equal(base.cases.length, FEATURED_MODEL_IDS.length * 2 * base.strategies.length, 'off by default');
+  assert.ok(base.cases.every(evalCase => evalCase.heldOut === false));
+  const heldOut = plan.cases.filter(evalCase => evalCase.heldOut);
+  assert.equal(heldOut.length, base.cases.filter(evalCase => evalCase.gameId === 50).length * 2);
+  assert.ok(heldOut.every(evalCase => evalCase.gameId === 50 && [5, 6].includes(evalCase.levelId)));
+  assert.match(heldOut[0].runId, /^arcade-g50-l5-/);
+  const [main, level5] = plan.cases;
+  assert.equal(main.levelId, 0);
+  assert.equal(level5.runId, main.runId.replace('-l0-', '-l5-'), 'held-out cases follow their main case');
+  assert.notEqual(level5.seed, main.seed);
+
+  const pinned = buildArcadeEvalPlan({ gameCount: 1, generatedLevels, levelId: 6 });
+  assert.ok(pinned.cases.every(evalCase => evalCase.levelId === 6 && evalCase.heldOut));
+});
+
 test('arcade eval plan can cover the full model-native starter set', () => {
   const { buildArcadeEvalPlan } = loadEvalPlan();
   const plan = buildArcadeEvalPlan({ gameCount: 10 });
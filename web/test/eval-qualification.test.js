@@ -73,3 +73,27 @@ test('parseArgs accepts level and all-model qualification flags', () => {
   assert.equal(options.allModels, true);
   assert.equal(options.preferProviderFallback, true);
 });
+
+test('qualification reports intervals and a run recommendation for each model', () => {
+  const plan = { models: [{ id: 'm1', name: 'Model 1' }], games: [{ id: 10, name: 'boulderchase', levelId: 1 }] };
+  const runs = [0, 0, 0, 12].map((finalScore, i) => ({
+    runId: `g10-m1-s${i}`,
+    gameId: 10,
+    modelId: 'm1',
+    winner: finalScore > 0 ? 'PLAYER_WINS' : 'PLAYER_LOSES',
+    finalScore,
+    ticks: 40
+  }));
+  const [model] = summarizeQualification(runs, plan).games[0].models;
+
+  assert.equal(model.passed, true, 'one winning run still qualifies the model');
+  assert.equal(model.stats.runs, 4);
+  assert.equal(model.stats.passRate.mean, 0.25);
+  assert.equal(model.stats.score.mean, 3);
+  assert.ok(model.stats.passRate.ci95[0] < 0.25 && model.stats.passRate.ci95[1] > 0.25);
+  assert.deepEqual(model.stats.ticks.ci95, [40, 40]);
+  assert.ok(model.stats.recommendedRuns > 4);
+
+  const [unplayed] = summarizeQualification([], plan).games[0].models;
+  assert.equal(unplayed.stats.runs, 0);
+});
@@ -0,0 +1,209 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { EvalJobQueue, EvalJobError } = require('../lib/eval-queue');
+const { EnginePool } = require('../lib/engine-pool');
+
+const PLAN = {
+  models: [{ id: 'alpha', name: 'Alpha', provider: 'ollama' }, { id: 'beta', name: 'Beta', provider: 'ollama' }],
+  games: [{ id: 0, name: 'aliens', levelId: 0 }],
+  cases: ['alpha', 'beta'].flatMap(modelId => ['baseline', 'rich'].map(strategyId => ({
+    runId: `arcade-g0-l0-${modelId}-${strategyId}`,
+    gameId: 0,
+    gameName: 'aliens',
+    levelId: 0,
+    modelId,
+    strategyId,
+    seed: 7
+  })))
+};
+
+function makeQueue(t, runCase, extra = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-queue-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const events = [];
+  const emitted = [];
+  const leases = [];
+  const deps = {
+    storePath: path.join(root, 'eval-jobs.json'),
+    io: { emit: (name, payload) => emitted.push([name, payload]) },
+    telemetry: { track: event => events.push(event) },
+    enginePool: {
+      waitFor: async ({ runId, source }) => {
+        leases.push([runId, source]);
+        return { port: 9100, screenshotPath: '/tmp/job.png' };
+      },
+      release: () => {}
+    },
+    buildPlan: () => PLAN,
+    runCase,
+    ...extra
+  };
+  return { deps, events, emitted, leases, queue: new EvalJobQueue().configure(deps) };
+}
+
+function result(evalCase, finalScore) {
+  return { runId: evalCase.runId, gameId: evalCase.gameId, modelId: evalCase.modelId, strategyId: evalCase.strategyId, finalScore, ticks: 10 };
+}
+
+test('EvalJobQueue runs a submitted job case by case on leased workers and stores the report', async (t) => {
+  const calls = [];
+  const { queue, events, emitted, leases } = makeQueue(t, async (evalCase, options) => {
+    calls.push(options);
+    return result(evalCase, evalCase.strategyId === 'rich' ? 5 : 1);
+  });
+
+  const submitted = queue.submit({ name: 'nightly', modelIds: ['alpha', 'beta'], limit: null, maxActions: 30, engine: { port: 1 } });
+  assert.equal(submitted.status, 'queued');
+  assert.deepEqual(submitted.progress, { completed: 0, failed: 0, settled: 0, total: 4 });
+  await queue.idle();
+
+  const job = queue.get(submitted.id);
+  assert.equal(job.status, 'done');
+  assert.equal(job.name, 'nightly');
+  assert.deepEqual(job.options, { modelIds: ['alpha', 'beta'], limit: null, maxActions: 30 }, 'request fields outside the plan are dropped');
+  assert.ok(job.cases.every(evalCase => evalCase.status === 'done'));
+  assert.equal(job.report.results.length, 4);
+  assert.equal(job.report.status, 'completed');
+  assert.deepEqual(leases.map(([, source]) => source), ['eval-job', 'eval-job', 'eval-job', 'eval-job']);
+  assert.equal(calls[0].maxActions, 30);
+  assert.equal(calls[0].engine.port, 9100);
+
+  const completed = events.filter(event => event.eventType === 'eval_case_completed');
+  assert.equal(completed.length, 4);
+  assert.ok(completed.every(event => event.payload.batchRunId === submitted.id));
+  assert.equal(emitted.at(-1)[0], 'eval-job-progress');
+  assert.equal(emitted.at(-1)[1].status, 'done');
+  assert.deepEqual(queue.list().map(entry => entry.id), [submitted.id]);
+});
+
+test('EvalJobQueue resumes a job interrupted by a restart after its last settled case', async (t) => {
+  const played = [];
+  const { queue, deps } = makeQueue(t, async (evalCase) => {
+    played.push(evalCase.runId);
+    if (played.length === 2) throw new Error('engine crashed');
+    return result(evalCase, 1);
+  });
+  const submitted = queue.submit({ limit: null });
+  await queue.idle();
+
+  // Pretend the process died after two cases: one result, one error.
+  const store = JSON.parse(fs.readFileSync(deps.storePath, 'utf-8'));
+  const stored = store.jobs[0];
+  const [first, second, third] = stored.cases.map(evalCase => evalCase.runId);
+  assert.ok(stored.errors[second].message.includes('engine crashed'));
+  stored.results = { [first]: stored.results[first] };
+  stored.errors = { [second]: stored.errors[second] };
+  Object.assign(stored, { status: 'running', report: null, finishedAt: null });
+  fs.writeFileSync(deps.storePath, JSON.stringify(store));
+
+  const replayed = [];
+  const restarted = new EvalJobQueue().configure({
+    ...deps,
+    runCase: async (evalCase) => {
+      replayed.push(evalCase.runId);
+      return result(evalCase, 2);
+    }
+  });
+  await restarted.idle();
+
+  assert.equal(replayed[0], third, 'settled cases are not replayed');
+  assert.equal(replayed.length, 2);
+  const job = restarted.get(submitted.id);
+  assert.equal(job.status, 'done');
+  assert.deepEqual(job.progress, { completed: 3, failed: 1, settled: 4, total: 4 });
+  assert.equal(job.report.status, 'completed_with_errors');
+});
+
+test('EvalJobQueue leaves jobs resumable when the engine pool shuts down under them', async (t) => {
+  const pool = new EnginePool().configure({
+    gvgaiConfig: { projectRoot: '/tmp/gvgai', screenshotPath: 'frame.png', socketPort: 9200 },
+    size: 1
+  });
+  const played = [];
+  const { queue, deps } = makeQueue(t, async (evalCase) => {
+    played.push(evalCase.runId);
+    // Shutdown kills the engine mid-case; the cut case must not count.
+    if (played.length === 2) {
+      pool.stopAll();
+      throw new Error('engine gone');
+    }
+    return result(evalCase, 1);
+  }, { enginePool: pool });
+
+  const cut = queue.submit({ limit: null });
+  const behind = queue.submit({ limit: null });
+  await queue.idle();
+  let job = queue.get(cut.id);
+  assert.equal(job.status, 'running');
+  assert.deepEqual(job.progress, { completed: 1, failed: 0, settled: 1, total: 4 });
+  assert.equal(queue.get(behind.id).status, 'queued', 'nothing else starts on a stopped pool');
+
+  // Shutdown while the next job waits in line: it keeps waiting for a restart.
+  const walkup = pool.acquire({ runId: 'walkup-1', source: 'walkup' });
+  const waiting = new EvalJobQueue().configure({ ...deps, runCase: async evalCase => result(evalCase, 2) });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(pool.getSnapshot().waiting.length, 1);
+  pool.stopAll();
+  await waiting.idle();
+  assert.ok(walkup);
+  assert.equal(waiting.get(cut.id).status, 'running');
+  assert.equal(waiting.get(cut.id).progress.settled, 1);
+
+  const replayed = [];
+  const restarted = new EvalJobQueue().configure({
+    ...deps,
+    runCase: async (evalCase) => {
+      replayed.push(evalCase.runId);
+      return result(evalCase, 2);
+    }
+  });
+  await restarted.idle();
+  job = restarted.get(cut.id);
+  assert.equal(job.status, 'done');
+  assert.deepEqual(job.progress, { completed: 4, failed: 0, settled: 4, total: 4 });
+  assert.equal(replayed[0], played[1], 'the cut case runs again');
+  assert.equal(restarted.get(behind.id).status, 'done');
+});
+
+test('EvalJobQueue cancels queued and running jobs and fails jobs where every case errored', async (t) => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  let disconnected = 0;
+  let played = 0;
+  let started;
+  const inFlight = new Promise(resolve => { started = resolve; });
+  const { queue } = makeQueue(t, async (evalCase, options) => {
+    played++;
+    started();
+    options.onCaseStart({ llmClient: { disconnect: () => { disconnected++; } } });
+    if (played === 1) await gate;
+    if (evalCase.modelId) throw new Error('provider down');
+  });
+
+  assert.throws(() => queue.get('missing'), error => error instanceof EvalJobError && error.code === 'JOB_NOT_FOUND');
+  assert.throws(() => queue.submit({ modelIds: ['nobody'] }), error => error.code === 'INVALID_JOB');
+
+  const running = queue.submit({ limit: null });
+  const waiting = queue.submit({ limit: null });
+  const doomed = queue.submit({ limit: null });
+  assert.equal(queue.cancel(waiting.id).status, 'cancelled');
+  await inFlight;
+  assert.equal(queue.cancel(running.id).status, 'cancelling');
+  assert.equal(disconnected, 1, 'the case in flight is cut off');
+  release();
+  await queue.idle();
+
+  const cancelled = queue.get(running.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.progress.settled, 0, 'the cut-off case is discarded');
+  assert.throws(() => queue.cancel(running.id), error => error.code === 'JOB_FINISHED');
+
+  const failed = queue.get(doomed.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.progress.failed, 4);
+  assert.equal(played, 5, 'the cancelled queued job never ran');
+});
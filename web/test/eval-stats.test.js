@@ -0,0 +1,39 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { bootstrapMean, pairedSignFlipTest, recommendedSampleSize } = require('../lib/eval-stats');
+
+test('bootstrapMean brackets the mean and is deterministic', () => {
+  const values = [3, 5, 4, 8, 2, 6, 7, 5];
+  const interval = bootstrapMean(values);
+  assert.equal(interval.n, 8);
+  assert.equal(interval.mean, 5);
+  assert.ok(interval.ci95[0] < 5 && interval.ci95[1] > 5);
+  assert.ok(interval.ci95[0] >= 2 && interval.ci95[1] <= 8);
+  assert.deepEqual(bootstrapMean(values), interval);
+
+  assert.deepEqual(bootstrapMean([0.5]), { n: 1, mean: 0.5, ci95: [0.5, 0.5] });
+  assert.deepEqual(bootstrapMean([]), { n: 0, mean: 0, ci95: [null, null] });
+});
+
+test('pairedSignFlipTest is exact for small samples and sampled for large ones', () => {
+  assert.equal(pairedSignFlipTest([4]).pValue, 0.5, 'one pair can never be significant');
+  assert.equal(pairedSignFlipTest([1, 2, 3, 4, 5]).pValue, 1 / 32);
+  assert.equal(pairedSignFlipTest([0, 0, 0]).pValue, 1);
+  assert.ok(pairedSignFlipTest([-3, -1, -2, -4]).pValue > 0.9);
+  assert.equal(pairedSignFlipTest([]).pValue, 1);
+
+  const many = Array.from({ length: 40 }, (_, i) => (i % 5 === 0 ? -1 : 2));
+  const result = pairedSignFlipTest(many);
+  assert.ok(result.pValue > 0 && result.pValue < 0.001);
+  assert.equal(result.meanDiff, 1.4);
+  assert.deepEqual(pairedSignFlipTest(many), result);
+});
+
+test('recommendedSampleSize grows with noise and never drops below the exact floor', () => {
+  assert.equal(recommendedSampleSize([2, 2, 2], 1, { alpha: 0.05 }), 5);
+  const noisy = recommendedSampleSize([4, -2, 3, -1, 5, 0], 1, { alpha: 0.05 });
+  const noisier = recommendedSampleSize([8, -6, 7, -5, 9, -4], 1, { alpha: 0.05 });
+  assert.ok(noisy > 5 && noisier > noisy);
+  assert.equal(recommendedSampleSize([1, 2], 0), null);
+});
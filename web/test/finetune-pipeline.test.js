@@ -71,6 +71,8 @@ function makePipeline(overrides = {}) {
     readGameRegistry: () => new Map([[0, { id: 0, name: 'aliens' }]]),
     readFeaturedIds: () => [0],
     enqueueMarbleEval: model => marbleQueue.push(model),
+    runEvalCase: async evalCase => gateResult(evalCase, 5),
+    enginePool: { waitFor: async () => ({ port: 4000, screenshotPath: null }), release() {} },
     registryPath: path.join(tempDir, 'registry.json'),
     jsonlDir: tempDir,
     modelsDir: path.join(tempDir, 'models'),
@@ -80,6 +82,23 @@ function makePipeline(overrides = {}) {
   return { pipeline, io, telemetry, children, spawned, tempDir, marbleQueue };
 }
 
+function gateResult(evalCase, finalScore) {
+  return {
+    runId: evalCase.runId,
+    seed: evalCase.seed,
+    gameId: evalCase.gameId,
+    levelId: evalCase.levelId,
+    modelId: evalCase.modelId,
+    finalScore,
+    winner: 'PLAYER_LOSES',
+    won: false,
+    ticks: 400,
+    decisions: 20,
+    survivedMinTicks: true,
+    nilActionLoop: false
+  };
+}
+
 function emitLines(child, objects) {
   const text = objects.map(o => JSON.stringify(o)).join('\n') + '\n';
   child.stdout.emit('data', Buffer.from(text));
@@ -160,6 +179,7 @@ test('a real (non-dry) run loads the model into ollama', async () => {
 
   assert.equal(pipeline.getStatus().run.loadedToOllama, true);
   assert.deepEqual(loads, [{ modelId: 'gvgai-aliens-ft-2', ggufPath: '/models/x.gguf' }]);
+  assert.equal(pipeline.getStatus().run.qualification.passed, true, 'matching the base passes the gate');
   assert.deepEqual(marbleQueue, [{
     modelId: 'gvgai-aliens-ft-2',
     modelName: 'gvgai-aliens-ft-2',
@@ -171,6 +191,66 @@ test('a real (non-dry) run loads the model into ollama', async () => {
   assert.ok(telemetry.events.some(e => e.payload?.stage === 'marble_eval_queued'));
 });
 
+test('a tuned model that scores below its base is kept hidden and not promoted', async () => {
+  const played = [];
+  const { pipeline, children, marbleQueue, telemetry, tempDir } = makePipeline({
+    ollamaLoader: { isOllamaAvailable: async () => true, loadModel: async () => ({ loaded: true }) },
+    gateRuns: 2,
+    runEvalCase: async (evalCase, options) => {
+      played.push({ evalCase, options });
+      return gateResult(evalCase, evalCase.modelId === 'gemma3:4b' ? 8 : 3);
+    }
+  });
+  const registryPath = path.join(tempDir, 'registry.json');
+  fs.writeFileSync(registryPath, JSON.stringify({ models: [{ id: 'gvgai-aliens-ft-3', gameId: 0 }] }));
+  pipeline.trigger({ gameId: 0 });
+  await until(() => children.length === 1);
+
+  emitLines(children[0], [{ stage: 'done', modelId: 'gvgai-aliens-ft-3', ggufPath: '/models/y.gguf' }]);
+  children[0].emit('close', 0);
+  await until(() => pipeline.getStatus().run.state === 'complete');
+
+  assert.deepEqual(played.map(({ evalCase }) => evalCase.modelId),
+    ['gvgai-aliens-ft-3', 'gemma3:4b', 'gvgai-aliens-ft-3', 'gemma3:4b']);
+  assert.equal(played[0].evalCase.seed, played[1].evalCase.seed, 'candidate and base play the same seed');
+  assert.notEqual(played[0].evalCase.seed, played[2].evalCase.seed);
+  assert.equal(played[0].options.headless, true);
+
+  const { qualification } = pipeline.getStatus().run;
+  assert.equal(qualification.passed, false);
+  assert.equal(qualification.reason, 'scored-below-reference');
+  assert.equal(qualification.pairCount, 2);
+  assert.equal(qualification.scoreDiff.meanDiff, -5);
+  assert.deepEqual(marbleQueue, [], 'a failed gate keeps the model off the playlist');
+  assert.equal(JSON.parse(fs.readFileSync(registryPath, 'utf-8')).models[0].hidden, true);
+  assert.ok(telemetry.events.some(e => e.payload?.stage === 'qualification_failed'));
+});
+
+test('the gate plays the run\'s own base model and runs without a marble playlist', async () => {
+  const played = [];
+  const { pipeline, children, tempDir } = makePipeline({
+    ollamaLoader: { isOllamaAvailable: async () => true, loadModel: async () => ({ loaded: true }) },
+    enqueueMarbleEval: null,
+    gateRuns: 1,
+    runEvalCase: async (evalCase) => {
+      played.push(evalCase.modelId);
+      return gateResult(evalCase, 5);
+    }
+  });
+  fs.writeFileSync(path.join(tempDir, 'registry.json'), JSON.stringify({
+    models: [{ id: 'gvgai-aliens-ft-4', gameId: 0, baseModel: 'unsloth/gemma-3-12b-it-bnb-4bit' }]
+  }));
+  pipeline.trigger({ gameId: 0 });
+  await until(() => children.length === 1);
+
+  emitLines(children[0], [{ stage: 'done', modelId: 'gvgai-aliens-ft-4', ggufPath: '/models/z.gguf' }]);
+  children[0].emit('close', 0);
+  await until(() => pipeline.getStatus().run.state === 'complete');
+
+  assert.deepEqual(played, ['gvgai-aliens-ft-4', 'gemma3:12b']);
+  assert.equal(pipeline.getStatus().run.qualification.referenceId, 'gemma3:12b');
+});
+
 test('legion vLLM runs use stable adapter ids and skip GGUF export', async () => {
   const { pipeline, children, spawned } = makePipeline({
     trainingProvider: 'legion-vllm',
@@ -196,6 +276,33 @@ test('legion vLLM runs use stable adapter ids and skip GGUF export', async () =>
   assert.equal(pipeline.getStatus().training.provider, 'legion-vllm');
 });
 
+test('dpo runs prepare preference pairs and pass --mode dpo to training', async () => {
+  const prepared = [];
+  const { pipeline, children, spawned, tempDir, telemetry } = makePipeline({
+    trainingProvider: 'legion-vllm',
+    preparePreferenceData: (options) => {
+      prepared.push(options);
+      return { jsonlPath: options.output, exampleCount: 30, traceCount: 4, signalCounts: { losing_trace: 30 } };
+    }
+  });
+  assert.throws(() => pipeline.trigger({ gameId: 0, mode: 'ppo' }),
+    err => err instanceof TriggerError && err.code === 'INVALID_MODE');
+
+  pipeline.trigger({ gameId: 0, mode: 'dpo' });
+  await until(() => children.length === 1);
+
+  assert.equal(prepared[0].output, path.join(tempDir, 'game-0-dpo.jsonl'));
+  const args = spawned[0].args;
+  assert.equal(args[args.indexOf('--mode') + 1], 'dpo');
+  assert.equal(args[args.indexOf('--data') + 1], prepared[0].output);
+  assert.equal(args[args.indexOf('--model-id') + 1], 'gvgai-aliens-dpo', 'the SFT adapter keeps its name');
+  assert.equal(pipeline.getStatus().run.mode, 'dpo');
+  assert.ok(telemetry.events.some(e => e.payload?.stage === 'data_prepared' && e.payload.mode === 'dpo'));
+
+  children[0].emit('close', 1);
+  await until(() => !pipeline.getStatus().active);
+});
+
 test('missing python fails the run with PYTHON_MISSING', async () => {
   const { pipeline, io, children } = makePipeline();
   pipeline.trigger({ gameId: 0, dryRun: true });
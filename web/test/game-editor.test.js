@@ -0,0 +1,126 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { GameEditor, GameEditorError, parseLevelMapping, previewGame } = require('../lib/game-editor');
+const { readGameRegistry, installCustomGames } = require('../lib/game-registry');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const ALIENS_VGDL = fs.readFileSync(path.join(REPO_ROOT, 'examples/gridphysics/aliens.txt'), 'utf-8');
+const ALIENS_LEVEL = fs.readFileSync(path.join(REPO_ROOT, 'examples/gridphysics/aliens_lvl0.txt'), 'utf-8');
+
+function writeExamples(root) {
+  fs.mkdirSync(path.join(root, 'examples/gridphysics'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'examples/gridphysics/aliens.txt'), ALIENS_VGDL);
+  fs.writeFileSync(path.join(root, 'examples/gridphysics/aliens_lvl0.txt'), ALIENS_LEVEL);
+  fs.writeFileSync(path.join(root, 'examples/all_games_sp.csv'), '0,examples/gridphysics/aliens.txt');
+}
+
+function makeEditor(t, { hydrated = true } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'game-editor-'));
+  const gamesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-editor-runtime-'));
+  t.after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(gamesDir, { recursive: true, force: true });
+  });
+  writeExamples(root);
+  writeExamples(gamesDir);
+  const saved = [];
+  const editor = new GameEditor().configure({
+    projectRoot: root,
+    resolveRuntime: async () => ({ gamesDir: hydrated ? gamesDir : null }),
+    promptStore: {
+      getGameConfig: gameId => (gameId === 0 ? { llmSettings: { maxTokens: 60, temperature: 0.1 } } : null),
+      saveGameConfig: config => { saved.push(config); return config; }
+    }
+  });
+  return { root, gamesDir, editor, saved };
+}
+
+test('previewGame parses the sets, digests the rules and classifies the edit', () => {
+  const preview = previewGame({ vgdl: ALIENS_VGDL, level: ALIENS_LEVEL, gameName: 'aliens' });
+
+  assert.equal(preview.valid, true);
+  assert.deepEqual(preview.errors, []);
+  assert.ok(preview.sprites.some(sprite => sprite.name === 'avatar' && sprite.type === 'FlakAvatar'));
+  assert.ok(preview.interactions.some(rule => rule.effect === 'killBoth'));
+  assert.equal(preview.terminations.length, 2);
+  assert.equal(preview.classification.archetype, 'shooter-lane');
+  assert.match(preview.digest.promptText, /for aliens/);
+  assert.deepEqual(parseLevelMapping(ALIENS_VGDL).A, ['background', 'avatar']);
+});
+
+test('previewGame reports what would stop the engine loading the game', () => {
+  const noAvatarLevel = previewGame({ vgdl: ALIENS_VGDL, level: '...\n.Z.\n' });
+  assert.equal(noAvatarLevel.valid, false);
+  assert.ok(noAvatarLevel.errors.includes('Level places no avatar'));
+  assert.ok(noAvatarLevel.warnings.some(warning => warning.includes('Z')), 'unmapped characters are flagged');
+
+  const noEnding = previewGame({ vgdl: ALIENS_VGDL.replace(/TerminationSet[\s\S]*?InteractionSet/, 'InteractionSet'), level: ALIENS_LEVEL });
+  assert.ok(noEnding.errors.some(error => error.startsWith('TerminationSet is empty')));
+});
+
+test('GameEditor saves a new registry entry with a digest-seeded prompt config', async (t) => {
+  const { root, gamesDir, editor, saved } = makeEditor(t);
+  const vgdl = ALIENS_VGDL.replace('speed=0.8', 'speed=1.2');
+
+  const entry = await editor.save({ gameName: 'fastaliens', vgdl, level: ALIENS_LEVEL, basedOn: 0 });
+
+  assert.equal(entry.gameId, 1);
+  assert.equal(entry.file, 'examples/gridphysics/fastaliens.txt');
+  const game = readGameRegistry(root).get(1);
+  assert.equal(game.name, 'fastaliens', 'the registry merges the game in');
+  assert.equal(game.custom, true);
+  assert.equal(game.vgdlPath, path.join(root, 'web/data/custom-games/examples/gridphysics/fastaliens.txt'));
+  assert.equal(fs.readFileSync(path.join(root, 'web/data/custom-games/examples/gridphysics/fastaliens_lvl0.txt'), 'utf-8'), ALIENS_LEVEL);
+  assert.equal(fs.readFileSync(path.join(root, 'examples/all_games_sp.csv'), 'utf-8'), '0,examples/gridphysics/aliens.txt', 'the bundled registry is untouched');
+  assert.equal(fs.existsSync(path.join(root, 'examples/gridphysics/fastaliens.txt')), false, 'nothing lands in examples/');
+  assert.equal(fs.readFileSync(path.join(gamesDir, 'examples/all_games_sp.csv'), 'utf-8'), '0,examples/gridphysics/aliens.txt\n1,examples/gridphysics/fastaliens.txt\n');
+  assert.equal(fs.readFileSync(path.join(gamesDir, 'examples/gridphysics/fastaliens.txt'), 'utf-8'), vgdl.endsWith('\n') ? vgdl : `${vgdl}\n`);
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].gameId, 1);
+  assert.match(saved[0].gameContext.customOverride, /Strategic digest .* for fastaliens/);
+  assert.equal(saved[0].classification.archetype, 'shooter-lane');
+  assert.deepEqual(saved[0].llmSettings, { maxTokens: 60, temperature: 0.1 }, 'settings carry over from the base game');
+  assert.deepEqual(editor.list().map(game => game.gameId), [1]);
+  assert.equal(editor.load(1).vgdl, vgdl);
+});
+
+test('GameEditor rejects taken names, bad names and games that would not load', async (t) => {
+  const { editor, saved } = makeEditor(t);
+  const failsWith = code => err => err instanceof GameEditorError && err.code === code;
+
+  await assert.rejects(editor.save({ gameName: 'Aliens', vgdl: ALIENS_VGDL, level: ALIENS_LEVEL }), failsWith('NAME_TAKEN'));
+  await assert.rejects(editor.save({ gameName: '../x', vgdl: ALIENS_VGDL, level: ALIENS_LEVEL }), failsWith('INVALID_NAME'));
+  await assert.rejects(editor.save({ gameName: 'empty', vgdl: ALIENS_VGDL, level: '' }), failsWith('INVALID_GAME'));
+  assert.throws(() => editor.load(42), failsWith('GAME_NOT_FOUND'));
+  assert.equal(saved.length, 0);
+});
+
+test('GameEditor refuses to save without a hydrated engine runtime', async (t) => {
+  const { root, editor, saved } = makeEditor(t, { hydrated: false });
+
+  await assert.rejects(
+    editor.save({ gameName: 'fastaliens', vgdl: ALIENS_VGDL, level: ALIENS_LEVEL }),
+    err => err instanceof GameEditorError && err.code === 'RUNTIME_UNAVAILABLE'
+  );
+  assert.equal(saved.length, 0);
+  assert.equal(fs.existsSync(path.join(root, 'web/data/custom-games.json')), false);
+});
+
+test('installCustomGames restores editor games into a fresh runtime tree once', async (t) => {
+  const { root, editor } = makeEditor(t);
+  await editor.save({ gameName: 'fastaliens', vgdl: ALIENS_VGDL, level: ALIENS_LEVEL });
+  const rebuilt = fs.mkdtempSync(path.join(os.tmpdir(), 'game-editor-rebuilt-'));
+  t.after(() => fs.rmSync(rebuilt, { recursive: true, force: true }));
+  writeExamples(rebuilt);
+
+  assert.equal(installCustomGames(rebuilt, root), 1);
+  assert.equal(installCustomGames(rebuilt, root), 0, 'a second install adds nothing');
+  assert.equal(installCustomGames(root, root), 0, 'the project tree itself is never written');
+  assert.equal(fs.readFileSync(path.join(rebuilt, 'examples/all_games_sp.csv'), 'utf-8'), '0,examples/gridphysics/aliens.txt\n1,examples/gridphysics/fastaliens.txt\n');
+  assert.equal(fs.readFileSync(path.join(rebuilt, 'examples/gridphysics/fastaliens_lvl0.txt'), 'utf-8'), ALIENS_LEVEL);
+  assert.equal(fs.readFileSync(path.join(root, 'examples/all_games_sp.csv'), 'utf-8'), '0,examples/gridphysics/aliens.txt');
+});
@@ -56,6 +56,38 @@ test('Java launch args include the streamed screenshot path', () => {
   assert.deepEqual(args.slice(args.indexOf('-gamesDir'), args.indexOf('-gamesDir') + 2), ['-gamesDir', '/tmp/gvgai-runtime/source']);
 });
 
+test('Java launch args pass the engine worker port only when one is leased', () => {
+  const runtime = { classpath: 'classes', gamesDir: '/tmp/gvgai-runtime/source' };
+
+  assert.equal(buildJavaArgs(runtime, 0, 0, '/tmp/frame.png').includes('-port'), false);
+  const args = buildJavaArgs(runtime, 0, 0, '/tmp/frame-1.png', { port: 8081 });
+  assert.deepEqual(args.slice(args.indexOf('-port'), args.indexOf('-port') + 2), ['-port', '8081']);
+});
+
+test('Java launch args pin the run seed when one is valid', () => {
+  const runtime = { classpath: 'classes', gamesDir: null };
+
+  const args = buildJavaArgs(runtime, 0, 0, '/tmp/frame.png', { seed: 0 });
+  assert.deepEqual(args.slice(args.indexOf('-seed'), args.indexOf('-seed') + 2), ['-seed', '0']);
+  assert.equal(buildJavaArgs(runtime, 0, 0, '/tmp/frame.png', { seed: -5 }).includes('-seed'), false);
+  assert.equal(buildJavaArgs(runtime, 0, 0, '/tmp/frame.png', { seed: 'abc' }).includes('-seed'), false);
+});
+
+test('Java launch args fast-forward headless eval runs', () => {
+  const runtime = { classpath: 'classes', gamesDir: null };
+
+  assert.equal(buildJavaArgs(runtime, 0, 0, '/tmp/frame.png').includes('-fastForward'), false);
+  assert.equal(buildJavaArgs(runtime, 0, 0, '/tmp/frame.png', { headless: true }).includes('-fastForward'), true);
+});
+
+test('Java launch args open a second player socket for two-player sessions', () => {
+  const runtime = { classpath: 'classes', gamesDir: null };
+
+  assert.equal(buildJavaArgs(runtime, 3, 0, '/tmp/frame.png', { port: 8080 }).includes('-players'), false);
+  const args = buildJavaArgs(runtime, 3, 0, '/tmp/frame.png', { port: 8080, players: 2, secondPort: 8088 });
+  assert.deepEqual(args.slice(args.indexOf('-players'), args.indexOf('-players') + 4), ['-players', '2', '-port2', '8088']);
+});
+
 test('screenshot target preparation removes a stale frame', () => {
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gvgai-frame-'));
   const target = path.join(tmpDir, 'frames', 'game.png');
@@ -83,3 +115,9 @@ test('screenshot path resolver keeps absolute paths and roots relative paths', (
     '/tmp/frame.png'
   );
 });
+
+test('screenshot path resolver gives each pool worker its own frame file', () => {
+  const gvgai = { projectRoot: '/tmp/gvgai', screenshotPath: 'gameStateByBytes.png' };
+  assert.equal(resolveScreenshotPath(gvgai, 0), path.resolve('/tmp/gvgai', 'gameStateByBytes.png'));
+  assert.equal(resolveScreenshotPath(gvgai, 2), path.resolve('/tmp/gvgai', 'gameStateByBytes-2.png'));
+});
@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { GeneratedLevelStore, LevelGenerationError } = require('../lib/generated-levels');
+
+const REGISTRY = new Map([
+  [0, { id: 0, name: 'aliens', file: 'examples/gridphysics/aliens.txt' }]
+]);
+
+function makeStore(t, runGenerator) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-levels-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'examples/gridphysics'), { recursive: true });
+  const calls = [];
+  const store = new GeneratedLevelStore().configure({
+    projectRoot: root,
+    registry: REGISTRY,
+    resolveRuntime: async () => ({ gamesDir: null }),
+    runGenerator: async (request) => {
+      calls.push(request);
+      if (runGenerator) return runGenerator(request);
+      fs.writeFileSync(request.outFile, `LevelMapping\nLevelDescription\nw${request.seed}\n`);
+      return { code: 0, output: '[LEVELGEN] saved' };
+    }
+  });
+  return { root, store, calls };
+}
+
+test('GeneratedLevelStore numbers levels after the bundled five and records how each was made', async (t) => {
+  const { root, store, calls } = makeStore(t);
+
+  const first = await store.generate(0, { generator: 'random', seed: 11 });
+  const second = await store.generate(0, { seed: 12 });
+
+  assert.deepEqual([first.levelId, second.levelId], [5, 6]);
+  assert.equal(first.file, 'examples/gridphysics/aliens_lvl5.txt');
+  assert.equal(first.generator, 'random');
+  assert.equal(second.generator, 'constructive', 'constructive is the default');
+  assert.equal(first.heldOut, true);
+  assert.equal(calls[0].generatorClass, 'tracks.levelGeneration.randomLevelGenerator.LevelGenerator');
+  assert.equal(calls[0].gameFile, path.join(root, 'examples/gridphysics/aliens.txt'));
+  assert.equal(calls[0].seed, 11);
+  assert.ok(fs.existsSync(path.join(root, second.file)));
+  assert.deepEqual(store.levelIds(0), [5, 6]);
+  assert.equal(store.has(0, 6), true);
+  assert.equal(store.has(0, 7), false);
+});
+
+test('GeneratedLevelStore returns the existing level for a repeated generator and seed', async (t) => {
+  const { store, calls } = makeStore(t);
+
+  const first = await store.generate(0, { seed: 3 });
+  const again = await store.generate(0, { seed: 3 });
+
+  assert.equal(again.existing, true);
+  assert.equal(again.levelId, first.levelId);
+  assert.equal(calls.length, 1, 'the generator runs once');
+  assert.equal(store.list(0).length, 1);
+});
+
+test('GeneratedLevelStore rejects unknown games and generators and reports failed runs', async (t) => {
+  const { store } = makeStore(t, () => ({ code: 1, output: 'boom\n[LEVELGEN] failed' }));
+  const failsWith = code => err => err instanceof LevelGenerationError && err.code === code;
+
+  await assert.rejects(store.generate(99, { seed: 1 }), failsWith('GAME_NOT_FOUND'));
+  await assert.rejects(store.generate(0, { generator: 'wfc', seed: 1 }), failsWith('INVALID_GENERATOR'));
+  await assert.rejects(store.generate(0, { seed: 1 }), err => failsWith('GENERATION_FAILED')(err) && /LEVELGEN\] failed/.test(err.message));
+  assert.deepEqual(store.levelIds(0), [], 'a failed run claims no level id');
+});
@@ -21,6 +21,24 @@ test('live LLM client requests full state and frame data for ACT ticks', () => {
   assert.equal(client.actResponseType, 'BOTH');
 });
 
+test('headless clients play synchronously on JSON state and report throughput', (t) => {
+  const client = new LLMClient({ headless: true, initResponseType: 'BOTH', actResponseType: 'BOTH', observationMode: 'image' });
+  assert.equal(client.synchronousActions, true);
+  assert.deepEqual([client.initResponseType, client.actResponseType], ['JSON', 'JSON'], 'there is no frame to ask for');
+  client.model = 'gemma3:27b';
+  client.promptConfig = { observationMode: 'image' };
+  assert.equal(client.resolveObservation().mode, 'ascii');
+
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  client.recordActState(JSON.stringify({ gameTick: 0, gameScore: 0 }), null);
+  client.recordActionDecision('ACTION_LEFT', 0, { reason: 'test' });
+  now = 3000;
+  const summary = client.buildRunSummary({ gameTick: 400, gameScore: 2 });
+  assert.equal(summary.headless, true);
+  assert.deepEqual(summary.throughput, { wallClockMs: 2000, ticks: 400, ticksPerSecond: 200, decisionsPerSecond: 0.5 });
+});
+
 test('async ACT response asks Java for BOTH on the next tick', async () => {
   const client = new LLMClient();
   const sent = [];
@@ -125,7 +143,7 @@ test('socket close emits a partial run summary from recorded fallback actions',
     gameTick: 42
   };
 
-  client.recordActionDecision('ACTION_NIL', 42, 'provider 401');
+  client.recordActionDecision('ACTION_NIL', 42, { reason: 'provider 401' });
   client.emitCloseSummary();
 
   const summaryEvent = events.find(entry => entry.event === 'run-summary');
@@ -168,8 +186,8 @@ test('async mode enforces maxActions with an ABORT and a run summary', async ()
   client.model = 'qwen3-coder-next';
   client.lastSso = { gameScore: 1, gameWinner: 'NO_WINNER', gameTick: 9 };
 
-  client.recordActionDecision('ACTION_LEFT', 3, 'probe left');
-  client.recordActionDecision('ACTION_RIGHT', 6, 'probe right');
+  client.recordActionDecision('ACTION_LEFT', 3, { reason: 'probe left' });
+  client.recordActionDecision('ACTION_RIGHT', 6, { reason: 'probe right' });
 
   await client.processMessage(`9#${JSON.stringify({
     phase: 'ACT',
@@ -303,6 +321,310 @@ test('requestLLMAction falls back from legion vLLM through cloud guardrail to Op
   }
 });
 
+test('tool-mode provider calls send the action schema and return structured calls', async () => {
+  const originalFetch = global.fetch;
+  const client = new LLMClient({ actionTimeoutMs: 1000 });
+  const tools = [{ type: 'function', function: { name: 'choose_action', parameters: { type: 'object' } } }];
+  const bodies = [];
+
+  global.fetch = async (url, options) => {
+    bodies.push({ url, body: JSON.parse(options.body) });
+    if (url.endsWith('/api/chat')) {
+      return {
+        ok: true,
+        async json() {
+          return { message: { content: '', tool_calls: [{ function: { name: 'choose_action', arguments: { action: 'ACTION_UP' } } }] } };
+        }
+      };
+    }
+    return {
+      ok: true,
+      async json() {
+        return { choices: [{ message: { content: null, tool_calls: [{ function: { name: 'choose_action', arguments: '{"action":"ACTION_UP"}' } }] } }] };
+      }
+    };
+  };
+
+  try {
+    const openRouter = await client.callProvider('openrouter', 'test/model', [], {}, { tools });
+    assert.deepEqual(bodies[0].body.tools, tools);
+    assert.equal(bodies[0].body.tool_choice.function.name, 'choose_action');
+    assert.equal(openRouter.toolCalls[0].function.arguments, '{"action":"ACTION_UP"}');
+
+    const ollama = await client.callProvider('ollama-local', 'test-model', [], {}, { tools });
+    assert.match(bodies[1].url, /\/api\/chat$/, 'Ollama tool calls use the native endpoint');
+    assert.deepEqual(bodies[1].body.tools, tools);
+    assert.equal(ollama.toolCalls[0].function.arguments.action, 'ACTION_UP');
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('tool-mode provider calls retry as text when the model rejects tools', async () => {
+  const originalFetch = global.fetch;
+  const client = new LLMClient({ actionTimeoutMs: 1000 });
+  const bodies = [];
+
+  global.fetch = async (url, options) => {
+    const body = JSON.parse(options.body);
+    bodies.push(body);
+    if (body.tools) {
+      return { ok: false, status: 404, async text() { return 'No endpoints found that support tool use'; } };
+    }
+    return {
+      ok: true,
+      async json() {
+        return { choices: [{ message: { content: 'ACTION: ACTION_LEFT' } }] };
+      }
+    };
+  };
+
+  try {
+    const reply = await client.callProvider('openrouter', 'test/model', [], {}, { tools: [{ type: 'function' }] });
+    assert.equal(bodies.length, 2);
+    assert.equal(bodies[1].tools, undefined);
+    assert.deepEqual(reply, { content: 'ACTION: ACTION_LEFT', toolCalls: [] });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('tool-mode provider calls fail over on errors that only mention tools', async () => {
+  const originalFetch = global.fetch;
+  const client = new LLMClient({ actionTimeoutMs: 1000 });
+  const rejections = [
+    { status: 400, text: 'Invalid schema for function choose_action: tools[0].function.parameters must be an object' },
+    { status: 429, text: 'Rate limit exceeded for tool calls; retry later' },
+    { status: 500, text: 'Upstream error while executing function call' },
+    { status: 503, text: 'test/model does not support tools right now: overloaded' }
+  ];
+
+  try {
+    for (const rejection of rejections) {
+      const bodies = [];
+      global.fetch = async (url, options) => {
+        bodies.push(JSON.parse(options.body));
+        return { ok: false, status: rejection.status, async text() { return rejection.text; } };
+      };
+      await assert.rejects(
+        client.callProvider('openrouter', 'test/model', [], {}, { tools: [{ type: 'function' }] }),
+        (error) => error.status === rejection.status
+      );
+      assert.equal(bodies.length, 1, `${rejection.status} ${rejection.text} is not retried as text`);
+    }
+
+    for (const text of ['registry.ollama.ai/library/gemma3:4b does not support tools', 'Unrecognized request argument supplied: tools']) {
+      const bodies = [];
+      global.fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        bodies.push(body);
+        if (body.tools) return { ok: false, status: 400, async text() { return text; } };
+        return { ok: true, async json() { return { choices: [{ message: { content: 'ACTION: ACTION_UP' } }] }; } };
+      };
+      const reply = await client.callProvider('openrouter', 'test/model', [], {}, { tools: [{ type: 'function' }] });
+      assert.equal(bodies.length, 2, `${text} retries as text`);
+      assert.deepEqual(reply.toolCalls, []);
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('requestLLMAction records whether a tool-mode decision came from the call or the text fallback', async () => {
+  const client = new LLMClient({ actionTimeoutMs: 1000, responseMode: 'tools' });
+  const telemetry = require('../lib/telemetry-store');
+  const originalTrack = telemetry.track;
+  const decisions = [];
+  const replies = [
+    { content: '', toolCalls: [{ function: { name: 'choose_action', arguments: '{"action":"ACTION_RIGHT","reason":"collect"}' } }] },
+    { content: 'REASON: wall ahead\nACTION: ACTION_LEFT', toolCalls: [] }
+  ];
+  let sentTools = null;
+
+  client.model = 'gemma3:27b';
+  client.gameId = 0;
+  client.levelCount = 0;
+  client.promptConfig = { gameName: 'aliens', gameContent: 'rules', responseMode: 'tools' };
+  client.callProvider = async (provider, modelId, messages, settings, options) => {
+    sentTools = options.tools;
+    return replies.shift();
+  };
+  telemetry.track = (event) => {
+    if (event.eventType === 'llm_decision') decisions.push(event.payload);
+  };
+
+  try {
+    const sso = JSON.stringify({ gameTick: 1, gameScore: 0, availableActions: ['ACTION_LEFT', 'ACTION_RIGHT'] });
+    const viaTool = await client.requestLLMAction(sso);
+    const viaText = await client.requestLLMAction(sso);
+
+    assert.equal(sentTools[0].function.name, 'choose_action');
+    assert.equal(viaTool.action, 'ACTION_RIGHT');
+    assert.equal(viaText.action, 'ACTION_LEFT');
+    assert.deepEqual(decisions.map(payload => [payload.responseMode, payload.decisionMode]), [
+      ['tools', 'tools'],
+      ['tools', 'text']
+    ]);
+    assert.deepEqual(client.buildRunSummary({ gameTick: 2 }).decisionModes, { tools: 1, text: 1 });
+  } finally {
+    telemetry.track = originalTrack;
+  }
+});
+
+const PNG_FRAME = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.alloc(40, 1),
+  Buffer.from([0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82])
+]);
+
+test('image observation attaches the latest complete frame for vision models only', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-client-frame-'));
+  const screenshotPath = path.join(tempDir, 'frame.png');
+  const telemetry = require('../lib/telemetry-store');
+  const originalTrack = telemetry.track;
+  const decisions = [];
+  const sent = [];
+  const client = new LLMClient({ actionTimeoutMs: 1000, screenshotPath, observationMode: 'image' });
+
+  client.gameId = 0;
+  client.levelCount = 0;
+  client.promptConfig = { gameName: 'aliens', gameContent: 'rules', observationMode: 'image' };
+  client.callProvider = async (provider, modelId, messages) => {
+    sent.push(messages[messages.length - 1].content);
+    return 'ACTION_LEFT';
+  };
+  telemetry.track = (event) => {
+    if (event.eventType === 'llm_decision') decisions.push(event.payload.observationMode);
+  };
+
+  try {
+    const sso = JSON.stringify({ gameTick: 1, gameScore: 0, availableActions: ['ACTION_LEFT', 'ACTION_RIGHT'] });
+    fs.writeFileSync(screenshotPath, PNG_FRAME);
+    client.model = 'gemma3:27b';
+    await client.requestLLMAction(sso);
+    assert.equal(sent[0][0].type, 'text');
+    assert.equal(sent[0][1].image_url.url, `data:image/png;base64,${PNG_FRAME.toString('base64')}`);
+
+    fs.writeFileSync(screenshotPath, PNG_FRAME.subarray(0, 30));
+    await client.requestLLMAction(sso);
+    assert.equal(typeof sent[1], 'string', 'a torn frame falls back to ASCII');
+
+    fs.writeFileSync(screenshotPath, PNG_FRAME);
+    client.model = 'qwen3-coder-next';
+    await client.requestLLMAction(sso);
+    assert.equal(typeof sent[2], 'string', 'text-only models never get the image');
+    assert.match(sent[2], /Map|Available actions/);
+
+    assert.deepEqual(decisions, ['image', 'ascii', 'ascii']);
+    assert.deepEqual(client.buildRunSummary({ gameTick: 3 }).observationModes, { image: 1, ascii: 2 });
+  } finally {
+    telemetry.track = originalTrack;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('Ollama native calls move image parts into the images list', async () => {
+  const originalFetch = global.fetch;
+  const client = new LLMClient({ actionTimeoutMs: 1000 });
+  let body = null;
+
+  global.fetch = async (url, options) => {
+    body = JSON.parse(options.body);
+    return { ok: true, async json() { return { message: { content: 'ACTION_UP' } }; } };
+  };
+
+  try {
+    await client._callOllamaNative('http://localhost:11434/v1/chat/completions', 'gemma3:4b', [{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'state' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,QUJD' } }
+      ]
+    }], {}, {}, 'ollama-local');
+    assert.deepEqual(body.messages, [{ role: 'user', content: 'state', images: ['QUJD'] }]);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('async play streams the reply and commits the action before the rationale finishes', async () => {
+  const originalFetch = global.fetch;
+  const client = new LLMClient({ actionTimeoutMs: 1000 });
+  let requestBody = null;
+  let pendingMidStream = null;
+
+  client.model = 'gemma3:27b';
+  client.gameId = 0;
+  client.levelCount = 0;
+  client.promptConfig = { gameName: 'aliens', gameContent: 'rules' };
+  client.ollamaCloudCallCount = 0;
+
+  global.fetch = async (url, options) => {
+    requestBody = JSON.parse(options.body);
+    return {
+      ok: true,
+      body: (async function* body() {
+        yield Buffer.from('data: {"choices":[{"delta":{"content":"REASON: dodge.\\nACTION: LEFT\\n"}}]}\n\n');
+        pendingMidStream = client.pendingLLMAction;
+        yield Buffer.from('data: {"choices":[{"delta":{"content":"Moving away from the bomb on the right."}}]}\n\n');
+        yield Buffer.from('data: [DONE]\n\n');
+      })()
+    };
+  };
+
+  try {
+    const result = await client.requestLLMAction(JSON.stringify({
+      gameTick: 4,
+      gameScore: 0,
+      availableActions: ['ACTION_NIL', 'ACTION_LEFT', 'ACTION_RIGHT']
+    }));
+
+    assert.equal(requestBody.stream, true);
+    assert.equal(pendingMidStream, 'ACTION_LEFT', 'the executor sees the action while the rationale streams');
+    assert.equal(result.action, 'ACTION_LEFT', 'trailing prose does not flip the committed action');
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('synchronous play and the kill switch keep provider calls buffered', async () => {
+  const originalFetch = global.fetch;
+  const savedKill = process.env.LLM_STREAMING_DISABLED;
+  const bodies = [];
+
+  global.fetch = async (url, options) => {
+    bodies.push(JSON.parse(options.body));
+    return {
+      ok: true,
+      async json() {
+        return { choices: [{ message: { content: 'ACTION_LEFT' } }] };
+      }
+    };
+  };
+
+  try {
+    const sync = new LLMClient({ actionTimeoutMs: 1000, synchronousActions: true });
+    sync.model = 'gemma3:27b';
+    sync.promptConfig = { gameName: 'aliens' };
+    sync.ollamaCloudCallCount = 0;
+    const sso = JSON.stringify({ gameTick: 1, availableActions: ['ACTION_LEFT', 'ACTION_RIGHT'] });
+    await sync.requestLLMAction(sso);
+
+    process.env.LLM_STREAMING_DISABLED = '1';
+    const killed = new LLMClient({ actionTimeoutMs: 1000 });
+    killed.model = 'gemma3:27b';
+    killed.promptConfig = { gameName: 'aliens' };
+    killed.ollamaCloudCallCount = 0;
+    await killed.requestLLMAction(sso);
+
+    assert.deepEqual(bodies.map(body => body.stream), [undefined, undefined]);
+  } finally {
+    global.fetch = originalFetch;
+    if (savedKill === undefined) delete process.env.LLM_STREAMING_DISABLED;
+    else process.env.LLM_STREAMING_DISABLED = savedKill;
+  }
+});
+
 test('requestLLMAction sends GV1 code tape and maps compact output to GVGAI action', async () => {
   const originalFetch = global.fetch;
   const client = new LLMClient({ actionTimeoutMs: 1000 });
@@ -647,6 +969,13 @@ test('plan queue consumes the full combination, then releases the final step', a
     'ACTION_NIL#BOTH'
   ]);
   assert.equal(client.planStep, 3);
+  assert.deepEqual(client.tickActions, [
+    { tick: 1, action: 'ACTION_LEFT' },
+    { tick: 2, action: 'ACTION_LEFT' },
+    { tick: 3, action: 'ACTION_USE' },
+    { tick: 4, action: 'ACTION_NIL' },
+    { tick: 5, action: 'ACTION_NIL' }
+  ], 'plan-queue ticks are logged for replay, not only the decision');
 });
 
 test('single async directions are one-tick pulses while the next model call is in flight', async () => {
@@ -990,7 +1319,7 @@ test('recordActionDecision stores pruned SSO in runLog when provided', () => {
   const client = new LLMClient();
   const fixture = require('./fixtures/finetune/sso-tick.json');
 
-  client.recordActionDecision('ACTION_UP', 3, 'test reason', fixture);
+  client.recordActionDecision('ACTION_UP', 3, { reason: 'test reason', sso: fixture });
 
   assert.equal(client.runLog.length, 1);
   assert.equal(client.runLog[0].action, 'ACTION_UP');
@@ -1004,6 +1333,11 @@ test('recordActionDecision stores null sso when omitted', () => {
   client.recordActionDecision('ACTION_UP', 3);
 
   assert.equal(client.runLog[0].sso, null);
+  assert.deepEqual(
+    [client.runLog[0].reason, client.runLog[0].decisionMode, client.runLog[0].parseValid, client.runLog[0].overriddenAction],
+    ['', null, true, null],
+    'omitted options fall back to their defaults'
+  );
 });
 
 test('updateStrategy swaps the live directive, clears the plan, and notifies the run', () => {
@@ -0,0 +1,38 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { readCompletionStream } = require('../lib/llm-stream');
+
+function streamOf(chunks) {
+  return {
+    body: (async function* body() {
+      for (const chunk of chunks) yield Buffer.from(chunk);
+    })()
+  };
+}
+
+test('readCompletionStream folds SSE deltas split across chunks and skips comments', async () => {
+  const seen = [];
+  const reply = await readCompletionStream(streamOf([
+    ': OPENROUTER PROCESSING\n\n',
+    'data: {"choices":[{"delta":{"content":"REASON: go"}}]}\n\ndata: {"choices":[{"del',
+    'ta":{"content":" left\\nACTION: LEFT\\n"}}]}\n\n',
+    'data: [DONE]\n\n'
+  ]), { onText: text => seen.push(text) });
+
+  assert.equal(reply.content, 'REASON: go left\nACTION: LEFT\n');
+  assert.deepEqual(seen, ['REASON: go', 'REASON: go left\nACTION: LEFT\n']);
+});
+
+test('readCompletionStream reads Ollama native NDJSON and surfaces stream errors', async () => {
+  const reply = await readCompletionStream(streamOf([
+    '{"message":{"content":"L"},"done":false}\n{"message":{"content":"\\n"},"done":false}\n',
+    '{"message":{"content":""},"done":true}'
+  ]), { format: 'ndjson' });
+  assert.equal(reply.content, 'L\n');
+
+  await assert.rejects(
+    readCompletionStream(streamOf(['data: {"error":{"message":"overloaded"}}\n\n']), { providerLabel: 'openrouter' }),
+    /openrouter stream error: overloaded/
+  );
+});
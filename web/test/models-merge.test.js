@@ -116,6 +116,16 @@ test('getAllModels merges registry entries as non-featured ollama-local models',
   }
 });
 
+test('hidden registry entries stay out of the catalog but still resolve', () => {
+  withRegistry({ models: [{ ...ENTRY, hidden: true }] });
+  try {
+    assert.deepEqual(models.getAllModels(), models.MODELS);
+    assert.equal(models.resolveModel(ENTRY.id).provider, 'ollama-local');
+  } finally {
+    restore();
+  }
+});
+
 test('resolveModel routes registry ids to ollama-local, not inferred ollama-cloud', () => {
   withRegistry({ models: [ENTRY] });
   try {
@@ -7,7 +7,13 @@ const os = require('os');
 const path = require('path');
 
 const fixtureSso = require('./fixtures/finetune/sso-tick.json');
-const { pairsFromTrace, downsampleNil, PrepareError } = require('../scripts/prepare-finetune-data');
+const {
+  pairsFromTrace,
+  preferenceStepsFromTrace,
+  buildPreferencePairs,
+  downsampleNil,
+  PrepareError
+} = require('../scripts/prepare-finetune-data');
 
 function prunedSso(overrides = {}) {
   const { imageArray, ...rest } = fixtureSso;
@@ -110,6 +116,46 @@ test('downsampleNil leaves balanced or all-NIL sets alone', () => {
   assert.equal(downsampleNil(allNil, 0.3).length, 5);
 });
 
+test('preference pairs match a scoring action against bad outcomes in the same state', () => {
+  const won = {
+    levelId: 0,
+    winner: 'PLAYER_WINS',
+    actionHistory: [
+      makeEntry({ tick: 0, action: 'ACTION_USE', scoreDelta: 2, sso: prunedSso({ gameTick: 0 }) }),
+      // Steering replaced the model's RIGHT and the replacement scored.
+      makeEntry({ tick: 1, action: 'ACTION_USE', scoreDelta: 1, overriddenAction: 'ACTION_RIGHT', sso: prunedSso({ gameTick: 1 }) })
+    ]
+  };
+  const lost = {
+    levelId: 0,
+    winner: 'PLAYER_LOSES',
+    actionHistory: [
+      makeEntry({ tick: 0, action: 'ACTION_USE', parseValid: false, sso: prunedSso({ gameTick: 0 }) }),
+      makeEntry({ tick: 1, action: 'ACTION_LEFT', sso: prunedSso({ gameTick: 1 }) })
+    ]
+  };
+  const elsewhere = {
+    levelId: 1,
+    winner: 'PLAYER_LOSES',
+    actionHistory: [makeEntry({ action: 'ACTION_DOWN', sso: prunedSso({ gameTick: 0 }) })]
+  };
+
+  const steps = [won, lost, elsewhere].flatMap(trace => preferenceStepsFromTrace(trace, BASE_CONFIG, { lossWindow: 1 }));
+  assert.deepEqual(steps.map(step => step.signals), [[], ['steering_override'], ['invalid_action'], ['losing_trace'], ['losing_trace']]);
+
+  const { pairs, dropped } = buildPreferencePairs(steps, { maxPairsPerState: 10 });
+  assert.deepEqual(pairs.map(pair => [pair.chosen, pair.rejected]), [
+    ['ACTION_USE', 'ACTION_RIGHT'],
+    ['ACTION_USE', 'ACTION_LEFT'],
+    ['ACTION_USE', 'ACTION_RIGHT'],
+    ['ACTION_USE', 'ACTION_LEFT']
+  ], 'a different level is a different state');
+  assert.notDeepEqual(pairs[0].prompt, pairs[2].prompt, 'each winner keeps its own prompt');
+  assert.deepEqual(dropped, { same_action: 2 });
+  assert.equal(pairs[0].prompt[pairs[0].prompt.length - 1].role, 'user');
+  assert.equal(buildPreferencePairs(steps, { maxPairsPerState: 1 }).pairs.length, 1);
+});
+
 // --- store-backed prepareFinetuneData (env-isolated trace dir) ---
 
 function freshModules(tempDir) {
@@ -202,3 +248,25 @@ test('prepareFinetuneData writes a valid JSONL and reports stats', () => {
     assert.match(last.content, /^ACTION_[A-Z]+$/);
   }
 });
+
+test('prepareDpoData writes TRL preference rows from human and LLM traces', () => {
+  const tempDir = makeTempDir();
+  const { store, prep } = freshModules(tempDir);
+  seedTrace(store, [makeEntry({ action: 'ACTION_USE', scoreDelta: 3 })]);
+  seedTrace(store, [makeEntry({ action: 'ACTION_LEFT' })],
+    { playerType: 'llm', winner: 'PLAYER_LOSES', won: false });
+  const outPath = path.join(tempDir, 'dpo.jsonl');
+
+  assert.throws(() => prep.prepareDpoData({ gameId: 9999, playerType: 'human', minExamples: 1, write: false }),
+    err => err.code === 'TOO_FEW_EXAMPLES', 'the losing side came from the LLM trace');
+  const stats = prep.prepareDpoData({ gameId: 9999, minExamples: 1, output: outPath });
+
+  assert.equal(stats.traceCount, 2);
+  assert.equal(stats.exampleCount, 1);
+  assert.deepEqual(stats.signalCounts, { losing_trace: 1 });
+  const rows = fs.readFileSync(outPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].chosen, [{ role: 'assistant', content: 'ACTION_USE' }]);
+  assert.deepEqual(rows[0].rejected, [{ role: 'assistant', content: 'ACTION_LEFT' }]);
+  assert.deepEqual(rows[0].prompt.map(message => message.role), ['system', 'user']);
+});
@@ -0,0 +1,135 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const experiments = require('../lib/prompt-experiments');
+const { PromptExperiments, PromptExperimentError } = require('../lib/prompt-experiments');
+const promptStore = require('../lib/prompt-store');
+const LLMClient = require('../lib/llm-client');
+const telemetry = require('../lib/telemetry-store');
+
+const TEMPLATES = new Set(['default-system', 'terse-system']);
+
+function makeExperiments(t, random = () => 0) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-experiments-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return new PromptExperiments().configure({
+    storePath: path.join(root, 'prompt-experiments.json'),
+    getTemplate: id => (TEMPLATES.has(id) ? { id, content: id } : null),
+    random
+  });
+}
+
+test('create validates variants and assign draws a weighted variant for covered runs', (t) => {
+  let roll = 0;
+  const store = makeExperiments(t, () => roll);
+
+  const reject = (body, pattern) => assert.throws(
+    () => store.create(body),
+    error => error instanceof PromptExperimentError && error.code === 'INVALID_EXPERIMENT' && pattern.test(error.message)
+  );
+  reject({ name: 'solo', variants: [{ name: 'a' }] }, /2 to 6 variants/);
+  reject({ name: 'missing', variants: [{ name: 'a' }, { name: 'b', systemTemplateId: 'nope' }] }, /template nope/);
+  reject({ name: 'dupes', variants: [{ id: 'a' }, { id: 'a' }] }, /unique/);
+  reject({ name: 'source', sources: ['duel'], variants: [{ id: 'a' }, { id: 'b' }] }, /sources/);
+
+  const created = store.create({
+    name: 'Terse system prompt',
+    gameIds: [0],
+    variants: [
+      { name: 'Control', weight: 3 },
+      { name: 'Terse', systemTemplateId: 'terse-system', llmSettings: { temperature: 0.2 } }
+    ]
+  });
+  assert.equal(created.id, 'terse-system-prompt');
+  assert.deepEqual(created.variants.map(variant => variant.id), ['control', 'terse']);
+
+  assert.equal(store.assign({ gameId: 0, source: 'walkup' }).variantId, 'control');
+  roll = 0.8;
+  const terse = store.assign({ gameId: 0, source: 'marble' });
+  assert.deepEqual(
+    { experimentId: terse.experimentId, variantId: terse.variantId, source: terse.source },
+    { experimentId: 'terse-system-prompt', variantId: 'terse', source: 'marble' }
+  );
+  assert.equal(terse.variant.systemTemplateId, 'terse-system');
+  assert.equal(store.assign({ gameId: 5, source: 'walkup' }), null, 'other games are not in the experiment');
+
+  store.setStatus(created.id, 'paused');
+  assert.equal(store.assign({ gameId: 0, source: 'walkup' }), null);
+  store.setStatus(created.id, 'ended');
+  assert.throws(() => store.setStatus(created.id, 'active'), error => error.code === 'EXPERIMENT_ENDED');
+  assert.throws(() => store.summarize('missing'), error => error.code === 'EXPERIMENT_NOT_FOUND');
+});
+
+test('summarize reports per-variant rates with intervals and skips runs cut short', (t) => {
+  const store = makeExperiments(t);
+  const { id } = store.create({ name: 'ab', variants: [{ id: 'a' }, { id: 'b' }] });
+  const record = (variantId, summary) => store.recordOutcome({ experimentId: id, variantId, source: 'walkup' }, {
+    decisions: 10,
+    invalidDecisions: 0,
+    ...summary
+  });
+
+  record('a', { won: true, strategy: 'go left', adherence: { mentioned: 5, total: 10 } });
+  record('a', { won: false, invalidDecisions: 2 });
+  record('a', { won: true, endedBy: 'socket-close' });
+  record('b', { won: false, invalidDecisions: 5 });
+  assert.equal(record('ghost', { won: true }), null);
+
+  const [a, b] = store.summarize(id).variants;
+  assert.equal(a.runs, 2);
+  assert.equal(a.winRate.mean, 0.5);
+  assert.ok(a.winRate.ci95[0] <= 0.5 && a.winRate.ci95[1] >= 0.5);
+  assert.deepEqual(a.adherence, { n: 1, mean: 0.5, ci95: [0.5, 0.5] }, 'only runs with a strategy count for adherence');
+  assert.equal(a.invalidActionRate.mean, 0.1);
+  assert.equal(b.invalidActionRate.mean, 0.5);
+  assert.equal(b.adherence.n, 0);
+});
+
+test('the assigned variant overrides prompt layers and rides on the run summary', (t) => {
+  const assignment = {
+    experimentId: 'exp',
+    variantId: 'terse',
+    variant: { id: 'terse', gameContent: 'Only shoot.', llmSettings: { temperature: 0.2 } },
+    source: 'walkup'
+  };
+  const baseline = promptStore.resolveGamePromptConfig(0, 0, {});
+  const config = promptStore.resolveGamePromptConfig(0, 0, { promptExperiment: assignment });
+  assert.equal(config.gameContent, 'Only shoot.');
+  assert.equal(config.systemContent, baseline.systemContent);
+  assert.equal(config.llmSettings.temperature, 0.2);
+  assert.equal(config.llmSettings.maxTokens, baseline.llmSettings.maxTokens);
+  assert.deepEqual(config.promptExperiment, { experimentId: 'exp', variantId: 'terse' });
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-experiments-client-'));
+  experiments.configure({ storePath: path.join(root, 'store.json'), getTemplate: () => null });
+  const originalTrack = telemetry.track;
+  const tracked = [];
+  telemetry.track = event => tracked.push(event);
+  t.after(() => {
+    telemetry.track = originalTrack;
+    experiments.configure();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  const { id } = experiments.create({ name: 'exp', variants: [{ id: 'control' }, { id: 'terse' }] });
+
+  const client = new LLMClient({ runId: 'exp-run', promptConfigOptions: { promptExperiment: { ...assignment, experimentId: id } } });
+  client.io = { emit() {} };
+  client.gameId = 0;
+  client.recordActionDecision('ACTION_USE', 1, { reason: 'shoot', decisionMode: 'text', observationMode: 'ascii', parseValid: false });
+  client.recordActionDecision('ACTION_LEFT', 2, { reason: 'dodge', decisionMode: 'text', observationMode: 'ascii' });
+  const summary = client.buildRunSummary({ gameTick: 2, gameWinner: 'PLAYER_WINS' });
+  assert.equal(summary.invalidDecisions, 1);
+  assert.deepEqual(summary.experiment, { experimentId: id, variantId: 'terse' });
+
+  client.emitRunSummary(summary);
+  const runSummary = tracked.find(event => event.eventType === 'run_summary');
+  assert.deepEqual(runSummary.payload.experiment, { experimentId: id, variantId: 'terse' });
+  assert.equal(runSummary.metrics.invalid_decisions, 1);
+  const terse = experiments.summarize(id).variants[1];
+  assert.equal(terse.runs, 1);
+  assert.equal(terse.winRate.mean, 1);
+  assert.equal(terse.invalidActionRate.mean, 0.5);
+});
@@ -0,0 +1,113 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const express = require('express');
+
+// The store resolves its directories on load, so point it at a scratch copy first.
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-revisions-'));
+fs.mkdirSync(path.join(root, 'templates'), { recursive: true });
+process.env.PROMPT_STORE_DIR = root;
+const promptStore = require('../lib/prompt-store');
+const promptsRouter = require('../routes/prompts-local');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function writeJson(relative, value) {
+  fs.writeFileSync(path.join(root, relative), JSON.stringify(value, null, 2) + '\n');
+}
+
+test('diffLines pairs replaced lines and keeps unchanged ones aligned', () => {
+  assert.deepEqual(promptStore.diffLines('a\nb\nc', 'a\nB\nc\nd'), [
+    { type: 'same', left: 'a', right: 'a' },
+    { type: 'changed', left: 'b', right: 'B' },
+    { type: 'same', left: 'c', right: 'c' },
+    { type: 'added', left: null, right: 'd' }
+  ]);
+  assert.deepEqual(promptStore.diffLines('x\ny', 'y').map(row => row.type), ['removed', 'same']);
+});
+
+test('template saves become revisions that runs report and rollback restores', () => {
+  // A template from before revision history existed.
+  writeJson('templates/tips.json', { id: 'tips', name: 'Tips', layer: 'game', content: 'Shoot first.' });
+  writeJson('games/7.json', { gameId: 7, gameName: 'aliens', gameContext: { templateId: 'tips', customOverride: null } });
+  promptStore.invalidateCache();
+
+  let config = promptStore.resolveGamePromptConfig(7, 0, { strategyMemory: 'disabled' });
+  assert.equal(config.gameContent, 'Shoot first.');
+  assert.deepEqual(config.promptRevisions, { gameConfig: 'game-7@0', system: null, game: 'tips@0', level: null });
+
+  const saved = promptStore.saveTemplate({ ...promptStore.getTemplate('tips'), content: 'Dodge, then shoot.' }, { author: 'ana', note: 'safer opener' });
+  assert.equal(saved.revisionId, 'tips@1');
+  promptStore.saveTemplate({ ...promptStore.getTemplate('tips'), content: 'Dodge, then shoot.\nStay low.' });
+
+  const revisions = promptStore.listRevisions('template', 'tips');
+  assert.deepEqual(revisions.map(rev => [rev.revisionId, rev.author, rev.note]), [
+    ['tips@2', null, null],
+    ['tips@1', 'ana', 'safer opener'],
+    ['tips@0', null, 'Before revision history']
+  ]);
+  assert.equal(revisions[0].snapshot, undefined, 'the list leaves snapshots out');
+
+  const diff = promptStore.diffRevisions('template', 'tips', 'tips@2');
+  assert.equal(diff.from, 'tips@1');
+  assert.deepEqual(diff.rows.filter(row => row.type !== 'same'), [{ type: 'added', left: null, right: 'Stay low.' }]);
+  assert.equal(promptStore.diffRevisions('template', 'tips', 'tips@0', 'current').from, 'tips@2');
+  assert.equal(promptStore.diffRevisions('template', 'tips', 'tips@9'), null);
+
+  config = promptStore.resolveGamePromptConfig(7, 0, { strategyMemory: 'disabled' });
+  assert.equal(config.promptRevisions.game, 'tips@2');
+
+  const restored = promptStore.rollbackTemplate('tips', 'tips@0', { author: 'ana' });
+  assert.equal(restored.revisionId, 'tips@3');
+  assert.equal(restored.content, 'Shoot first.');
+  const latest = promptStore.getRevision('template', 'tips', 'tips@3');
+  assert.equal(latest.rollbackOf, 'tips@0');
+  assert.equal(latest.note, 'Rollback to tips@0');
+  assert.equal(promptStore.getRevision('template', 'tips', 'tips@2').snapshot.content, 'Dodge, then shoot.\nStay low.', 'history is not rewritten');
+  assert.equal(promptStore.rollbackTemplate('tips', 'tips@9'), null);
+
+  // Custom text is covered by the game config revision, not a template one.
+  promptStore.saveGameConfig({ ...promptStore.getGameConfig(7), gameContext: { templateId: 'tips', customOverride: 'Hide.' } });
+  config = promptStore.resolveGamePromptConfig(7, 0, { strategyMemory: 'disabled' });
+  assert.deepEqual([config.promptRevisions.gameConfig, config.promptRevisions.game], ['game-7@1', null]);
+});
+
+test('prompt routes keep unsent fields on PUT and roll game configs back', async (t) => {
+  writeJson('games/8.json', { gameId: 8, gameName: 'zelda', actionAliases: { fire: 'ACTION_USE' }, llmSettings: { maxTokens: 80 } });
+  promptStore.invalidateCache();
+  const app = express();
+  app.use(express.json());
+  app.use('/api/prompts', promptsRouter);
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}/api/prompts/games/8`;
+  const send = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const put = await send(base, 'PUT', { llmSettings: { maxTokens: 40 }, author: 'bo', note: 'shorter replies' });
+  assert.equal(put.status, 200);
+  assert.deepEqual(put.body.actionAliases, { fire: 'ACTION_USE' });
+  assert.equal(put.body.note, undefined, 'revision notes stay out of the config');
+  assert.equal(put.body.revisionId, 'game-8@1');
+
+  const listed = await send(`${base}/revisions`, 'GET');
+  assert.deepEqual(listed.body.map(rev => rev.revisionId), ['game-8@1', 'game-8@0']);
+  const diff = await send(`${base}/revisions/game-8@1/diff`, 'GET');
+  assert.ok(diff.body.rows.some(row => row.type === 'changed' && row.left.includes('80') && row.right.includes('40')));
+
+  const rolled = await send(`${base}/revisions/game-8@0/rollback`, 'POST', { author: 'bo' });
+  assert.equal(rolled.status, 200);
+  assert.equal(rolled.body.revisionId, 'game-8@2');
+  assert.equal(promptStore.getGameConfig(8).llmSettings.maxTokens, 80);
+  assert.equal((await send(`${base}/revisions/game-8@5/rollback`, 'POST', {})).status, 404);
+});
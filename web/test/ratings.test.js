@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  ELO_START,
+  TRUESKILL_MU,
+  TRUESKILL_SIGMA,
+  rateMatches,
+  replayElo,
+  trueSkillUpdate
+} = require('../lib/ratings');
+
+test('trueSkillUpdate moves a first win from the prior by the textbook amount', () => {
+  const prior = { mu: TRUESKILL_MU, sigma: TRUESKILL_SIGMA };
+  const [winner, loser] = trueSkillUpdate(prior, prior, 1);
+
+  assert.ok(Math.abs(winner.mu - 29.4) < 0.1, `winner mu ${winner.mu}`);
+  assert.ok(Math.abs(loser.mu - 20.6) < 0.1, `loser mu ${loser.mu}`);
+  assert.ok(Math.abs(winner.sigma - 7.17) < 0.05, `winner sigma ${winner.sigma}`);
+
+  const [drawA, drawB] = trueSkillUpdate(prior, prior, 0.5);
+  assert.equal(drawA.mu, drawB.mu);
+  assert.ok(drawA.sigma < TRUESKILL_SIGMA);
+
+  const [lostFirst, wonSecond] = trueSkillUpdate(prior, prior, 0);
+  assert.equal(lostFirst.mu, loser.mu);
+  assert.equal(wonSecond.mu, winner.mu);
+});
+
+test('replayElo is zero-sum and rateMatches ranks the strongest model first with intervals', () => {
+  const matches = [];
+  for (let i = 0; i < 12; i++) {
+    matches.push({ a: 'strong', b: 'weak', outcome: i % 4 === 0 ? 0.5 : 1, gameId: 0 });
+    matches.push({ a: 'middle', b: 'weak', outcome: i % 3 === 2 ? 0 : 1, gameId: 0 });
+  }
+
+  const elo = replayElo(matches);
+  const total = [...elo.values()].reduce((sum, rating) => sum + rating, 0);
+  assert.ok(Math.abs(total - ELO_START * elo.size) < 1e-6);
+
+  const standings = rateMatches(matches);
+  const byId = Object.fromEntries(standings.map(entry => [entry.modelId, entry]));
+  assert.equal(standings[0].modelId, 'strong');
+  assert.ok(byId.middle.trueSkill.mu > byId.weak.trueSkill.mu);
+  assert.ok(byId.middle.elo.rating > byId.weak.elo.rating);
+  const strong = byId.strong;
+  assert.deepEqual([strong.wins, strong.losses, strong.draws, strong.matches], [9, 0, 3, 12]);
+  for (const entry of standings) {
+    assert.ok(entry.elo.ci95[0] <= entry.elo.ci95[1]);
+    assert.ok(entry.trueSkill.ci95[0] < entry.trueSkill.mu && entry.trueSkill.mu < entry.trueSkill.ci95[1]);
+  }
+  assert.deepEqual(rateMatches(matches), standings, 'bootstrap intervals are deterministic');
+  assert.deepEqual(rateMatches([]), []);
+});
@@ -1,7 +1,7 @@
 const assert = require('node:assert/strict');
 const test = require('node:test');
 
-const { parseAction, parseStructured } = require('../lib/response-parser');
+const { parseAction, parseStructured, parseEarlyAction } = require('../lib/response-parser');
 
 test('parseAction maps ACTION_SHOOT to ACTION_USE when shooting is available', () => {
   assert.equal(
@@ -193,3 +193,22 @@ test('parseStructured returns a NIL plan for empty and garbage responses', () =>
   assert.deepEqual(garbage.plan, ['ACTION_NIL']);
   assert.equal(garbage.valid, false);
 });
+
+test('parseEarlyAction commits only once the streamed action token is terminated', () => {
+  const actions = ['ACTION_NIL', 'ACTION_LEFT', 'ACTION_RIGHT', 'ACTION_USE'];
+
+  assert.equal(parseEarlyAction('REASON: the right lane is clear', actions), null);
+  assert.equal(parseEarlyAction('REASON: clear.\nACTION: RIG', actions), null, 'token still generating');
+  assert.deepEqual(parseEarlyAction('REASON: clear.\nACTION: RIGHT\n', actions), { action: 'ACTION_RIGHT', source: 'stream-action-line' });
+  assert.deepEqual(parseEarlyAction('ACTION: ACTION_SHOOT because', actions), { action: 'ACTION_USE', source: 'stream-action-line' });
+});
+
+test('parseEarlyAction waits for a delimiter after a compact code letter', () => {
+  const actions = ['ACTION_NIL', 'ACTION_LEFT', 'ACTION_USE'];
+  const codes = { N: 'ACTION_NIL', L: 'ACTION_LEFT', U: 'ACTION_USE' };
+
+  assert.equal(parseEarlyAction('U', actions, codes), null, 'a bare U may still become prose');
+  assert.equal(parseEarlyAction('Use the', actions, codes), null);
+  assert.deepEqual(parseEarlyAction('U<|im_end|>', actions, codes), { action: 'ACTION_USE', source: 'stream-code' });
+  assert.deepEqual(parseEarlyAction('ANS: L\n', actions, codes), { action: 'ACTION_LEFT', source: 'stream-code' });
+});
@@ -1,7 +1,7 @@
 const assert = require('node:assert/strict');
 const test = require('node:test');
 
-const { buildPrompt, extractSpatialContext } = require('../lib/state-converter');
+const { buildPrompt, extractSpatialContext, describePlayers } = require('../lib/state-converter');
 
 function createAliensState(overrides = {}) {
   return {
@@ -180,6 +180,51 @@ test('spatial context reports moving hazards such as alien bombs', () => {
   assert.match(context, /Moving hazards: 1 up, 1 left \(2 away\)/);
 });
 
+test('tool response mode returns an action tool and points the closing line at it', () => {
+  const prompt = buildPrompt(createAliensState(), {
+    gameName: 'aliens',
+    systemContent: 'system',
+    gameContent: 'rules',
+    responseMode: 'tools',
+    actionAliases: { ACTION_USE: 'SHOOT' }
+  }, null, null);
+
+  assert.equal(prompt.responseMode, 'tools');
+  assert.deepEqual(prompt.tools[0].function.parameters.properties.action.enum, createAliensState().availableActions);
+  assert.match(prompt.userMessage, /Call the choose_action tool/);
+  assert.match(prompt.userMessage, /ACTION: <one action from the list above>/, 'text fallback stays parseable');
+  assert.equal(buildPrompt(createAliensState(), { gameContent: 'rules' }, null, null).tools, undefined);
+});
+
+test('image observation mode swaps the ASCII map for the frame note; both keeps the two', () => {
+  const config = { gameName: 'aliens', gameContent: 'rules' };
+  const state = createAliensState({ observationGridNum: 2, observationGridMaxRow: 1, observationGrid: [[[]], [[]]] });
+  const ascii = buildPrompt(state, config, null, null);
+  const image = buildPrompt(state, { ...config, observationMode: 'image' }, null, null);
+  const both = buildPrompt(state, { ...config, observationMode: 'both' }, null, null);
+
+  assert.match(ascii.userMessage, /Map — row 0 = top/);
+  assert.equal(ascii.observationMode, undefined);
+  assert.doesNotMatch(image.userMessage, /Map — row 0 = top/);
+  assert.match(image.userMessage, /attached image is the rendered game frame/);
+  assert.equal(image.observationMode, 'image');
+  assert.match(both.userMessage, /Map — row 0 = top/);
+  assert.match(both.userMessage, /attached image/);
+  assert.ok(both.promptLayers.some(layer => layer.name === 'Frame'));
+  assert.equal(buildPrompt(state, { ...config, observationMode: 'video' }, null, null).observationMode, undefined);
+});
+
+test('two-player observations tell the model which avatar it drives and the standings', () => {
+  const state = createAliensState({ noOfPlayers: 2, playerID: 1, playerScores: [4, 9], gameScore: 9 });
+  assert.equal(describePlayers(state),
+    'You are player 2 of 2; the other avatar is your opponent. Scores — you: 9, player 1: 4.');
+  assert.equal(describePlayers(createAliensState({ noOfPlayers: 1 })), '');
+
+  const prompt = buildPrompt(state, { gameName: 'tron', gameContent: 'rules' }, null, null);
+  assert.match(prompt.userMessage, /You are player 2 of 2/);
+  assert.doesNotMatch(buildPrompt(createAliensState(), { gameContent: 'rules' }, null, null).userMessage, /You are player/);
+});
+
 test('aliens code protocol feeds a compact GV1 tape instead of paragraph rules', () => {
   const prompt = buildPrompt(createAliensState({
     gameTick: 423,
@@ -16,19 +16,38 @@ test('server exposes mid-run steering for model runs only', () => {
 
 test('frame stream is tagged with the owning run so viewers can scope frames', () => {
   const serverSource = fs.readFileSync(path.join(WEB_ROOT, 'server.js'), 'utf-8');
+  const streamerSource = fs.readFileSync(path.join(WEB_ROOT, 'lib', 'frame-streamer.js'), 'utf-8');
 
-  // startScreenshotStreaming records the owner and game-frame carries it
-  assert.match(serverSource, /function startScreenshotStreaming\(owner/);
-  assert.match(serverSource, /runId: frameOwner \? frameOwner\.runId : null/);
-  assert.match(serverSource, /source: frameOwner \? frameOwner\.source : null/);
-  // The walk-up route claims the stream for its run
-  assert.match(serverSource, /startScreenshotStreaming\(\{ runId, source: 'walkup' \}\)/);
+  // The per-worker streamer records the owner and game-frame carries it
+  assert.match(streamerSource, /function start\(owner/);
+  assert.match(streamerSource, /runId: frameOwner \? frameOwner\.runId : null/);
+  assert.match(streamerSource, /source: frameOwner \? frameOwner\.source : null/);
+  // The walk-up route claims its leased worker's stream for its run
+  assert.match(serverSource, /worker\.streamer\.start\(\{ runId, source: 'walkup' \}\)/);
 
   // The marble run claims the stream for its case
   const coordinatorSource = fs.readFileSync(path.join(WEB_ROOT, 'lib', 'attract-coordinator.js'), 'utf-8');
   assert.match(coordinatorSource, /streamer\.start\(\{ runId: evalCase\.runId, source: 'marble' \}\)/);
 });
 
+test('human actions only steer the run whose control token they carry', () => {
+  const serverSource = fs.readFileSync(path.join(WEB_ROOT, 'server.js'), 'utf-8');
+  const appSource = fs.readFileSync(path.join(WEB_ROOT, 'public', 'js', 'app.js'), 'utf-8');
+  const { createControlToken, controlTokenMatches } = require('../lib/human-control');
+
+  const token = createControlToken();
+  assert.equal(controlTokenMatches(token, token), true);
+  assert.equal(controlTokenMatches(token, createControlToken()), false);
+  assert.equal(controlTokenMatches(token, undefined), false);
+  assert.equal(controlTokenMatches(null, token), false, 'model runs have no token to match');
+
+  // No fallback to some other visitor's live human run
+  assert.doesNotMatch(serverSource, /activeGames\.values\(\)[\s\S]{0,200}setAction/);
+  assert.match(serverSource, /if \(!data \|\| !data\.processId\) return null;/);
+  assert.match(serverSource, /controlTokenMatches\(game\.controlToken, data\.controlToken\)/);
+  assert.match(appSource, /socket\.emit\('human-action', \{ action, processId: state\.processId, controlToken: state\.controlToken \}\)/);
+});
+
 test('walk-up viewer scopes socket events to its active run', () => {
   const appSource = fs.readFileSync(path.join(WEB_ROOT, 'public', 'js', 'app.js'), 'utf-8');
 
@@ -8,6 +8,7 @@ const {
 function run(overrides = {}) {
   return {
     runId: overrides.runId || 'arcade-g32-l0-local-prompt-policy-s0',
+    seed: overrides.seed ?? 7,
     gameId: overrides.gameId ?? 32,
     gameName: overrides.gameName || 'doorkoban',
     levelId: overrides.levelId ?? 0,
@@ -34,14 +35,51 @@ function gateFor(baselineResult, digestResult, errors = {}) {
   }).games[0];
 }
 
+// `count` seeded pairs; the overrides may be functions of the pair index.
+function pairedRuns(count, baseline, digest) {
+  const resolve = (overrides, i) => (typeof overrides === 'function' ? overrides(i) : overrides);
+  const results = { baselineResults: [], digestResults: [] };
+  for (let i = 0; i < count; i++) {
+    const ids = { runId: `arcade-g32-l0-local-prompt-policy-s${i}`, seed: 100 + i };
+    results.baselineResults.push(run({ ...ids, ...resolve(baseline, i) }));
+    results.digestResults.push(run({ ...ids, ...resolve(digest, i) }));
+  }
+  return results;
+}
+
 test('gate accepts a marked score improvement without prompt growth', () => {
-  const gate = gateFor(
-    run({ finalScore: 1, ticks: 50, promptChars: 100 }),
-    run({ finalScore: 2, ticks: 50, promptChars: 100 })
-  );
+  const gate = comparePairedResults(pairedRuns(
+    8,
+    i => ({ finalScore: 1 + (i % 3), ticks: 50, promptChars: 100 }),
+    i => ({ finalScore: 3 + (i % 3), ticks: 50, promptChars: 100 })
+  )).games[0];
 
   assert.equal(gate.accepted, true);
   assert.ok(gate.reasons.includes('gameplay gain'));
+  assert.equal(gate.significance.pairs, 8);
+  assert.equal(gate.significance.score.meanDiff, 2);
+  assert.ok(gate.significance.score.pValue <= gate.significance.metricAlpha);
+  assert.deepEqual(gate.significance.score.ci95, [2, 2]);
+  assert.ok(gate.digest.intervals.score[0] > gate.baseline.intervals.score[0]);
+});
+
+test('gate does not accept a lucky single run or a handful of them', () => {
+  const single = gateFor(
+    run({ finalScore: 1, ticks: 50, promptChars: 100 }),
+    run({ finalScore: 2, ticks: 50, promptChars: 100 })
+  );
+  assert.equal(single.accepted, false);
+  assert.equal(single.significance.score.pValue, 0.5);
+  assert.match(single.blockers.at(-1), /^gameplay gain not significant \(p=0\.5 over 1 paired runs; about \d+ recommended\)$/);
+
+  const mixed = comparePairedResults(pairedRuns(
+    6,
+    { finalScore: 2, promptChars: 100 },
+    i => ({ finalScore: i < 3 ? 6 : 1, promptChars: 100 })
+  )).games[0];
+  assert.equal(mixed.deltas.scoreDelta, 1.5);
+  assert.equal(mixed.accepted, false, 'a mean gain driven by a few runs is not enough');
+  assert.ok(mixed.significance.score.recommendedPairs > 6);
 });
 
 test('gate accepts equal gameplay with a significant prompt reduction', () => {
@@ -107,3 +145,12 @@ test('gate rejects excessive prompt growth', () => {
   assert.equal(gate.accepted, false);
   assert.ok(gate.blockers.some(reason => reason.includes('prompt chars ratio')));
 });
+
+test('gate only pairs runs played under the same engine seed', () => {
+  const gate = gateFor(
+    run({ seed: 7, winner: 'PLAYER_WINS', won: true }),
+    run({ seed: 8, winner: 'PLAYER_LOSES' })
+  );
+
+  assert.equal(gate.blockers.some(blocker => blocker.startsWith('winner downgrade')), false);
+});
@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { buildActionTool, parseToolCall, formatToolCalls, supportsTools } = require('../lib/tool-protocol');
+
+const ACTIONS = ['ACTION_NIL', 'ACTION_LEFT', 'ACTION_RIGHT', 'ACTION_USE'];
+
+function call(args, name = 'choose_action') {
+  return { type: 'function', function: { name, arguments: args } };
+}
+
+test('buildActionTool limits the action enum to the legal list and adds a plan only for macro games', () => {
+  const [single] = buildActionTool(ACTIONS, { actionAliases: { ACTION_USE: 'SHOOT' } });
+  assert.equal(single.function.name, 'choose_action');
+  assert.deepEqual(single.function.parameters.properties.action.enum, ACTIONS);
+  assert.match(single.function.parameters.properties.action.description, /ACTION_USE \(SHOOT\)/);
+  assert.equal(single.function.parameters.properties.plan, undefined);
+  assert.deepEqual(single.function.parameters.required, ['action']);
+
+  const [macro] = buildActionTool(ACTIONS, { narrate: true, maxPlanSteps: 4 });
+  assert.equal(macro.function.parameters.properties.plan.maxItems, 4);
+  assert.deepEqual(macro.function.parameters.required, ['reason', 'action']);
+});
+
+test('parseToolCall reads OpenAI string arguments and Ollama object arguments', () => {
+  const openAi = parseToolCall([call('{"action":"ACTION_LEFT","reason":"dodge the bomb"}')], ACTIONS);
+  assert.equal(openAi.action, 'ACTION_LEFT');
+  assert.equal(openAi.reason, 'dodge the bomb');
+  assert.equal(openAi.source, 'tool-call');
+
+  const ollama = parseToolCall([call({ action: 'ACTION_SHOOT' })], ACTIONS);
+  assert.equal(ollama.action, 'ACTION_USE', 'unenforced enums still go through the action matcher');
+});
+
+test('parseToolCall keeps a legal plan prefix and rejects unusable calls', () => {
+  const parsed = parseToolCall(
+    [call({ action: 'ACTION_RIGHT', plan: ['ACTION_RIGHT', 'ACTION_JUMP', 'ACTION_USE', 'ACTION_LEFT'] })],
+    ACTIONS,
+    { maxPlanSteps: 2 }
+  );
+  assert.deepEqual(parsed.plan, ['ACTION_RIGHT', 'ACTION_USE']);
+  assert.equal(parsed.planSource, 'tool-call');
+
+  assert.equal(parseToolCall([], ACTIONS), null);
+  assert.equal(parseToolCall([call('{not json')], ACTIONS), null);
+  assert.equal(parseToolCall([call({ action: 'ACTION_LEFT' }, 'other_tool')], ACTIONS), null);
+  assert.equal(parseToolCall([call({ action: 'ACTION_UP' })], ACTIONS), null, 'illegal actions fall back to text');
+});
+
+test('formatToolCalls renders a readable stand-in and supportsTools names function-calling providers', () => {
+  assert.equal(formatToolCalls([call('{"action":"ACTION_NIL"}')]), 'choose_action({"action":"ACTION_NIL"})');
+  assert.equal(supportsTools('openrouter'), true);
+  assert.equal(supportsTools('ollama-cloud'), true);
+  assert.equal(supportsTools('legion-vllm'), false);
+});
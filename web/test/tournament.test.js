@@ -0,0 +1,257 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { TournamentManager, TournamentError, compareResults } = require('../lib/tournament');
+const { EnginePool } = require('../lib/engine-pool');
+
+const MODELS = [
+  { id: 'alpha', name: 'Alpha' },
+  { id: 'beta', name: 'Beta' },
+  { id: 'gamma', name: 'Gamma' }
+];
+const GAMES = [{ id: 0, name: 'aliens' }, { id: 1, name: 'boulderdash' }];
+
+function fakePlan(options) {
+  const models = MODELS.filter(model => options.modelIds.length === 0 || options.modelIds.includes(model.id));
+  const games = GAMES.filter(game => options.gameIds.length === 0 || options.gameIds.includes(game.id));
+  const cases = [];
+  for (const game of games) {
+    for (const model of models) {
+      for (const strategy of options.strategies) {
+        cases.push({
+          runId: `${game.name}-l${options.levelId}-${model.id}-${strategy.id}`,
+          modelId: model.id,
+          modelName: model.name,
+          gameId: game.id,
+          gameName: game.name,
+          levelId: options.levelId,
+          strategyId: strategy.id
+        });
+      }
+    }
+  }
+  return { modelIds: models.map(model => model.id), cases };
+}
+
+function makeManager(t, runCase, extra = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tournament-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const events = [];
+  const leases = [];
+  const manager = new TournamentManager().configure({
+    storePath: path.join(root, 'tournaments.json'),
+    telemetry: { track: event => events.push(event) },
+    enginePool: {
+      waitFor: async ({ runId }) => {
+        leases.push(runId);
+        return { port: 9000, screenshotPath: '/tmp/shot.png' };
+      },
+      release: () => {}
+    },
+    buildPlan: fakePlan,
+    runCase,
+    ...extra
+  });
+  return { root, manager, events, leases };
+}
+
+const SKILL = { alpha: 30, beta: 20, gamma: 10 };
+
+test('compareResults prefers wins, then score, then faster wins', () => {
+  assert.equal(compareResults({ won: true, finalScore: 0 }, { won: false, finalScore: 50 }), 1);
+  assert.equal(compareResults({ finalScore: 3 }, { finalScore: 5 }), 0);
+  assert.equal(compareResults({ won: true, finalScore: 5, ticks: 10 }, { won: true, finalScore: 5, ticks: 20 }), 1);
+  assert.equal(compareResults({ finalScore: 5, ticks: 10 }, { finalScore: 5, ticks: 20 }), 0);
+  assert.equal(compareResults({ finalScore: 5, ticks: 10 }, { finalScore: 5, ticks: 10 }), 0.5);
+});
+
+test('TournamentManager plays every board under one seed and ranks models from the results', async (t) => {
+  const calls = [];
+  const { manager, events } = makeManager(t, async (evalCase, options) => {
+    calls.push({ evalCase, options });
+    return { finalScore: SKILL[evalCase.modelId] + evalCase.gameId, won: evalCase.modelId === 'alpha', ticks: 40 };
+  });
+
+  const created = manager.create({ name: 'Weekly', levelIds: [0, 2], rounds: 2, seed: 77 });
+  assert.equal(created.status, 'running');
+  assert.equal(created.progress.total, 3 * 2 * 2 * 2);
+  await manager._running;
+
+  const tournament = manager.get(created.id);
+  assert.equal(tournament.status, 'completed');
+  assert.equal(tournament.boards.length, 8);
+  assert.ok(tournament.boards.every(board => board.matchCount === 3));
+  assert.deepEqual(tournament.standings.map(entry => entry.modelName), ['Alpha', 'Beta', 'Gamma']);
+
+  const seedsByBoard = new Map();
+  for (const { evalCase } of calls) {
+    const key = `${evalCase.gameId}-${evalCase.levelId}-${evalCase.round}`;
+    if (!seedsByBoard.has(key)) seedsByBoard.set(key, new Set());
+    seedsByBoard.get(key).add(evalCase.seed);
+  }
+  assert.equal(seedsByBoard.size, 8);
+  assert.ok([...seedsByBoard.values()].every(seeds => seeds.size === 1), 'models on a board share a seed');
+  assert.equal(new Set([...seedsByBoard.values()].map(seeds => [...seeds][0])).size, 8, 'boards get distinct seeds');
+  assert.equal(calls[0].options.maxActions, 40);
+  assert.equal(calls[0].options.engine.port, 9000);
+
+  assert.equal(events.filter(event => event.eventType === 'tournament_case_completed').length, 24);
+
+  const board = manager.leaderboard();
+  assert.equal(board.matchCount, 24);
+  assert.deepEqual(board.overall.map(entry => entry.modelId), ['alpha', 'beta', 'gamma']);
+  assert.deepEqual(board.games.map(game => game.gameName), ['aliens', 'boulderdash']);
+  assert.equal(manager.leaderboard({ gameId: '1' }).matchCount, 12);
+
+  assert.throws(() => manager.start(created.id), error => error instanceof TournamentError && error.code === 'TOURNAMENT_FINISHED');
+});
+
+test('TournamentManager seats baselines on each strategy board, under that board\'s seed', async (t) => {
+  // Like the eval plan: one strategy-less case per level for a baseline.
+  const withBaseline = (options) => {
+    const plan = fakePlan(options);
+    const baselineCases = GAMES.filter(game => options.gameIds.includes(game.id)).map(game => ({
+      runId: `${game.name}-l${options.levelId}-baseline_random`,
+      modelId: 'baseline:random',
+      modelName: 'Random (baseline)',
+      gameId: game.id,
+      gameName: game.name,
+      levelId: options.levelId,
+      strategyId: null
+    }));
+    return { modelIds: [...plan.modelIds, 'baseline:random'], cases: [...plan.cases, ...baselineCases] };
+  };
+  const calls = [];
+  const { manager } = makeManager(t, async (evalCase) => {
+    calls.push(evalCase);
+    return { finalScore: evalCase.modelId === 'baseline:random' ? 0 : SKILL[evalCase.modelId], ticks: 40 };
+  }, { buildPlan: withBaseline });
+
+  const created = manager.create({ gameIds: [0], modelIds: ['alpha', 'beta'], strategyIds: ['points', 'safe'], seed: 5 });
+  assert.equal(created.progress.total, 3 * 2);
+  await manager._running;
+
+  const tournament = manager.get(created.id);
+  assert.deepEqual(tournament.boards.map(board => board.key).sort(), ['g0-l0-points-r1', 'g0-l0-safe-r1']);
+  assert.ok(tournament.boards.every(board => board.matchCount === 3), 'the baseline is rated on each board');
+  for (const key of ['g0-l0-points-r1', 'g0-l0-safe-r1']) {
+    const onBoard = tournament.cases.filter(evalCase => evalCase.board === key);
+    assert.deepEqual(onBoard.map(evalCase => evalCase.modelId).sort(), ['alpha', 'baseline:random', 'beta']);
+    const seeds = new Set(calls.filter(evalCase => onBoard.some(entry => entry.runId === evalCase.runId)).map(evalCase => evalCase.seed));
+    assert.equal(seeds.size, 1, 'the baseline plays the board seed');
+  }
+  const baselineRuns = calls.filter(evalCase => evalCase.modelId === 'baseline:random');
+  assert.deepEqual(baselineRuns.map(evalCase => evalCase.strategyId), [null, null], 'baselines still play without a strategy');
+  assert.equal(tournament.standings.at(-1).modelId, 'baseline:random');
+});
+
+test('TournamentManager leaves failed cases out of the matches and accumulates across tournaments', async (t) => {
+  const { manager } = makeManager(t, async (evalCase) => {
+    if (evalCase.modelId === 'gamma') throw new Error('provider timeout');
+    return { finalScore: evalCase.modelId === 'beta' ? 9 : 1, ticks: 10 };
+  });
+
+  const first = manager.create({ gameIds: [0], seed: 1 });
+  await manager._running;
+  const second = manager.create({ gameIds: [0], seed: 2 });
+  await manager._running;
+
+  const detail = manager.get(second.id);
+  assert.deepEqual(detail.progress, { completed: 3, failed: 1, total: 3 });
+  assert.equal(detail.boards[0].matchCount, 1);
+  assert.equal(manager.get(first.id).status, 'completed');
+
+  const board = manager.leaderboard();
+  assert.equal(board.tournamentCount, 2);
+  assert.equal(board.matchCount, 2);
+  assert.deepEqual(board.overall.map(entry => [entry.modelId, entry.wins]), [['beta', 2], ['alpha', 0]]);
+});
+
+test('TournamentManager validates brackets, runs one at a time and resumes interrupted tournaments', async (t) => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const played = [];
+  const { root, manager } = makeManager(t, async (evalCase) => {
+    played.push(evalCase.runId);
+    if (played.length === 1) await gate;
+    return { finalScore: 1, ticks: 1 };
+  });
+
+  assert.throws(() => manager.create({ modelIds: ['alpha'] }), error => error.code === 'INVALID_TOURNAMENT');
+  assert.throws(() => manager.create({ rounds: 0 }), error => error.code === 'INVALID_TOURNAMENT');
+  assert.throws(() => manager.create({ strategyIds: ['nope'] }), error => error.code === 'INVALID_TOURNAMENT');
+  assert.throws(() => manager.get('missing'), error => error.code === 'TOURNAMENT_NOT_FOUND');
+
+  const running = manager.create({ gameIds: [0] });
+  const queued = manager.create({ gameIds: [1], start: false });
+  assert.equal(queued.status, 'scheduled');
+  assert.throws(() => manager.start(queued.id), error => error.code === 'TOURNAMENT_RUNNING');
+
+  assert.equal(manager.cancel(running.id).status, 'cancelling');
+  release();
+  await manager._running;
+  assert.equal(manager.get(running.id).status, 'cancelled');
+  assert.equal(played.length, 1);
+
+  // Simulate a restart in the middle of the queued tournament.
+  const storePath = path.join(root, 'tournaments.json');
+  const store = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+  store.tournaments.find(entry => entry.id === queued.id).status = 'running';
+  fs.writeFileSync(storePath, JSON.stringify(store));
+
+  const restarted = new TournamentManager().configure({
+    storePath,
+    telemetry: { track() {} },
+    enginePool: { waitFor: async () => ({ port: 1 }), release() {} },
+    buildPlan: fakePlan,
+    runCase: async (evalCase) => {
+      played.push(evalCase.runId);
+      return { finalScore: 1, ticks: 1 };
+    }
+  });
+  assert.equal(restarted.get(queued.id).status, 'interrupted');
+  restarted.start(running.id);
+  await restarted._running;
+  assert.equal(restarted.get(running.id).status, 'completed');
+  assert.equal(played.length, 3, 'the case played before cancelling is not replayed');
+});
+
+test('TournamentManager stops as interrupted, not cancelled, when the engine pool shuts down', async (t) => {
+  const pool = new EnginePool().configure({
+    gvgaiConfig: { projectRoot: '/tmp/gvgai', screenshotPath: 'frame.png', socketPort: 9300 },
+    size: 1
+  });
+  const played = [];
+  const { manager } = makeManager(t, async (evalCase) => {
+    played.push(evalCase.runId);
+    // Shutdown takes the worker mid-case; the cut case is not recorded.
+    if (played.length === 2) pool.stopAll();
+    return { finalScore: 1, ticks: 1 };
+  }, { enginePool: pool });
+
+  const cut = manager.create({ gameIds: [0] });
+  await manager._running;
+  let tournament = manager.get(cut.id);
+  assert.equal(tournament.status, 'interrupted');
+  assert.equal(tournament.finishedAt, null);
+  assert.equal(Object.keys(manager._find(manager._read(), cut.id).results).length, 1);
+
+  // Shutdown while waiting in line for a worker ends the same way.
+  const walkup = pool.acquire({ runId: 'walkup-1', source: 'walkup' });
+  manager.start(cut.id);
+  await new Promise(resolve => setImmediate(resolve));
+  pool.stopAll();
+  await manager._running;
+  assert.ok(walkup);
+  assert.equal(manager.get(cut.id).status, 'interrupted');
+
+  manager.start(cut.id);
+  await manager._running;
+  tournament = manager.get(cut.id);
+  assert.equal(tournament.status, 'completed');
+  assert.equal(played.length, 4, 'only the cut case is played twice');
+  assert.equal(played[2], played[1]);
+});
@@ -0,0 +1,189 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { ReplayClient, buildReplaySchedule } = require('../lib/replay-client');
+const { TraceReplayManager, ReplayError } = require('../lib/trace-replay');
+const { EnginePool } = require('../lib/engine-pool');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const TRACE = {
+  traceId: 'trace-1',
+  gameId: 0,
+  levelId: 1,
+  playerType: 'human',
+  ticks: 4,
+  seed: 77,
+  actionHistory: [
+    { tick: 0, action: 'ACTION_LEFT' },
+    { tick: 1, action: 'ACTION_USE' },
+    { tick: 3, action: 'ACTION_RIGHT' }
+  ]
+};
+
+function act(msgId, tick) {
+  return `${msgId}#{"phase":"ACT","gameTick":${tick},"gameScore":${tick}}`;
+}
+
+// A ReplayClient whose socket writes are captured instead of sent.
+function makeClient(options = {}) {
+  const client = new ReplayClient({ runId: 'replay-test', trace: TRACE, tickIntervalMs: 0, ...options });
+  client.sent = [];
+  client.sendMessageWithId = (msgId, msg) => client.sent.push(`${msgId}#${msg}`);
+  return client;
+}
+
+test('buildReplaySchedule maps recorded ticks to actions and covers the whole run', () => {
+  const schedule = buildReplaySchedule(TRACE);
+  assert.equal(schedule.actions.get(1), 'ACTION_USE');
+  assert.equal(schedule.actions.has(2), false, 'unrecorded ticks replay as ACTION_NIL');
+  assert.equal(schedule.totalTicks, 4);
+  assert.equal(buildReplaySchedule({ actionHistory: [{ tick: 9, action: 'ACTION_UP' }] }).totalTicks, 10);
+});
+
+test('buildReplaySchedule replays every logged ACT reply and flags decision-only model traces', () => {
+  const decisions = [{ tick: 0, action: 'ACTION_LEFT' }, { tick: 3, action: 'ACTION_USE' }];
+  const logged = buildReplaySchedule({
+    playerType: 'llm',
+    ticks: 4,
+    actionHistory: decisions,
+    tickActions: [
+      { tick: 0, action: 'ACTION_LEFT' },
+      { tick: 1, action: 'ACTION_LEFT' },
+      { tick: 2, action: 'ACTION_DOWN' },
+      { tick: 3, action: 'ACTION_USE' }
+    ]
+  });
+  assert.deepEqual([...logged.actions.values()], ['ACTION_LEFT', 'ACTION_LEFT', 'ACTION_DOWN', 'ACTION_USE']);
+  assert.equal(logged.approximate, false);
+  assert.equal(buildReplaySchedule(TRACE).approximate, false, 'human traces log every tick');
+
+  const legacy = buildReplaySchedule({ playerType: 'llm', ticks: 4, actionHistory: decisions });
+  assert.equal(legacy.approximate, true);
+  const client = makeClient({ trace: { playerType: 'llm', ticks: 4, actionHistory: decisions } });
+  assert.equal(client.getState().approximate, true);
+});
+
+test('ReplayClient holds ACTs while paused and releases one per step', async () => {
+  const client = makeClient({ paused: true });
+  client.processMessage(act(5, 0));
+  assert.deepEqual(client.sent, [], 'paused replay holds the engine on its ACT');
+
+  client.step();
+  assert.deepEqual(client.sent, ['5#ACTION_LEFT#BOTH']);
+  client.processMessage(act(6, 1));
+  assert.equal(client.sent.length, 1, 'step releases exactly one tick');
+
+  client.resume();
+  await wait(5);
+  assert.deepEqual(client.sent.slice(1), ['6#ACTION_USE#BOTH']);
+  client.processMessage(act(7, 2));
+  await wait(5);
+  assert.equal(client.sent[2], '7#ACTION_NIL#BOTH');
+  client.disconnect();
+});
+
+test('ReplayClient seekForward fast-forwards to the target tick, then pauses', () => {
+  const client = makeClient({ paused: true });
+  client.processMessage(act(1, 0));
+  assert.equal(client.seekForward(3), true);
+  client.processMessage(act(2, 1));
+  client.processMessage(act(3, 2));
+  client.processMessage(act(4, 3));
+  assert.deepEqual(client.sent, ['1#ACTION_LEFT#BOTH', '2#ACTION_USE#BOTH', '3#ACTION_NIL#BOTH']);
+  assert.equal(client.getState().paused, true);
+  assert.equal(client.getState().tick, 3);
+  assert.equal(client.seekForward(1), false, 'the engine cannot rewind');
+});
+
+test('ReplayClient ends training after the recorded level', () => {
+  const client = makeClient();
+  client.processMessage('9#{"phase":"END","gameTick":4,"gameScore":3,"gameWinner":"PLAYER_WINS"}');
+  assert.deepEqual(client.sent, ['9#END_TRAINING']);
+  assert.equal(client.getState().finished, true);
+});
+
+function makeManager(overrides = {}) {
+  const launches = [];
+  const stopped = [];
+  const clients = [];
+  const pool = new EnginePool().configure({
+    gvgaiConfig: { projectRoot: '/tmp/gvgai', screenshotPath: 'frame.png', socketPort: 9200 },
+    size: 1
+  });
+  const manager = new TraceReplayManager().configure({
+    enginePool: pool,
+    traceStore: { getTrace: (gameId, traceId) => (traceId === TRACE.traceId ? TRACE : null) },
+    telemetry: { track() {} },
+    gameManager: {
+      startGame: async (gameId, levelId, visuals, engine) => {
+        launches.push({ gameId, levelId, engine });
+        return { processId: `proc-${launches.length}` };
+      },
+      waitForReady: async () => true,
+      stopGame: processId => stopped.push(processId),
+      stopGameAndWait: async processId => { stopped.push(processId); return true; }
+    },
+    createClient: (options) => {
+      const client = makeClient(options);
+      client.connect = async () => {};
+      clients.push(client);
+      return client;
+    },
+    idleTimeoutMs: 0,
+    ...overrides
+  });
+  return { manager, pool, launches, stopped, clients };
+}
+
+test('TraceReplayManager replays on a leased worker and restarts the engine for backward seeks', async () => {
+  const { manager, pool, launches, stopped, clients } = makeManager();
+
+  const snapshot = await manager.start(0, 'trace-1');
+  assert.equal(snapshot.levelId, 1);
+  assert.equal(snapshot.room, 'engine-0');
+  assert.deepEqual(launches[0], { gameId: 0, levelId: 1, engine: { port: 9200, screenshotPath: pool.workers[0].screenshotPath, seed: 77 } });
+  assert.equal(snapshot.seed, 77, 'replays relaunch under the recorded seed');
+  assert.equal(pool.findByRunId(snapshot.runId).index, 0);
+
+  clients[0].processMessage(act(1, 0));
+  await manager.control(snapshot.runId, 'seek', { tick: 2 });
+  clients[0].processMessage(act(2, 1));
+  clients[0].processMessage(act(3, 2));
+  assert.equal(launches.length, 1, 'forward seeks reuse the running engine');
+  assert.equal(manager.getSnapshot(snapshot.runId).tick, 2);
+
+  await manager.control(snapshot.runId, 'seek', { tick: 1 });
+  assert.equal(launches.length, 2, 'backward seeks relaunch the engine');
+  assert.deepEqual(stopped, ['proc-1']);
+  assert.equal(clients[1].seekTarget, 1);
+
+  const ended = await manager.control(snapshot.runId, 'stop');
+  assert.equal(ended.stopped, true);
+  assert.equal(pool.hasFreeWorker(), true, 'stopping the replay returns its worker');
+});
+
+test('TraceReplayManager reports missing traces, unknown replays and a full pool', async () => {
+  const { manager, pool } = makeManager({ engineWaitMs: 20 });
+  await assert.rejects(manager.start(0, 'missing'), err => err instanceof ReplayError && err.code === 'TRACE_NOT_FOUND');
+  await assert.rejects(manager.control('nope', 'pause'), err => err.code === 'REPLAY_NOT_FOUND');
+
+  pool.acquire({ runId: 'walkup-1' });
+  await assert.rejects(manager.start(0, 'trace-1'), err => err.code === 'ENGINE_BUSY');
+});
+
+test('TraceReplayManager waits ahead of background cases for the next free worker', async () => {
+  const { manager, pool } = makeManager({ engineWaitMs: 1000 });
+  const evalWorker = pool.acquire({ runId: 'eval-case-1', source: 'eval-job' });
+  const background = pool.waitFor({ runId: 'eval-case-2', source: 'eval-job' });
+
+  const started = manager.start(0, 'trace-1');
+  await new Promise(resolve => setImmediate(resolve));
+  pool.release(evalWorker);
+  const snapshot = await started;
+  assert.equal(pool.findByRunId(snapshot.runId), evalWorker, 'the replay gets the freed worker first');
+
+  await manager.control(snapshot.runId, 'stop');
+  assert.equal((await background).lease.runId, 'eval-case-2');
+  pool.release(evalWorker);
+});